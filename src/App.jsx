@@ -1,4 +1,4 @@
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import './App.css'; // Keep for potential App-specific styles
 import './index.css'; // Import global styles
 
@@ -6,42 +6,204 @@ import './index.css'; // Import global styles
 import Header from './components/Header';
 import Footer from './components/Footer';
 import Tabs from './components/Tabs';
-import ManualInputForm from './components/ManualInputForm';
+import ManualInputForm, { physiologicalRanges } from './components/ManualInputForm';
 import FileUpload from './components/FileUpload'; // Import FileUpload
 import ResultsDisplay from './components/ResultsDisplay'; // Import ResultsDisplay
+import UnitSystemToggle from './components/UnitSystemToggle';
+import LanguageSelector from './components/LanguageSelector';
+import ReferenceProfileSettings from './components/ReferenceProfileSettings';
+import NoteTemplateSettings from './components/NoteTemplateSettings';
+import EncounterSelector from './components/EncounterSelector';
+import Hl7Import from './components/Hl7Import';
+import BatchAnalysis from './components/BatchAnalysis';
+import TrendPanel from './components/TrendPanel';
+import HistoryPanel from './components/HistoryPanel';
 import ABGAnalyzer from './utils/abgCalculator'; // Import the analyzer class
+import { defaultProfile, loadProfiles, saveProfiles, getActiveProfileId, setActiveProfileId } from './utils/referenceProfiles';
+import { t, setLanguage, loadLanguage, saveLanguage } from './utils/i18n';
+import { loadEncounters, saveEncounters, createSample, paco2History } from './utils/trend';
+import { createHistoryEntry, saveHistoryEntry } from './utils/history';
+import { getUnitMap } from './utils/units';
+import { renderAnalysisError } from './utils/resultRenderer';
+import { isShareFragment, readShareFragment } from './utils/share';
+import { loadNoteTemplates, saveNoteTemplates } from './utils/clinicalNote';
+
+// A time (default now) as local time in the format of a datetime-local input
+const localDateTime = (date = new Date()) => new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
 
 function App() {
-  const [activeTab, setActiveTab] = useState('manual'); // 'manual' or 'upload'
-  const [results, setResults] = useState(null); // Will store the full result object { step1: ..., state: ... }
+  const [activeTab, setActiveTab] = useState('manual'); // 'manual', 'upload', 'hl7', 'batch', 'history' or 'settings'
+  const [results, setResults] = useState(null); // Will store the full result object { steps, interpretation, state, ... }
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isResetting, setIsResetting] = useState(false); // State to trigger reset in children
+  // Global unit preference ('conventional' or 'si'), remembered across visits
+  const [unitSystem, setUnitSystem] = useState(() => localStorage.getItem('abg-unit-system') || 'conventional');
+  // Interface and report language; the i18n module holds the active catalog, this state re-renders on change
+  const [language, setLanguageState] = useState(() => setLanguage(loadLanguage()));
+
+  // Institution reference range profiles, persisted in localStorage
+  const [referenceProfiles, setReferenceProfiles] = useState(loadProfiles);
+  const [activeProfileId, setActiveProfile] = useState(getActiveProfileId);
+  const referenceProfile = referenceProfiles.find(profile => profile.id === activeProfileId) || defaultProfile;
+
+  // Clinical note templates: edited built-in and custom templates, persisted in localStorage
+  const [noteTemplates, setNoteTemplates] = useState(loadNoteTemplates);
+
+  // Serial samples: encounters persisted in localStorage, the one samples are attached to and the next sample's time
+  const [encounters, setEncounters] = useState(loadEncounters);
+  const [activeEncounterId, setActiveEncounterId] = useState(null);
+  const [sampleTime, setSampleTime] = useState(() => localDateTime());
+  const [addedSampleId, setAddedSampleId] = useState(null); // Sample created from the current result
+  const activeEncounter = encounters.find(encounter => encounter.id === activeEncounterId) || null;
+
+  // Analysis history (IndexedDB): the entry of the result shown, a counter that reloads the history panel,
+  // whether the last result could not be saved (encrypted history locked) and inputs loaded for editing
+  const [historyEntry, setHistoryEntry] = useState(null); // { id, source, patientLabel }
+  const [historyRevision, setHistoryRevision] = useState(0);
+  const [historyLocked, setHistoryLocked] = useState(false);
+  const [prefill, setPrefill] = useState(null); // { values } for the manual form
+  const [sharedAnalysis, setSharedAnalysis] = useState(null); // { values } opened from a shared link
+
+  // Patient label and sample time of the result shown, for exports
+  const addedSample = activeEncounter?.samples.find(sample => sample.id === addedSampleId);
+  const exportContext = { patientLabel: historyEntry?.patientLabel || '', effectiveDateTime: addedSample?.takenAt };
 
   // Instantiate the analyzer. Use useMemo to avoid recreating it on every render.
   const abgAnalyzer = useMemo(() => new ABGAnalyzer(), []);
 
+  // Keep every analysis in the local history; a re-analysis of the same inputs replaces its entry
+  const saveToHistory = (analysis, source, previous) => {
+    const entry = createHistoryEntry(analysis, { source, patientLabel: previous?.patientLabel ?? activeEncounter?.label ?? '', id: previous?.id });
+    setHistoryEntry({ id: entry.id, source, patientLabel: entry.patientLabel });
+    saveHistoryEntry(entry)
+      .then(saved => {
+        setHistoryLocked(!saved);
+        if (saved) setHistoryRevision(revision => revision + 1);
+      })
+      .catch(error => console.error("Could not save the analysis to the history:", error));
+  };
+
   // Function to handle analysis requests from child components
-  const handleAnalysis = (inputValues) => {
+  // `source` tells where the values come from ({ type: 'manual' | 'ocr' | 'pdf' | 'hl7' | 'batch' | 'link', fileName?, page?, specimen?, row? })
+  const handleAnalysis = (inputValues, source = { type: 'manual' }, previousEntry = null) => {
     console.log("App: Received values for analysis:", inputValues);
     setIsLoading(true);
     setError(null);
     setResults(null); // Clear previous results
+    setAddedSampleId(null);
 
     // Perform analysis
-    const analysisResult = abgAnalyzer.analyze(inputValues);
+    abgAnalyzer.setReferenceProfile(referenceProfile);
+    // Earlier samples of the encounter give the time course for acute vs chronic compensation
+    const history = activeEncounter && sampleTime ? paco2History(activeEncounter.samples, new Date(sampleTime).toISOString()) : [];
+    const analysisResult = abgAnalyzer.analyze(history.length > 0 ? { ...inputValues, paco2History: history } : inputValues);
     console.log("App: Analysis result:", analysisResult);
 
     if (analysisResult.error) {
-      handleError(analysisResult.error);
+      handleError(renderAnalysisError(analysisResult.error, analysisResult.displayUnits));
     } else {
       // Store the full result object AND the input values used for analysis
-      setResults({ ...analysisResult, inputValues });
+      const analysis = { ...analysisResult, inputValues };
+      setResults(analysis);
       setError(null);
+      saveToHistory(analysis, source, previousEntry);
     }
     setIsLoading(false);
   };
 
+  // Open an analysis shared as a link (#abg=...), on load or when a link is pasted into the open app. The fragment
+  // is removed first so a reload does not analyze it again.
+  useEffect(() => {
+    const openSharedLink = () => {
+      const hash = window.location.hash;
+      if (!isShareFragment(hash)) return;
+      window.history.replaceState(null, '', window.location.pathname + window.location.search);
+      readShareFragment(hash, { ranges: physiologicalRanges })
+        .then(values => setSharedAnalysis({ values }))
+        .catch(error => handleError(t('share.invalidLink', { message: error.message })));
+    };
+    openSharedLink();
+    window.addEventListener('hashchange', openSharedLink);
+    return () => window.removeEventListener('hashchange', openSharedLink);
+  }, []);
+
+  // Restore the shared inputs in the manual form and analyze them
+  useEffect(() => {
+    if (!sharedAnalysis) return;
+    setActiveTab('manual');
+    setPrefill(sharedAnalysis);
+    handleAnalysis(sharedAnalysis.values, { type: 'link' });
+  }, [sharedAnalysis]);
+
+  // Re-run the same inputs with the other temperature strategy (alpha-stat / pH-stat switch in the results view)
+  const handleTemperatureStrategyChange = (strategy) => {
+    if (!results?.inputValues) return;
+    handleAnalysis({ ...results.inputValues, temperatureStrategy: strategy }, historyEntry?.source, historyEntry);
+  };
+
+  const handleUnitSystemChange = (system) => {
+    setUnitSystem(system);
+    localStorage.setItem('abg-unit-system', system);
+  };
+
+  const handleLanguageChange = (lang) => {
+    setLanguageState(setLanguage(lang));
+    saveLanguage(lang);
+  };
+
+  const handleProfilesChange = (profiles) => {
+    setReferenceProfiles(profiles);
+    saveProfiles(profiles);
+  };
+
+  const handleActiveProfileChange = (id) => {
+    setActiveProfile(id);
+    setActiveProfileId(id);
+  };
+
+  const handleNoteTemplatesChange = (templates) => {
+    setNoteTemplates(templates);
+    saveNoteTemplates(templates);
+  };
+
+  const handleEncountersChange = (updated) => {
+    setEncounters(updated);
+    saveEncounters(updated);
+  };
+
+  const updateActiveEncounter = (update) => {
+    handleEncountersChange(encounters.map(encounter => (encounter.id === activeEncounterId ? update(encounter) : encounter)));
+  };
+
+  // Attach the current result to the active encounter at the chosen sample time
+  const handleAddSample = () => {
+    if (!activeEncounter || !results || !sampleTime) return;
+    const sample = createSample(results, new Date(sampleTime).toISOString());
+    updateActiveEncounter(encounter => ({ ...encounter, samples: [...encounter.samples, sample] }));
+    setAddedSampleId(sample.id);
+    setSampleTime(localDateTime());
+  };
+
+  const handleRemoveSample = (sampleId) => {
+    updateActiveEncounter(encounter => ({ ...encounter, samples: encounter.samples.filter(sample => sample.id !== sampleId) }));
+  };
+
+  // Show a saved analysis as it was analyzed
+  const handleReopen = (entry) => {
+    setResults({ ...entry.result, inputValues: entry.inputValues });
+    setHistoryEntry({ id: entry.id, source: entry.source, patientLabel: entry.patientLabel });
+    setHistoryLocked(false);
+    setAddedSampleId(null);
+    setError(null);
+  };
+
+  // Load the inputs of a saved analysis into the manual form; analyzing them creates a new entry
+  const handleDuplicate = (entry) => {
+    setPrefill({ values: entry.inputValues });
+    setActiveTab('manual');
+  };
+
   const handleLoading = (loadingState) => {
     setIsLoading(loadingState);
     setError(null); // Clear error when loading starts
@@ -57,6 +219,9 @@ function App() {
     console.log("App: Resetting analysis");
     setActiveTab('manual');
     setResults(null);
+    setHistoryEntry(null);
+    setHistoryLocked(false);
+    setPrefill(null);
     setIsLoading(false);
     setError(null);
     // Trigger reset in child components
@@ -71,18 +236,35 @@ function App() {
 
       <div className="main-content">
         <Tabs activeTab={activeTab} onTabChange={setActiveTab} />
+        <div className="display-options">
+          <LanguageSelector language={language} onChange={handleLanguageChange} />
+          <UnitSystemToggle unitSystem={unitSystem} onChange={handleUnitSystemChange} />
+        </div>
 
         <div className="tab-content">
           {/* Analysis Section Wrapper */}
           <div className="analysis-section">
             {/* Input/Upload Column */}
             <div className="input-column">
+              {['manual', 'upload', 'hl7'].includes(activeTab) && (
+                <EncounterSelector
+                  encounters={encounters}
+                  activeEncounterId={activeEncounterId}
+                  sampleTime={sampleTime}
+                  onEncountersChange={handleEncountersChange}
+                  onActiveEncounterChange={setActiveEncounterId}
+                  onSampleTimeChange={setSampleTime}
+                />
+              )}
               {activeTab === 'manual' && (
                 <div id="manual" className="tab-pane active">
                   <ManualInputForm
                     onAnalyze={handleAnalysis}
                     onError={handleError}
                     isResetting={isResetting} // Pass reset trigger
+                    unitSystem={unitSystem}
+                    referenceProfile={referenceProfile}
+                    prefill={prefill}
                   />
                 </div>
               )}
@@ -93,20 +275,77 @@ function App() {
                     onError={handleError}
                     onLoading={handleLoading} // Pass handleLoading
                     isResetting={isResetting} // Pass reset trigger
+                    unitSystem={unitSystem}
                   />
                 </div>
               )}
+              {activeTab === 'hl7' && (
+                <div id="hl7" className="tab-pane active">
+                  <Hl7Import
+                    onAnalyze={handleAnalysis}
+                    onError={handleError}
+                    onCollectedAt={(time) => setSampleTime(localDateTime(new Date(time)))}
+                    isResetting={isResetting}
+                    unitSystem={unitSystem}
+                  />
+                </div>
+              )}
+              {activeTab === 'batch' && (
+                <div id="batch" className="tab-pane active">
+                  <BatchAnalysis
+                    onAnalyze={handleAnalysis}
+                    isResetting={isResetting}
+                    referenceProfile={referenceProfile}
+                    unitSystem={unitSystem}
+                  />
+                </div>
+              )}
+              {activeTab === 'history' && (
+                <div id="history" className="tab-pane active">
+                  <HistoryPanel revision={historyRevision} onReopen={handleReopen} onDuplicate={handleDuplicate} />
+                </div>
+              )}
+              {activeTab === 'settings' && (
+                <div id="settings" className="tab-pane active">
+                  <ReferenceProfileSettings
+                    profiles={referenceProfiles}
+                    activeProfileId={referenceProfile.id}
+                    onProfilesChange={handleProfilesChange}
+                    onActiveProfileChange={handleActiveProfileChange}
+                  />
+                  <NoteTemplateSettings templates={noteTemplates} onTemplatesChange={handleNoteTemplatesChange} />
+                </div>
+              )}
             </div>
 
             {/* Results Column - Render conditionally */}
             <div className="results-column">
-              {isLoading && <p className="status-message">Loading analysis...</p>}
-              {error && <p className="status-message error-message">Error: {error}</p>}
+              {activeEncounter && (
+                <TrendPanel
+                  encounter={activeEncounter}
+                  results={results}
+                  resultAdded={activeEncounter.samples.some(sample => sample.id === addedSampleId)}
+                  sampleTime={sampleTime}
+                  displayUnits={getUnitMap(unitSystem)}
+                  referenceProfile={referenceProfile}
+                  onAddSample={handleAddSample}
+                  onRemoveSample={handleRemoveSample}
+                />
+              )}
+              {isLoading && <p className="status-message">{t('app.loading')}</p>}
+              {error && <p className="status-message error-message">{t('app.error', { message: error })}</p>}
+              {historyLocked && results && <p className="assumption-note">{t('history.notSaved')}</p>}
               {results && !isLoading && !error && (
-                <ResultsDisplay results={results} onNewAnalysis={handleReset} />
+                <ResultsDisplay
+                  results={results}
+                  exportContext={exportContext}
+                  noteTemplates={noteTemplates}
+                  onNewAnalysis={handleReset}
+                  onTemperatureStrategyChange={handleTemperatureStrategyChange}
+                />
               )}
               {!results && !isLoading && !error && (
-                 <p className="status-message placeholder-message">Results will appear here.</p>
+                 <p className="status-message placeholder-message">{t('app.placeholder')}</p>
               )}
             </div>
           </div>
@@ -0,0 +1,89 @@
+import React, { useState } from 'react';
+import { layoutAcidBaseMap, bandColors } from '../utils/acidBaseMap';
+import { formatMeasurement } from '../utils/units';
+import { acidBaseBandLabel, renderAcidBaseBand, renderAcidBasePoint } from '../utils/resultRenderer';
+import { t, formatNumber } from '../utils/i18n';
+
+// pH–HCO₃⁻ diagram with the simple disorder bands; hovering or focusing a band explains it
+function AcidBaseMap({ map, displayUnits }) {
+  const [activeBand, setActiveBand] = useState(null);
+  const layout = layoutAcidBaseMap(map);
+  const { plot, point } = layout;
+
+  // Hover and keyboard focus both select a band
+  const bandEvents = (key) => ({
+    tabIndex: 0,
+    onMouseEnter: () => setActiveBand(key),
+    onMouseLeave: () => setActiveBand(null),
+    onFocus: () => setActiveBand(key),
+    onBlur: () => setActiveBand(null)
+  });
+
+  const explanation = activeBand
+    ? <><strong>{acidBaseBandLabel(activeBand)}:</strong> {renderAcidBaseBand(activeBand, map)}</>
+    : renderAcidBasePoint(map);
+
+  return (
+    <div className="acid-base-map">
+      <svg viewBox={`0 0 ${layout.width} ${layout.height}`} role="img" aria-label={t('acidBaseMap.ariaLabel')} dir="ltr">
+        <defs>
+          <clipPath id="acid-base-map-plot"><rect x={plot.x} y={plot.y} width={plot.width} height={plot.height} /></clipPath>
+        </defs>
+        <rect className="acid-base-plot" x={plot.x} y={plot.y} width={plot.width} height={plot.height} />
+        {layout.ticks.ph.map(tick => (
+          <g key={tick.value} className="acid-base-tick">
+            <line x1={tick.x} x2={tick.x} y1={plot.y} y2={plot.y + plot.height} />
+            <text x={tick.x} y={plot.y + plot.height + 16} textAnchor="middle">{formatNumber(tick.value, 1)}</text>
+          </g>
+        ))}
+        {layout.ticks.hco3.map(tick => (
+          <g key={tick.value} className="acid-base-tick">
+            <line x1={plot.x} x2={plot.x + plot.width} y1={tick.y} y2={tick.y} />
+            <text x={plot.x - 6} y={tick.y + 4} textAnchor="end">{formatNumber(tick.value)}</text>
+          </g>
+        ))}
+        <g clipPath="url(#acid-base-map-plot)">
+          {layout.isopleths.map(isopleth => <path key={isopleth.paco2} className="acid-base-isopleth" d={isopleth.path} />)}
+          {layout.bands.map(band => (
+            <path
+              key={band.key}
+              className={`acid-base-band ${activeBand === band.key ? 'active' : ''}`}
+              d={band.path}
+              fill={bandColors[band.key]}
+              stroke={bandColors[band.key]}
+              {...bandEvents(band.key)}
+            >
+              <title>{acidBaseBandLabel(band.key)}</title>
+            </path>
+          ))}
+          <rect className={`acid-base-normal ${activeBand === 'normal' ? 'active' : ''}`} {...layout.normal} {...bandEvents('normal')}>
+            <title>{acidBaseBandLabel('normal')}</title>
+          </rect>
+        </g>
+        {layout.isopleths.map(isopleth => (
+          <text key={isopleth.paco2} className="acid-base-isopleth-label" x={isopleth.label.x} y={isopleth.label.y} textAnchor="end">
+            {formatMeasurement('paco2', isopleth.paco2, displayUnits?.paco2)}
+          </text>
+        ))}
+        <circle className="acid-base-point" cx={point.x} cy={point.y} r="6">
+          <title>{t('acidBaseMap.patient', { ph: formatNumber(map.point.ph, 2), paco2: formatMeasurement('paco2', map.point.paco2, displayUnits?.paco2), hco3: formatNumber(map.point.hco3, 1) })}</title>
+        </circle>
+        <text className="acid-base-axis" x={plot.x + plot.width / 2} y={layout.height - 6} textAnchor="middle">{t('acidBaseMap.axisPh')}</text>
+        <text className="acid-base-axis" transform={`translate(14 ${plot.y + plot.height / 2}) rotate(-90)`} textAnchor="middle">{t('acidBaseMap.axisHco3')}</text>
+      </svg>
+      <ul className="acid-base-legend">
+        {['normal', ...map.bands.map(band => band.key)].map(key => (
+          <li key={key} className={activeBand === key ? 'active' : ''} {...bandEvents(key)}>
+            <span className={`acid-base-swatch ${key === 'normal' ? 'acid-base-swatch-normal' : ''}`} style={{ backgroundColor: bandColors[key] }} />
+            {acidBaseBandLabel(key)}
+          </li>
+        ))}
+        <li className="acid-base-legend-isopleths"><span className="acid-base-swatch acid-base-swatch-isopleth" />{t('acidBaseMap.isopleths')}</li>
+      </ul>
+      <p className="acid-base-explanation" aria-live="polite">{explanation}</p>
+      <p className="assumption-note">{t('acidBaseMap.hint')}</p>
+    </div>
+  );
+}
+
+export default AcidBaseMap;
@@ -0,0 +1,330 @@
+import React, { useState, useEffect, useRef, useMemo } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileUpload, faPlay, faStop, faFileCsv, faFileExport, faSort, faSortUp, faSortDown, faSearch } from '@fortawesome/free-solid-svg-icons';
+import SampleTypeSelector from './SampleTypeSelector';
+import PatientCategorySelector from './PatientCategorySelector';
+import { physiologicalRanges } from './ManualInputForm';
+import { readSpreadsheet, toCsv } from '../utils/spreadsheet';
+import { guessColumnMapping, analyzeBatch, countBatchResults, enrichedTable, batchRecords, rowSettingFields } from '../utils/batch';
+import { getUnitOptions, getCanonicalUnit, getPreferredUnit, fromCanonical } from '../utils/units';
+import { Severity } from '../utils/resultSchema';
+import { disorderTitle, severityLabel, renderBatchError } from '../utils/resultRenderer';
+import { t, formatNumber } from '../utils/i18n';
+
+const PAGE_SIZE = 100;
+
+const batchFields = [...Object.keys(physiologicalRanges), ...rowSettingFields];
+
+const settingLabels = { sampleType: 'sampleType.label', patientCategory: 'patientCategory.label' };
+const fieldLabel = (field) => (settingLabels[field] ? t(settingLabels[field]) : t(`fields.${field}`, null, field));
+
+// Blood gas columns of the results grid, with their display decimals
+const gridFields = { ph: 2, paco2: 1, hco3: 1 };
+
+const severityOrder = Object.values(Severity);
+
+const sortValue = (result, key) => {
+  if (key in gridFields) return result.values[key] ?? -Infinity;
+  if (key === 'interpretation') return result.summary?.interpretation ?? '';
+  if (key === 'severity') return result.summary ? severityOrder.indexOf(result.summary.severity) : -1;
+  if (key === 'status') return result.errors.length;
+  return result.row;
+};
+
+const download = (content, type, fileName) => {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Batch mode: analyze every row of a CSV/XLSX file, review the results and export the enriched table
+function BatchAnalysis({ onAnalyze, isResetting, referenceProfile, unitSystem = 'conventional' }) {
+  const [fileName, setFileName] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]); // Data rows (cell strings)
+  const [mapping, setMapping] = useState([]); // Per column: { field, unit } or null
+  const [sample, setSample] = useState({ sampleType: 'arterial', estimateArterial: false });
+  const [patientCategory, setPatientCategory] = useState('auto');
+  const [progress, setProgress] = useState(null); // { done, total } while running
+  const [results, setResults] = useState(null);
+  const [sort, setSort] = useState({ key: 'row', direction: 1 });
+  const [errorsOnly, setErrorsOnly] = useState(false);
+  const [page, setPage] = useState(0);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const fileInputRef = useRef(null);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    if (isResetting) {
+      abortRef.current?.abort();
+      abortRef.current = null;
+      setProgress(null);
+      setFileName(null);
+      setHeaders([]);
+      setRows([]);
+      setMapping([]);
+      setResults(null);
+      setMessage(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  }, [isResetting]);
+
+  // Stop a running batch when the tab is left
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    setResults(null);
+    setMessage(null);
+    try {
+      const [header = [], ...data] = await readSpreadsheet(file);
+      if (data.length === 0) throw new Error(t('batch.noRows'));
+      setFileName(file.name);
+      setHeaders(header.map((cell, index) => cell.trim() || t('batch.unnamedColumn', { number: formatNumber(index + 1) })));
+      setRows(data);
+      setMapping(guessColumnMapping(header, batchFields, data[0]));
+    } catch (error) {
+      console.error("Could not read the batch file:", error);
+      setFileName(null);
+      setRows([]);
+      setMessage({ type: 'error', text: t('batch.readFailed', { message: error.message }) });
+    }
+  };
+
+  const handleFieldChange = (index, field) => {
+    setMapping(prev => prev.map((column, position) => {
+      if (position === index) return field ? { field, unit: getCanonicalUnit(field) || '' } : null;
+      return column?.field === field ? null : column; // A field comes from one column only
+    }));
+  };
+
+  const handleUnitChange = (index, unit) => {
+    setMapping(prev => prev.map((column, position) => (position === index ? { ...column, unit } : column)));
+  };
+
+  const mappedFields = mapping.filter(Boolean).map(column => column.field);
+  const missingRequired = ['ph', 'paco2', 'hco3'].filter(field => !mappedFields.includes(field));
+
+  const handleRun = async () => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    setResults(null);
+    setMessage(null);
+    setPage(0);
+    setProgress({ done: 0, total: rows.length });
+    const batch = await analyzeBatch(rows, mapping, {
+      ranges: physiologicalRanges,
+      defaults: { ...sample, patientCategory },
+      profile: referenceProfile,
+      onProgress: (done, total) => setProgress({ done, total }),
+      signal: controller.signal
+    });
+    if (abortRef.current !== controller) return; // Reset while running
+    abortRef.current = null;
+    setProgress(null);
+    setResults(batch);
+    if (controller.signal.aborted) setMessage({ type: 'error', text: t('batch.cancelled', { done: formatNumber(batch.length), total: formatNumber(rows.length) }) });
+  };
+
+  const handleCancel = () => abortRef.current?.abort();
+
+  const handleSort = (key) => {
+    setSort(prev => ({ key, direction: prev.key === key ? -prev.direction : 1 }));
+    setPage(0);
+  };
+
+  const baseName = (fileName || 'batch').replace(/\.[^.]+$/, '');
+
+  const handleExportCsv = () => {
+    download(`\uFEFF${toCsv(enrichedTable(headers, rows, results, renderBatchError))}`, 'text/csv;charset=utf-8', `${baseName}-abg-results.csv`);
+  };
+
+  const handleExportJson = () => {
+    download(JSON.stringify(batchRecords(headers, rows, results, renderBatchError), null, 2), 'application/json', `${baseName}-abg-results.json`);
+  };
+
+  const counts = useMemo(() => (results ? countBatchResults(results) : null), [results]);
+
+  const sorted = useMemo(() => {
+    if (!results) return [];
+    const shown = errorsOnly ? results.filter(result => result.errors.length > 0) : results;
+    return [...shown].sort((a, b) => {
+      const [x, y] = [sortValue(a, sort.key), sortValue(b, sort.key)];
+      return (typeof x === 'string' ? x.localeCompare(y) : x - y) * sort.direction || a.row - b.row;
+    });
+  }, [results, sort, errorsOnly]);
+
+  const pageCount = Math.max(1, Math.ceil(sorted.length / PAGE_SIZE));
+  const pageRows = sorted.slice(page * PAGE_SIZE, (page + 1) * PAGE_SIZE);
+
+  const displayUnit = (field) => getPreferredUnit(field, unitSystem);
+  const formatGridValue = (field, value) => (value === undefined ? '—' : formatNumber(displayUnit(field) ? fromCanonical(field, value, displayUnit(field)) : value, gridFields[field]));
+
+  const sortHeader = (key, label) => (
+    <th aria-sort={sort.key === key ? (sort.direction > 0 ? 'ascending' : 'descending') : 'none'}>
+      <button type="button" className="batch-sort" onClick={() => handleSort(key)}>
+        {label} <FontAwesomeIcon icon={sort.key !== key ? faSort : sort.direction > 0 ? faSortUp : faSortDown} />
+      </button>
+    </th>
+  );
+
+  return (
+    <div className="batch-analysis">
+      <h3>{t('batch.title')}</h3>
+      <p className="assumption-note">{t('batch.info')}</p>
+      <div className="hl7-actions">
+        <button type="button" className="btn btn-secondary" onClick={() => fileInputRef.current?.click()} disabled={!!progress}>
+          <FontAwesomeIcon icon={faFileUpload} /> {t('batch.upload')}
+        </button>
+        {fileName && <span>{t('batch.file', { file: fileName, rows: formatNumber(rows.length) })}</span>}
+        <input type="file" ref={fileInputRef} accept=".csv,.tsv,.txt,.xlsx,text/csv" hidden onChange={handleFileChange} />
+      </div>
+      {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+
+      {rows.length > 0 && (
+        <>
+          <details className="differential-category batch-mapping" open={!results}>
+            <summary>{t('batch.mapping')}</summary>
+            <div className="ocr-data-container">
+              <table className="ocr-table">
+                <thead>
+                  <tr><th>{t('batch.columnHeader')}</th><th>{t('batch.example')}</th><th>{t('hl7.field')}</th><th>{t('verify.unit')}</th></tr>
+                </thead>
+                <tbody>
+                  {headers.map((header, index) => (
+                    <tr key={index}>
+                      <td>{header}</td>
+                      <td>{rows[0][index]}</td>
+                      <td>
+                        <select value={mapping[index]?.field || ''} aria-label={t('batch.fieldOf', { column: header })} onChange={(e) => handleFieldChange(index, e.target.value)}>
+                          <option value="">{t('batch.ignore')}</option>
+                          {batchFields.map(field => <option key={field} value={field}>{fieldLabel(field)}</option>)}
+                        </select>
+                      </td>
+                      <td>
+                        {mapping[index] && getUnitOptions(mapping[index].field).length > 1 ? (
+                          <select
+                            className="unit-select"
+                            value={mapping[index].unit}
+                            aria-label={t('form.unitAriaLabel', { label: fieldLabel(mapping[index].field) })}
+                            onChange={(e) => handleUnitChange(index, e.target.value)}
+                          >
+                            {getUnitOptions(mapping[index].field).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                          </select>
+                        ) : (mapping[index]?.unit || '')}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <p className="assumption-note">{t('batch.defaults')}</p>
+            <SampleTypeSelector sampleType={sample.sampleType} estimateArterial={sample.estimateArterial} onChange={setSample} />
+            <PatientCategorySelector patientCategory={patientCategory} onChange={setPatientCategory} />
+          </details>
+
+          {missingRequired.length > 0 && (
+            <p className="error-message">{t('batch.unmappedRequired', { fields: missingRequired.map(fieldLabel).join(', ') })}</p>
+          )}
+          <div className="hl7-actions">
+            {progress ? (
+              <>
+                <progress value={progress.done} max={progress.total} />
+                <span>{t('batch.progress', { done: formatNumber(progress.done), total: formatNumber(progress.total) })}</span>
+                <button type="button" className="btn btn-secondary" onClick={handleCancel}>
+                  <FontAwesomeIcon icon={faStop} /> {t('batch.cancel')}
+                </button>
+              </>
+            ) : (
+              <button type="button" className="btn btn-primary" onClick={handleRun} disabled={missingRequired.length > 0}>
+                <FontAwesomeIcon icon={faPlay} /> {t('batch.run', { rows: formatNumber(rows.length) })}
+              </button>
+            )}
+          </div>
+        </>
+      )}
+
+      {results && (
+        <>
+          <div className="differential-category batch-summary">
+            <h4>{t('batch.summary', { analyzed: formatNumber(results.length - counts.errors), errors: formatNumber(counts.errors) })}</h4>
+            <ul>
+              {Object.entries(counts.disorders).sort((a, b) => b[1] - a[1]).map(([code, count]) => (
+                <li key={code}>{disorderTitle(code)}: {formatNumber(count)}</li>
+              ))}
+              <li>{t('batch.normal')}: {formatNumber(counts.normal)}</li>
+              {counts.undetermined > 0 && <li>{t('batch.undetermined')}: {formatNumber(counts.undetermined)}</li>}
+            </ul>
+            <div className="hl7-actions">
+              <button type="button" className="btn btn-secondary" onClick={handleExportCsv}>
+                <FontAwesomeIcon icon={faFileCsv} /> {t('batch.exportCsv')}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={handleExportJson}>
+                <FontAwesomeIcon icon={faFileExport} /> {t('batch.exportJson')}
+              </button>
+              <label className="estimate-option">
+                <input type="checkbox" checked={errorsOnly} onChange={(e) => { setErrorsOnly(e.target.checked); setPage(0); }} />
+                {t('batch.errorsOnly')}
+              </label>
+            </div>
+          </div>
+
+          <div className="ocr-data-container">
+            <table className="ocr-table batch-grid">
+              <thead>
+                <tr>
+                  {sortHeader('row', t('batch.row'))}
+                  {Object.keys(gridFields).map(field => (
+                    <React.Fragment key={field}>{sortHeader(field, displayUnit(field) ? `${fieldLabel(field)} (${displayUnit(field)})` : fieldLabel(field))}</React.Fragment>
+                  ))}
+                  {sortHeader('interpretation', t('batch.interpretation'))}
+                  {sortHeader('severity', t('severity.title'))}
+                  {sortHeader('status', t('batch.status'))}
+                  <th aria-label={t('batch.open')} />
+                </tr>
+              </thead>
+              <tbody>
+                {pageRows.map(result => (
+                  <tr key={result.row} className={result.errors.length > 0 ? 'batch-row-error' : ''}>
+                    <td>{formatNumber(result.row)}</td>
+                    {Object.keys(gridFields).map(field => <td key={field}>{formatGridValue(field, result.values[field])}</td>)}
+                    <td>{result.summary?.interpretation || ''}</td>
+                    <td>{result.summary ? severityLabel(result.summary.severity) : ''}</td>
+                    <td>{result.errors.length > 0 ? result.errors.map(renderBatchError).join('; ') : t('batch.ok')}</td>
+                    <td>
+                      {result.summary && (
+                        <button
+                          type="button"
+                          className="batch-open"
+                          onClick={() => onAnalyze(result.values, { type: 'batch', fileName, row: result.row })}
+                          title={t('batch.open')}
+                          aria-label={t('batch.openRow', { row: formatNumber(result.row) })}
+                        >
+                          <FontAwesomeIcon icon={faSearch} />
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {pageCount > 1 && (
+            <div className="hl7-actions batch-pages">
+              <button type="button" className="btn btn-secondary" onClick={() => setPage(page - 1)} disabled={page === 0}>{t('batch.previous')}</button>
+              <span>{t('batch.page', { page: formatNumber(page + 1), pages: formatNumber(pageCount) })}</span>
+              <button type="button" className="btn btn-secondary" onClick={() => setPage(page + 1)} disabled={page >= pageCount - 1}>{t('batch.next')}</button>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BatchAnalysis;
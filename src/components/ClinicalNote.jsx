@@ -0,0 +1,67 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faCopy, faUndo } from '@fortawesome/free-solid-svg-icons';
+import { listNoteTemplates, renderNote } from '../utils/clinicalNote';
+import { t } from '../utils/i18n';
+
+// Plain-text note of the analysis from a note template, edited here and copied into the EHR
+function ClinicalNote({ results, exportContext, templates }) {
+  const options = listNoteTemplates(templates);
+  const [templateId, setTemplateId] = useState(options[0].id);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const template = options.find(option => option.id === templateId) || options[0];
+
+  // @DATE@ is the sample time when one was recorded
+  const generated = useMemo(() => {
+    const date = exportContext?.effectiveDateTime ? new Date(exportContext.effectiveDateTime) : new Date();
+    return renderNote(template.text, results, { date: isNaN(date) ? new Date() : date });
+  }, [template.text, results, exportContext]);
+  const [note, setNote] = useState(generated);
+
+  useEffect(() => {
+    setNote(generated);
+    setMessage(null);
+  }, [generated]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(note);
+      setMessage({ type: 'success', text: t('notes.copied') });
+    } catch (error) {
+      console.error("Could not copy the note:", error);
+      setMessage({ type: 'error', text: t('notes.copyFailed') });
+    }
+  };
+
+  return (
+    <details className="differential-category clinical-note">
+      <summary>{t('notes.title')}</summary>
+      <p className="assumption-note">{t('notes.info')}</p>
+
+      <div className="report-fields">
+        <label>
+          {t('notes.template')}
+          <select value={template.id} onChange={(e) => setTemplateId(e.target.value)}>
+            {options.map(option => <option key={option.id} value={option.id}>{option.name}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <textarea className="clinical-note-text" rows={12} value={note} onChange={(e) => setNote(e.target.value)} aria-label={t('notes.preview')} spellCheck={false} dir="auto" />
+
+      <div className="hl7-actions">
+        <button type="button" className="btn btn-primary" onClick={handleCopy}>
+          <FontAwesomeIcon icon={faCopy} /> {t('notes.copy')}
+        </button>
+        {note !== generated && (
+          <button type="button" className="btn btn-secondary" onClick={() => setNote(generated)}>
+            <FontAwesomeIcon icon={faUndo} /> {t('notes.discardEdits')}
+          </button>
+        )}
+      </div>
+      {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+    </details>
+  );
+}
+
+export default ClinicalNote;
@@ -0,0 +1,67 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlus, faTrash } from '@fortawesome/free-solid-svg-icons';
+import { createEncounter } from '../utils/trend';
+import { t, formatNumber } from '../utils/i18n';
+
+// Patient / encounter that serial samples are attached to, and the time of the next sample
+function EncounterSelector({ encounters, activeEncounterId, sampleTime, onEncountersChange, onActiveEncounterChange, onSampleTimeChange }) {
+  const [newLabel, setNewLabel] = useState('');
+  const activeEncounter = encounters.find(encounter => encounter.id === activeEncounterId);
+
+  const handleCreate = () => {
+    if (!newLabel.trim()) return;
+    const encounter = createEncounter(newLabel.trim());
+    onEncountersChange([...encounters, encounter]);
+    onActiveEncounterChange(encounter.id);
+    setNewLabel('');
+  };
+
+  const handleDelete = () => {
+    if (!activeEncounter || !window.confirm(t('encounter.deleteConfirm', { label: activeEncounter.label, count: formatNumber(activeEncounter.samples.length) }))) return;
+    onEncountersChange(encounters.filter(encounter => encounter.id !== activeEncounter.id));
+    onActiveEncounterChange(null);
+  };
+
+  return (
+    <div className="encounter-selector">
+      <div className="encounter-row">
+        <label htmlFor="encounter">{t('encounter.label')}</label>
+        <select id="encounter" value={activeEncounterId || ''} onChange={(e) => onActiveEncounterChange(e.target.value || null)}>
+          <option value="">{t('encounter.none')}</option>
+          {encounters.map(encounter => (
+            <option key={encounter.id} value={encounter.id}>
+              {t('encounter.option', { label: encounter.label, count: formatNumber(encounter.samples.length) })}
+            </option>
+          ))}
+        </select>
+        {activeEncounter && (
+          <button type="button" className="btn btn-secondary encounter-delete" onClick={handleDelete} title={t('encounter.delete')} aria-label={t('encounter.delete')}>
+            <FontAwesomeIcon icon={faTrash} />
+          </button>
+        )}
+      </div>
+      <div className="encounter-row">
+        <input
+          type="text"
+          value={newLabel}
+          placeholder={t('encounter.newPlaceholder')}
+          aria-label={t('encounter.newPlaceholder')}
+          onChange={(e) => setNewLabel(e.target.value)}
+          onKeyDown={(e) => { if (e.key === 'Enter') { e.preventDefault(); handleCreate(); } }}
+        />
+        <button type="button" className="btn btn-secondary" onClick={handleCreate} disabled={!newLabel.trim()}>
+          <FontAwesomeIcon icon={faPlus} /> {t('encounter.create')}
+        </button>
+      </div>
+      {activeEncounter && (
+        <div className="encounter-row">
+          <label htmlFor="sample-time">{t('encounter.sampleTime')}</label>
+          <input id="sample-time" type="datetime-local" value={sampleTime} onChange={(e) => onSampleTimeChange(e.target.value)} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default EncounterSelector;
@@ -0,0 +1,101 @@
+import React, { useState } from 'react';
+import SampleTypeSelector from './SampleTypeSelector';
+import PatientCategorySelector from './PatientCategorySelector';
+import { getPreferredUnit, getUnitOptions, convertValuesToCanonical } from '../utils/units';
+import { t } from '../utils/i18n';
+
+// Verification table for values read from a report (OCR or HL7 import). Values stay in their reported
+// units until "Verify & Analyze"; the parent remounts it (key) for every new set of values.
+function ExtractedValues({ title, values: initialValues, units: initialUnits = {}, sources = {}, sampleType = 'arterial', unitSystem = 'conventional', onAnalyze, onError }) {
+  const [values, setValues] = useState(initialValues);
+  const [units, setUnits] = useState(initialUnits);
+  const [sample, setSample] = useState({ sampleType, estimateArterial: false });
+  const [patientCategory, setPatientCategory] = useState('auto');
+
+  const handleValueChange = (key, value) => {
+    const numericValue = value === '' ? '' : parseFloat(value);
+    setValues(prev => ({
+      ...prev,
+      [key]: isNaN(numericValue) ? '' : numericValue // Store numeric or empty string
+    }));
+  };
+
+  const handleAnalyze = () => {
+    // Filter out non-numeric or empty values before sending to analysis
+    const valuesToAnalyze = Object.entries(values).reduce((acc, [key, value]) => {
+      if (value !== '' && !isNaN(value)) {
+        acc[key] = value;
+      }
+      return acc;
+    }, {});
+
+    const requiredFields = ['ph', 'paco2', 'hco3'];
+    const missingRequired = requiredFields.filter(key => valuesToAnalyze[key] === undefined);
+    if (missingRequired.length > 0) {
+      onError(t('form.errors.missingRequired', { fields: missingRequired.join(', ') }));
+      return;
+    }
+
+    // Values are in the reported (or user-corrected) units; results are rendered in the same units
+    const displayUnits = Object.keys(valuesToAnalyze).reduce((acc, key) => {
+      const unit = units[key] || getPreferredUnit(key, unitSystem);
+      if (unit) acc[key] = unit;
+      return acc;
+    }, {});
+    onAnalyze({ ...convertValuesToCanonical(valuesToAnalyze, displayUnits), ...sample, patientCategory, displayUnits });
+  };
+
+  return (
+    <div className="ocr-results">
+      <h3>{title}</h3>
+      <SampleTypeSelector
+        sampleType={sample.sampleType}
+        estimateArterial={sample.estimateArterial}
+        onChange={setSample}
+      />
+      <PatientCategorySelector patientCategory={patientCategory} onChange={setPatientCategory} />
+      <div className="ocr-data-container">
+        <table className="ocr-table">
+          <thead>
+            <tr><th>{t('verify.parameter')}</th><th>{t('verify.value')}</th><th>{t('verify.unit')}</th><th>{t('verify.source')}</th></tr>
+          </thead>
+          <tbody>
+            {Object.entries(values).map(([key, value]) => (
+              <tr key={key}>
+                <td>{t(`fields.${key}`, null, key)}</td>
+                <td>
+                  <input
+                    type="number"
+                    id={`ocr-${key}`}
+                    value={value}
+                    onChange={(e) => handleValueChange(key, e.target.value)}
+                    step="0.01" // Adjust step based on parameter if needed
+                    className="ocr-value-input"
+                  />
+                </td>
+                <td>
+                  {getUnitOptions(key).length > 1 ? (
+                    <select
+                      className="unit-select"
+                      value={units[key] || getPreferredUnit(key, unitSystem)}
+                      onChange={(e) => setUnits(prev => ({ ...prev, [key]: e.target.value }))}
+                      aria-label={t('form.unitAriaLabel', { label: t(`fields.${key}`, null, key) })}
+                    >
+                      {getUnitOptions(key).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                  ) : (units[key] || '')}
+                </td>
+                <td>{sources[key]}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <button onClick={handleAnalyze} className="btn btn-primary analyze-btn">
+        {t('verify.analyze')}
+      </button>
+    </div>
+  );
+}
+
+export default ExtractedValues;
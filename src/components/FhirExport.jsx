@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileExport, faPaperPlane } from '@fortawesome/free-solid-svg-icons';
+import { buildFhirBundle, loadFhirEndpoint, saveFhirEndpoint, sendFhirBundle } from '../utils/fhir';
+import { t, formatNumber } from '../utils/i18n';
+
+// FHIR R4 Bundle of the result: download, or POST to a configurable server (remembered in localStorage)
+function FhirExport({ results, exportContext }) {
+  const [endpoint, setEndpoint] = useState(loadFhirEndpoint);
+  const [isSending, setIsSending] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+
+  const handleDownload = () => {
+    const bundle = buildFhirBundle(results, exportContext);
+    const blob = new Blob([JSON.stringify(bundle, null, 2)], { type: 'application/fhir+json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `abg-fhir-${bundle.timestamp.slice(0, 19).replace(/:/g, '-')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleSend = async (e) => {
+    e.preventDefault();
+    saveFhirEndpoint(endpoint);
+    setIsSending(true);
+    setMessage(null);
+    try {
+      const response = await sendFhirBundle(buildFhirBundle(results, exportContext), endpoint);
+      setMessage({ type: 'success', text: t('fhir.sent', { count: formatNumber(response?.entry?.length ?? 0) }) });
+    } catch (error) {
+      console.error("FHIR export failed:", error);
+      setMessage({ type: 'error', text: t('fhir.sendFailed', { message: error.message }) });
+    }
+    setIsSending(false);
+  };
+
+  return (
+    <details className="differential-category fhir-export">
+      <summary>{t('fhir.title')}</summary>
+      <p className="assumption-note">{t('fhir.info')}</p>
+      <button type="button" className="btn btn-secondary" onClick={handleDownload}>
+        <FontAwesomeIcon icon={faFileExport} /> {t('fhir.download')}
+      </button>
+      <form className="fhir-export-send" onSubmit={handleSend}>
+        <label htmlFor="fhir-endpoint">{t('fhir.endpoint')}</label>
+        <input id="fhir-endpoint" type="url" value={endpoint} placeholder="http://localhost:8080/fhir" onChange={(e) => setEndpoint(e.target.value)} />
+        <button type="submit" className="btn btn-secondary" disabled={!endpoint || isSending}>
+          <FontAwesomeIcon icon={faPaperPlane} /> {t(isSending ? 'fhir.sending' : 'fhir.send')}
+        </button>
+      </form>
+      {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+    </details>
+  );
+}
+
+export default FhirExport;
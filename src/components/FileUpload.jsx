@@ -1,6 +1,9 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faFileUpload, faCamera, faSpinner, faBrain } from '@fortawesome/free-solid-svg-icons';
+import ExtractedValues from './ExtractedValues';
+import { getUnitOptions, parseUnitLabel, inferUnit } from '../utils/units';
+import { t } from '../utils/i18n';
 // Import pdfjs library
 import * as pdfjsLib from 'pdfjs-dist/build/pdf';
 
@@ -13,15 +16,17 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdf.worker.mjs';
 const GEMINI_API_KEY = import.meta.env.VITE_GEMINI_API_KEY;
 const API_ENDPOINT = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${GEMINI_API_KEY}`;
 
-function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
+function FileUpload({ onAnalyze, onError, onLoading, isResetting, unitSystem = 'conventional' }) {
   const [isProcessing, setIsProcessing] = useState(false);
   const [ocrResults, setOcrResults] = useState(null); // { ph: 7.4, ... }
+  const [ocrUnits, setOcrUnits] = useState({}); // { paco2: 'kPa', ... } unit each extracted value is reported in
   const [ocrError, setOcrError] = useState(null);
-  const [loadingMessage, setLoadingMessage] = useState('');
+  const [loadingMessage, setLoadingMessage] = useState(null); // { key, params } of an upload.loading.* message
   const [isDragging, setIsDragging] = useState(false);
   const [showCamera, setShowCamera] = useState(false);
   const [pdfThumbnails, setPdfThumbnails] = useState([]);
   const [selectedPdfPage, setSelectedPdfPage] = useState(null);
+  const [source, setSource] = useState(null); // Where the values come from, kept with the analysis in the history
 
   const fileInputRef = useRef(null);
   const videoRef = useRef(null);
@@ -40,12 +45,14 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
     console.log("FileUpload: Resetting local state");
     setIsProcessing(false);
     setOcrResults(null);
+    setOcrUnits({});
     setOcrError(null);
-    setLoadingMessage('');
+    setLoadingMessage(null);
     setIsDragging(false);
     setShowCamera(false);
     setPdfThumbnails([]);
     setSelectedPdfPage(null);
+    setSource(null);
     if (fileInputRef.current) fileInputRef.current.value = '';
     if (pdfDocRef.current) pdfDocRef.current = null;
     stopCameraStream();
@@ -101,13 +108,15 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
     setIsProcessing(true);
 
     if (file.type.startsWith('image/')) {
-      setLoadingMessage('Processing image...');
+      setSource({ type: 'ocr', fileName: file.name });
+      setLoadingMessage({ key: 'image' });
       processImage(file);
     } else if (file.type === 'application/pdf') {
-      setLoadingMessage('Loading PDF...');
+      setSource({ type: 'pdf', fileName: file.name });
+      setLoadingMessage({ key: 'pdf' });
       processPDF(file);
     } else {
-      onError('Unsupported file type. Please upload an image or PDF.');
+      onError(t('upload.errors.unsupported'));
       setIsProcessing(false);
     }
   };
@@ -116,15 +125,15 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
     const reader = new FileReader();
     reader.onload = (e) => callGeminiAPI(e.target.result); // Pass base64 string
     reader.onerror = () => {
-      onError("Error reading image file.");
+      onError(t('upload.errors.readImage'));
       setIsProcessing(false);
-      setLoadingMessage('');
+      setLoadingMessage(null);
     };
     reader.readAsDataURL(imageFile);
   };
 
   const processPDF = async (pdfFile) => {
-    setLoadingMessage("Loading PDF document...");
+    setLoadingMessage({ key: 'pdfDocument' });
     const reader = new FileReader();
 
     reader.onload = async (e) => {
@@ -134,24 +143,24 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
             const pdfDoc = await pdfjsLib.getDocument({ data: typedarray }).promise;
             pdfDocRef.current = pdfDoc; // Store the document object
             console.log(`PDF loaded: ${pdfDoc.numPages} page(s).`);
-            if (pdfDoc.numPages === 0) throw new Error("PDF has no pages.");
+            if (pdfDoc.numPages === 0) throw new Error(t('upload.errors.noPages'));
 
             // Start rendering thumbnails
             displayPdfThumbnails(); // Call the function to render thumbs
 
         } catch (error) {
             console.error("Error loading/parsing PDF:", error);
-            onError(`Failed to load PDF: ${error.message}`);
+            onError(t('upload.errors.loadPdf', { message: error.message }));
             setIsProcessing(false);
-            setLoadingMessage('');
+            setLoadingMessage(null);
             pdfDocRef.current = null; // Clear ref on error
         }
     };
     reader.onerror = (e) => {
          console.error("FileReader error:", e);
-         onError("Error reading PDF file.");
+         onError(t('upload.errors.readPdf'));
          setIsProcessing(false);
-         setLoadingMessage('');
+         setLoadingMessage(null);
     };
     reader.readAsArrayBuffer(pdfFile); // Read as ArrayBuffer for pdf.js
   };
@@ -184,16 +193,16 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
                 }
                 setShowCamera(true);
                 handleResetLocalState(); // Reset other inputs when camera starts
-                setLoadingMessage(''); // Clear any previous loading messages
+                setLoadingMessage(null); // Clear any previous loading messages
                 setOcrError(null); // Clear any previous errors
             } catch (err) {
                 console.error('Error accessing camera:', err);
-                onError(`Could not access camera. Error: ${err.name}. Please ensure permission is granted.`);
+                onError(t('upload.errors.camera', { error: err.name }));
                 stopCameraStream(); // Ensure cleanup if error occurs during startup
                 setShowCamera(false);
             }
         } else {
-            onError('Your browser does not support camera access.');
+            onError(t('upload.errors.noCamera'));
             setShowCamera(false);
         }
     }
@@ -211,7 +220,7 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
     const pagesToRender = Math.min(numPages, MAX_THUMBNAILS);
     const thumbs = [];
 
-    setLoadingMessage(`Rendering ${pagesToRender} PDF page thumbnails...`);
+    setLoadingMessage({ key: 'thumbnails', params: { count: pagesToRender } });
     setPdfThumbnails([]); // Clear previous thumbnails
 
     for (let pageNum = 1; pageNum <= pagesToRender; pageNum++) {
@@ -234,18 +243,18 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
 
     setPdfThumbnails(thumbs);
     if (numPages > MAX_THUMBNAILS) {
-        setLoadingMessage(`Showing first ${MAX_THUMBNAILS} pages. Select a page to analyze.`);
+        setLoadingMessage({ key: 'firstPages', params: { count: MAX_THUMBNAILS } });
     } else {
-        setLoadingMessage("Please select a page thumbnail to analyze.");
+        setLoadingMessage({ key: 'selectPage' });
     }
     // Keep isProcessing true until a page is selected or reset
   };
 
   // --- PDF Page Selection & High-Res Render ---
   const handleThumbnailClick = async (pageNum) => {
-    if (isProcessing && loadingMessage.includes('Analyzing')) {
+    if (isProcessing && loadingMessage?.key === 'gemini') {
         // Prevent clicking another thumbnail while Gemini is working
-        alert("Analysis already in progress...");
+        alert(t('upload.analysisInProgress'));
         return;
     }
     if (!pdfDocRef.current) {
@@ -255,8 +264,9 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
 
     console.log(`Thumbnail clicked for page ${pageNum}`);
     setSelectedPdfPage(pageNum);
+    setSource(prev => ({ ...prev, page: pageNum }));
     setIsProcessing(true); // Ensure processing state is active
-    setLoadingMessage(`Rendering page ${pageNum} for analysis...`);
+    setLoadingMessage({ key: 'page', params: { page: pageNum } });
     setOcrResults(null); // Clear previous OCR results
     setOcrError(null);
 
@@ -277,9 +287,9 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
 
     } catch (error) {
         console.error(`Error rendering page ${pageNum} for analysis:`, error);
-        onError(`Failed to render page ${pageNum}: ${error.message}`);
+        onError(t('upload.errors.renderPage', { page: pageNum, message: error.message }));
         setIsProcessing(false);
-        setLoadingMessage('');
+        setLoadingMessage(null);
         setSelectedPdfPage(null);
     }
   };
@@ -292,7 +302,8 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
     }
     console.log("Taking snapshot...");
     setIsProcessing(true); // Set processing state
-    setLoadingMessage("Processing snapshot...");
+    setLoadingMessage({ key: 'snapshot' });
+    setSource({ type: 'ocr' });
     setOcrResults(null); // Clear previous results
     setOcrError(null);
     setPdfThumbnails([]); // Clear PDF thumbs if shown
@@ -350,7 +361,8 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
             event.preventDefault();
             handleResetLocalState(); // Reset before processing
             setIsProcessing(true);
-            setLoadingMessage('Processing pasted image...');
+            setSource({ type: 'ocr' });
+            setLoadingMessage({ key: 'pastedImage' });
             processImage(blob); // Use processImage which reads as base64
             break;
           }
@@ -366,37 +378,37 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
 
   // --- Gemini API Call ---
   const callGeminiAPI = async (base64ImageDataWithPrefix) => {
-    setLoadingMessage('Analyzing image with Gemini...');
+    setLoadingMessage({ key: 'gemini' });
     setOcrError(null);
     setOcrResults(null);
 
     if (!GEMINI_API_KEY || GEMINI_API_KEY === 'YOUR_API_KEY_HERE') {
-        onError("Gemini API Key not configured. Please set VITE_GEMINI_API_KEY in your .env file.");
+        onError(t('upload.errors.apiKey'));
         setIsProcessing(false);
-        setLoadingMessage('');
+        setLoadingMessage(null);
         return;
     }
 
     if (!base64ImageDataWithPrefix || !base64ImageDataWithPrefix.startsWith('data:image')) {
         console.error("Invalid base64 image data provided to callGeminiAPI.");
-        onError("Invalid image data format for API call.");
+        onError(t('upload.errors.invalidImage'));
         setIsProcessing(false);
-        setLoadingMessage('');
+        setLoadingMessage(null);
         return;
     }
 
     const mimeMatch = base64ImageDataWithPrefix.match(/^data:(image\/\w+);base64,/);
     if (!mimeMatch || mimeMatch.length < 2) {
         console.error("Could not extract mime type from base64 string.");
-        onError("Could not determine image type.");
+        onError(t('upload.errors.imageType'));
         setIsProcessing(false);
-        setLoadingMessage('');
+        setLoadingMessage(null);
         return;
     }
     const mimeType = mimeMatch[1];
     const base64Data = base64ImageDataWithPrefix.replace(/^data:image\/\w+;base64,/, '');
 
-    const prompt = `Analyze the provided image which contains Arterial Blood Gas (ABG) results. Extract the following values if present: pH, PaCO2, PaO2, HCO3, Base Excess (BE), SaO2, Sodium (Na), Chloride (Cl), Potassium (K), Albumin. Return the extracted values ONLY as a valid JSON object. Use these exact keys: 'ph', 'paco2', 'pao2', 'hco3', 'be', 'sao2', 'na', 'cl', 'k', 'albumin'. If a value is not found or clearly identifiable, omit its key from the JSON object. Ensure the output is strictly JSON.`;
+    const prompt = `Analyze the provided image which contains Arterial Blood Gas (ABG) results. Extract the following values if present: pH, PaCO2, PaO2, HCO3, Base Excess (BE), SaO2, Sodium (Na), Chloride (Cl), Potassium (K), Albumin, Lactate (Lac), Beta-hydroxybutyrate (BHB, ketones), Glucose (Glu). Return the extracted values ONLY as a valid JSON object. Use these exact keys: 'ph', 'paco2', 'pao2', 'hco3', 'be', 'sao2', 'na', 'cl', 'k', 'albumin', 'lactate', 'bhb', 'glucose'. Each key must map to an object of the form {"value": number, "unit": "unit exactly as printed on the report, e.g. mmHg, kPa, g/dL, g/L, mmol/L, mg/dL"}; use an empty string for the unit if none is printed. If a value is not found or clearly identifiable, omit its key from the JSON object. Ensure the output is strictly JSON.`;
 
     const requestBody = {
         contents: [{ parts: [ { "text": prompt }, { "inline_data": { "mime_type": mimeType, "data": base64Data } } ] }],
@@ -415,16 +427,16 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
         console.log(`Gemini API Raw Response Status: ${response.status}, Status Text: ${response.statusText}`);
 
         if (!response.ok) {
-            let errorBodyText = "Could not read error response body.";
+            let errorBodyText = t('upload.errors.noResponseBody');
             try {
                 errorBodyText = await response.text();
                 console.error('Gemini API Error Response Text:', errorBodyText);
                 const errorBodyJson = JSON.parse(errorBodyText);
-                const errorMessage = errorBodyJson?.error?.message || response.statusText || "Unknown API error";
-                throw new Error(`API Error ${response.status}: ${errorMessage}`);
+                const errorMessage = errorBodyJson?.error?.message || response.statusText || t('upload.errors.unknownApi');
+                throw new Error(t('upload.errors.api', { status: response.status, message: errorMessage }));
             } catch (parseError) {
                  // If parsing fails, use the raw text or status text
-                 throw new Error(`API Error ${response.status}: ${errorBodyText || response.statusText}`);
+                 throw new Error(t('upload.errors.api', { status: response.status, message: errorBodyText || response.statusText }));
             }
         }
 
@@ -440,52 +452,52 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
                 const cleanedString = part.text.replace(/^```json\s*|```$/g, '').trim();
                 parsedValues = JSON.parse(cleanedString);
                 console.log("Parsed Values from Gemini:", parsedValues);
-                const sanitizedValues = sanitizeParsedValues(parsedValues);
+                const { values: sanitizedValues, units: detectedUnits } = sanitizeParsedValues(parsedValues);
                 setOcrResults(sanitizedValues);
+                setOcrUnits(detectedUnits);
                 if (Object.keys(sanitizedValues).length === 0) {
-                    setOcrError("Gemini found no values in the image.");
+                    setOcrError(t('upload.errors.noValues'));
                 } else {
                     setOcrError(null);
                 }
             } catch (e) {
                 console.error("Failed to parse JSON from Gemini text response:", e, "Response text:", part.text);
-                throw new Error("Gemini response was not valid JSON.");
+                throw new Error(t('upload.errors.invalidJson'));
             }
         } else {
              console.warn("Gemini returned success, but no valid content part found in response structure:", result);
-            throw new Error('No valid content returned from Gemini.');
+            throw new Error(t('upload.errors.noContent'));
         }
 
     } catch (error) {
         console.error('Error during Gemini API call or processing:', error);
-        setOcrError(`Gemini API Request Failed: ${error.message}`);
+        setOcrError(t('upload.errors.requestFailed', { message: error.message }));
         setOcrResults(null); // Clear any previous results on error
     } finally {
         setIsProcessing(false);
-        setLoadingMessage('');
+        setLoadingMessage(null);
         console.log("Gemini processing finished.");
     }
   };
 
   // --- OCR Results Handling ---
-  const handleOcrValueChange = (key, value) => {
-    const numericValue = value === '' ? '' : parseFloat(value);
-    setOcrResults(prev => ({
-      ...prev,
-      [key]: isNaN(numericValue) ? '' : numericValue // Store numeric or empty string
-    }));
-  };
-
-  // Helper to sanitize values from Gemini (ensure they are numbers or empty string)
+  // Helper to sanitize values from Gemini (ensure they are numbers or empty string) and resolve their units
   const sanitizeParsedValues = (parsedValues) => {
     const sanitized = {};
-    if (!parsedValues || typeof parsedValues !== 'object') return sanitized;
+    const units = {};
+    if (!parsedValues || typeof parsedValues !== 'object') return { values: sanitized, units };
     for (const key in parsedValues) {
-        const value = parsedValues[key];
+        // Accept both { value, unit } objects and bare values
+        const entry = parsedValues[key];
+        const value = entry && typeof entry === 'object' ? entry.value : entry;
         if (value !== null && value !== undefined) {
             const numValue = parseFloat(String(value).replace(/[^0-9.-]+/g,"")); // Attempt to clean and parse
             if (!isNaN(numValue)) {
                 sanitized[key] = numValue;
+                if (getUnitOptions(key).length > 0) {
+                    // Reported unit first, then a magnitude-based guess (e.g. PaCO₂ 5.3 is kPa, not mmHg)
+                    units[key] = parseUnitLabel(key, entry?.unit) || inferUnit(key, numValue);
+                }
             } else {
                 console.warn(`Gemini returned non-numeric or unparseable value for ${key}: ${value}`);
                 // Optionally keep the original string or set to empty/null based on desired behavior
@@ -493,42 +505,7 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
             }
         }
     }
-    return sanitized;
-  };
-
-
-  const handleProcessOcr = () => {
-    if (!ocrResults) {
-        onError("No OCR results to process.");
-        return;
-    }
-    // Filter out non-numeric or empty values before sending to analysis
-    const valuesToAnalyze = Object.entries(ocrResults).reduce((acc, [key, value]) => {
-        if (value !== '' && !isNaN(value)) {
-            acc[key] = value;
-        }
-        return acc;
-    }, {});
-
-    console.log("Submitting OCR results for analysis:", valuesToAnalyze);
-    // Check for required fields after filtering
-    const requiredFields = ['ph', 'paco2', 'hco3'];
-    const missingRequired = requiredFields.filter(key => valuesToAnalyze[key] === undefined);
-    if (missingRequired.length > 0) {
-        onError(`Analysis requires at least pH, PaCO₂, and HCO₃⁻ values from OCR. Missing: ${missingRequired.join(', ')}`);
-        return;
-    }
-
-    onAnalyze(valuesToAnalyze);
-  };
-
-  // --- Helper to format names ---
-  const formatParameterName = (key) => {
-    const nameMap = {
-        ph: 'pH', paco2: 'PaCO₂', pao2: 'PaO₂', hco3: 'HCO₃⁻', be: 'Base Excess',
-        sao2: 'SaO₂', na: 'Na⁺', cl: 'Cl⁻', k: 'K⁺', albumin: 'Albumin'
-    };
-    return nameMap[key] || key.toUpperCase();
+    return { values: sanitized, units };
   };
 
 
@@ -546,10 +523,10 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
         onClick={triggerFileInput}
         role="button"
         tabIndex={0}
-        aria-label="Upload image or PDF file"
+        aria-label={t('upload.dropzoneLabel')}
       >
         <FontAwesomeIcon icon={faFileUpload} />
-        <p>Drag & Drop image or PDF here or click to upload</p>
+        <p>{t('upload.dropzone')}</p>
         <input
           type="file"
           id="file-input"
@@ -562,7 +539,7 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
 
       {/* Camera Button & Preview */}
       <button onClick={toggleCamera} className="btn btn-secondary camera-btn" disabled={isProcessing}>
-        <FontAwesomeIcon icon={faCamera} /> {showCamera ? 'Stop Camera' : 'Take Photo'}
+        <FontAwesomeIcon icon={faCamera} /> {showCamera ? t('upload.stopCamera') : t('upload.takePhoto')}
       </button>
       {showCamera && (
         <video id="camera-preview" ref={videoRef} hidden={!showCamera} playsInline autoPlay muted></video>
@@ -574,7 +551,7 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
       {/* PDF Preview Area */}
       {pdfThumbnails.length > 0 && !ocrResults && !ocrError && ( // Show only when thumbnails are ready and no OCR result/error
          <div id="pdf-preview-area">
-            <p>{loadingMessage.includes('Rendering') ? loadingMessage : 'Select the page containing ABG results:'}</p>
+            <p>{loadingMessage?.key === 'thumbnails' ? t('upload.loading.thumbnails', loadingMessage.params) : t('upload.selectPage')}</p>
             <div id="pdf-thumbnail-container" className="pdf-thumbnails">
                 {pdfThumbnails.map(thumb => (
                     <div
@@ -583,15 +560,15 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
                         onClick={() => handleThumbnailClick(thumb.pageNum)}
                         role="button"
                         tabIndex={0}
-                        aria-label={`Select PDF page ${thumb.pageNum}`}
+                        aria-label={t('upload.selectPageLabel', { page: thumb.pageNum })}
                     >
-                        <img src={thumb.dataUrl} alt={`Page ${thumb.pageNum} thumbnail`} />
-                        <span>Page {thumb.pageNum}</span>
+                        <img src={thumb.dataUrl} alt={t('upload.thumbnailAlt', { page: thumb.pageNum })} />
+                        <span>{t('upload.page', { page: thumb.pageNum })}</span>
                     </div>
                 ))}
                 {pdfDocRef.current && pdfDocRef.current.numPages > pdfThumbnails.length && (
                     <p style={{ width: '100%', textAlign: 'center', fontSize: 'var(--font-size-sm)', color: 'var(--text-muted)' }}>
-                        Showing first {pdfThumbnails.length} pages.
+                        {t('upload.firstPages', { count: pdfThumbnails.length })}
                     </p>
                 )}
             </div>
@@ -602,7 +579,7 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
       {/* Loading/Processing Indicator */}
       {isProcessing && loadingMessage && (
         <div className="loading">
-          <FontAwesomeIcon icon={faSpinner} spin /> {loadingMessage}
+          <FontAwesomeIcon icon={faSpinner} spin /> {t(`upload.loading.${loadingMessage.key}`, loadingMessage.params)}
         </div>
       )}
 
@@ -614,37 +591,18 @@ function FileUpload({ onAnalyze, onError, onLoading, isResetting }) {
 
       {/* OCR Results Display Area */}
       {ocrResults && !isProcessing && !ocrError && (
-        <div className="ocr-results">
-          <h3>Extracted Values (Editable)</h3>
-          <div className="ocr-data-container">
-            <table className="ocr-table">
-              <thead>
-                <tr><th>Parameter</th><th>Value</th><th>Source</th></tr>
-              </thead>
-              <tbody>
-                {Object.entries(ocrResults).map(([key, value]) => (
-                  <tr key={key}>
-                    <td>{formatParameterName(key)}</td>
-                    <td>
-                      <input
-                        type="number"
-                        id={`ocr-${key}`}
-                        value={value}
-                        onChange={(e) => handleOcrValueChange(key, e.target.value)}
-                        step="0.01" // Adjust step based on parameter if needed
-                        className="ocr-value-input"
-                      />
-                    </td>
-                    <td><FontAwesomeIcon icon={faBrain} className="success-icon" title="Extracted by Gemini" /> Gemini</td>
-                  </tr>
-                ))}
-              </tbody>
-            </table>
-          </div>
-          <button onClick={handleProcessOcr} className="btn btn-primary analyze-btn" disabled={isProcessing}>
-            Verify & Analyze
-          </button>
-        </div>
+        <ExtractedValues
+          title={t('upload.extracted')}
+          values={ocrResults}
+          units={ocrUnits}
+          sources={Object.keys(ocrResults).reduce((acc, key) => ({
+            ...acc,
+            [key]: <><FontAwesomeIcon icon={faBrain} className="success-icon" title={t('upload.extractedBy')} /> Gemini</>
+          }), {})}
+          unitSystem={unitSystem}
+          onAnalyze={(values) => onAnalyze(values, source || { type: 'ocr' })}
+          onError={onError}
+        />
       )}
     </div>
   );
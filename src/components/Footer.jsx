@@ -1,10 +1,11 @@
 import React from 'react';
+import { t } from '../utils/i18n';
 
 function Footer() {
   return (
     <footer className="app-footer">
-      <p className="disclaimer">For educational purposes only. Not a substitute for clinical judgment.</p>
-      <p>Developed by TA</p> {/* Consider making this dynamic or configurable if needed */}
+      <p className="disclaimer">{t('app.disclaimer')}</p>
+      <p>{t('app.developedBy')}</p> {/* Consider making this dynamic or configurable if needed */}
     </footer>
   );
 }
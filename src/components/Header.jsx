@@ -1,6 +1,7 @@
 import React from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
 import { faExternalLinkAlt } from '@fortawesome/free-solid-svg-icons';
+import { t } from '../utils/i18n';
 
 function Header() {
   return (
@@ -10,12 +11,12 @@ function Header() {
         target="_blank"
         rel="noopener noreferrer" // Added for security
         className="ats-link"
-        title="ATS ABG Guidelines"
+        title={t('app.atsLinkTitle')}
       >
-        <FontAwesomeIcon icon={faExternalLinkAlt} /> ATS Guidelines
+        <FontAwesomeIcon icon={faExternalLinkAlt} /> {t('app.atsLink')}
       </a>
-      <h1>ABG Analyzer</h1>
-      <p>Using American Thoracic Society (ATS) Six-Step Integration</p>
+      <h1>{t('app.title')}</h1>
+      <p>{t('app.subtitle')}</p>
     </header>
   );
 }
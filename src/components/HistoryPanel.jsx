@@ -0,0 +1,212 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFolderOpen, faCopy, faTrash, faLock, faLockOpen } from '@fortawesome/free-solid-svg-icons';
+import {
+  getEncryptionState, unlockHistory, lockHistory, setHistoryPassphrase, removeHistoryPassphrase,
+  loadHistory, deleteHistoryEntry, filterHistory
+} from '../utils/history';
+import { renderInterpretation, renderHistorySource, disorderTitle } from '../utils/resultRenderer';
+import { t, formatNumber, getLocale } from '../utils/i18n';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const formatTime = (time) => new Date(time).toLocaleString(getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+
+const emptyFilters = { query: '', disorder: '', from: '', to: '' };
+
+// Saved analyses with search and filters; reopen, duplicate-and-edit or delete an entry, and manage encryption
+function HistoryPanel({ revision, onReopen, onDuplicate }) {
+  const [entries, setEntries] = useState([]);
+  const [encryption, setEncryption] = useState(null); // { enabled, unlocked }
+  const [filters, setFilters] = useState(emptyFilters);
+  const [passphrase, setPassphrase] = useState('');
+  const [confirmation, setConfirmation] = useState('');
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+
+  const refresh = async () => {
+    try {
+      const state = await getEncryptionState();
+      setEncryption(state);
+      setEntries(state.unlocked ? await loadHistory() : []);
+    } catch (error) {
+      console.error("Could not read the analysis history:", error);
+      setMessage({ type: 'error', text: t('history.unavailable') });
+    }
+  };
+
+  // Reload whenever App saves an analysis
+  useEffect(() => {
+    refresh();
+  }, [revision]);
+
+  const clearPassphrase = () => {
+    setPassphrase('');
+    setConfirmation('');
+  };
+
+  const handleUnlock = async (e) => {
+    e.preventDefault();
+    if (await unlockHistory(passphrase)) {
+      clearPassphrase();
+      setMessage(null);
+      refresh();
+    } else {
+      setMessage({ type: 'error', text: t('history.wrongPassphrase') });
+    }
+  };
+
+  const handleLock = () => {
+    lockHistory();
+    setMessage(null);
+    refresh();
+  };
+
+  const handleSetPassphrase = async (e) => {
+    e.preventDefault();
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      setMessage({ type: 'error', text: t('history.passphraseShort') });
+      return;
+    }
+    if (passphrase !== confirmation) {
+      setMessage({ type: 'error', text: t('history.passphraseMismatch') });
+      return;
+    }
+    try {
+      await setHistoryPassphrase(passphrase);
+      clearPassphrase();
+      setMessage({ type: 'success', text: t('history.encrypted') });
+    } catch (error) {
+      console.error("Could not encrypt the analysis history:", error);
+      setMessage({ type: 'error', text: error.message });
+    }
+    refresh();
+  };
+
+  const handleRemovePassphrase = async () => {
+    if (!window.confirm(t('history.removeConfirm'))) return;
+    try {
+      await removeHistoryPassphrase();
+      setMessage({ type: 'success', text: t('history.decrypted') });
+    } catch (error) {
+      console.error("Could not decrypt the analysis history:", error);
+      setMessage({ type: 'error', text: error.message });
+    }
+    refresh();
+  };
+
+  const handleDelete = async (entry) => {
+    if (!window.confirm(t('history.deleteConfirm', { time: formatTime(entry.savedAt) }))) return;
+    await deleteHistoryEntry(entry.id);
+    refresh();
+  };
+
+  const updateFilter = (key, value) => setFilters(prev => ({ ...prev, [key]: value }));
+
+  if (!encryption) {
+    return message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>;
+  }
+
+  const visible = filterHistory(entries, filters);
+  const disorders = [...new Set(entries.flatMap(entry => entry.disorders))];
+
+  const passphraseInputs = (
+    <>
+      <input type="password" value={passphrase} autoComplete="new-password" placeholder={t('history.passphrase')}
+        aria-label={t('history.passphrase')} onChange={(e) => setPassphrase(e.target.value)} />
+      <input type="password" value={confirmation} autoComplete="new-password" placeholder={t('history.confirmPassphrase')}
+        aria-label={t('history.confirmPassphrase')} onChange={(e) => setConfirmation(e.target.value)} />
+    </>
+  );
+
+  return (
+    <div className="history-panel">
+      <h3>{t('history.title')}</h3>
+      <p className="assumption-note">{t('history.info')}</p>
+      {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+
+      {!encryption.unlocked ? (
+        <form className="history-unlock" onSubmit={handleUnlock}>
+          <p>{t('history.locked')}</p>
+          <input type="password" value={passphrase} autoComplete="current-password" placeholder={t('history.passphrase')}
+            aria-label={t('history.passphrase')} onChange={(e) => setPassphrase(e.target.value)} />
+          <button type="submit" className="btn btn-primary" disabled={!passphrase}>
+            <FontAwesomeIcon icon={faLockOpen} /> {t('history.unlock')}
+          </button>
+        </form>
+      ) : (
+        <>
+          <div className="history-filters">
+            <input type="search" value={filters.query} placeholder={t('history.search')} aria-label={t('history.search')}
+              onChange={(e) => updateFilter('query', e.target.value)} />
+            <select value={filters.disorder} aria-label={t('history.allDisorders')} onChange={(e) => updateFilter('disorder', e.target.value)}>
+              <option value="">{t('history.allDisorders')}</option>
+              {disorders.map(code => <option key={code} value={code}>{disorderTitle(code)}</option>)}
+            </select>
+            <label>
+              {t('history.from')}
+              <input type="date" value={filters.from} onChange={(e) => updateFilter('from', e.target.value)} />
+            </label>
+            <label>
+              {t('history.to')}
+              <input type="date" value={filters.to} onChange={(e) => updateFilter('to', e.target.value)} />
+            </label>
+          </div>
+
+          {entries.length === 0 && <p className="step">{t('history.empty')}</p>}
+          {entries.length > 0 && visible.length === 0 && <p className="step">{t('history.noMatch')}</p>}
+          {visible.length > 0 && (
+            <>
+              <p className="assumption-note">{t('history.count', { count: formatNumber(visible.length), total: formatNumber(entries.length) })}</p>
+              <ul className="history-list">
+                {visible.map(entry => (
+                  <li key={entry.id} className="history-entry">
+                    <div className="history-entry-header">
+                      <strong>{entry.patientLabel || t('history.noPatient')}</strong>
+                      <span>{formatTime(entry.savedAt)}</span>
+                    </div>
+                    <p className="history-entry-source">{renderHistorySource(entry.source)}</p>
+                    <p className="history-entry-interpretation">{renderInterpretation(entry.result.interpretation)}</p>
+                    <div className="history-entry-actions">
+                      <button type="button" className="btn btn-secondary" onClick={() => onReopen(entry)}>
+                        <FontAwesomeIcon icon={faFolderOpen} /> {t('history.reopen')}
+                      </button>
+                      <button type="button" className="btn btn-secondary" onClick={() => onDuplicate(entry)}>
+                        <FontAwesomeIcon icon={faCopy} /> {t('history.duplicate')}
+                      </button>
+                      <button type="button" className="btn btn-secondary" onClick={() => handleDelete(entry)}>
+                        <FontAwesomeIcon icon={faTrash} /> {t('history.delete')}
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+
+          <form className="history-encryption" onSubmit={handleSetPassphrase}>
+            <h4>{t('history.encryption')}</h4>
+            <p className="assumption-note">{t(encryption.enabled ? 'history.encryptionOn' : 'history.encryptionOff')}</p>
+            {passphraseInputs}
+            <div className="history-entry-actions">
+              <button type="submit" className="btn btn-primary" disabled={!passphrase}>
+                <FontAwesomeIcon icon={faLock} /> {t(encryption.enabled ? 'history.changePassphrase' : 'history.setPassphrase')}
+              </button>
+              {encryption.enabled && (
+                <>
+                  <button type="button" className="btn btn-secondary" onClick={handleLock}>
+                    <FontAwesomeIcon icon={faLock} /> {t('history.lock')}
+                  </button>
+                  <button type="button" className="btn btn-secondary" onClick={handleRemovePassphrase}>
+                    <FontAwesomeIcon icon={faLockOpen} /> {t('history.removePassphrase')}
+                  </button>
+                </>
+              )}
+            </div>
+          </form>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default HistoryPanel;
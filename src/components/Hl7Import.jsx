@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFileUpload, faFileMedical, faPlus, faTimes } from '@fortawesome/free-solid-svg-icons';
+import ExtractedValues from './ExtractedValues';
+import { readHl7Message, specimenValues, mappableFields, loadHl7Mapping, saveHl7Mapping } from '../utils/hl7';
+import { t, formatNumber, getLocale } from '../utils/i18n';
+
+const formatTime = (time) => new Date(time).toLocaleString(getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+
+const fieldLabel = (field) => t(`fields.${field}`, null, field);
+
+// HL7 v2 ORU^R01 import: paste or upload a message, pick a specimen and verify its values before analysis
+function Hl7Import({ onAnalyze, onError, onCollectedAt, isResetting, unitSystem = 'conventional' }) {
+  const [text, setText] = useState('');
+  const [fileName, setFileName] = useState(null);
+  const [message, setMessage] = useState(null); // readHl7Message() result
+  const [readError, setReadError] = useState(null);
+  const [selected, setSelected] = useState(0); // Index of the specimen being verified
+  const [mapping, setMapping] = useState(loadHl7Mapping);
+  const [newCode, setNewCode] = useState('');
+  const [newField, setNewField] = useState(mappableFields[0]);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (isResetting) {
+      setText('');
+      setFileName(null);
+      setMessage(null);
+      setReadError(null);
+      setSelected(0);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    }
+  }, [isResetting]);
+
+  const readMessage = (content, codeMapping = mapping) => {
+    try {
+      setMessage(readHl7Message(content, codeMapping));
+      setReadError(null);
+    } catch (error) {
+      setMessage(null);
+      setReadError(error.message);
+    }
+  };
+
+  const handleRead = () => {
+    setSelected(0);
+    readMessage(text);
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    const content = await file.text();
+    setText(content);
+    setFileName(file.name);
+    setSelected(0);
+    readMessage(content);
+  };
+
+  // Mapping changes apply to the message already read
+  const updateMapping = (updated) => {
+    setMapping(updated);
+    saveHl7Mapping(updated);
+    if (message) readMessage(text, updated);
+  };
+
+  const handleAddMapping = (e) => {
+    e.preventDefault();
+    if (!newCode.trim()) return;
+    updateMapping({ ...mapping, [newCode.trim()]: newField });
+    setNewCode('');
+  };
+
+  const handleRemoveMapping = (code) => {
+    const { [code]: removed, ...rest } = mapping;
+    updateMapping(rest);
+  };
+
+  const specimen = message?.specimens[selected];
+  const specimenLabel = (item) => item.label || t(`sampleTypes.${item.sampleType}`);
+
+  const handleAnalyze = (values) => {
+    if (specimen.collectedAt) onCollectedAt(specimen.collectedAt); // Becomes the encounter sample time
+    onAnalyze(values, { type: 'hl7', fileName, specimen: specimenLabel(specimen) });
+  };
+
+  const verification = specimen && specimenValues(message.specimens, selected);
+
+  return (
+    <div className="hl7-import">
+      <h3>{t('hl7.title')}</h3>
+      <p className="assumption-note">{t('hl7.info')}</p>
+      <textarea
+        className="hl7-message"
+        value={text}
+        rows={8}
+        spellCheck={false}
+        placeholder={t('hl7.placeholder')}
+        aria-label={t('hl7.title')}
+        onChange={(e) => { setText(e.target.value); setFileName(null); }}
+      />
+      <div className="hl7-actions">
+        <button type="button" className="btn btn-primary" onClick={handleRead} disabled={!text.trim()}>
+          <FontAwesomeIcon icon={faFileMedical} /> {t('hl7.read')}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => fileInputRef.current?.click()}>
+          <FontAwesomeIcon icon={faFileUpload} /> {t('hl7.upload')}
+        </button>
+        <input type="file" ref={fileInputRef} accept=".hl7,.oru,.txt,text/plain" hidden onChange={handleFileChange} />
+      </div>
+
+      {readError && <div className="error-message">{readError}</div>}
+
+      {message && (
+        <>
+          {message.patient?.name && <p>{t('hl7.patient', { name: message.patient.name, id: message.patient.id || '—' })}</p>}
+          {message.specimens.length > 1 && (
+            <fieldset className="hl7-specimens">
+              <legend>{t('hl7.specimens')}</legend>
+              {message.specimens.map((item, index) => (
+                <label key={index}>
+                  <input type="radio" name="hl7-specimen" checked={selected === index} onChange={() => setSelected(index)} />
+                  {t('hl7.specimen', {
+                    label: specimenLabel(item),
+                    sampleType: t(`sampleTypes.${item.sampleType}`),
+                    time: item.collectedAt ? formatTime(item.collectedAt) : t('hl7.noTime'),
+                    count: formatNumber(Object.keys(item.values).length)
+                  })}
+                </label>
+              ))}
+            </fieldset>
+          )}
+          {specimen.unmapped.length > 0 && (
+            <p className="assumption-note">
+              {t('hl7.unmapped', { results: specimen.unmapped.map(result => `${result.code} ${result.text} ${result.value} ${result.unit}`.trim()).join('; ') })}
+            </p>
+          )}
+          <ExtractedValues
+            key={`${selected}-${JSON.stringify(verification.values)}`}
+            title={t('hl7.values')}
+            values={verification.values}
+            units={verification.units}
+            sources={verification.sources}
+            sampleType={verification.sampleType}
+            unitSystem={unitSystem}
+            onAnalyze={handleAnalyze}
+            onError={onError}
+          />
+        </>
+      )}
+
+      <details className="differential-category hl7-mapping">
+        <summary>{t('hl7.mapping')}</summary>
+        <p className="assumption-note">{t('hl7.mappingInfo')}</p>
+        {Object.keys(mapping).length === 0 ? <p>{t('hl7.noMappings')}</p> : (
+          <ul className="hl7-mapping-list">
+            {Object.entries(mapping).map(([code, field]) => (
+              <li key={code}>
+                <code>{code}</code> → {fieldLabel(field)}
+                <button type="button" className="trend-remove" onClick={() => handleRemoveMapping(code)} title={t('hl7.removeMapping')} aria-label={t('hl7.removeMapping')}>
+                  <FontAwesomeIcon icon={faTimes} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+        <form className="hl7-actions" onSubmit={handleAddMapping}>
+          <input type="text" value={newCode} placeholder={t('hl7.code')} aria-label={t('hl7.code')} onChange={(e) => setNewCode(e.target.value)} />
+          <select value={newField} aria-label={t('hl7.field')} onChange={(e) => setNewField(e.target.value)}>
+            {mappableFields.map(field => <option key={field} value={field}>{fieldLabel(field)}</option>)}
+          </select>
+          <button type="submit" className="btn btn-secondary" disabled={!newCode.trim()}>
+            <FontAwesomeIcon icon={faPlus} /> {t('hl7.addMapping')}
+          </button>
+        </form>
+      </details>
+    </div>
+  );
+}
+
+export default Hl7Import;
@@ -0,0 +1,17 @@
+import React from 'react';
+import { languages, t } from '../utils/i18n';
+
+function LanguageSelector({ language, onChange }) {
+  return (
+    <div className="language-selector">
+      <label htmlFor="language">{t('language.label')}</label>
+      <select id="language" value={language} onChange={(e) => onChange(e.target.value)}>
+        {Object.entries(languages).map(([key, config]) => (
+          <option key={key} value={key} lang={key}>{config.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default LanguageSelector;
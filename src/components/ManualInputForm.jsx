@@ -1,27 +1,111 @@
 import React, { useState, useEffect } from 'react';
+import { clinicalContextFlags } from '../utils/differentialDiagnosis';
+import SampleTypeSelector from './SampleTypeSelector';
+import PatientCategorySelector from './PatientCategorySelector';
+import { getUnitMap, getUnitOptions, toCanonical, fromCanonical, convertRangeLabel } from '../utils/units';
+import { sampleTypes, getReferenceRanges } from '../utils/sampleTypes';
+import { resolvePatientCategory } from '../utils/patientCategories';
+import { defaultProfile, formatRangeLabel } from '../utils/referenceProfiles';
+import { t, formatNumber, localizeNumbers } from '../utils/i18n';
 
-// Define physiological ranges for input validation feedback
-const physiologicalRanges = {
-  ph: { min: 6.0, max: 8.0, step: 0.01, placeholder: 'e.g., 7.40', label: 'pH', unit: '', normal: '7.35-7.45' },
-  paco2: { min: 10, max: 200, step: 0.1, placeholder: 'e.g., 40', label: 'PaCO₂', unit: 'mmHg', normal: '35-45' },
-  hco3: { min: 2, max: 60, step: 0.1, placeholder: 'e.g., 24', label: 'HCO₃⁻', unit: 'mmol/L', normal: '22-26' },
-  pao2: { min: 10, max: 700, step: 0.1, placeholder: 'e.g., 90', label: 'PaO₂', unit: 'mmHg', normal: '80-100' },
-  na: { min: 90, max: 180, step: 0.1, placeholder: 'e.g., 140', label: 'Na⁺', unit: 'mmol/L', normal: '135-145' },
-  cl: { min: 70, max: 130, step: 0.1, placeholder: 'e.g., 102', label: 'Cl⁻', unit: 'mmol/L', normal: '98-107' },
-  be: { min: -30, max: 30, step: 0.1, placeholder: 'e.g., 0', label: 'Base Excess', unit: 'mmol/L', normal: '-2 to +2' },
-  sao2: { min: 0, max: 100, step: 0.1, placeholder: 'e.g., 97', label: 'SaO₂', unit: '%', normal: '95-100' },
-  k: { min: 2.0, max: 7.0, step: 0.1, placeholder: 'e.g., 4.0', label: 'K⁺ (Optional)', unit: 'mmol/L', normal: '3.5-5.0' },
-  albumin: { min: 1.0, max: 6.0, step: 0.1, placeholder: 'e.g., 4.0', label: 'Albumin (Optional)', unit: 'g/dL', normal: '3.5-5.0' }
+// Define physiological ranges for input validation feedback (min/max in canonical units, see units.js).
+// Normal ranges come from the active reference profile; `normal` is only set for fields the profile does not cover.
+export const physiologicalRanges = {
+  ph: { section: 'Blood Gas', min: 6.0, max: 8.0, step: 0.01, placeholder: '7.40', label: 'pH', unit: '' },
+  paco2: { section: 'Blood Gas', min: 10, max: 200, step: 0.1, placeholder: '40', label: 'PaCO₂', unit: 'mmHg' },
+  hco3: { section: 'Blood Gas', min: 2, max: 60, step: 0.1, placeholder: '24', label: 'HCO₃⁻', unit: 'mmol/L' },
+  pao2: { section: 'Blood Gas', min: 10, max: 700, step: 0.1, placeholder: '90', label: 'PaO₂', unit: 'mmHg' },
+  na: { section: 'Electrolytes', min: 90, max: 180, step: 0.1, placeholder: '140', label: 'Na⁺', unit: 'mmol/L' },
+  cl: { section: 'Electrolytes', min: 70, max: 130, step: 0.1, placeholder: '102', label: 'Cl⁻', unit: 'mmol/L' },
+  be: { section: 'Blood Gas', min: -30, max: 30, step: 0.1, placeholder: '0', label: 'Base Excess', unit: 'mmol/L' },
+  sao2: { section: 'Blood Gas', min: 0, max: 100, step: 0.1, placeholder: '97', label: 'SaO₂', unit: '%' },
+  temperature: { section: 'Blood Gas', min: 25, max: 45, step: 0.1, placeholder: '37', label: 'Patient Temperature (Optional)', unit: '°C', normal: '37 (no correction)' },
+  k: { section: 'Electrolytes', min: 1.5, max: 10.0, step: 0.1, placeholder: '4.0', label: 'K⁺ (Optional)', unit: 'mmol/L' },
+  albumin: { section: 'Electrolytes', min: 1.0, max: 6.0, step: 0.1, placeholder: '4.0', label: 'Albumin (Optional)', unit: 'g/dL' },
+  ca: { section: 'Electrolytes', min: 0.5, max: 2.5, step: 0.01, placeholder: '1.20', label: 'Ionized Ca²⁺ (Optional)', unit: 'mmol/L' },
+  mg: { section: 'Electrolytes', min: 0.2, max: 3.0, step: 0.01, placeholder: '0.85', label: 'Mg²⁺ (Optional)', unit: 'mmol/L' },
+  phosphate: { section: 'Electrolytes', min: 0.1, max: 5.0, step: 0.01, placeholder: '1.0', label: 'Phosphate (Optional)', unit: 'mmol/L' },
+  // Anion gap partition (lactate / ketones) and DKA / HHS criteria; glucose also enters the osmolar gap
+  lactate: { section: 'Lactate, Ketones & Glucose', min: 0, max: 30, step: 0.1, placeholder: '1.0', label: 'Lactate (Optional)', unit: 'mmol/L' },
+  bhb: { section: 'Lactate, Ketones & Glucose', min: 0, max: 20, step: 0.1, placeholder: '0.2', label: 'β-Hydroxybutyrate (Optional)', unit: 'mmol/L' },
+  glucose: { section: 'Lactate, Ketones & Glucose', min: 10, max: 2000, step: 1, placeholder: '100', label: 'Glucose (Optional)', unit: 'mg/dL' },
+  fio2: { section: 'Oxygenation', min: 21, max: 100, step: 1, placeholder: '21', label: 'FiO₂ (Optional)', unit: '%', normal: '21 (room air)' },
+  patm: { section: 'Oxygenation', min: 400, max: 800, step: 1, placeholder: '760', label: 'Barometric Pressure (Optional)', unit: 'mmHg', normal: '760 (sea level)' },
+  age: { section: 'Oxygenation', min: 0, max: 120, step: 1, placeholder: '45', label: 'Age (Optional)', unit: 'years', normal: '' },
+  spo2: { section: 'Oxygenation', min: 50, max: 100, step: 1, placeholder: '94', label: 'SpO₂ (Optional)', unit: '%' },
+  rq: { section: 'Oxygenation', min: 0.7, max: 1.0, step: 0.01, placeholder: '0.8', label: 'Respiratory Quotient (Optional)', unit: '', normal: '0.8' },
+  sosm: { section: 'Osmolar & Urine Workup', min: 200, max: 500, step: 1, placeholder: '290', label: 'Serum Osmolality (Optional)', unit: 'mOsm/kg' },
+  bun: { section: 'Osmolar & Urine Workup', min: 1, max: 300, step: 1, placeholder: '14', label: 'BUN (Optional)', unit: 'mg/dL' },
+  ethanol: { section: 'Osmolar & Urine Workup', min: 0, max: 1000, step: 1, placeholder: '0', label: 'Ethanol (Optional)', unit: 'mg/dL', normal: '0' },
+  una: { section: 'Osmolar & Urine Workup', min: 0, max: 300, step: 1, placeholder: '40', label: 'Urine Na⁺ (Optional)', unit: 'mmol/L', normal: '' },
+  uk: { section: 'Osmolar & Urine Workup', min: 0, max: 200, step: 1, placeholder: '30', label: 'Urine K⁺ (Optional)', unit: 'mmol/L', normal: '' },
+  ucl: { section: 'Osmolar & Urine Workup', min: 0, max: 300, step: 1, placeholder: '60', label: 'Urine Cl⁻ (Optional)', unit: 'mmol/L', normal: '' },
+  uosm: { section: 'Osmolar & Urine Workup', min: 50, max: 1400, step: 1, placeholder: '400', label: 'Urine Osmolality (Optional)', unit: 'mOsm/kg', normal: '' },
+  uun: { section: 'Osmolar & Urine Workup', min: 0, max: 2000, step: 1, placeholder: '500', label: 'Urine Urea Nitrogen (Optional)', unit: 'mg/dL', normal: '' },
+  // Umbilical venous pair, shown only for cord samples (the Blood Gas fields hold the arterial sample)
+  uvph: { section: 'Umbilical Venous Sample', cordOnly: true, min: 6.5, max: 7.8, step: 0.01, placeholder: '7.35', label: 'Venous pH', unit: '' },
+  uvpco2: { section: 'Umbilical Venous Sample', cordOnly: true, min: 10, max: 150, step: 0.1, placeholder: '38', label: 'Venous PCO₂', unit: 'mmHg' },
+  uvhco3: { section: 'Umbilical Venous Sample', cordOnly: true, min: 2, max: 60, step: 0.1, placeholder: '20', label: 'Venous HCO₃⁻ (Optional)', unit: 'mmol/L' },
+  uvbe: { section: 'Umbilical Venous Sample', cordOnly: true, min: -30, max: 30, step: 0.1, placeholder: '-3', label: 'Venous Base Excess (Optional)', unit: 'mmol/L' }
 };
 
+// Message ids of the form sections (see locales/en.js)
+const sectionMessageKeys = {
+  'Blood Gas': 'bloodGas',
+  'Electrolytes': 'electrolytes',
+  'Lactate, Ketones & Glucose': 'metabolites',
+  'Oxygenation': 'oxygenation',
+  'Osmolar & Urine Workup': 'workup',
+  'Umbilical Venous Sample': 'cordVenous'
+};
+
+// Umbilical venous fields and the profile ranges they are compared with
+const cordVenousRangeKeys = { uvph: 'ph', uvpco2: 'paco2', uvhco3: 'hco3' };
+
+// Group fields by section, preserving declaration order
+const formSections = Object.entries(physiologicalRanges).reduce((acc, [key, config]) => {
+  (acc[config.section] = acc[config.section] || []).push([key, config]);
+  return acc;
+}, {});
+
 const initialFormState = Object.keys(physiologicalRanges).reduce((acc, key) => {
   acc[key] = '';
   return acc;
 }, {});
 
-function ManualInputForm({ onAnalyze, onLoading, onError, isResetting }) {
+function ManualInputForm({ onAnalyze, onLoading, onError, isResetting, unitSystem = 'conventional', referenceProfile = defaultProfile, prefill = null }) {
   const [formValues, setFormValues] = useState(initialFormState);
   const [errors, setErrors] = useState({});
+  const [clinicalContext, setClinicalContext] = useState([]);
+  const [sample, setSample] = useState({ sampleType: 'arterial', estimateArterial: false });
+  const [patientCategory, setPatientCategory] = useState('auto');
+  const [fieldUnits, setFieldUnits] = useState(() => getUnitMap(unitSystem)); // Unit each value is entered in
+
+  // Normal ranges shown as hints: profile ranges, with the acid-base ranges of the selected sample type and age group
+  const isCordGas = Boolean(sampleTypes[sample.sampleType]?.cordGas);
+  const resolvedCategory = isCordGas ? 'neonate' : resolvePatientCategory(patientCategory, parseFloat(formValues.age));
+  const cordVenousRanges = referenceProfile.sampleTypeRanges.umbilicalVenous || {};
+  const normalRanges = {
+    ...referenceProfile.ranges,
+    ...getReferenceRanges(sample.sampleType, referenceProfile, resolvedCategory),
+    ...Object.entries(cordVenousRangeKeys).reduce((acc, [key, rangeKey]) => ({ ...acc, [key]: cordVenousRanges[rangeKey] }), {})
+  };
+  const getNormalLabel = (key, config) => (normalRanges[key] ? formatRangeLabel(normalRanges[key]) : t(`fields.${key}.normal`, null, config.normal));
+
+  // Switch every field to the preferred units when the global unit system changes, converting the typed values
+  useEffect(() => {
+    const units = getUnitMap(unitSystem);
+    const converted = Object.keys(physiologicalRanges).reduce((acc, key) => {
+      const value = parseFloat(formValues[key]);
+      acc[key] = formValues[key] === '' || isNaN(value) || fieldUnits[key] === units[key]
+        ? formValues[key]
+        : String(parseFloat(fromCanonical(key, toCanonical(key, value, fieldUnits[key]), units[key]).toFixed(4)));
+      return acc;
+    }, {});
+    setFormValues(converted);
+    setFieldUnits(units);
+    setErrors(Object.keys(converted).reduce((acc, key) => ({ ...acc, [key]: validateInput(key, converted[key], units[key]) }), {}));
+  }, [unitSystem]);
 
   // Effect to reset form when isResetting prop changes (triggered by App's handleReset)
   useEffect(() => {
@@ -30,18 +114,37 @@ function ManualInputForm({ onAnalyze, onLoading, onError, isResetting }) {
     }
   }, [isResetting]);
 
+  // Load the inputs of a saved analysis for editing (duplicate-and-edit from the history)
+  useEffect(() => {
+    if (!prefill) return;
+    const { values } = prefill;
+    const units = { ...getUnitMap(unitSystem), ...values.displayUnits };
+    setFormValues(Object.keys(physiologicalRanges).reduce((acc, key) => {
+      const value = values[key];
+      acc[key] = typeof value === 'number' && !isNaN(value) ? String(parseFloat(fromCanonical(key, value, units[key]).toFixed(4))) : '';
+      return acc;
+    }, {}));
+    setFieldUnits(units);
+    setErrors({});
+    setClinicalContext(values.context || []);
+    setSample({ sampleType: values.sampleType || 'arterial', estimateArterial: Boolean(values.estimateArterial) });
+    setPatientCategory(values.patientCategory || 'auto');
+  }, [prefill]);
+
 
-  const validateInput = (name, value) => {
+  const validateInput = (name, value, unit = fieldUnits[name]) => {
     const range = physiologicalRanges[name];
     if (value === '' || value === undefined || value === null) {
       return ''; // No error if empty
     }
     const numericValue = parseFloat(value);
     if (isNaN(numericValue)) {
-      return 'Must be a number.';
+      return t('form.errors.notNumber');
     }
-    if (range && (numericValue < range.min || numericValue > range.max)) {
-      return `Outside range (${range.min}-${range.max})`;
+    const canonicalValue = toCanonical(name, numericValue, unit);
+    if (range && (canonicalValue < range.min || canonicalValue > range.max)) {
+      const formatLimit = (limit) => parseFloat(fromCanonical(name, limit, unit).toFixed(2));
+      return t('form.errors.outOfRange', { min: formatNumber(formatLimit(range.min)), max: formatNumber(formatLimit(range.max)) });
     }
     return ''; // No error
   };
@@ -52,9 +155,23 @@ function ManualInputForm({ onAnalyze, onLoading, onError, isResetting }) {
     setErrors(prev => ({ ...prev, [name]: validateInput(name, value) }));
   };
 
+  const handleUnitChange = (name, unit) => {
+    setFieldUnits(prev => ({ ...prev, [name]: unit }));
+    setErrors(prev => ({ ...prev, [name]: validateInput(name, formValues[name], unit) }));
+  };
+
+  const handleContextChange = (e) => {
+    const { value, checked } = e.target;
+    setClinicalContext(prev => checked ? [...prev, value] : prev.filter(flag => flag !== value));
+  };
+
   const handleClearForm = () => {
     setFormValues(initialFormState);
     setErrors({});
+    setClinicalContext([]);
+    setSample({ sampleType: 'arterial', estimateArterial: false });
+    setPatientCategory('auto');
+    setFieldUnits(getUnitMap(unitSystem));
   };
 
   const handleSubmit = (e) => {
@@ -65,22 +182,23 @@ function ManualInputForm({ onAnalyze, onLoading, onError, isResetting }) {
 
     // Validate all fields on submit
     for (const key in physiologicalRanges) {
+      if (physiologicalRanges[key].cordOnly && !isCordGas) continue; // Hidden venous pair
       const value = formValues[key];
       const error = validateInput(key, value);
       if (error) {
         currentErrors[key] = error;
         formIsValid = false;
       }
-      // Collect valid numeric values for analysis
+      // Collect valid numeric values for analysis, converted to canonical units
       if (value !== '' && !isNaN(parseFloat(value)) && !error) {
-        valuesToAnalyze[key] = parseFloat(value);
+        valuesToAnalyze[key] = toCanonical(key, parseFloat(value), fieldUnits[key]);
       }
     }
 
     setErrors(currentErrors);
 
     if (!formIsValid) {
-      onError("Please correct the highlighted invalid input values.");
+      onError(t('form.errors.invalid'));
       return;
     }
 
@@ -89,42 +207,97 @@ function ManualInputForm({ onAnalyze, onLoading, onError, isResetting }) {
     const missingRequired = requiredFields.filter(key => valuesToAnalyze[key] === undefined);
 
     if (missingRequired.length > 0) {
-        onError(`Analysis requires at least pH, PaCO₂, and HCO₃⁻ values. Missing: ${missingRequired.join(', ')}`);
+        onError(t('form.errors.missingRequired', { fields: missingRequired.join(', ') }));
         return;
     }
 
+    if (clinicalContext.length > 0) {
+      valuesToAnalyze.context = clinicalContext;
+    }
+    valuesToAnalyze.sampleType = sample.sampleType;
+    valuesToAnalyze.estimateArterial = sample.estimateArterial;
+    valuesToAnalyze.patientCategory = patientCategory;
+    valuesToAnalyze.displayUnits = fieldUnits;
+
     console.log("Submitting manual form values:", valuesToAnalyze);
     // Pass values up to App component for analysis
     // onLoading(true); // App will handle loading state
-    onAnalyze(valuesToAnalyze); // Pass the cleaned numeric values
+    onAnalyze(valuesToAnalyze, { type: 'manual' }); // Pass the cleaned numeric values
   };
 
   return (
     <form id="abg-form" onSubmit={handleSubmit}>
-      <div className="form-grid">
-        {Object.entries(physiologicalRanges).map(([key, config]) => (
-          <div className="form-group" key={key}>
-            <label htmlFor={key}>{config.label}</label>
-            <input
-              type="number"
-              id={key}
-              name={key}
-              step={config.step}
-              placeholder={config.placeholder}
-              value={formValues[key]}
-              onChange={handleChange}
-              className={errors[key] ? 'input-invalid' : ''}
-              aria-describedby={`${key}-error ${key}-range`} // For accessibility
-              aria-invalid={!!errors[key]}
-            />
-            <span id={`${key}-range`} className="normal-range">Normal: {config.normal} {config.unit}</span>
-            {errors[key] && <span id={`${key}-error`} className="error-message">{errors[key]}</span>}
+      <SampleTypeSelector
+        sampleType={sample.sampleType}
+        estimateArterial={sample.estimateArterial}
+        onChange={setSample}
+      />
+      <PatientCategorySelector
+        patientCategory={isCordGas ? 'neonate' : patientCategory}
+        onChange={setPatientCategory}
+        disabled={isCordGas}
+      />
+      {Object.entries(formSections).filter(([, fields]) => isCordGas || !fields[0][1].cordOnly).map(([section, fields]) => (
+        <fieldset className="form-section" key={section}>
+          <legend>{t(`form.sections.${sectionMessageKeys[section]}`, null, section)}{isCordGas && section === 'Blood Gas' ? t('form.cordArterialSuffix') : ''}</legend>
+          <div className="form-grid">
+            {fields.map(([key, config]) => (
+              <div className="form-group" key={key}>
+                <label htmlFor={key}>{t(`fields.${key}`, null, config.label)}</label>
+                <div className="input-with-unit">
+                  <input
+                    type="number"
+                    id={key}
+                    name={key}
+                    step={fieldUnits[key] ? 'any' : config.step}
+                    placeholder={t('form.placeholder', { value: convertRangeLabel(key, config.placeholder, fieldUnits[key]) })}
+                    value={formValues[key]}
+                    onChange={handleChange}
+                    className={errors[key] ? 'input-invalid' : ''}
+                    aria-describedby={`${key}-error ${key}-range`} // For accessibility
+                    aria-invalid={!!errors[key]}
+                  />
+                  {getUnitOptions(key).length > 1 && (
+                    <select
+                      className="unit-select"
+                      value={fieldUnits[key]}
+                      onChange={(e) => handleUnitChange(key, e.target.value)}
+                      aria-label={t('form.unitAriaLabel', { label: t(`fields.${key}`, null, config.label) })}
+                    >
+                      {getUnitOptions(key).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                    </select>
+                  )}
+                </div>
+                {getNormalLabel(key, config) && (
+                  <span id={`${key}-range`} className="normal-range">
+                    {t('form.normal', { range: localizeNumbers(convertRangeLabel(key, getNormalLabel(key, config), fieldUnits[key])), unit: fieldUnits[key] || config.unit })}
+                  </span>
+                )}
+                {errors[key] && <span id={`${key}-error`} className="error-message">{errors[key]}</span>}
+              </div>
+            ))}
           </div>
-       ))}
-      </div>
+        </fieldset>
+      ))}
+      <fieldset className="form-section">
+        <legend>{t('form.sections.clinicalContext')}</legend>
+        <div className="context-grid">
+          {Object.entries(clinicalContextFlags).map(([flag, label]) => (
+            <label className="context-option" key={flag}>
+              <input
+                type="checkbox"
+                value={flag}
+                checked={clinicalContext.includes(flag)}
+                onChange={handleContextChange}
+              />
+              {t(`context.${flag}`, null, label)}
+            </label>
+          ))}
+        </div>
+      </fieldset>
       <div className="form-actions">
-        <button type="button" onClick={handleClearForm} className="btn btn-secondary clear-btn">Clear Form</button>
-        <button type="submit" className="btn btn-primary analyze-btn">Analyze ABG</button>
+        <button type="button" onClick={handleClearForm} className="btn btn-secondary clear-btn">{t('form.clear')}</button>
+        <button type="submit" className="btn btn-primary analyze-btn">{t('form.analyze')}</button>
       </div>
     </form>
   );
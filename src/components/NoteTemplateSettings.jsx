@@ -0,0 +1,148 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSave, faCopy, faTrash, faUndo, faFileImport, faFileExport } from '@fortawesome/free-solid-svg-icons';
+import { listNoteTemplates, validateNoteTemplate, exportNoteTemplates, parseNoteTemplatesJson, renderNoteTemplateError, notePlaceholders, noteFieldPlaceholders } from '../utils/clinicalNote';
+import { t, formatNumber } from '../utils/i18n';
+
+// Editor for the clinical note templates: built-in ones can be edited and restored, custom ones added and deleted
+function NoteTemplateSettings({ templates, onTemplatesChange }) {
+  const options = listNoteTemplates(templates);
+  const [selectedId, setSelectedId] = useState(options[0].id);
+  const selected = options.find(option => option.id === selectedId) || options[0];
+  const [draft, setDraft] = useState({ name: selected.name, text: selected.text });
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  // Reload the editor when another template is selected, or the selected one is restored or imported
+  useEffect(() => {
+    setDraft({ name: selected.name, text: selected.text });
+  }, [selected.id, selected.name, selected.text]);
+
+  const isValid = validateNoteTemplate({ id: selected.id, ...draft }).length === 0;
+
+  const selectTemplate = (id) => {
+    setSelectedId(id);
+    setMessage(null);
+  };
+
+  const handleSave = () => {
+    if (!isValid) return;
+    const saved = { id: selected.id, name: draft.name.trim(), text: draft.text };
+    const exists = templates.some(template => template.id === saved.id);
+    onTemplatesChange(exists ? templates.map(template => (template.id === saved.id ? saved : template)) : [...templates, saved]);
+    setMessage({ type: 'success', text: t('notes.saved', { name: saved.name }) });
+  };
+
+  const handleSaveAsNew = () => {
+    if (!isValid) return;
+    const created = { id: `note-${Date.now()}`, name: t('notes.copyName', { name: draft.name.trim() }), text: draft.text };
+    onTemplatesChange([...templates, created]);
+    selectTemplate(created.id);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(t('notes.deleteConfirm', { name: selected.name }))) return;
+    onTemplatesChange(templates.filter(template => template.id !== selected.id));
+    selectTemplate(options[0].id);
+  };
+
+  const handleRestore = () => {
+    onTemplatesChange(templates.filter(template => template.id !== selected.id));
+    setMessage({ type: 'success', text: t('notes.restored') });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([exportNoteTemplates(options)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'abg-note-templates.json';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    try {
+      const imported = parseNoteTemplatesJson(await file.text());
+      // Templates with a known id replace it, the others are added
+      const ids = imported.map(template => template.id);
+      onTemplatesChange([...templates.filter(template => !ids.includes(template.id)), ...imported]);
+      selectTemplate(imported[0].id);
+      setMessage({ type: 'success', text: t('notes.imported', { count: formatNumber(imported.length) }) });
+    } catch (error) {
+      console.error("Note template import failed:", error);
+      setMessage({ type: 'error', text: renderNoteTemplateError(error) });
+    }
+  };
+
+  return (
+    <div className="note-template-settings">
+      <h2>{t('notes.settingsTitle')}</h2>
+      <p className="settings-intro">{t('notes.settingsInfo')}</p>
+
+      <div className="profile-selector">
+        <label htmlFor="note-template">{t('notes.template')}</label>
+        <select id="note-template" value={selected.id} onChange={(e) => selectTemplate(e.target.value)}>
+          {options.map(option => (
+            <option key={option.id} value={option.id}>{option.modified ? t('notes.modifiedName', { name: option.name }) : option.name}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="profile-range-row">
+        <label htmlFor="note-template-name">{t('notes.name')}</label>
+        <input id="note-template-name" type="text" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} />
+      </div>
+      <textarea className="clinical-note-text" rows={16} value={draft.text} onChange={(e) => setDraft({ ...draft, text: e.target.value })} aria-label={t('notes.text')} spellCheck={false} dir="auto" />
+
+      <details className="differential-category">
+        <summary>{t('notes.placeholdersTitle')}</summary>
+        <p className="assumption-note">{t('notes.placeholdersInfo')}</p>
+        <dl className="note-placeholders">
+          {notePlaceholders.map(name => (
+            <React.Fragment key={name}>
+              <dt><code>@{name}@</code></dt>
+              <dd>{t(`notes.placeholders.${name}`)}</dd>
+            </React.Fragment>
+          ))}
+          <dt>{t('notes.placeholders.fieldsTitle')}</dt>
+          <dd><code>{noteFieldPlaceholders.map(name => `@${name}@`).join(' ')}</code></dd>
+        </dl>
+      </details>
+
+      {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+
+      <div className="form-actions profile-actions">
+        <button type="button" className="btn btn-primary" onClick={handleSave} disabled={!isValid}>
+          <FontAwesomeIcon icon={faSave} /> {t('notes.save')}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={handleSaveAsNew} disabled={!isValid}>
+          <FontAwesomeIcon icon={faCopy} /> {t('notes.saveAsNew')}
+        </button>
+        {selected.builtin ? (
+          selected.modified && (
+            <button type="button" className="btn btn-secondary" onClick={handleRestore}>
+              <FontAwesomeIcon icon={faUndo} /> {t('notes.restore')}
+            </button>
+          )
+        ) : (
+          <button type="button" className="btn btn-secondary" onClick={handleDelete}>
+            <FontAwesomeIcon icon={faTrash} /> {t('notes.delete')}
+          </button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={handleExport}>
+          <FontAwesomeIcon icon={faFileExport} /> {t('notes.export')}
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => fileInputRef.current?.click()}>
+          <FontAwesomeIcon icon={faFileImport} /> {t('notes.import')}
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+      </div>
+    </div>
+  );
+}
+
+export default NoteTemplateSettings;
@@ -0,0 +1,24 @@
+import React from 'react';
+import { patientCategories } from '../utils/patientCategories';
+import { t } from '../utils/i18n';
+
+function PatientCategorySelector({ patientCategory, onChange, disabled = false }) {
+  return (
+    <div className="sample-type-selector patient-category-selector">
+      <label htmlFor="patient-category">{t('patientCategory.label')}</label>
+      <select
+        id="patient-category"
+        value={patientCategory}
+        onChange={(e) => onChange(e.target.value)}
+        disabled={disabled}
+      >
+        <option value="auto">{t('patientCategory.auto')}</option>
+        {Object.entries(patientCategories).map(([key, config]) => (
+          <option key={key} value={key}>{t(`patientCategories.${key}`, null, config.label)}</option>
+        ))}
+      </select>
+    </div>
+  );
+}
+
+export default PatientCategorySelector;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faSave, faCopy, faTrash, faFileImport, faFileExport } from '@fortawesome/free-solid-svg-icons';
+import { sampleTypes } from '../utils/sampleTypes';
+import { patientCategories } from '../utils/patientCategories';
+import { defaultProfile, profileRangeLabels, validateProfile, parseProfileJson } from '../utils/referenceProfiles';
+
+const thresholdLabels = {
+  albuminReference: 'Albumin reference for AG correction (g/dL)',
+  osmolarGap: 'Osmolar gap upper limit (mOsm/kg)',
+  strongIonGap: 'Strong ion gap upper limit (mEq/L)',
+  cordAcidemiaPh: 'Cord arterial pH for pathological acidemia',
+  cordBaseDeficit: 'Cord arterial base deficit for metabolic acidosis (mmol/L)',
+  ketoacidosisBhb: 'β-Hydroxybutyrate defining ketoacidosis (mmol/L)',
+  dkaGlucose: 'DKA glucose criterion (mg/dL)',
+  hhsGlucose: 'HHS glucose criterion (mg/dL)',
+  hhsOsmolality: 'HHS effective osmolality criterion (mOsm/kg)'
+};
+
+const acidBaseLabels = { ph: 'pH', paco2: 'PCO₂ (mmHg)', hco3: 'HCO₃⁻ (mmol/L)' };
+
+const severityGradeLabels = {
+  acidemiaPh: 'Acidemia pH',
+  alkalemiaPh: 'Alkalemia pH',
+  metabolicAcidosisHco3: 'Metabolic acidosis HCO₃⁻ (mmol/L)',
+  metabolicAlkalosisHco3: 'Metabolic alkalosis HCO₃⁻ (mmol/L)',
+  respiratoryAcidosisPaco2: 'Respiratory acidosis PaCO₂ (mmHg)',
+  respiratoryAlkalosisPaco2: 'Respiratory alkalosis PaCO₂ (mmHg)'
+};
+
+const severityGradeColumns = ['Moderate', 'Severe', 'Life-threatening'];
+
+// Deep copy so edits never mutate a saved profile
+const cloneProfile = (profile) => JSON.parse(JSON.stringify(profile));
+
+const toInputValue = (value) => (typeof value === 'number' && !isNaN(value) ? value : '');
+
+function RangeInputs({ id, label, range, onChange }) {
+  return (
+    <div className="profile-range-row">
+      <label htmlFor={`${id}-low`}>{label}</label>
+      <input id={`${id}-low`} type="number" step="any" value={toInputValue(range[0])}
+        onChange={(e) => onChange([parseFloat(e.target.value), range[1]])} aria-label={`${label} low`} />
+      <span>–</span>
+      <input id={`${id}-high`} type="number" step="any" value={toInputValue(range[1])}
+        onChange={(e) => onChange([range[0], parseFloat(e.target.value)])} aria-label={`${label} high`} />
+    </div>
+  );
+}
+
+function ReferenceProfileSettings({ profiles, activeProfileId, onProfilesChange, onActiveProfileChange }) {
+  const activeProfile = profiles.find(profile => profile.id === activeProfileId) || defaultProfile;
+  const [draft, setDraft] = useState(() => cloneProfile(activeProfile));
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+  const fileInputRef = useRef(null);
+
+  // Reload the editor whenever another profile is selected
+  useEffect(() => {
+    setDraft(cloneProfile(activeProfile));
+    setMessage(null);
+  }, [activeProfileId]);
+
+  const isDefault = draft.id === defaultProfile.id;
+  const problems = validateProfile(draft);
+
+  const updateRange = (key, range) => setDraft(prev => ({ ...prev, ranges: { ...prev.ranges, [key]: range } }));
+
+  const updateSampleTypeRange = (type, key, range) => setDraft(prev => ({
+    ...prev,
+    sampleTypeRanges: { ...prev.sampleTypeRanges, [type]: { ...prev.sampleTypeRanges[type], [key]: range } }
+  }));
+
+  const updatePatientCategoryRange = (category, key, range) => setDraft(prev => ({
+    ...prev,
+    patientCategoryRanges: { ...prev.patientCategoryRanges, [category]: { ...prev.patientCategoryRanges[category], [key]: range } }
+  }));
+
+  const updateThreshold = (key, value) => setDraft(prev => ({ ...prev, thresholds: { ...prev.thresholds, [key]: parseFloat(value) } }));
+
+  // A blank critical limit means no limit on that side
+  const updateCriticalValue = (key, limits) => setDraft(prev => ({
+    ...prev,
+    criticalValues: { ...prev.criticalValues, [key]: limits.map(limit => (isNaN(limit) ? null : limit)) }
+  }));
+
+  const updateSeverityGrade = (key, index, value) => setDraft(prev => ({
+    ...prev,
+    severityGrades: { ...prev.severityGrades, [key]: prev.severityGrades[key].map((cutoff, i) => (i === index ? parseFloat(value) : cutoff)) }
+  }));
+
+  const handleSave = () => {
+    if (problems.length > 0) return;
+    onProfilesChange(profiles.map(profile => (profile.id === draft.id ? cloneProfile(draft) : profile)));
+    setMessage({ type: 'success', text: `Saved "${draft.name}".` });
+  };
+
+  const handleSaveAsNew = () => {
+    if (problems.length > 0) return;
+    const name = isDefault ? `${draft.name} (custom)` : `${draft.name} (copy)`;
+    const newProfile = { ...cloneProfile(draft), id: `profile-${Date.now()}`, name };
+    onProfilesChange([...profiles, newProfile]);
+    onActiveProfileChange(newProfile.id);
+  };
+
+  const handleDelete = () => {
+    if (isDefault || !window.confirm(`Delete the reference profile "${draft.name}"?`)) return;
+    onProfilesChange(profiles.filter(profile => profile.id !== draft.id));
+    onActiveProfileChange(defaultProfile.id);
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([JSON.stringify(draft, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${draft.name.replace(/[^\w-]+/g, '_')}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Allow re-importing the same file
+    if (!file) return;
+    try {
+      const imported = parseProfileJson(await file.text());
+      // Imported profiles never replace the built-in default
+      const profile = imported.id === defaultProfile.id ? { ...imported, id: `profile-${Date.now()}` } : imported;
+      onProfilesChange([...profiles.filter(existing => existing.id !== profile.id), profile]);
+      onActiveProfileChange(profile.id);
+    } catch (error) {
+      console.error("Profile import failed:", error);
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  return (
+    <div className="reference-profile-settings">
+      <h2>Reference Range Profiles</h2>
+      <p className="settings-intro">
+        Normal ranges and thresholds used for analysis, form hints and printed reports. Values are in conventional units.
+      </p>
+
+      <div className="profile-selector">
+        <label htmlFor="active-profile">Active profile</label>
+        <select id="active-profile" value={activeProfileId} onChange={(e) => onActiveProfileChange(e.target.value)}>
+          {profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+        </select>
+      </div>
+
+      <div className="profile-editor">
+        <div className="profile-range-row">
+          <label htmlFor="profile-name">Profile name</label>
+          <input id="profile-name" type="text" value={draft.name}
+            onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} />
+        </div>
+
+        <fieldset className="form-section">
+          <legend>Normal Ranges</legend>
+          {Object.entries(profileRangeLabels).map(([key, label]) => (
+            <RangeInputs key={key} id={`range-${key}`} label={label} range={draft.ranges[key]}
+              onChange={(range) => updateRange(key, range)} />
+          ))}
+        </fieldset>
+
+        <fieldset className="form-section">
+          <legend>Non-arterial Samples</legend>
+          {Object.keys(draft.sampleTypeRanges).map(type => (
+            <div key={type} className="profile-sample-type">
+              <h4>{sampleTypes[type]?.label || type}</h4>
+              {Object.entries(acidBaseLabels).map(([key, label]) => (
+                <RangeInputs key={key} id={`range-${type}-${key}`} label={label} range={draft.sampleTypeRanges[type][key]}
+                  onChange={(range) => updateSampleTypeRange(type, key, range)} />
+              ))}
+            </div>
+          ))}
+        </fieldset>
+
+        <fieldset className="form-section">
+          <legend>Pediatric Arterial Ranges</legend>
+          {Object.keys(draft.patientCategoryRanges).map(category => (
+            <div key={category} className="profile-sample-type">
+              <h4>{patientCategories[category]?.label || category}</h4>
+              {Object.entries(acidBaseLabels).map(([key, label]) => (
+                <RangeInputs key={key} id={`range-${category}-${key}`} label={label} range={draft.patientCategoryRanges[category][key]}
+                  onChange={(range) => updatePatientCategoryRange(category, key, range)} />
+              ))}
+            </div>
+          ))}
+        </fieldset>
+
+        <fieldset className="form-section">
+          <legend>Thresholds</legend>
+          {Object.entries(thresholdLabels).map(([key, label]) => (
+            <div key={key} className="profile-range-row">
+              <label htmlFor={`threshold-${key}`}>{label}</label>
+              <input id={`threshold-${key}`} type="number" step="any" value={toInputValue(draft.thresholds[key])}
+                onChange={(e) => updateThreshold(key, e.target.value)} />
+            </div>
+          ))}
+        </fieldset>
+
+        <fieldset className="form-section">
+          <legend>Critical Values</legend>
+          <p className="assumption-note">Values below the low or above the high limit raise a critical value alert. Leave a limit blank to disable it.</p>
+          {Object.keys(draft.criticalValues).map(key => (
+            <RangeInputs key={key} id={`critical-${key}`} label={profileRangeLabels[key] || key} range={draft.criticalValues[key]}
+              onChange={(limits) => updateCriticalValue(key, limits)} />
+          ))}
+        </fieldset>
+
+        <fieldset className="form-section">
+          <legend>Severity Grading</legend>
+          <p className="assumption-note">Cut-offs for moderate, severe and life-threatening disorders; values within the first cut-off are mild.</p>
+          {Object.entries(severityGradeLabels).map(([key, label]) => (
+            <div key={key} className="profile-range-row">
+              <label htmlFor={`grade-${key}-0`}>{label}</label>
+              {severityGradeColumns.map((column, index) => (
+                <input key={column} id={`grade-${key}-${index}`} type="number" step="any" value={toInputValue(draft.severityGrades[key][index])}
+                  onChange={(e) => updateSeverityGrade(key, index, e.target.value)} aria-label={`${label} ${column.toLowerCase()}`} title={column} />
+              ))}
+            </div>
+          ))}
+        </fieldset>
+      </div>
+
+      {problems.length > 0 && (
+        <ul className="profile-problems error-message">
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+      {isDefault && <p className="assumption-note">The default profile is read-only; save your changes as a new profile.</p>}
+
+      <div className="form-actions profile-actions">
+        {!isDefault && (
+          <button type="button" className="btn btn-primary" onClick={handleSave} disabled={problems.length > 0}>
+            <FontAwesomeIcon icon={faSave} /> Save
+          </button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={handleSaveAsNew} disabled={problems.length > 0}>
+          <FontAwesomeIcon icon={faCopy} /> Save as New Profile
+        </button>
+        {!isDefault && (
+          <button type="button" className="btn btn-secondary" onClick={handleDelete}>
+            <FontAwesomeIcon icon={faTrash} /> Delete
+          </button>
+        )}
+        <button type="button" className="btn btn-secondary" onClick={handleExport}>
+          <FontAwesomeIcon icon={faFileExport} /> Export JSON
+        </button>
+        <button type="button" className="btn btn-secondary" onClick={() => fileInputRef.current?.click()}>
+          <FontAwesomeIcon icon={faFileImport} /> Import JSON
+        </button>
+        <input ref={fileInputRef} type="file" accept="application/json,.json" onChange={handleImport} hidden />
+      </div>
+    </div>
+  );
+}
+
+export default ReferenceProfileSettings;
@@ -0,0 +1,166 @@
+import React, { useState, useEffect } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faFilePdf, faPrint, faImage, faTimes } from '@fortawesome/free-solid-svg-icons';
+import { renderReport, reportTemplates, loadReportSettings, saveReportSettings, MAX_LOGO_BYTES } from '../utils/report';
+import { printReport, renderReportPdf } from '../utils/reportOutput';
+import { t, formatNumber } from '../utils/i18n';
+
+// ISO time → value of a datetime-local input
+const localDateTime = (time) => {
+  const date = time ? new Date(time) : null;
+  return date && !isNaN(date) ? new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16) : '';
+};
+
+const initialIdentifiers = (exportContext = {}) => ({
+  patientName: exportContext.patientLabel || '',
+  patientId: '',
+  sampleId: '',
+  collectedAt: localDateTime(exportContext.effectiveDateTime)
+});
+
+// Printable and PDF report: template, identifiers, sign-off and institution branding (remembered in localStorage)
+function ReportExport({ results, exportContext }) {
+  const [settings, setSettings] = useState(loadReportSettings);
+  const [identifiers, setIdentifiers] = useState(() => initialIdentifiers(exportContext));
+  const [review, setReview] = useState({ reviewedBy: '', comment: '' });
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+
+  // Identifiers and review belong to one analysis
+  useEffect(() => {
+    setIdentifiers(initialIdentifiers(exportContext));
+    setReview({ reviewedBy: '', comment: '' });
+    setMessage(null);
+  }, [results]);
+
+  const updateSettings = (changes) => {
+    const updated = { ...settings, ...changes };
+    setSettings(updated);
+    saveReportSettings(updated);
+  };
+  const updateBranding = (changes) => updateSettings({ branding: { ...settings.branding, ...changes } });
+
+  const reportHtml = () => renderReport(results, {
+    template: settings.template,
+    branding: settings.branding,
+    identifiers,
+    signOff: { ...settings.signOff, ...review }
+  });
+
+  const handleLogoChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+    if (file.size > MAX_LOGO_BYTES) {
+      setMessage({ type: 'error', text: t('report.logoTooLarge', { size: formatNumber(MAX_LOGO_BYTES / 1024) }) });
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      updateBranding({ logo: reader.result });
+      setMessage(null);
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const handlePdf = async () => {
+    setIsGenerating(true);
+    setMessage(null);
+    try {
+      const blob = await renderReportPdf(reportHtml(), { title: t('print.documentTitle') });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `abg-report-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.pdf`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error("PDF report failed:", error);
+      setMessage({ type: 'error', text: t('report.pdfFailed', { message: error.message }) });
+    }
+    setIsGenerating(false);
+  };
+
+  const identifierField = (field, type = 'text') => (
+    <label key={field}>
+      {t(`report.${field}`)}
+      <input type={type} value={identifiers[field]} onChange={(e) => setIdentifiers({ ...identifiers, [field]: e.target.value })} />
+    </label>
+  );
+
+  return (
+    <details className="differential-category report-export">
+      <summary>{t('report.title')}</summary>
+      <p className="assumption-note">{t('report.info')}</p>
+
+      <div className="report-fields">
+        <label>
+          {t('report.template')}
+          <select value={settings.template} onChange={(e) => updateSettings({ template: e.target.value })}>
+            {Object.keys(reportTemplates).map(key => <option key={key} value={key}>{t(`report.templates.${key}`)}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <fieldset className="report-fields">
+        <legend>{t('report.identifiers')}</legend>
+        {identifierField('patientName')}
+        {identifierField('patientId')}
+        {identifierField('sampleId')}
+        {identifierField('collectedAt', 'datetime-local')}
+      </fieldset>
+
+      <fieldset className="report-fields">
+        <legend>{t('report.signOff')}</legend>
+        <label>
+          {t('report.reportedBy')}
+          <input type="text" value={settings.signOff.reportedBy} onChange={(e) => updateSettings({ signOff: { ...settings.signOff, reportedBy: e.target.value } })} />
+        </label>
+        <label>
+          {t('report.reviewedBy')}
+          <input type="text" value={review.reviewedBy} onChange={(e) => setReview({ ...review, reviewedBy: e.target.value })} />
+        </label>
+        <label className="report-comment">
+          {t('report.comment')}
+          <textarea rows={2} value={review.comment} onChange={(e) => setReview({ ...review, comment: e.target.value })} />
+        </label>
+      </fieldset>
+
+      <fieldset className="report-fields">
+        <legend>{t('report.branding')}</legend>
+        <label>
+          {t('report.institution')}
+          <input type="text" value={settings.branding.institution} onChange={(e) => updateBranding({ institution: e.target.value })} />
+        </label>
+        <label>
+          {t('report.department')}
+          <input type="text" value={settings.branding.department} onChange={(e) => updateBranding({ department: e.target.value })} />
+        </label>
+        <div className="report-logo-field">
+          {settings.branding.logo && <img className="report-logo-preview" src={settings.branding.logo} alt={t('report.logo')} />}
+          <label className="btn btn-secondary">
+            <FontAwesomeIcon icon={faImage} /> {t('report.uploadLogo')}
+            <input type="file" accept="image/png,image/jpeg" hidden onChange={handleLogoChange} />
+          </label>
+          {settings.branding.logo && (
+            <button type="button" className="trend-remove" onClick={() => updateBranding({ logo: '' })} title={t('report.removeLogo')} aria-label={t('report.removeLogo')}>
+              <FontAwesomeIcon icon={faTimes} />
+            </button>
+          )}
+        </div>
+      </fieldset>
+
+      <div className="hl7-actions">
+        <button type="button" className="btn btn-secondary" onClick={() => printReport(reportHtml())}>
+          <FontAwesomeIcon icon={faPrint} /> {t('report.print')}
+        </button>
+        <button type="button" className="btn btn-primary" onClick={handlePdf} disabled={isGenerating}>
+          <FontAwesomeIcon icon={faFilePdf} /> {t(isGenerating ? 'report.generating' : 'report.downloadPdf')}
+        </button>
+      </div>
+      {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+    </details>
+  );
+}
+
+export default ReportExport;
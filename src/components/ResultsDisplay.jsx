@@ -1,187 +1,401 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
-import { faPrint, faRedo, faInfoCircle } from '@fortawesome/free-solid-svg-icons';
-
-// Helper to generate print content (similar to the original UIController)
-const generatePrintContent = (results) => {
-    if (!results || !results.state) return '<p>No results available to print.</p>'; // Check for state too
-
-    const inputValues = results.inputValues || {}; // Get input values if passed along with results
-    const analysis = results; // The main results object
-
-    const createRow = (label, value, unit = '', range = '') => {
-        if (value === undefined || value === null || isNaN(value)) return ''; // Check if value is valid number
-        return `<tr><td>${label}</td><td>${value}${unit ? ' ' + unit : ''}</td><td>${range}</td></tr>`;
-    };
-
-    // Refined Print Styles (copied from original ui-controller.js)
-    return `
-       <!DOCTYPE html>
-       <html>
-       <head>
-           <title>ABG Analysis Report</title>
-           <style>
-               body { font-family: Arial, sans-serif; margin: 25px; line-height: 1.5; font-size: 11pt; }
-               h1 { font-size: 16pt; text-align: center; margin-bottom: 15px; color: #1a3b5d; }
-               h2 { font-size: 13pt; margin-top: 20px; margin-bottom: 10px; color: #007bff; border-bottom: 1px solid #eee; padding-bottom: 5px;}
-               h3 { font-size: 12pt; color: #1a3b5d; margin-top: 15px; margin-bottom: 5px; }
-               .section { margin-bottom: 20px; }
-               table { border-collapse: collapse; width: 80%; margin-bottom: 15px; margin-left: auto; margin-right: auto; }
-               th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: left; font-size: 10pt;}
-               th { background-color: #f2f2f2; font-weight: bold; }
-               .interpretation-box { background-color: #e9ecef; padding: 12px; border-radius: 4px; border-left: 5px solid #1a3b5d; margin-top: 5px; }
-               .interpretation-box p { font-size: 12pt; font-weight: bold; margin: 0; color: #1a3b5d; }
-               .step { margin-bottom: 12px; }
-               .step p { margin-left: 5px; font-size: 10.5pt; padding-left: 10px; border-left: 2px solid #eee; }
-               .footer { margin-top: 40px; font-size: 9pt; color: #6c757d; text-align: center; border-top: 1px solid #ccc; padding-top: 10px; }
-               @media print {
-                   body { margin: 20px; } /* Adjust margins for printing */
-                   .no-print { display: none; } /* Class for elements to hide during print */
-                   a { text-decoration: none; color: inherit; } /* Avoid printing links underlined */
-               }
-           </style>
-       </head>
-       <body>
-           <h1>Automatic ABG Analyzer Report</h1>
-
-           ${Object.keys(inputValues).length > 0 ? `
-           <div class="section">
-               <h2>Input Values</h2>
-               <table>
-                   <thead><tr><th>Parameter</th><th>Value</th><th>Normal Range</th></tr></thead>
-                   <tbody>
-                       ${createRow('pH', inputValues.ph, '', '7.35-7.45')}
-                       ${createRow('PaCO₂', inputValues.paco2, 'mmHg', '35-45')}
-                       ${createRow('HCO₃⁻', inputValues.hco3, 'mmol/L', '22-26')}
-                       ${createRow('PaO₂', inputValues.pao2, 'mmHg', '80-100')}
-                       ${createRow('Na⁺', inputValues.na, 'mmol/L', '135-145')}
-                       ${createRow('Cl⁻', inputValues.cl, 'mmol/L', '98-107')}
-                       ${createRow('Base Excess', inputValues.be, 'mmol/L', '-2 to +2')}
-                       ${createRow('SaO₂', inputValues.sao2, '%', '95-100')}
-                       ${createRow('K⁺', inputValues.k, 'mmol/L', '3.5-5.0')}
-                       ${createRow('Albumin', inputValues.albumin, 'g/dL', '3.5-5.0')}
-                   </tbody>
-               </table>
-           </div>` : ''}
-
-           <div class="section">
-               <h2>Final Interpretation</h2>
-               <div class="interpretation-box">
-                   <p>${analysis.finalInterpretation || 'N/A'}</p>
-               </div>
-           </div>
-
-           <div class="section">
-               <h2>Step-by-Step Analysis (ATS Method)</h2>
-               <div class="step"><h3>Step 1: Internal Consistency</h3><p>${analysis.step1 || 'N/A'}</p></div>
-               <div class="step"><h3>Step 2: Acidemia/Alkalemia</h3><p>${analysis.step2 || 'N/A'}</p></div>
-               <div class="step"><h3>Step 3: Primary Disorder</h3><p>${analysis.step3 || 'N/A'}</p></div>
-               <div class="step"><h3>Step 4: Compensation</h3><p>${analysis.step4 || 'N/A'}</p></div>
-               <div class="step"><h3>Step 5: Anion Gap</h3><p>${analysis.step5 || 'N/A'}</p></div>
-               <div class="step"><h3>Step 6: Delta Ratio</h3><p>${analysis.step6 || 'N/A'}</p></div>
-           </div>
-
-           <div class="footer">
-               Generated on: ${new Date().toLocaleString()} <br>
-               Disclaimer: For educational purposes only. Not a substitute for clinical judgment.
-           </div>
-       </body>
-       </html>
-   `;
-};
-
-
-function ResultsDisplay({ results, onNewAnalysis }) {
+import { faPrint, faRedo, faInfoCircle, faVial, faChild, faExclamationTriangle, faThermometerHalf, faExclamationCircle, faTimes } from '@fortawesome/free-solid-svg-icons';
+import { formatMeasurement } from '../utils/units';
+import { temperatureStrategies } from '../utils/temperatureCorrection';
+import {
+  getStepTitle, ruleLabel, renderStep, renderInterpretation, isSimpleDisorder, severityLabel, disorderTitle, renderCriticalAlert, sampleLabel, patientLabel, strategyLabel,
+  temperatureValues, standardBaseExcess, formatConversion, analysisNote, renderSectionReason, qualityWarningTitle, qualityWarningExplanation, renderQualityEvidence,
+  differentialCategoryLabel, causeName, renderDifferentialNote, renderCauseEvidence, renderCrisisCriterion, renderCrisisFinding, renderStewartFinding,
+  baseExcessComponentLabel, renderBaseExcessFinding, renderOxygenationFinding, renderOxygenationAssumption, renderCordGasCheck, renderCordGasFinding
+} from '../utils/resultRenderer';
+import { renderReport, loadReportSettings } from '../utils/report';
+import { printReport } from '../utils/reportOutput';
+import { t, formatNumber, getLocale } from '../utils/i18n';
+import AcidBaseMap from './AcidBaseMap';
+import FhirExport from './FhirExport';
+import ReportExport from './ReportExport';
+import ShareLink from './ShareLink';
+import ClinicalNote from './ClinicalNote';
+
+// Steps with an explanatory tooltip next to their title (results.stepInfo.* messages)
+const stepsWithInfo = ['step5', 'step6', 'step7'];
+
+function ResultsDisplay({ results, exportContext, noteTemplates, onNewAnalysis, onTemperatureStrategyChange }) {
+  const [alertsDismissed, setAlertsDismissed] = useState(false);
+
+  // Show the critical value banner again for every new analysis
+  useEffect(() => {
+    setAlertsDismissed(false);
+  }, [results]);
+
   if (!results || results.error) {
     // Don't render anything if there are no results or if there was an error handled by App
     return null;
   }
 
-  const { state, finalInterpretation, step1, step2, step3, step4, step5, step6 } = results;
+  const { steps, interpretation, stewart, baseExcess, oxygenation, differentials, sampleInfo, patientInfo, sampleQuality, temperature, hyperglycemicCrisis, cordGas, displayUnits, referenceProfile, rules, severity, acidBaseMap } = results;
+  const fmt = (field, value, decimals) => formatMeasurement(field, value, displayUnits?.[field], decimals);
 
+  // Prints with the saved report template and branding; ReportExport sets identifiers and sign-off
   const handlePrint = () => {
-    console.log("Print results requested.");
-    // We need the input values here too for the print report.
-    // Assuming App.jsx will pass the inputValues along with the analysis results.
-    // If not, this needs adjustment. For now, assume `results` contains `inputValues`.
-    const printContent = generatePrintContent(results);
-    const printWindow = window.open('', 'Print Results', 'height=700,width=800');
-    if (printWindow) {
-        printWindow.document.write(printContent);
-        printWindow.document.close();
-        // Use timeout to ensure content is loaded before printing
-        setTimeout(() => {
-            printWindow.focus(); // Focus the new window
-            printWindow.print();
-            // printWindow.close(); // Optional: close window after print dialog
-        }, 500);
-    } else {
-        alert("Could not open print window. Please check your browser's popup settings.");
-    }
+    const { template, branding, signOff } = loadReportSettings();
+    const identifiers = { patientName: exportContext?.patientLabel, collectedAt: exportContext?.effectiveDateTime };
+    printReport(renderReport(results, { template, branding, signOff, identifiers }));
   };
 
-  // Determine CSS classes for highlighting based on the analysis state
-  const getStep2Class = () => {
-    if (state?.acidBaseStatus === 'acidemia') return 'status-acidemia';
-    if (state?.acidBaseStatus === 'alkalemia') return 'status-alkalemia';
+  // Determine CSS classes for highlighting based on the step codes
+  const getStepClass = (step) => {
+    if (step.id === 'step2' && step.code === 'ACIDEMIA') return 'status-acidemia';
+    if (step.id === 'step2' && step.code === 'ALKALEMIA') return 'status-alkalemia';
+    if (step.id === 'step3' && isSimpleDisorder(step.code)) return 'primary-disorder';
     return '';
   };
 
-  const getStep3Class = () => {
-    return state?.primaryDisorder && !state.primaryDisorder.includes('mixed') && state.primaryDisorder !== 'normal' ? 'primary-disorder' : '';
-  };
-
+  // Badge for steps interpreted with age-specific ranges and compensation rules
+  const pediatricBadge = (step) => (patientInfo?.adjustedSteps.includes(step)
+    ? <span className="pediatric-badge">{t(patientInfo.cordGas ? 'results.badge.cord' : 'results.badge.pediatric')}</span>
+    : null);
 
   return (
     <div id="results-section" className="results-section">
-      <h2>ABG Analysis Results</h2>
+      <h2>{t('results.title')}</h2>
+
+      {/* Critical Value Alerts */}
+      {severity?.alerts.length > 0 && !alertsDismissed && (
+        <div className="critical-banner" role="alert">
+          <button type="button" className="critical-dismiss" onClick={() => setAlertsDismissed(true)} aria-label={t('critical.dismiss')} title={t('critical.dismiss')}>
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+          <p>
+            <FontAwesomeIcon icon={faExclamationCircle} /> <strong>{t(severity.alerts.length > 1 ? 'critical.titleMany' : 'critical.title')}</strong>
+            {t('critical.notify')}
+          </p>
+          <ul>
+            {severity.alerts.map(alert => <li key={alert.field}>{renderCriticalAlert(alert, displayUnits)}</li>)}
+          </ul>
+        </div>
+      )}
+      {/* Rules that failed (e.g. a local plug-in): their sections are missing */}
+      {rules?.some(rule => rule.status === 'error') && (
+        <div className="status-message error-message rule-errors" role="alert">
+          <p><FontAwesomeIcon icon={faExclamationTriangle} /> {t('results.rulesFailed')}</p>
+          <ul>
+            {rules.filter(rule => rule.status === 'error').map(rule => <li key={rule.id}>{ruleLabel(rule)}: {rule.error}</li>)}
+          </ul>
+        </div>
+      )}
+      {referenceProfile && <p className="profile-note">{t('results.profile', { name: referenceProfile.name })}</p>}
+
+      {/* Sample Type / Estimation Banner */}
+      {sampleInfo && sampleInfo.sampleType !== 'arterial' && (
+        <div className={`sample-banner ${sampleInfo.estimated ? 'sample-banner-estimated' : ''}`}>
+          <p>
+            <FontAwesomeIcon icon={faVial} /> <strong>{t('results.sample', { label: sampleLabel(sampleInfo) })}</strong>
+            {sampleInfo.estimated
+              ? t('results.sampleEstimated')
+              : t('results.sampleRanges', { label: sampleLabel(sampleInfo).toLocaleLowerCase(getLocale()) })}
+          </p>
+          {sampleInfo.estimated && (
+            <ul>
+              {sampleInfo.conversions.map(conversion => <li key={conversion.key}>{formatConversion(conversion, displayUnits)}</li>)}
+              {sampleInfo.notes.map(note => <li key={note} className="assumption-note">{analysisNote(note)}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      {/* Pediatric / Neonatal Banner */}
+      {patientInfo?.pediatric && (
+        <div className="sample-banner patient-banner">
+          <p>
+            <FontAwesomeIcon icon={faChild} /> <strong>{t('results.pediatricMode', { label: patientLabel(patientInfo) })}</strong>
+            {t('results.pediatricStepsBefore')}<span className="pediatric-badge">{t(patientInfo.cordGas ? 'results.badge.cord' : 'results.badge.pediatric')}</span>{t('results.pediatricStepsAfter')}
+          </p>
+          <ul>
+            {patientInfo.notes.map(note => <li key={note} className="assumption-note">{analysisNote(note)}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {/* Temperature Correction (alpha-stat / pH-stat) */}
+      {temperature?.performed && (
+        <div className="sample-banner temperature-banner">
+          <p>
+            <FontAwesomeIcon icon={faThermometerHalf} /> <strong>{t('results.temperature', { temperature: formatNumber(temperature.temperature, 1) })}</strong>
+            {t('results.temperatureStrategy', { strategy: strategyLabel(temperature), values: temperatureValues(temperature) })}
+          </p>
+          <div className="temperature-strategy-toggle" role="radiogroup" aria-label={t('results.temperatureAriaLabel')}>
+            {Object.entries(temperatureStrategies).map(([key, strategy]) => (
+              <label key={key} className="temperature-option">
+                <input
+                  type="radio"
+                  name="temperature-strategy"
+                  value={key}
+                  checked={temperature.strategy === key}
+                  onChange={() => onTemperatureStrategyChange?.(key)}
+                />
+                {t(`temperatureStrategies.${key}`, null, strategy.label)}
+              </label>
+            ))}
+          </div>
+          <table className="stewart-table temperature-table">
+            <thead>
+              <tr><th></th><th>{t('results.at37')}</th><th>{t('results.atTemperature', { temperature: formatNumber(temperature.temperature, 1) })}</th></tr>
+            </thead>
+            <tbody>
+              <tr><td>pH</td><td>{formatNumber(temperature.measured.ph, 2)}</td><td>{formatNumber(temperature.correctedValues.ph, 2)}</td></tr>
+              <tr><td>PaCO₂</td><td>{fmt('paco2', temperature.measured.paco2)}</td><td>{fmt('paco2', temperature.correctedValues.paco2)}</td></tr>
+              {temperature.measured.pao2 !== undefined && (
+                <tr><td>PaO₂</td><td>{fmt('pao2', temperature.measured.pao2)}</td><td>{fmt('pao2', temperature.correctedValues.pao2)}</td></tr>
+              )}
+            </tbody>
+          </table>
+          <ul>
+            {temperature.notes.map(note => <li key={note} className="assumption-note">{analysisNote(note)}</li>)}
+          </ul>
+        </div>
+      )}
+
+      {/* Pre-analytical Error Warnings */}
+      {sampleQuality?.warnings.length > 0 && (
+        <div className="sample-banner quality-banner" role="alert">
+          <p>
+            <FontAwesomeIcon icon={faExclamationTriangle} /> <strong>{t(sampleQuality.warnings.length > 1 ? 'results.qualityMany' : 'results.quality')}</strong>
+            {t('results.qualityConfirm')}
+          </p>
+          {sampleQuality.warnings.map(warning => (
+            <div key={warning.code} className={`quality-warning quality-${warning.severity}`}>
+              <h4>{qualityWarningTitle(warning)}</h4>
+              <ul>
+                {warning.evidence.map((item, index) => <li key={index}>{renderQualityEvidence(item, displayUnits)}</li>)}
+              </ul>
+              <p className="assumption-note">{qualityWarningExplanation(warning)}</p>
+            </div>
+          ))}
+        </div>
+      )}
 
       {/* Final Interpretation Summary */}
       <div className="result-summary">
         <div className="result-box">
-          <h3>Final Interpretation</h3>
-          <p id="final-interpretation" className="interpretation">{finalInterpretation || 'N/A'}</p>
+          <h3>{t('results.finalInterpretation')}</h3>
+          <p id="final-interpretation" className="interpretation">{renderInterpretation(interpretation)}</p>
+          {severity?.disorders.length > 0 && (
+            <ul className="severity-list" aria-label={t('severity.title')}>
+              {severity.disorders.map(disorder => (
+                <li key={disorder.code}>
+                  <span className={`severity-badge severity-${disorder.severity}`}>{severityLabel(disorder.severity)}</span> {disorderTitle(disorder.code)}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </div>
 
+      {/* Acid-Base Map (Davenport diagram) */}
+      {acidBaseMap?.performed && (
+        <div className="detailed-results acid-base-map-results">
+          <h3>{t('acidBaseMap.title')} <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('acidBaseMap.info')} /></h3>
+          <AcidBaseMap map={acidBaseMap} displayUnits={displayUnits} />
+        </div>
+      )}
+
+      {/* Umbilical Cord Gas Assessment */}
+      {cordGas?.performed && (
+        <div className="detailed-results cord-gas-results">
+          <h3>{t('results.cordGas')} <span className="pediatric-badge">{t('results.badge.neonatal')}</span> <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('results.cordGasInfo')} /></h3>
+          <div className="step-container">
+            <table className="stewart-table cord-gas-table">
+              <thead>
+                <tr><th></th><th>{t('results.arterial')}</th><th>{t('results.venous')}</th></tr>
+              </thead>
+              <tbody>
+                <tr><td>pH</td><td>{formatNumber(cordGas.arterial.ph, 2)}</td><td>{cordGas.venous ? formatNumber(cordGas.venous.ph, 2) : '—'}</td></tr>
+                <tr><td>PCO₂</td><td>{fmt('paco2', cordGas.arterial.pco2)}</td><td>{cordGas.venous ? fmt('uvpco2', cordGas.venous.pco2) : '—'}</td></tr>
+                <tr><td>HCO₃⁻</td><td>{formatNumber(cordGas.arterial.hco3, 1)} mmol/L</td><td>{cordGas.venous ? `${formatNumber(cordGas.venous.hco3, 1)} mmol/L` : '—'}</td></tr>
+                <tr className={cordGas.classification === 'metabolic' || cordGas.classification === 'mixed' ? 'stewart-flag' : ''}>
+                  <td>{t('results.baseDeficitSource', { source: t(`results.sbeSource.${cordGas.arterial.baseDeficitSource}`, null, cordGas.arterial.baseDeficitSource) })}</td>
+                  <td>{formatNumber(cordGas.arterial.baseDeficit, 1)} mmol/L</td>
+                  <td>{cordGas.venous ? `${formatNumber(cordGas.venous.baseDeficit, 1)} mmol/L` : '—'}</td>
+                </tr>
+              </tbody>
+            </table>
+            <p className={`interpretation ${cordGas.severe ? 'status-acidemia' : ''}`}>
+              {t(`results.cord.${cordGas.classification}`)}{cordGas.severe ? t('results.asphyxia') : ''}
+            </p>
+            {cordGas.findings.map((finding, index) => (
+              <div className="step" key={index}><p>{renderCordGasFinding(finding, displayUnits)}</p></div>
+            ))}
+            <h4>{t('results.sampleValidity')}</h4>
+            <ul className="cord-validity">
+              {cordGas.validity.checks.map((check, index) => (
+                <li key={index} className={check.passed ? 'check-passed' : 'check-failed'}>{check.passed ? '✓' : '✗'} {renderCordGasCheck(check, displayUnits)}</li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+
       {/* Step-by-Step Breakdown */}
       <div className="detailed-results">
-        <h3>Step-by-Step Analysis (ATS Method)</h3>
+        <h3>{t('results.steps')}</h3>
         <div className="step-container">
-          <div className="step">
-            <h4>Step 1: Check Internal Consistency</h4>
-            <p id="step1-result">{step1 || 'N/A'}</p>
-          </div>
-          <div className="step">
-            <h4>Step 2: Determine Acidemia or Alkalemia</h4>
-            <p id="step2-result" className={getStep2Class()}>{step2 || 'N/A'}</p>
-          </div>
-          <div className="step">
-            <h4>Step 3: Identify Primary Disorder</h4>
-            <p id="step3-result" className={getStep3Class()}>{step3 || 'N/A'}</p>
-          </div>
-          <div className="step">
-            <h4>Step 4: Evaluate Compensation</h4>
-            <p id="step4-result">{step4 || 'N/A'}</p>
+          {(steps || []).map(step => (
+            <div className="step" key={step.id}>
+              <h4>
+                {getStepTitle(step)} {pediatricBadge(step.id)}
+                {stepsWithInfo.includes(step.id) && <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t(`results.stepInfo.${step.id}`)} />}
+              </h4>
+              <p id={`${step.id}-result`} className={getStepClass(step)}>{renderStep(step, displayUnits)}</p>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* DKA / HHS Criteria */}
+      {hyperglycemicCrisis?.performed && (
+        <div className="detailed-results hyperglycemic-crisis-results">
+          <h3>{t('results.hyperglycemicCrisis')} <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('results.hyperglycemicCrisisInfo')} /></h3>
+          <div className="step-container">
+            {hyperglycemicCrisis.findings.map((finding, index) => (
+              <p key={index} className={`interpretation ${hyperglycemicCrisis.code !== 'NONE' ? 'status-acidemia' : ''}`}>{renderCrisisFinding(finding, displayUnits)}</p>
+            ))}
+            <ul className="cord-validity">
+              {hyperglycemicCrisis.criteria.map((criterion, index) => (
+                <li key={index} className={criterion.met ? 'check-passed' : 'check-failed'}>{criterion.met ? '✓' : '✗'} {renderCrisisCriterion(criterion, displayUnits)}</li>
+              ))}
+            </ul>
           </div>
-          <div className="step">
-            <h4>Step 5: Calculate Anion Gap <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title="Anion Gap = Na⁺ - (Cl⁻ + HCO₃⁻). Normal ≈ 8-12 mmol/L. Corrected for low albumin if provided." /></h4>
-            <p id="step5-result">{step5 || 'N/A'}</p>
+        </div>
+      )}
+
+      {/* Ranked Differential Diagnosis */}
+      {differentials?.length > 0 && (
+        <div className="detailed-results differential-results">
+          <h3>{t('results.differentials')} <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('results.differentialsInfo')} /></h3>
+          {differentials.map((category, index) => (
+            <details className="differential-category" key={category.key} open={index === 0}>
+              <summary>{differentialCategoryLabel(category)}</summary>
+              {category.note && <p className="assumption-note">{renderDifferentialNote(category.note)}</p>}
+              <ol className="differential-list">
+                {category.causes.map(cause => (
+                  <li key={cause.key || cause.name}>
+                    {causeName(cause)}
+                    {cause.evidence.length > 0 && (
+                      <div className="differential-evidence">
+                        {cause.evidence.map((item, index) => <span className="evidence-chip" key={index}>{renderCauseEvidence(item, displayUnits)}</span>)}
+                      </div>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </details>
+          ))}
+        </div>
+      )}
+
+      {/* Stewart Physicochemical Analysis */}
+      <div className="detailed-results stewart-results">
+        <h3>{t('results.stewart')} <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('results.stewartInfo')} /></h3>
+        {stewart?.performed ? (
+          <div className="step-container">
+            <table className="stewart-table">
+              <tbody>
+                <tr><td>{t('results.sidApparent')}</td><td>{formatNumber(stewart.sidApparent, 1)} mEq/L</td></tr>
+                <tr><td>{t('results.sidEffective')}</td><td>{formatNumber(stewart.sidEffective, 1)} mEq/L</td></tr>
+                <tr><td>{t('results.atotParts', { albumin: formatNumber(stewart.atot.albumin, 1), phosphate: formatNumber(stewart.atot.phosphate, 1) })}</td><td>{formatNumber(stewart.atot.total, 1)} mEq/L</td></tr>
+                <tr className={stewart.unmeasuredAnions ? 'stewart-flag' : ''}><td>{t('results.sig')}</td><td>{formatNumber(stewart.sig, 1)} mEq/L</td></tr>
+              </tbody>
+            </table>
+            {stewart.findings.map((finding, index) => (
+              <div className="step" key={index}><p>{renderStewartFinding(finding, displayUnits)}</p></div>
+            ))}
           </div>
-          <div className="step">
-            <h4>Step 6: Evaluate ΔAG / ΔHCO₃⁻ <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title="Delta Ratio = (AG - 12) / (24 - HCO₃⁻). Helps identify mixed disorders when AG is high. < 0.8 suggests added NAGMA, > 1.8 suggests added Metabolic Alkalosis." /></h4>
-            <p id="step6-result">{step6 || 'N/A'}</p>
+        ) : (
+          <p className="step">{renderSectionReason(stewart)}</p>
+        )}
+      </div>
+
+      {/* Oxygenation Assessment */}
+      <div className="detailed-results oxygenation-results">
+        <h3>{t('results.oxygenation')} <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('results.oxygenationInfo')} /></h3>
+        {oxygenation?.performed ? (
+          <div className="step-container">
+            <table className="stewart-table">
+              <tbody>
+                <tr><td>{t('results.alveolarPo2AtFio2', { fio2: formatNumber(oxygenation.fio2) })}</td><td>{fmt('pao2', oxygenation.alveolarPo2)}</td></tr>
+                <tr className={oxygenation.aaGradientElevated ? 'stewart-flag' : ''}><td>{t('results.aaGradientExpected', { expected: fmt('pao2', oxygenation.expectedAaGradient) })}</td><td>{fmt('pao2', oxygenation.aaGradient)}</td></tr>
+                <tr className={oxygenation.ardsSeverity !== 'none' ? 'stewart-flag' : ''}><td>{t('results.pfRatio')}</td><td>{fmt('pao2', oxygenation.pfRatio, 0)}</td></tr>
+              </tbody>
+            </table>
+            {oxygenation.findings.map((finding, index) => (
+              <div className="step" key={index}><p>{renderOxygenationFinding(finding, displayUnits)}</p></div>
+            ))}
+            {oxygenation.assumptions.length > 0 && (
+              <p className="assumption-note">{oxygenation.assumptions.map(assumption => renderOxygenationAssumption(assumption, displayUnits)).join(' ')}</p>
+            )}
           </div>
-        </div>
+        ) : (
+          <p className="step">{renderSectionReason(oxygenation)}</p>
+        )}
       </div>
 
+      {/* Partitioned Base Excess */}
+      {baseExcess && (
+        <div className="detailed-results base-excess-results">
+          <h3>{t('results.baseExcess')} <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('results.baseExcessInfo')} /></h3>
+          <p className="step">{standardBaseExcess(baseExcess)}</p>
+          {baseExcess.performed ? (
+            <div className="step-container">
+              <table className="stewart-table">
+                <tbody>
+                  {baseExcess.components.map(part => (
+                    <tr key={part.key} className={Math.abs(part.value) > 2 ? 'stewart-flag' : ''}>
+                      <td>{baseExcessComponentLabel(part)}</td>
+                      <td>{part.value > 0 ? '+' : ''}{formatNumber(part.value, 1)} mmol/L</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {baseExcess.findings.map((finding, index) => (
+                <div className="step" key={index}><p>{renderBaseExcessFinding(finding)}</p></div>
+              ))}
+            </div>
+          ) : (
+            <p className="step">{renderSectionReason(baseExcess)}</p>
+          )}
+        </div>
+      )}
+
+      {/* Rule Pipeline Log */}
+      {rules?.length > 0 && (
+        <details className="differential-category rules-executed">
+          <summary>{t('results.rules', { executed: formatNumber(rules.filter(rule => rule.status === 'executed').length), total: formatNumber(rules.length) })}</summary>
+          <ul className="differential-list">
+            {rules.map(rule => (
+              <li key={rule.id} className={`rule-${rule.status}`}>
+                {ruleLabel(rule)}: {t(`results.ruleStatus.${rule.status}`)}
+                {rule.missing && t('results.ruleMissing', { fields: rule.missing.join(', ') })}
+                {rule.error && ` (${rule.error})`}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      <ClinicalNote results={results} exportContext={exportContext} templates={noteTemplates} />
+      <ReportExport results={results} exportContext={exportContext} />
+      <FhirExport results={results} exportContext={exportContext} />
+
       {/* Action Buttons */}
       <div className="action-buttons">
         <button id="print-results" className="btn btn-secondary action-btn" onClick={handlePrint}>
-          <FontAwesomeIcon icon={faPrint} /> Print
+          <FontAwesomeIcon icon={faPrint} /> {t('results.print')}
         </button>
+        {results.inputValues && <ShareLink inputValues={results.inputValues} />}
         <button id="new-analysis" className="btn btn-secondary action-btn" onClick={onNewAnalysis}>
-          <FontAwesomeIcon icon={faRedo} /> New Analysis
+          <FontAwesomeIcon icon={faRedo} /> {t('results.newAnalysis')}
         </button>
       </div>
     </div>
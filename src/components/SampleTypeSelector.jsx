@@ -0,0 +1,32 @@
+import React from 'react';
+import { sampleTypes } from '../utils/sampleTypes';
+import { t } from '../utils/i18n';
+
+function SampleTypeSelector({ sampleType, estimateArterial, onChange }) {
+  return (
+    <div className="sample-type-selector">
+      <label htmlFor="sample-type">{t('sampleType.label')}</label>
+      <select
+        id="sample-type"
+        value={sampleType}
+        onChange={(e) => onChange({ sampleType: e.target.value, estimateArterial: e.target.value === 'arterial' ? false : estimateArterial })}
+      >
+        {Object.entries(sampleTypes).filter(([, config]) => config.selectable !== false).map(([key, config]) => (
+          <option key={key} value={key}>{t(`sampleTypes.${key}`, null, config.label)}</option>
+        ))}
+      </select>
+      {sampleType !== 'arterial' && !sampleTypes[sampleType]?.cordGas && (
+        <label className="estimate-option">
+          <input
+            type="checkbox"
+            checked={estimateArterial}
+            onChange={(e) => onChange({ sampleType, estimateArterial: e.target.checked })}
+          />
+          {t('sampleType.estimate')}
+        </label>
+      )}
+    </div>
+  );
+}
+
+export default SampleTypeSelector;
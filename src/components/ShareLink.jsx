@@ -0,0 +1,93 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faShareAlt, faCopy } from '@fortawesome/free-solid-svg-icons';
+import { createShareLink } from '../utils/share';
+import { encodeQr, qrPath } from '../utils/qrCode';
+import { t } from '../utils/i18n';
+
+const QR_MARGIN = 4; // Quiet zone, in modules
+
+// Link to the analysis (inputs and settings in the URL fragment) and its QR code for opening it on a phone
+function ShareLink({ inputValues }) {
+  const [link, setLink] = useState('');
+  const [compress, setCompress] = useState(true);
+  const [message, setMessage] = useState(null); // { type: 'success' | 'error', text }
+
+  useEffect(() => {
+    setLink('');
+    setMessage(null);
+  }, [inputValues]);
+
+  const qrCode = useMemo(() => {
+    if (!link) return null;
+    try {
+      const modules = encodeQr(link);
+      return { size: modules.length + 2 * QR_MARGIN, path: qrPath(modules, QR_MARGIN) };
+    } catch (error) {
+      console.error("QR code failed:", error);
+      return null;
+    }
+  }, [link]);
+
+  const copyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setMessage({ type: 'success', text: t('share.copied') });
+    } catch (error) {
+      console.error("Could not copy the link:", error);
+      setMessage({ type: 'error', text: t('share.copyFailed') });
+    }
+  };
+
+  const handleShare = async (useCompression = compress) => {
+    let url;
+    try {
+      url = await createShareLink(inputValues, { compress: useCompression });
+    } catch (error) {
+      console.error("Could not create the share link:", error);
+      setLink('');
+      setMessage({ type: 'error', text: t('share.createFailed', { message: error.message }) });
+      return;
+    }
+    setLink(url);
+    await copyLink(url);
+  };
+
+  const handleCompressChange = (e) => {
+    setCompress(e.target.checked);
+    handleShare(e.target.checked);
+  };
+
+  return (
+    <div className="share-link">
+      <button type="button" className="btn btn-secondary action-btn" onClick={() => handleShare()}>
+        <FontAwesomeIcon icon={faShareAlt} /> {t('share.share')}
+      </button>
+      {link && (
+        <div className="share-link-panel">
+          <p className="assumption-note">{t('share.info')}</p>
+          <div className="hl7-actions">
+            <input type="text" className="share-link-url" value={link} readOnly aria-label={t('share.link')} onFocus={(e) => e.target.select()} />
+            <button type="button" className="btn btn-secondary" onClick={() => copyLink(link)}>
+              <FontAwesomeIcon icon={faCopy} /> {t('share.copy')}
+            </button>
+          </div>
+          <label className="share-link-option">
+            <input type="checkbox" checked={compress} onChange={handleCompressChange} />
+            {t('share.compress')}
+          </label>
+          {message && <p className={`status-message ${message.type === 'error' ? 'error-message' : ''}`}>{message.text}</p>}
+          {qrCode ? (
+            <svg className="share-qr" viewBox={`0 0 ${qrCode.size} ${qrCode.size}`} role="img" aria-label={t('share.qrCode')} shapeRendering="crispEdges">
+              <rect width={qrCode.size} height={qrCode.size} fill="#fff" />
+              <path d={qrCode.path} fill="#000" />
+            </svg>
+          ) : <p className="assumption-note">{t('share.tooLong')}</p>}
+        </div>
+      )}
+      {!link && message && <p className="status-message error-message">{message.text}</p>}
+    </div>
+  );
+}
+
+export default ShareLink;
@@ -1,4 +1,5 @@
 import React from 'react';
+import { t } from '../utils/i18n';
 
 function Tabs({ activeTab, onTabChange }) {
   return (
@@ -8,14 +9,42 @@ function Tabs({ activeTab, onTabChange }) {
         onClick={() => onTabChange('manual')}
         data-tab="manual" // Keep data-tab for potential CSS targeting
       >
-        Manual Entry
+        {t('tabs.manual')}
       </button>
       <button
         className={`tab-btn ${activeTab === 'upload' ? 'active' : ''}`}
         onClick={() => onTabChange('upload')}
         data-tab="upload"
       >
-        Upload Image/PDF
+        {t('tabs.upload')}
+      </button>
+      <button
+        className={`tab-btn ${activeTab === 'hl7' ? 'active' : ''}`}
+        onClick={() => onTabChange('hl7')}
+        data-tab="hl7"
+      >
+        {t('tabs.hl7')}
+      </button>
+      <button
+        className={`tab-btn ${activeTab === 'batch' ? 'active' : ''}`}
+        onClick={() => onTabChange('batch')}
+        data-tab="batch"
+      >
+        {t('tabs.batch')}
+      </button>
+      <button
+        className={`tab-btn ${activeTab === 'history' ? 'active' : ''}`}
+        onClick={() => onTabChange('history')}
+        data-tab="history"
+      >
+        {t('tabs.history')}
+      </button>
+      <button
+        className={`tab-btn ${activeTab === 'settings' ? 'active' : ''}`}
+        onClick={() => onTabChange('settings')}
+        data-tab="settings"
+      >
+        {t('tabs.settings')}
       </button>
     </div>
   );
@@ -0,0 +1,102 @@
+import React from 'react';
+import { FontAwesomeIcon } from '@fortawesome/react-fontawesome';
+import { faPlus, faTimes, faInfoCircle, faCheck } from '@fortawesome/free-solid-svg-icons';
+import { trendFields, trendSeries, sortSamples, interpretTrend, layoutTrendChart } from '../utils/trend';
+import { fromCanonical, formatMeasurement, unitDefinitions, getCanonicalUnit } from '../utils/units';
+import { renderInterpretation, renderTrend } from '../utils/resultRenderer';
+import { t, formatNumber, getLocale } from '../utils/i18n';
+
+const formatTime = (time) => new Date(time).toLocaleString(getLocale(), { dateStyle: 'short', timeStyle: 'short' });
+
+// Fields with a unit definition are charted in the display unit
+const toDisplay = (field, value, units) => (unitDefinitions[field] ? fromCanonical(field, value, units[field]) : value);
+const chartDecimals = (field, units) => (unitDefinitions[field] ? unitDefinitions[field][units[field] || getCanonicalUnit(field)].decimals : field === 'ph' ? 2 : 0);
+
+function TrendChart({ field, samples, range, displayUnits }) {
+  const series = trendSeries(samples, field).map(point => ({ ...point, value: toDisplay(field, point.value, displayUnits) }));
+  if (series.length === 0) return null;
+  const layout = layoutTrendChart(series, { range: range?.map(limit => toDisplay(field, limit, displayUnits)) });
+  const { plot } = layout;
+  const decimals = chartDecimals(field, displayUnits);
+  return (
+    <figure className="trend-chart">
+      <figcaption>{t(`trend.charts.${field}`, { unit: displayUnits[field] || getCanonicalUnit(field) })}</figcaption>
+      <svg viewBox={`0 0 ${layout.width} ${layout.height}`} role="img" aria-label={t(`trend.charts.${field}`, { unit: displayUnits[field] || getCanonicalUnit(field) })} dir="ltr">
+        <rect className="trend-plot" x={plot.x} y={plot.y} width={plot.width} height={plot.height} />
+        {layout.band && <rect className="trend-band" x={plot.x} y={layout.band.y} width={plot.width} height={layout.band.height} />}
+        <text className="trend-axis" x={plot.x - 4} y={plot.y + 8} textAnchor="end">{formatNumber(layout.domain[1], decimals)}</text>
+        <text className="trend-axis" x={plot.x - 4} y={plot.y + plot.height} textAnchor="end">{formatNumber(layout.domain[0], decimals)}</text>
+        <path className="trend-line" d={layout.path} />
+        {layout.points.map((point, index) => (
+          <circle key={index} className="trend-point" cx={point.x} cy={point.y} r="3.5">
+            <title>{`${formatTime(point.time)}: ${formatNumber(point.value, decimals)}`}</title>
+          </circle>
+        ))}
+      </svg>
+    </figure>
+  );
+}
+
+// Samples of the active encounter: charts, trend interpretation and the sample list
+function TrendPanel({ encounter, results, resultAdded, sampleTime, displayUnits, referenceProfile, onAddSample, onRemoveSample }) {
+  const samples = sortSamples(encounter.samples);
+  const trend = interpretTrend(samples, referenceProfile);
+  const ranges = referenceProfile.ranges;
+  const fmt = (field, value) => (value === undefined || value === null || isNaN(value) ? '—' : formatMeasurement(field, value, displayUnits[field]));
+
+  return (
+    <div className="detailed-results trend-panel">
+      <h3>{t('trend.title', { label: encounter.label })} <FontAwesomeIcon icon={faInfoCircle} className="info-icon" title={t('trend.info')} /></h3>
+
+      {results && !results.error && (
+        resultAdded
+          ? <p className="trend-added"><FontAwesomeIcon icon={faCheck} /> {t('trend.added')}</p>
+          : (
+            <button type="button" className="btn btn-secondary" onClick={onAddSample} disabled={!sampleTime}>
+              <FontAwesomeIcon icon={faPlus} /> {t('trend.add', { time: sampleTime ? formatTime(sampleTime) : '—' })}
+            </button>
+          )
+      )}
+
+      {samples.length === 0 && <p className="step">{t('trend.empty')}</p>}
+      {samples.length === 1 && <p className="step">{t('trend.needMore')}</p>}
+      {trend.performed && <p className="interpretation trend-interpretation">{renderTrend(trend, displayUnits)}</p>}
+
+      {samples.length > 0 && (
+        <>
+          <div className="trend-charts">
+            {trendFields.map(field => (
+              <TrendChart key={field} field={field} samples={samples} range={ranges[field]} displayUnits={displayUnits} />
+            ))}
+          </div>
+          <table className="stewart-table trend-table">
+            <thead>
+              <tr>
+                <th>{t('trend.time')}</th><th>pH</th><th>PaCO₂</th><th>HCO₃⁻</th><th>{t('trend.charts.anionGap')}</th><th>{t('trend.interpretation')}</th><th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {samples.map(sample => (
+                <tr key={sample.id}>
+                  <td>{formatTime(sample.takenAt)}</td>
+                  <td>{formatNumber(sample.values.ph, 2)}</td>
+                  <td>{fmt('paco2', sample.values.paco2)}</td>
+                  <td>{formatNumber(sample.values.hco3, 1)}</td>
+                  <td>{sample.values.anionGap === null ? '—' : formatNumber(sample.values.anionGap, 1)}</td>
+                  <td>{renderInterpretation(sample.interpretation)}</td>
+                  <td>
+                    <button type="button" className="trend-remove" onClick={() => onRemoveSample(sample.id)} title={t('trend.remove')} aria-label={t('trend.remove')}>
+                      <FontAwesomeIcon icon={faTimes} />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default TrendPanel;
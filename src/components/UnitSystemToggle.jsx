@@ -0,0 +1,25 @@
+import React from 'react';
+import { unitSystems } from '../utils/units';
+import { t } from '../utils/i18n';
+
+function UnitSystemToggle({ unitSystem, onChange }) {
+  return (
+    <div className="unit-system-toggle" role="radiogroup" aria-label={t('units.ariaLabel')}>
+      <span>{t('units.label')}</span>
+      {Object.entries(unitSystems).map(([key, config]) => (
+        <button
+          key={key}
+          type="button"
+          role="radio"
+          aria-checked={unitSystem === key}
+          className={`unit-btn ${unitSystem === key ? 'active' : ''}`}
+          onClick={() => onChange(key)}
+        >
+          {t(`units.${key}`, null, config.label)}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+export default UnitSystemToggle;
@@ -4,21 +4,88 @@
  * Adapted for use as an ES module.
  */
 
+import { assessSampleQuality } from './sampleQuality';
+import { applyTemperatureStrategy } from './temperatureCorrection';
+import { sampleTypes, getReferenceRanges, estimateArterialValues } from './sampleTypes';
+import { formatMeasurement } from './units';
+import { defaultProfile } from './referenceProfiles';
+import { RESULT_SCHEMA_VERSION, StepStatus, Severity, DisorderCode, toDisorderCode, measurement, threshold, createStep, maxSeverity } from './resultSchema';
+import { patientCategories, resolvePatientCategory, getCompensationRules, defaultCompensation, compensationFormulas } from './patientCategories';
+import { RulePipeline } from './rulePipeline';
+import { builtinRules } from './builtinRules';
+
 class ABGAnalyzer {
-    constructor() {
+    /**
+     * @param {Object} [profile] - Reference range profile (see referenceProfiles.js). Defaults to the ATS profile.
+     */
+    constructor(profile = defaultProfile) {
         // Store results for each step and final interpretation
         this.results = {};
         // Store intermediate calculation states
         this.state = {};
+        // Institution reference profile and the ranges for the current sample type
+        this.profile = profile;
+        this.ranges = getReferenceRanges('arterial', profile);
+        // Compensation rules for the current patient category (adult by default)
+        this.compensation = defaultCompensation;
+        // Units used to render values in the result text (canonical when not set)
+        this.displayUnits = {};
+        // Ordered analysis rules; built-in rules can be reordered or disabled and local rules added
+        this.pipeline = new RulePipeline(builtinRules);
+    }
+
+    /**
+     * Switch the reference range profile used by subsequent analyses.
+     */
+    setReferenceProfile(profile) {
+        this.profile = profile || defaultProfile;
+    }
+
+    /**
+     * Register a custom rule (see rulePipeline.js), at the end or at { before: id } / { after: id }.
+     */
+    registerRule(rule, position) {
+        this.pipeline.register(rule, position);
+        return this;
+    }
+
+    unregisterRule(id) {
+        this.pipeline.unregister(id);
+        return this;
+    }
+
+    moveRule(id, position) {
+        this.pipeline.move(id, position);
+        return this;
+    }
+
+    setRuleOrder(ids) {
+        this.pipeline.setOrder(ids);
+        return this;
+    }
+
+    setRuleEnabled(id, enabled) {
+        this.pipeline.setEnabled(id, enabled);
+        return this;
+    }
+
+    /**
+     * Registered rules in execution order: [{ id, label, inputs, optionalInputs, outputs, output, enabled }]
+     */
+    getRules() {
+        return this.pipeline.list();
     }
 
     /**
      * Perform full ABG analysis using the ATS Six-Step Method.
-     * @param {Object} values - Object containing ABG values (ph, paco2, hco3 required; na, cl, albumin optional).
-     * @returns {Object} Analysis results including step-by-step breakdown, final interpretation, and the internal state used for highlighting/logic.
+     * @param {Object} values - Object containing ABG values (ph, paco2, hco3 required; na, cl, albumin, k, ca, mg, phosphate, lactate, bhb (β-hydroxybutyrate), be, pao2, fio2, patm, age, rq, sosm, glucose, bun, ethanol, una, uk, ucl, uosm, uun, spo2 optional; uvph, uvpco2, uvhco3, uvbe are the umbilical venous pair for cord samples; context is an optional array of clinical context flags; sampleType is a key of sampleTypes, default 'arterial'; estimateArterial converts venous values before analysis; patientCategory is a key of patientCategories or 'auto' (derived from age); temperature is the patient temperature in °C and temperatureStrategy 'alphaStat' (default) or 'phStat'; paco2History lists earlier samples of the same patient as [{ hoursAgo, paco2 }]; displayUnits maps fields to the units used in result text). All values must already be in canonical units (see units.js).
+     * @returns {Object} Versioned structured result (see resultSchema.js) plus the internal state used by the differential rules.
      */
     analyze(values) {
         this.resetStateAndResults();
+        this.displayUnits = values.displayUnits || {};
+        this.results.displayUnits = this.displayUnits;
+        this.results.referenceProfile = this.profile;
 
         // --- Input Validation ---
         if (!this.validateInputs(values)) {
@@ -26,49 +93,71 @@ class ABGAnalyzer {
             return { ...this.results, state: this.state };
         }
 
-        // --- ATS Six-Step Analysis ---
-        try {
-            // Step 1: Check internal consistency (Henderson-Hasselbalch)
-            this.results.step1 = this.checkInternalConsistency(values.ph, values.paco2, values.hco3);
-
-            // Step 2: Determine acidemia or alkalemia
-            this.results.step2 = this.determineAcidemiaAlkalemia(values.ph);
-
-            // Step 3: Identify primary disorder
-            this.results.step3 = this.identifyPrimaryDisorder(values.ph, values.paco2, values.hco3);
+        // --- Sample Type (reference ranges and optional VBG-to-ABG conversion) ---
+        const sampleType = sampleTypes[values.sampleType] ? values.sampleType : 'arterial';
+        const isCordGas = Boolean(sampleTypes[sampleType].cordGas);
+        const estimateArterial = Boolean(values.estimateArterial) && sampleType !== 'arterial' && !isCordGas;
+        this.results.sampleInfo = { sampleType, label: sampleTypes[sampleType].label, estimated: estimateArterial, conversions: [], notes: [] };
 
-            // Step 4: Evaluate compensation
-            this.results.step4 = this.evaluateCompensation(values.paco2, values.hco3);
+        // --- Patient Category (age-specific ranges and compensation; cord samples are always neonatal) ---
+        const patientCategory = isCordGas ? 'neonate' : resolvePatientCategory(values.patientCategory, values.age);
+        const category = patientCategories[patientCategory];
+        this.compensation = getCompensationRules(patientCategory);
+        this.results.patientInfo = {
+            category: patientCategory,
+            label: category.label,
+            pediatric: category.pediatric,
+            cordGas: isCordGas,
+            adjustedSteps: category.pediatric ? ['step2', 'step3', 'step4'] : [], // Steps interpreted with age-specific expectations
+            notes: isCordGas
+                ? ['CORD_RANGES']
+                : category.pediatric ? [...category.notes] : []
+        };
 
-            // Step 5: Calculate Anion Gap (if electrolytes provided)
-            if (values.na !== undefined && values.cl !== undefined && values.hco3 !== undefined) {
-                this.results.step5 = this.calculateAnionGap(values.na, values.cl, values.hco3, values.albumin);
-            } else {
-                this.results.step5 = "Skipped: Na⁺ and Cl⁻ values required for Anion Gap calculation.";
-                this.state.anionGap = null; // Ensure AG state is null
-            }
+        // --- Sample Quality (pre-analytical errors, screened on the measured values) ---
+        this.results.sampleQuality = assessSampleQuality(values, { sampleType, profile: this.profile });
 
-            // Step 6: Evaluate Delta Ratio (if HAGMA is present)
-            const agToCheck = this.state.correctedAnionGap ?? this.state.anionGap; // Use corrected AG if available
-            if (agToCheck !== null && agToCheck > 12 && this.state.primaryDisorder === 'metabolic acidosis') {
-                 this.results.step6 = this.evaluateDeltaRatio(agToCheck, values.hco3);
-            } else if (agToCheck !== null && agToCheck <= 12 && this.state.primaryDisorder === 'metabolic acidosis') {
-                 this.results.step6 = "Not Applicable: Anion gap is not elevated.";
-            } else if (this.state.primaryDisorder !== 'metabolic acidosis') {
-                 this.results.step6 = "Not Applicable: Primary disorder is not metabolic acidosis.";
-            } else {
-                 this.results.step6 = "Skipped: Anion gap calculation was skipped or failed.";
-            }
+        // --- Temperature Correction (alpha-stat keeps the 37 °C values, pH-stat corrects to patient temperature) ---
+        const measuredValues = values;
+        const temperatureResult = applyTemperatureStrategy(values, values.temperatureStrategy);
+        values = temperatureResult.values;
+        this.results.temperature = temperatureResult.temperature;
 
-            // --- Final Interpretation ---
-            this.results.finalInterpretation = this.generateFinalInterpretation();
+        if (estimateArterial) {
+            const estimation = estimateArterialValues(values, sampleType);
+            values = estimation.values;
+            this.ranges = getReferenceRanges('arterial', this.profile, patientCategory);
+            this.results.sampleInfo.conversions = estimation.conversions;
+            this.results.sampleInfo.notes = estimation.notes;
+        } else {
+            this.ranges = getReferenceRanges(sampleType, this.profile, patientCategory);
+        }
 
+        // --- Rule Pipeline (ATS six steps, interpretation and supplementary sections; see builtinRules.js) ---
+        const context = {
+            analyzer: this,
+            values,
+            measuredValues,
+            state: this.state,
+            results: this.results,
+            profile: this.profile,
+            ranges: this.ranges,
+            sampleType,
+            isCordGas,
+            estimateArterial,
+            patientCategory,
+            category,
+            formatUnit: this.formatUnit.bind(this)
+        };
+        try {
+            this.pipeline.run(context);
         } catch (error) {
             console.error("Error during ABG analysis:", error);
-            this.results.error = `Analysis Error: ${error.message}`;
-            // Ensure partial results are cleared if a major error occurs
-            this.results.finalInterpretation = "Analysis incomplete due to error.";
+            this.results.error = { code: 'ANALYSIS_FAILED', message: error.message };
+            // Ensure partial results are flagged if a major error occurs
+            this.results.interpretation = this.buildInterpretation();
         }
+        this.results.rules = context.ruleLog || [];
 
         // Return both results and the final state
         return { ...this.results, state: this.state };
@@ -79,8 +168,7 @@ class ABGAnalyzer {
      */
     resetStateAndResults() {
         this.results = {
-            step1: '', step2: '', step3: '', step4: '', step5: '', step6: '',
-            finalInterpretation: '', error: null
+            schemaVersion: RESULT_SCHEMA_VERSION, steps: [], interpretation: null, displayUnits: {}, referenceProfile: null, sampleInfo: null, patientInfo: null, sampleQuality: null, temperature: null, severity: null, acidBaseMap: null, hyperglycemicCrisis: null, cordGas: null, stewart: null, baseExcess: null, oxygenation: null, differentials: [], rules: [], error: null
         };
         this.state = {
             acidBaseStatus: null, // 'acidemia', 'alkalemia', 'normal'
@@ -92,44 +180,58 @@ class ABGAnalyzer {
             anionGap: null,
             correctedAnionGap: null,
             deltaRatio: null,
-            deltaRatioAssessment: null // 'pure HAGMA', 'concurrent NAGMA', 'concurrent met alk'
+            deltaRatioAssessment: null, // 'pure HAGMA', 'concurrent NAGMA', 'concurrent met alk'
+            lactateAdjustedDeltaRatio: null,
+            osmolarGap: null,
+            urineAnionGap: null,
+            urineOsmolalGap: null
         };
     }
 
     /**
      * Validate required input values and check physiological ranges.
+     * Failures are recorded as results.error = { code, field?, value?, min?, max? } (rendered by resultRenderer.js).
      */
     validateInputs(values) {
         const required = ['ph', 'paco2', 'hco3'];
         for (const key of required) {
             if (values[key] === undefined || values[key] === null || isNaN(values[key])) {
-                this.results.error = `Missing or invalid required value: ${key.toUpperCase()}`;
+                this.results.error = { code: 'MISSING_REQUIRED', field: key };
                 return false;
             }
         }
 
         // Basic physiological range checks (can be refined)
-        if (values.ph < 6.0 || values.ph > 8.0) {
-            this.results.error = `pH value (${values.ph}) is outside typical physiological range (6.8-8.0).`; return false;
-        }
-        if (values.paco2 < 10 || values.paco2 > 150) {
-             this.results.error = `PaCO₂ value (${values.paco2}) is outside typical physiological range (10-150 mmHg).`; return false;
+        const limits = { ph: [6.0, 8.0], paco2: [10, 150], hco3: [2, 60] };
+        for (const [field, [min, max]] of Object.entries(limits)) {
+            if (values[field] < min || values[field] > max) {
+                this.results.error = { code: 'OUT_OF_RANGE', field, value: values[field], min, max };
+                return false;
+            }
         }
-        if (values.hco3 < 2 || values.hco3 > 60) {
-             this.results.error = `HCO₃⁻ value (${values.hco3}) is outside typical physiological range (5-60 mmol/L).`; return false;
+        if (values.temperature !== undefined && (values.temperature < 25 || values.temperature > 45)) {
+            this.results.error = { code: 'TEMPERATURE_OUT_OF_RANGE', value: values.temperature, min: 25, max: 45 };
+            return false;
         }
         // Add checks for optional values if needed (e.g., Na+, Cl- if AG calculation is critical)
 
         return true;
     }
 
+    /**
+     * Format a canonical value in the user's display unit for that field.
+     */
+    formatUnit(field, value, decimals) {
+        return formatMeasurement(field, value, this.displayUnits[field], decimals);
+    }
+
     /**
      * Step 1: Check internal consistency using Henderson-Hasselbalch.
      * Calculated [H+] = 24 * (PaCO2 / HCO3)
      */
     checkInternalConsistency(ph, paco2, hco3) {
         // Avoid division by zero if hco3 is somehow 0
-        if (hco3 === 0) return "Inconsistency: HCO₃⁻ cannot be zero.";
+        if (hco3 === 0) return createStep('step1', StepStatus.ERROR, 'HCO3_ZERO');
 
         const calculatedH = 24 * (paco2 / hco3);
         const measuredH = Math.pow(10, -ph) * 1e9; // Convert pH to nmol/L
@@ -137,28 +239,51 @@ class ABGAnalyzer {
         // Check if calculated H+ is within ~20% of measured H+
         const difference = Math.abs(calculatedH - measuredH);
         const acceptableDifference = measuredH * 0.20; // Allow 20% variance
+        const inconsistent = difference > acceptableDifference && !isNaN(difference); // Added isNaN check
 
-        if (difference > acceptableDifference && !isNaN(difference)) { // Added isNaN check
-            return `Possible inconsistency detected. Measured [H⁺] ≈ ${measuredH.toFixed(1)} nmol/L, Calculated [H⁺] ≈ ${calculatedH.toFixed(1)} nmol/L.`;
-        } else {
-            return `Values appear internally consistent. Measured [H⁺] ≈ ${measuredH.toFixed(1)} nmol/L, Calculated [H⁺] ≈ ${calculatedH.toFixed(1)} nmol/L.`;
+        return createStep('step1', StepStatus.COMPLETED, inconsistent ? 'INCONSISTENT' : 'CONSISTENT', {
+            values: { measuredH: measurement(measuredH, 'nmol/L'), calculatedH: measurement(calculatedH, 'nmol/L') },
+            thresholds: { hydrogenIonDifference: threshold(undefined, 20, '%') },
+            severity: inconsistent ? Severity.MODERATE : Severity.NONE
+        });
+    }
+
+    /**
+     * Grade the severity of an abnormal pH (acidemia < 7.10 / alkalemia > 7.60 are severe).
+     */
+    gradePhSeverity(ph) {
+        if (this.state.acidBaseStatus === 'acidemia') {
+            if (ph < 7.10) return Severity.SEVERE;
+            return ph < 7.25 ? Severity.MODERATE : Severity.MILD;
+        }
+        if (this.state.acidBaseStatus === 'alkalemia') {
+            if (ph > 7.60) return Severity.SEVERE;
+            return ph > 7.50 ? Severity.MODERATE : Severity.MILD;
         }
+        return Severity.NONE;
     }
 
     /**
      * Step 2: Determine acidemia or alkalemia based on pH.
      */
     determineAcidemiaAlkalemia(ph) {
-        if (ph < 7.35) {
+        const [phLow, phHigh] = this.ranges.ph;
+        let code;
+        if (ph < phLow) {
             this.state.acidBaseStatus = 'acidemia';
-            return `Acidemia (pH ${ph.toFixed(2)} < 7.35)`;
-        } else if (ph > 7.45) {
+            code = 'ACIDEMIA';
+        } else if (ph > phHigh) {
             this.state.acidBaseStatus = 'alkalemia';
-            return `Alkalemia (pH ${ph.toFixed(2)} > 7.45)`;
+            code = 'ALKALEMIA';
         } else {
             this.state.acidBaseStatus = 'normal';
-            return `Normal pH (${ph.toFixed(2)})`;
+            code = 'NORMAL_PH';
         }
+        return createStep('step2', StepStatus.COMPLETED, code, {
+            values: { ph: measurement(ph) },
+            thresholds: { ph: threshold(phLow, phHigh) },
+            severity: this.gradePhSeverity(ph)
+        });
     }
 
     /**
@@ -166,308 +291,836 @@ class ABGAnalyzer {
      */
     identifyPrimaryDisorder(ph, paco2, hco3) {
         const status = this.state.acidBaseStatus;
-        let disorder = 'Undetermined';
+        const [paco2Low, paco2High] = this.ranges.paco2;
+        const [hco3Low, hco3High] = this.ranges.hco3;
 
         if (status === 'acidemia') {
-            if (paco2 > 45) {
+            if (paco2 > paco2High) {
                 this.state.primaryDisorder = 'respiratory acidosis';
-                disorder = `Primary Respiratory Acidosis (PaCO₂ ${paco2} mmHg is high)`;
-            } else if (hco3 < 22) {
+            } else if (hco3 < hco3Low) {
                 this.state.primaryDisorder = 'metabolic acidosis';
-                disorder = `Primary Metabolic Acidosis (HCO₃⁻ ${hco3} mmol/L is low)`;
             } else {
-                 this.state.primaryDisorder = 'mixed acidemia';
-                 disorder = `Acidemia present, but PaCO₂ (${paco2}) and HCO₃⁻ (${hco3}) do not clearly indicate a single primary disorder. Mixed disorder likely.`;
+                 this.state.primaryDisorder = 'mixed acidemia'; // Neither PaCO₂ nor HCO₃⁻ clearly explains the acidemia
             }
         } else if (status === 'alkalemia') {
-            if (paco2 < 35) {
+            if (paco2 < paco2Low) {
                 this.state.primaryDisorder = 'respiratory alkalosis';
-                disorder = `Primary Respiratory Alkalosis (PaCO₂ ${paco2} mmHg is low)`;
-            } else if (hco3 > 26) {
+            } else if (hco3 > hco3High) {
                 this.state.primaryDisorder = 'metabolic alkalosis';
-                disorder = `Primary Metabolic Alkalosis (HCO₃⁻ ${hco3} mmol/L is high)`;
             } else {
                  this.state.primaryDisorder = 'mixed alkalemia';
-                 disorder = `Alkalemia present, but PaCO₂ (${paco2}) and HCO₃⁻ (${hco3}) do not clearly indicate a single primary disorder. Mixed disorder likely.`;
             }
         } else { // Normal pH
-            if (paco2 > 45 && hco3 > 26) {
+            if (paco2 > paco2High && hco3 > hco3High) {
                  this.state.primaryDisorder = 'mixed compensated resp acid + met alk';
-                 disorder = 'Normal pH with high PaCO₂ and high HCO₃⁻ suggests Mixed Disorder (Compensated Respiratory Acidosis + Metabolic Alkalosis).';
-            } else if (paco2 < 35 && hco3 < 22) {
+            } else if (paco2 < paco2Low && hco3 < hco3Low) {
                  this.state.primaryDisorder = 'mixed compensated resp alk + met acid';
-                 disorder = 'Normal pH with low PaCO₂ and low HCO₃⁻ suggests Mixed Disorder (Compensated Respiratory Alkalosis + Metabolic Acidosis).';
-            } else if (paco2 >= 35 && paco2 <= 45 && hco3 >= 22 && hco3 <= 26) { // Check within normal ranges
+            } else if (paco2 >= paco2Low && paco2 <= paco2High && hco3 >= hco3Low && hco3 <= hco3High) { // Check within normal ranges
                  this.state.primaryDisorder = 'normal';
-                 disorder = 'Normal acid-base status (pH, PaCO₂, HCO₃⁻ within normal ranges).';
             } else {
-                 // If pH is normal but others aren't perfectly normal, it implies full compensation
-                 // The primary disorder needs to be inferred based on which direction compensation would go
-                 if (paco2 > 45 || hco3 > 26) { // Suggests underlying acidosis compensated by alkalosis or vice versa
-                     // This case is complex and might overlap with mixed cases above.
-                     // Let's refine based on compensation check later if needed.
-                     // For now, rely on the mixed checks above. If they didn't trigger, it might be borderline.
-                     this.state.primaryDisorder = 'compensated'; // Mark as compensated, specific type determined later if possible
-                     disorder = 'Normal pH with abnormal PaCO₂ or HCO₃⁻ suggests a fully compensated disorder or borderline values.';
-
-                 } else if (paco2 < 35 || hco3 < 22) {
-                     this.state.primaryDisorder = 'compensated';
-                     disorder = 'Normal pH with abnormal PaCO₂ or HCO₃⁻ suggests a fully compensated disorder or borderline values.';
-                 } else {
-                     // Should not happen if previous checks are correct
-                     this.state.primaryDisorder = 'normal';
-                     disorder = 'Normal acid-base status.';
-                 }
+                 // Normal pH with an abnormal PaCO₂ or HCO₃⁻ implies full compensation (or borderline values).
+                 // The specific type cannot be inferred reliably, so it is marked as compensated.
+                 this.state.primaryDisorder = 'compensated';
             }
         }
-        return disorder;
+
+        const disorder = toDisorderCode(this.state.primaryDisorder);
+        return createStep('step3', StepStatus.COMPLETED, disorder || (this.state.primaryDisorder === 'normal' ? 'NORMAL' : 'UNDETERMINED'), {
+            values: { ph: measurement(ph), paco2: measurement(paco2, 'mmHg'), hco3: measurement(hco3, 'mmol/L') },
+            thresholds: { paco2: threshold(paco2Low, paco2High, 'mmHg'), hco3: threshold(hco3Low, hco3High, 'mmol/L') },
+            disorders: disorder ? [disorder] : [],
+            severity: disorder ? this.gradePhSeverity(ph) : Severity.NONE
+        });
+    }
+
+    /**
+     * Time course of a primary respiratory disorder from the PaCO₂ of earlier samples of the same patient.
+     * Walks back from the most recent sample while PaCO₂ stays beyond the reference range in the same direction.
+     * @param {string} primary - 'respiratory acidosis' or 'respiratory alkalosis'.
+     * @param {Array} [paco2History] - [{ hoursAgo, paco2 }] of earlier samples.
+     * @returns {Object|null} { abnormalHours, normalHoursAgo }: the oldest sample of the current run and the most recent
+     *   normal sample before it (null when none), or null without history.
+     */
+    respiratoryTimeCourse(primary, paco2History) {
+        if (!Array.isArray(paco2History) || paco2History.length === 0) return null;
+        const [low, high] = this.ranges.paco2;
+        const abnormal = primary === 'respiratory acidosis' ? (value) => value > high : (value) => value < low;
+        let abnormalHours = 0;
+        for (const sample of [...paco2History].sort((a, b) => a.hoursAgo - b.hoursAgo)) {
+            if (!abnormal(sample.paco2)) return { abnormalHours, normalHoursAgo: sample.hoursAgo };
+            abnormalHours = sample.hoursAgo;
+        }
+        return { abnormalHours, normalHoursAgo: null };
     }
 
     /**
      * Step 4: Evaluate compensation based on the primary disorder.
+     * With serial samples (paco2History) the time course decides acute vs chronic respiratory compensation;
+     * otherwise the closer of the two expected HCO₃⁻ values is used.
      */
-    evaluateCompensation(paco2, hco3) {
+    evaluateCompensation(paco2, hco3, paco2History) {
         const primary = this.state.primaryDisorder;
         // Skip if primary is clearly mixed, normal, or undetermined. Also skip if marked 'compensated' from step 3 as compensation is implicit.
         if (!primary || primary.includes('mixed') || primary === 'normal' || primary === 'compensated') {
             // If primary was 'compensated', the pH is normal, so compensation is 'complete' by definition.
-            if (primary === 'compensated') return "Full compensation (pH is within normal range).";
-            return "Compensation assessment skipped (Mixed, Normal, or Undetermined Primary).";
+            if (primary === 'compensated') return createStep('step4', StepStatus.COMPLETED, 'FULL_COMPENSATION');
+            return createStep('step4', StepStatus.NOT_APPLICABLE, 'NO_SINGLE_PRIMARY_DISORDER');
         }
 
-        let expectedValue, measuredValue, valueName, resultText;
-        const deltaPaco2 = paco2 - 40;
-        const deltaHco3 = hco3 - 24;
-        let range = 2; // Default range, will be adjusted for respiratory
+        // Formulas shared with the acid-base map; tolerances and chronic factors are age-specific (patientCategories.js)
+        const rules = this.compensation;
+        const normals = this.ranges; // paco2Normal / hco3Normal: 40 / 24 for arterial samples
+        const apply = (key) => {
+            const rule = compensationFormulas[key];
+            const driver = rule.driver === 'hco3' ? hco3 : paco2;
+            return { ...rule, expected: rule.expected(driver, normals, rules), range: rule.tolerance(rules) };
+        };
 
+        let compensation;
+        let timeCourse = null; // Set when serial samples decide acute vs chronic
         switch (primary) {
             case 'metabolic acidosis':
-                this.state.expectedCompensationValue = (1.5 * hco3) + 8;
-                measuredValue = paco2;
-                valueName = 'PaCO₂';
-                resultText = `Expected ${valueName} ≈ ${this.state.expectedCompensationValue.toFixed(1)} ± ${range} mmHg (Winter's). Measured ${valueName} = ${measuredValue.toFixed(1)} mmHg.`;
-                if (Math.abs(measuredValue - this.state.expectedCompensationValue) <= range) {
-                    this.state.compensationAssessment = 'appropriate';
-                } else if (measuredValue < this.state.expectedCompensationValue - range) { // Lower PaCO2 than expected = more alkalosis
-                    this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('respiratory alkalosis');
-                } else { // Higher PaCO2 than expected = more acidosis
-                    this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('respiratory acidosis');
-                }
+                compensation = apply('metabolicAcidosis');
                 break;
 
             case 'metabolic alkalosis':
-                range = 5; // Wider range often used for Met Alk
-                this.state.expectedCompensationValue = 40 + (0.6 * deltaHco3); // Guideline uses 0.6 multiplier
-                measuredValue = paco2;
-                valueName = 'PaCO₂';
-                resultText = `Expected ${valueName} ≈ ${this.state.expectedCompensationValue.toFixed(1)} ± ${range} mmHg. Measured ${valueName} = ${measuredValue.toFixed(1)} mmHg.`;
-                if (Math.abs(measuredValue - this.state.expectedCompensationValue) <= range) {
-                    this.state.compensationAssessment = 'appropriate';
-                } else if (measuredValue < this.state.expectedCompensationValue - range) { // Lower PaCO2 = more alkalosis
-                    this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('respiratory alkalosis');
-                } else { // Higher PaCO2 = more acidosis
-                    this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('respiratory acidosis');
-                }
+                compensation = apply('metabolicAlkalosis');
                 break;
 
             case 'respiratory acidosis':
-                range = 3; // Guideline uses ±3 for respiratory
-                const expectedAcuteHCO3 = 24 + (deltaPaco2 * 0.1);
-                const expectedChronicHCO3 = 24 + (deltaPaco2 * 0.35); // Guideline uses 3.5 per 10 = 0.35
-                measuredValue = hco3;
-                valueName = 'HCO₃⁻';
-                // Determine if closer to acute or chronic based on measured HCO3
-                if (Math.abs(measuredValue - expectedAcuteHCO3) < Math.abs(measuredValue - expectedChronicHCO3)) {
-                    this.state.compensationType = 'acute';
-                    this.state.expectedCompensationValue = expectedAcuteHCO3;
-                    resultText = `Acute Compensation: Expected ${valueName} ≈ ${expectedAcuteHCO3.toFixed(1)} ± ${range} mmol/L. Measured ${valueName} = ${measuredValue.toFixed(1)} mmol/L.`;
-                } else {
-                    this.state.compensationType = 'chronic';
-                    this.state.expectedCompensationValue = expectedChronicHCO3;
-                     resultText = `Chronic Compensation: Expected ${valueName} ≈ ${expectedChronicHCO3.toFixed(1)} ± ${range} mmol/L. Measured ${valueName} = ${measuredValue.toFixed(1)} mmol/L.`;
-                }
-                if (Math.abs(measuredValue - this.state.expectedCompensationValue) <= range) {
-                    this.state.compensationAssessment = 'appropriate';
-                } else if (measuredValue < this.state.expectedCompensationValue - range) { // Lower HCO3 = more acidosis
-                    this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('metabolic acidosis');
-                } else { // Higher HCO3 = more alkalosis
-                    this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('metabolic alkalosis');
+            case 'respiratory alkalosis': {
+                const process = primary === 'respiratory acidosis' ? 'RespiratoryAcidosis' : 'RespiratoryAlkalosis';
+                const acute = apply(`acute${process}`);
+                const chronic = apply(`chronic${process}`);
+                // Determine if closer to acute or chronic based on measured HCO3, unless the time course settles it
+                let isAcute = Math.abs(hco3 - acute.expected) < Math.abs(hco3 - chronic.expected);
+                const course = this.respiratoryTimeCourse(primary, paco2History);
+                if (course && course.normalHoursAgo !== null && course.normalHoursAgo < rules.acuteOnsetHours) {
+                    timeCourse = { ...course, basis: 'acute_onset' };
+                    isAcute = true;
+                } else if (course && course.abnormalHours >= rules.chronicAfterHours) {
+                    timeCourse = { ...course, basis: 'chronic_duration' };
+                    isAcute = false;
                 }
+                this.state.compensationType = isAcute ? 'acute' : 'chronic';
+                compensation = isAcute ? acute : chronic;
                 break;
-
-            case 'respiratory alkalosis':
-                 range = 3; // Guideline uses ±3 for respiratory
-                 const expectedAcuteHCO3_alk = 24 + (deltaPaco2 * 0.2); // Guideline: Decrease = 2 * (ΔPaCO2/10) -> 0.2 multiplier
-                 const expectedChronicHCO3_alk = 24 + (deltaPaco2 * 0.5); // Guideline: Decrease = 5-7 * (ΔPaCO2/10) -> Using 0.5 multiplier
-                 measuredValue = hco3;
-                 valueName = 'HCO₃⁻';
-                 if (Math.abs(measuredValue - expectedAcuteHCO3_alk) < Math.abs(measuredValue - expectedChronicHCO3_alk)) {
-                     this.state.compensationType = 'acute';
-                     this.state.expectedCompensationValue = expectedAcuteHCO3_alk;
-                     resultText = `Acute Compensation: Expected ${valueName} ≈ ${expectedAcuteHCO3_alk.toFixed(1)} ± ${range} mmol/L. Measured ${valueName} = ${measuredValue.toFixed(1)} mmol/L.`;
-                 } else {
-                     this.state.compensationType = 'chronic';
-                     this.state.expectedCompensationValue = expectedChronicHCO3_alk;
-                     resultText = `Chronic Compensation: Expected ${valueName} ≈ ${expectedChronicHCO3_alk.toFixed(1)} ± ${range} mmol/L. Measured ${valueName} = ${measuredValue.toFixed(1)} mmol/L.`;
-                 }
-                 if (Math.abs(measuredValue - this.state.expectedCompensationValue) <= range) {
-                     this.state.compensationAssessment = 'appropriate';
-                 } else if (measuredValue < this.state.expectedCompensationValue - range) { // Lower HCO3 = more acidosis
-                     this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('metabolic acidosis');
-                 } else { // Higher HCO3 = more alkalosis
-                     this.state.compensationAssessment = 'mixed'; this.state.additionalDisorders.push('metabolic alkalosis');
-                 }
-                 break;
+            }
 
             default:
-                return "Error: Unknown primary disorder for compensation check.";
+                return createStep('step4', StepStatus.ERROR, 'UNKNOWN_PRIMARY_DISORDER');
         }
 
-        // Append assessment to result text
-        if (this.state.compensationAssessment === 'appropriate') {
-            resultText += " Compensation is appropriate.";
-        } else if (this.state.compensationAssessment === 'mixed') {
-            // Get the last added disorder for the message
-            const superimposed = this.state.additionalDisorders.length > 0 ? this.state.additionalDisorders[this.state.additionalDisorders.length - 1] : 'unknown';
-            resultText += ` Suggests a superimposed ${superimposed.replace(/_/g, ' ')}.`;
+        const { field, formula, range } = compensation;
+        const measuredValue = field === 'paco2' ? paco2 : hco3;
+        this.state.expectedCompensationValue = compensation.expected;
+
+        // Lower PaCO₂ or higher HCO₃⁻ than expected = more alkalosis; the reverse = more acidosis
+        const expected = this.state.expectedCompensationValue;
+        let superimposed = null;
+        if (Math.abs(measuredValue - expected) <= range) {
+            this.state.compensationAssessment = 'appropriate';
+        } else if (measuredValue < expected - range) {
+            superimposed = field === 'paco2' ? 'respiratory alkalosis' : 'metabolic acidosis';
         } else {
-             resultText += " Compensation assessment unclear."; // Should not happen with current logic
+            superimposed = field === 'paco2' ? 'respiratory acidosis' : 'metabolic alkalosis';
+        }
+        if (superimposed) {
+            this.state.compensationAssessment = 'mixed';
+            this.state.additionalDisorders.push(superimposed);
         }
 
-        return resultText;
+        const unit = field === 'paco2' ? 'mmHg' : 'mmol/L';
+        return createStep('step4', StepStatus.COMPLETED, superimposed ? 'ADDITIONAL_DISORDER' : 'COMPENSATION_APPROPRIATE', {
+            values: { measured: measurement(measuredValue, unit), expected: measurement(expected, unit) },
+            thresholds: { expected: threshold(expected - range, expected + range, unit) },
+            disorders: superimposed ? [toDisorderCode(superimposed)] : [],
+            severity: superimposed ? Severity.MILD : Severity.NONE,
+            details: { field, formula, tolerance: range, compensationType: this.state.compensationType, ...(timeCourse ? { timeCourse } : {}) }
+        });
     }
 
     /**
      * Step 5: Calculate the Anion Gap (AG).
      * AG = Na⁺ - (Cl⁻ + HCO₃⁻)
      * Corrected AG = AG + 2.5 * (4.0 - Albumin) if albumin < 4.0
+     * The normal AG range and the 4.0 g/dL albumin baseline come from the reference profile.
+     * An elevated gap is partitioned into lactate, ketone and unexplained anions when lactate or β-hydroxybutyrate is given.
      */
-    calculateAnionGap(na, cl, hco3, albumin) {
+    calculateAnionGap(na, cl, hco3, albumin, { lactate, bhb } = {}) {
         // Ensure inputs are numbers for calculation
         if (isNaN(na) || isNaN(cl) || isNaN(hco3)) {
-            return "Cannot calculate Anion Gap: Invalid Na⁺, Cl⁻, or HCO₃⁻ value.";
+            return createStep('step5', StepStatus.ERROR, 'INVALID_ELECTROLYTES');
         }
 
+        const agLimits = this.profile.ranges.anionGap;
+        const albuminReference = this.profile.thresholds.albuminReference;
         this.state.anionGap = na - (cl + hco3);
-        let resultText = `Anion Gap = ${this.state.anionGap.toFixed(1)} mmol/L`;
+        const values = { anionGap: measurement(this.state.anionGap, 'mmol/L') };
 
         // Albumin correction
+        let albuminCorrection = 'not_provided';
         const albuminNum = parseFloat(albumin); // Ensure albumin is treated as number
-        if (albumin !== undefined && !isNaN(albuminNum) && albuminNum < 4.0 && albuminNum >= 0) { // Added check for non-negative albumin
-            this.state.correctedAnionGap = this.state.anionGap + 2.5 * (4.0 - albuminNum);
-            resultText += ` (Normal ≈ 8-12). Albumin = ${albuminNum.toFixed(1)} g/dL. Corrected AG ≈ ${this.state.correctedAnionGap.toFixed(1)} mmol/L.`;
+        if (albumin !== undefined && !isNaN(albuminNum) && albuminNum < albuminReference && albuminNum >= 0) { // Added check for non-negative albumin
+            this.state.correctedAnionGap = this.state.anionGap + 2.5 * (albuminReference - albuminNum);
+            albuminCorrection = 'applied';
+            values.albumin = measurement(albuminNum, 'g/dL');
+            values.correctedAnionGap = measurement(this.state.correctedAnionGap, 'mmol/L');
         } else {
             this.state.correctedAnionGap = this.state.anionGap; // Use uncorrected if albumin not provided, normal/high, or invalid
-            resultText += " (Normal ≈ 8-12).";
             if (albumin !== undefined && (isNaN(albuminNum) || albuminNum < 0)) {
-                resultText += " (Invalid albumin value provided for correction).";
-            } else if (albumin !== undefined && albuminNum >= 4.0) {
-                 resultText += " (Albumin correction not needed).";
+                albuminCorrection = 'invalid';
+            } else if (albumin !== undefined && albuminNum >= albuminReference) {
+                albuminCorrection = 'not_needed';
             }
         }
 
         const agToCheck = this.state.correctedAnionGap; // Always use corrected AG for interpretation if calculated
-
-        // Interpretation
-        if (agToCheck > 12) {
-            resultText += " Elevated Anion Gap.";
+        const elevated = agToCheck > agLimits[1];
+        let additionalHagma = false;
+        if (elevated) {
             // If primary wasn't met acid, this indicates an additional HAGMA
             // Also check if it wasn't already added via compensation check
             if (this.state.primaryDisorder !== 'metabolic acidosis' && !this.state.additionalDisorders.includes('high anion gap metabolic acidosis')) {
                  this.state.additionalDisorders.push('high anion gap metabolic acidosis');
-                 resultText += " Suggests additional High AG Metabolic Acidosis.";
+                 additionalHagma = true;
             }
-        } else {
-            resultText += " Normal Anion Gap.";
-             // If primary was met acid, this confirms NAGMA (or is consistent with it)
-             if (this.state.primaryDisorder === 'metabolic acidosis') {
-                 // Optionally add: " Consistent with Normal AG Metabolic Acidosis (NAGMA)."
-             }
         }
-        return resultText;
+
+        let severity = Severity.NONE;
+        const excess = agToCheck - agLimits[1];
+        if (elevated) {
+            if (excess > 13) severity = Severity.SEVERE; // AG > 25 with the default profile
+            else severity = excess > 8 ? Severity.MODERATE : Severity.MILD;
+        }
+
+        let disorders = [];
+        if (elevated) {
+            disorders = [DisorderCode.HIGH_ANION_GAP_METABOLIC_ACIDOSIS];
+        } else if (this.state.primaryDisorder === 'metabolic acidosis') {
+            disorders = [DisorderCode.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS]; // Normal AG confirms NAGMA
+        }
+
+        return createStep('step5', StepStatus.COMPLETED, elevated ? 'ANION_GAP_ELEVATED' : 'ANION_GAP_NORMAL', {
+            values,
+            thresholds: { anionGap: threshold(agLimits[0], agLimits[1], 'mmol/L'), albuminReference: threshold(albuminReference, undefined, 'g/dL') },
+            disorders,
+            severity,
+            details: { albuminCorrection, additionalHagma, partition: elevated ? this.partitionAnionGap(agToCheck, lactate, bhb) : null }
+        });
+    }
+
+    /**
+     * Split the anion gap excess (AG above the profile upper limit) into its measured anions.
+     * Lactate and β-hydroxybutyrate each add about 1 mmol/L of gap per mmol/L; the rest is unexplained
+     * (toxic alcohols, uremia, salicylate, unmeasured acetoacetate). A part counts as a contributor when it
+     * explains ≥ 25% of the excess or ≥ 3 mmol/L.
+     * @returns {Object|null} { code, excess, components: [{ key, value, share }] } or null without lactate and BHB.
+     */
+    partitionAnionGap(anionGap, lactate, bhb) {
+        const hasLactate = lactate !== undefined && !isNaN(lactate);
+        const hasBhb = bhb !== undefined && !isNaN(bhb);
+        if (!hasLactate && !hasBhb) return null;
+
+        const excess = anionGap - this.profile.ranges.anionGap[1];
+        const lactatePart = hasLactate ? Math.min(lactate, excess) : 0;
+        const ketonePart = hasBhb ? Math.min(bhb, excess - lactatePart) : 0;
+        const components = [
+            ...(hasLactate ? [{ key: 'lactate', value: lactatePart }] : []),
+            ...(hasBhb ? [{ key: 'ketones', value: ketonePart }] : []),
+            { key: 'unexplained', value: excess - lactatePart - ketonePart }
+        ].map(part => ({ ...part, share: excess > 0 ? part.value / excess : 0 }));
+
+        const contributes = (key) => components.some(part => part.key === key && (part.share >= 0.25 || part.value >= 3));
+        let code = 'UNEXPLAINED_ANIONS';
+        if (contributes('lactate') && contributes('ketones')) code = 'MIXED_LACTIC_KETOACIDOSIS';
+        else if (contributes('lactate')) code = 'LACTIC_ACIDOSIS';
+        else if (contributes('ketones')) code = 'KETOACIDOSIS';
+
+        return {
+            code,
+            excess,
+            components,
+            unexplainedSignificant: code !== 'UNEXPLAINED_ANIONS' && contributes('unexplained'),
+            missing: [...(hasLactate ? [] : ['lactate']), ...(hasBhb ? [] : ['bhb'])]
+        };
     }
 
     /**
      * Step 6: Evaluate Delta Ratio (ΔAG / ΔHCO₃⁻) if HAGMA is present.
      * Delta AG = Measured AG - Normal AG (Adjusted for Albumin)
      * Delta HCO3 = 24 (Normal HCO3) - Measured HCO3
+     * Lactate-adjusted ratio (when lactate is given): lactate lowers HCO₃⁻ by only ≈ 1/1.6 mmol/L per mmol/L
+     * (intracellular buffering), so the lactate share of ΔAG is divided by 1.6 before the ratio is taken.
+     * Every pure HAGMA (lactic, keto or mixed) then sits near 1, and the 0.8-1.25 window replaces 1-2.
      */
-    evaluateDeltaRatio(anionGap, hco3, albumin) { // Pass AG, HCO3, and Albumin
+    evaluateDeltaRatio(anionGap, hco3, albumin, lactate) { // Pass AG, HCO3, Albumin and Lactate
         if (isNaN(anionGap) || isNaN(hco3)) {
-             return "Cannot calculate Delta Ratio: Invalid AG or HCO₃⁻ value.";
+             return createStep('step6', StepStatus.ERROR, 'INVALID_INPUT');
         }
 
-        // Calculate albumin-adjusted normal AG
-        let normalAG = 12;
+        // Calculate albumin-adjusted normal AG (profile upper limit, 12 by default)
+        const albuminReference = this.profile.thresholds.albuminReference;
+        let normalAG = this.profile.ranges.anionGap[1];
         const albuminNum = parseFloat(albumin);
-        if (albumin !== undefined && !isNaN(albuminNum) && albuminNum < 4.0 && albuminNum >= 0) {
-            normalAG = 12 - (2.5 * (4.0 - albuminNum));
+        if (albumin !== undefined && !isNaN(albuminNum) && albuminNum < albuminReference && albuminNum >= 0) {
+            normalAG = normalAG - (2.5 * (albuminReference - albuminNum));
             // Ensure normalAG doesn't go below a reasonable minimum, e.g., 3-4
             normalAG = Math.max(3, normalAG);
         }
 
         const deltaAG = anionGap - normalAG; // Use adjusted normal AG
-        const deltaHCO3 = 24 - hco3;
+        const deltaHCO3 = this.ranges.hco3Normal - hco3; // 24 for arterial samples
+        const values = {
+            deltaAnionGap: measurement(deltaAG, 'mmol/L'),
+            deltaHco3: measurement(deltaHCO3, 'mmol/L'),
+            normalAnionGap: measurement(normalAG, 'mmol/L')
+        };
+        const thresholds = { deltaRatio: threshold(1.0, 2.0) };
 
-        if (deltaHCO3 === 0) {
-            // Avoid division by zero. If AG is high and HCO3 is normal, suggests HAGMA + Met Alk.
-             this.state.deltaRatioAssessment = 'concurrent met alk likely (delta HCO3 is zero)';
-             return `Delta Ratio not calculable (ΔHCO₃⁻ is 0). High AG with normal HCO₃⁻ suggests concurrent Metabolic Alkalosis.`;
-        }
-        if (deltaHCO3 < 0) {
-             // If HCO3 is high (deltaHCO3 negative), also suggests concurrent Met Alk.
-             this.state.deltaRatioAssessment = 'concurrent met alk likely (delta HCO3 negative)';
-             return `Delta Ratio interpretation complex (ΔHCO₃⁻ is negative: ${deltaHCO3.toFixed(1)}). High AG with elevated HCO₃⁻ suggests concurrent Metabolic Alkalosis.`;
+        if (deltaHCO3 <= 0) {
+            // Avoid division by zero. High AG with normal (zero) or elevated (negative) HCO₃⁻ suggests concurrent Met Alk.
+             this.state.deltaRatioAssessment = `concurrent met alk likely (delta HCO3 ${deltaHCO3 === 0 ? 'is zero' : 'negative'})`;
+             return createStep('step6', StepStatus.COMPLETED, deltaHCO3 === 0 ? 'DELTA_HCO3_ZERO' : 'DELTA_HCO3_NEGATIVE', {
+                 values, thresholds, disorders: [DisorderCode.METABOLIC_ALKALOSIS], severity: Severity.MILD
+             });
         }
 
-
         this.state.deltaRatio = deltaAG / deltaHCO3;
-        let resultText = `Delta Ratio (ΔAG/ΔHCO₃⁻) = ${this.state.deltaRatio.toFixed(1)}. (Normal AG adjusted to ${normalAG.toFixed(1)} if albumin provided).`;
+        values.deltaRatio = measurement(this.state.deltaRatio);
+
+        // Lactate-adjusted ratio separates lactic from keto / mixed acidosis
+        let ratio = this.state.deltaRatio;
+        let limits = thresholds.deltaRatio;
+        const lactateAdjusted = lactate !== undefined && !isNaN(lactate);
+        if (lactateAdjusted) {
+            const lactatePart = Math.max(0, Math.min(lactate, deltaAG));
+            ratio = (deltaAG - lactatePart + lactatePart / 1.6) / deltaHCO3;
+            limits = threshold(0.8, 1.25);
+            this.state.lactateAdjustedDeltaRatio = ratio;
+            values.lactateAdjustedDeltaRatio = measurement(ratio);
+            values.lactate = measurement(lactate, 'mmol/L');
+            thresholds.lactateAdjustedDeltaRatio = limits;
+        }
 
         // Interpretation ranges based on updated guideline
-        if (this.state.deltaRatio < 1.0) {
+        let code;
+        let disorders = [];
+        if (ratio < limits.low) {
             this.state.deltaRatioAssessment = 'concurrent NAGMA';
-            resultText += " Ratio < 1.0 suggests concurrent Normal Anion Gap Metabolic Acidosis (NAGMA).";
+            code = 'CONCURRENT_NAGMA';
+            disorders = [DisorderCode.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS];
              if (!this.state.additionalDisorders.includes('normal anion gap metabolic acidosis')) {
                  this.state.additionalDisorders.push('normal anion gap metabolic acidosis');
              }
-        } else if (this.state.deltaRatio > 2.0) {
+        } else if (ratio > limits.high) {
             this.state.deltaRatioAssessment = 'concurrent met alk';
-            resultText += " Ratio > 2.0 suggests concurrent Metabolic Alkalosis.";
+            code = 'CONCURRENT_METABOLIC_ALKALOSIS';
+            disorders = [DisorderCode.METABOLIC_ALKALOSIS];
              if (!this.state.additionalDisorders.includes('metabolic alkalosis')) {
                  this.state.additionalDisorders.push('metabolic alkalosis');
              }
-        } else { // Ratio between 0.8 and 1.8
+        } else { // Ratio between 1 and 2
             this.state.deltaRatioAssessment = 'pure HAGMA';
-            resultText += " Ratio ≈ 1-2 is consistent with uncomplicated High Anion Gap Metabolic Acidosis.";
+            code = 'PURE_HAGMA';
         }
-        return resultText;
+        return createStep('step6', StepStatus.COMPLETED, code, {
+            values, thresholds, disorders, severity: disorders.length > 0 ? Severity.MILD : Severity.NONE,
+            details: { basis: lactateAdjusted ? 'lactateAdjusted' : 'deltaRatio' }
+        });
     }
 
     /**
-     * Generate the final interpretation string based on the analysis state.
+     * Step 7: Secondary workup of a metabolic acidosis.
+     * HAGMA: Serum osmolar gap = Measured Osm - (2·Na⁺ + Glucose/18 + BUN/2.8 + Ethanol/3.7)
+     * NAGMA: Urine anion gap = UNa⁺ + UK⁺ - UCl⁻
+     *        Urine osmolal gap = UOsm - (2·(UNa⁺ + UK⁺) + UUN/2.8), estimated urine NH₄⁺ ≈ UOG / 2
+     * Each calculation is reported as an entry of details.checks ({ key, status, code, values, thresholds, severity }).
      */
-    generateFinalInterpretation() {
+    evaluateSecondaryWorkup(values) {
+        const { primaryDisorder, additionalDisorders } = this.state;
+        const ag = this.state.correctedAnionGap ?? this.state.anionGap;
+        const agUpperLimit = this.profile.ranges.anionGap[1];
+        const osmolarGapLimit = this.profile.thresholds.osmolarGap;
+        const isMetAcid = primaryDisorder === 'metabolic acidosis';
+        const hasHagma = ag !== null && ag > agUpperLimit && (isMetAcid || additionalDisorders.includes('high anion gap metabolic acidosis'));
+        const hasNagma = (isMetAcid && ag !== null && ag <= agUpperLimit) || additionalDisorders.includes('normal anion gap metabolic acidosis');
+        const has = (key) => values[key] !== undefined && !isNaN(values[key]);
+
+        if (!hasHagma && !hasNagma) {
+            return createStep('step7', StepStatus.NOT_APPLICABLE, 'NO_METABOLIC_ACIDOSIS');
+        }
+
+        const checks = [];
+        const check = (key, status, code, fields = {}) => checks.push({ key, status, code, values: {}, thresholds: {}, severity: Severity.NONE, ...fields });
+
+        if (hasHagma) {
+            if (has('sosm') && has('na') && has('glucose') && has('bun')) {
+                const calculatedOsm = 2 * values.na + values.glucose / 18 + values.bun / 2.8 + (has('ethanol') ? values.ethanol / 3.7 : 0);
+                this.state.osmolarGap = values.sosm - calculatedOsm;
+                let code = 'NORMAL';
+                let severity = Severity.NONE;
+                if (this.state.osmolarGap > 2 * osmolarGapLimit) {
+                    code = 'MARKEDLY_ELEVATED'; // Strongly suggests toxic alcohol ingestion
+                    severity = Severity.SEVERE;
+                } else if (this.state.osmolarGap > osmolarGapLimit) {
+                    code = 'ELEVATED';
+                    severity = Severity.MODERATE;
+                }
+                check('osmolarGap', StepStatus.COMPLETED, code, {
+                    values: {
+                        osmolarGap: measurement(this.state.osmolarGap, 'mOsm/kg'),
+                        measuredOsmolality: measurement(values.sosm, 'mOsm/kg'),
+                        calculatedOsmolality: measurement(calculatedOsm, 'mOsm/kg')
+                    },
+                    thresholds: { osmolarGap: threshold(undefined, osmolarGapLimit, 'mOsm/kg') },
+                    severity,
+                    ethanolAdjusted: has('ethanol')
+                });
+            } else {
+                check('osmolarGap', StepStatus.SKIPPED, 'INPUTS_MISSING');
+            }
+        }
+
+        if (hasNagma) {
+            if (has('una') && has('uk') && has('ucl')) {
+                this.state.urineAnionGap = values.una + values.uk - values.ucl;
+                // Negative: appropriate NH₄⁺ excretion (GI loss); positive: impaired NH₄⁺ excretion (renal cause)
+                check('urineAnionGap', StepStatus.COMPLETED, this.state.urineAnionGap < 0 ? 'NEGATIVE' : 'POSITIVE', {
+                    values: { urineAnionGap: measurement(this.state.urineAnionGap, 'mmol/L') },
+                    thresholds: { urineAnionGap: threshold(undefined, 0, 'mmol/L') }
+                });
+            } else {
+                check('urineAnionGap', StepStatus.SKIPPED, 'INPUTS_MISSING');
+            }
+
+            if (has('uosm') && has('una') && has('uk') && has('uun')) {
+                const calculatedUosm = 2 * (values.una + values.uk) + values.uun / 2.8;
+                this.state.urineOsmolalGap = values.uosm - calculatedUosm;
+                let code = 'INDETERMINATE';
+                if (this.state.urineOsmolalGap >= 100) code = 'ADEQUATE';
+                else if (this.state.urineOsmolalGap < 40) code = 'LOW';
+                check('urineOsmolalGap', StepStatus.COMPLETED, code, {
+                    values: {
+                        urineOsmolalGap: measurement(this.state.urineOsmolalGap, 'mOsm/kg'),
+                        estimatedUrineAmmonium: measurement(this.state.urineOsmolalGap / 2, 'mmol/L')
+                    },
+                    thresholds: { urineOsmolalGap: threshold(40, 100, 'mOsm/kg') }
+                });
+            } else if (has('uosm')) {
+                check('urineOsmolalGap', StepStatus.SKIPPED, 'INPUTS_MISSING');
+            }
+        }
+
+        const completed = checks.filter(entry => entry.status === StepStatus.COMPLETED);
+        return createStep('step7', completed.length > 0 ? StepStatus.COMPLETED : StepStatus.SKIPPED, 'SECONDARY_WORKUP', {
+            values: completed.reduce((acc, entry) => ({ ...acc, ...entry.values }), {}),
+            thresholds: completed.reduce((acc, entry) => ({ ...acc, ...entry.thresholds }), {}),
+            severity: maxSeverity(checks.map(entry => entry.severity)),
+            details: { checks }
+        });
+    }
+
+    /**
+     * Hyperglycemic crisis criteria (ADA 2024 consensus; glucose and osmolality limits from the reference profile).
+     * DKA: glucose ≥ 200 mg/dL (or known diabetes), β-hydroxybutyrate ≥ 3.0 mmol/L, pH < 7.30 or HCO₃⁻ < 18 mmol/L.
+     *      Graded mild (pH ≥ 7.25, HCO₃⁻ ≥ 15), moderate (pH ≥ 7.00, HCO₃⁻ ≥ 10) or severe.
+     * HHS: glucose ≥ 600 mg/dL, effective osmolality (2·Na⁺ + Glucose/18) > 300 mOsm/kg, pH ≥ 7.30, HCO₃⁻ ≥ 15 mmol/L, BHB < 3.0.
+     * Ketoacidosis with glucose below the DKA limit is euglycemic DKA in known diabetes (e.g. SGLT2 inhibitors),
+     * otherwise alcoholic or starvation ketoacidosis.
+     * @returns {Object} { performed, code: 'DKA' | 'HHS' | 'DKA_HHS_OVERLAP' | 'EUGLYCEMIC_DKA' | 'NON_DIABETIC_KETOACIDOSIS' | 'NONE', severity,
+     *   criteria: [{ code, met, ...values }], findings: [{ code, ...values }] } (rendered by resultRenderer.js)
+     */
+    assessHyperglycemicCrisis(values) {
+        const { ph, hco3, glucose, bhb, na } = values;
+        const { ketoacidosisBhb, dkaGlucose, hhsGlucose, hhsOsmolality } = this.profile.thresholds;
+        const has = (value) => value !== undefined && !isNaN(value);
+        if (!has(glucose) && !has(bhb)) {
+            return { performed: false, reason: 'GLUCOSE_OR_BHB_REQUIRED' };
+        }
+
+        const diabetes = (values.context || []).includes('diabetes');
+        const acidosis = ph < 7.30 || hco3 < 18;
+        const ketosis = has(bhb) && bhb >= ketoacidosisBhb;
+        const effectiveOsm = has(na) && has(glucose) ? 2 * na + glucose / 18 : null;
+        const criteria = [];
+        const findings = [];
+
+        if (has(glucose)) {
+            const code = glucose >= dkaGlucose ? 'GLUCOSE_ABOVE' : (diabetes ? 'GLUCOSE_BELOW_DIABETES' : 'GLUCOSE_BELOW');
+            criteria.push({ code, met: glucose >= dkaGlucose || diabetes, glucose, limit: dkaGlucose });
+        }
+        criteria.push(has(bhb)
+            ? { code: ketosis ? 'BHB_ABOVE' : 'BHB_BELOW', met: ketosis, bhb, limit: ketoacidosisBhb }
+            : { code: 'BHB_MISSING', met: false });
+        criteria.push({ code: 'ACIDOSIS', met: acidosis, ph, hco3 });
+
+        const dka = ketosis && acidosis && has(glucose) && glucose >= dkaGlucose;
+        const hhs = has(glucose) && glucose >= hhsGlucose && effectiveOsm !== null && effectiveOsm > hhsOsmolality;
+        if (has(glucose) && glucose >= hhsGlucose) {
+            criteria.push(effectiveOsm !== null
+                ? { code: effectiveOsm > hhsOsmolality ? 'OSMOLALITY_ABOVE' : 'OSMOLALITY_NOT_ABOVE', met: effectiveOsm > hhsOsmolality, osmolality: effectiveOsm, limit: hhsOsmolality }
+                : { code: 'OSMOLALITY_NEEDS_SODIUM', met: false });
+        }
+
+        let code = 'NONE';
+        let severity = Severity.NONE;
+        if (dka) {
+            severity = ph < 7.0 || hco3 < 10 ? Severity.SEVERE : (ph < 7.25 || hco3 < 15 ? Severity.MODERATE : Severity.MILD);
+            code = hhs ? 'DKA_HHS_OVERLAP' : 'DKA';
+            findings.push(hhs ? { code: 'DKA_HHS_OVERLAP', glucose, osmolality: effectiveOsm } : { code: 'DKA', severity });
+        } else if (hhs && ph >= 7.30 && hco3 >= 15 && !ketosis) { // HHS allows HCO₃⁻ 15-18, below the DKA acidosis cut-off
+            code = 'HHS';
+            severity = Severity.SEVERE;
+            findings.push({ code: 'HHS', glucose, osmolality: effectiveOsm });
+        } else if (ketosis && acidosis) {
+            code = diabetes ? 'EUGLYCEMIC_DKA' : 'NON_DIABETIC_KETOACIDOSIS';
+            severity = Severity.MODERATE;
+            findings.push({ code: diabetes ? 'EUGLYCEMIC_DKA' : (has(glucose) ? 'NON_DIABETIC_KETOACIDOSIS' : 'KETOACIDOSIS_GLUCOSE_MISSING') });
+        } else if (has(glucose) && glucose >= dkaGlucose && !has(bhb) && acidosis) {
+            findings.push({ code: 'MEASURE_BHB' });
+        } else {
+            findings.push({ code: 'NONE' });
+        }
+
+        return { performed: true, code, severity, effectiveOsmolality: effectiveOsm, criteria, findings };
+    }
+
+    /**
+     * Stewart physicochemical analysis.
+     * SIDa = (Na⁺ + K⁺ + 2·Ca²⁺ + 2·Mg²⁺) - (Cl⁻ + Lactate⁻)
+     * SIDe = HCO₃⁻ + Alb⁻ + Pi⁻ (Figge-Fencl charge equations, albumin in g/L, phosphate in mmol/L)
+     * SIG  = SIDa - SIDe
+     * Ca²⁺ (ionized) and Mg²⁺ are in mmol/L. Missing optional ions are omitted from SIDa and listed.
+     * @returns {Object} Structured Stewart results with findings as { code, ...values } ({ performed: false, reason } when it cannot run).
+     */
+    performStewartAnalysis(values) {
+        const { ph, paco2, na, cl, albumin } = values;
+        if (na === undefined || cl === undefined || albumin === undefined) {
+            return { performed: false, reason: 'STEWART_INPUTS_REQUIRED' };
+        }
+
+        const omitted = ['k', 'ca', 'mg', 'lactate', 'phosphate'].filter(key => values[key] === undefined || isNaN(values[key]));
+        const ion = (key) => (values[key] === undefined || isNaN(values[key]) ? 0 : values[key]);
+
+        const sidApparent = na + ion('k') + 2 * ion('ca') + 2 * ion('mg') - cl - ion('lactate');
+
+        // Weak acid (Atot) charge from albumin and phosphate at the measured pH
+        const bicarbonate = 0.0307 * paco2 * Math.pow(10, ph - 6.1); // Calculated HCO₃⁻, pK 6.1, S 0.0307
+        const albuminCharge = albumin * 10 * (0.123 * ph - 0.631);
+        const phosphateCharge = ion('phosphate') * (0.309 * ph - 0.469);
+        const atot = albuminCharge + phosphateCharge;
+        const sidEffective = bicarbonate + atot;
+        const sig = sidApparent - sidEffective;
+
+        const findings = [];
+        if (sidApparent < 38) {
+            findings.push({ code: 'LOW_SID', sid: sidApparent });
+        } else if (sidApparent > 44) {
+            findings.push({ code: 'HIGH_SID', sid: sidApparent });
+        }
+        const correctedChloride = cl * (140 / na); // Fencl: chloride corrected for free-water changes
+        if (correctedChloride > 108) {
+            findings.push({ code: 'HYPERCHLOREMIA', chloride: correctedChloride });
+        }
+        const albuminLow = albumin < this.profile.ranges.albumin[0];
+        const sigLimit = this.profile.thresholds.strongIonGap;
+        if (albuminLow) {
+            findings.push({ code: 'HYPOALBUMINEMIA', albumin });
+        }
+        if (sig > sigLimit) {
+            findings.push({ code: 'SIG_ELEVATED', sig });
+            const rawAnionGap = na - (cl + values.hco3);
+            if (albuminLow && rawAnionGap <= this.profile.ranges.anionGap[1]) {
+                findings.push({ code: 'ANIONS_MASKED' });
+            }
+        } else if (sig < -sigLimit) {
+            findings.push({ code: 'SIG_NEGATIVE', sig });
+        }
+        if (findings.length === 0) {
+            findings.push({ code: 'NORMAL' });
+        }
+        if (omitted.length > 0) {
+            findings.push({ code: 'IONS_OMITTED', ions: omitted });
+        }
+
+        return {
+            performed: true,
+            sidApparent,
+            sidEffective,
+            atot: { albumin: albuminCharge, phosphate: phosphateCharge, total: atot },
+            calculatedHco3: bicarbonate,
+            correctedChloride,
+            sig,
+            unmeasuredAnions: sig > sigLimit,
+            omitted,
+            findings
+        };
+    }
+
+    /**
+     * Partitioned base excess analysis (Fencl-Story simplified equations, Gilfix unmeasured anion residual).
+     * SBE (Van Slyke) = 0.93 × (HCO₃⁻ - 24.4 + 14.83 × (pH - 7.4)), or the measured BE when provided.
+     * Free water = 0.3 × (Na⁺ - 140); Chloride = 102 - Cl⁻ × 140/Na⁺;
+     * Albumin = 2.5 × (4.2 - Albumin g/dL); Lactate = -Lactate; Unmeasured anions = SBE - Σ(parts).
+     * @returns {Object} Structured base excess results with each part's mmol/L contribution and findings as { code, ...values }.
+     */
+    partitionBaseExcess(values) {
+        const { ph, hco3, be, na, cl, albumin, lactate } = values;
+        const calculatedSbe = 0.93 * (hco3 - 24.4 + 14.83 * (ph - 7.4));
+        const hasMeasuredBe = be !== undefined && !isNaN(be);
+        const sbe = hasMeasuredBe ? be : calculatedSbe;
+
+        const result = {
+            performed: false,
+            sbe,
+            sbeSource: hasMeasuredBe ? 'measured' : 'calculated',
+            calculatedSbe,
+            components: [],
+            findings: []
+        };
+
+        if (na === undefined || cl === undefined) {
+            result.reason = 'ELECTROLYTES_REQUIRED';
+            return result;
+        }
+
+        const components = [
+            { key: 'freeWater', value: 0.3 * (na - 140) },
+            { key: 'chloride', value: 102 - cl * (140 / na) }
+        ];
+        if (albumin !== undefined && !isNaN(albumin)) {
+            components.push({ key: 'albumin', value: 2.5 * (4.2 - albumin) });
+        } else {
+            result.findings.push({ code: 'ALBUMIN_MISSING' });
+        }
+        if (lactate !== undefined && !isNaN(lactate)) {
+            components.push({ key: 'lactate', value: -lactate });
+        } else {
+            result.findings.push({ code: 'LACTATE_MISSING' });
+        }
+        const explained = components.reduce((sum, part) => sum + part.value, 0);
+        components.push({ key: 'unmeasuredAnions', value: sbe - explained });
+
+        // Describe every part that moves the base excess by more than 2 mmol/L
+        const effects = {
+            freeWater: ['FREE_WATER_EXCESS', 'FREE_WATER_DEFICIT'],
+            chloride: ['HYPERCHLOREMIC_ACIDOSIS', 'HYPOCHLOREMIC_ALKALOSIS'],
+            albumin: ['HYPERALBUMINEMIC_ACIDOSIS', 'HYPOALBUMINEMIC_ALKALOSIS'],
+            lactate: ['LACTIC_ACIDOSIS', null],
+            unmeasuredAnions: ['UNMEASURED_ANIONS', 'UNMEASURED_CATIONS']
+        };
+        const effectFindings = [];
+        components.forEach(part => {
+            const [acidifying, alkalinizing] = effects[part.key];
+            if (part.value < -2 && acidifying) {
+                effectFindings.push({ code: acidifying, value: part.value });
+            } else if (part.value > 2 && alkalinizing) {
+                effectFindings.push({ code: alkalinizing, value: part.value });
+            }
+        });
+        if (effectFindings.length === 0) {
+            effectFindings.push({ code: 'NO_SIGNIFICANT_COMPONENT' });
+        }
+        result.findings = [...effectFindings, ...result.findings];
+
+        result.performed = true;
+        result.components = components;
+        return result;
+    }
+
+    /**
+     * Oxygenation assessment.
+     * PAO₂ = FiO₂ × (Patm - 47) - PaCO₂ / RQ (alveolar gas equation, FiO₂ entered in %)
+     * A-a gradient = PAO₂ - PaO₂; age-expected upper limit ≈ Age/4 + 4 mmHg
+     * P/F ratio = PaO₂ / FiO₂ (fraction), graded with the Berlin ARDS criteria.
+     * Type 2 respiratory failure: PaCO₂ > 50 mmHg with acidemia (pH < 7.35) or hypoxemia; a raised PaCO₂ without
+     * either (e.g. compensating a metabolic alkalosis) is reported as hypercapnia only.
+     * Defaults when not provided: FiO₂ 21%, Patm 760 mmHg, RQ 0.8.
+     * Findings and assumptions are { code, ...values } (rendered by resultRenderer.js).
+     */
+    assessOxygenation(values) {
+        const { ph, pao2, paco2, age } = values;
+        if (pao2 === undefined || isNaN(pao2)) {
+            return { performed: false, reason: 'PAO2_REQUIRED' };
+        }
+
+        const assumptions = [];
+        const withDefault = (key, fallback) => {
+            if (values[key] === undefined || isNaN(values[key])) {
+                assumptions.push({ code: 'DEFAULT_VALUE', field: key, value: fallback });
+                return fallback;
+            }
+            return values[key];
+        };
+        const fio2Percent = withDefault('fio2', 21);
+        const patm = withDefault('patm', 760);
+        const rq = withDefault('rq', 0.8);
+        const fio2 = fio2Percent / 100;
+
+        const alveolarPo2 = fio2 * (patm - 47) - paco2 / rq;
+        const aaGradient = alveolarPo2 - pao2;
+        const hasAge = age !== undefined && !isNaN(age);
+        const expectedAaGradient = hasAge ? age / 4 + 4 : 15;
+        if (!hasAge) {
+            assumptions.push({ code: 'AGE_MISSING', limit: expectedAaGradient });
+        }
+        const aaGradientElevated = aaGradient > expectedAaGradient;
+        const pfRatio = pao2 / fio2;
+
+        let ardsSeverity = 'none';
+        if (pfRatio <= 100) ardsSeverity = 'severe';
+        else if (pfRatio <= 200) ardsSeverity = 'moderate';
+        else if (pfRatio <= 300) ardsSeverity = 'mild';
+
+        let respiratoryFailure = 'none';
+        if (paco2 > 50 && (ph < 7.35 || pao2 < 60)) {
+            respiratoryFailure = 'type 2';
+        } else if (pao2 < 60) {
+            respiratoryFailure = 'type 1';
+        }
+        const hypercapnia = paco2 > 45 && respiratoryFailure !== 'type 2';
+
+        const findings = [];
+        findings.push({ code: aaGradientElevated ? 'AA_GRADIENT_ELEVATED' : 'AA_GRADIENT_NORMAL', aaGradient, expected: expectedAaGradient });
+        if (ardsSeverity !== 'none') {
+            findings.push({ code: `ARDS_${ardsSeverity.toUpperCase()}`, pfRatio });
+        } else {
+            findings.push({ code: 'PF_RATIO_NORMAL', pfRatio, limit: 300 });
+        }
+        if (respiratoryFailure === 'type 1') {
+            findings.push({ code: hypercapnia ? 'TYPE_1_HYPERCAPNIA' : 'TYPE_1', limit: 60 });
+        } else if (respiratoryFailure === 'type 2') {
+            findings.push({ code: 'TYPE_2', limit: 50, acidemia: ph < 7.35, hypoxemia: pao2 < 60, pureHypoventilation: !aaGradientElevated });
+        } else if (pao2 < 80) {
+            findings.push({ code: 'MILD_HYPOXEMIA' });
+        }
+        if (hypercapnia) {
+            // Without hypoxemia, e.g. compensation for a metabolic alkalosis
+            findings.push({ code: respiratoryFailure === 'none' ? 'HYPERCAPNIA_ISOLATED' : 'HYPERCAPNIA', paco2, limit: 50 });
+        }
+
+        return {
+            performed: true,
+            fio2: fio2Percent,
+            alveolarPo2,
+            aaGradient,
+            expectedAaGradient,
+            aaGradientElevated,
+            pfRatio,
+            ardsSeverity,
+            respiratoryFailure,
+            hypercapnia,
+            assumptions,
+            findings
+        };
+    }
+
+    /**
+     * Umbilical cord blood gas assessment (paired arterial and venous samples).
+     * Sample validity: venous-arterial pH difference ≥ 0.02 and arterial-venous PCO₂ difference ≥ 0.5 kPa (3.75 mmHg).
+     * Base deficit (extracellular) = -0.93 × (HCO₃⁻ - 24.4 + 14.83 × (pH - 7.4)), or the measured BE when provided.
+     * Perinatal metabolic acidosis: arterial pH below the profile limit (7.00) with base deficit ≥ 12 mmol/L.
+     * @returns {Object} Structured cord gas results for the arterial (main values) and venous (uv*) samples;
+     *   validity checks and findings are { code, ...values } (rendered by resultRenderer.js).
+     */
+    assessCordGas(values) {
+        const { cordAcidemiaPh, cordBaseDeficit } = this.profile.thresholds;
+        const describeSample = (ph, pco2, hco3, be) => {
+            const bicarbonate = hco3 !== undefined && !isNaN(hco3) ? hco3 : 0.0307 * pco2 * Math.pow(10, ph - 6.1);
+            const hasMeasuredBe = be !== undefined && !isNaN(be);
+            const baseExcess = hasMeasuredBe ? be : 0.93 * (bicarbonate - 24.4 + 14.83 * (ph - 7.4));
+            return { ph, pco2, hco3: bicarbonate, baseDeficit: -baseExcess, baseDeficitSource: hasMeasuredBe ? 'measured' : 'calculated' };
+        };
+
+        const arterial = describeSample(values.ph, values.paco2, values.hco3, values.be);
+        const hasVenous = values.uvph !== undefined && !isNaN(values.uvph) && values.uvpco2 !== undefined && !isNaN(values.uvpco2);
+        const venous = hasVenous ? describeSample(values.uvph, values.uvpco2, values.uvhco3, values.uvbe) : null;
+
+        // --- Paired sample validity ---
+        const checks = [];
+        if (!venous) {
+            checks.push({ code: 'VENOUS_MISSING', passed: false });
+        } else {
+            const phDifference = venous.ph - arterial.ph;
+            if (phDifference < 0) {
+                checks.push({ code: 'PH_SWAPPED', passed: false, arterial: arterial.ph, venous: venous.ph });
+            } else if (phDifference < 0.02) {
+                checks.push({ code: 'PH_DIFFERENCE_LOW', passed: false, difference: phDifference, limit: 0.02 });
+            } else {
+                checks.push({ code: 'PH_DIFFERENCE_OK', passed: true, difference: phDifference, limit: 0.02 });
+            }
+
+            const pco2Difference = arterial.pco2 - venous.pco2;
+            if (pco2Difference < 0) {
+                checks.push({ code: 'PCO2_SWAPPED', passed: false });
+            } else if (pco2Difference < 3.75) {
+                checks.push({ code: 'PCO2_DIFFERENCE_LOW', passed: false, difference: pco2Difference, limit: 3.75 });
+            } else {
+                checks.push({ code: 'PCO2_DIFFERENCE_OK', passed: true, difference: pco2Difference, limit: 3.75 });
+            }
+        }
+        const valid = venous ? checks.every(check => check.passed) : null;
+
+        // --- Perinatal acidosis (umbilical arterial sample) ---
+        const acidemic = arterial.ph < this.ranges.ph[0];
+        const metabolic = arterial.baseDeficit >= cordBaseDeficit;
+        const respiratory = arterial.pco2 > this.ranges.paco2[1];
+        const severe = arterial.ph < cordAcidemiaPh && metabolic;
+        let classification = 'normal';
+        if (metabolic) {
+            classification = respiratory ? 'mixed' : 'metabolic';
+        } else if (acidemic) {
+            classification = 'respiratory';
+        }
+
+        const findings = [{
+            code: classification.toUpperCase(),
+            ph: arterial.ph,
+            baseDeficit: arterial.baseDeficit,
+            source: arterial.baseDeficitSource,
+            limit: cordBaseDeficit
+        }];
+        if (severe) {
+            findings.push({ code: 'HYPOXIC_ISCHEMIC_ACIDOSIS', ph: cordAcidemiaPh, baseDeficit: cordBaseDeficit });
+        } else if (arterial.ph < cordAcidemiaPh) {
+            findings.push({ code: 'SEVERE_RESPIRATORY_ACIDEMIA', ph: cordAcidemiaPh });
+        }
+        if (valid === false) {
+            findings.push({ code: 'INVALID_PAIR' });
+        }
+
+        return { performed: true, arterial, venous, validity: { valid, checks }, classification, severe, findings };
+    }
+
+    /**
+     * Build the structured final interpretation from the analysis state (rendered by resultRenderer.js).
+     */
+    buildInterpretation() {
         const { primaryDisorder, compensationAssessment, additionalDisorders, acidBaseStatus } = this.state;
+        const interpretation = {
+            code: 'DISORDER',
+            primaryDisorder: toDisorderCode(primaryDisorder),
+            compensation: null,
+            additionalDisorders: [],
+            severity: maxSeverity(this.results.steps.map(step => step.severity))
+        };
 
         if (this.results.error) {
-            return `Analysis Error: ${this.results.error}`;
+            return { ...interpretation, code: 'ERROR' };
         }
         if (!primaryDisorder || primaryDisorder === 'Undetermined') {
-            return "Unable to determine final interpretation.";
+            return { ...interpretation, code: 'UNDETERMINED' };
         }
         if (primaryDisorder === 'normal') {
-            return "Normal acid-base status.";
+            return { ...interpretation, code: 'NORMAL' };
         }
 
-        // Start with the primary disorder
-        let interpretation = `Primary ${primaryDisorder.replace(/_/g, ' ').replace('compensated', '').trim()}`; // Remove 'compensated' prefix if present
-
-        // Add compensation status
+        // Compensation status
         if (primaryDisorder === 'compensated' || acidBaseStatus === 'normal') {
-             interpretation += " with complete compensation";
+             interpretation.compensation = 'complete';
         } else if (compensationAssessment === 'appropriate') {
-             interpretation += " with expected compensation";
+             interpretation.compensation = 'expected';
         }
         // If compensationAssessment is 'mixed', the additional disorder is handled below.
 
@@ -477,22 +1130,13 @@ class ABGAnalyzer {
             // Don't add HAGMA if primary is Met Acid (it's implied by AG check)
             if (primaryDisorder === 'metabolic acidosis' && disorder === 'high anion gap metabolic acidosis') return false;
             // Don't add NAGMA if primary is Met Acid and AG was normal (it's implied)
-            if (primaryDisorder === 'metabolic acidosis' && disorder === 'normal anion gap metabolic acidosis' && this.state.anionGap <= 12) return false;
-            // Don't add Met Alk if primary is Met Alk (already primary)
-            if (primaryDisorder === 'metabolic alkalosis' && disorder === 'metabolic alkalosis') return false;
-            // Don't add Resp Acid if primary is Resp Acid
-            if (primaryDisorder === 'respiratory acidosis' && disorder === 'respiratory acidosis') return false;
-             // Don't add Resp Alk if primary is Resp Alk
-            if (primaryDisorder === 'respiratory alkalosis' && disorder === 'respiratory alkalosis') return false;
-
-            return true; // Keep the disorder otherwise
+            if (primaryDisorder === 'metabolic acidosis' && disorder === 'normal anion gap metabolic acidosis' && this.state.anionGap <= this.profile.ranges.anionGap[1]) return false;
+            // Don't add a disorder that is already the primary one
+            return disorder !== primaryDisorder;
         });
+        interpretation.additionalDisorders = filteredAdditional.map(toDisorderCode);
 
-        if (filteredAdditional.length > 0) {
-             interpretation += ` and superimposed ${filteredAdditional.map(d => d.replace(/_/g, ' ')).join(' and ')}`;
-        }
-
-        return interpretation.trim() + ".";
+        return interpretation;
     }
 }
 
@@ -0,0 +1,148 @@
+/**
+ * ABG Analyzer - Acid-Base Map
+ * pH–HCO₃⁻ (Davenport) diagram of an analysis: a band for each simple disorder drawn from the step 4
+ * compensation formulas (compensationFormulas in patientCategories.js), PaCO₂ isopleths and the patient's point.
+ * buildAcidBaseMap() describes the diagram in canonical units; layoutAcidBaseMap() scales it to SVG coordinates
+ * for the results view and the printed report.
+ */
+
+import { compensationFormulas, defaultCompensation } from './patientCategories';
+
+// Range of the primary change covered by each band (canonical units); 'normal' is the sample's paco2Normal / hco3Normal
+const bandSpans = {
+    metabolicAcidosis: [4, 'normal'],
+    metabolicAlkalosis: ['normal', 50],
+    acuteRespiratoryAcidosis: ['normal', 100],
+    chronicRespiratoryAcidosis: ['normal', 100],
+    acuteRespiratoryAlkalosis: [15, 'normal'],
+    chronicRespiratoryAlkalosis: [15, 'normal']
+};
+
+export const bandColors = {
+    metabolicAcidosis: '#dc3545',
+    metabolicAlkalosis: '#007bff',
+    acuteRespiratoryAcidosis: '#fd7e14',
+    chronicRespiratoryAcidosis: '#a0522d',
+    acuteRespiratoryAlkalosis: '#28a745',
+    chronicRespiratoryAlkalosis: '#17a2b8'
+};
+
+export const isopleths = [20, 40, 60, 80]; // PaCO₂, mmHg
+
+const SAMPLES = 24; // Points along each band edge
+
+// Henderson-Hasselbalch, pK 6.1, S 0.0307
+const phOf = (paco2, hco3) => 6.1 + Math.log10(hco3 / (0.0307 * paco2));
+const hco3Of = (paco2, ph) => 0.0307 * paco2 * Math.pow(10, ph - 6.1);
+
+// Ray casting in the pH–HCO₃⁻ plane
+function contains(polygon, [ph, hco3]) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [xi, yi] = polygon[i];
+        const [xj, yj] = polygon[j];
+        if ((yi > hco3) !== (yj > hco3) && ph < ((xj - xi) * (hco3 - yi)) / (yj - yi) + xi) inside = !inside;
+    }
+    return inside;
+}
+
+function buildBand(key, normals, rules) {
+    const rule = compensationFormulas[key];
+    const driverNormal = rule.driver === 'hco3' ? normals.hco3Normal : normals.paco2Normal;
+    const [from, to] = bandSpans[key].map(limit => (limit === 'normal' ? driverNormal : limit));
+    const tolerance = rule.tolerance(rules);
+    const edge = (offset) => Array.from({ length: SAMPLES + 1 }, (_, index) => {
+        const driver = from + ((to - from) * index) / SAMPLES;
+        const compensating = rule.expected(driver, normals, rules) + offset;
+        return rule.driver === 'hco3' ? [phOf(compensating, driver), driver] : [phOf(driver, compensating), compensating];
+    });
+    return {
+        key,
+        formula: rule.formula,
+        driver: rule.driver,
+        field: rule.field,
+        slope: rule.slope(rules),
+        tolerance,
+        span: [from, to],
+        polygon: [...edge(-tolerance), ...edge(tolerance).reverse()]
+    };
+}
+
+/**
+ * Acid-base map of an analysis.
+ * @param {Object} values - Analyzed ph, paco2 and hco3 (canonical units).
+ * @param {Object} options
+ * @param {Object} options.ranges - Acid-base reference ranges of the sample (ph, hco3, paco2Normal, hco3Normal).
+ * @param {Object} [options.compensation] - Compensation rules of the patient category (getCompensationRules).
+ * @returns {Object} { performed, point: { ph, paco2, hco3 }, normal: { ph, hco3 }, normals, axes: { ph, hco3 },
+ *   bands: [{ key, formula, driver, field, slope, tolerance, span, polygon: [[ph, hco3]] }], isopleths, matches }
+ *   `matches` lists the bands containing the point ('normal' for the reference box).
+ */
+export function buildAcidBaseMap(values, { ranges, compensation = defaultCompensation }) {
+    const normals = { paco2Normal: ranges.paco2Normal, hco3Normal: ranges.hco3Normal };
+    const point = { ph: values.ph, paco2: values.paco2, hco3: values.hco3 };
+    const bands = Object.keys(bandSpans).map(key => buildBand(key, normals, compensation));
+    const inNormal = point.ph >= ranges.ph[0] && point.ph <= ranges.ph[1] && point.hco3 >= ranges.hco3[0] && point.hco3 <= ranges.hco3[1];
+    return {
+        performed: true,
+        point,
+        normal: { ph: ranges.ph, hco3: ranges.hco3 },
+        normals,
+        // Widened to keep an extreme point on the chart
+        axes: {
+            ph: [Math.min(6.9, Math.floor((point.ph - 0.05) * 10) / 10), Math.max(7.8, Math.ceil((point.ph + 0.05) * 10) / 10)],
+            hco3: [0, Math.max(50, Math.ceil((point.hco3 + 5) / 10) * 10)]
+        },
+        bands,
+        isopleths,
+        matches: [...(inNormal ? ['normal'] : []), ...bands.filter(band => contains(band.polygon, [point.ph, point.hco3])).map(band => band.key)]
+    };
+}
+
+/**
+ * Scale an acid-base map to SVG coordinates (pH on the x axis, HCO₃⁻ on the y axis).
+ * @returns {Object} { width, height, plot: { x, y, width, height }, bands: [{ key, path }], normal: { x, y, width, height },
+ *   isopleths: [{ paco2, path, label: { x, y } }], point: { x, y }, ticks: { ph: [{ value, x }], hco3: [{ value, y }] } }
+ */
+export function layoutAcidBaseMap(map, { width = 520, height = 380 } = {}) {
+    const margin = { top: 16, right: 16, bottom: 44, left: 52 };
+    const plot = { x: margin.left, y: margin.top, width: width - margin.left - margin.right, height: height - margin.top - margin.bottom };
+    const [phMin, phMax] = map.axes.ph;
+    const [hco3Min, hco3Max] = map.axes.hco3;
+    const x = (ph) => plot.x + ((ph - phMin) / (phMax - phMin)) * plot.width;
+    const y = (hco3) => plot.y + plot.height - ((hco3 - hco3Min) / (hco3Max - hco3Min)) * plot.height;
+    const round = (value) => Math.round(value * 10) / 10;
+    const path = (points, close) => points.map(([ph, hco3], index) => `${index === 0 ? 'M' : 'L'}${round(x(ph))},${round(y(hco3))}`).join(' ') + (close ? ' Z' : '');
+
+    const phTicks = [];
+    for (let tick = Math.ceil(phMin * 10); tick <= Math.floor(phMax * 10); tick++) phTicks.push(tick / 10);
+    const hco3Ticks = [];
+    for (let tick = hco3Min; tick <= hco3Max; tick += 10) hco3Ticks.push(tick);
+
+    return {
+        width,
+        height,
+        plot,
+        bands: map.bands.map(band => ({ key: band.key, path: path(band.polygon, true) })),
+        normal: {
+            x: round(x(map.normal.ph[0])),
+            y: round(y(map.normal.hco3[1])),
+            width: round(x(map.normal.ph[1]) - x(map.normal.ph[0])),
+            height: round(y(map.normal.hco3[0]) - y(map.normal.hco3[1]))
+        },
+        isopleths: map.isopleths.map(paco2 => {
+            const points = Array.from({ length: SAMPLES + 1 }, (_, index) => {
+                const ph = phMin + ((phMax - phMin) * index) / SAMPLES;
+                return [ph, hco3Of(paco2, ph)];
+            });
+            // Label where the isopleth leaves the plot (right or top edge)
+            const exit = hco3Of(paco2, phMax) <= hco3Max ? [phMax, hco3Of(paco2, phMax)] : [phOf(paco2, hco3Max), hco3Max];
+            return { paco2, path: path(points), label: { x: round(x(exit[0]) - 4), y: round(y(exit[1]) + 12) } };
+        }),
+        point: { x: round(x(map.point.ph)), y: round(y(map.point.hco3)) },
+        ticks: {
+            ph: phTicks.map(value => ({ value, x: round(x(value)) })),
+            hco3: hco3Ticks.map(value => ({ value, y: round(y(value)) }))
+        }
+    };
+}
@@ -0,0 +1,252 @@
+/**
+ * ABG Analyzer - Batch Analysis
+ * Runs the analyzer over every row of a table (e.g. historical gases for a quality-improvement audit).
+ * Columns are mapped to input fields with their units; each row is validated, analyzed and summarized,
+ * and the table can be exported with the results appended as extra columns.
+ */
+
+import ABGAnalyzer from './abgCalculator';
+import { getUnitOptions, getCanonicalUnit, parseUnitLabel, inferUnit, toCanonical } from './units';
+import { sampleTypes, sampleTypeFromText } from './sampleTypes';
+import { patientCategories } from './patientCategories';
+import { interpretationDisorders } from './resultSchema';
+import { renderInterpretation } from './resultRenderer';
+
+const CHUNK_SIZE = 100; // Rows analyzed between progress updates
+
+// Columns that hold the sample type and patient category of each row rather than a measurement
+export const rowSettingFields = ['sampleType', 'patientCategory'];
+
+const requiredFields = ['ph', 'paco2', 'hco3'];
+
+// Header aliases (lowercase, letters and digits only) besides the field key itself
+const headerAliases = {
+    ph: ['phart', 'phvalue'],
+    paco2: ['pco2', 'pc02', 'paco'],
+    hco3: ['bicarbonate', 'bicarb', 'hco3act', 'chco3', 'hco3std'],
+    pao2: ['po2'],
+    be: ['baseexcess', 'beecf', 'beb', 'abe', 'sbe'],
+    sao2: ['so2', 'o2sat', 'oxygensaturation'],
+    temperature: ['temp', 'patienttemperature'],
+    na: ['sodium', 'nat'],
+    cl: ['chloride'],
+    k: ['potassium'],
+    albumin: ['alb'],
+    ca: ['ica', 'ionizedcalcium', 'ionisedcalcium', 'calcium', 'ca2'],
+    mg: ['magnesium'],
+    phosphate: ['phos', 'po4'],
+    lactate: ['lac', 'lactat'],
+    bhb: ['betahydroxybutyrate', 'ketones'],
+    glucose: ['glu', 'glucoselevel'],
+    patm: ['baro', 'barometricpressure'],
+    sosm: ['serumosmolality', 'osmolality', 'osm'],
+    ethanol: ['etoh', 'alcohol'],
+    una: ['urinena', 'urinesodium'],
+    uk: ['urinek', 'urinepotassium'],
+    ucl: ['urinecl', 'urinechloride'],
+    uosm: ['urineosm', 'urineosmolality'],
+    uun: ['urineurea', 'urineureanitrogen'],
+    sampleType: ['sample', 'specimen', 'sampletype', 'source'],
+    patientCategory: ['category', 'agegroup']
+};
+
+// Number of a cell, accepting a decimal comma; NaN when the cell is not a number
+function cellNumber(cell) {
+    const text = String(cell).trim().replace(/^([-+]?\d+),(\d+)$/, '$1.$2');
+    return /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? parseFloat(text) : NaN;
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/\(.*?\)|\[.*?\]/g, '').replace(/[^a-z0-9]/g, '');
+
+// Unit written in a header, e.g. "pCO2 (kPa)" or "Glucose [mmol/L]"
+const headerUnit = (header) => /[([]\s*([^)\]]+?)\s*[)\]]/.exec(header)?.[1] || '';
+
+/**
+ * Guess the column mapping from the header row: each column gets { field, unit }, or null. The unit is the one
+ * named in the header, else inferred from the first data row. A field is mapped to its first matching column only.
+ * @param {string[]} headers
+ * @param {string[]} fields - Fields that may be mapped.
+ * @param {string[]} [firstRow] - First data row.
+ * @returns {Array<Object|null>}
+ */
+export function guessColumnMapping(headers, fields, firstRow = []) {
+    const used = new Set();
+    return headers.map((header, index) => {
+        const name = normalizeHeader(header);
+        const field = fields.find(candidate => !used.has(candidate) && (
+            name === candidate.toLowerCase() || (headerAliases[candidate] || []).includes(name)
+        ));
+        if (!field) return null;
+        used.add(field);
+        if (getUnitOptions(field).length === 0) return { field, unit: '' };
+        const value = cellNumber(firstRow[index] ?? '');
+        return { field, unit: parseUnitLabel(field, headerUnit(header)) || (isNaN(value) ? getCanonicalUnit(field) : inferUnit(field, value)) };
+    });
+}
+
+function patientCategoryFromText(text) {
+    const value = text.trim().toLowerCase();
+    if (value === 'auto') return 'auto';
+    return Object.keys(patientCategories).find(key => key.toLowerCase() === value || patientCategories[key].label.toLowerCase().startsWith(value)) || null;
+}
+
+/**
+ * Input values of a row in canonical units, with its validation errors.
+ * @param {string[]} row - Cells.
+ * @param {Array<Object|null>} mapping - Column mapping (see guessColumnMapping); an empty unit means canonical.
+ * @param {Object} [options]
+ * @param {Object} [options.ranges] - Field → { min, max } in canonical units.
+ * @param {Object} [options.defaults] - { sampleType, estimateArterial, patientCategory } for rows that do not give them.
+ * @returns {Object} { values, errors: [{ code, field?, fields?, value?, min?, max?, unit? }] } (range limits in canonical units)
+ */
+export function readBatchRow(row, mapping, { ranges = {}, defaults = {} } = {}) {
+    const values = { sampleType: 'arterial', patientCategory: 'auto', ...defaults };
+    const errors = [];
+
+    mapping.forEach((column, index) => {
+        const cell = String(row[index] ?? '').trim();
+        if (!column || cell === '') return;
+        const { field, unit } = column;
+        if (field === 'sampleType') {
+            const sampleType = sampleTypeFromText(cell);
+            if (!sampleType) errors.push({ code: 'UNKNOWN_SAMPLE_TYPE', field, value: cell });
+            // An umbilical venous sample on its own is analyzed as venous; it is only selectable as a cord pair
+            else values.sampleType = sampleTypes[sampleType].selectable === false ? 'peripheralVenous' : sampleType;
+            return;
+        }
+        if (field === 'patientCategory') {
+            const category = patientCategoryFromText(cell);
+            if (!category) errors.push({ code: 'UNKNOWN_PATIENT_CATEGORY', field, value: cell });
+            else values.patientCategory = category;
+            return;
+        }
+        const number = cellNumber(cell);
+        if (isNaN(number)) {
+            errors.push({ code: 'NOT_A_NUMBER', field, value: cell });
+            return;
+        }
+        const canonical = unit ? toCanonical(field, number, unit) : number;
+        const range = ranges[field];
+        if (range && (canonical < range.min || canonical > range.max)) {
+            errors.push({ code: 'OUT_OF_RANGE', field, value: cell, min: range.min, max: range.max, unit: getCanonicalUnit(field) || '' });
+            return;
+        }
+        values[field] = canonical;
+    });
+
+    const missing = requiredFields.filter(field => values[field] === undefined && !errors.some(error => error.field === field));
+    if (missing.length > 0) errors.push({ code: 'MISSING_REQUIRED', fields: missing });
+    return { values, errors };
+}
+
+// Compact summary of an analysis; the full result is not kept for every row of a large batch
+function summarizeResult(result) {
+    const anionGap = result.steps.find(step => step.id === 'step5')?.values.anionGap?.value;
+    return {
+        interpretationCode: result.interpretation?.code || null,
+        disorders: interpretationDisorders(result.interpretation),
+        compensation: result.interpretation?.compensation || null,
+        interpretation: renderInterpretation(result.interpretation),
+        severity: result.severity?.severity || null,
+        anionGap: typeof anionGap === 'number' ? Math.round(anionGap * 10) / 10 : null,
+        criticalAlerts: result.severity?.alerts?.length || 0
+    };
+}
+
+/**
+ * Analyze every row of a table.
+ * @param {string[][]} rows - Data rows (without the header).
+ * @param {Array<Object|null>} mapping - Column mapping.
+ * @param {Object} [options]
+ * @param {Object} [options.ranges] - Validation ranges (see readBatchRow).
+ * @param {Object} [options.defaults] - Default sample type and patient category.
+ * @param {Object} [options.profile] - Reference profile for the analyzer.
+ * @param {Function} [options.onProgress] - Called with (rowsDone, rowCount) between chunks.
+ * @param {AbortSignal} [options.signal] - Stops the batch; the rows analyzed so far are returned.
+ * @returns {Promise<Array>} One entry per analyzed row: { row (1-based data row), values, errors, summary | null }.
+ *   A row the analyzer rejects gets the error { code: 'ANALYSIS_ERROR', error } with the result's error (see resultSchema.js).
+ */
+export async function analyzeBatch(rows, mapping, { ranges, defaults, profile, onProgress, signal } = {}) {
+    const analyzer = new ABGAnalyzer();
+    if (profile) analyzer.setReferenceProfile(profile);
+    const results = [];
+
+    for (let index = 0; index < rows.length; index++) {
+        if (index % CHUNK_SIZE === 0) {
+            onProgress?.(index, rows.length);
+            await new Promise(resolve => setTimeout(resolve, 0)); // Let the progress bar render
+            if (signal?.aborted) break;
+        }
+        const { values, errors } = readBatchRow(rows[index], mapping, { ranges, defaults });
+        let summary = null;
+        if (errors.length === 0) {
+            const result = analyzer.analyze(values);
+            if (result.error) errors.push({ code: 'ANALYSIS_ERROR', error: result.error });
+            else summary = summarizeResult(result);
+        }
+        results.push({ row: index + 1, values, errors, summary });
+    }
+    onProgress?.(results.length, rows.length);
+    return results;
+}
+
+/**
+ * Number of rows with each disorder (primary or additional), plus normal, undetermined and failed rows.
+ * @returns {Object} { disorders: { code: count }, normal, undetermined, errors }
+ */
+export function countBatchResults(results) {
+    const counts = { disorders: {}, normal: 0, undetermined: 0, errors: 0 };
+    results.forEach(({ summary }) => {
+        if (!summary) counts.errors++;
+        else if (summary.interpretationCode === 'NORMAL') counts.normal++;
+        else if (summary.interpretationCode !== 'DISORDER') counts.undetermined++;
+        summary?.disorders.forEach(code => {
+            counts.disorders[code] = (counts.disorders[code] || 0) + 1;
+        });
+    });
+    return counts;
+}
+
+// Columns appended to the exported table
+export const batchResultColumns = [
+    'abg_status', 'abg_interpretation_code', 'abg_primary_disorder', 'abg_additional_disorders', 'abg_compensation',
+    'abg_severity', 'abg_anion_gap', 'abg_critical_alerts', 'abg_interpretation', 'abg_errors'
+];
+
+/**
+ * The input table with the result columns appended (for CSV export).
+ * @param {string[]} headers
+ * @param {string[][]} rows - Data rows, in the order they were analyzed.
+ * @param {Array} results - analyzeBatch() result.
+ * @param {Function} renderError - Error object → text.
+ * @returns {Array<Array>} Header row followed by the data rows.
+ */
+export function enrichedTable(headers, rows, results, renderError) {
+    const body = results.map(({ row, errors, summary }) => [
+        ...headers.map((header, index) => rows[row - 1][index] ?? ''),
+        summary ? 'analyzed' : 'error',
+        summary?.interpretationCode ?? '',
+        summary?.disorders[0] ?? '',
+        summary?.disorders.slice(1).join(' | ') ?? '',
+        summary?.compensation ?? '',
+        summary?.severity ?? '',
+        summary?.anionGap ?? '',
+        summary?.criticalAlerts ?? '',
+        summary?.interpretation ?? '',
+        errors.map(renderError).join(' | ')
+    ]);
+    return [[...headers, ...batchResultColumns], ...body];
+}
+
+/**
+ * The batch as JSON records: the original cells by header, the canonical input values and the result summary.
+ */
+export function batchRecords(headers, rows, results, renderError) {
+    return results.map(({ row, values, errors, summary }) => ({
+        row,
+        input: Object.fromEntries(headers.map((header, index) => [header, rows[row - 1][index] ?? ''])),
+        values,
+        result: summary,
+        errors: errors.map(renderError)
+    }));
+}
@@ -0,0 +1,169 @@
+/**
+ * ABG Analyzer - Built-in Rules
+ * The default rule set run by ABGAnalyzer: the ATS steps, the final interpretation and the
+ * supplementary sections. Calculations live in the ABGAnalyzer step methods; each rule declares
+ * when it runs and where its result goes (see rulePipeline.js for the rule contract).
+ */
+
+import { generateDifferentials } from './differentialDiagnosis';
+import { assessSeverity } from './severity';
+import { buildAcidBaseMap } from './acidBaseMap';
+import { sampleTypes } from './sampleTypes';
+import { StepStatus, createStep } from './resultSchema';
+
+const anionGapOf = (state) => state.correctedAnionGap ?? state.anionGap; // Corrected AG when available
+const isMetabolicAcidosis = (state) => state.primaryDisorder === 'metabolic acidosis';
+
+export const builtinRules = [
+    {
+        id: 'internalConsistency',
+        label: 'Step 1: Internal consistency (Henderson-Hasselbalch)',
+        inputs: ['ph', 'paco2', 'hco3'],
+        output: 'steps',
+        run: ({ analyzer, values }) => analyzer.checkInternalConsistency(values.ph, values.paco2, values.hco3)
+    },
+    {
+        id: 'acidemiaAlkalemia',
+        label: 'Step 2: Acidemia or alkalemia',
+        inputs: ['ph'],
+        outputs: ['acidBaseStatus'],
+        output: 'steps',
+        run: ({ analyzer, values }) => analyzer.determineAcidemiaAlkalemia(values.ph)
+    },
+    {
+        id: 'primaryDisorder',
+        label: 'Step 3: Primary disorder',
+        inputs: ['ph', 'paco2', 'hco3'],
+        outputs: ['primaryDisorder'],
+        output: 'steps',
+        run: ({ analyzer, values }) => analyzer.identifyPrimaryDisorder(values.ph, values.paco2, values.hco3)
+    },
+    {
+        id: 'compensation',
+        label: 'Step 4: Compensation',
+        inputs: ['paco2', 'hco3'],
+        optionalInputs: ['paco2History'],
+        outputs: ['compensationType', 'expectedCompensationValue', 'compensationAssessment', 'additionalDisorders'],
+        output: 'steps',
+        // Fetal CO₂ is cleared by the placenta, so compensation is not assessed in cord samples
+        appliesTo: ({ isCordGas }) => !isCordGas,
+        fallback: () => createStep('step4', StepStatus.NOT_APPLICABLE, 'CORD_SAMPLE'),
+        run: ({ analyzer, values }) => analyzer.evaluateCompensation(values.paco2, values.hco3, values.paco2History)
+    },
+    {
+        id: 'anionGap',
+        label: 'Step 5: Anion gap',
+        inputs: ['na', 'cl', 'hco3'],
+        optionalInputs: ['albumin', 'lactate', 'bhb'],
+        outputs: ['anionGap', 'correctedAnionGap', 'additionalDisorders'],
+        output: 'steps',
+        fallback: () => createStep('step5', StepStatus.SKIPPED, 'ELECTROLYTES_MISSING'),
+        run: ({ analyzer, values }) => analyzer.calculateAnionGap(values.na, values.cl, values.hco3, values.albumin, { lactate: values.lactate, bhb: values.bhb })
+    },
+    {
+        id: 'deltaRatio',
+        label: 'Step 6: Delta ratio',
+        inputs: ['hco3'],
+        optionalInputs: ['lactate'],
+        outputs: ['deltaRatio', 'deltaRatioAssessment', 'lactateAdjustedDeltaRatio', 'additionalDisorders'],
+        output: 'steps',
+        // Only for a primary metabolic acidosis with an elevated anion gap
+        appliesTo: ({ state, profile }) => isMetabolicAcidosis(state) && anionGapOf(state) !== null && anionGapOf(state) > profile.ranges.anionGap[1],
+        fallback: ({ state }) => {
+            if (!isMetabolicAcidosis(state)) return createStep('step6', StepStatus.NOT_APPLICABLE, 'NOT_METABOLIC_ACIDOSIS');
+            if (anionGapOf(state) !== null) return createStep('step6', StepStatus.NOT_APPLICABLE, 'ANION_GAP_NOT_ELEVATED');
+            return createStep('step6', StepStatus.SKIPPED, 'ANION_GAP_UNAVAILABLE');
+        },
+        run: ({ analyzer, values, state }) => analyzer.evaluateDeltaRatio(anionGapOf(state), values.hco3, undefined, values.lactate)
+    },
+    {
+        id: 'secondaryWorkup',
+        label: 'Step 7: Secondary workup (osmolar and urine gaps)',
+        optionalInputs: ['sosm', 'na', 'glucose', 'bun', 'ethanol', 'una', 'uk', 'ucl', 'uosm', 'uun'],
+        outputs: ['osmolarGap', 'urineAnionGap', 'urineOsmolalGap'],
+        output: 'steps',
+        run: ({ analyzer, values }) => analyzer.evaluateSecondaryWorkup(values)
+    },
+    {
+        id: 'interpretation',
+        label: 'Final interpretation',
+        output: 'interpretation',
+        run: ({ analyzer }) => analyzer.buildInterpretation()
+    },
+    {
+        id: 'severity',
+        label: 'Severity grading and critical values',
+        optionalInputs: ['ph', 'paco2', 'hco3', 'pao2', 'k', 'na', 'ca', 'glucose', 'lactate'],
+        output: 'severity',
+        // Perinatal acidosis is graded by the cord gas assessment against cord criteria
+        appliesTo: ({ isCordGas }) => !isCordGas,
+        run: ({ results, values, measuredValues, ranges, sampleType, profile }) => assessSeverity(results.interpretation, values, measuredValues, { ranges, sampleType, profile })
+    },
+    {
+        id: 'acidBaseMap',
+        label: 'Acid-base map',
+        inputs: ['ph', 'paco2', 'hco3'],
+        output: 'acidBaseMap',
+        // The bands are the step 4 compensation formulas, which do not apply to cord samples
+        appliesTo: ({ isCordGas }) => !isCordGas,
+        run: ({ analyzer, values, ranges }) => buildAcidBaseMap(values, { ranges, compensation: analyzer.compensation })
+    },
+    {
+        id: 'hyperglycemicCrisis',
+        label: 'DKA / HHS criteria',
+        optionalInputs: ['glucose', 'bhb', 'na'],
+        output: 'hyperglycemicCrisis',
+        run: ({ analyzer, values }) => analyzer.assessHyperglycemicCrisis(values)
+    },
+    {
+        id: 'stewart',
+        label: 'Stewart physicochemical analysis',
+        optionalInputs: ['na', 'cl', 'albumin', 'k', 'ca', 'mg', 'lactate', 'phosphate'],
+        output: 'stewart',
+        run: ({ analyzer, values }) => analyzer.performStewartAnalysis(values)
+    },
+    {
+        id: 'baseExcess',
+        label: 'Partitioned base excess',
+        optionalInputs: ['be', 'na', 'cl', 'albumin', 'lactate'],
+        output: 'baseExcess',
+        run: ({ analyzer, values }) => analyzer.partitionBaseExcess(values)
+    },
+    {
+        id: 'cordGas',
+        label: 'Umbilical cord gas assessment',
+        optionalInputs: ['uvph', 'uvpco2', 'uvhco3', 'uvbe', 'be'],
+        output: 'cordGas',
+        appliesTo: ({ isCordGas }) => isCordGas,
+        run: ({ analyzer, values }) => analyzer.assessCordGas(values)
+    },
+    {
+        id: 'oxygenation',
+        label: 'Oxygenation assessment',
+        optionalInputs: ['pao2', 'fio2', 'patm', 'rq', 'age'],
+        output: 'oxygenation',
+        appliesTo: ({ estimateArterial, sampleType }) => estimateArterial || sampleTypes[sampleType].oxygenationValid,
+        fallback: ({ isCordGas, sampleType }) => (isCordGas
+            ? { performed: false, reason: 'CORD_PO2' }
+            : { performed: false, reason: 'VENOUS_PO2', sampleType }),
+        run: ({ analyzer, values, category }) => {
+            const oxygenation = analyzer.assessOxygenation(values);
+            if (category.pediatric && oxygenation.performed) {
+                oxygenation.assumptions.push({ code: 'PEDIATRIC_ARDS' });
+            }
+            return oxygenation;
+        }
+    },
+    {
+        id: 'differentials',
+        label: 'Differential diagnosis',
+        optionalInputs: ['context', 'lactate', 'bhb', 'glucose', 'bun', 'k', 'ucl'],
+        output: 'differentials',
+        // Adult causes do not apply to cord samples
+        appliesTo: ({ isCordGas }) => !isCordGas,
+        run: ({ values, state, results, profile }) => generateDifferentials(state, values, {
+            oxygenation: results.oxygenation,
+            profile
+        })
+    }
+];
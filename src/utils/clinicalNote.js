@@ -0,0 +1,270 @@
+/**
+ * ABG Analyzer - Clinical Notes
+ * Renders an analysis as a plain-text progress note from user-editable templates. Templates use the
+ * smart-phrase conventions of common EHRs: @NAME@ placeholders are replaced with the analysis, *** marks a
+ * blank the clinician still has to fill in, and the output is plain ASCII where possible (subscripts, arrows
+ * and typographic quotes are spelled out) so it pastes cleanly into any note editor.
+ * Built-in templates come from the message catalogs; edited and custom templates are kept in localStorage.
+ */
+
+import {
+    getStepTitle, renderStep, renderInterpretation, severityLabel, disorderTitle, renderCriticalAlert, sampleLabel, patientLabel, qualityWarningTitle,
+    differentialCategoryLabel, causeName, renderOxygenationFinding, renderSectionReason
+} from './resultRenderer';
+import { unitDefinitions, fromCanonical, formatMeasurement } from './units';
+import { t, formatNumber, getLocale } from './i18n';
+
+const STORAGE_KEY = 'abg-note-templates';
+
+export const NOTE_TEMPLATE_FORMAT = 'abg-note-templates';
+export const NOTE_TEMPLATE_VERSION = 1;
+
+// Blank left for the clinician (EHR wildcard)
+export const NOTE_BLANK = '***';
+
+export const builtinNoteTemplates = ['soap', 'oneLiner', 'icuConsult'];
+
+// Input values available as @FIELD@ placeholders, in report order. `unit` is used for fields without unit conversion.
+const noteFields = {
+    ph: { label: 'pH', decimals: 2 },
+    paco2: { label: 'PaCO₂' },
+    hco3: { label: 'HCO₃⁻', unit: 'mmol/L' },
+    pao2: { label: 'PaO₂' },
+    na: { label: 'Na⁺', unit: 'mmol/L' },
+    cl: { label: 'Cl⁻', unit: 'mmol/L' },
+    be: { message: 'print.rows.baseExcess', unit: 'mmol/L' },
+    sao2: { label: 'SaO₂', unit: '%' },
+    k: { label: 'K⁺', unit: 'mmol/L' },
+    albumin: { message: 'print.rows.albumin' },
+    lactate: { message: 'print.rows.lactate' },
+    bhb: { message: 'print.rows.bhb' },
+    ca: { message: 'print.rows.ca' },
+    mg: { message: 'print.rows.mg' },
+    phosphate: { message: 'print.rows.phosphate' },
+    spo2: { label: 'SpO₂', unit: '%' },
+    fio2: { label: 'FiO₂', unit: '%' },
+    patm: { message: 'print.rows.patm' },
+    age: { message: 'print.rows.age', unitMessage: 'print.rows.ageUnit' },
+    temperature: { message: 'print.rows.temperature', unit: '°C' },
+    rq: { message: 'print.rows.rq' },
+    sosm: { message: 'print.rows.sosm', unit: 'mOsm/kg' },
+    glucose: { message: 'print.rows.glucose' },
+    bun: { message: 'print.rows.bun' },
+    ethanol: { message: 'print.rows.ethanol' },
+    una: { message: 'print.rows.una', unit: 'mmol/L' },
+    uk: { message: 'print.rows.uk', unit: 'mmol/L' },
+    ucl: { message: 'print.rows.ucl', unit: 'mmol/L' },
+    uosm: { message: 'print.rows.uosm', unit: 'mOsm/kg' },
+    uun: { message: 'print.rows.uun' },
+    uvph: { message: 'print.rows.uvph', decimals: 2 },
+    uvpco2: { message: 'print.rows.uvpco2' },
+    uvhco3: { message: 'print.rows.uvhco3', unit: 'mmol/L' },
+    uvbe: { message: 'print.rows.uvbe', unit: 'mmol/L' }
+};
+
+// Placeholders other than the input values, in the order of the reference list (notes.placeholders.* messages)
+export const notePlaceholders = ['DATE', 'SAMPLE', 'PATIENT', 'ABG', 'INPUTS', 'CRITICAL', 'QUALITY', 'STEPS', 'STEP1', 'COMPENSATION', 'ANIONGAP', 'INTERPRETATION', 'SEVERITY', 'DIFFERENTIALS', 'OXYGENATION'];
+
+export const noteFieldPlaceholders = Object.keys(noteFields).map(field => field.toUpperCase());
+
+// Characters EHR note editors often mangle, and their plain-text spelling
+const plainTextReplacements = {
+    '₀': '0', '₁': '1', '₂': '2', '₃': '3', '₄': '4', '²': '2', '³': '3', '⁺': '+', '⁻': '-',
+    '→': '->', '←': '<-', '↑': 'up', '↓': 'down', '≥': '>=', '≤': '<=', '≈': '~', '±': '+/-', '×': 'x', '·': '.',
+    '–': '-', '—': '-', '−': '-', '•': '-', '…': '...', '‘': "'", '’': "'", '“': '"', '”': '"', '«': '"', '»': '"',
+    'β': 'beta', 'Δ': 'delta', 'µ': 'u', '✓': 'yes', '✗': 'no', '⚠': '!', '\u00a0': ' ', '\u202f': ' '
+};
+const plainTextPattern = new RegExp(`[${Object.keys(plainTextReplacements).join('')}]`, 'g');
+
+/**
+ * Spell out symbols as plain text, trim trailing spaces and collapse runs of blank lines.
+ */
+export function toPlainText(text) {
+    return text
+        .replace(plainTextPattern, char => plainTextReplacements[char])
+        .replace(/[ \t]+$/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+const fieldLabel = (field) => (noteFields[field].message ? t(noteFields[field].message) : noteFields[field].label);
+
+const hasValue = (value) => typeof value === 'number' && !isNaN(value);
+
+// A canonical input value in the user's display unit, e.g. "4.27 kPa"
+function fieldValue(field, value, units) {
+    const { unit, unitMessage, decimals } = noteFields[field];
+    if (unitDefinitions[field]) return formatMeasurement(field, value, units[field]);
+    const displayUnit = unitMessage ? t(unitMessage) : unit;
+    return `${formatNumber(value, decimals)}${displayUnit ? ' ' + displayUnit : ''}`;
+}
+
+// The number alone, for the pH/PaCO₂/PaO₂/HCO₃⁻ shorthand
+function fieldNumber(field, value, units) {
+    if (!hasValue(value)) return NOTE_BLANK;
+    const unit = units[field];
+    const definition = unitDefinitions[field]?.[unit];
+    return definition ? formatNumber(fromCanonical(field, value, unit), definition.decimals) : formatNumber(value, noteFields[field].decimals);
+}
+
+const list = (items, separator = '; ') => (items.length > 0 ? items.join(separator) : t('notes.none'));
+
+/**
+ * Placeholder values of an analysis (name → text).
+ * @param {Object} results - Analyzer result.
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Sample time (now by default).
+ */
+export function notePlaceholderValues(results, { date = new Date() } = {}) {
+    const inputValues = results.inputValues || {};
+    const units = results.displayUnits || {};
+    const steps = results.steps || [];
+    const stepText = (id) => {
+        const step = steps.find(candidate => candidate.id === id);
+        return step ? renderStep(step, units) : NOTE_BLANK;
+    };
+
+    const values = {
+        DATE: new Intl.DateTimeFormat(getLocale(), { dateStyle: 'short', timeStyle: 'short' }).format(date),
+        SAMPLE: results.sampleInfo ? sampleLabel(results.sampleInfo) : NOTE_BLANK,
+        PATIENT: results.patientInfo ? patientLabel(results.patientInfo) : NOTE_BLANK,
+        ABG: ['ph', 'paco2', 'pao2', 'hco3'].map(field => fieldNumber(field, inputValues[field], units)).join('/'),
+        INPUTS: list(Object.keys(noteFields).filter(field => hasValue(inputValues[field])).map(field => `- ${fieldLabel(field)} ${fieldValue(field, inputValues[field], units)}`), '\n'),
+        CRITICAL: list((results.severity?.alerts || []).map(alert => renderCriticalAlert(alert, units))),
+        QUALITY: results.sampleQuality?.performed ? list(results.sampleQuality.warnings.map(qualityWarningTitle)) : NOTE_BLANK,
+        STEPS: steps.map(step => `${getStepTitle(step)}: ${renderStep(step, units)}`).join('\n') || NOTE_BLANK,
+        COMPENSATION: stepText('step4'),
+        ANIONGAP: stepText('step5'),
+        INTERPRETATION: results.interpretation ? renderInterpretation(results.interpretation) : NOTE_BLANK,
+        SEVERITY: list((results.severity?.disorders || []).map(disorder => `${disorderTitle(disorder.code)}: ${severityLabel(disorder.severity)}`)),
+        DIFFERENTIALS: list((results.differentials || []).map(category => `- ${differentialCategoryLabel(category)}: ${category.causes.map(causeName).join('; ')}`), '\n'),
+        OXYGENATION: results.oxygenation?.performed
+            ? results.oxygenation.findings.map(finding => renderOxygenationFinding(finding, units)).join(' ')
+            : (results.oxygenation?.reason ? renderSectionReason(results.oxygenation) : NOTE_BLANK)
+    };
+    steps.forEach(step => {
+        if (/^step\d+$/.test(step.id)) values[step.id.toUpperCase()] = renderStep(step, units);
+    });
+    Object.keys(noteFields).forEach(field => {
+        values[field.toUpperCase()] = hasValue(inputValues[field]) ? fieldValue(field, inputValues[field], units) : NOTE_BLANK;
+    });
+    return values;
+}
+
+/**
+ * Fill a note template with an analysis. Unknown placeholders are left as typed so mistakes show up in the note.
+ * @param {string} text - Template text with @NAME@ placeholders.
+ * @param {Object} results - Analyzer result.
+ * @param {Object} [options] - See notePlaceholderValues().
+ * @returns {string} Plain-text note.
+ */
+export function renderNote(text, results, options) {
+    const values = notePlaceholderValues(results, options);
+    return toPlainText(text.replace(/@([A-Z0-9]+)@/g, (match, name) => values[name] ?? match));
+}
+
+/**
+ * Validate a note template. Returns a list of problems as { code } (notes.problems.* messages; empty when valid).
+ */
+export function validateNoteTemplate(template) {
+    if (!template || typeof template !== 'object' || Array.isArray(template)) return [{ code: 'NOT_OBJECT' }];
+    const problems = [];
+    if (!template.id || typeof template.id !== 'string') problems.push({ code: 'ID_REQUIRED' });
+    if (typeof template.name !== 'string' || !template.name.trim()) problems.push({ code: 'NAME_REQUIRED' });
+    if (typeof template.text !== 'string') problems.push({ code: 'TEXT_REQUIRED' });
+    return problems;
+}
+
+/**
+ * Load the saved templates: edits of built-in templates (same id) and custom templates.
+ */
+export function loadNoteTemplates() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(template => validateNoteTemplate(template).length === 0) : [];
+    } catch (error) {
+        console.error("Could not read saved note templates:", error);
+        return [];
+    }
+}
+
+export function saveNoteTemplates(templates) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(templates));
+}
+
+/**
+ * All templates for selection: the built-in ones (localized, or as edited) followed by the custom ones.
+ * @param {Array<Object>} saved - From loadNoteTemplates().
+ * @returns {Array<Object>} { id, name, text, builtin, modified }
+ */
+export function listNoteTemplates(saved = []) {
+    const builtin = builtinNoteTemplates.map(id => {
+        const edited = saved.find(template => template.id === id);
+        return {
+            id,
+            name: edited?.name ?? t(`notes.builtin.${id}.name`),
+            text: edited?.text ?? t(`notes.builtin.${id}.text`),
+            builtin: true,
+            modified: Boolean(edited)
+        };
+    });
+    const custom = saved.filter(template => !builtinNoteTemplates.includes(template.id)).map(template => ({ ...template, builtin: false, modified: false }));
+    return [...builtin, ...custom];
+}
+
+/**
+ * Serialize templates for export.
+ */
+export function exportNoteTemplates(templates) {
+    return JSON.stringify({
+        format: NOTE_TEMPLATE_FORMAT,
+        version: NOTE_TEMPLATE_VERSION,
+        templates: templates.map(({ id, name, text }) => ({ id, name, text }))
+    }, null, 2);
+}
+
+// Import error with a notes.errors.* code and its parameters
+const importError = (code, params = {}) => Object.assign(new Error(code), { code, params });
+
+/**
+ * Parse and validate exported note templates (a file from exportNoteTemplates(), a list or a single template).
+ * Templates without an id get a new one.
+ * @throws {Error} When the JSON is malformed or a template is invalid; the error carries a notes.errors.* `code`
+ *   and its parameters (see renderNoteTemplateError()).
+ */
+export function parseNoteTemplatesJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw importError('INVALID_JSON', { message: error.message });
+    }
+    if (data?.format !== undefined && data.format !== NOTE_TEMPLATE_FORMAT) {
+        throw importError('UNKNOWN_FORMAT', { format: data.format });
+    }
+    if (data?.version > NOTE_TEMPLATE_VERSION) {
+        throw importError('UNSUPPORTED_VERSION', { version: data.version });
+    }
+    const entries = Array.isArray(data) ? data : Array.isArray(data?.templates) ? data.templates : [data];
+    if (entries.length === 0) throw importError('EMPTY');
+    const templates = entries.map((template, index) => (template && typeof template === 'object' && template.id === undefined
+        ? { ...template, id: `note-${Date.now()}-${index}` }
+        : template));
+    const problems = templates.flatMap((template, index) => validateNoteTemplate(template).map(problem => ({ ...problem, index: index + 1 })));
+    if (problems.length > 0) {
+        throw importError('INVALID_TEMPLATES', { problems });
+    }
+    return templates.map(({ id, name, text: templateText }) => ({ id, name: name.trim(), text: templateText }));
+}
+
+/**
+ * Localized message of a parseNoteTemplatesJson() error; other errors keep their message.
+ */
+export function renderNoteTemplateError(error) {
+    if (!error.code) return error.message;
+    const { problems = [], ...params } = error.params;
+    return t(`notes.errors.${error.code}`, {
+        ...params,
+        problems: problems.map(problem => t('notes.errors.problem', { index: formatNumber(problem.index), problem: t(`notes.problems.${problem.code}`) })).join(' ')
+    });
+}
@@ -0,0 +1,282 @@
+/**
+ * ABG Analyzer - Differential Diagnosis Engine
+ * Maps each detected acid-base disorder to a curated list of causes and ranks them
+ * by the supporting data available (lactate, osmolar gap, urine chloride, clinical context).
+ */
+
+import { defaultProfile } from './referenceProfiles';
+
+// Clinical context flags that can be ticked on the input form
+export const clinicalContextFlags = {
+    sepsis: 'Sepsis / shock',
+    diabetes: 'Diabetes mellitus',
+    alcohol: 'Alcohol use disorder',
+    ingestion: 'Suspected toxic ingestion',
+    renalFailure: 'Kidney disease',
+    diarrhea: 'Diarrhea / GI losses',
+    vomiting: 'Vomiting / NG suction',
+    diuretics: 'Diuretic use',
+    ivFluids: 'Large-volume saline',
+    sedatives: 'Opioids / sedatives',
+    copd: 'COPD / chronic lung disease',
+    ventilated: 'Mechanically ventilated',
+    pregnancy: 'Pregnancy',
+    liverDisease: 'Liver disease'
+};
+
+const has = (value) => value !== undefined && value !== null && !isNaN(value);
+
+// Each cause has a base (prior) score plus weighted supporting findings.
+// `when` receives the analysis data; `evidence` returns the supporting value as { code, ...values } (rendered by resultRenderer.js).
+const causeCatalog = {
+    hagma: [
+        { key: 'lacticAcidosis', base: 3, support: [
+            { when: d => has(d.lactate) && d.lactate > 4, weight: 4, evidence: d => ({ code: 'LACTATE_ABOVE', lactate: d.lactate, limit: 4 }) },
+            { when: d => has(d.lactate) && d.lactate > 2 && d.lactate <= 4, weight: 2, evidence: d => ({ code: 'LACTATE_ABOVE', lactate: d.lactate, limit: 2 }) },
+            { when: d => d.context.has('sepsis'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'sepsis' }) }
+        ] },
+        { key: 'diabeticKetoacidosis', base: 2, support: [
+            { when: d => has(d.glucose) && d.glucose > 250, weight: 3, evidence: d => ({ code: 'GLUCOSE_ABOVE', glucose: d.glucose, limit: 250 }) },
+            { when: d => has(d.bhb) && d.bhb >= d.profile.thresholds.ketoacidosisBhb, weight: 3, evidence: d => ({ code: 'KETOSIS', bhb: d.bhb, limit: d.profile.thresholds.ketoacidosisBhb }) },
+            { when: d => d.context.has('diabetes'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'diabetes' }) }
+        ] },
+        { key: 'alcoholicKetoacidosis', base: 1, support: [
+            { when: d => d.context.has('alcohol'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'alcohol' }) },
+            { when: d => has(d.glucose) && d.glucose < 150, weight: 1, evidence: d => ({ code: 'GLUCOSE_NOT_ELEVATED', glucose: d.glucose }) },
+            { when: d => has(d.bhb) && d.bhb >= d.profile.thresholds.ketoacidosisBhb && has(d.glucose) && d.glucose < d.profile.thresholds.dkaGlucose, weight: 2, evidence: d => ({ code: 'KETOSIS_WITHOUT_HYPERGLYCEMIA', bhb: d.bhb }) }
+        ] },
+        { key: 'toxicAlcohol', base: 1, support: [
+            { when: d => has(d.state.osmolarGap) && d.state.osmolarGap > d.profile.thresholds.osmolarGap, weight: 4, evidence: d => ({ code: 'OSMOLAR_GAP_ELEVATED', gap: d.state.osmolarGap, limit: d.profile.thresholds.osmolarGap }) },
+            { when: d => d.context.has('ingestion'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'ingestion' }) }
+        ] },
+        { key: 'uremia', base: 1, support: [
+            { when: d => has(d.bun) && d.bun > 60, weight: 3, evidence: d => ({ code: 'BUN_ABOVE', bun: d.bun, limit: 60 }) },
+            { when: d => d.context.has('renalFailure'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'renalFailure' }) }
+        ] },
+        { key: 'salicylate', base: 1, support: [
+            { when: d => d.disorders.includes('respiratory alkalosis'), weight: 2, evidence: () => ({ code: 'CONCURRENT_RESPIRATORY_ALKALOSIS' }) },
+            { when: d => d.context.has('ingestion'), weight: 1, evidence: () => ({ code: 'CONTEXT', flag: 'ingestion' }) }
+        ] },
+        { key: 'otherHagma', base: 0.5, support: [] }
+    ],
+    nagma: [
+        { key: 'giBicarbonateLoss', base: 2, support: [
+            { when: d => has(d.state.urineAnionGap) && d.state.urineAnionGap < 0, weight: 3, evidence: d => ({ code: 'URINE_ANION_GAP_NEGATIVE', gap: d.state.urineAnionGap }) },
+            { when: d => has(d.state.urineOsmolalGap) && d.state.urineOsmolalGap >= 100, weight: 2, evidence: d => ({ code: 'URINE_OSMOLAL_GAP_HIGH', gap: d.state.urineOsmolalGap, limit: 100 }) },
+            { when: d => d.context.has('diarrhea'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'diarrhea' }) }
+        ] },
+        { key: 'saline', base: 1.5, support: [
+            { when: d => d.context.has('ivFluids'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'ivFluids' }) },
+            { when: d => has(d.cl) && d.cl > 110, weight: 1, evidence: d => ({ code: 'CHLORIDE_ABOVE', cl: d.cl, limit: 110 }) }
+        ] },
+        { key: 'distalRta', base: 1, support: [
+            { when: d => has(d.state.urineAnionGap) && d.state.urineAnionGap > 0, weight: 2, evidence: d => ({ code: 'URINE_ANION_GAP_POSITIVE', gap: d.state.urineAnionGap }) },
+            { when: d => has(d.state.urineOsmolalGap) && d.state.urineOsmolalGap < 40, weight: 1, evidence: d => ({ code: 'URINE_OSMOLAL_GAP_LOW', gap: d.state.urineOsmolalGap, limit: 40 }) },
+            { when: d => has(d.k) && d.k < 3.5, weight: 1, evidence: d => ({ code: 'POTASSIUM_LOW', k: d.k }) }
+        ] },
+        { key: 'type4Rta', base: 1, support: [
+            { when: d => has(d.state.urineAnionGap) && d.state.urineAnionGap > 0, weight: 2, evidence: d => ({ code: 'URINE_ANION_GAP_POSITIVE', gap: d.state.urineAnionGap }) },
+            { when: d => has(d.k) && d.k > 5.0, weight: 2, evidence: d => ({ code: 'POTASSIUM_HIGH', k: d.k }) },
+            { when: d => d.context.has('diabetes'), weight: 1, evidence: () => ({ code: 'CONTEXT', flag: 'diabetes' }) }
+        ] },
+        { key: 'proximalRta', base: 0.5, support: [
+            { when: d => has(d.k) && d.k < 3.5, weight: 1, evidence: d => ({ code: 'POTASSIUM_LOW', k: d.k }) }
+        ] },
+        { key: 'earlyKidneyDisease', base: 0.5, support: [
+            { when: d => has(d.bun) && d.bun > 40, weight: 2, evidence: d => ({ code: 'BUN_ABOVE', bun: d.bun, limit: 40 }) },
+            { when: d => d.context.has('renalFailure'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'renalFailure' }) }
+        ] }
+    ],
+    metAlkChlorideResponsive: [
+        { key: 'vomiting', base: 2, support: [
+            { when: d => has(d.ucl) && d.ucl < 20, weight: 3, evidence: d => ({ code: 'URINE_CHLORIDE_BELOW', ucl: d.ucl, limit: 20 }) },
+            { when: d => d.context.has('vomiting'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'vomiting' }) }
+        ] },
+        { key: 'remoteDiuretics', base: 1, support: [
+            { when: d => has(d.ucl) && d.ucl < 20, weight: 1, evidence: d => ({ code: 'URINE_CHLORIDE_BELOW', ucl: d.ucl, limit: 20 }) },
+            { when: d => d.context.has('diuretics'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'diuretics' }) }
+        ] },
+        { key: 'contractionAlkalosis', base: 1, support: [
+            { when: d => has(d.ucl) && d.ucl < 20, weight: 1, evidence: d => ({ code: 'URINE_CHLORIDE_BELOW', ucl: d.ucl, limit: 20 }) }
+        ] },
+        { key: 'postHypercapnic', base: 0.5, support: [
+            { when: d => d.disorders.includes('respiratory acidosis'), weight: 2, evidence: d => ({ code: 'CONCURRENT_RESPIRATORY_ACIDOSIS', paco2: d.paco2 }) },
+            { when: d => d.context.has('ventilated'), weight: 1, evidence: () => ({ code: 'CONTEXT', flag: 'ventilated' }) }
+        ] }
+    ],
+    metAlkChlorideResistant: [
+        { key: 'activeDiuretics', base: 1.5, support: [
+            { when: d => has(d.ucl) && d.ucl > 20, weight: 2, evidence: d => ({ code: 'URINE_CHLORIDE_ABOVE', ucl: d.ucl, limit: 20 }) },
+            { when: d => d.context.has('diuretics'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'diuretics' }) }
+        ] },
+        { key: 'mineralocorticoidExcess', base: 1, support: [
+            { when: d => has(d.ucl) && d.ucl > 20, weight: 1, evidence: d => ({ code: 'URINE_CHLORIDE_ABOVE', ucl: d.ucl, limit: 20 }) },
+            { when: d => has(d.k) && d.k < 3.5, weight: 2, evidence: d => ({ code: 'POTASSIUM_LOW', k: d.k }) }
+        ] },
+        { key: 'severeHypokalemia', base: 0.5, support: [
+            { when: d => has(d.k) && d.k < 2.5, weight: 3, evidence: d => ({ code: 'POTASSIUM_BELOW', k: d.k, limit: 2.5 }) }
+        ] },
+        { key: 'bartterGitelman', base: 0.5, support: [
+            { when: d => has(d.ucl) && d.ucl > 20, weight: 1, evidence: d => ({ code: 'URINE_CHLORIDE_ABOVE', ucl: d.ucl, limit: 20 }) },
+            { when: d => has(d.k) && d.k < 3.5, weight: 1, evidence: d => ({ code: 'POTASSIUM_LOW', k: d.k }) }
+        ] },
+        { key: 'alkaliLoad', base: 0.5, support: [
+            { when: d => d.context.has('renalFailure'), weight: 1, evidence: () => ({ code: 'IMPAIRED_BICARBONATE_EXCRETION' }) }
+        ] }
+    ],
+    respAcidAcute: [
+        { key: 'cnsDepression', base: 2, support: [
+            { when: d => d.context.has('sedatives'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'sedatives' }) },
+            { when: d => d.oxygenation?.performed && !d.oxygenation.aaGradientElevated, weight: 1, evidence: () => ({ code: 'PURE_HYPOVENTILATION' }) }
+        ] },
+        { key: 'airwayObstruction', base: 2, support: [
+            { when: d => d.context.has('copd'), weight: 2, evidence: () => ({ code: 'CONTEXT', flag: 'copd' }) }
+        ] },
+        { key: 'pneumoniaEdema', base: 1, support: [
+            { when: d => d.oxygenation?.aaGradientElevated, weight: 2, evidence: d => ({ code: 'AA_GRADIENT_ELEVATED', aaGradient: d.oxygenation.aaGradient }) }
+        ] },
+        { key: 'acuteNeuromuscular', base: 1, support: [
+            { when: d => d.oxygenation?.performed && !d.oxygenation.aaGradientElevated, weight: 1, evidence: () => ({ code: 'PURE_HYPOVENTILATION' }) }
+        ] },
+        { key: 'inadequateVentilation', base: 0.5, support: [
+            { when: d => d.context.has('ventilated'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'ventilated' }) }
+        ] }
+    ],
+    respAcidChronic: [
+        { key: 'copd', base: 3, support: [
+            { when: d => d.context.has('copd'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'copd' }) }
+        ] },
+        { key: 'obesityHypoventilation', base: 1.5, support: [
+            { when: d => d.oxygenation?.performed && !d.oxygenation.aaGradientElevated, weight: 1, evidence: () => ({ code: 'PURE_HYPOVENTILATION' }) }
+        ] },
+        { key: 'chronicNeuromuscular', base: 1, support: [
+            { when: d => d.oxygenation?.performed && !d.oxygenation.aaGradientElevated, weight: 1, evidence: () => ({ code: 'PURE_HYPOVENTILATION' }) }
+        ] }
+    ],
+    respAlkAcute: [
+        { key: 'hypoxemia', base: 2, support: [
+            { when: d => d.oxygenation?.aaGradientElevated, weight: 3, evidence: d => ({ code: 'AA_GRADIENT_ELEVATED', aaGradient: d.oxygenation.aaGradient }) },
+            { when: d => has(d.pao2) && d.pao2 < 60, weight: 2, evidence: d => ({ code: 'PAO2_BELOW', pao2: d.pao2, limit: 60 }) }
+        ] },
+        { key: 'painAnxiety', base: 2, support: [
+            { when: d => d.oxygenation?.performed && !d.oxygenation.aaGradientElevated, weight: 1, evidence: () => ({ code: 'NORMAL_AA_GRADIENT' }) }
+        ] },
+        { key: 'sepsis', base: 1.5, support: [
+            { when: d => d.context.has('sepsis'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'sepsis' }) },
+            { when: d => has(d.lactate) && d.lactate > 2, weight: 1, evidence: d => ({ code: 'LACTATE_ABOVE', lactate: d.lactate, limit: 2 }) }
+        ] },
+        { key: 'salicylate', base: 0.5, support: [
+            { when: d => d.disorders.includes('metabolic acidosis') || d.disorders.includes('high anion gap metabolic acidosis'), weight: 2, evidence: () => ({ code: 'CONCURRENT_METABOLIC_ACIDOSIS' }) },
+            { when: d => d.context.has('ingestion'), weight: 1, evidence: () => ({ code: 'CONTEXT', flag: 'ingestion' }) }
+        ] },
+        { key: 'excessiveVentilation', base: 0.5, support: [
+            { when: d => d.context.has('ventilated'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'ventilated' }) }
+        ] }
+    ],
+    respAlkChronic: [
+        { key: 'pregnancy', base: 1, support: [
+            { when: d => d.context.has('pregnancy'), weight: 4, evidence: () => ({ code: 'CONTEXT', flag: 'pregnancy' }) }
+        ] },
+        { key: 'liverDisease', base: 1, support: [
+            { when: d => d.context.has('liverDisease'), weight: 3, evidence: () => ({ code: 'CONTEXT', flag: 'liverDisease' }) }
+        ] },
+        { key: 'highAltitude', base: 1, support: [
+            { when: d => has(d.patm) && d.patm < 700, weight: 3, evidence: d => ({ code: 'LOW_BAROMETRIC_PRESSURE', patm: d.patm }) }
+        ] },
+        { key: 'chronicHypoxemia', base: 1, support: [
+            { when: d => d.oxygenation?.aaGradientElevated, weight: 2, evidence: d => ({ code: 'AA_GRADIENT_ELEVATED', aaGradient: d.oxygenation.aaGradient }) }
+        ] },
+        { key: 'cnsDisease', base: 0.5, support: [] }
+    ]
+};
+
+/**
+ * Translate the detected disorders into differential categories.
+ * Primary respiratory disorders use the acute/chronic call from step 4; superimposed ones list both.
+ * Metabolic alkalosis is split on urine Cl⁻ (< 20 responsive, > 20 resistant) when available.
+ */
+const resolveCategories = (state, values, profile) => {
+    const categories = [];
+    const add = (key, note) => {
+        if (!categories.some(c => c.key === key)) categories.push({ key, note });
+    };
+    const ag = state.correctedAnionGap ?? state.anionGap;
+    const disorders = [state.primaryDisorder, ...state.additionalDisorders].filter(Boolean);
+
+    disorders.forEach((disorder, index) => {
+        const isPrimary = index === 0;
+        switch (disorder) {
+            case 'metabolic acidosis':
+                if (ag === null) {
+                    add('hagma', { code: 'ANION_GAP_UNAVAILABLE' });
+                    add('nagma', { code: 'ANION_GAP_UNAVAILABLE' });
+                } else {
+                    add(ag > profile.ranges.anionGap[1] ? 'hagma' : 'nagma');
+                }
+                break;
+            case 'high anion gap metabolic acidosis':
+                add('hagma');
+                break;
+            case 'normal anion gap metabolic acidosis':
+                add('nagma');
+                break;
+            case 'metabolic alkalosis':
+                if (values.ucl === undefined || isNaN(values.ucl)) {
+                    add('metAlkChlorideResponsive', { code: 'URINE_CHLORIDE_MISSING' });
+                    add('metAlkChlorideResistant', { code: 'URINE_CHLORIDE_MISSING' });
+                } else {
+                    add(values.ucl < 20 ? 'metAlkChlorideResponsive' : 'metAlkChlorideResistant', { code: 'URINE_CHLORIDE', ucl: values.ucl });
+                }
+                break;
+            case 'respiratory acidosis':
+            case 'respiratory alkalosis': {
+                const prefix = disorder === 'respiratory acidosis' ? 'respAcid' : 'respAlk';
+                if (isPrimary && state.compensationType) {
+                    const acute = state.compensationType === 'acute';
+                    add(`${prefix}${acute ? 'Acute' : 'Chronic'}`, { code: acute ? 'CLASSIFIED_ACUTE' : 'CLASSIFIED_CHRONIC' });
+                } else {
+                    add(`${prefix}Acute`, { code: 'CHRONICITY_UNDETERMINED' });
+                    add(`${prefix}Chronic`, { code: 'CHRONICITY_UNDETERMINED' });
+                }
+                break;
+            }
+            default:
+                break; // Mixed / compensated / normal labels have no specific differential
+        }
+    });
+    return categories;
+};
+
+/**
+ * Generate ranked differential diagnoses for each detected disorder.
+ * @param {Object} state - Analyzer state after the six (seven) steps.
+ * @param {Object} values - Input values, including the optional `context` array of clinical flags.
+ * @param {Object} [options]
+ * @param {Object} [options.oxygenation] - Oxygenation assessment results, if available.
+ * @param {Object} [options.profile] - Reference range profile supplying the AG and osmolar gap limits.
+ * @returns {Array} [{ key, note: { code, ...values } | null, causes: [{ key, score, evidence: [{ code, ...values }] }] }]
+ */
+export function generateDifferentials(state, values, { oxygenation, profile = defaultProfile } = {}) {
+    const data = {
+        ...values,
+        state,
+        oxygenation,
+        profile,
+        context: new Set(values.context || []),
+        disorders: [state.primaryDisorder, ...state.additionalDisorders].filter(Boolean)
+    };
+
+    return resolveCategories(state, values, profile).map(({ key, note }) => {
+        const causes = causeCatalog[key].map(cause => {
+            const matched = cause.support.filter(rule => rule.when(data));
+            return {
+                key: cause.key,
+                score: matched.reduce((sum, rule) => sum + rule.weight, cause.base),
+                evidence: matched.map(rule => rule.evidence(data))
+            };
+        });
+        // Stable sort keeps catalog order (clinical prevalence) for equal scores
+        causes.sort((a, b) => b.score - a.score);
+        return { key, note: note || null, causes };
+    });
+}
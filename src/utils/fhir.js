@@ -0,0 +1,129 @@
+/**
+ * ABG Analyzer - FHIR R4 Export
+ * Builds a transaction Bundle of an analysis for EHR ingestion: one Observation per input value (LOINC code,
+ * UCUM unit, canonical units) and a DiagnosticReport referencing them, with the interpretation as its
+ * conclusion and a coded conclusion for each detected disorder. The bundle can be downloaded or POSTed
+ * to a FHIR server base URL.
+ */
+
+import { renderInterpretation, disorderTitle } from './resultRenderer';
+import { sampleTypes } from './sampleTypes';
+import { interpretationDisorders } from './resultSchema';
+import { observationCode, panelCodes, specimenOfSampleType } from './loinc';
+
+const ENDPOINT_KEY = 'abg-fhir-endpoint';
+
+const LOINC = 'http://loinc.org';
+const UCUM = 'http://unitsofmeasure.org';
+const SNOMED = 'http://snomed.info/sct';
+export const DISORDER_SYSTEM = 'urn:abg-analyzer:acid-base-disorder'; // Local code system: DisorderCode values (resultSchema.js)
+
+// UCUM code and display unit of each canonical unit
+const ucumUnits = {
+    pH: { code: '[pH]', unit: 'pH' },
+    mmHg: { code: 'mm[Hg]', unit: 'mmHg' },
+    'mmol/L': { code: 'mmol/L', unit: 'mmol/L' },
+    'g/dL': { code: 'g/dL', unit: 'g/dL' },
+    'mg/dL': { code: 'mg/dL', unit: 'mg/dL' },
+    '%': { code: '%', unit: '%' },
+    'mOsm/kg': { code: 'mosm/kg', unit: 'mOsm/kg' },
+    '°C': { code: 'Cel', unit: '°C' }
+};
+
+// SNOMED CT codings for the disorders with an exact concept; every disorder also carries its local code
+const snomedDisorders = {
+    METABOLIC_ACIDOSIS: ['59455009', 'Metabolic acidosis'],
+    METABOLIC_ALKALOSIS: ['1388004', 'Metabolic alkalosis'],
+    RESPIRATORY_ACIDOSIS: ['12326000', 'Respiratory acidosis']
+};
+
+const has = (value) => typeof value === 'number' && !isNaN(value);
+const round = (value) => Math.round(value * 10000) / 10000;
+const newId = () => `urn:uuid:${crypto.randomUUID()}`;
+
+const codeableConcept = (system, code, display) => ({ coding: [{ system, code, display }], text: display });
+
+function disorderConcept(code) {
+    const coding = [{ system: DISORDER_SYSTEM, code, display: disorderTitle(code) }];
+    if (snomedDisorders[code]) coding.push({ system: SNOMED, code: snomedDisorders[code][0], display: snomedDisorders[code][1] });
+    return { coding, text: disorderTitle(code) };
+}
+
+/**
+ * FHIR R4 transaction Bundle of an analysis.
+ * @param {Object} results - Analysis result with its inputValues (canonical units).
+ * @param {Object} [options]
+ * @param {string} [options.patientLabel] - Shown as the subject's display; no Patient resource is created.
+ * @param {string} [options.effectiveDateTime] - ISO time the sample was drawn.
+ * @returns {Object} Bundle with the Observations followed by the DiagnosticReport.
+ */
+export function buildFhirBundle(results, { patientLabel = '', effectiveDateTime } = {}) {
+    const inputValues = results.inputValues || {};
+    const sampleType = inputValues.sampleType || 'arterial';
+    const issued = new Date().toISOString();
+    const common = {
+        status: 'final',
+        ...(patientLabel ? { subject: { display: patientLabel } } : {}),
+        ...(effectiveDateTime ? { effectiveDateTime } : {}),
+        issued
+    };
+
+    const observations = Object.entries(inputValues)
+        .filter(([field, value]) => has(value) && observationCode(field, sampleType))
+        .map(([field, value]) => {
+            const { code, display, unit } = observationCode(field, sampleType);
+            return {
+                fullUrl: newId(),
+                resource: {
+                    resourceType: 'Observation',
+                    ...common,
+                    category: [codeableConcept('http://terminology.hl7.org/CodeSystem/observation-category', 'laboratory', 'Laboratory')],
+                    code: codeableConcept(LOINC, code, display),
+                    valueQuantity: { value: round(value), unit: ucumUnits[unit].unit, system: UCUM, code: ucumUnits[unit].code }
+                },
+                request: { method: 'POST', url: 'Observation' }
+            };
+        });
+
+    const panel = panelCodes[specimenOfSampleType[sampleType]];
+    const report = {
+        fullUrl: newId(),
+        resource: {
+            resourceType: 'DiagnosticReport',
+            ...common,
+            category: [codeableConcept('http://terminology.hl7.org/CodeSystem/v2-0074', 'BG', 'Blood Gases')],
+            code: panel ? codeableConcept(LOINC, panel[0], panel[1]) : { text: `Gas panel - ${sampleTypes[sampleType]?.label || sampleType}` },
+            result: observations.map(entry => ({ reference: entry.fullUrl })),
+            conclusion: renderInterpretation(results.interpretation),
+            conclusionCode: interpretationDisorders(results.interpretation).map(disorderConcept)
+        },
+        request: { method: 'POST', url: 'DiagnosticReport' }
+    };
+
+    return { resourceType: 'Bundle', type: 'transaction', timestamp: issued, entry: [...observations, report] };
+}
+
+export const loadFhirEndpoint = () => localStorage.getItem(ENDPOINT_KEY) || '';
+
+export function saveFhirEndpoint(endpoint) {
+    localStorage.setItem(ENDPOINT_KEY, endpoint);
+}
+
+/**
+ * POST a transaction Bundle to a FHIR server base URL.
+ * @returns {Promise<Object>} The transaction-response Bundle.
+ * Rejects with the OperationOutcome diagnostics (or HTTP status) when the server refuses the bundle.
+ */
+export async function sendFhirBundle(bundle, endpoint) {
+    const response = await fetch(endpoint.replace(/\/+$/, ''), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/fhir+json', Accept: 'application/fhir+json' },
+        body: JSON.stringify(bundle)
+    });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const diagnostics = body?.resourceType === 'OperationOutcome' ? body.issue?.map(issue => issue.diagnostics || issue.code).join('; ') : '';
+        throw new Error(`HTTP ${response.status}${diagnostics ? `: ${diagnostics}` : ''}`);
+    }
+    return body;
+}
@@ -0,0 +1,237 @@
+/**
+ * ABG Analyzer - Analysis History
+ * Every analysis is kept in the browser (IndexedDB): its canonical inputs, where they came from (manual entry,
+ * OCR of an image, a PDF page), the structured result and the time it was saved. Nothing leaves the device.
+ * With a passphrase set, entries are encrypted at rest (AES-GCM, key derived with PBKDF2); the key is held in
+ * memory only until the page is reloaded or the history is locked.
+ */
+
+import { interpretationDisorders, StepStatus } from './resultSchema';
+
+const DB_NAME = 'abg-history';
+const DB_VERSION = 1;
+const ENTRIES = 'analyses';
+const META = 'meta';
+const ENCRYPTION_META = 'encryption';
+
+export const HISTORY_SCHEMA_VERSION = 1;
+
+const PBKDF2_ITERATIONS = 310000;
+const CHECK_TEXT = 'abg-history'; // Encrypted with the key to tell a wrong passphrase apart
+
+let databasePromise = null;
+let sessionKey = null; // CryptoKey while the encrypted history is unlocked
+
+// --- IndexedDB ---
+
+const promisify = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+function openDatabase() {
+    if (!databasePromise) {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(ENTRIES)) db.createObjectStore(ENTRIES, { keyPath: 'id' });
+            if (!db.objectStoreNames.contains(META)) db.createObjectStore(META, { keyPath: 'id' });
+        };
+        databasePromise = promisify(request).catch(error => {
+            databasePromise = null;
+            throw error;
+        });
+    }
+    return databasePromise;
+}
+
+// Run requests against one store; resolves with the action's result once the transaction commits
+async function withStore(storeName, mode, action) {
+    const db = await openDatabase();
+    const transaction = db.transaction(storeName, mode);
+    const result = action(transaction.objectStore(storeName));
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+    });
+    return result instanceof IDBRequest ? result.result : result;
+}
+
+// --- Encryption ---
+
+// Built character by character: spreading a large ciphertext into fromCharCode exceeds the argument limit
+const toBase64 = (buffer) => btoa(Array.from(new Uint8Array(buffer), byte => String.fromCharCode(byte)).join(''));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+async function deriveKey(passphrase, salt) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+async function encrypt(key, value) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: toBase64(iv), data: toBase64(data) };
+}
+
+async function decrypt(key, { iv, data }) {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+}
+
+const getEncryptionMeta = () => withStore(META, 'readonly', store => store.get(ENCRYPTION_META));
+
+// Stored form of an entry: as is, or only its id and time in the clear
+const sealEntry = async (entry, key) => (key ? { id: entry.id, savedAt: entry.savedAt, encrypted: await encrypt(key, entry) } : entry);
+const openEntry = (record, key) => (record.encrypted ? decrypt(key, record.encrypted) : record);
+
+/**
+ * Whether the history is encrypted and, if so, unlocked in this session.
+ * @returns {Promise<Object>} { enabled, unlocked }
+ */
+export async function getEncryptionState() {
+    const meta = await getEncryptionMeta();
+    return { enabled: Boolean(meta), unlocked: !meta || Boolean(sessionKey) };
+}
+
+/**
+ * Unlock the encrypted history for this session.
+ * @returns {Promise<boolean>} false when the passphrase is wrong.
+ */
+export async function unlockHistory(passphrase) {
+    const meta = await getEncryptionMeta();
+    if (!meta) return true;
+    const key = await deriveKey(passphrase, fromBase64(meta.salt));
+    try {
+        if (await decrypt(key, meta.check) !== CHECK_TEXT) return false;
+    } catch {
+        return false; // AES-GCM authentication fails with the wrong key
+    }
+    sessionKey = key;
+    return true;
+}
+
+export function lockHistory() {
+    sessionKey = null;
+}
+
+// Rewrite every entry with a new key (null stores them unencrypted)
+async function rewriteEntries(fromKey, toKey) {
+    const records = await withStore(ENTRIES, 'readonly', store => store.getAll());
+    const entries = await Promise.all(records.map(record => openEntry(record, fromKey)));
+    const sealed = await Promise.all(entries.map(entry => sealEntry(entry, toKey)));
+    await withStore(ENTRIES, 'readwrite', store => sealed.forEach(record => store.put(record)));
+}
+
+/**
+ * Encrypt the history with a passphrase (or change the passphrase of an unlocked history).
+ * Existing entries are re-encrypted; the passphrase cannot be recovered.
+ */
+export async function setHistoryPassphrase(passphrase) {
+    if (!passphrase) throw new Error('A passphrase is required.');
+    const meta = await getEncryptionMeta();
+    if (meta && !sessionKey) throw new Error('Unlock the history first.');
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveKey(passphrase, salt);
+    const check = await encrypt(key, CHECK_TEXT);
+    await rewriteEntries(sessionKey, key);
+    await withStore(META, 'readwrite', store => store.put({ id: ENCRYPTION_META, salt: toBase64(salt), check }));
+    sessionKey = key;
+}
+
+/**
+ * Store the (unlocked) history unencrypted again.
+ */
+export async function removeHistoryPassphrase() {
+    const meta = await getEncryptionMeta();
+    if (!meta) return;
+    if (!sessionKey) throw new Error('Unlock the history first.');
+    await rewriteEntries(sessionKey, null);
+    await withStore(META, 'readwrite', store => store.delete(ENCRYPTION_META));
+    sessionKey = null;
+}
+
+// --- Entries ---
+
+/**
+ * History entry of an analysis.
+ * @param {Object} results - Analysis result with its inputValues (canonical units).
+ * @param {Object} options
+ * @param {Object} [options.source] - { type: 'manual' | 'ocr' | 'pdf' | 'hl7' | 'batch' | 'link', fileName?, page?, specimen?, row? }
+ * @param {string} [options.patientLabel] - Patient / encounter label.
+ * @param {string} [options.id] - Id of the entry to replace (re-analysis of the same inputs).
+ * @returns {Object} { schemaVersion, id, savedAt, source, patientLabel, inputValues, result, disorders }
+ */
+export function createHistoryEntry(results, { source = { type: 'manual' }, patientLabel = '', id } = {}) {
+    const { inputValues = {}, ...result } = results;
+    return {
+        schemaVersion: HISTORY_SCHEMA_VERSION,
+        id: id || `analysis-${crypto.randomUUID()}`, // Unique even for entries saved in the same millisecond (batch, HL7 specimens)
+        savedAt: new Date().toISOString(),
+        source,
+        patientLabel,
+        // Plain JSON, identical whether stored as is or encrypted
+        inputValues: JSON.parse(JSON.stringify(inputValues)),
+        result: JSON.parse(JSON.stringify(result)),
+        // Interpretation disorders plus the step subtypes (e.g. HAGMA / NAGMA from steps 5 and 6), as listed in the results view
+        disorders: [...new Set([
+            ...interpretationDisorders(result.interpretation),
+            ...(result.steps || []).filter(step => step.status === StepStatus.COMPLETED).flatMap(step => step.disorders || [])
+        ])]
+    };
+}
+
+/**
+ * Save (or replace) an entry, encrypted when a passphrase is set.
+ * @returns {Promise<boolean>} false when the encrypted history is locked and the entry was not saved.
+ */
+export async function saveHistoryEntry(entry) {
+    const meta = await getEncryptionMeta();
+    if (meta && !sessionKey) return false;
+    const record = await sealEntry(entry, meta ? sessionKey : null);
+    await withStore(ENTRIES, 'readwrite', store => store.put(record));
+    return true;
+}
+
+/**
+ * All entries, newest first. Rejects while the encrypted history is locked.
+ */
+export async function loadHistory() {
+    const records = await withStore(ENTRIES, 'readonly', store => store.getAll());
+    if (records.some(record => record.encrypted) && !sessionKey) throw new Error('The history is locked.');
+    const entries = await Promise.all(records.map(record => openEntry(record, sessionKey)));
+    return entries.sort((a, b) => new Date(b.savedAt) - new Date(a.savedAt));
+}
+
+export const deleteHistoryEntry = (id) => withStore(ENTRIES, 'readwrite', store => store.delete(id));
+
+export const clearHistory = () => withStore(ENTRIES, 'readwrite', store => store.clear());
+
+/**
+ * Filter entries for the history panel.
+ * @param {Array} entries - Decrypted entries (loadHistory).
+ * @param {Object} filters
+ * @param {string} [filters.query] - Text matched against the patient label and source file name.
+ * @param {string} [filters.disorder] - Disorder code the entry must include.
+ * @param {string} [filters.from] - First day (YYYY-MM-DD, local time).
+ * @param {string} [filters.to] - Last day (YYYY-MM-DD, local time), inclusive.
+ */
+export function filterHistory(entries, { query = '', disorder = '', from = '', to = '' } = {}) {
+    const text = query.trim().toLowerCase();
+    const start = from ? new Date(`${from}T00:00:00`).getTime() : -Infinity;
+    const end = to ? new Date(`${to}T23:59:59.999`).getTime() : Infinity;
+    return entries.filter(entry => {
+        const savedAt = new Date(entry.savedAt).getTime();
+        if (savedAt < start || savedAt > end) return false;
+        if (disorder && !entry.disorders.includes(disorder)) return false;
+        if (text && ![entry.patientLabel, entry.source?.fileName].some(field => field?.toLowerCase().includes(text))) return false;
+        return true;
+    });
+}
@@ -0,0 +1,213 @@
+/**
+ * ABG Analyzer - HL7 v2 Import
+ * Reads ORU^R01 result messages from a laboratory information system. OBX segments are grouped into
+ * specimens (a new specimen at every OBR, and at every further SPM), mapped to the analyzer's input fields by
+ * LOINC code or a configurable local code mapping, and kept in the unit reported in OBX-6.
+ */
+
+import { loincFields, cordVenousFields } from './loinc';
+import { getUnitOptions, parseUnitLabel, inferUnit } from './units';
+import { sampleTypes, sampleTypeFromText } from './sampleTypes';
+
+const MAPPING_KEY = 'abg-hl7-mapping';
+
+// Fields a local code can be mapped to, in input form order
+export const mappableFields = [
+    'ph', 'paco2', 'hco3', 'pao2', 'be', 'sao2', 'na', 'cl', 'k', 'albumin', 'ca', 'mg', 'phosphate',
+    'lactate', 'bhb', 'glucose', 'temperature', 'fio2', 'spo2', 'sosm', 'bun', 'ethanol',
+    'una', 'uk', 'ucl', 'uosm', 'uun', 'uvph', 'uvpco2', 'uvhco3', 'uvbe'
+];
+
+const isLoincSystem = (system) => !system || /^(LN|LOINC|http:\/\/loinc\.org)$/i.test(system);
+
+/**
+ * Load the local code mapping ({ code: field }).
+ */
+export function loadHl7Mapping() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(MAPPING_KEY) || '{}');
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch (error) {
+        console.error("Could not read the HL7 code mapping:", error);
+        return {};
+    }
+}
+
+export function saveHl7Mapping(mapping) {
+    localStorage.setItem(MAPPING_KEY, JSON.stringify(mapping));
+}
+
+/**
+ * Split a message into segments using the separators declared in MSH-1 and MSH-2.
+ * @returns {Object} { separators, segments: [{ type, fields }] } where fields[n] is field n of the segment
+ *   (MSH fields are numbered from MSH-1, the field separator itself).
+ * @throws {Error} If the text does not start with an MSH segment.
+ */
+export function parseHl7Message(text) {
+    // Strip MLLP framing and accept any line ending
+    const lines = String(text).replace(/[\x0b\x1c]/g, '').split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean);
+    if (!lines[0]?.startsWith('MSH')) throw new Error('Not an HL7 v2 message: it must start with an MSH segment.');
+    const field = lines[0][3];
+    const [component = '^', repetition = '~', escape = '\\', subcomponent = '&'] = lines[0].slice(4, 8);
+    const separators = { field, component, repetition, escape, subcomponent };
+    const segments = lines.map(line => {
+        const parts = line.split(field);
+        const type = parts[0];
+        // MSH-1 is the field separator, so MSH fields are shifted by one
+        const fields = type === 'MSH' ? [type, field, ...parts.slice(1)] : parts;
+        return { type, fields };
+    });
+    return { separators, segments };
+}
+
+// Decode the escape sequences of a component
+function unescape(value, { field, component, repetition, escape, subcomponent }) {
+    const replacements = { F: field, S: component, R: repetition, E: escape, T: subcomponent };
+    return value.split(`${escape}`).map((part, index) => (
+        index % 2 === 1 && replacements[part] !== undefined ? replacements[part] : part
+    )).join('');
+}
+
+// Components of the first repetition of a field
+function components(segment, index, separators) {
+    const value = (segment.fields[index] || '').split(separators.repetition)[0];
+    return value.split(separators.component).map(part => unescape(part, separators));
+}
+
+/**
+ * Parse an HL7 timestamp (YYYYMMDD[HHMM[SS[.S[S[S[S]]]]]][±ZZZZ]) to an ISO string, or null.
+ * The ±ZZZZ offset is applied when present; without it the time is read as local time.
+ */
+export function parseHl7Time(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(?:(\d{2})(?:(\d{2})(?:\.(\d{1,4}))?)?)?)?(?:([+-])(\d{2})(\d{2}))?/.exec(value || '');
+    if (!match) return null;
+    const [, year, month, day, hour = '00', minute = '00', second = '00', fraction = '0', sign, offsetHours, offsetMinutes] = match;
+    const offset = sign ? `${sign}${offsetHours}:${offsetMinutes}` : '';
+    const date = new Date(`${year}-${month}-${day}T${hour}:${minute}:${second}.${fraction.padEnd(3, '0').slice(0, 3)}${offset}`);
+    return isNaN(date) ? null : date.toISOString();
+}
+
+// Numeric value of an OBX: NM, SN without a comparator, or a numeric ST
+function numericValue(valueType, parts) {
+    if (valueType === 'SN') {
+        const [comparator, number, separator] = parts;
+        return (!comparator || comparator === '=') && !separator ? parseFloat(number) : NaN;
+    }
+    const text = parts.join('').trim();
+    return /^[-+]?\d*\.?\d+$/.test(text) ? parseFloat(text) : NaN;
+}
+
+/**
+ * Analyzer field of an OBX observation identifier: the local mapping first (identifier or alternate identifier),
+ * then LOINC.
+ * @returns {Object|null} { field, specimen } where specimen is 'arterial' | 'venous' | 'blood' | null.
+ */
+export function mapObservation(identifier, mapping = {}) {
+    const [code, , system, altCode, , altSystem] = identifier;
+    const local = [code, altCode].find(candidate => candidate && mapping[candidate]);
+    if (local) return { field: mapping[local], specimen: null };
+    if (code && isLoincSystem(system) && loincFields[code]) return loincFields[code];
+    if (altCode && isLoincSystem(altSystem) && loincFields[altCode]) return loincFields[altCode];
+    return null;
+}
+
+// Sample type from the specimen description (SPM-4 / OBR-15 code or text)
+function specimenSampleType(description, observations) {
+    const match = description.map(sampleTypeFromText).find(Boolean);
+    if (match) return match;
+    // Otherwise the specimen implied by the blood gas LOINC codes
+    const specimens = observations.map(observation => observation.specimen).filter(Boolean);
+    if (specimens.includes('arterial')) return 'arterial';
+    if (specimens.includes('venous')) return 'peripheralVenous';
+    return 'arterial';
+}
+
+/**
+ * Read the specimens of an ORU message.
+ * @param {string} text - HL7 v2 message.
+ * @param {Object} [mapping] - Local code mapping ({ code: field }).
+ * @returns {Object} { messageType, patient: { id, name }, specimens: [{ label, collectedAt, sampleType, values, units,
+ *   sources, unmapped }] } with values in their reported units, `units` for fields with unit choices and
+ *   `sources` giving the OBX identifier of each value. `unmapped` lists the numeric results with no field.
+ * @throws {Error} If the message is not HL7 v2 or carries no OBX segment.
+ */
+export function readHl7Message(text, mapping = loadHl7Mapping()) {
+    const { separators, segments } = parseHl7Message(text);
+    const get = (segment, index) => components(segment, index, separators);
+    const msh = segments[0];
+    const pid = segments.find(segment => segment.type === 'PID');
+    const specimens = [];
+    let current = null;
+
+    const startSpecimen = (label, collectedAt) => {
+        current = { label, collectedAt, description: [], observations: [], unmapped: [], hasSpm: false };
+        specimens.push(current);
+    };
+
+    segments.forEach(segment => {
+        if (segment.type === 'OBR') {
+            const service = get(segment, 4);
+            startSpecimen(service[1] || service[0] || '', parseHl7Time(get(segment, 7)[0]));
+            current.description.push(...get(segment, 15).slice(0, 2)); // Specimen source (v2.3)
+        } else if (segment.type === 'SPM') {
+            // A second SPM under one OBR is another specimen of the same order
+            if (!current || current.hasSpm) startSpecimen(current?.label || '', null);
+            const type = get(segment, 4);
+            current.description.push(type[0], type[1]);
+            current.collectedAt = parseHl7Time(get(segment, 17)[0]) || current.collectedAt;
+            current.hasSpm = true;
+        } else if (segment.type === 'OBX') {
+            if (!current) startSpecimen('', null);
+            const identifier = get(segment, 3);
+            const value = numericValue(segment.fields[2], get(segment, 5));
+            if (isNaN(value)) return;
+            const unit = get(segment, 6);
+            const mapped = mapObservation(identifier, mapping);
+            const observation = { code: identifier[0], text: identifier[1] || identifier[0], value, unit: unit[0] || unit[1] || '' };
+            if (mapped) current.observations.push({ ...observation, ...mapped });
+            else current.unmapped.push(observation);
+        }
+    });
+
+    if (!segments.some(segment => segment.type === 'OBX')) throw new Error('The message carries no OBX results.');
+
+    const name = pid ? get(pid, 5) : [];
+    return {
+        messageType: get(msh, 9).filter(Boolean).slice(0, 2).join('^'),
+        patient: pid ? { id: get(pid, 3)[0], name: [name[1], name[0]].filter(Boolean).join(' ') } : null,
+        specimens: specimens
+            .filter(specimen => specimen.observations.length > 0 || specimen.unmapped.length > 0)
+            .map(({ label, collectedAt, description, observations, unmapped }) => {
+                const values = {};
+                const units = {};
+                const sources = {};
+                observations.forEach(({ field, value, unit, code, text: label }) => {
+                    if (values[field] !== undefined) return; // First result of a field wins
+                    values[field] = value;
+                    sources[field] = `${code} ${label}`.trim();
+                    if (getUnitOptions(field).length > 0) units[field] = parseUnitLabel(field, unit) || inferUnit(field, value);
+                });
+                return { label, collectedAt, sampleType: specimenSampleType(description.filter(Boolean), observations), values, units, sources, unmapped };
+            })
+    };
+}
+
+/**
+ * Values and sample type to verify for a specimen. An umbilical arterial specimen takes the blood gas of an
+ * umbilical venous specimen of the same message as its venous pair (uvph, uvpco2, uvhco3, uvbe); an umbilical
+ * venous specimen on its own is verified as a venous sample, since it is only selectable as such a pair.
+ */
+export function specimenValues(specimens, index) {
+    const specimen = specimens[index];
+    const sampleType = sampleTypes[specimen.sampleType]?.selectable === false ? 'peripheralVenous' : specimen.sampleType;
+    const venous = specimen.sampleType === 'umbilicalArterial' && specimens.find(other => other.sampleType === 'umbilicalVenous');
+    if (!venous) return { values: specimen.values, units: specimen.units, sources: specimen.sources, sampleType };
+    const pair = { values: { ...specimen.values }, units: { ...specimen.units }, sources: { ...specimen.sources }, sampleType };
+    Object.entries(cordVenousFields).forEach(([cordField, field]) => {
+        if (venous.values[field] === undefined || pair.values[cordField] !== undefined) return;
+        pair.values[cordField] = venous.values[field];
+        pair.sources[cordField] = venous.sources[field];
+        if (venous.units[field] && getUnitOptions(cordField).length > 0) pair.units[cordField] = venous.units[field];
+    });
+    return pair;
+}
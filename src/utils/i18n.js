@@ -0,0 +1,100 @@
+/**
+ * ABG Analyzer - Internationalization
+ * Message catalogs live in ./locales (one module per language, keyed by dotted message ids).
+ * The active language is module state, set by App from the language switcher; components and the
+ * result renderer read it through t() and formatNumber(). Missing messages fall back to English.
+ */
+
+import en from './locales/en';
+import es from './locales/es';
+import fr from './locales/fr';
+import ar from './locales/ar';
+
+export const languages = {
+    en: { label: 'English', locale: 'en-US', dir: 'ltr', messages: en },
+    es: { label: 'Español', locale: 'es-ES', dir: 'ltr', messages: es },
+    fr: { label: 'Français', locale: 'fr-FR', dir: 'ltr', messages: fr },
+    ar: { label: 'العربية', locale: 'ar', dir: 'rtl', messages: ar }
+};
+
+export const defaultLanguage = 'en';
+
+const STORAGE_KEY = 'abg-language';
+
+let currentLanguage = defaultLanguage;
+const numberFormats = {}; // Intl.NumberFormat cache, keyed by locale and precision
+
+export function getLanguage() {
+    return currentLanguage;
+}
+
+/**
+ * Switch the active language. In the browser this also sets <html lang> and the text direction.
+ */
+export function setLanguage(language) {
+    currentLanguage = languages[language] ? language : defaultLanguage;
+    if (typeof document !== 'undefined') {
+        document.documentElement.lang = currentLanguage;
+        document.documentElement.dir = languages[currentLanguage].dir;
+    }
+    return currentLanguage;
+}
+
+/**
+ * Saved language preference, else the browser language when supported, else English.
+ */
+export function loadLanguage() {
+    try {
+        const saved = localStorage.getItem(STORAGE_KEY);
+        if (languages[saved]) return saved;
+    } catch (error) {
+        console.error('Could not read the language preference:', error);
+    }
+    const browser = typeof navigator !== 'undefined' ? (navigator.language || '').slice(0, 2) : '';
+    return languages[browser] ? browser : defaultLanguage;
+}
+
+export function saveLanguage(language) {
+    localStorage.setItem(STORAGE_KEY, language);
+}
+
+export const getLocale = (language = currentLanguage) => languages[language].locale;
+export const getDirection = (language = currentLanguage) => languages[language].dir;
+
+/**
+ * Translate a message id, replacing {name} placeholders with params.
+ * Falls back to the English message, then to `fallback` (or the id itself).
+ * @param {string} key - Dotted message id, e.g. 'tabs.manual'.
+ * @param {Object} [params] - Placeholder values.
+ * @param {string} [fallback] - Text used when no catalog has the message (e.g. labels defined in data tables).
+ */
+export function t(key, params, fallback) {
+    const message = languages[currentLanguage].messages[key] ?? en[key] ?? fallback ?? key;
+    if (!params) return message;
+    return message.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? params[name] : match));
+}
+
+/**
+ * Format a number for the active locale, e.g. formatNumber(7.4, 2) → "7.40" (en), "7,40" (es, fr).
+ * @param {number} [decimals] - Fixed precision; up to 3 significant decimals when omitted.
+ */
+export function formatNumber(value, decimals) {
+    if (typeof value !== 'number' || isNaN(value)) return String(value);
+    const locale = getLocale();
+    const cacheKey = `${locale}|${decimals ?? ''}`;
+    if (!numberFormats[cacheKey]) {
+        numberFormats[cacheKey] = new Intl.NumberFormat(locale, decimals === undefined
+            ? { maximumFractionDigits: 3, useGrouping: false }
+            : { minimumFractionDigits: decimals, maximumFractionDigits: decimals, useGrouping: false });
+    }
+    return numberFormats[cacheKey].format(value);
+}
+
+/**
+ * Reformat the numbers inside a label for the active locale, keeping their decimals,
+ * e.g. "7.35-7.45" → "7,35-7,45" (es, fr). Used for reference range labels.
+ */
+export function localizeNumbers(text) {
+    if (!text) return text;
+    return String(text).replace(/\d+(\.\d+)?/g, (match, fraction) => formatNumber(parseFloat(match), fraction ? fraction.length - 1 : 0));
+}
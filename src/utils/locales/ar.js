@@ -0,0 +1,907 @@
+/**
+ * Arabic messages (ids from en.js). Rendered right-to-left (see i18n.js).
+ */
+
+export default {
+    // --- Common ---
+    'common.na': 'غير متاح',
+    'common.and': 'و',
+    'common.listSeparator': '، ',
+
+    // --- App shell ---
+    'app.title': 'محلل غازات الدم الشرياني',
+    'app.subtitle': 'باستخدام منهجية الخطوات الست للجمعية الأمريكية لأمراض الصدر (ATS)',
+    'app.atsLink': 'إرشادات ATS',
+    'app.atsLinkTitle': 'إرشادات ATS لغازات الدم الشرياني',
+    'app.disclaimer': 'لأغراض تعليمية فقط. لا يغني عن الحكم السريري.',
+    'app.developedBy': 'تطوير TA',
+    'app.loading': 'جارٍ التحليل...',
+    'app.error': 'خطأ: {message}',
+    'app.placeholder': 'ستظهر النتائج هنا.',
+    'tabs.manual': 'إدخال يدوي',
+    'tabs.upload': 'رفع صورة/PDF',
+    'tabs.hl7': 'استيراد HL7',
+    'tabs.batch': 'دفعة (CSV/XLSX)',
+    'tabs.settings': 'الإعدادات',
+    'tabs.history': 'السجل',
+    'units.label': 'الوحدات:',
+    'units.ariaLabel': 'نظام الوحدات',
+    'units.conventional': 'تقليدية (mmHg، g/dL)',
+    'units.si': 'الدولية SI (kPa، g/L)',
+    'language.label': 'اللغة:',
+
+    // --- Sample type and patient category ---
+    'sampleType.label': 'نوع العينة',
+    'sampleType.estimate': 'تقدير القيم الشريانية (pH، PCO₂، HCO₃⁻؛ وPaO₂ من SpO₂)',
+    'sampleTypes.arterial': 'شريانية',
+    'sampleTypes.peripheralVenous': 'وريدية محيطية',
+    'sampleTypes.centralVenous': 'وريدية مركزية',
+    'sampleTypes.mixedVenous': 'وريدية مختلطة',
+    'sampleTypes.capillary': 'شعرية (مُشرْيَنة)',
+    'sampleTypes.umbilicalArterial': 'الحبل السري (زوج شرياني ووريدي)',
+    'sampleTypes.umbilicalVenous': 'وريدية سُرّية',
+    'patientCategory.label': 'فئة المريض',
+    'patientCategory.auto': 'تلقائي (حسب العمر، بالغ إذا كان غير معروف)',
+    'patientCategories.adult': 'بالغ (≥ 18 سنة)',
+    'patientCategories.child': 'طفل (1-17 سنة)',
+    'patientCategories.infant': 'رضيع (1-12 شهرًا)',
+    'patientCategories.neonate': 'حديث الولادة (0-28 يومًا)',
+
+    // --- Manual entry form ---
+    'form.sections.bloodGas': 'غازات الدم',
+    'form.sections.electrolytes': 'الشوارد',
+    'form.sections.metabolites': 'اللاكتات والكيتونات والغلوكوز',
+    'form.sections.oxygenation': 'الأكسجة',
+    'form.sections.workup': 'الفحوص الأسمولية والبولية',
+    'form.sections.cordVenous': 'العينة الوريدية السُّرّية',
+    'form.sections.clinicalContext': 'السياق السريري (اختياري)',
+    'form.cordArterialSuffix': ' (العينة الشريانية السُّرّية)',
+    'form.normal': 'الطبيعي: {range} {unit}',
+    'form.unitAriaLabel': 'وحدة {label}',
+    'verify.parameter': 'المعامل',
+    'verify.value': 'القيمة',
+    'verify.unit': 'الوحدة',
+    'verify.source': 'المصدر',
+    'verify.analyze': 'تحقّق وحلّل',
+    'form.placeholder': 'مثال: {value}',
+    'form.errors.notNumber': 'يجب أن تكون القيمة رقمًا.',
+    'form.errors.outOfRange': 'خارج النطاق ({min}-{max})',
+    'form.errors.invalid': 'يرجى تصحيح القيم غير الصالحة المميزة.',
+    'form.errors.missingRequired': 'يتطلب التحليل على الأقل قيم pH وPaCO₂ وHCO₃⁻. الناقص: {fields}',
+    'form.clear': 'مسح النموذج',
+    'form.analyze': 'تحليل الغازات',
+    'fields.be': 'زيادة القاعدة',
+    'fields.temperature': 'حرارة المريض (اختياري)',
+    'fields.temperature.normal': '37 (بدون تصحيح)',
+    'fields.k': 'K⁺ (اختياري)',
+    'fields.albumin': 'الألبومين (اختياري)',
+    'fields.ca': 'Ca²⁺ المتأين (اختياري)',
+    'fields.mg': 'Mg²⁺ (اختياري)',
+    'fields.phosphate': 'الفوسفات (اختياري)',
+    'fields.lactate': 'اللاكتات (اختياري)',
+    'fields.bhb': 'بيتا-هيدروكسي بيوتيرات (اختياري)',
+    'fields.glucose': 'الغلوكوز (اختياري)',
+    'fields.fio2': 'FiO₂ (اختياري)',
+    'fields.fio2.normal': '21 (هواء الغرفة)',
+    'fields.patm': 'الضغط الجوي (اختياري)',
+    'fields.patm.normal': '760 (مستوى سطح البحر)',
+    'fields.age': 'العمر (اختياري)',
+    'fields.spo2': 'SpO₂ (اختياري)',
+    'fields.rq': 'الحاصل التنفسي (اختياري)',
+    'fields.sosm': 'أسمولية المصل (اختياري)',
+    'fields.bun': 'نيتروجين يوريا الدم BUN (اختياري)',
+    'fields.ethanol': 'الإيثانول (اختياري)',
+    'fields.una': 'Na⁺ البول (اختياري)',
+    'fields.uk': 'K⁺ البول (اختياري)',
+    'fields.ucl': 'Cl⁻ البول (اختياري)',
+    'fields.uosm': 'أسمولية البول (اختياري)',
+    'fields.uun': 'نيتروجين يوريا البول (اختياري)',
+    'fields.uvph': 'pH الوريدي',
+    'fields.uvpco2': 'PCO₂ الوريدي',
+    'fields.uvhco3': 'HCO₃⁻ الوريدي (اختياري)',
+    'fields.uvbe': 'زيادة القاعدة الوريدية (اختياري)',
+    'context.sepsis': 'إنتان / صدمة',
+    'context.diabetes': 'داء السكري',
+    'context.alcohol': 'اضطراب تعاطي الكحول',
+    'context.ingestion': 'اشتباه تسمم بالابتلاع',
+    'context.renalFailure': 'مرض كلوي',
+    'context.diarrhea': 'إسهال / فقد هضمي',
+    'context.vomiting': 'قيء / شفط أنفي معدي',
+    'context.diuretics': 'استخدام مدرات البول',
+    'context.ivFluids': 'محلول ملحي بكميات كبيرة',
+    'context.sedatives': 'أفيونات / مهدئات',
+    'context.copd': 'الانسداد الرئوي المزمن / مرض رئوي مزمن',
+    'context.ventilated': 'تهوية آلية',
+    'context.pregnancy': 'حمل',
+    'context.liverDisease': 'مرض كبدي',
+
+    // --- Step titles and narrative (resultRenderer.js) ---
+    'steps.step1': 'الخطوة 1: التحقق من الاتساق الداخلي',
+    'steps.step2': 'الخطوة 2: تحديد حماض الدم أو قلاء الدم',
+    'steps.step3': 'الخطوة 3: تحديد الاضطراب الأولي',
+    'steps.step4': 'الخطوة 4: تقييم المعاوضة',
+    'steps.step5': 'الخطوة 5: حساب الفجوة الأنيونية',
+    'steps.step6': 'الخطوة 6: تقييم ΔAG / ΔHCO₃⁻',
+    'steps.step7': 'الخطوة 7: الفحوص الثانوية',
+    'step1.hydrogen': '[H⁺] المقاس ≈ {measured} nmol/L، و[H⁺] المحسوب ≈ {calculated} nmol/L.',
+    'step1.CONSISTENT': 'القيم متسقة داخليًا على ما يبدو.',
+    'step1.INCONSISTENT': 'رُصد عدم اتساق محتمل.',
+    'step2.ACIDEMIA': 'حماض الدم (pH {ph} < {limit})',
+    'step2.ALKALEMIA': 'قلاء الدم (pH {ph} > {limit})',
+    'step2.NORMAL': 'pH طبيعي ({ph})',
+    'step3.RESPIRATORY_ACIDOSIS': 'حماض تنفسي أولي (PaCO₂ {paco2} مرتفع)',
+    'step3.METABOLIC_ACIDOSIS': 'حماض استقلابي أولي (HCO₃⁻ {hco3} mmol/L منخفض)',
+    'step3.RESPIRATORY_ALKALOSIS': 'قلاء تنفسي أولي (PaCO₂ {paco2} منخفض)',
+    'step3.METABOLIC_ALKALOSIS': 'قلاء استقلابي أولي (HCO₃⁻ {hco3} mmol/L مرتفع)',
+    'step3.MIXED_ACIDEMIA': 'يوجد حماض دم، لكن PaCO₂ ({paco2}) وHCO₃⁻ ({hco3}) لا يشيران بوضوح إلى اضطراب أولي واحد. يُرجَّح وجود اضطراب مختلط.',
+    'step3.MIXED_ALKALEMIA': 'يوجد قلاء دم، لكن PaCO₂ ({paco2}) وHCO₃⁻ ({hco3}) لا يشيران بوضوح إلى اضطراب أولي واحد. يُرجَّح وجود اضطراب مختلط.',
+    'step3.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'pH طبيعي مع ارتفاع PaCO₂ وHCO₃⁻ يشير إلى اضطراب مختلط (حماض تنفسي معاوَض + قلاء استقلابي).',
+    'step3.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'pH طبيعي مع انخفاض PaCO₂ وHCO₃⁻ يشير إلى اضطراب مختلط (قلاء تنفسي معاوَض + حماض استقلابي).',
+    'step3.COMPENSATED': 'pH طبيعي مع PaCO₂ أو HCO₃⁻ غير طبيعي يشير إلى اضطراب معاوَض كليًا أو إلى قيم حدّية.',
+    'step3.NORMAL': 'حالة حمضية قاعدية طبيعية (pH وPaCO₂ وHCO₃⁻ ضمن النطاقات الطبيعية).',
+    'step3.UNDETERMINED': 'غير محدد',
+    'step4.expectedPaco2': 'PaCO₂ المتوقع ≈ {expected} ± {tolerance}{winters}. PaCO₂ المقاس = {measured}.',
+    'step4.winters': ' (معادلة Winter)',
+    'step4.expectedHco3': 'معاوضة {type}: HCO₃⁻ المتوقع ≈ {expected} ± {tolerance} mmol/L. HCO₃⁻ المقاس = {measured} mmol/L.',
+    'step4.acute': 'حادة',
+    'step4.chronic': 'مزمنة',
+    'step4.timeCourse.acute_onset': 'العينات المتتالية: كان PaCO₂ طبيعياً قبل {hours} ساعة، وهي مدة أقصر من أن تسمح بالمعاوضة الكلوية.',
+    'step4.timeCourse.chronic_duration': 'العينات المتتالية: PaCO₂ غير طبيعي منذ {hours} ساعة، وهي مدة كافية للمعاوضة الكلوية.',
+    'step4.COMPENSATION_APPROPRIATE': 'المعاوضة مناسبة.',
+    'step4.ADDITIONAL_DISORDER': 'يشير إلى {disorder} مرافق.',
+    'step5.anionGap': 'الفجوة الأنيونية = {value} mmol/L (الطبيعي ≈ {range}).',
+    'step5.albuminApplied': 'الألبومين = {albumin}. الفجوة المصححة ≈ {corrected} mmol/L.',
+    'step5.albuminInvalid': '(قيمة الألبومين غير صالحة للتصحيح).',
+    'step5.albuminNotNeeded': '(لا حاجة لتصحيح الألبومين).',
+    'step5.ANION_GAP_ELEVATED': 'فجوة أنيونية مرتفعة.',
+    'step5.ANION_GAP_NORMAL': 'فجوة أنيونية طبيعية.',
+    'step5.additionalHagma': 'يشير إلى حماض استقلابي إضافي مرتفع الفجوة الأنيونية.',
+    'partition.summary': 'زيادة الفجوة {excess} mmol/L: {parts}.',
+    'partition.part': '{label} {value} ({share}%)',
+    'partition.parts.lactate': 'اللاكتات',
+    'partition.parts.ketones': 'بيتا-هيدروكسي بيوتيرات',
+    'partition.parts.unexplained': 'غير مفسَّرة',
+    'partition.LACTIC_ACIDOSIS': 'يفسّر اللاكتات جزءًا مهمًا من زيادة الفجوة: حماض لبني.',
+    'partition.KETOACIDOSIS': 'تفسّر الكيتونات جزءًا مهمًا من زيادة الفجوة: حماض كيتوني.',
+    'partition.MIXED_LACTIC_KETOACIDOSIS': 'حماض لبني وحماض كيتوني مختلطان.',
+    'partition.UNEXPLAINED_ANIONS': 'زيادة الفجوة لا يفسرها اللاكتات أو الكيتونات: فكّر في الكحولات السامة أو اليوريميا أو الساليسيلات أو أنيونات أخرى غير مقاسة.',
+    'partition.unexplainedRemains': 'تبقى فجوة غير مفسَّرة مهمة (أنيونات إضافية غير مقاسة).',
+    'partition.unexplainedRemainsKetones': 'تبقى فجوة غير مفسَّرة مهمة (أسيتو أسيتات غير مقاس أو أنيونات إضافية غير مقاسة).',
+    'partition.missing': '({items}: غير متوفر)',
+    'partition.missing.lactate': 'اللاكتات',
+    'partition.missing.bhb': 'بيتا-هيدروكسي بيوتيرات',
+    'step6.DELTA_HCO3_ZERO': 'لا يمكن حساب نسبة الدلتا (ΔHCO₃⁻ تساوي 0). فجوة أنيونية مرتفعة مع HCO₃⁻ طبيعي تشير إلى قلاء استقلابي مرافق.',
+    'step6.DELTA_HCO3_NEGATIVE': 'تفسير نسبة الدلتا معقد (ΔHCO₃⁻ سالبة: {value}). فجوة أنيونية مرتفعة مع HCO₃⁻ مرتفع تشير إلى قلاء استقلابي مرافق.',
+    'step6.ratio': 'نسبة الدلتا (ΔAG/ΔHCO₃⁻) = {ratio}. (الفجوة الطبيعية معدَّلة إلى {normal} عند توفر الألبومين).',
+    'step6.lactateAdjusted': 'النسبة المعدَّلة باللاكتات = {ratio} (اللاكتات {lactate} mmol/L بوزن 1/1.6).',
+    'step6.ratioLabel': 'النسبة',
+    'step6.adjustedRatioLabel': 'النسبة المعدَّلة',
+    'step6.CONCURRENT_NAGMA': '{label} < {limit} تشير إلى حماض استقلابي طبيعي الفجوة الأنيونية (NAGMA) مرافق.',
+    'step6.CONCURRENT_METABOLIC_ALKALOSIS': '{label} > {limit} تشير إلى قلاء استقلابي مرافق.',
+    'step6.PURE_HAGMA': '{label} ≈ {low}-{high} تتوافق مع حماض استقلابي مرتفع الفجوة الأنيونية غير مختلط.',
+    'workup.osmolarGap.skipped': 'تم تخطي الفجوة الأسمولية المصلية: يلزم توفر الأسمولية المقاسة وNa⁺ والغلوكوز وBUN.',
+    'workup.osmolarGap.value': 'الفجوة الأسمولية المصلية = {gap} mOsm/kg (المقاسة {measured}، المحسوبة {calculated}{ethanol}).',
+    'workup.osmolarGap.ethanolAdjusted': '، معدَّلة بالإيثانول',
+    'workup.osmolarGap.MARKEDLY_ELEVATED': 'فجوة مرتفعة بشدة مع حماض مرتفع الفجوة الأنيونية تشير بقوة إلى تسمم بكحول سام (الميثانول، الإيثيلين غليكول).',
+    'workup.osmolarGap.ELEVATED': 'فجوة مرتفعة: فكّر في الكحولات السامة؛ قد يرفعها الحماض الكيتوني والحماض اللبني والفشل الكلوي بشكل معتدل أيضًا.',
+    'workup.osmolarGap.NORMAL': 'الفجوة الأسمولية الطبيعية (≤ {limit}) تجعل التسمم المهم بالكحولات السامة أقل احتمالًا (لكنها لا تنفي التظاهر المتأخر).',
+    'workup.urineAnionGap.skipped': 'تم تخطي الفجوة الأنيونية البولية: يلزم توفر Na⁺ وK⁺ وCl⁻ في البول.',
+    'workup.urineAnionGap.value': 'الفجوة الأنيونية البولية = {value} mmol/L.',
+    'workup.urineAnionGap.NEGATIVE': 'الفجوة البولية السالبة تدل على إطراح بولي مناسب لـ NH₄⁺: تشير إلى فقد بيكربونات خارج كلوي (هضمي)، مثل الإسهال.',
+    'workup.urineAnionGap.POSITIVE': 'الفجوة البولية الموجبة تدل على ضعف الإطراح البولي لـ NH₄⁺: تشير إلى سبب كلوي (حماض أنبوبي كلوي بعيد، نقص الألدوستيرون/الحماض الأنبوبي من النمط 4، الفشل الكلوي).',
+    'workup.urineOsmolalGap.skipped': 'تم تخطي الفجوة الأسمولية البولية: يلزم توفر Na⁺ وK⁺ ونيتروجين اليوريا في البول.',
+    'workup.urineOsmolalGap.value': 'الفجوة الأسمولية البولية = {gap} mOsm/kg (NH₄⁺ البولي المقدَّر ≈ {ammonium} mmol/L).',
+    'workup.urineOsmolalGap.ADEQUATE': 'إطراح NH₄⁺ المناسب يدعم فقد البيكربونات الهضمي؛ وهو أوثق من الفجوة الأنيونية البولية عند وجود أنيونات بولية غير مقاسة (الكيتونات، الهيبورات).',
+    'workup.urineOsmolalGap.LOW': 'انخفاض إطراح NH₄⁺ يدعم وجود حماض أنبوبي كلوي.',
+    'workup.urineOsmolalGap.INDETERMINATE': 'إطراح NH₄⁺ غير حاسم.',
+    'status.HCO3_ZERO': 'عدم اتساق: لا يمكن أن تكون HCO₃⁻ صفرًا.',
+    'status.CORD_SAMPLE': 'غير منطبق: لا تُقيَّم المعاوضة في عينات الحبل السري (تبادل الغازات الجنيني مشيمي).',
+    'status.NO_SINGLE_PRIMARY_DISORDER': 'تم تخطي تقييم المعاوضة (اضطراب أولي مختلط أو طبيعي أو غير محدد).',
+    'status.FULL_COMPENSATION': 'معاوضة كاملة (pH ضمن النطاق الطبيعي).',
+    'status.UNKNOWN_PRIMARY_DISORDER': 'خطأ: اضطراب أولي غير معروف لتقييم المعاوضة.',
+    'status.INVALID_ELECTROLYTES': 'تعذر حساب الفجوة الأنيونية: قيمة Na⁺ أو Cl⁻ أو HCO₃⁻ غير صالحة.',
+    'status.ELECTROLYTES_MISSING': 'تم التخطي: يلزم توفر Na⁺ وCl⁻ لحساب الفجوة الأنيونية.',
+    'status.INVALID_INPUT': 'تعذر حساب نسبة الدلتا: قيمة الفجوة الأنيونية أو HCO₃⁻ غير صالحة.',
+    'status.ANION_GAP_NOT_ELEVATED': 'غير منطبق: الفجوة الأنيونية غير مرتفعة.',
+    'status.NOT_METABOLIC_ACIDOSIS': 'غير منطبق: الاضطراب الأولي ليس حماضًا استقلابيًا.',
+    'status.ANION_GAP_UNAVAILABLE': 'تم التخطي: تم تخطي حساب الفجوة الأنيونية أو فشل.',
+    'status.NO_METABOLIC_ACIDOSIS': 'غير منطبق: لم يُكتشف حماض استقلابي مرتفع أو طبيعي الفجوة الأنيونية.',
+    'disorders.METABOLIC_ACIDOSIS': 'حماض استقلابي',
+    'disorders.HIGH_ANION_GAP_METABOLIC_ACIDOSIS': 'حماض استقلابي مرتفع الفجوة الأنيونية',
+    'disorders.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS': 'حماض استقلابي طبيعي الفجوة الأنيونية',
+    'disorders.METABOLIC_ALKALOSIS': 'قلاء استقلابي',
+    'disorders.RESPIRATORY_ACIDOSIS': 'حماض تنفسي',
+    'disorders.RESPIRATORY_ALKALOSIS': 'قلاء تنفسي',
+    'disorders.MIXED_ACIDEMIA': 'حماض دم مختلط',
+    'disorders.MIXED_ALKALEMIA': 'قلاء دم مختلط',
+    'disorders.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'حماض تنفسي وقلاء استقلابي مختلطان',
+    'disorders.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'قلاء تنفسي وحماض استقلابي مختلطان',
+    'disorders.COMPENSATED': 'اضطراب حمضي قاعدي معاوَض كليًا',
+    'interpretation.ERROR': 'التحليل غير مكتمل بسبب خطأ.',
+    'interpretation.UNDETERMINED': 'تعذر تحديد التفسير النهائي.',
+    'interpretation.NORMAL': 'حالة حمضية قاعدية طبيعية.',
+    'interpretation.primary': '{disorder} أولي',
+    'interpretation.completeCompensation': '{text} مع معاوضة كاملة',
+    'interpretation.expectedCompensation': '{text} مع المعاوضة المتوقعة',
+    'interpretation.superimposed': '{text}، مع {disorders} مرافق',
+    'interpretation.sentence': '{text}.',
+
+    // --- Supplementary assessments (resultRenderer.js) ---
+    'analysisNotes.CORD_RANGES': 'طُبِّقت النطاقات المرجعية للحبل السري على العينة الشريانية؛ راجع تقييم غازات الحبل السري بشأن الحماض حول الولادة.',
+    'analysisNotes.CHILD_RANGES': 'طُبِّقت النطاقات المرجعية للأطفال (HCO₃⁻ الطبيعي أقل قليلًا من البالغين).',
+    'analysisNotes.INFANT_RANGES': 'طُبِّقت النطاقات المرجعية للرضّع: PaCO₂ وHCO₃⁻ الطبيعيان أقل من البالغين.',
+    'analysisNotes.INFANT_COMPENSATION': 'المعاوضة الكلوية للحماض التنفسي المزمن أقل اكتمالًا مما لدى البالغين.',
+    'analysisNotes.NEONATE_RANGES': 'طُبِّقت النطاقات المرجعية لحديثي الولادة: HCO₃⁻ الطبيعي أقل (عدم نضج إعادة امتصاص البيكربونات الكلوي).',
+    'analysisNotes.NEONATE_COMPENSATION': 'المعاوضة المتوقعة تقريبية لدى حديثي الولادة؛ الاستجابتان التنفسية والكلوية ضعيفتان.',
+    'analysisNotes.SPO2_FLAT_CURVE': 'تقع SpO₂ فوق 97% على الجزء المسطح من منحنى التفكك: PaO₂ المقدَّر غير موثوق.',
+    'analysisNotes.PAO2_NOT_ESTIMATED': 'لم يُقدَّر PaO₂: أدخل SpO₂ (قياس التأكسج النبضي) أقل من 100%.',
+    'analysisNotes.ALPHA_STAT': 'يفسّر القيم غير المصحَّحة المقاسة عند 37 °C (المعيار لدى البالغين، بما في ذلك المجازة القلبية الرئوية وخفض الحرارة العلاجي).',
+    'analysisNotes.PH_STAT': 'يفسّر القيم المصحَّحة إلى حرارة المريض (الهدف pH 7.40 وPaCO₂ 40 mmHg عند الحرارة الفعلية؛ يُستخدم في المجازة لدى الأطفال).',
+    'analysisNotes.CORRECTED_RANGES': 'النطاقات المرجعية هي نطاقات 37 °C، مطبَّقة على القيم المصحَّحة حسب الحرارة.',
+    'analysisNotes.CORRECTED_OXYGENATION': 'تستخدم مؤشرات الأكسجة PaO₂ المصحَّح؛ وما زالت معادلة الغاز السنخي تفترض ضغط بخار الماء عند 37 °C.',
+    'reasons.GLUCOSE_OR_BHB_REQUIRED': 'يلزم الغلوكوز أو بيتا-هيدروكسي بيوتيرات لتقييم الحماض الكيتوني السكري / حالة فرط الأسمولية.',
+    'reasons.STEWART_INPUTS_REQUIRED': 'يلزم Na⁺ وCl⁻ والألبومين لتحليل ستيوارت.',
+    'reasons.ELECTROLYTES_REQUIRED': 'يلزم Na⁺ وCl⁻ لتجزئة فائض القاعدة.',
+    'reasons.PAO2_REQUIRED': 'يلزم PaO₂ لتقييم الأكسجة.',
+    'reasons.CORD_PO2': 'يعكس PO₂ الحبل السري تبادل الغازات المشيمي، لا أكسجة الوليد.',
+    'reasons.VENOUS_PO2': 'لا يعكس PO₂ العينة ({sample}) الأكسجة الشريانية. فعّل التقدير الشرياني بقيمة SpO₂ بدلًا من ذلك.',
+    'errors.MISSING_REQUIRED': 'قيمة مطلوبة مفقودة أو غير صالحة: {field}',
+    'errors.OUT_OF_RANGE': 'قيمة {field} ({value}) خارج النطاق الفيزيولوجي المعتاد ({min} – {max}).',
+    'errors.TEMPERATURE_OUT_OF_RANGE': 'حرارة المريض ({value} °C) خارج النطاق الذي يدعمه تصحيح الحرارة ({min}–{max} °C).',
+    'errors.ANALYSIS_FAILED': 'خطأ في التحليل: {message}',
+    'quality.AIR_BUBBLE.title': 'احتمال وجود فقاعة هواء في العينة',
+    'quality.AIR_BUBBLE.explanation': 'يسحب الهواء المحتبس في المحقنة PO₂ نحو ≈ 150 mmHg وPCO₂ نحو الصفر ويرفع pH. أخرج الفقاعات فور سحب العينة وأعد التحليل إذا لم تتوافق القيم مع الصورة السريرية.',
+    'quality.VENOUS_CONTAMINATION.title': 'احتمال عينة وريدية أو اختلاط بدم وريدي',
+    'quality.VENOUS_CONTAMINATION.explanation': 'يشير انخفاض PO₂ والإشباع بما لا يتفق مع أكسجة المريض إلى أن العينة وريدية أو مختلطة بدم وريدي. تحقّق من الارتداد النابض وفكّر في اختيار نوع عينة وريدية. قد ينتج التفاوت الكبير بين SaO₂ وPaO₂ أيضًا عن خضاب الدم الشاذ (CO-Hb، Met-Hb) أو عن SaO₂ محسوبة بدلًا من مقاسة بقياس التأكسج المشترك.',
+    'quality.DELAYED_PROCESSING.title': 'احتمال تأخر المعالجة (فرط بوتاسيوم كاذب)',
+    'quality.DELAYED_PROCESSING.explanation': 'العينات غير المحلَّلة أو غير المبرَّدة تسرّب البوتاسيوم من الخلايا وتستهلك الغلوكوز وتراكم اللاكتات، بينما ينخفض PO₂ ويرتفع PCO₂. حلّل غازات الدم خلال 15 دقيقة (30 دقيقة على الثلج).',
+    'quality.PSEUDOHYPERKALEMIA.title': 'احتمال فرط بوتاسيوم كاذب',
+    'quality.PSEUDOHYPERKALEMIA.explanation': 'ارتفاع K⁺ المعزول دون حماض دم غالبًا ما يكون مصطنعًا: انحلال دم بسبب إبرة رفيعة أو شفط قوي، أو قبض اليد، أو كثرة الصفيحات. تحقّق من مؤشر الانحلال وأعد سحب العينة قبل العلاج.',
+    'quality.BASE_EXCESS_MISMATCH.title': 'فائض القاعدة المقاس لا يتفق مع القيمة المحسوبة',
+    'quality.BASE_EXCESS_MISMATCH.explanation': 'ينبغي أن يكون فائض القاعدة من جهاز التحليل ضمن بضعة mmol/L من فائض القاعدة القياسي المحسوب من pH وHCO₃⁻ (فان سلايك). يشير الفرق الأكبر إلى خطأ في النسخ، أو قيمة من عينة أخرى، أو فائض قاعدة فعلي (في الزجاج) بدلًا من القياسي.',
+    'quality.evidence.ROOM_AIR_PO2': 'PaO₂ {pao2} قريب من PO₂ هواء الغرفة مع PaCO₂ منخفض ({paco2})',
+    'quality.evidence.ABOVE_ALVEOLAR_PO2': 'PaO₂ {pao2} يتجاوز PO₂ السنخي المحسوب ({alveolarPo2}) عند FiO₂ {fio2}%',
+    'quality.evidence.SAO2_MISMATCH': 'SaO₂ المقاسة {sao2}% لا تطابق {predicted}% المتوقعة عند PaO₂ {pao2}',
+    'quality.evidence.SPO2_MISMATCH': 'PaO₂ {pao2} (الإشباع المتوقع {predicted}%) منخفض جدًا بالنسبة إلى SpO₂ بقياس التأكسج النبضي {spo2}%',
+    'quality.evidence.VENOUS_RANGE': 'SaO₂ {sao2}% مع PaO₂ {pao2} ضمن النطاق الوريدي',
+    'quality.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L أعلى من النطاق المرجعي (≤ {limit})',
+    'quality.evidence.NO_ACIDEMIA': 'لا يوجد حماض دم يفسّر انتقال البوتاسيوم (pH {ph})',
+    'quality.evidence.LOW_GLUCOSE': 'غلوكوز منخفض ({glucose}) يتوافق مع تحلل سكري في الزجاج',
+    'quality.evidence.BASE_EXCESS_MISMATCH': 'فائض القاعدة المقاس {be} mmol/L مقابل فائض القاعدة القياسي المحسوب {calculated} mmol/L',
+    'differentials.categories.hagma': 'حماض استقلابي مرتفع الفجوة الأنيونية',
+    'differentials.categories.nagma': 'حماض استقلابي طبيعي الفجوة الأنيونية',
+    'differentials.categories.metAlkChlorideResponsive': 'قلاء استقلابي مستجيب للكلوريد',
+    'differentials.categories.metAlkChlorideResistant': 'قلاء استقلابي مقاوم للكلوريد',
+    'differentials.categories.respAcidAcute': 'حماض تنفسي حاد',
+    'differentials.categories.respAcidChronic': 'حماض تنفسي مزمن',
+    'differentials.categories.respAlkAcute': 'قلاء تنفسي حاد',
+    'differentials.categories.respAlkChronic': 'قلاء تنفسي مزمن',
+    'differentials.causes.lacticAcidosis': 'حماض لبني (نقص التروية، الإنتان، الأدوية)',
+    'differentials.causes.diabeticKetoacidosis': 'حماض كيتوني سكري',
+    'differentials.causes.alcoholicKetoacidosis': 'حماض كيتوني كحولي أو ناتج عن الصيام',
+    'differentials.causes.toxicAlcohol': 'كحول سام (الميثانول، الإيثيلين غليكول)',
+    'differentials.causes.uremia': 'يوريمية (فشل كلوي)',
+    'differentials.causes.salicylate': 'تسمم بالساليسيلات',
+    'differentials.causes.otherHagma': 'أخرى (البروبيلين غليكول، 5-أوكسوبرولين، D-لاكتات)',
+    'differentials.causes.giBicarbonateLoss': 'فقد البيكربونات الهضمي (إسهال، ناسور)',
+    'differentials.causes.saline': 'حماض فرط كلور الدم بسبب المحلول الملحي',
+    'differentials.causes.distalRta': 'حماض أنبوبي كلوي بعيد (النمط 1)',
+    'differentials.causes.type4Rta': 'حماض أنبوبي كلوي من النمط 4 (قصور الألدوستيرون)',
+    'differentials.causes.proximalRta': 'حماض أنبوبي كلوي قريب (النمط 2)',
+    'differentials.causes.earlyKidneyDisease': 'مرض كلوي مبكر',
+    'differentials.causes.vomiting': 'إقياء أو شفط أنفي معدي',
+    'differentials.causes.remoteDiuretics': 'استخدام سابق للمدرّات',
+    'differentials.causes.contractionAlkalosis': 'قلاء التقلص (نقص الحجم)',
+    'differentials.causes.postHypercapnic': 'قلاء ما بعد فرط ثاني أكسيد الكربون',
+    'differentials.causes.activeDiuretics': 'استخدام حالي للمدرّات',
+    'differentials.causes.mineralocorticoidExcess': 'فرط القشرانيات المعدنية (فرط الألدوستيرونية الأولي، كوشينغ)',
+    'differentials.causes.severeHypokalemia': 'نقص بوتاسيوم الدم الشديد',
+    'differentials.causes.bartterGitelman': 'متلازمة بارتر أو جيتلمان',
+    'differentials.causes.alkaliLoad': 'حمل قلوي (بيكربونات، متلازمة الحليب والقلويات)',
+    'differentials.causes.cnsDepression': 'تثبيط الجهاز العصبي المركزي (أفيونات، مهدئات، سكتة دماغية)',
+    'differentials.causes.airwayObstruction': 'انسداد المجرى الهوائي أو تفاقم حاد للربو/COPD',
+    'differentials.causes.pneumoniaEdema': 'ذات رئة شديدة أو وذمة رئوية',
+    'differentials.causes.acuteNeuromuscular': 'ضعف عصبي عضلي حاد (غيلان-باريه، الوهن العضلي)',
+    'differentials.causes.inadequateVentilation': 'تهوية آلية غير كافية',
+    'differentials.causes.copd': 'الداء الرئوي الانسدادي المزمن (COPD)',
+    'differentials.causes.obesityHypoventilation': 'متلازمة نقص التهوية المرتبط بالسمنة',
+    'differentials.causes.chronicNeuromuscular': 'مرض عصبي عضلي أو جداري صدري مزمن',
+    'differentials.causes.hypoxemia': 'نقص أكسجة الدم (انصمام رئوي، ذات رئة، وذمة)',
+    'differentials.causes.painAnxiety': 'ألم أو قلق أو متلازمة فرط التهوية',
+    'differentials.causes.sepsis': 'إنتان',
+    'differentials.causes.excessiveVentilation': 'تهوية آلية مفرطة',
+    'differentials.causes.pregnancy': 'حمل',
+    'differentials.causes.liverDisease': 'مرض كبدي مزمن',
+    'differentials.causes.highAltitude': 'الارتفاعات العالية',
+    'differentials.causes.chronicHypoxemia': 'نقص أكسجة مزمن أو مرض رئوي خلالي',
+    'differentials.causes.cnsDisease': 'مرض الجهاز العصبي المركزي (ورم، عدوى، رضّ)',
+    'differentials.evidence.LACTATE_ABOVE': 'اللاكتات {lactate} (> {limit})',
+    'differentials.evidence.GLUCOSE_ABOVE': 'الغلوكوز {glucose} (> {limit})',
+    'differentials.evidence.KETOSIS': 'بيتا-هيدروكسي بيوتيرات {bhb} (≥ {limit})',
+    'differentials.evidence.GLUCOSE_NOT_ELEVATED': 'الغلوكوز {glucose} (غير مرتفع بشكل واضح)',
+    'differentials.evidence.KETOSIS_WITHOUT_HYPERGLYCEMIA': 'كيتوزية (بيتا-هيدروكسي بيوتيرات {bhb}) دون فرط سكر الدم',
+    'differentials.evidence.OSMOLAR_GAP_ELEVATED': 'الفجوة الأسمولية {gap} mOsm/kg (> {limit})',
+    'differentials.evidence.BUN_ABOVE': 'BUN {bun} (> {limit})',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ALKALOSIS': 'قلاء تنفسي مرافق',
+    'differentials.evidence.CONCURRENT_METABOLIC_ACIDOSIS': 'حماض استقلابي مرافق',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ACIDOSIS': 'حماض تنفسي مرافق (PaCO₂ {paco2})',
+    'differentials.evidence.URINE_ANION_GAP_NEGATIVE': 'الفجوة الأنيونية البولية {gap} (سالبة)',
+    'differentials.evidence.URINE_ANION_GAP_POSITIVE': 'الفجوة الأنيونية البولية {gap} (موجبة)',
+    'differentials.evidence.URINE_OSMOLAL_GAP_HIGH': 'الفجوة الأسمولية البولية {gap} (≥ {limit})',
+    'differentials.evidence.URINE_OSMOLAL_GAP_LOW': 'الفجوة الأسمولية البولية {gap} (< {limit})',
+    'differentials.evidence.CHLORIDE_ABOVE': 'Cl⁻ {cl} mmol/L (> {limit})',
+    'differentials.evidence.POTASSIUM_LOW': 'K⁺ {k} mmol/L (منخفض)',
+    'differentials.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L (مرتفع)',
+    'differentials.evidence.POTASSIUM_BELOW': 'K⁺ {k} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_BELOW': 'Cl⁻ البولي {ucl} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_ABOVE': 'Cl⁻ البولي {ucl} mmol/L (> {limit})',
+    'differentials.evidence.PURE_HYPOVENTILATION': 'مدروج A-a طبيعي (نقص تهوية صرف)',
+    'differentials.evidence.NORMAL_AA_GRADIENT': 'مدروج A-a طبيعي',
+    'differentials.evidence.AA_GRADIENT_ELEVATED': 'مدروج A-a {aaGradient} (مرتفع)',
+    'differentials.evidence.PAO2_BELOW': 'PaO₂ {pao2} (< {limit})',
+    'differentials.evidence.LOW_BAROMETRIC_PRESSURE': 'الضغط الجوي {patm}',
+    'differentials.evidence.CONTEXT': 'السياق السريري: {context}',
+    'differentials.evidence.IMPAIRED_BICARBONATE_EXCRETION': 'السياق السريري: مرض كلوي (ضعف إطراح HCO₃⁻)',
+    'differentials.notes.ANION_GAP_UNAVAILABLE': 'الفجوة الأنيونية غير متاحة: أدخل Na⁺ وCl⁻ للتمييز بين الحماض مرتفع الفجوة الأنيونية والحماض طبيعي الفجوة.',
+    'differentials.notes.URINE_CHLORIDE_MISSING': 'لم يُدخَل Cl⁻ البولي: أُدرجت الأسباب المستجيبة والمقاومة للكلوريد معًا.',
+    'differentials.notes.URINE_CHLORIDE': 'Cl⁻ البولي {ucl} mmol/L.',
+    'differentials.notes.CLASSIFIED_ACUTE': 'صُنِّف حادًا بناءً على نمط المعاوضة.',
+    'differentials.notes.CLASSIFIED_CHRONIC': 'صُنِّف مزمنًا بناءً على نمط المعاوضة.',
+    'differentials.notes.CHRONICITY_UNDETERMINED': 'لم تُحدَّد الإزمان: أُدرجت الأسباب الحادة والمزمنة.',
+    'crisis.criteria.GLUCOSE_ABOVE': 'الغلوكوز {glucose} ≥ {limit}',
+    'crisis.criteria.GLUCOSE_BELOW': 'الغلوكوز {glucose} < {limit}',
+    'crisis.criteria.GLUCOSE_BELOW_DIABETES': 'الغلوكوز {glucose} < {limit} (سكري معروف)',
+    'crisis.criteria.BHB_ABOVE': 'بيتا-هيدروكسي بيوتيرات {bhb} ≥ {limit}',
+    'crisis.criteria.BHB_BELOW': 'بيتا-هيدروكسي بيوتيرات {bhb} < {limit}',
+    'crisis.criteria.BHB_MISSING': 'لم يُدخَل بيتا-هيدروكسي بيوتيرات',
+    'crisis.criteria.ACIDOSIS': 'حماض (pH {ph} < 7.30 أو HCO₃⁻ {hco3} < 18 mmol/L)',
+    'crisis.criteria.OSMOLALITY_ABOVE': 'الأسمولية الفعالة {osmolality} mOsm/kg > {limit}',
+    'crisis.criteria.OSMOLALITY_NOT_ABOVE': 'الأسمولية الفعالة {osmolality} mOsm/kg ≤ {limit}',
+    'crisis.criteria.OSMOLALITY_NEEDS_SODIUM': 'تتطلب الأسمولية الفعالة قيمة Na⁺',
+    'crisis.findings.DKA_HHS_OVERLAP': 'تداخل الحماض الكيتوني السكري وحالة فرط الأسمولية: حماض كيتوني مع غلوكوز {glucose} وأسمولية فعالة {osmolality} mOsm/kg.',
+    'crisis.findings.DKA': 'حماض كيتوني سكري ({severity}).',
+    'crisis.findings.HHS': 'حالة فرط سكر الدم وفرط الأسمولية: الغلوكوز {glucose}، والأسمولية الفعالة {osmolality} mOsm/kg دون حماض كيتوني مهم.',
+    'crisis.findings.EUGLYCEMIC_DKA': 'حماض كيتوني سكري سويّ الغلوكوز: حماض كيتوني لدى مريض سكري مع غلوكوز أقل من عتبة الحماض الكيتوني السكري (فكّر في مثبطات SGLT2، والحمل، وقلة المدخول).',
+    'crisis.findings.NON_DIABETIC_KETOACIDOSIS': 'حماض كيتوني دون فرط سكر الدم: فكّر في الحماض الكيتوني الكحولي أو الناتج عن الصيام، أو الحماض الكيتوني السكري سويّ الغلوكوز إذا كان المريض سكريًا.',
+    'crisis.findings.KETOACIDOSIS_GLUCOSE_MISSING': 'حماض كيتوني دون فرط سكر الدم (لم يُدخَل الغلوكوز): فكّر في الحماض الكيتوني الكحولي أو الناتج عن الصيام، أو الحماض الكيتوني السكري سويّ الغلوكوز إذا كان المريض سكريًا.',
+    'crisis.findings.MEASURE_BHB': 'فرط سكر الدم مع حماض: قِس بيتا-هيدروكسي بيوتيرات لتأكيد الحماض الكيتوني السكري أو نفيه.',
+    'crisis.findings.NONE': 'معايير الحماض الكيتوني السكري / حالة فرط الأسمولية غير مستوفاة.',
+    'stewart.findings.LOW_SID': 'انخفاض SID الظاهري ({sid} mEq/L) يدل على حماض استقلابي بالأيونات القوية.',
+    'stewart.findings.HIGH_SID': 'ارتفاع SID الظاهري ({sid} mEq/L) يدل على قلاء استقلابي بالأيونات القوية.',
+    'stewart.findings.HYPERCHLOREMIA': 'Cl⁻ المصحَّح {chloride} mmol/L مرتفع نسبةً إلى Na⁺ (مكوّن فرط كلور الدم).',
+    'stewart.findings.HYPOALBUMINEMIA': 'نقص ألبومين الدم (الألبومين {albumin}) يخفض Atot ويُحدث تأثيرًا قلويًا.',
+    'stewart.findings.SIG_ELEVATED': 'ارتفاع فجوة الأيونات القوية ({sig} mEq/L) يدل على أنيونات غير مقاسة.',
+    'stewart.findings.ANIONS_MASKED': 'نقص ألبومين الدم يحجب الأنيونات غير المقاسة: تبدو الفجوة الأنيونية غير المصحَّحة طبيعية.',
+    'stewart.findings.SIG_NEGATIVE': 'فجوة الأيونات القوية السالبة ({sig} mEq/L) توحي بكاتيونات غير مقاسة أو خطأ في القياس.',
+    'stewart.findings.NORMAL': 'لم يُكتشف أي اضطراب في الأيونات القوية أو الأحماض الضعيفة.',
+    'stewart.findings.IONS_OMITTED': 'لم تُدخَل (مستبعدة من الحساب): {ions}.',
+    'stewart.ions.k': 'K⁺',
+    'stewart.ions.ca': 'Ca²⁺',
+    'stewart.ions.mg': 'Mg²⁺',
+    'stewart.ions.lactate': 'اللاكتات',
+    'stewart.ions.phosphate': 'الفوسفات',
+    'baseExcess.components.freeWater': 'الماء الحر (Na⁺)',
+    'baseExcess.components.chloride': 'الكلوريد',
+    'baseExcess.components.albumin': 'الألبومين',
+    'baseExcess.components.lactate': 'اللاكتات',
+    'baseExcess.components.unmeasuredAnions': 'الأنيونات غير المقاسة',
+    'baseExcess.findings.FREE_WATER_EXCESS': 'فائض الماء الحر (حماض تمددي): {value} mmol/L.',
+    'baseExcess.findings.FREE_WATER_DEFICIT': 'عجز الماء الحر (قلاء التقلص): {value} mmol/L.',
+    'baseExcess.findings.HYPERCHLOREMIC_ACIDOSIS': 'حماض فرط كلور الدم: {value} mmol/L.',
+    'baseExcess.findings.HYPOCHLOREMIC_ALKALOSIS': 'قلاء نقص كلور الدم: {value} mmol/L.',
+    'baseExcess.findings.HYPERALBUMINEMIC_ACIDOSIS': 'حماض فرط ألبومين الدم: {value} mmol/L.',
+    'baseExcess.findings.HYPOALBUMINEMIC_ALKALOSIS': 'قلاء نقص ألبومين الدم: {value} mmol/L.',
+    'baseExcess.findings.LACTIC_ACIDOSIS': 'حماض لبني: {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_ANIONS': 'حماض الأنيونات غير المقاسة: {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_CATIONS': 'تأثير كاتيونات غير مقاسة أو خطأ في القياس: {value} mmol/L.',
+    'baseExcess.findings.NO_SIGNIFICANT_COMPONENT': 'لا يتجاوز أي مكوّن من مكوّنات فائض القاعدة ±2 mmol/L.',
+    'baseExcess.findings.ALBUMIN_MISSING': 'لم يُدخَل الألبومين: يُفترض أن تأثيره صفر.',
+    'baseExcess.findings.LACTATE_MISSING': 'لم تُدخَل اللاكتات: تأثيرها مشمول في الأنيونات غير المقاسة.',
+    'oxygenation.findings.AA_GRADIENT_ELEVATED': 'مدروج A-a {aaGradient} أعلى من الحد المتوقع للعمر (≤ {expected})، مما يدل على عدم تطابق V/Q أو تحويلة أو اضطراب في الانتشار.',
+    'oxygenation.findings.AA_GRADIENT_NORMAL': 'مدروج A-a {aaGradient} ضمن الحد المتوقع للعمر (≤ {expected}).',
+    'oxygenation.findings.ARDS_MILD': 'نسبة P/F {pfRatio} تستوفي معيار الأكسجة في تعريف برلين لمتلازمة الضائقة التنفسية الحادة الخفيفة (يتطلب PEEP/CPAP ≥ 5 cmH₂O وعتامات ثنائية الجانب وبدءًا حادًا).',
+    'oxygenation.findings.ARDS_MODERATE': 'نسبة P/F {pfRatio} تستوفي معيار الأكسجة في تعريف برلين لمتلازمة الضائقة التنفسية الحادة المتوسطة (يتطلب PEEP/CPAP ≥ 5 cmH₂O وعتامات ثنائية الجانب وبدءًا حادًا).',
+    'oxygenation.findings.ARDS_SEVERE': 'نسبة P/F {pfRatio} تستوفي معيار الأكسجة في تعريف برلين لمتلازمة الضائقة التنفسية الحادة الشديدة (يتطلب PEEP/CPAP ≥ 5 cmH₂O وعتامات ثنائية الجانب وبدءًا حادًا).',
+    'oxygenation.findings.PF_RATIO_NORMAL': 'نسبة P/F {pfRatio} أعلى من عتبة برلين لمتلازمة الضائقة التنفسية الحادة ({limit}).',
+    'oxygenation.findings.TYPE_1': 'فشل تنفسي من النمط 1 (نقص الأكسجة): PaO₂ < {limit} مع PaCO₂ طبيعي أو منخفض.',
+    'oxygenation.findings.TYPE_1_HYPERCAPNIA': 'فشل تنفسي من النمط 1 (نقص الأكسجة): PaO₂ < {limit}.',
+    'oxygenation.findings.TYPE_2': 'فشل تنفسي من النمط 2 (فرط ثاني أكسيد الكربون): PaCO₂ > {limit} مع {criteria}.',
+    'oxygenation.findings.PURE_HYPOVENTILATION': 'مدروج A-a الطبيعي يوحي بنقص تهوية صرف.',
+    'oxygenation.findings.MILD_HYPOXEMIA': 'نقص أكسجة خفيف دون معايير الفشل التنفسي.',
+    'oxygenation.findings.HYPERCAPNIA': 'فرط ثاني أكسيد الكربون (PaCO₂ {paco2}) دون معايير الفشل التنفسي من النمط 2 (PaCO₂ > {limit} مع حماض دم أو نقص أكسجة).',
+    'oxygenation.findings.HYPERCAPNIA_ISOLATED': 'فرط ثاني أكسيد الكربون (PaCO₂ {paco2}) دون معايير الفشل التنفسي من النمط 2 (PaCO₂ > {limit} مع حماض دم أو نقص أكسجة)، مثل المعاوضة لقلاء استقلابي.',
+    'oxygenation.criteria.acidemia': 'حماض دم',
+    'oxygenation.criteria.hypoxemia': 'نقص أكسجة',
+    'oxygenation.defaults.fio2': 'FiO₂ (%)',
+    'oxygenation.defaults.patm': 'الضغط الجوي',
+    'oxygenation.defaults.rq': 'الحاصل التنفسي',
+    'oxygenation.assumptions.DEFAULT_VALUE': 'لم يُدخَل {field}، افتُرضت القيمة {value}.',
+    'oxygenation.assumptions.AGE_MISSING': 'لم يُدخَل العمر: قورن مدروج A-a بحد البالغين الشباب البالغ {limit}.',
+    'oxygenation.assumptions.PEDIATRIC_ARDS': 'تصنيف برلين لمتلازمة الضائقة التنفسية الحادة مستمد من البالغين؛ تُصنَّف المتلازمة لدى الأطفال (PALICC) بمؤشر الأكسجة أو نسبة SpO₂/FiO₂.',
+    'cordGas.checks.VENOUS_MISSING': 'لم يُدخَل pH وPCO₂ الوريديان السُّرّيان: لا يمكن تأكيد المنشأ الشرياني للعينة.',
+    'cordGas.checks.PH_SWAPPED': 'pH الشرياني ({arterial}) أعلى من pH الوريدي ({venous}): العينتان على الأرجح مبدَّلتان.',
+    'cordGas.checks.PH_DIFFERENCE_LOW': 'فرق pH الوريدي الشرياني {difference} أقل من {limit}: قد تكون العينتان من الوعاء نفسه (عادةً الوريد).',
+    'cordGas.checks.PH_DIFFERENCE_OK': 'فرق pH الوريدي الشرياني {difference} (≥ {limit}).',
+    'cordGas.checks.PCO2_SWAPPED': 'PCO₂ الشرياني أقل من PCO₂ الوريدي: العينتان على الأرجح مبدَّلتان.',
+    'cordGas.checks.PCO2_DIFFERENCE_LOW': 'فرق PCO₂ الشرياني الوريدي {difference} أقل من {limit}: قد تكون العينتان من الوعاء نفسه.',
+    'cordGas.checks.PCO2_DIFFERENCE_OK': 'فرق PCO₂ الشرياني الوريدي {difference} (≥ {limit}).',
+    'cordGas.findings.summary': 'pH الشرياني السُّرّي {ph}، عجز القاعدة {baseDeficit} mmol/L ({source})',
+    'cordGas.findings.NORMAL': '{summary}: لا يوجد حماض دم مهم عند الولادة.',
+    'cordGas.findings.RESPIRATORY': '{summary}: حماض دم تنفسي (عجز القاعدة < {limit} mmol/L)، ينتج عادةً عن انضغاط حاد للحبل السري أو أحداث الولادة ولا يرتبط بأذية نقص التأكسج والتروية.',
+    'cordGas.findings.METABOLIC': '{summary}: حماض استقلابي (عجز القاعدة ≥ {limit} mmol/L)، يدل على نقص أكسجة مهم أثناء الولادة.',
+    'cordGas.findings.MIXED': '{summary}: حماض تنفسي واستقلابي مختلط (عجز القاعدة ≥ {limit} mmol/L)، يدل على نقص أكسجة مهم أثناء الولادة.',
+    'cordGas.findings.HYPOXIC_ISCHEMIC_ACIDOSIS': 'pH شرياني < {ph} مع عجز قاعدة ≥ {baseDeficit} mmol/L يستوفي معيار ACOG/AAP للحماض بنقص التأكسج والتروية أثناء الولادة: قيّم الوليد بحثًا عن اعتلال دماغي بنقص التأكسج والتروية.',
+    'cordGas.findings.SEVERE_RESPIRATORY_ACIDEMIA': 'حماض دم شديد (pH < {ph}) منشؤه تنفسي في الغالب.',
+    'cordGas.findings.INVALID_PAIR': 'فسّر بحذر: لم تجتز العينتان المقترنتان فحوص الصلاحية الشريانية/الوريدية.',
+
+    // --- Severity grading and critical values ---
+    'severity.none': 'لا يوجد',
+    'severity.mild': 'خفيف',
+    'severity.moderate': 'متوسط',
+    'severity.severe': 'شديد',
+    'severity.life_threatening': 'مهدد للحياة',
+    'critical.title': 'قيمة حرجة',
+    'critical.titleMany': 'قيم حرجة',
+    'critical.notify': ' — أبلغ الطبيب المسؤول وتحقق من النتيجة.',
+    'critical.low': '{field} {value} أقل من الحد الحرج ({limit})',
+    'critical.high': '{field} {value} أعلى من الحد الحرج ({limit})',
+    'critical.dismiss': 'إخفاء',
+    'critical.fields.ca': 'Ca²⁺ المتأين',
+    'critical.fields.glucose': 'الغلوكوز',
+    'critical.fields.lactate': 'اللاكتات',
+    'severity.title': 'الشدة',
+    'acidBaseMap.title': 'خريطة الحمض والقاعدة',
+    'acidBaseMap.info': 'مخطط pH–HCO₃⁻ (دافنبورت). كل شريط مظلل هو موضع اضطراب بسيط مع المعاوضة المتوقعة، وتحدّه معادلات الخطوة 4؛ والخطوط المتقطعة هي خطوط تساوي PaCO₂. وقوع النقطة خارج جميع الأشرطة يوحي باضطراب مختلط.',
+    'acidBaseMap.hint': 'مرّر المؤشر فوق شريط أو حدّده لمعرفة كيفية اشتقاقه.',
+    'acidBaseMap.ariaLabel': 'خريطة الحمض والقاعدة',
+    'acidBaseMap.isopleths': 'خطوط تساوي PaCO₂',
+    'acidBaseMap.patient': 'المريض: pH {ph}، PaCO₂ {paco2}، HCO₃⁻ {hco3} mmol/L',
+    'acidBaseMap.bands.normal': 'المدى المرجعي',
+    'acidBaseMap.bands.metabolicAcidosis': 'حماض استقلابي',
+    'acidBaseMap.bands.metabolicAlkalosis': 'قلاء استقلابي',
+    'acidBaseMap.bands.acuteRespiratoryAcidosis': 'حماض تنفسي حاد',
+    'acidBaseMap.bands.chronicRespiratoryAcidosis': 'حماض تنفسي مزمن',
+    'acidBaseMap.bands.acuteRespiratoryAlkalosis': 'قلاء تنفسي حاد',
+    'acidBaseMap.bands.chronicRespiratoryAlkalosis': 'قلاء تنفسي مزمن',
+    'acidBaseMap.explain.normal': 'المدى المرجعي لهذه العينة: pH {ph}، HCO₃⁻ {hco3} mmol/L.',
+    'acidBaseMap.explain.metabolicAcidosis': 'انخفاض أولي في HCO₃⁻ مع المعاوضة التنفسية المتوقعة (فرط التهوية).',
+    'acidBaseMap.explain.metabolicAlkalosis': 'ارتفاع أولي في HCO₃⁻ مع المعاوضة التنفسية المتوقعة (نقص التهوية).',
+    'acidBaseMap.explain.acuteRespiratoryAcidosis': 'ارتفاع أولي في PaCO₂ تعادله الدوارئ النسيجية فقط، قبل المعاوضة الكلوية.',
+    'acidBaseMap.explain.chronicRespiratoryAcidosis': 'ارتفاع أولي في PaCO₂ مع احتباس كلوي لـ HCO₃⁻ (بعد 3-5 أيام).',
+    'acidBaseMap.explain.acuteRespiratoryAlkalosis': 'انخفاض أولي في PaCO₂ تعادله الدوارئ النسيجية فقط، قبل المعاوضة الكلوية.',
+    'acidBaseMap.explain.chronicRespiratoryAlkalosis': 'انخفاض أولي في PaCO₂ مع إطراح كلوي لـ HCO₃⁻ (بعد 2-3 أيام).',
+    'acidBaseMap.formula.WINTERS': 'معادلة وينتر: PaCO₂ المتوقع = 1.5 × HCO₃⁻ + 8 ± {tolerance} mmHg.',
+    'acidBaseMap.formula.METABOLIC_ALKALOSIS': 'PaCO₂ المتوقع = {paco2Normal} + {slope} × (HCO₃⁻ − {hco3Normal}) ± {tolerance} mmHg.',
+    'acidBaseMap.formula.RESPIRATORY': 'HCO₃⁻ المتوقع = {hco3Normal} + {slope} × (PaCO₂ − {paco2Normal}) ± {tolerance} mmol/L.',
+    'acidBaseMap.point.normal': 'تقع نقطة المريض ضمن المدى المرجعي.',
+    'acidBaseMap.point.within': 'تقع نقطة المريض في شريط: {bands}.',
+    'acidBaseMap.point.outside': 'تقع نقطة المريض خارج جميع أشرطة الاضطرابات البسيطة، مما يوحي باضطراب مختلط.',
+    'encounter.label': 'المريض / الزيارة',
+    'encounter.none': 'لا شيء (عينة مفردة)',
+    'encounter.option': '{label} ({count} عينات)',
+    'encounter.newPlaceholder': 'زيارة جديدة، مثل السرير 4',
+    'encounter.create': 'إنشاء',
+    'encounter.delete': 'حذف الزيارة',
+    'encounter.deleteConfirm': 'هل تريد حذف الزيارة "{label}" وعيناتها البالغ عددها {count}؟',
+    'encounter.sampleTime': 'وقت العينة',
+    'trend.title': 'العينات المتتالية: {label}',
+    'trend.info': 'عينات هذه الزيارة عبر الزمن. يقارن الاتجاه بين العينة الأولى والأخيرة؛ كما تحدد قيم PaCO₂ السابقة ما إذا كانت المعاوضة التنفسية حادة أم مزمنة.',
+    'trend.add': 'أضف هذه النتيجة ({time})',
+    'trend.added': 'أضيفت إلى الزيارة',
+    'trend.empty': 'لا توجد عينات بعد: حلّل عينة وأضفها إلى الزيارة.',
+    'trend.needMore': 'أضف عينة ثانية لرؤية الاتجاه.',
+    'trend.time': 'الوقت',
+    'trend.interpretation': 'التفسير',
+    'trend.remove': 'إزالة العينة',
+    'trend.charts.anionGap': 'الفجوة الأنيونية (mmol/L)',
+    'trend.charts.lactate': 'اللاكتات ({unit})',
+    'trend.fields.anionGap': 'AG',
+    'trend.fields.lactate': 'اللاكتات',
+    'trend.summary': 'خلال {hours} ساعة ({count} عينات): {findings}.',
+    'trend.noChange': 'خلال {hours} ساعة ({count} عينات): لا تغيّر حمضي قاعدي مهم.',
+    'trend.process.IMPROVING': '{disorder} يتحسن ({values})',
+    'trend.process.WORSENING': '{disorder} يتفاقم ({values})',
+    'trend.process.UNCHANGED': '{disorder} دون تغيير ({values})',
+    'trend.process.RESOLVED': 'زوال {disorder} ({values})',
+    'trend.process.NEW': '{disorder} جديد ({values})',
+    'trend.ANION_GAP_CLOSING': 'الفجوة الأنيونية تنغلق ({values})',
+    'trend.ANION_GAP_CLOSED': 'انغلقت الفجوة الأنيونية ({values})',
+    'trend.ANION_GAP_WIDENING': 'الفجوة الأنيونية تتسع ({values})',
+    'trend.NAGMA_UNMASKED': 'ظهور حماض استقلابي بفجوة أنيونية طبيعية كان مقنّعاً',
+    'trend.LACTATE_CLEARING': 'تصفية اللاكتات ({values}، تصفية {clearance}%)',
+    'trend.LACTATE_RISING': 'اللاكتات يرتفع ({values})',
+    'trend.LACTATE_PERSISTENT': 'اللاكتات مرتفع باستمرار ({values})',
+    'history.title': 'سجل التحاليل',
+    'history.info': 'تُحفظ التحاليل في هذا المتصفح فقط. أعد فتح تحليل لعرض نتائجه، أو انسخه لتعديل القيم.',
+    'history.search': 'ابحث عن مريض أو ملف',
+    'history.allDisorders': 'كل الاضطرابات',
+    'history.from': 'من',
+    'history.to': 'إلى',
+    'history.count': '{count} من {total} تحليل',
+    'history.empty': 'لا توجد تحاليل محفوظة بعد.',
+    'history.noMatch': 'لا توجد تحاليل مطابقة للمرشحات.',
+    'history.noPatient': 'بدون اسم مريض',
+    'history.reopen': 'إعادة فتح',
+    'history.duplicate': 'نسخ وتعديل',
+    'history.delete': 'حذف',
+    'history.deleteConfirm': 'حذف تحليل {time}؟',
+    'history.source.manual': 'إدخال يدوي',
+    'history.source.ocr': 'صورة (OCR)',
+    'history.source.ocrFile': 'صورة (OCR): {file}',
+    'history.source.hl7': 'رسالة HL7: {specimen}',
+    'history.source.hl7File': 'HL7 ({file}): {specimen}',
+    'history.source.batch': 'دفعة: {file}، الصف {row}',
+    'history.source.link': 'رابط مشترك',
+    'history.source.pdf': 'PDF: {file}',
+    'history.source.pdfPage': 'PDF: {file}، صفحة {page}',
+    'history.unavailable': 'السجل غير متاح في هذا المتصفح.',
+    'history.notSaved': 'لم يُحفظ في السجل لأنه مقفل. افتحه من تبويب السجل.',
+    'history.locked': 'السجل مشفّر. أدخل عبارة المرور لفتحه.',
+    'history.passphrase': 'عبارة المرور',
+    'history.confirmPassphrase': 'تأكيد عبارة المرور',
+    'history.unlock': 'فتح القفل',
+    'history.lock': 'قفل',
+    'history.wrongPassphrase': 'عبارة مرور خاطئة.',
+    'history.encryption': 'التشفير أثناء التخزين',
+    'history.encryptionOff': 'تُخزَّن الإدخالات دون تشفير في هذا المتصفح. عيّن عبارة مرور لتشفيرها؛ لا يمكن استعادتها إذا نُسيت.',
+    'history.encryptionOn': 'الإدخالات مشفّرة بعبارة المرور الخاصة بك.',
+    'history.setPassphrase': 'تشفير السجل',
+    'history.changePassphrase': 'تغيير عبارة المرور',
+    'history.removePassphrase': 'إزالة التشفير',
+    'history.removeConfirm': 'تخزين السجل دون تشفير مجددًا؟',
+    'history.passphraseShort': 'استخدم 8 أحرف على الأقل.',
+    'history.passphraseMismatch': 'عبارتا المرور غير متطابقتين.',
+    'history.encrypted': 'أصبح السجل مشفّرًا.',
+    'history.decrypted': 'لم يعد السجل مشفّرًا.',
+    'fhir.title': 'تصدير FHIR R4',
+    'fhir.info': 'حزمة معاملة (Bundle) تضم Observation لكل قيمة مُدخلة (رموز LOINC ووحدات UCUM) وDiagnosticReport بالتفسير واستنتاج مُرمَّز لكل اضطراب.',
+    'fhir.download': 'تنزيل حزمة FHIR',
+    'fhir.endpoint': 'عنوان URL الأساسي لخادم FHIR',
+    'fhir.send': 'إرسال إلى الخادم',
+    'fhir.sending': 'جارٍ الإرسال...',
+    'fhir.sent': 'تم الإرسال: أعاد الخادم {count} إدخالات.',
+    'fhir.sendFailed': 'تعذّر إرسال الحزمة: {message}',
+    'report.title': 'التقرير (طباعة / PDF)',
+    'report.info': 'اختر قالبًا وأكمل المعرّفات والتوقيع. تُحفظ هوية المؤسسة واسم الطبيب المُعِدّ للتقرير على هذا الجهاز؛ أما معرّفات المريض فلا تُحفظ.',
+    'report.template': 'القالب',
+    'report.templates.full': 'تقرير كامل',
+    'report.templates.summary': 'ملخص',
+    'report.templates.cord': 'غازات الحبل السري',
+    'report.identifiers': 'المريض والعينة',
+    'report.patientName': 'اسم المريض',
+    'report.patientId': 'رقم المريض',
+    'report.sampleId': 'رقم العينة',
+    'report.collectedAt': 'وقت السحب',
+    'report.signOff': 'توقيع الطبيب',
+    'report.reportedBy': 'أعدّه',
+    'report.reviewedBy': 'راجعه',
+    'report.comment': 'ملاحظة',
+    'report.name': 'الاسم',
+    'report.signature': 'التوقيع',
+    'report.dateTime': 'التاريخ والوقت',
+    'report.branding': 'هوية المؤسسة',
+    'report.institution': 'المؤسسة',
+    'report.department': 'سطر الترويسة (القسم، العنوان)',
+    'report.logo': 'الشعار',
+    'report.uploadLogo': 'رفع الشعار',
+    'report.removeLogo': 'إزالة الشعار',
+    'report.logoTooLarge': 'يجب أن يكون حجم الشعار أقل من {size} كيلوبايت.',
+    'report.print': 'طباعة',
+    'report.downloadPdf': 'تنزيل PDF',
+    'report.generating': 'جارٍ إنشاء PDF...',
+    'report.pdfFailed': 'تعذّر إنشاء ملف PDF: {message}',
+    'report.pageNumber': 'الصفحة {page} من {count}',
+    'share.share': 'مشاركة',
+    'share.info': 'كل من يفتح هذا الرابط يرى القيم نفسها ونوع العينة والإعدادات، ويُعاد التحليل على جهازه. لا يتضمن الرابط اسم المريض أو تسميته أو وقت سحب العينة.',
+    'share.link': 'رابط هذا التحليل',
+    'share.copy': 'نسخ الرابط',
+    'share.copied': 'تم نسخ الرابط إلى الحافظة.',
+    'share.copyFailed': 'تعذّر نسخ الرابط؛ حدّده وانسخه يدويًا.',
+    'share.createFailed': 'تعذّر إنشاء الرابط: {message}',
+    'share.compress': 'ضغط الرابط (رابط ورمز QR أقصر)',
+    'share.qrCode': 'رمز QR للرابط',
+    'share.tooLong': 'الرابط أطول من أن يُحوَّل إلى رمز QR.',
+    'share.invalidLink': 'تعذّر فتح الرابط المشترك: {message}',
+    'notes.title': 'ملاحظة سريرية',
+    'notes.info': 'ملاحظة بنص عادي للسجل الصحي، مُنشأة من قالب ملاحظات. عدّلها هنا عند الحاجة ثم انسخها إلى ملاحظة المتابعة؛ تشير *** إلى فراغات يجب ملؤها.',
+    'notes.template': 'القالب',
+    'notes.preview': 'نص الملاحظة',
+    'notes.copy': 'نسخ كملاحظة',
+    'notes.copied': 'تم نسخ الملاحظة إلى الحافظة.',
+    'notes.copyFailed': 'تعذّر نسخ الملاحظة؛ حدّد النص وانسخه يدويًا.',
+    'notes.discardEdits': 'تجاهل التعديلات',
+    'notes.none': 'لا يوجد',
+    'notes.settingsTitle': 'قوالب الملاحظات السريرية',
+    'notes.settingsInfo': 'قوالب لـ"نسخ كملاحظة" في النتائج. كما في العبارات الذكية للسجل الصحي الإلكتروني، تُستبدل العلامات @NAME@ بنتائج التحليل وتشير *** إلى فراغ يجب ملؤه. تُحفظ القوالب في هذا المتصفح؛ صدّرها لمشاركتها مع زملائك.',
+    'notes.name': 'اسم القالب',
+    'notes.text': 'نص القالب',
+    'notes.modifiedName': '{name} (معدّل)',
+    'notes.copyName': '{name} (نسخة)',
+    'notes.save': 'حفظ',
+    'notes.saveAsNew': 'حفظ كقالب جديد',
+    'notes.delete': 'حذف',
+    'notes.restore': 'استعادة القالب الافتراضي',
+    'notes.export': 'تصدير JSON',
+    'notes.import': 'استيراد JSON',
+    'notes.saved': 'تم حفظ "{name}".',
+    'notes.restored': 'تمت استعادة القالب الافتراضي.',
+    'notes.imported': 'تم استيراد {count} قالب.',
+    'notes.errors.INVALID_JSON': 'قوالب الملاحظات ليست بتنسيق JSON صالح: {message}',
+    'notes.errors.UNKNOWN_FORMAT': 'تنسيق قوالب ملاحظات غير معروف "{format}".',
+    'notes.errors.UNSUPPORTED_VERSION': 'إصدار قوالب ملاحظات غير مدعوم {version}.',
+    'notes.errors.EMPTY': 'لا يحتوي الملف على أي قوالب ملاحظات.',
+    'notes.errors.INVALID_TEMPLATES': 'قوالب ملاحظات غير صالحة: {problems}',
+    'notes.errors.problem': '#{index}: {problem}',
+    'notes.problems.NOT_OBJECT': 'يجب أن يكون القالب كائن JSON.',
+    'notes.problems.ID_REQUIRED': 'يحتاج القالب إلى "id" نصي.',
+    'notes.problems.NAME_REQUIRED': 'يحتاج القالب إلى "name" غير فارغ.',
+    'notes.problems.TEXT_REQUIRED': 'يحتاج القالب إلى "text" نصي.',
+    'notes.deleteConfirm': 'حذف قالب الملاحظة "{name}"؟',
+    'notes.placeholdersTitle': 'العلامات',
+    'notes.placeholdersInfo': 'القيم بوحدات العرض. تُستبدل البيانات غير المتوفرة في التحليل بـ***، وتبقى العلامات غير المعروفة كما كُتبت.',
+    'notes.placeholders.DATE': 'تاريخ العينة ووقتها (الوقت الحالي إن لم يُسجَّل)',
+    'notes.placeholders.SAMPLE': 'نوع العينة',
+    'notes.placeholders.PATIENT': 'فئة المريض',
+    'notes.placeholders.ABG': 'الاختصار pH/PaCO₂/PaO₂/HCO₃⁻',
+    'notes.placeholders.INPUTS': 'كل القيم المُدخلة، قيمة في كل سطر',
+    'notes.placeholders.CRITICAL': 'تنبيهات القيم الحرجة',
+    'notes.placeholders.QUALITY': 'مشكلات جودة العينة',
+    'notes.placeholders.STEPS': 'نتائج كل خطوة، خطوة في كل سطر',
+    'notes.placeholders.STEP1': 'نتيجة الخطوة 1 (وكذلك @STEP2@ إلى @STEP7@)',
+    'notes.placeholders.COMPENSATION': 'المعاوضة (الخطوة 4)',
+    'notes.placeholders.ANIONGAP': 'فجوة الأنيون (الخطوة 5)',
+    'notes.placeholders.INTERPRETATION': 'التفسير النهائي',
+    'notes.placeholders.SEVERITY': 'شدة الاضطرابات',
+    'notes.placeholders.DIFFERENTIALS': 'التشخيص التفريقي حسب الفئة، فئة في كل سطر',
+    'notes.placeholders.OXYGENATION': 'نتائج تقييم الأكسجة',
+    'notes.placeholders.fieldsTitle': 'القيم المفردة',
+    'notes.builtin.soap.name': 'ملاحظة SOAP',
+    'notes.builtin.soap.text': 'غازات الدم @DATE@ (@SAMPLE@)\nS: ***\nO: غازات الدم @ABG@\n@INPUTS@\nالقيم الحرجة: @CRITICAL@\nA: @INTERPRETATION@\nالمعاوضة: @COMPENSATION@\nفجوة الأنيون: @ANIONGAP@\nالشدة: @SEVERITY@\nالتشخيص التفريقي:\n@DIFFERENTIALS@\nP: ***',
+    'notes.builtin.oneLiner.name': 'ملخص في سطر واحد',
+    'notes.builtin.oneLiner.text': 'غازات الدم @DATE@ (@SAMPLE@) @ABG@: @INTERPRETATION@',
+    'notes.builtin.icuConsult.name': 'استشارة عناية مركزة مفصلة',
+    'notes.builtin.icuConsult.text': 'استشارة الحمض والقاعدة (العناية المركزة)\nالتاريخ/الوقت: @DATE@\nفئة المريض: @PATIENT@\nالعينة: @SAMPLE@\nسبب الاستشارة: ***\n\nالنتائج\nغازات الدم (pH/PaCO2/PaO2/HCO3): @ABG@\n@INPUTS@\nالقيم الحرجة: @CRITICAL@\nمشكلات جودة العينة: @QUALITY@\n\nالتحليل خطوة بخطوة\n@STEPS@\n\nالأكسجة\n@OXYGENATION@\n\nالتقييم\n@INTERPRETATION@\nالشدة: @SEVERITY@\n\nالتشخيص التفريقي\n@DIFFERENTIALS@\n\nالتوصيات\n1. ***\n2. ***\n\nنوقشت الحالة مع ***.',
+    'upload.dropzone': 'اسحب صورة أو ملف PDF وأفلته هنا أو انقر للرفع',
+    'upload.dropzoneLabel': 'رفع ملف صورة أو PDF',
+    'upload.takePhoto': 'التقاط صورة',
+    'upload.stopCamera': 'إيقاف الكاميرا',
+    'upload.selectPage': 'اختر الصفحة التي تحتوي على نتائج غازات الدم الشرياني:',
+    'upload.selectPageLabel': 'اختيار الصفحة {page} من ملف PDF',
+    'upload.thumbnailAlt': 'صورة مصغرة للصفحة {page}',
+    'upload.page': 'الصفحة {page}',
+    'upload.firstPages': 'تُعرض أول {count} صفحات.',
+    'upload.extracted': 'القيم المستخرجة (قابلة للتعديل)',
+    'upload.extractedBy': 'استخرجها Gemini',
+    'upload.analysisInProgress': 'التحليل قيد التنفيذ بالفعل...',
+    'upload.loading.image': 'جارٍ معالجة الصورة...',
+    'upload.loading.pastedImage': 'جارٍ معالجة الصورة الملصقة...',
+    'upload.loading.snapshot': 'جارٍ معالجة اللقطة...',
+    'upload.loading.pdf': 'جارٍ تحميل ملف PDF...',
+    'upload.loading.pdfDocument': 'جارٍ تحميل مستند PDF...',
+    'upload.loading.thumbnails': 'جارٍ إنشاء {count} صور مصغرة لصفحات PDF...',
+    'upload.loading.firstPages': 'تُعرض أول {count} صفحات. اختر صفحة لتحليلها.',
+    'upload.loading.selectPage': 'يرجى اختيار صورة مصغرة لصفحة لتحليلها.',
+    'upload.loading.page': 'جارٍ عرض الصفحة {page} للتحليل...',
+    'upload.loading.gemini': 'جارٍ تحليل الصورة باستخدام Gemini...',
+    'upload.errors.unsupported': 'نوع ملف غير مدعوم. يرجى رفع صورة أو ملف PDF.',
+    'upload.errors.readImage': 'خطأ في قراءة ملف الصورة.',
+    'upload.errors.readPdf': 'خطأ في قراءة ملف PDF.',
+    'upload.errors.noPages': 'لا يحتوي ملف PDF على أي صفحات.',
+    'upload.errors.loadPdf': 'تعذّر تحميل ملف PDF: {message}',
+    'upload.errors.renderPage': 'تعذّر عرض الصفحة {page}: {message}',
+    'upload.errors.camera': 'تعذّر الوصول إلى الكاميرا. الخطأ: {error}. يرجى التأكد من منح الإذن.',
+    'upload.errors.noCamera': 'لا يدعم متصفحك الوصول إلى الكاميرا.',
+    'upload.errors.apiKey': 'لم يُضبط مفتاح واجهة Gemini البرمجية. يرجى تعيين VITE_GEMINI_API_KEY في ملف .env.',
+    'upload.errors.invalidImage': 'تنسيق بيانات الصورة غير صالح لاستدعاء الواجهة البرمجية.',
+    'upload.errors.imageType': 'تعذّر تحديد نوع الصورة.',
+    'upload.errors.noResponseBody': 'تعذّرت قراءة نص استجابة الخطأ.',
+    'upload.errors.unknownApi': 'خطأ غير معروف في الواجهة البرمجية',
+    'upload.errors.api': 'خطأ في الواجهة البرمجية {status}: {message}',
+    'upload.errors.invalidJson': 'لم تكن استجابة Gemini بتنسيق JSON صالح.',
+    'upload.errors.noContent': 'لم يُرجع Gemini أي محتوى صالح.',
+    'upload.errors.noValues': 'لم يعثر Gemini على أي قيم في الصورة.',
+    'upload.errors.requestFailed': 'فشل طلب واجهة Gemini البرمجية: {message}',
+    'hl7.title': 'رسالة نتائج HL7 v2',
+    'hl7.info': 'الصق رسالة ORU^R01 أو ارفعها. تُطابَق نتائج OBX مع حقول المحلّل حسب رمز LOINC أو حسب مطابقة الرموز المحلية، وتحتفظ بوحداتها المُبلَّغ عنها.',
+    'hl7.read': 'قراءة الرسالة',
+    'hl7.upload': 'رفع ملف الرسالة',
+    'hl7.patient': 'المريض: {name} ({id})',
+    'hl7.specimens': 'العينات في الرسالة',
+    'hl7.specimen': '{label}: {sampleType}، {time} ({count} قيم)',
+    'hl7.noTime': 'وقت السحب غير مذكور',
+    'hl7.values': 'القيم المستوردة (قابلة للتعديل)',
+    'hl7.unmapped': 'نتائج بلا مطابقة: {results}',
+    'hl7.mapping': 'مطابقة الرموز المحلية',
+    'hl7.mappingInfo': 'تُعرَف رموز LOINC تلقائياً. طابِق هنا رموز الملاحظات المحلية لمختبرك (OBX-3) مع حقول المحلّل.',
+    'hl7.noMappings': 'لا توجد رموز محلية مطابَقة.',
+    'hl7.code': 'الرمز المحلي',
+    'hl7.field': 'حقل المحلّل',
+    'hl7.addMapping': 'إضافة',
+    'hl7.removeMapping': 'إزالة المطابقة',
+    'batch.title': 'التحليل الدفعي',
+    'batch.info': 'حلّل كل صف من ملف CSV أو XLSX، مثل غازات الدم السابقة لأغراض التدقيق. يجب أن يحتوي الصف الأول على أسماء الأعمدة. تُقرأ الملفات في المتصفح ولا تُرفع.',
+    'batch.upload': 'اختيار ملف CSV/XLSX',
+    'batch.file': '{file}: {rows} صفوف',
+    'batch.noRows': 'لا يحتوي الملف على صفوف بيانات.',
+    'batch.readFailed': 'تعذّرت قراءة الملف: {message}',
+    'batch.unnamedColumn': 'العمود {number}',
+    'batch.mapping': 'مطابقة الأعمدة',
+    'batch.columnHeader': 'العمود',
+    'batch.example': 'الصف الأول',
+    'batch.fieldOf': 'حقل العمود {column}',
+    'batch.ignore': '— تجاهل —',
+    'batch.defaults': 'تستخدم الصفوف التي لا تحتوي على قيمة في عمود نوع العينة أو فئة المريض هذه الإعدادات:',
+    'batch.unmappedRequired': 'طابِق عموداً مع كل حقل مطلوب: {fields}',
+    'batch.run': 'تحليل {rows} صفوف',
+    'batch.progress': 'حُلّل {done} من {total} صفوف',
+    'batch.cancel': 'إلغاء',
+    'batch.cancelled': 'أُلغيت الدفعة بعد {done} من {total} صفوف.',
+    'batch.summary': 'حُلّل {analyzed} صفوف، منها {errors} بأخطاء',
+    'batch.normal': 'حالة حمضية قاعدية طبيعية',
+    'batch.undetermined': 'غير محدد',
+    'batch.exportCsv': 'تصدير CSV',
+    'batch.exportJson': 'تصدير JSON',
+    'batch.errorsOnly': 'إظهار الصفوف ذات الأخطاء فقط',
+    'batch.row': 'الصف',
+    'batch.interpretation': 'التفسير',
+    'batch.status': 'الحالة',
+    'batch.ok': 'سليم',
+    'batch.open': 'فتح في المحلّل',
+    'batch.openRow': 'فتح الصف {row} في المحلّل',
+    'batch.previous': 'السابق',
+    'batch.next': 'التالي',
+    'batch.page': 'الصفحة {page} من {pages}',
+    'batch.errors.NOT_A_NUMBER': '{field}: «{value}» ليس رقماً',
+    'batch.errors.OUT_OF_RANGE': '{field}: {value} خارج النطاق {min}–{max} {unit}',
+    'batch.errors.MISSING_REQUIRED': 'مفقود: {fields}',
+    'batch.errors.UNKNOWN_SAMPLE_TYPE': 'نوع عينة غير معروف «{value}»',
+    'batch.errors.UNKNOWN_PATIENT_CATEGORY': 'فئة مريض غير معروفة «{value}»',
+    'batch.errors.ANALYSIS_ERROR': '{value}',
+
+    // --- Results view and printed report ---
+    'results.title': 'نتائج تحليل غازات الدم',
+    'results.profile': 'النطاقات المرجعية: {name}',
+    'results.sample': 'عينة {label}',
+    'results.sampleEstimated': ' — فُسِّرت بناءً على قيم شريانية مقدَّرة.',
+    'results.sampleRanges': ' — فُسِّرت باستخدام النطاقات المرجعية للعينة ال{label}.',
+    'results.pediatricMode': 'وضع الأطفال: {label}',
+    'results.pediatricStepsBefore': ' — الخطوات الموسومة ',
+    'results.pediatricStepsAfter': ' تستخدم نطاقات وتوقعات معاوضة خاصة بالعمر.',
+    'results.badge.cord': 'حبل سري',
+    'results.badge.pediatric': 'أطفال',
+    'results.badge.neonatal': 'حديثو الولادة',
+    'results.temperature': 'حرارة المريض {temperature} °C',
+    'results.temperatureStrategy': ' — فُسِّرت بطريقة {strategy} (قيم {values}).',
+    'results.temperatureCorrected': 'مصححة للحرارة',
+    'results.temperatureUncorrected': 'غير مصححة عند 37 °C',
+    'results.temperatureAriaLabel': 'استراتيجية التوازن الحمضي القاعدي',
+    'temperatureStrategies.alphaStat': 'ألفا-ستات',
+    'temperatureStrategies.phStat': 'pH-ستات',
+    'results.at37': 'عند 37 °C',
+    'results.atTemperature': 'عند {temperature} °C',
+    'results.quality': 'جودة العينة: خطأ محتمل قبل التحليل',
+    'results.qualityMany': 'جودة العينة: أخطاء محتملة قبل التحليل',
+    'results.qualityConfirm': ' — تحقّق من العينة قبل اتخاذ أي إجراء بناءً على هذا التفسير.',
+    'results.finalInterpretation': 'التفسير النهائي',
+    'results.cordGas': 'تقييم غازات دم الحبل السري',
+    'results.cordGasInfo': 'الزوج الصالح: يزيد pH الوريدي على الشرياني بمقدار ≥ 0.02 ويزيد PCO₂ الشرياني على الوريدي بمقدار ≥ 0.5 kPa. يدل pH شرياني < 7.00 مع عجز قاعدة ≥ 12 mmol/L على حماض استقلابي حول الولادة.',
+    'results.arterial': 'شرياني',
+    'results.venous': 'وريدي',
+    'results.baseDeficit': 'عجز القاعدة',
+    'results.baseDeficitSource': 'عجز القاعدة ({source})',
+    'results.asphyxia': ' — يحقق معيار الاختناق حول الولادة',
+    'results.sampleValidity': 'صلاحية العينة',
+    'results.sampleValidityFailed': 'صلاحية العينة (غير صالحة)',
+    'results.cord.normal': 'لا يوجد حماض دم مهم',
+    'results.cord.respiratory': 'حماض دم تنفسي',
+    'results.cord.metabolic': 'حماض استقلابي',
+    'results.cord.mixed': 'حماض تنفسي واستقلابي مختلط',
+    'results.steps': 'التحليل خطوة بخطوة (طريقة ATS)',
+    'results.stepInfo.step5': 'الفجوة الأنيونية = Na⁺ - (Cl⁻ + HCO₃⁻). الطبيعي ≈ 8-12 mmol/L. تُصحَّح لانخفاض الألبومين عند توفره.',
+    'results.stepInfo.step6': 'نسبة الدلتا = (AG - 12) / (24 - HCO₃⁻). تساعد على كشف الاضطرابات المختلطة عند ارتفاع الفجوة. أقل من 0.8 تشير إلى حماض طبيعي الفجوة مرافق، وأكثر من 1.8 إلى قلاء استقلابي مرافق. مع توفر اللاكتات، تُقسَم حصة اللاكتات من ΔAG على 1.6 (النسبة المعدَّلة باللاكتات، المتوقع 0.8-1.25).',
+    'results.stepInfo.step7': 'الحماض مرتفع الفجوة: الفجوة الأسمولية = الأسمولية المقاسة - (2·Na⁺ + الغلوكوز/18 + BUN/2.8 + الإيثانول/3.7)، وأكثر من 10 تشير إلى كحولات سامة. الحماض طبيعي الفجوة: الفجوة الأنيونية البولية = UNa⁺ + UK⁺ - UCl⁻، السالبة تشير إلى فقد هضمي والموجبة إلى فقد كلوي.',
+    'results.hyperglycemicCrisis': 'تقييم الحماض الكيتوني السكري / فرط الأسمولية',
+    'results.hyperglycemicCrisisInfo': 'ADA 2024: الحماض الكيتوني السكري = غلوكوز ≥ 200 mg/dL (أو سكري معروف)، وبيتا-هيدروكسي بيوتيرات ≥ 3.0 mmol/L، وpH < 7.30 أو HCO₃⁻ < 18. حالة فرط الأسمولية = غلوكوز ≥ 600 mg/dL، وأسمولية فعالة > 300 mOsm/kg، وpH ≥ 7.30، وHCO₃⁻ ≥ 15 دون كيتوزية مهمة.',
+    'results.differentials': 'التشخيص التفريقي',
+    'results.differentialsInfo': 'تُرتَّب الأسباب حسب الانتشار والبيانات الداعمة المتاحة (اللاكتات، الفجوة الأسمولية، فحوص البول، البوتاسيوم والسياق السريري المحدد في النموذج).',
+    'results.stewart': 'تحليل ستيوارت الفيزيائي الكيميائي',
+    'results.stewartInfo': 'SIDa = (Na⁺ + K⁺ + 2·Ca²⁺ + 2·Mg²⁺) - (Cl⁻ + اللاكتات). SIDe = HCO₃⁻ + الألبومين⁻ + الفوسفات⁻. SIG = SIDa - SIDe؛ أكثر من 2 mEq/L يشير إلى أنيونات غير مقاسة.',
+    'results.sidApparent': 'فرق الأيونات القوية الظاهري (SIDa)',
+    'results.sidEffective': 'فرق الأيونات القوية الفعّال (SIDe)',
+    'results.atot': 'Atot (الألبومين⁻ + Pi⁻)',
+    'results.atotParts': 'Atot (الألبومين⁻ {albumin} + Pi⁻ {phosphate})',
+    'results.sig': 'فجوة الأيونات القوية (SIG)',
+    'results.oxygenation': 'تقييم الأكسجة',
+    'results.oxygenationInfo': 'PAO₂ = FiO₂ × (Patm - 47) - PaCO₂/RQ. مدروج A-a = PAO₂ - PaO₂ (المتوقع ≈ العمر/4 + 4). نسبة P/F ≤ 300 / 200 / 100 = متلازمة ضائقة تنفسية حادة خفيفة / متوسطة / شديدة (برلين).',
+    'results.alveolarPo2': 'PO₂ السنخي (PAO₂)',
+    'results.alveolarPo2AtFio2': 'PO₂ السنخي (PAO₂) عند FiO₂ {fio2}%',
+    'results.aaGradient': 'مدروج A-a',
+    'results.aaGradientExpected': 'مدروج A-a (المتوقع ≤ {expected})',
+    'results.aaGradientReference': '≤ {expected} (المتوقع حسب العمر)',
+    'results.pfRatio': 'نسبة PaO₂/FiO₂',
+    'results.baseExcess': 'تجزئة زيادة القاعدة',
+    'results.baseExcessPrint': 'تجزئة زيادة القاعدة (Fencl-Story / Gilfix)',
+    'results.baseExcessInfo': 'تجزئة Fencl-Story: زيادة القاعدة المعيارية = الماء الحر + الكلور + الألبومين + اللاكتات + الأنيونات غير المقاسة (باقي Gilfix). المساهمات السالبة مُحمِّضة والموجبة مُقلِّية.',
+    'results.sbe': 'زيادة القاعدة المعيارية = {sbe} mmol/L ({source})',
+    'results.sbeMeasured': 'زيادة القاعدة المعيارية = {sbe} mmol/L ({source}؛ المحسوبة {calculated} mmol/L)',
+    'results.sbeSource.measured': 'مقاسة',
+    'results.sbeSource.calculated': 'محسوبة',
+    'results.rules': 'القواعد المنفذة ({executed} من {total})',
+    'results.ruleStatus.executed': 'نُفِّذت',
+    'results.ruleStatus.skipped': 'تم تخطيها',
+    'results.ruleStatus.not_applicable': 'غير منطبقة',
+    'results.ruleStatus.disabled': 'معطلة',
+    'results.ruleStatus.error': 'خطأ',
+    'results.ruleMissing': ' (ناقص: {fields})',
+    'results.rulesFailed': 'فشلت بعض قواعد التحليل؛ النتائج أدناه تنقصها مخرجاتها:',
+    'rules.internalConsistency': 'الخطوة 1: الاتساق الداخلي (هندرسون-هاسلبالخ)',
+    'rules.acidemiaAlkalemia': 'الخطوة 2: حماض الدم أو قلاء الدم',
+    'rules.primaryDisorder': 'الخطوة 3: الاضطراب الأولي',
+    'rules.compensation': 'الخطوة 4: المعاوضة',
+    'rules.anionGap': 'الخطوة 5: الفجوة الأنيونية',
+    'rules.deltaRatio': 'الخطوة 6: نسبة دلتا',
+    'rules.secondaryWorkup': 'الخطوة 7: الاستقصاء الثانوي (الفجوة الأسمولية وفجوات البول)',
+    'rules.interpretation': 'التفسير النهائي',
+    'rules.severity': 'تدرج الشدة والقيم الحرجة',
+    'rules.acidBaseMap': 'خريطة الحمض والقاعدة',
+    'rules.hyperglycemicCrisis': 'معايير الحماض الكيتوني السكري / حالة فرط الأسمولية',
+    'rules.stewart': 'تحليل ستيوارت الفيزيائي الكيميائي',
+    'rules.baseExcess': 'تجزئة فائض القاعدة',
+    'rules.cordGas': 'تقييم غازات دم الحبل السري',
+    'rules.oxygenation': 'تقييم الأكسجة',
+    'rules.differentials': 'التشخيص التفريقي',
+    'results.print': 'طباعة',
+    'results.newAnalysis': 'تحليل جديد',
+    'print.noResults': 'لا توجد نتائج للطباعة.',
+    'print.documentTitle': 'تقرير تحليل غازات الدم',
+    'print.title': 'تقرير المحلل الآلي لغازات الدم',
+    'print.profile': 'الملف المرجعي:',
+    'print.patientCategory': 'فئة المريض:',
+    'print.pediatricSpecific': ' — تفسير خاص بالأطفال',
+    'print.temperature': 'حرارة المريض:',
+    'print.temperatureStrategy': '{temperature} °C — استراتيجية التوازن الحمضي القاعدي: {strategy} (التحليل على قيم {values})',
+    'print.atTemperature': 'عند {temperature} °C:',
+    'print.sampleType': 'نوع العينة:',
+    'print.estimatedAnalysis': ' (أُجري التحليل على قيم شريانية مقدَّرة)',
+    'print.estimatedValues': 'القيم المقدَّرة: {values}',
+    'print.inputValues': 'القيم المدخلة',
+    'print.parameter': 'المؤشر',
+    'print.value': 'القيمة',
+    'print.normalRange': 'النطاق الطبيعي',
+    'print.reference': 'المرجع',
+    'print.component': 'المكوّن',
+    'print.contribution': 'المساهمة',
+    'print.qualityWarnings': 'تحذيرات جودة العينة',
+    'print.criticalValues': 'القيم الحرجة',
+    'print.rangeSuffix.cord': 'نطاقات الحبل السري',
+    'print.rangeSuffix.pediatric': 'نطاقات الأطفال',
+    'print.generatedOn': 'تاريخ الإنشاء: {date}',
+    'print.disclaimer': 'تنبيه: لأغراض تعليمية فقط. لا يغني عن الحكم السريري.',
+    'print.rows.baseExcess': 'زيادة القاعدة',
+    'print.rows.albumin': 'الألبومين',
+    'print.rows.lactate': 'اللاكتات',
+    'print.rows.bhb': 'بيتا-هيدروكسي بيوتيرات',
+    'print.rows.ca': 'Ca²⁺ المتأين',
+    'print.rows.mg': 'Mg²⁺',
+    'print.rows.phosphate': 'الفوسفات',
+    'print.rows.fio2Normal': '21 (هواء الغرفة)',
+    'print.rows.patm': 'الضغط الجوي',
+    'print.rows.patmNormal': '760 (مستوى سطح البحر)',
+    'print.rows.age': 'العمر',
+    'print.rows.ageUnit': 'سنة',
+    'print.rows.temperature': 'حرارة المريض',
+    'print.rows.rq': 'الحاصل التنفسي',
+    'print.rows.sosm': 'أسمولية المصل',
+    'print.rows.glucose': 'الغلوكوز',
+    'print.rows.bun': 'نيتروجين يوريا الدم (BUN)',
+    'print.rows.ethanol': 'الإيثانول',
+    'print.rows.una': 'Na⁺ البول',
+    'print.rows.uk': 'K⁺ البول',
+    'print.rows.ucl': 'Cl⁻ البول',
+    'print.rows.uosm': 'أسمولية البول',
+    'print.rows.uun': 'نيتروجين يوريا البول',
+    'print.rows.uvph': 'pH الوريد السري',
+    'print.rows.uvpco2': 'PCO₂ الوريد السري',
+    'print.rows.uvhco3': 'HCO₃⁻ الوريد السري',
+    'print.rows.uvbe': 'زيادة القاعدة في الوريد السري'
+};
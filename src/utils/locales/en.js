@@ -0,0 +1,931 @@
+/**
+ * English messages (source catalog). Other catalogs translate these ids; missing ids fall back here.
+ * Placeholders in {braces} are filled by t() (see i18n.js).
+ */
+
+export default {
+    // --- Common ---
+    'common.na': 'N/A',
+    'common.and': 'and',
+    'common.listSeparator': ', ',
+
+    // --- App shell ---
+    'app.title': 'ABG Analyzer',
+    'app.subtitle': 'Using American Thoracic Society (ATS) Six-Step Integration',
+    'app.atsLink': 'ATS Guidelines',
+    'app.atsLinkTitle': 'ATS ABG Guidelines',
+    'app.disclaimer': 'For educational purposes only. Not a substitute for clinical judgment.',
+    'app.developedBy': 'Developed by TA',
+    'app.loading': 'Loading analysis...',
+    'app.error': 'Error: {message}',
+    'app.placeholder': 'Results will appear here.',
+    'tabs.manual': 'Manual Entry',
+    'tabs.upload': 'Upload Image/PDF',
+    'tabs.hl7': 'HL7 Import',
+    'tabs.batch': 'Batch (CSV/XLSX)',
+    'tabs.settings': 'Settings',
+    'tabs.history': 'History',
+    'units.label': 'Units:',
+    'units.ariaLabel': 'Unit system',
+    'units.conventional': 'Conventional (mmHg, g/dL)',
+    'units.si': 'SI (kPa, g/L)',
+    'language.label': 'Language:',
+
+    // --- Sample type and patient category ---
+    'sampleType.label': 'Sample Type',
+    'sampleType.estimate': 'Estimate arterial values (pH, PCO₂, HCO₃⁻; PaO₂ from SpO₂)',
+    'sampleTypes.arterial': 'Arterial',
+    'sampleTypes.peripheralVenous': 'Peripheral venous',
+    'sampleTypes.centralVenous': 'Central venous',
+    'sampleTypes.mixedVenous': 'Mixed venous',
+    'sampleTypes.capillary': 'Capillary (arterialized)',
+    'sampleTypes.umbilicalArterial': 'Umbilical cord (arterial + venous pair)',
+    'sampleTypes.umbilicalVenous': 'Umbilical venous',
+    'patientCategory.label': 'Patient Category',
+    'patientCategory.auto': 'Auto (from age, adult if unknown)',
+    'patientCategories.adult': 'Adult (≥ 18 years)',
+    'patientCategories.child': 'Child (1-17 years)',
+    'patientCategories.infant': 'Infant (1-12 months)',
+    'patientCategories.neonate': 'Neonate (0-28 days)',
+
+    // --- Manual entry form ---
+    'form.sections.bloodGas': 'Blood Gas',
+    'form.sections.electrolytes': 'Electrolytes',
+    'form.sections.metabolites': 'Lactate, Ketones & Glucose',
+    'form.sections.oxygenation': 'Oxygenation',
+    'form.sections.workup': 'Osmolar & Urine Workup',
+    'form.sections.cordVenous': 'Umbilical Venous Sample',
+    'form.sections.clinicalContext': 'Clinical Context (Optional)',
+    'form.cordArterialSuffix': ' (Umbilical Arterial Sample)',
+    'form.normal': 'Normal: {range} {unit}',
+    'form.unitAriaLabel': '{label} unit',
+    'verify.parameter': 'Parameter',
+    'verify.value': 'Value',
+    'verify.unit': 'Unit',
+    'verify.source': 'Source',
+    'verify.analyze': 'Verify & Analyze',
+    'form.placeholder': 'e.g., {value}',
+    'form.errors.notNumber': 'Must be a number.',
+    'form.errors.outOfRange': 'Outside range ({min}-{max})',
+    'form.errors.invalid': 'Please correct the highlighted invalid input values.',
+    'form.errors.missingRequired': 'Analysis requires at least pH, PaCO₂, and HCO₃⁻ values. Missing: {fields}',
+    'form.clear': 'Clear Form',
+    'form.analyze': 'Analyze ABG',
+    'fields.ph': 'pH',
+    'fields.paco2': 'PaCO₂',
+    'fields.hco3': 'HCO₃⁻',
+    'fields.pao2': 'PaO₂',
+    'fields.na': 'Na⁺',
+    'fields.cl': 'Cl⁻',
+    'fields.be': 'Base Excess',
+    'fields.sao2': 'SaO₂',
+    'fields.temperature': 'Patient Temperature (Optional)',
+    'fields.temperature.normal': '37 (no correction)',
+    'fields.k': 'K⁺ (Optional)',
+    'fields.albumin': 'Albumin (Optional)',
+    'fields.ca': 'Ionized Ca²⁺ (Optional)',
+    'fields.mg': 'Mg²⁺ (Optional)',
+    'fields.phosphate': 'Phosphate (Optional)',
+    'fields.lactate': 'Lactate (Optional)',
+    'fields.bhb': 'β-Hydroxybutyrate (Optional)',
+    'fields.glucose': 'Glucose (Optional)',
+    'fields.fio2': 'FiO₂ (Optional)',
+    'fields.fio2.normal': '21 (room air)',
+    'fields.patm': 'Barometric Pressure (Optional)',
+    'fields.patm.normal': '760 (sea level)',
+    'fields.age': 'Age (Optional)',
+    'fields.spo2': 'SpO₂ (Optional)',
+    'fields.rq': 'Respiratory Quotient (Optional)',
+    'fields.sosm': 'Serum Osmolality (Optional)',
+    'fields.bun': 'BUN (Optional)',
+    'fields.ethanol': 'Ethanol (Optional)',
+    'fields.una': 'Urine Na⁺ (Optional)',
+    'fields.uk': 'Urine K⁺ (Optional)',
+    'fields.ucl': 'Urine Cl⁻ (Optional)',
+    'fields.uosm': 'Urine Osmolality (Optional)',
+    'fields.uun': 'Urine Urea Nitrogen (Optional)',
+    'fields.uvph': 'Venous pH',
+    'fields.uvpco2': 'Venous PCO₂',
+    'fields.uvhco3': 'Venous HCO₃⁻ (Optional)',
+    'fields.uvbe': 'Venous Base Excess (Optional)',
+    'context.sepsis': 'Sepsis / shock',
+    'context.diabetes': 'Diabetes mellitus',
+    'context.alcohol': 'Alcohol use disorder',
+    'context.ingestion': 'Suspected toxic ingestion',
+    'context.renalFailure': 'Kidney disease',
+    'context.diarrhea': 'Diarrhea / GI losses',
+    'context.vomiting': 'Vomiting / NG suction',
+    'context.diuretics': 'Diuretic use',
+    'context.ivFluids': 'Large-volume saline',
+    'context.sedatives': 'Opioids / sedatives',
+    'context.copd': 'COPD / chronic lung disease',
+    'context.ventilated': 'Mechanically ventilated',
+    'context.pregnancy': 'Pregnancy',
+    'context.liverDisease': 'Liver disease',
+
+    // --- Step titles and narrative (resultRenderer.js) ---
+    'steps.step1': 'Step 1: Check Internal Consistency',
+    'steps.step2': 'Step 2: Determine Acidemia or Alkalemia',
+    'steps.step3': 'Step 3: Identify Primary Disorder',
+    'steps.step4': 'Step 4: Evaluate Compensation',
+    'steps.step5': 'Step 5: Calculate Anion Gap',
+    'steps.step6': 'Step 6: Evaluate ΔAG / ΔHCO₃⁻',
+    'steps.step7': 'Step 7: Secondary Workup',
+    'step1.hydrogen': 'Measured [H⁺] ≈ {measured} nmol/L, Calculated [H⁺] ≈ {calculated} nmol/L.',
+    'step1.CONSISTENT': 'Values appear internally consistent.',
+    'step1.INCONSISTENT': 'Possible inconsistency detected.',
+    'step2.ACIDEMIA': 'Acidemia (pH {ph} < {limit})',
+    'step2.ALKALEMIA': 'Alkalemia (pH {ph} > {limit})',
+    'step2.NORMAL': 'Normal pH ({ph})',
+    'step3.RESPIRATORY_ACIDOSIS': 'Primary Respiratory Acidosis (PaCO₂ {paco2} is high)',
+    'step3.METABOLIC_ACIDOSIS': 'Primary Metabolic Acidosis (HCO₃⁻ {hco3} mmol/L is low)',
+    'step3.RESPIRATORY_ALKALOSIS': 'Primary Respiratory Alkalosis (PaCO₂ {paco2} is low)',
+    'step3.METABOLIC_ALKALOSIS': 'Primary Metabolic Alkalosis (HCO₃⁻ {hco3} mmol/L is high)',
+    'step3.MIXED_ACIDEMIA': 'Acidemia present, but PaCO₂ ({paco2}) and HCO₃⁻ ({hco3}) do not clearly indicate a single primary disorder. Mixed disorder likely.',
+    'step3.MIXED_ALKALEMIA': 'Alkalemia present, but PaCO₂ ({paco2}) and HCO₃⁻ ({hco3}) do not clearly indicate a single primary disorder. Mixed disorder likely.',
+    'step3.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'Normal pH with high PaCO₂ and high HCO₃⁻ suggests Mixed Disorder (Compensated Respiratory Acidosis + Metabolic Alkalosis).',
+    'step3.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'Normal pH with low PaCO₂ and low HCO₃⁻ suggests Mixed Disorder (Compensated Respiratory Alkalosis + Metabolic Acidosis).',
+    'step3.COMPENSATED': 'Normal pH with abnormal PaCO₂ or HCO₃⁻ suggests a fully compensated disorder or borderline values.',
+    'step3.NORMAL': 'Normal acid-base status (pH, PaCO₂, HCO₃⁻ within normal ranges).',
+    'step3.UNDETERMINED': 'Undetermined',
+    'step4.expectedPaco2': 'Expected PaCO₂ ≈ {expected} ± {tolerance}{winters}. Measured PaCO₂ = {measured}.',
+    'step4.winters': " (Winter's)",
+    'step4.expectedHco3': '{type} Compensation: Expected HCO₃⁻ ≈ {expected} ± {tolerance} mmol/L. Measured HCO₃⁻ = {measured} mmol/L.',
+    'step4.acute': 'Acute',
+    'step4.chronic': 'Chronic',
+    'step4.timeCourse.acute_onset': 'Serial samples: PaCO₂ was normal {hours} h earlier, too recent for renal compensation.',
+    'step4.timeCourse.chronic_duration': 'Serial samples: PaCO₂ has been abnormal for {hours} h, long enough for renal compensation.',
+    'step4.COMPENSATION_APPROPRIATE': 'Compensation is appropriate.',
+    'step4.ADDITIONAL_DISORDER': 'Suggests a superimposed {disorder}.',
+    'step5.anionGap': 'Anion Gap = {value} mmol/L (Normal ≈ {range}).',
+    'step5.albuminApplied': 'Albumin = {albumin}. Corrected AG ≈ {corrected} mmol/L.',
+    'step5.albuminInvalid': '(Invalid albumin value provided for correction).',
+    'step5.albuminNotNeeded': '(Albumin correction not needed).',
+    'step5.ANION_GAP_ELEVATED': 'Elevated Anion Gap.',
+    'step5.ANION_GAP_NORMAL': 'Normal Anion Gap.',
+    'step5.additionalHagma': 'Suggests additional High AG Metabolic Acidosis.',
+    'partition.summary': 'Gap excess {excess} mmol/L: {parts}.',
+    'partition.part': '{label} {value} ({share}%)',
+    'partition.parts.lactate': 'lactate',
+    'partition.parts.ketones': 'β-hydroxybutyrate',
+    'partition.parts.unexplained': 'unexplained',
+    'partition.LACTIC_ACIDOSIS': 'Lactate accounts for a significant part of the gap excess: lactic acidosis.',
+    'partition.KETOACIDOSIS': 'Ketones account for a significant part of the gap excess: ketoacidosis.',
+    'partition.MIXED_LACTIC_KETOACIDOSIS': 'Mixed lactic acidosis and ketoacidosis.',
+    'partition.UNEXPLAINED_ANIONS': 'Gap excess not explained by lactate or ketones: consider toxic alcohols, uremia, salicylate or other unmeasured anions.',
+    'partition.unexplainedRemains': 'A significant unexplained gap remains (additional unmeasured anions).',
+    'partition.unexplainedRemainsKetones': 'A significant unexplained gap remains (unmeasured acetoacetate or additional unmeasured anions).',
+    'partition.missing': '({items} not provided)',
+    'partition.missing.lactate': 'lactate',
+    'partition.missing.bhb': 'β-hydroxybutyrate',
+    'step6.DELTA_HCO3_ZERO': 'Delta Ratio not calculable (ΔHCO₃⁻ is 0). High AG with normal HCO₃⁻ suggests concurrent Metabolic Alkalosis.',
+    'step6.DELTA_HCO3_NEGATIVE': 'Delta Ratio interpretation complex (ΔHCO₃⁻ is negative: {value}). High AG with elevated HCO₃⁻ suggests concurrent Metabolic Alkalosis.',
+    'step6.ratio': 'Delta Ratio (ΔAG/ΔHCO₃⁻) = {ratio}. (Normal AG adjusted to {normal} if albumin provided).',
+    'step6.lactateAdjusted': 'Lactate-adjusted ratio = {ratio} (lactate {lactate} mmol/L weighted 1/1.6).',
+    'step6.ratioLabel': 'Ratio',
+    'step6.adjustedRatioLabel': 'Adjusted ratio',
+    'step6.CONCURRENT_NAGMA': '{label} < {limit} suggests concurrent Normal Anion Gap Metabolic Acidosis (NAGMA).',
+    'step6.CONCURRENT_METABOLIC_ALKALOSIS': '{label} > {limit} suggests concurrent Metabolic Alkalosis.',
+    'step6.PURE_HAGMA': '{label} ≈ {low}-{high} is consistent with uncomplicated High Anion Gap Metabolic Acidosis.',
+    'workup.osmolarGap.skipped': 'Serum osmolar gap skipped: measured osmolality, Na⁺, glucose and BUN are required.',
+    'workup.osmolarGap.value': 'Serum Osmolar Gap = {gap} mOsm/kg (Measured {measured}, Calculated {calculated}{ethanol}).',
+    'workup.osmolarGap.ethanolAdjusted': ', ethanol-adjusted',
+    'workup.osmolarGap.MARKEDLY_ELEVATED': 'Markedly elevated gap with HAGMA strongly suggests toxic alcohol ingestion (methanol, ethylene glycol).',
+    'workup.osmolarGap.ELEVATED': 'Elevated gap: consider toxic alcohols; ketoacidosis, lactic acidosis and renal failure can also raise it modestly.',
+    'workup.osmolarGap.NORMAL': 'Normal osmolar gap (≤ {limit}) makes significant toxic alcohol ingestion less likely (but does not exclude a late presentation).',
+    'workup.urineAnionGap.skipped': 'Urine anion gap skipped: urine Na⁺, K⁺ and Cl⁻ are required.',
+    'workup.urineAnionGap.value': 'Urine Anion Gap = {value} mmol/L.',
+    'workup.urineAnionGap.NEGATIVE': 'Negative UAG indicates appropriate urinary NH₄⁺ excretion: suggests extrarenal (GI) bicarbonate loss, e.g. diarrhea.',
+    'workup.urineAnionGap.POSITIVE': 'Positive UAG indicates impaired urinary NH₄⁺ excretion: suggests a renal cause (distal RTA, hypoaldosteronism/type 4 RTA, renal failure).',
+    'workup.urineOsmolalGap.skipped': 'Urine osmolal gap skipped: urine Na⁺, K⁺ and urea nitrogen are required.',
+    'workup.urineOsmolalGap.value': 'Urine Osmolal Gap = {gap} mOsm/kg (estimated urine NH₄⁺ ≈ {ammonium} mmol/L).',
+    'workup.urineOsmolalGap.ADEQUATE': 'Adequate NH₄⁺ excretion supports GI bicarbonate loss; more reliable than the UAG when unmeasured urine anions (ketones, hippurate) are present.',
+    'workup.urineOsmolalGap.LOW': 'Low NH₄⁺ excretion supports a renal tubular acidosis.',
+    'workup.urineOsmolalGap.INDETERMINATE': 'Indeterminate NH₄⁺ excretion.',
+    'status.HCO3_ZERO': 'Inconsistency: HCO₃⁻ cannot be zero.',
+    'status.CORD_SAMPLE': 'Not Applicable: compensation is not assessed in umbilical cord samples (fetal gas exchange is placental).',
+    'status.NO_SINGLE_PRIMARY_DISORDER': 'Compensation assessment skipped (Mixed, Normal, or Undetermined Primary).',
+    'status.FULL_COMPENSATION': 'Full compensation (pH is within normal range).',
+    'status.UNKNOWN_PRIMARY_DISORDER': 'Error: Unknown primary disorder for compensation check.',
+    'status.INVALID_ELECTROLYTES': 'Cannot calculate Anion Gap: Invalid Na⁺, Cl⁻, or HCO₃⁻ value.',
+    'status.ELECTROLYTES_MISSING': 'Skipped: Na⁺ and Cl⁻ values required for Anion Gap calculation.',
+    'status.INVALID_INPUT': 'Cannot calculate Delta Ratio: Invalid AG or HCO₃⁻ value.',
+    'status.ANION_GAP_NOT_ELEVATED': 'Not Applicable: Anion gap is not elevated.',
+    'status.NOT_METABOLIC_ACIDOSIS': 'Not Applicable: Primary disorder is not metabolic acidosis.',
+    'status.ANION_GAP_UNAVAILABLE': 'Skipped: Anion gap calculation was skipped or failed.',
+    'status.NO_METABOLIC_ACIDOSIS': 'Not Applicable: No high or normal anion gap metabolic acidosis detected.',
+    'disorders.METABOLIC_ACIDOSIS': 'metabolic acidosis',
+    'disorders.HIGH_ANION_GAP_METABOLIC_ACIDOSIS': 'high anion gap metabolic acidosis',
+    'disorders.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS': 'normal anion gap metabolic acidosis',
+    'disorders.METABOLIC_ALKALOSIS': 'metabolic alkalosis',
+    'disorders.RESPIRATORY_ACIDOSIS': 'respiratory acidosis',
+    'disorders.RESPIRATORY_ALKALOSIS': 'respiratory alkalosis',
+    'disorders.MIXED_ACIDEMIA': 'mixed acidemia',
+    'disorders.MIXED_ALKALEMIA': 'mixed alkalemia',
+    'disorders.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'mixed respiratory acidosis and metabolic alkalosis',
+    'disorders.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'mixed respiratory alkalosis and metabolic acidosis',
+    'disorders.COMPENSATED': 'fully compensated acid-base disorder',
+    'interpretation.ERROR': 'Analysis incomplete due to error.',
+    'interpretation.UNDETERMINED': 'Unable to determine final interpretation.',
+    'interpretation.NORMAL': 'Normal acid-base status.',
+    'interpretation.primary': 'Primary {disorder}',
+    'interpretation.completeCompensation': '{text} with complete compensation',
+    'interpretation.expectedCompensation': '{text} with expected compensation',
+    'interpretation.superimposed': '{text} and superimposed {disorders}',
+    'interpretation.sentence': '{text}.',
+
+    // --- Supplementary assessments (resultRenderer.js) ---
+    'analysisNotes.CORD_RANGES': 'Umbilical cord reference ranges applied to the arterial sample; see the cord gas assessment for perinatal acidosis.',
+    'analysisNotes.CHILD_RANGES': 'Pediatric reference ranges applied (slightly lower normal HCO₃⁻ than adults).',
+    'analysisNotes.INFANT_RANGES': 'Infant reference ranges applied: lower normal PaCO₂ and HCO₃⁻ than adults.',
+    'analysisNotes.INFANT_COMPENSATION': 'Renal compensation for chronic respiratory acidosis is less complete than in adults.',
+    'analysisNotes.NEONATE_RANGES': 'Neonatal reference ranges applied: normal HCO₃⁻ is lower (immature renal bicarbonate reabsorption).',
+    'analysisNotes.NEONATE_COMPENSATION': 'Compensation expectations are approximate in neonates; respiratory and renal responses are blunted.',
+    'analysisNotes.SPO2_FLAT_CURVE': 'SpO₂ above 97% lies on the flat part of the dissociation curve: estimated PaO₂ is unreliable.',
+    'analysisNotes.PAO2_NOT_ESTIMATED': 'PaO₂ not estimated: provide SpO₂ (pulse oximetry) below 100%.',
+    'analysisNotes.ALPHA_STAT': 'Interprets the uncorrected values measured at 37 °C (standard for adults, including cardiopulmonary bypass and therapeutic hypothermia).',
+    'analysisNotes.PH_STAT': 'Interprets the values corrected to the patient temperature (targets pH 7.40 and PaCO₂ 40 mmHg at the actual temperature; used in pediatric bypass).',
+    'analysisNotes.CORRECTED_RANGES': 'Reference ranges are the 37 °C ranges, applied to the temperature-corrected values.',
+    'analysisNotes.CORRECTED_OXYGENATION': 'Oxygenation indices use the corrected PaO₂; the alveolar gas equation still assumes water vapour pressure at 37 °C.',
+    'reasons.GLUCOSE_OR_BHB_REQUIRED': 'Glucose or β-hydroxybutyrate is required to assess DKA / HHS.',
+    'reasons.STEWART_INPUTS_REQUIRED': 'Na⁺, Cl⁻ and albumin are required for Stewart analysis.',
+    'reasons.ELECTROLYTES_REQUIRED': 'Na⁺ and Cl⁻ are required to partition the base excess.',
+    'reasons.PAO2_REQUIRED': 'PaO₂ is required for oxygenation assessment.',
+    'reasons.CORD_PO2': 'Umbilical cord PO₂ reflects placental gas exchange, not neonatal oxygenation.',
+    'reasons.VENOUS_PO2': '{sample} PO₂ does not reflect arterial oxygenation. Enable arterial estimation with an SpO₂ value instead.',
+    'errors.MISSING_REQUIRED': 'Missing or invalid required value: {field}',
+    'errors.OUT_OF_RANGE': '{field} value ({value}) is outside typical physiological range ({min} – {max}).',
+    'errors.TEMPERATURE_OUT_OF_RANGE': 'Patient temperature ({value} °C) is outside the range supported by temperature correction ({min}–{max} °C).',
+    'errors.ANALYSIS_FAILED': 'Analysis Error: {message}',
+    'quality.AIR_BUBBLE.title': 'Possible air bubble in the sample',
+    'quality.AIR_BUBBLE.explanation': 'Air trapped in the syringe pulls PO₂ towards ≈ 150 mmHg and PCO₂ towards zero, raising pH. Expel bubbles immediately after sampling and repeat the gas if the values do not fit the clinical picture.',
+    'quality.VENOUS_CONTAMINATION.title': 'Possible venous sample or venous admixture',
+    'quality.VENOUS_CONTAMINATION.explanation': 'A low PO₂ and saturation that disagree with the patient\'s oxygenation suggest the sample was venous or mixed with venous blood. Check the pulsatile flashback and consider selecting a venous sample type. A large SaO₂/PaO₂ mismatch can also come from dyshemoglobins (CO-Hb, Met-Hb) or a calculated rather than co-oximetry SaO₂.',
+    'quality.DELAYED_PROCESSING.title': 'Possible delayed processing (pseudohyperkalemia)',
+    'quality.DELAYED_PROCESSING.explanation': 'Samples left unanalyzed or unrefrigerated leak potassium from cells, consume glucose and accumulate lactate, while PO₂ falls and PCO₂ rises. Analyze blood gases within 15 minutes (30 minutes on ice).',
+    'quality.PSEUDOHYPERKALEMIA.title': 'Possible pseudohyperkalemia',
+    'quality.PSEUDOHYPERKALEMIA.explanation': 'An isolated high K⁺ without acidemia is often artefactual: hemolysis from a small needle or vigorous aspiration, fist clenching or thrombocytosis. Check for a hemolysis flag and repeat the sample before treating.',
+    'quality.BASE_EXCESS_MISMATCH.title': 'Measured base excess disagrees with the calculated value',
+    'quality.BASE_EXCESS_MISMATCH.explanation': 'The analyzer base excess should be within a few mmol/L of the standard base excess calculated from pH and HCO₃⁻ (Van Slyke). A larger difference suggests a transcription error, a value from a different sample, or an actual (in-vitro) rather than standard base excess.',
+    'quality.evidence.ROOM_AIR_PO2': 'PaO₂ {pao2} is close to room air PO₂ with a low PaCO₂ ({paco2})',
+    'quality.evidence.ABOVE_ALVEOLAR_PO2': 'PaO₂ {pao2} exceeds the calculated alveolar PO₂ ({alveolarPo2}) at FiO₂ {fio2}%',
+    'quality.evidence.SAO2_MISMATCH': 'Measured SaO₂ {sao2}% does not match the {predicted}% expected for PaO₂ {pao2}',
+    'quality.evidence.SPO2_MISMATCH': 'PaO₂ {pao2} (expected saturation {predicted}%) is too low for the pulse oximetry SpO₂ of {spo2}%',
+    'quality.evidence.VENOUS_RANGE': 'SaO₂ {sao2}% with PaO₂ {pao2} is in the venous range',
+    'quality.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L is above the reference range (≤ {limit})',
+    'quality.evidence.NO_ACIDEMIA': 'No acidemia to explain the potassium shift (pH {ph})',
+    'quality.evidence.LOW_GLUCOSE': 'Low glucose ({glucose}) consistent with in-vitro glycolysis',
+    'quality.evidence.BASE_EXCESS_MISMATCH': 'Measured BE {be} mmol/L vs calculated SBE {calculated} mmol/L',
+    'differentials.categories.hagma': 'High Anion Gap Metabolic Acidosis',
+    'differentials.categories.nagma': 'Normal Anion Gap Metabolic Acidosis',
+    'differentials.categories.metAlkChlorideResponsive': 'Chloride-Responsive Metabolic Alkalosis',
+    'differentials.categories.metAlkChlorideResistant': 'Chloride-Resistant Metabolic Alkalosis',
+    'differentials.categories.respAcidAcute': 'Acute Respiratory Acidosis',
+    'differentials.categories.respAcidChronic': 'Chronic Respiratory Acidosis',
+    'differentials.categories.respAlkAcute': 'Acute Respiratory Alkalosis',
+    'differentials.categories.respAlkChronic': 'Chronic Respiratory Alkalosis',
+    'differentials.causes.lacticAcidosis': 'Lactic acidosis (hypoperfusion, sepsis, drugs)',
+    'differentials.causes.diabeticKetoacidosis': 'Diabetic ketoacidosis',
+    'differentials.causes.alcoholicKetoacidosis': 'Alcoholic or starvation ketoacidosis',
+    'differentials.causes.toxicAlcohol': 'Toxic alcohol (methanol, ethylene glycol)',
+    'differentials.causes.uremia': 'Uremia (renal failure)',
+    'differentials.causes.salicylate': 'Salicylate toxicity',
+    'differentials.causes.otherHagma': 'Other (propylene glycol, 5-oxoproline, D-lactate)',
+    'differentials.causes.giBicarbonateLoss': 'GI bicarbonate loss (diarrhea, fistula)',
+    'differentials.causes.saline': 'Hyperchloremic acidosis from saline',
+    'differentials.causes.distalRta': 'Distal (type 1) renal tubular acidosis',
+    'differentials.causes.type4Rta': 'Type 4 RTA (hypoaldosteronism)',
+    'differentials.causes.proximalRta': 'Proximal (type 2) renal tubular acidosis',
+    'differentials.causes.earlyKidneyDisease': 'Early kidney disease',
+    'differentials.causes.vomiting': 'Vomiting or nasogastric suction',
+    'differentials.causes.remoteDiuretics': 'Remote diuretic use',
+    'differentials.causes.contractionAlkalosis': 'Contraction (volume depletion) alkalosis',
+    'differentials.causes.postHypercapnic': 'Post-hypercapnic alkalosis',
+    'differentials.causes.activeDiuretics': 'Active diuretic use',
+    'differentials.causes.mineralocorticoidExcess': 'Mineralocorticoid excess (primary hyperaldosteronism, Cushing)',
+    'differentials.causes.severeHypokalemia': 'Severe hypokalemia',
+    'differentials.causes.bartterGitelman': 'Bartter or Gitelman syndrome',
+    'differentials.causes.alkaliLoad': 'Alkali load (bicarbonate, milk-alkali)',
+    'differentials.causes.cnsDepression': 'CNS depression (opioids, sedatives, stroke)',
+    'differentials.causes.airwayObstruction': 'Airway obstruction or acute asthma/COPD exacerbation',
+    'differentials.causes.pneumoniaEdema': 'Severe pneumonia or pulmonary edema',
+    'differentials.causes.acuteNeuromuscular': 'Acute neuromuscular weakness (Guillain-Barré, myasthenia)',
+    'differentials.causes.inadequateVentilation': 'Inadequate mechanical ventilation',
+    'differentials.causes.copd': 'COPD',
+    'differentials.causes.obesityHypoventilation': 'Obesity hypoventilation syndrome',
+    'differentials.causes.chronicNeuromuscular': 'Chronic neuromuscular or chest wall disease',
+    'differentials.causes.hypoxemia': 'Hypoxemia (pulmonary embolism, pneumonia, edema)',
+    'differentials.causes.painAnxiety': 'Pain, anxiety or hyperventilation syndrome',
+    'differentials.causes.sepsis': 'Sepsis',
+    'differentials.causes.excessiveVentilation': 'Excessive mechanical ventilation',
+    'differentials.causes.pregnancy': 'Pregnancy',
+    'differentials.causes.liverDisease': 'Chronic liver disease',
+    'differentials.causes.highAltitude': 'High altitude',
+    'differentials.causes.chronicHypoxemia': 'Chronic hypoxemia or interstitial lung disease',
+    'differentials.causes.cnsDisease': 'CNS disease (tumor, infection, trauma)',
+    'differentials.evidence.LACTATE_ABOVE': 'Lactate {lactate} (> {limit})',
+    'differentials.evidence.GLUCOSE_ABOVE': 'Glucose {glucose} (> {limit})',
+    'differentials.evidence.KETOSIS': 'β-Hydroxybutyrate {bhb} (≥ {limit})',
+    'differentials.evidence.GLUCOSE_NOT_ELEVATED': 'Glucose {glucose} (not markedly elevated)',
+    'differentials.evidence.KETOSIS_WITHOUT_HYPERGLYCEMIA': 'Ketosis (β-hydroxybutyrate {bhb}) without hyperglycemia',
+    'differentials.evidence.OSMOLAR_GAP_ELEVATED': 'Osmolar gap {gap} mOsm/kg (> {limit})',
+    'differentials.evidence.BUN_ABOVE': 'BUN {bun} (> {limit})',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ALKALOSIS': 'Concurrent respiratory alkalosis',
+    'differentials.evidence.CONCURRENT_METABOLIC_ACIDOSIS': 'Concurrent metabolic acidosis',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ACIDOSIS': 'Concurrent respiratory acidosis (PaCO₂ {paco2})',
+    'differentials.evidence.URINE_ANION_GAP_NEGATIVE': 'Urine anion gap {gap} (negative)',
+    'differentials.evidence.URINE_ANION_GAP_POSITIVE': 'Urine anion gap {gap} (positive)',
+    'differentials.evidence.URINE_OSMOLAL_GAP_HIGH': 'Urine osmolal gap {gap} (≥ {limit})',
+    'differentials.evidence.URINE_OSMOLAL_GAP_LOW': 'Urine osmolal gap {gap} (< {limit})',
+    'differentials.evidence.CHLORIDE_ABOVE': 'Cl⁻ {cl} mmol/L (> {limit})',
+    'differentials.evidence.POTASSIUM_LOW': 'K⁺ {k} mmol/L (low)',
+    'differentials.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L (high)',
+    'differentials.evidence.POTASSIUM_BELOW': 'K⁺ {k} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_BELOW': 'Urine Cl⁻ {ucl} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_ABOVE': 'Urine Cl⁻ {ucl} mmol/L (> {limit})',
+    'differentials.evidence.PURE_HYPOVENTILATION': 'Normal A-a gradient (pure hypoventilation)',
+    'differentials.evidence.NORMAL_AA_GRADIENT': 'Normal A-a gradient',
+    'differentials.evidence.AA_GRADIENT_ELEVATED': 'A-a gradient {aaGradient} (elevated)',
+    'differentials.evidence.PAO2_BELOW': 'PaO₂ {pao2} (< {limit})',
+    'differentials.evidence.LOW_BAROMETRIC_PRESSURE': 'Barometric pressure {patm}',
+    'differentials.evidence.CONTEXT': 'Clinical context: {context}',
+    'differentials.evidence.IMPAIRED_BICARBONATE_EXCRETION': 'Clinical context: kidney disease (impaired HCO₃⁻ excretion)',
+    'differentials.notes.ANION_GAP_UNAVAILABLE': 'Anion gap unavailable: provide Na⁺ and Cl⁻ to distinguish HAGMA from NAGMA.',
+    'differentials.notes.URINE_CHLORIDE_MISSING': 'Urine Cl⁻ not provided: both chloride-responsive and resistant causes listed.',
+    'differentials.notes.URINE_CHLORIDE': 'Urine Cl⁻ {ucl} mmol/L.',
+    'differentials.notes.CLASSIFIED_ACUTE': 'Classified as acute from the compensation pattern.',
+    'differentials.notes.CLASSIFIED_CHRONIC': 'Classified as chronic from the compensation pattern.',
+    'differentials.notes.CHRONICITY_UNDETERMINED': 'Chronicity not determined: acute and chronic causes listed.',
+    'crisis.criteria.GLUCOSE_ABOVE': 'Glucose {glucose} ≥ {limit}',
+    'crisis.criteria.GLUCOSE_BELOW': 'Glucose {glucose} < {limit}',
+    'crisis.criteria.GLUCOSE_BELOW_DIABETES': 'Glucose {glucose} < {limit} (known diabetes)',
+    'crisis.criteria.BHB_ABOVE': 'β-Hydroxybutyrate {bhb} ≥ {limit}',
+    'crisis.criteria.BHB_BELOW': 'β-Hydroxybutyrate {bhb} < {limit}',
+    'crisis.criteria.BHB_MISSING': 'β-Hydroxybutyrate not provided',
+    'crisis.criteria.ACIDOSIS': 'Acidosis (pH {ph} < 7.30 or HCO₃⁻ {hco3} < 18 mmol/L)',
+    'crisis.criteria.OSMOLALITY_ABOVE': 'Effective osmolality {osmolality} mOsm/kg > {limit}',
+    'crisis.criteria.OSMOLALITY_NOT_ABOVE': 'Effective osmolality {osmolality} mOsm/kg ≤ {limit}',
+    'crisis.criteria.OSMOLALITY_NEEDS_SODIUM': 'Effective osmolality needs Na⁺',
+    'crisis.findings.DKA_HHS_OVERLAP': 'Overlapping DKA and HHS: ketoacidosis with glucose {glucose} and effective osmolality {osmolality} mOsm/kg.',
+    'crisis.findings.DKA': 'Diabetic ketoacidosis ({severity}).',
+    'crisis.findings.HHS': 'Hyperosmolar hyperglycemic state: glucose {glucose}, effective osmolality {osmolality} mOsm/kg without significant ketoacidosis.',
+    'crisis.findings.EUGLYCEMIC_DKA': 'Euglycemic DKA: ketoacidosis in a patient with diabetes and glucose below the DKA threshold (consider SGLT2 inhibitors, pregnancy, reduced intake).',
+    'crisis.findings.NON_DIABETIC_KETOACIDOSIS': 'Ketoacidosis without hyperglycemia: consider alcoholic or starvation ketoacidosis, or euglycemic DKA if diabetic.',
+    'crisis.findings.KETOACIDOSIS_GLUCOSE_MISSING': 'Ketoacidosis without hyperglycemia (glucose not provided): consider alcoholic or starvation ketoacidosis, or euglycemic DKA if diabetic.',
+    'crisis.findings.MEASURE_BHB': 'Hyperglycemia with acidosis: measure β-hydroxybutyrate to confirm or exclude DKA.',
+    'crisis.findings.NONE': 'DKA / HHS criteria not met.',
+    'stewart.findings.LOW_SID': 'Low apparent SID ({sid} mEq/L) indicates a strong ion metabolic acidosis.',
+    'stewart.findings.HIGH_SID': 'High apparent SID ({sid} mEq/L) indicates a strong ion metabolic alkalosis.',
+    'stewart.findings.HYPERCHLOREMIA': 'Corrected Cl⁻ {chloride} mmol/L is high relative to Na⁺ (hyperchloremic component).',
+    'stewart.findings.HYPOALBUMINEMIA': 'Hypoalbuminemia (Albumin {albumin}) lowers Atot and exerts an alkalinizing effect.',
+    'stewart.findings.SIG_ELEVATED': 'Elevated strong ion gap ({sig} mEq/L) indicates unmeasured anions.',
+    'stewart.findings.ANIONS_MASKED': 'Unmeasured anions are masked by hypoalbuminemia: the uncorrected anion gap appears normal.',
+    'stewart.findings.SIG_NEGATIVE': 'Negative strong ion gap ({sig} mEq/L) suggests unmeasured cations or measurement error.',
+    'stewart.findings.NORMAL': 'No strong ion or weak acid abnormality detected.',
+    'stewart.findings.IONS_OMITTED': 'Not provided (excluded from calculation): {ions}.',
+    'stewart.ions.k': 'K⁺',
+    'stewart.ions.ca': 'Ca²⁺',
+    'stewart.ions.mg': 'Mg²⁺',
+    'stewart.ions.lactate': 'Lactate',
+    'stewart.ions.phosphate': 'Phosphate',
+    'baseExcess.components.freeWater': 'Free water (Na⁺)',
+    'baseExcess.components.chloride': 'Chloride',
+    'baseExcess.components.albumin': 'Albumin',
+    'baseExcess.components.lactate': 'Lactate',
+    'baseExcess.components.unmeasuredAnions': 'Unmeasured anions',
+    'baseExcess.findings.FREE_WATER_EXCESS': 'Free water excess (dilutional acidosis): {value} mmol/L.',
+    'baseExcess.findings.FREE_WATER_DEFICIT': 'Free water deficit (contraction alkalosis): {value} mmol/L.',
+    'baseExcess.findings.HYPERCHLOREMIC_ACIDOSIS': 'Hyperchloremic acidosis: {value} mmol/L.',
+    'baseExcess.findings.HYPOCHLOREMIC_ALKALOSIS': 'Hypochloremic alkalosis: {value} mmol/L.',
+    'baseExcess.findings.HYPERALBUMINEMIC_ACIDOSIS': 'Hyperalbuminemic acidosis: {value} mmol/L.',
+    'baseExcess.findings.HYPOALBUMINEMIC_ALKALOSIS': 'Hypoalbuminemic alkalosis: {value} mmol/L.',
+    'baseExcess.findings.LACTIC_ACIDOSIS': 'Lactic acidosis: {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_ANIONS': 'Unmeasured anion acidosis: {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_CATIONS': 'Unmeasured cation effect or measurement error: {value} mmol/L.',
+    'baseExcess.findings.NO_SIGNIFICANT_COMPONENT': 'No base excess component exceeds ±2 mmol/L.',
+    'baseExcess.findings.ALBUMIN_MISSING': 'Albumin not provided: albumin effect assumed to be zero.',
+    'baseExcess.findings.LACTATE_MISSING': 'Lactate not provided: lactate effect included in unmeasured anions.',
+    'oxygenation.findings.AA_GRADIENT_ELEVATED': 'A-a gradient {aaGradient} is above the age-expected limit (≤ {expected}), indicating V/Q mismatch, shunt or diffusion impairment.',
+    'oxygenation.findings.AA_GRADIENT_NORMAL': 'A-a gradient {aaGradient} is within the age-expected limit (≤ {expected}).',
+    'oxygenation.findings.ARDS_MILD': 'P/F ratio {pfRatio} meets the Berlin oxygenation criterion for mild ARDS (requires PEEP/CPAP ≥ 5 cmH₂O, bilateral opacities and acute onset).',
+    'oxygenation.findings.ARDS_MODERATE': 'P/F ratio {pfRatio} meets the Berlin oxygenation criterion for moderate ARDS (requires PEEP/CPAP ≥ 5 cmH₂O, bilateral opacities and acute onset).',
+    'oxygenation.findings.ARDS_SEVERE': 'P/F ratio {pfRatio} meets the Berlin oxygenation criterion for severe ARDS (requires PEEP/CPAP ≥ 5 cmH₂O, bilateral opacities and acute onset).',
+    'oxygenation.findings.PF_RATIO_NORMAL': 'P/F ratio {pfRatio} is above the Berlin ARDS threshold ({limit}).',
+    'oxygenation.findings.TYPE_1': 'Type 1 (hypoxemic) respiratory failure: PaO₂ < {limit} with normal or low PaCO₂.',
+    'oxygenation.findings.TYPE_1_HYPERCAPNIA': 'Type 1 (hypoxemic) respiratory failure: PaO₂ < {limit}.',
+    'oxygenation.findings.TYPE_2': 'Type 2 (hypercapnic) respiratory failure: PaCO₂ > {limit} with {criteria}.',
+    'oxygenation.findings.PURE_HYPOVENTILATION': 'Normal A-a gradient suggests pure hypoventilation.',
+    'oxygenation.findings.MILD_HYPOXEMIA': 'Mild hypoxemia without respiratory failure criteria.',
+    'oxygenation.findings.HYPERCAPNIA': 'Hypercapnia (PaCO₂ {paco2}) without the criteria for type 2 respiratory failure (PaCO₂ > {limit} with acidemia or hypoxemia).',
+    'oxygenation.findings.HYPERCAPNIA_ISOLATED': 'Hypercapnia (PaCO₂ {paco2}) without the criteria for type 2 respiratory failure (PaCO₂ > {limit} with acidemia or hypoxemia), e.g. compensation for a metabolic alkalosis.',
+    'oxygenation.criteria.acidemia': 'acidemia',
+    'oxygenation.criteria.hypoxemia': 'hypoxemia',
+    'oxygenation.defaults.fio2': 'FiO₂ (%)',
+    'oxygenation.defaults.patm': 'Barometric pressure',
+    'oxygenation.defaults.rq': 'Respiratory quotient',
+    'oxygenation.assumptions.DEFAULT_VALUE': '{field} not provided, assumed {value}.',
+    'oxygenation.assumptions.AGE_MISSING': 'Age not provided: A-a gradient compared with the young adult limit of {limit}.',
+    'oxygenation.assumptions.PEDIATRIC_ARDS': 'Berlin ARDS grading is adult-derived; pediatric ARDS (PALICC) is graded with the oxygenation index or SpO₂/FiO₂.',
+    'cordGas.checks.VENOUS_MISSING': 'Umbilical venous pH and PCO₂ not provided: the arterial origin of the sample cannot be confirmed.',
+    'cordGas.checks.PH_SWAPPED': 'Arterial pH ({arterial}) is higher than venous pH ({venous}): the samples are probably swapped.',
+    'cordGas.checks.PH_DIFFERENCE_LOW': 'Venous-arterial pH difference {difference} is below {limit}: both samples may come from the same vessel (usually the vein).',
+    'cordGas.checks.PH_DIFFERENCE_OK': 'Venous-arterial pH difference {difference} (≥ {limit}).',
+    'cordGas.checks.PCO2_SWAPPED': 'Arterial PCO₂ is lower than venous PCO₂: the samples are probably swapped.',
+    'cordGas.checks.PCO2_DIFFERENCE_LOW': 'Arterial-venous PCO₂ difference {difference} is below {limit}: both samples may come from the same vessel.',
+    'cordGas.checks.PCO2_DIFFERENCE_OK': 'Arterial-venous PCO₂ difference {difference} (≥ {limit}).',
+    'cordGas.findings.summary': 'Umbilical arterial pH {ph}, base deficit {baseDeficit} mmol/L ({source})',
+    'cordGas.findings.NORMAL': '{summary}: no significant acidemia at birth.',
+    'cordGas.findings.RESPIRATORY': '{summary}: respiratory acidemia (base deficit < {limit} mmol/L), typically from acute cord compression or delivery events and not associated with hypoxic-ischemic injury.',
+    'cordGas.findings.METABOLIC': '{summary}: metabolic acidosis (base deficit ≥ {limit} mmol/L), indicating significant intrapartum hypoxia.',
+    'cordGas.findings.MIXED': '{summary}: mixed respiratory and metabolic acidosis (base deficit ≥ {limit} mmol/L), indicating significant intrapartum hypoxia.',
+    'cordGas.findings.HYPOXIC_ISCHEMIC_ACIDOSIS': 'Arterial pH < {ph} with base deficit ≥ {baseDeficit} mmol/L meets the ACOG/AAP criterion for intrapartum hypoxic-ischemic acidosis: assess the neonate for hypoxic-ischemic encephalopathy.',
+    'cordGas.findings.SEVERE_RESPIRATORY_ACIDEMIA': 'Severe acidemia (pH < {ph}) of predominantly respiratory origin.',
+    'cordGas.findings.INVALID_PAIR': 'Interpret with caution: the paired samples did not pass the arterial/venous validity checks.',
+
+    // --- Severity grading and critical values ---
+    'severity.none': 'None',
+    'severity.mild': 'Mild',
+    'severity.moderate': 'Moderate',
+    'severity.severe': 'Severe',
+    'severity.life_threatening': 'Life-threatening',
+    'critical.title': 'Critical value',
+    'critical.titleMany': 'Critical values',
+    'critical.notify': ' — notify the responsible clinician and confirm the result.',
+    'critical.low': '{field} {value} is below the critical limit ({limit})',
+    'critical.high': '{field} {value} is above the critical limit ({limit})',
+    'critical.dismiss': 'Dismiss',
+    'critical.fields.ph': 'pH',
+    'critical.fields.paco2': 'PaCO₂',
+    'critical.fields.pao2': 'PaO₂',
+    'critical.fields.hco3': 'HCO₃⁻',
+    'critical.fields.k': 'K⁺',
+    'critical.fields.na': 'Na⁺',
+    'critical.fields.ca': 'Ionized Ca²⁺',
+    'critical.fields.glucose': 'Glucose',
+    'critical.fields.lactate': 'Lactate',
+    'severity.title': 'Severity',
+    'acidBaseMap.title': 'Acid-Base Map',
+    'acidBaseMap.info': 'pH–HCO₃⁻ (Davenport) diagram. Each shaded band is where a simple disorder with the expected compensation lies, bounded by the step 4 formulas; dashed lines are PaCO₂ isopleths. A point outside every band suggests a mixed disorder.',
+    'acidBaseMap.hint': 'Hover over or focus a band to see how it is derived.',
+    'acidBaseMap.ariaLabel': 'Acid-base map',
+    'acidBaseMap.axisPh': 'pH',
+    'acidBaseMap.axisHco3': 'HCO₃⁻ (mmol/L)',
+    'acidBaseMap.isopleths': 'PaCO₂ isopleths',
+    'acidBaseMap.patient': 'Patient: pH {ph}, PaCO₂ {paco2}, HCO₃⁻ {hco3} mmol/L',
+    'acidBaseMap.bands.normal': 'Reference range',
+    'acidBaseMap.bands.metabolicAcidosis': 'Metabolic acidosis',
+    'acidBaseMap.bands.metabolicAlkalosis': 'Metabolic alkalosis',
+    'acidBaseMap.bands.acuteRespiratoryAcidosis': 'Acute respiratory acidosis',
+    'acidBaseMap.bands.chronicRespiratoryAcidosis': 'Chronic respiratory acidosis',
+    'acidBaseMap.bands.acuteRespiratoryAlkalosis': 'Acute respiratory alkalosis',
+    'acidBaseMap.bands.chronicRespiratoryAlkalosis': 'Chronic respiratory alkalosis',
+    'acidBaseMap.explain.normal': 'Reference ranges of this sample: pH {ph}, HCO₃⁻ {hco3} mmol/L.',
+    'acidBaseMap.explain.metabolicAcidosis': 'Primary fall in HCO₃⁻ with the expected respiratory compensation (hyperventilation).',
+    'acidBaseMap.explain.metabolicAlkalosis': 'Primary rise in HCO₃⁻ with the expected respiratory compensation (hypoventilation).',
+    'acidBaseMap.explain.acuteRespiratoryAcidosis': 'Primary rise in PaCO₂ buffered by tissue buffers only, before renal compensation.',
+    'acidBaseMap.explain.chronicRespiratoryAcidosis': 'Primary rise in PaCO₂ with renal HCO₃⁻ retention (after 3-5 days).',
+    'acidBaseMap.explain.acuteRespiratoryAlkalosis': 'Primary fall in PaCO₂ buffered by tissue buffers only, before renal compensation.',
+    'acidBaseMap.explain.chronicRespiratoryAlkalosis': 'Primary fall in PaCO₂ with renal HCO₃⁻ excretion (after 2-3 days).',
+    'acidBaseMap.formula.WINTERS': "Winter's formula: expected PaCO₂ = 1.5 × HCO₃⁻ + 8 ± {tolerance} mmHg.",
+    'acidBaseMap.formula.METABOLIC_ALKALOSIS': 'Expected PaCO₂ = {paco2Normal} + {slope} × (HCO₃⁻ − {hco3Normal}) ± {tolerance} mmHg.',
+    'acidBaseMap.formula.RESPIRATORY': 'Expected HCO₃⁻ = {hco3Normal} + {slope} × (PaCO₂ − {paco2Normal}) ± {tolerance} mmol/L.',
+    'acidBaseMap.point.normal': "The patient's point lies within the reference range.",
+    'acidBaseMap.point.within': "The patient's point lies in the band for: {bands}.",
+    'acidBaseMap.point.outside': "The patient's point lies outside every single-disorder band, which suggests a mixed disorder.",
+    'encounter.label': 'Patient / encounter',
+    'encounter.none': 'None (single sample)',
+    'encounter.option': '{label} ({count} samples)',
+    'encounter.newPlaceholder': 'New encounter, e.g. bed 4',
+    'encounter.create': 'Create',
+    'encounter.delete': 'Delete encounter',
+    'encounter.deleteConfirm': 'Delete the encounter "{label}" and its {count} samples?',
+    'encounter.sampleTime': 'Sample time',
+    'trend.title': 'Serial Samples: {label}',
+    'trend.info': 'Samples of this encounter over time. The trend compares the first and latest samples; earlier PaCO₂ values also decide acute vs chronic respiratory compensation.',
+    'trend.add': 'Add this result ({time})',
+    'trend.added': 'Added to the encounter',
+    'trend.empty': 'No samples yet: analyze a sample and add it to the encounter.',
+    'trend.needMore': 'Add a second sample to see the trend.',
+    'trend.time': 'Time',
+    'trend.interpretation': 'Interpretation',
+    'trend.remove': 'Remove sample',
+    'trend.charts.ph': 'pH',
+    'trend.charts.paco2': 'PaCO₂ ({unit})',
+    'trend.charts.hco3': 'HCO₃⁻ (mmol/L)',
+    'trend.charts.anionGap': 'Anion gap (mmol/L)',
+    'trend.charts.lactate': 'Lactate ({unit})',
+    'trend.fields.ph': 'pH',
+    'trend.fields.paco2': 'PaCO₂',
+    'trend.fields.hco3': 'HCO₃⁻',
+    'trend.fields.anionGap': 'AG',
+    'trend.fields.lactate': 'lactate',
+    'trend.values': '{field} {from} → {to}',
+    'trend.summary': 'Over {hours} h ({count} samples): {findings}.',
+    'trend.noChange': 'Over {hours} h ({count} samples): no significant acid-base change.',
+    'trend.process.IMPROVING': '{disorder} improving ({values})',
+    'trend.process.WORSENING': '{disorder} worsening ({values})',
+    'trend.process.UNCHANGED': '{disorder} unchanged ({values})',
+    'trend.process.RESOLVED': '{disorder} resolved ({values})',
+    'trend.process.NEW': 'new {disorder} ({values})',
+    'trend.ANION_GAP_CLOSING': 'anion gap closing ({values})',
+    'trend.ANION_GAP_CLOSED': 'anion gap closed ({values})',
+    'trend.ANION_GAP_WIDENING': 'anion gap widening ({values})',
+    'trend.NAGMA_UNMASKED': 'now unmasked normal anion gap metabolic acidosis',
+    'trend.LACTATE_CLEARING': 'lactate clearing ({values}, {clearance}% clearance)',
+    'trend.LACTATE_RISING': 'lactate rising ({values})',
+    'trend.LACTATE_PERSISTENT': 'lactate persistently elevated ({values})',
+    'history.title': 'Analysis History',
+    'history.info': 'Analyses are saved in this browser only. Reopen one to view its results, or duplicate it to edit the inputs.',
+    'history.search': 'Search patient or file',
+    'history.allDisorders': 'All disorders',
+    'history.from': 'From',
+    'history.to': 'To',
+    'history.count': '{count} of {total} analyses',
+    'history.empty': 'No saved analyses yet.',
+    'history.noMatch': 'No analyses match the filters.',
+    'history.noPatient': 'No patient label',
+    'history.reopen': 'Reopen',
+    'history.duplicate': 'Duplicate & edit',
+    'history.delete': 'Delete',
+    'history.deleteConfirm': 'Delete the analysis of {time}?',
+    'history.source.manual': 'Manual entry',
+    'history.source.ocr': 'Image (OCR)',
+    'history.source.ocrFile': 'Image (OCR): {file}',
+    'history.source.hl7': 'HL7 message: {specimen}',
+    'history.source.hl7File': 'HL7 ({file}): {specimen}',
+    'history.source.batch': 'Batch: {file}, row {row}',
+    'history.source.link': 'Shared link',
+    'history.source.pdf': 'PDF: {file}',
+    'history.source.pdfPage': 'PDF: {file}, page {page}',
+    'history.unavailable': 'The history is not available in this browser.',
+    'history.notSaved': 'Not saved to the history because it is locked. Unlock it in the History tab.',
+    'history.locked': 'The history is encrypted. Enter the passphrase to open it.',
+    'history.passphrase': 'Passphrase',
+    'history.confirmPassphrase': 'Confirm passphrase',
+    'history.unlock': 'Unlock',
+    'history.lock': 'Lock',
+    'history.wrongPassphrase': 'Wrong passphrase.',
+    'history.encryption': 'Encryption at rest',
+    'history.encryptionOff': 'Entries are stored unencrypted in this browser. Set a passphrase to encrypt them; it cannot be recovered if forgotten.',
+    'history.encryptionOn': 'Entries are encrypted with your passphrase.',
+    'history.setPassphrase': 'Encrypt history',
+    'history.changePassphrase': 'Change passphrase',
+    'history.removePassphrase': 'Remove encryption',
+    'history.removeConfirm': 'Store the history unencrypted again?',
+    'history.passphraseShort': 'Use at least 8 characters.',
+    'history.passphraseMismatch': 'The passphrases do not match.',
+    'history.encrypted': 'The history is now encrypted.',
+    'history.decrypted': 'The history is no longer encrypted.',
+    'fhir.title': 'FHIR R4 export',
+    'fhir.info': 'A transaction Bundle with one Observation per input value (LOINC codes, UCUM units) and a DiagnosticReport with the interpretation and a coded conclusion for each disorder.',
+    'fhir.download': 'Download FHIR bundle',
+    'fhir.endpoint': 'FHIR server base URL',
+    'fhir.send': 'Send to server',
+    'fhir.sending': 'Sending...',
+    'fhir.sent': 'Sent: the server returned {count} entries.',
+    'fhir.sendFailed': 'Could not send the bundle: {message}',
+    'report.title': 'Report (print / PDF)',
+    'report.info': 'Choose a template and complete the identifiers and sign-off. The branding and the reporting clinician are remembered on this device; patient identifiers are not.',
+    'report.template': 'Template',
+    'report.templates.full': 'Full report',
+    'report.templates.summary': 'Summary',
+    'report.templates.cord': 'Cord gas',
+    'report.identifiers': 'Patient and sample',
+    'report.patientName': 'Patient name',
+    'report.patientId': 'Patient ID',
+    'report.sampleId': 'Sample ID',
+    'report.collectedAt': 'Collected',
+    'report.signOff': 'Clinician sign-off',
+    'report.reportedBy': 'Reported by',
+    'report.reviewedBy': 'Reviewed by',
+    'report.comment': 'Comment',
+    'report.name': 'Name',
+    'report.signature': 'Signature',
+    'report.dateTime': 'Date and time',
+    'report.branding': 'Institution branding',
+    'report.institution': 'Institution',
+    'report.department': 'Header line (department, address)',
+    'report.logo': 'Logo',
+    'report.uploadLogo': 'Upload logo',
+    'report.removeLogo': 'Remove logo',
+    'report.logoTooLarge': 'The logo must be smaller than {size} KB.',
+    'report.print': 'Print',
+    'report.downloadPdf': 'Download PDF',
+    'report.generating': 'Generating PDF...',
+    'report.pdfFailed': 'Could not generate the PDF: {message}',
+    'report.pageNumber': 'Page {page} of {count}',
+    'share.share': 'Share',
+    'share.info': 'Anyone with this link sees the same values, sample type and settings, and the analysis runs again on their device. The link holds no patient name, label or sample time.',
+    'share.link': 'Link to this analysis',
+    'share.copy': 'Copy link',
+    'share.copied': 'Link copied to the clipboard.',
+    'share.copyFailed': 'Could not copy the link; select it and copy it manually.',
+    'share.createFailed': 'Could not create the link: {message}',
+    'share.compress': 'Compress the link (shorter link and QR code)',
+    'share.qrCode': 'QR code of the link',
+    'share.tooLong': 'The link is too long for a QR code.',
+    'share.invalidLink': 'The shared link could not be opened: {message}',
+    'notes.title': 'Clinical note',
+    'notes.info': 'Plain-text note for the health record, built from a note template. Edit it here if needed, then copy it into the progress note; *** marks blanks to fill in.',
+    'notes.template': 'Template',
+    'notes.preview': 'Note text',
+    'notes.copy': 'Copy as note',
+    'notes.copied': 'Note copied to the clipboard.',
+    'notes.copyFailed': 'Could not copy the note; select the text and copy it manually.',
+    'notes.discardEdits': 'Discard edits',
+    'notes.none': 'None',
+    'notes.settingsTitle': 'Clinical Note Templates',
+    'notes.settingsInfo': 'Templates for "Copy as note" in the results. As in EHR smart phrases, @NAME@ placeholders are replaced with the analysis and *** marks a blank to fill in. Templates are stored in this browser; export them to share them with colleagues.',
+    'notes.name': 'Template name',
+    'notes.text': 'Template text',
+    'notes.modifiedName': '{name} (edited)',
+    'notes.copyName': '{name} (copy)',
+    'notes.save': 'Save',
+    'notes.saveAsNew': 'Save as New Template',
+    'notes.delete': 'Delete',
+    'notes.restore': 'Restore Default',
+    'notes.export': 'Export JSON',
+    'notes.import': 'Import JSON',
+    'notes.saved': 'Saved "{name}".',
+    'notes.restored': 'Default template restored.',
+    'notes.imported': 'Imported {count} template(s).',
+    'notes.errors.INVALID_JSON': 'Note templates are not valid JSON: {message}',
+    'notes.errors.UNKNOWN_FORMAT': 'Unknown note template format "{format}".',
+    'notes.errors.UNSUPPORTED_VERSION': 'Unsupported note template version {version}.',
+    'notes.errors.EMPTY': 'The file holds no note templates.',
+    'notes.errors.INVALID_TEMPLATES': 'Invalid note templates: {problems}',
+    'notes.errors.problem': '#{index}: {problem}',
+    'notes.problems.NOT_OBJECT': 'Template must be a JSON object.',
+    'notes.problems.ID_REQUIRED': 'Template needs a string "id".',
+    'notes.problems.NAME_REQUIRED': 'Template needs a non-empty "name".',
+    'notes.problems.TEXT_REQUIRED': 'Template needs a string "text".',
+    'notes.deleteConfirm': 'Delete the note template "{name}"?',
+    'notes.placeholdersTitle': 'Placeholders',
+    'notes.placeholdersInfo': 'Values are in the display units. Data the analysis does not have becomes ***; unknown placeholders are left as typed.',
+    'notes.placeholders.DATE': 'Sample date and time (now when not recorded)',
+    'notes.placeholders.SAMPLE': 'Sample type',
+    'notes.placeholders.PATIENT': 'Patient category',
+    'notes.placeholders.ABG': 'pH/PaCO₂/PaO₂/HCO₃⁻ shorthand',
+    'notes.placeholders.INPUTS': 'All entered values, one per line',
+    'notes.placeholders.CRITICAL': 'Critical value alerts',
+    'notes.placeholders.QUALITY': 'Sample quality concerns',
+    'notes.placeholders.STEPS': 'Findings of every step, one per line',
+    'notes.placeholders.STEP1': 'Findings of step 1 (@STEP2@ to @STEP7@ likewise)',
+    'notes.placeholders.COMPENSATION': 'Compensation (step 4)',
+    'notes.placeholders.ANIONGAP': 'Anion gap (step 5)',
+    'notes.placeholders.INTERPRETATION': 'Final interpretation',
+    'notes.placeholders.SEVERITY': 'Disorder severity',
+    'notes.placeholders.DIFFERENTIALS': 'Differential diagnosis by category, one per line',
+    'notes.placeholders.OXYGENATION': 'Oxygenation findings',
+    'notes.placeholders.fieldsTitle': 'Single values',
+    'notes.builtin.soap.name': 'SOAP note',
+    'notes.builtin.soap.text': 'ABG @DATE@ (@SAMPLE@)\nS: ***\nO: ABG @ABG@\n@INPUTS@\nCritical values: @CRITICAL@\nA: @INTERPRETATION@\nCompensation: @COMPENSATION@\nAnion gap: @ANIONGAP@\nSeverity: @SEVERITY@\nDifferential diagnosis:\n@DIFFERENTIALS@\nP: ***',
+    'notes.builtin.oneLiner.name': 'Brief one-liner',
+    'notes.builtin.oneLiner.text': 'ABG @DATE@ (@SAMPLE@) @ABG@: @INTERPRETATION@',
+    'notes.builtin.icuConsult.name': 'Detailed ICU consult',
+    'notes.builtin.icuConsult.text': 'ICU ACID-BASE CONSULT\nDate/time: @DATE@\nPatient category: @PATIENT@\nSample: @SAMPLE@\nReason for consult: ***\n\nRESULTS\nABG (pH/PaCO2/PaO2/HCO3): @ABG@\n@INPUTS@\nCritical values: @CRITICAL@\nSample quality concerns: @QUALITY@\n\nSTEPWISE ANALYSIS\n@STEPS@\n\nOXYGENATION\n@OXYGENATION@\n\nASSESSMENT\n@INTERPRETATION@\nSeverity: @SEVERITY@\n\nDIFFERENTIAL DIAGNOSIS\n@DIFFERENTIALS@\n\nRECOMMENDATIONS\n1. ***\n2. ***\n\nDiscussed with ***.',
+    'upload.dropzone': 'Drag & Drop image or PDF here or click to upload',
+    'upload.dropzoneLabel': 'Upload image or PDF file',
+    'upload.takePhoto': 'Take Photo',
+    'upload.stopCamera': 'Stop Camera',
+    'upload.selectPage': 'Select the page containing ABG results:',
+    'upload.selectPageLabel': 'Select PDF page {page}',
+    'upload.thumbnailAlt': 'Page {page} thumbnail',
+    'upload.page': 'Page {page}',
+    'upload.firstPages': 'Showing first {count} pages.',
+    'upload.extracted': 'Extracted Values (Editable)',
+    'upload.extractedBy': 'Extracted by Gemini',
+    'upload.analysisInProgress': 'Analysis already in progress...',
+    'upload.loading.image': 'Processing image...',
+    'upload.loading.pastedImage': 'Processing pasted image...',
+    'upload.loading.snapshot': 'Processing snapshot...',
+    'upload.loading.pdf': 'Loading PDF...',
+    'upload.loading.pdfDocument': 'Loading PDF document...',
+    'upload.loading.thumbnails': 'Rendering {count} PDF page thumbnails...',
+    'upload.loading.firstPages': 'Showing first {count} pages. Select a page to analyze.',
+    'upload.loading.selectPage': 'Please select a page thumbnail to analyze.',
+    'upload.loading.page': 'Rendering page {page} for analysis...',
+    'upload.loading.gemini': 'Analyzing image with Gemini...',
+    'upload.errors.unsupported': 'Unsupported file type. Please upload an image or PDF.',
+    'upload.errors.readImage': 'Error reading image file.',
+    'upload.errors.readPdf': 'Error reading PDF file.',
+    'upload.errors.noPages': 'PDF has no pages.',
+    'upload.errors.loadPdf': 'Failed to load PDF: {message}',
+    'upload.errors.renderPage': 'Failed to render page {page}: {message}',
+    'upload.errors.camera': 'Could not access camera. Error: {error}. Please ensure permission is granted.',
+    'upload.errors.noCamera': 'Your browser does not support camera access.',
+    'upload.errors.apiKey': 'Gemini API Key not configured. Please set VITE_GEMINI_API_KEY in your .env file.',
+    'upload.errors.invalidImage': 'Invalid image data format for API call.',
+    'upload.errors.imageType': 'Could not determine image type.',
+    'upload.errors.noResponseBody': 'Could not read error response body.',
+    'upload.errors.unknownApi': 'Unknown API error',
+    'upload.errors.api': 'API Error {status}: {message}',
+    'upload.errors.invalidJson': 'Gemini response was not valid JSON.',
+    'upload.errors.noContent': 'No valid content returned from Gemini.',
+    'upload.errors.noValues': 'Gemini found no values in the image.',
+    'upload.errors.requestFailed': 'Gemini API Request Failed: {message}',
+    'hl7.title': 'HL7 v2 Result Message',
+    'hl7.info': 'Paste or upload an ORU^R01 message. OBX results are mapped to the analyzer by LOINC code or by your local code mapping and keep their reported units.',
+    'hl7.placeholder': 'MSH|^~\\&|…',
+    'hl7.read': 'Read Message',
+    'hl7.upload': 'Upload Message File',
+    'hl7.patient': 'Patient: {name} ({id})',
+    'hl7.specimens': 'Specimens in the message',
+    'hl7.specimen': '{label}: {sampleType}, {time} ({count} values)',
+    'hl7.noTime': 'collection time not given',
+    'hl7.values': 'Imported Values (Editable)',
+    'hl7.unmapped': 'Results without a mapping: {results}',
+    'hl7.mapping': 'Local code mapping',
+    'hl7.mappingInfo': 'LOINC codes are recognized automatically. Map your laboratory’s local observation codes (OBX-3) to analyzer fields here.',
+    'hl7.noMappings': 'No local codes mapped.',
+    'hl7.code': 'Local code',
+    'hl7.field': 'Analyzer field',
+    'hl7.addMapping': 'Add',
+    'hl7.removeMapping': 'Remove mapping',
+    'batch.title': 'Batch Analysis',
+    'batch.info': 'Analyze every row of a CSV or XLSX file, e.g. historical gases for an audit. The first row must hold the column names. Files are read in the browser and are not uploaded.',
+    'batch.upload': 'Choose CSV/XLSX File',
+    'batch.file': '{file}: {rows} rows',
+    'batch.noRows': 'The file has no data rows.',
+    'batch.readFailed': 'Could not read the file: {message}',
+    'batch.unnamedColumn': 'Column {number}',
+    'batch.mapping': 'Column mapping',
+    'batch.columnHeader': 'Column',
+    'batch.example': 'First row',
+    'batch.fieldOf': 'Field for column {column}',
+    'batch.ignore': '— Ignore —',
+    'batch.defaults': 'Rows without a sample type or patient category column value use these settings:',
+    'batch.unmappedRequired': 'Map a column to each required field: {fields}',
+    'batch.run': 'Analyze {rows} Rows',
+    'batch.progress': '{done} of {total} rows analyzed',
+    'batch.cancel': 'Cancel',
+    'batch.cancelled': 'Batch cancelled after {done} of {total} rows.',
+    'batch.summary': '{analyzed} rows analyzed, {errors} with errors',
+    'batch.normal': 'Normal acid-base status',
+    'batch.undetermined': 'Undetermined',
+    'batch.exportCsv': 'Export CSV',
+    'batch.exportJson': 'Export JSON',
+    'batch.errorsOnly': 'Show only rows with errors',
+    'batch.row': 'Row',
+    'batch.interpretation': 'Interpretation',
+    'batch.status': 'Status',
+    'batch.ok': 'OK',
+    'batch.open': 'Open in the analyzer',
+    'batch.openRow': 'Open row {row} in the analyzer',
+    'batch.previous': 'Previous',
+    'batch.next': 'Next',
+    'batch.page': 'Page {page} of {pages}',
+    'batch.errors.NOT_A_NUMBER': '{field}: “{value}” is not a number',
+    'batch.errors.OUT_OF_RANGE': '{field}: {value} is outside {min}–{max} {unit}',
+    'batch.errors.MISSING_REQUIRED': 'Missing {fields}',
+    'batch.errors.UNKNOWN_SAMPLE_TYPE': 'Unknown sample type “{value}”',
+    'batch.errors.UNKNOWN_PATIENT_CATEGORY': 'Unknown patient category “{value}”',
+    'batch.errors.ANALYSIS_ERROR': '{value}',
+
+    // --- Results view and printed report ---
+    'results.title': 'ABG Analysis Results',
+    'results.profile': 'Reference ranges: {name}',
+    'results.sample': '{label} sample',
+    'results.sampleEstimated': ' — interpreted on ESTIMATED arterial values.',
+    'results.sampleRanges': ' — interpreted with {label} reference ranges.',
+    'results.pediatricMode': 'Pediatric mode: {label}',
+    'results.pediatricStepsBefore': ' — steps marked ',
+    'results.pediatricStepsAfter': ' use age-specific ranges and compensation expectations.',
+    'results.badge.cord': 'Cord',
+    'results.badge.pediatric': 'Pediatric',
+    'results.badge.neonatal': 'Neonatal',
+    'results.temperature': 'Patient temperature {temperature} °C',
+    'results.temperatureStrategy': ' — interpreted with {strategy} ({values} values).',
+    'results.temperatureCorrected': 'temperature-corrected',
+    'results.temperatureUncorrected': 'uncorrected 37 °C',
+    'results.temperatureAriaLabel': 'Acid-base strategy',
+    'temperatureStrategies.alphaStat': 'Alpha-stat',
+    'temperatureStrategies.phStat': 'pH-stat',
+    'results.at37': 'At 37 °C',
+    'results.atTemperature': 'At {temperature} °C',
+    'results.quality': 'Sample quality: possible pre-analytical error',
+    'results.qualityMany': 'Sample quality: possible pre-analytical errors',
+    'results.qualityConfirm': ' — confirm the sample before acting on this interpretation.',
+    'results.finalInterpretation': 'Final Interpretation',
+    'results.cordGas': 'Umbilical Cord Gas Assessment',
+    'results.cordGasInfo': 'Valid pair: venous pH exceeds arterial pH by ≥ 0.02 and arterial PCO₂ exceeds venous PCO₂ by ≥ 0.5 kPa. Arterial pH < 7.00 with base deficit ≥ 12 mmol/L indicates perinatal metabolic acidosis.',
+    'results.arterial': 'Arterial',
+    'results.venous': 'Venous',
+    'results.baseDeficit': 'Base Deficit',
+    'results.baseDeficitSource': 'Base Deficit ({source})',
+    'results.asphyxia': ' — meets perinatal asphyxia criterion',
+    'results.sampleValidity': 'Sample Validity',
+    'results.sampleValidityFailed': 'Sample Validity (FAILED)',
+    'results.cord.normal': 'No significant acidemia',
+    'results.cord.respiratory': 'Respiratory acidemia',
+    'results.cord.metabolic': 'Metabolic acidosis',
+    'results.cord.mixed': 'Mixed respiratory and metabolic acidosis',
+    'results.steps': 'Step-by-Step Analysis (ATS Method)',
+    'results.stepInfo.step5': 'Anion Gap = Na⁺ - (Cl⁻ + HCO₃⁻). Normal ≈ 8-12 mmol/L. Corrected for low albumin if provided.',
+    'results.stepInfo.step6': 'Delta Ratio = (AG - 12) / (24 - HCO₃⁻). Helps identify mixed disorders when AG is high. < 0.8 suggests added NAGMA, > 1.8 suggests added Metabolic Alkalosis. With lactate, the lactate share of ΔAG is divided by 1.6 (lactate-adjusted ratio, expected 0.8-1.25).',
+    'results.stepInfo.step7': 'HAGMA: Osmolar gap = Measured Osm - (2·Na⁺ + Glucose/18 + BUN/2.8 + Ethanol/3.7), > 10 suggests toxic alcohols. NAGMA: Urine anion gap = UNa⁺ + UK⁺ - UCl⁻, negative suggests GI loss, positive suggests renal loss.',
+    'results.hyperglycemicCrisis': 'DKA / HHS Assessment',
+    'results.hyperglycemicCrisisInfo': 'ADA 2024: DKA = glucose ≥ 200 mg/dL (or known diabetes), β-hydroxybutyrate ≥ 3.0 mmol/L and pH < 7.30 or HCO₃⁻ < 18. HHS = glucose ≥ 600 mg/dL, effective osmolality > 300 mOsm/kg, pH ≥ 7.30, HCO₃⁻ ≥ 15 and no significant ketosis.',
+    'results.differentials': 'Differential Diagnosis',
+    'results.differentialsInfo': 'Causes are ranked by prevalence plus the supporting data available (lactate, osmolar gap, urine studies, potassium and the clinical context selected on the form).',
+    'results.stewart': 'Stewart Physicochemical Analysis',
+    'results.stewartInfo': 'SIDa = (Na⁺ + K⁺ + 2·Ca²⁺ + 2·Mg²⁺) - (Cl⁻ + Lactate). SIDe = HCO₃⁻ + Albumin⁻ + Phosphate⁻. SIG = SIDa - SIDe; > 2 mEq/L suggests unmeasured anions.',
+    'results.sidApparent': 'Apparent SID (SIDa)',
+    'results.sidEffective': 'Effective SID (SIDe)',
+    'results.atot': 'Atot (Albumin⁻ + Pi⁻)',
+    'results.atotParts': 'Atot (Albumin⁻ {albumin} + Pi⁻ {phosphate})',
+    'results.sig': 'Strong Ion Gap (SIG)',
+    'results.oxygenation': 'Oxygenation Assessment',
+    'results.oxygenationInfo': 'PAO₂ = FiO₂ × (Patm - 47) - PaCO₂/RQ. A-a gradient = PAO₂ - PaO₂ (expected ≈ Age/4 + 4). P/F ratio ≤ 300 / 200 / 100 = mild / moderate / severe ARDS (Berlin).',
+    'results.alveolarPo2': 'Alveolar PO₂ (PAO₂)',
+    'results.alveolarPo2AtFio2': 'Alveolar PO₂ (PAO₂) at FiO₂ {fio2}%',
+    'results.aaGradient': 'A-a Gradient',
+    'results.aaGradientExpected': 'A-a Gradient (expected ≤ {expected})',
+    'results.aaGradientReference': '≤ {expected} (age-expected)',
+    'results.pfRatio': 'PaO₂/FiO₂ Ratio',
+    'results.baseExcess': 'Partitioned Base Excess',
+    'results.baseExcessPrint': 'Partitioned Base Excess (Fencl-Story / Gilfix)',
+    'results.baseExcessInfo': 'Fencl-Story partitioning: SBE = free water + chloride + albumin + lactate + unmeasured anions (Gilfix residual). Negative contributions are acidifying, positive are alkalinizing.',
+    'results.sbe': 'Standard Base Excess = {sbe} mmol/L ({source})',
+    'results.sbeMeasured': 'Standard Base Excess = {sbe} mmol/L ({source}; calculated {calculated} mmol/L)',
+    'results.sbeSource.measured': 'measured',
+    'results.sbeSource.calculated': 'calculated',
+    'results.rules': 'Rules executed ({executed} of {total})',
+    'results.ruleStatus.executed': 'executed',
+    'results.ruleStatus.skipped': 'skipped',
+    'results.ruleStatus.not_applicable': 'not applicable',
+    'results.ruleStatus.disabled': 'disabled',
+    'results.ruleStatus.error': 'error',
+    'results.ruleMissing': ' (missing {fields})',
+    'results.rulesFailed': 'Some analysis rules failed; the results below are missing their output:',
+    'rules.internalConsistency': 'Step 1: Internal consistency (Henderson-Hasselbalch)',
+    'rules.acidemiaAlkalemia': 'Step 2: Acidemia or alkalemia',
+    'rules.primaryDisorder': 'Step 3: Primary disorder',
+    'rules.compensation': 'Step 4: Compensation',
+    'rules.anionGap': 'Step 5: Anion gap',
+    'rules.deltaRatio': 'Step 6: Delta ratio',
+    'rules.secondaryWorkup': 'Step 7: Secondary workup (osmolar and urine gaps)',
+    'rules.interpretation': 'Final interpretation',
+    'rules.severity': 'Severity grading and critical values',
+    'rules.acidBaseMap': 'Acid-base map',
+    'rules.hyperglycemicCrisis': 'DKA / HHS criteria',
+    'rules.stewart': 'Stewart physicochemical analysis',
+    'rules.baseExcess': 'Partitioned base excess',
+    'rules.cordGas': 'Umbilical cord gas assessment',
+    'rules.oxygenation': 'Oxygenation assessment',
+    'rules.differentials': 'Differential diagnosis',
+    'results.print': 'Print',
+    'results.newAnalysis': 'New Analysis',
+    'print.noResults': 'No results available to print.',
+    'print.documentTitle': 'ABG Analysis Report',
+    'print.title': 'Automatic ABG Analyzer Report',
+    'print.profile': 'Reference profile:',
+    'print.patientCategory': 'Patient category:',
+    'print.pediatricSpecific': ' — PEDIATRIC-SPECIFIC INTERPRETATION',
+    'print.temperature': 'Patient temperature:',
+    'print.temperatureStrategy': '{temperature} °C — acid-base strategy: {strategy} (analysis on {values} values)',
+    'print.atTemperature': 'At {temperature} °C:',
+    'print.sampleType': 'Sample type:',
+    'print.estimatedAnalysis': ' (analysis performed on ESTIMATED arterial values)',
+    'print.estimatedValues': 'Estimated values: {values}',
+    'print.inputValues': 'Input Values',
+    'print.parameter': 'Parameter',
+    'print.value': 'Value',
+    'print.normalRange': 'Normal Range',
+    'print.reference': 'Reference',
+    'print.component': 'Component',
+    'print.contribution': 'Contribution',
+    'print.qualityWarnings': 'Sample Quality Warnings',
+    'print.criticalValues': 'Critical Values',
+    'print.rangeSuffix.cord': 'cord ranges',
+    'print.rangeSuffix.pediatric': 'pediatric ranges',
+    'print.generatedOn': 'Generated on: {date}',
+    'print.disclaimer': 'Disclaimer: For educational purposes only. Not a substitute for clinical judgment.',
+    'print.rows.baseExcess': 'Base Excess',
+    'print.rows.albumin': 'Albumin',
+    'print.rows.lactate': 'Lactate',
+    'print.rows.bhb': 'β-Hydroxybutyrate',
+    'print.rows.ca': 'Ionized Ca²⁺',
+    'print.rows.mg': 'Mg²⁺',
+    'print.rows.phosphate': 'Phosphate',
+    'print.rows.fio2Normal': '21 (room air)',
+    'print.rows.patm': 'Barometric Pressure',
+    'print.rows.patmNormal': '760 (sea level)',
+    'print.rows.age': 'Age',
+    'print.rows.ageUnit': 'years',
+    'print.rows.temperature': 'Patient Temperature',
+    'print.rows.rq': 'Respiratory Quotient',
+    'print.rows.sosm': 'Serum Osmolality',
+    'print.rows.glucose': 'Glucose',
+    'print.rows.bun': 'BUN',
+    'print.rows.ethanol': 'Ethanol',
+    'print.rows.una': 'Urine Na⁺',
+    'print.rows.uk': 'Urine K⁺',
+    'print.rows.ucl': 'Urine Cl⁻',
+    'print.rows.uosm': 'Urine Osmolality',
+    'print.rows.uun': 'Urine Urea Nitrogen',
+    'print.rows.uvph': 'Umbilical Venous pH',
+    'print.rows.uvpco2': 'Umbilical Venous PCO₂',
+    'print.rows.uvhco3': 'Umbilical Venous HCO₃⁻',
+    'print.rows.uvbe': 'Umbilical Venous Base Excess'
+};
@@ -0,0 +1,907 @@
+/**
+ * Spanish messages (ids from en.js).
+ */
+
+export default {
+    // --- Common ---
+    'common.na': 'N/D',
+    'common.and': 'y',
+    'common.listSeparator': ', ',
+
+    // --- App shell ---
+    'app.title': 'Analizador de GSA',
+    'app.subtitle': 'Integración en seis pasos de la American Thoracic Society (ATS)',
+    'app.atsLink': 'Guías ATS',
+    'app.atsLinkTitle': 'Guías ATS de gasometría arterial',
+    'app.disclaimer': 'Solo con fines educativos. No sustituye el juicio clínico.',
+    'app.developedBy': 'Desarrollado por TA',
+    'app.loading': 'Cargando análisis...',
+    'app.error': 'Error: {message}',
+    'app.placeholder': 'Los resultados aparecerán aquí.',
+    'tabs.manual': 'Entrada manual',
+    'tabs.upload': 'Subir imagen/PDF',
+    'tabs.hl7': 'Importar HL7',
+    'tabs.batch': 'Lote (CSV/XLSX)',
+    'tabs.settings': 'Configuración',
+    'tabs.history': 'Historial',
+    'units.label': 'Unidades:',
+    'units.ariaLabel': 'Sistema de unidades',
+    'units.conventional': 'Convencionales (mmHg, g/dL)',
+    'units.si': 'SI (kPa, g/L)',
+    'language.label': 'Idioma:',
+
+    // --- Sample type and patient category ---
+    'sampleType.label': 'Tipo de muestra',
+    'sampleType.estimate': 'Estimar valores arteriales (pH, PCO₂, HCO₃⁻; PaO₂ a partir de SpO₂)',
+    'sampleTypes.arterial': 'Arterial',
+    'sampleTypes.peripheralVenous': 'Venosa periférica',
+    'sampleTypes.centralVenous': 'Venosa central',
+    'sampleTypes.mixedVenous': 'Venosa mixta',
+    'sampleTypes.capillary': 'Capilar (arterializada)',
+    'sampleTypes.umbilicalArterial': 'Cordón umbilical (par arterial + venoso)',
+    'sampleTypes.umbilicalVenous': 'Venosa umbilical',
+    'patientCategory.label': 'Categoría del paciente',
+    'patientCategory.auto': 'Automática (según la edad; adulto si se desconoce)',
+    'patientCategories.adult': 'Adulto (≥ 18 años)',
+    'patientCategories.child': 'Niño (1-17 años)',
+    'patientCategories.infant': 'Lactante (1-12 meses)',
+    'patientCategories.neonate': 'Neonato (0-28 días)',
+
+    // --- Manual entry form ---
+    'form.sections.bloodGas': 'Gasometría',
+    'form.sections.electrolytes': 'Electrolitos',
+    'form.sections.metabolites': 'Lactato, cetonas y glucosa',
+    'form.sections.oxygenation': 'Oxigenación',
+    'form.sections.workup': 'Estudio osmolar y urinario',
+    'form.sections.cordVenous': 'Muestra venosa umbilical',
+    'form.sections.clinicalContext': 'Contexto clínico (opcional)',
+    'form.cordArterialSuffix': ' (muestra arterial umbilical)',
+    'form.normal': 'Normal: {range} {unit}',
+    'form.unitAriaLabel': 'Unidad de {label}',
+    'verify.parameter': 'Parámetro',
+    'verify.value': 'Valor',
+    'verify.unit': 'Unidad',
+    'verify.source': 'Origen',
+    'verify.analyze': 'Verificar y analizar',
+    'form.placeholder': 'p. ej., {value}',
+    'form.errors.notNumber': 'Debe ser un número.',
+    'form.errors.outOfRange': 'Fuera de rango ({min}-{max})',
+    'form.errors.invalid': 'Corrija los valores no válidos resaltados.',
+    'form.errors.missingRequired': 'El análisis requiere al menos pH, PaCO₂ y HCO₃⁻. Faltan: {fields}',
+    'form.clear': 'Borrar formulario',
+    'form.analyze': 'Analizar GSA',
+    'fields.be': 'Exceso de bases',
+    'fields.temperature': 'Temperatura del paciente (opcional)',
+    'fields.temperature.normal': '37 (sin corrección)',
+    'fields.k': 'K⁺ (opcional)',
+    'fields.albumin': 'Albúmina (opcional)',
+    'fields.ca': 'Ca²⁺ iónico (opcional)',
+    'fields.mg': 'Mg²⁺ (opcional)',
+    'fields.phosphate': 'Fosfato (opcional)',
+    'fields.lactate': 'Lactato (opcional)',
+    'fields.bhb': 'β-hidroxibutirato (opcional)',
+    'fields.glucose': 'Glucosa (opcional)',
+    'fields.fio2': 'FiO₂ (opcional)',
+    'fields.fio2.normal': '21 (aire ambiente)',
+    'fields.patm': 'Presión barométrica (opcional)',
+    'fields.patm.normal': '760 (nivel del mar)',
+    'fields.age': 'Edad (opcional)',
+    'fields.spo2': 'SpO₂ (opcional)',
+    'fields.rq': 'Cociente respiratorio (opcional)',
+    'fields.sosm': 'Osmolalidad sérica (opcional)',
+    'fields.bun': 'BUN (opcional)',
+    'fields.ethanol': 'Etanol (opcional)',
+    'fields.una': 'Na⁺ urinario (opcional)',
+    'fields.uk': 'K⁺ urinario (opcional)',
+    'fields.ucl': 'Cl⁻ urinario (opcional)',
+    'fields.uosm': 'Osmolalidad urinaria (opcional)',
+    'fields.uun': 'Nitrógeno ureico urinario (opcional)',
+    'fields.uvph': 'pH venoso',
+    'fields.uvpco2': 'PCO₂ venosa',
+    'fields.uvhco3': 'HCO₃⁻ venoso (opcional)',
+    'fields.uvbe': 'Exceso de bases venoso (opcional)',
+    'context.sepsis': 'Sepsis / shock',
+    'context.diabetes': 'Diabetes mellitus',
+    'context.alcohol': 'Trastorno por consumo de alcohol',
+    'context.ingestion': 'Sospecha de ingesta tóxica',
+    'context.renalFailure': 'Enfermedad renal',
+    'context.diarrhea': 'Diarrea / pérdidas digestivas',
+    'context.vomiting': 'Vómitos / aspiración nasogástrica',
+    'context.diuretics': 'Uso de diuréticos',
+    'context.ivFluids': 'Suero salino en gran volumen',
+    'context.sedatives': 'Opioides / sedantes',
+    'context.copd': 'EPOC / neumopatía crónica',
+    'context.ventilated': 'Ventilación mecánica',
+    'context.pregnancy': 'Embarazo',
+    'context.liverDisease': 'Hepatopatía',
+
+    // --- Step titles and narrative (resultRenderer.js) ---
+    'steps.step1': 'Paso 1: Comprobar la consistencia interna',
+    'steps.step2': 'Paso 2: Determinar acidemia o alcalemia',
+    'steps.step3': 'Paso 3: Identificar el trastorno primario',
+    'steps.step4': 'Paso 4: Evaluar la compensación',
+    'steps.step5': 'Paso 5: Calcular el anión gap',
+    'steps.step6': 'Paso 6: Evaluar ΔAG / ΔHCO₃⁻',
+    'steps.step7': 'Paso 7: Estudio secundario',
+    'step1.hydrogen': '[H⁺] medido ≈ {measured} nmol/L, [H⁺] calculado ≈ {calculated} nmol/L.',
+    'step1.CONSISTENT': 'Los valores parecen internamente consistentes.',
+    'step1.INCONSISTENT': 'Posible inconsistencia detectada.',
+    'step2.ACIDEMIA': 'Acidemia (pH {ph} < {limit})',
+    'step2.ALKALEMIA': 'Alcalemia (pH {ph} > {limit})',
+    'step2.NORMAL': 'pH normal ({ph})',
+    'step3.RESPIRATORY_ACIDOSIS': 'Acidosis respiratoria primaria (PaCO₂ {paco2} elevada)',
+    'step3.METABOLIC_ACIDOSIS': 'Acidosis metabólica primaria (HCO₃⁻ {hco3} mmol/L bajo)',
+    'step3.RESPIRATORY_ALKALOSIS': 'Alcalosis respiratoria primaria (PaCO₂ {paco2} baja)',
+    'step3.METABOLIC_ALKALOSIS': 'Alcalosis metabólica primaria (HCO₃⁻ {hco3} mmol/L elevado)',
+    'step3.MIXED_ACIDEMIA': 'Hay acidemia, pero la PaCO₂ ({paco2}) y el HCO₃⁻ ({hco3}) no indican claramente un único trastorno primario. Probable trastorno mixto.',
+    'step3.MIXED_ALKALEMIA': 'Hay alcalemia, pero la PaCO₂ ({paco2}) y el HCO₃⁻ ({hco3}) no indican claramente un único trastorno primario. Probable trastorno mixto.',
+    'step3.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'pH normal con PaCO₂ y HCO₃⁻ elevados: sugiere un trastorno mixto (acidosis respiratoria compensada + alcalosis metabólica).',
+    'step3.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'pH normal con PaCO₂ y HCO₃⁻ bajos: sugiere un trastorno mixto (alcalosis respiratoria compensada + acidosis metabólica).',
+    'step3.COMPENSATED': 'pH normal con PaCO₂ o HCO₃⁻ anormales: sugiere un trastorno totalmente compensado o valores límite.',
+    'step3.NORMAL': 'Estado ácido-base normal (pH, PaCO₂ y HCO₃⁻ dentro de los rangos normales).',
+    'step3.UNDETERMINED': 'Indeterminado',
+    'step4.expectedPaco2': 'PaCO₂ esperada ≈ {expected} ± {tolerance}{winters}. PaCO₂ medida = {measured}.',
+    'step4.winters': ' (Winter)',
+    'step4.expectedHco3': 'Compensación {type}: HCO₃⁻ esperado ≈ {expected} ± {tolerance} mmol/L. HCO₃⁻ medido = {measured} mmol/L.',
+    'step4.acute': 'aguda',
+    'step4.chronic': 'crónica',
+    'step4.timeCourse.acute_onset': 'Muestras seriadas: la PaCO₂ era normal {hours} h antes, demasiado reciente para la compensación renal.',
+    'step4.timeCourse.chronic_duration': 'Muestras seriadas: la PaCO₂ lleva {hours} h alterada, tiempo suficiente para la compensación renal.',
+    'step4.COMPENSATION_APPROPRIATE': 'La compensación es adecuada.',
+    'step4.ADDITIONAL_DISORDER': 'Sugiere una {disorder} superpuesta.',
+    'step5.anionGap': 'Anión gap = {value} mmol/L (normal ≈ {range}).',
+    'step5.albuminApplied': 'Albúmina = {albumin}. AG corregido ≈ {corrected} mmol/L.',
+    'step5.albuminInvalid': '(Valor de albúmina no válido para la corrección).',
+    'step5.albuminNotNeeded': '(No se requiere corrección por albúmina).',
+    'step5.ANION_GAP_ELEVATED': 'Anión gap elevado.',
+    'step5.ANION_GAP_NORMAL': 'Anión gap normal.',
+    'step5.additionalHagma': 'Sugiere una acidosis metabólica con AG elevado adicional.',
+    'partition.summary': 'Exceso de gap {excess} mmol/L: {parts}.',
+    'partition.part': '{label} {value} ({share} %)',
+    'partition.parts.lactate': 'lactato',
+    'partition.parts.ketones': 'β-hidroxibutirato',
+    'partition.parts.unexplained': 'no explicado',
+    'partition.LACTIC_ACIDOSIS': 'El lactato explica una parte significativa del exceso de gap: acidosis láctica.',
+    'partition.KETOACIDOSIS': 'Las cetonas explican una parte significativa del exceso de gap: cetoacidosis.',
+    'partition.MIXED_LACTIC_KETOACIDOSIS': 'Acidosis láctica y cetoacidosis mixtas.',
+    'partition.UNEXPLAINED_ANIONS': 'Exceso de gap no explicado por lactato ni cetonas: considere alcoholes tóxicos, uremia, salicilatos u otros aniones no medidos.',
+    'partition.unexplainedRemains': 'Persiste un gap no explicado significativo (otros aniones no medidos).',
+    'partition.unexplainedRemainsKetones': 'Persiste un gap no explicado significativo (acetoacetato no medido u otros aniones no medidos).',
+    'partition.missing': '({items}: no disponible)',
+    'partition.missing.lactate': 'lactato',
+    'partition.missing.bhb': 'β-hidroxibutirato',
+    'step6.DELTA_HCO3_ZERO': 'Delta ratio no calculable (ΔHCO₃⁻ es 0). AG elevado con HCO₃⁻ normal sugiere una alcalosis metabólica concurrente.',
+    'step6.DELTA_HCO3_NEGATIVE': 'Interpretación compleja del delta ratio (ΔHCO₃⁻ negativo: {value}). AG elevado con HCO₃⁻ alto sugiere una alcalosis metabólica concurrente.',
+    'step6.ratio': 'Delta ratio (ΔAG/ΔHCO₃⁻) = {ratio}. (AG normal ajustado a {normal} si se aporta la albúmina).',
+    'step6.lactateAdjusted': 'Ratio ajustado por lactato = {ratio} (lactato {lactate} mmol/L ponderado 1/1,6).',
+    'step6.ratioLabel': 'Un ratio',
+    'step6.adjustedRatioLabel': 'Un ratio ajustado',
+    'step6.CONCURRENT_NAGMA': '{label} < {limit} sugiere una acidosis metabólica con anión gap normal (AMAGN) concurrente.',
+    'step6.CONCURRENT_METABOLIC_ALKALOSIS': '{label} > {limit} sugiere una alcalosis metabólica concurrente.',
+    'step6.PURE_HAGMA': '{label} ≈ {low}-{high} es compatible con una acidosis metabólica con anión gap elevado no complicada.',
+    'workup.osmolarGap.skipped': 'Gap osmolar sérico omitido: se requieren osmolalidad medida, Na⁺, glucosa y BUN.',
+    'workup.osmolarGap.value': 'Gap osmolar sérico = {gap} mOsm/kg (medida {measured}, calculada {calculated}{ethanol}).',
+    'workup.osmolarGap.ethanolAdjusted': ', ajustada por etanol',
+    'workup.osmolarGap.MARKEDLY_ELEVATED': 'Un gap muy elevado con AMAGE sugiere fuertemente ingesta de alcoholes tóxicos (metanol, etilenglicol).',
+    'workup.osmolarGap.ELEVATED': 'Gap elevado: considere alcoholes tóxicos; la cetoacidosis, la acidosis láctica y la insuficiencia renal también pueden elevarlo moderadamente.',
+    'workup.osmolarGap.NORMAL': 'Un gap osmolar normal (≤ {limit}) hace menos probable una ingesta significativa de alcoholes tóxicos (pero no excluye una presentación tardía).',
+    'workup.urineAnionGap.skipped': 'Anión gap urinario omitido: se requieren Na⁺, K⁺ y Cl⁻ urinarios.',
+    'workup.urineAnionGap.value': 'Anión gap urinario = {value} mmol/L.',
+    'workup.urineAnionGap.NEGATIVE': 'Un AGU negativo indica una excreción urinaria de NH₄⁺ adecuada: sugiere pérdida extrarrenal (digestiva) de bicarbonato, p. ej. diarrea.',
+    'workup.urineAnionGap.POSITIVE': 'Un AGU positivo indica una excreción urinaria de NH₄⁺ alterada: sugiere una causa renal (ATR distal, hipoaldosteronismo/ATR tipo 4, insuficiencia renal).',
+    'workup.urineOsmolalGap.skipped': 'Gap osmolal urinario omitido: se requieren Na⁺, K⁺ y nitrógeno ureico urinarios.',
+    'workup.urineOsmolalGap.value': 'Gap osmolal urinario = {gap} mOsm/kg (NH₄⁺ urinario estimado ≈ {ammonium} mmol/L).',
+    'workup.urineOsmolalGap.ADEQUATE': 'Una excreción de NH₄⁺ adecuada apoya la pérdida digestiva de bicarbonato; más fiable que el AGU cuando hay aniones urinarios no medidos (cetonas, hipurato).',
+    'workup.urineOsmolalGap.LOW': 'Una excreción de NH₄⁺ baja apoya una acidosis tubular renal.',
+    'workup.urineOsmolalGap.INDETERMINATE': 'Excreción de NH₄⁺ indeterminada.',
+    'status.HCO3_ZERO': 'Inconsistencia: el HCO₃⁻ no puede ser cero.',
+    'status.CORD_SAMPLE': 'No aplicable: la compensación no se evalúa en muestras de cordón umbilical (el intercambio gaseoso fetal es placentario).',
+    'status.NO_SINGLE_PRIMARY_DISORDER': 'Evaluación de la compensación omitida (trastorno primario mixto, normal o indeterminado).',
+    'status.FULL_COMPENSATION': 'Compensación completa (pH dentro del rango normal).',
+    'status.UNKNOWN_PRIMARY_DISORDER': 'Error: trastorno primario desconocido para evaluar la compensación.',
+    'status.INVALID_ELECTROLYTES': 'No se puede calcular el anión gap: valor de Na⁺, Cl⁻ o HCO₃⁻ no válido.',
+    'status.ELECTROLYTES_MISSING': 'Omitido: se requieren Na⁺ y Cl⁻ para calcular el anión gap.',
+    'status.INVALID_INPUT': 'No se puede calcular el delta ratio: valor de AG o HCO₃⁻ no válido.',
+    'status.ANION_GAP_NOT_ELEVATED': 'No aplicable: el anión gap no está elevado.',
+    'status.NOT_METABOLIC_ACIDOSIS': 'No aplicable: el trastorno primario no es una acidosis metabólica.',
+    'status.ANION_GAP_UNAVAILABLE': 'Omitido: el cálculo del anión gap se omitió o falló.',
+    'status.NO_METABOLIC_ACIDOSIS': 'No aplicable: no se detectó acidosis metabólica con anión gap elevado ni normal.',
+    'disorders.METABOLIC_ACIDOSIS': 'acidosis metabólica',
+    'disorders.HIGH_ANION_GAP_METABOLIC_ACIDOSIS': 'acidosis metabólica con anión gap elevado',
+    'disorders.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS': 'acidosis metabólica con anión gap normal',
+    'disorders.METABOLIC_ALKALOSIS': 'alcalosis metabólica',
+    'disorders.RESPIRATORY_ACIDOSIS': 'acidosis respiratoria',
+    'disorders.RESPIRATORY_ALKALOSIS': 'alcalosis respiratoria',
+    'disorders.MIXED_ACIDEMIA': 'acidemia mixta',
+    'disorders.MIXED_ALKALEMIA': 'alcalemia mixta',
+    'disorders.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'acidosis respiratoria y alcalosis metabólica mixtas',
+    'disorders.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'alcalosis respiratoria y acidosis metabólica mixtas',
+    'disorders.COMPENSATED': 'trastorno ácido-base totalmente compensado',
+    'interpretation.ERROR': 'Análisis incompleto debido a un error.',
+    'interpretation.UNDETERMINED': 'No se puede determinar la interpretación final.',
+    'interpretation.NORMAL': 'Estado ácido-base normal.',
+    'interpretation.primary': '{disorder} primaria',
+    'interpretation.completeCompensation': '{text} con compensación completa',
+    'interpretation.expectedCompensation': '{text} con la compensación esperada',
+    'interpretation.superimposed': '{text} y superposición de {disorders}',
+    'interpretation.sentence': '{text}.',
+
+    // --- Supplementary assessments (resultRenderer.js) ---
+    'analysisNotes.CORD_RANGES': 'Se aplican los rangos de referencia de cordón umbilical a la muestra arterial; consulte la evaluación de gases de cordón para la acidosis perinatal.',
+    'analysisNotes.CHILD_RANGES': 'Se aplican rangos de referencia pediátricos (HCO₃⁻ normal algo más bajo que en adultos).',
+    'analysisNotes.INFANT_RANGES': 'Se aplican rangos de referencia del lactante: PaCO₂ y HCO₃⁻ normales más bajos que en adultos.',
+    'analysisNotes.INFANT_COMPENSATION': 'La compensación renal de la acidosis respiratoria crónica es menos completa que en adultos.',
+    'analysisNotes.NEONATE_RANGES': 'Se aplican rangos de referencia neonatales: el HCO₃⁻ normal es más bajo (reabsorción renal de bicarbonato inmadura).',
+    'analysisNotes.NEONATE_COMPENSATION': 'La compensación esperada es aproximada en neonatos; las respuestas respiratoria y renal están atenuadas.',
+    'analysisNotes.SPO2_FLAT_CURVE': 'Una SpO₂ superior al 97% se sitúa en la parte plana de la curva de disociación: la PaO₂ estimada no es fiable.',
+    'analysisNotes.PAO2_NOT_ESTIMATED': 'PaO₂ no estimada: indique una SpO₂ (pulsioximetría) inferior al 100%.',
+    'analysisNotes.ALPHA_STAT': 'Interpreta los valores sin corregir medidos a 37 °C (estándar en adultos, incluida la circulación extracorpórea y la hipotermia terapéutica).',
+    'analysisNotes.PH_STAT': 'Interpreta los valores corregidos a la temperatura del paciente (objetivo pH 7,40 y PaCO₂ 40 mmHg a la temperatura real; se usa en la circulación extracorpórea pediátrica).',
+    'analysisNotes.CORRECTED_RANGES': 'Los rangos de referencia son los de 37 °C, aplicados a los valores corregidos por temperatura.',
+    'analysisNotes.CORRECTED_OXYGENATION': 'Los índices de oxigenación usan la PaO₂ corregida; la ecuación del gas alveolar sigue suponiendo la presión de vapor de agua a 37 °C.',
+    'reasons.GLUCOSE_OR_BHB_REQUIRED': 'Se necesita la glucosa o el β-hidroxibutirato para evaluar la CAD / el EHH.',
+    'reasons.STEWART_INPUTS_REQUIRED': 'Se necesitan Na⁺, Cl⁻ y albúmina para el análisis de Stewart.',
+    'reasons.ELECTROLYTES_REQUIRED': 'Se necesitan Na⁺ y Cl⁻ para desglosar el exceso de bases.',
+    'reasons.PAO2_REQUIRED': 'Se necesita la PaO₂ para evaluar la oxigenación.',
+    'reasons.CORD_PO2': 'La PO₂ del cordón umbilical refleja el intercambio gaseoso placentario, no la oxigenación neonatal.',
+    'reasons.VENOUS_PO2': 'La PO₂ de la muestra ({sample}) no refleja la oxigenación arterial. Active la estimación arterial con un valor de SpO₂.',
+    'errors.MISSING_REQUIRED': 'Falta un valor obligatorio o no es válido: {field}',
+    'errors.OUT_OF_RANGE': 'El valor de {field} ({value}) está fuera del rango fisiológico habitual ({min} – {max}).',
+    'errors.TEMPERATURE_OUT_OF_RANGE': 'La temperatura del paciente ({value} °C) está fuera del rango admitido por la corrección de temperatura ({min}–{max} °C).',
+    'errors.ANALYSIS_FAILED': 'Error en el análisis: {message}',
+    'quality.AIR_BUBBLE.title': 'Posible burbuja de aire en la muestra',
+    'quality.AIR_BUBBLE.explanation': 'El aire atrapado en la jeringa lleva la PO₂ hacia ≈ 150 mmHg y la PCO₂ hacia cero, y eleva el pH. Expulse las burbujas inmediatamente después de la extracción y repita la gasometría si los valores no concuerdan con la clínica.',
+    'quality.VENOUS_CONTAMINATION.title': 'Posible muestra venosa o mezcla venosa',
+    'quality.VENOUS_CONTAMINATION.explanation': 'Una PO₂ y una saturación bajas que no concuerdan con la oxigenación del paciente sugieren que la muestra era venosa o estaba mezclada con sangre venosa. Compruebe el reflujo pulsátil y considere seleccionar un tipo de muestra venosa. Una gran discordancia SaO₂/PaO₂ también puede deberse a dishemoglobinas (CO-Hb, Met-Hb) o a una SaO₂ calculada en lugar de medida por cooximetría.',
+    'quality.DELAYED_PROCESSING.title': 'Posible retraso en el procesamiento (pseudohiperpotasemia)',
+    'quality.DELAYED_PROCESSING.explanation': 'Las muestras que no se analizan ni se refrigeran liberan potasio de las células, consumen glucosa y acumulan lactato, mientras la PO₂ baja y la PCO₂ sube. Analice las gasometrías en 15 minutos (30 minutos en hielo).',
+    'quality.PSEUDOHYPERKALEMIA.title': 'Posible pseudohiperpotasemia',
+    'quality.PSEUDOHYPERKALEMIA.explanation': 'Un K⁺ alto aislado sin acidemia suele ser artefactual: hemólisis por una aguja fina o una aspiración enérgica, puño cerrado o trombocitosis. Compruebe si hay indicador de hemólisis y repita la muestra antes de tratar.',
+    'quality.BASE_EXCESS_MISMATCH.title': 'El exceso de bases medido no concuerda con el calculado',
+    'quality.BASE_EXCESS_MISMATCH.explanation': 'El exceso de bases del analizador debería diferir en pocos mmol/L del exceso de bases estándar calculado a partir del pH y el HCO₃⁻ (Van Slyke). Una diferencia mayor sugiere un error de transcripción, un valor de otra muestra o un exceso de bases real (in vitro) en lugar del estándar.',
+    'quality.evidence.ROOM_AIR_PO2': 'PaO₂ {pao2} próxima a la PO₂ del aire ambiente con una PaCO₂ baja ({paco2})',
+    'quality.evidence.ABOVE_ALVEOLAR_PO2': 'La PaO₂ {pao2} supera la PO₂ alveolar calculada ({alveolarPo2}) con FiO₂ {fio2}%',
+    'quality.evidence.SAO2_MISMATCH': 'La SaO₂ medida del {sao2}% no coincide con el {predicted}% esperado para una PaO₂ de {pao2}',
+    'quality.evidence.SPO2_MISMATCH': 'La PaO₂ {pao2} (saturación esperada {predicted}%) es demasiado baja para la SpO₂ por pulsioximetría del {spo2}%',
+    'quality.evidence.VENOUS_RANGE': 'SaO₂ del {sao2}% con PaO₂ {pao2}: rango venoso',
+    'quality.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L por encima del rango de referencia (≤ {limit})',
+    'quality.evidence.NO_ACIDEMIA': 'Sin acidemia que explique el desplazamiento de potasio (pH {ph})',
+    'quality.evidence.LOW_GLUCOSE': 'Glucosa baja ({glucose}) compatible con glucólisis in vitro',
+    'quality.evidence.BASE_EXCESS_MISMATCH': 'EB medido {be} mmol/L frente a EBE calculado {calculated} mmol/L',
+    'differentials.categories.hagma': 'Acidosis metabólica con anión gap elevado',
+    'differentials.categories.nagma': 'Acidosis metabólica con anión gap normal',
+    'differentials.categories.metAlkChlorideResponsive': 'Alcalosis metabólica sensible al cloruro',
+    'differentials.categories.metAlkChlorideResistant': 'Alcalosis metabólica resistente al cloruro',
+    'differentials.categories.respAcidAcute': 'Acidosis respiratoria aguda',
+    'differentials.categories.respAcidChronic': 'Acidosis respiratoria crónica',
+    'differentials.categories.respAlkAcute': 'Alcalosis respiratoria aguda',
+    'differentials.categories.respAlkChronic': 'Alcalosis respiratoria crónica',
+    'differentials.causes.lacticAcidosis': 'Acidosis láctica (hipoperfusión, sepsis, fármacos)',
+    'differentials.causes.diabeticKetoacidosis': 'Cetoacidosis diabética',
+    'differentials.causes.alcoholicKetoacidosis': 'Cetoacidosis alcohólica o por ayuno',
+    'differentials.causes.toxicAlcohol': 'Alcoholes tóxicos (metanol, etilenglicol)',
+    'differentials.causes.uremia': 'Uremia (insuficiencia renal)',
+    'differentials.causes.salicylate': 'Intoxicación por salicilatos',
+    'differentials.causes.otherHagma': 'Otras (propilenglicol, 5-oxoprolina, D-lactato)',
+    'differentials.causes.giBicarbonateLoss': 'Pérdida digestiva de bicarbonato (diarrea, fístula)',
+    'differentials.causes.saline': 'Acidosis hiperclorémica por suero salino',
+    'differentials.causes.distalRta': 'Acidosis tubular renal distal (tipo 1)',
+    'differentials.causes.type4Rta': 'ATR tipo 4 (hipoaldosteronismo)',
+    'differentials.causes.proximalRta': 'Acidosis tubular renal proximal (tipo 2)',
+    'differentials.causes.earlyKidneyDisease': 'Enfermedad renal incipiente',
+    'differentials.causes.vomiting': 'Vómitos o aspiración nasogástrica',
+    'differentials.causes.remoteDiuretics': 'Uso previo de diuréticos',
+    'differentials.causes.contractionAlkalosis': 'Alcalosis por contracción (depleción de volumen)',
+    'differentials.causes.postHypercapnic': 'Alcalosis poshipercápnica',
+    'differentials.causes.activeDiuretics': 'Uso actual de diuréticos',
+    'differentials.causes.mineralocorticoidExcess': 'Exceso de mineralocorticoides (hiperaldosteronismo primario, Cushing)',
+    'differentials.causes.severeHypokalemia': 'Hipopotasemia grave',
+    'differentials.causes.bartterGitelman': 'Síndrome de Bartter o de Gitelman',
+    'differentials.causes.alkaliLoad': 'Sobrecarga de álcalis (bicarbonato, síndrome de leche y alcalinos)',
+    'differentials.causes.cnsDepression': 'Depresión del SNC (opioides, sedantes, ictus)',
+    'differentials.causes.airwayObstruction': 'Obstrucción de la vía aérea o exacerbación aguda de asma/EPOC',
+    'differentials.causes.pneumoniaEdema': 'Neumonía grave o edema pulmonar',
+    'differentials.causes.acuteNeuromuscular': 'Debilidad neuromuscular aguda (Guillain-Barré, miastenia)',
+    'differentials.causes.inadequateVentilation': 'Ventilación mecánica insuficiente',
+    'differentials.causes.copd': 'EPOC',
+    'differentials.causes.obesityHypoventilation': 'Síndrome de obesidad-hipoventilación',
+    'differentials.causes.chronicNeuromuscular': 'Enfermedad neuromuscular o de la pared torácica crónica',
+    'differentials.causes.hypoxemia': 'Hipoxemia (embolia pulmonar, neumonía, edema)',
+    'differentials.causes.painAnxiety': 'Dolor, ansiedad o síndrome de hiperventilación',
+    'differentials.causes.sepsis': 'Sepsis',
+    'differentials.causes.excessiveVentilation': 'Ventilación mecánica excesiva',
+    'differentials.causes.pregnancy': 'Embarazo',
+    'differentials.causes.liverDisease': 'Hepatopatía crónica',
+    'differentials.causes.highAltitude': 'Gran altitud',
+    'differentials.causes.chronicHypoxemia': 'Hipoxemia crónica o enfermedad pulmonar intersticial',
+    'differentials.causes.cnsDisease': 'Enfermedad del SNC (tumor, infección, traumatismo)',
+    'differentials.evidence.LACTATE_ABOVE': 'Lactato {lactate} (> {limit})',
+    'differentials.evidence.GLUCOSE_ABOVE': 'Glucosa {glucose} (> {limit})',
+    'differentials.evidence.KETOSIS': 'β-Hidroxibutirato {bhb} (≥ {limit})',
+    'differentials.evidence.GLUCOSE_NOT_ELEVATED': 'Glucosa {glucose} (no muy elevada)',
+    'differentials.evidence.KETOSIS_WITHOUT_HYPERGLYCEMIA': 'Cetosis (β-hidroxibutirato {bhb}) sin hiperglucemia',
+    'differentials.evidence.OSMOLAR_GAP_ELEVATED': 'Gap osmolar {gap} mOsm/kg (> {limit})',
+    'differentials.evidence.BUN_ABOVE': 'BUN {bun} (> {limit})',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ALKALOSIS': 'Alcalosis respiratoria concomitante',
+    'differentials.evidence.CONCURRENT_METABOLIC_ACIDOSIS': 'Acidosis metabólica concomitante',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ACIDOSIS': 'Acidosis respiratoria concomitante (PaCO₂ {paco2})',
+    'differentials.evidence.URINE_ANION_GAP_NEGATIVE': 'Anión gap urinario {gap} (negativo)',
+    'differentials.evidence.URINE_ANION_GAP_POSITIVE': 'Anión gap urinario {gap} (positivo)',
+    'differentials.evidence.URINE_OSMOLAL_GAP_HIGH': 'Gap osmolal urinario {gap} (≥ {limit})',
+    'differentials.evidence.URINE_OSMOLAL_GAP_LOW': 'Gap osmolal urinario {gap} (< {limit})',
+    'differentials.evidence.CHLORIDE_ABOVE': 'Cl⁻ {cl} mmol/L (> {limit})',
+    'differentials.evidence.POTASSIUM_LOW': 'K⁺ {k} mmol/L (bajo)',
+    'differentials.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L (alto)',
+    'differentials.evidence.POTASSIUM_BELOW': 'K⁺ {k} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_BELOW': 'Cl⁻ urinario {ucl} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_ABOVE': 'Cl⁻ urinario {ucl} mmol/L (> {limit})',
+    'differentials.evidence.PURE_HYPOVENTILATION': 'Gradiente A-a normal (hipoventilación pura)',
+    'differentials.evidence.NORMAL_AA_GRADIENT': 'Gradiente A-a normal',
+    'differentials.evidence.AA_GRADIENT_ELEVATED': 'Gradiente A-a {aaGradient} (elevado)',
+    'differentials.evidence.PAO2_BELOW': 'PaO₂ {pao2} (< {limit})',
+    'differentials.evidence.LOW_BAROMETRIC_PRESSURE': 'Presión barométrica {patm}',
+    'differentials.evidence.CONTEXT': 'Contexto clínico: {context}',
+    'differentials.evidence.IMPAIRED_BICARBONATE_EXCRETION': 'Contexto clínico: enfermedad renal (excreción de HCO₃⁻ alterada)',
+    'differentials.notes.ANION_GAP_UNAVAILABLE': 'Anión gap no disponible: indique Na⁺ y Cl⁻ para distinguir la acidosis con anión gap elevado de la de anión gap normal.',
+    'differentials.notes.URINE_CHLORIDE_MISSING': 'Cl⁻ urinario no indicado: se enumeran las causas sensibles y resistentes al cloruro.',
+    'differentials.notes.URINE_CHLORIDE': 'Cl⁻ urinario {ucl} mmol/L.',
+    'differentials.notes.CLASSIFIED_ACUTE': 'Clasificada como aguda según el patrón de compensación.',
+    'differentials.notes.CLASSIFIED_CHRONIC': 'Clasificada como crónica según el patrón de compensación.',
+    'differentials.notes.CHRONICITY_UNDETERMINED': 'Cronicidad no determinada: se enumeran las causas agudas y crónicas.',
+    'crisis.criteria.GLUCOSE_ABOVE': 'Glucosa {glucose} ≥ {limit}',
+    'crisis.criteria.GLUCOSE_BELOW': 'Glucosa {glucose} < {limit}',
+    'crisis.criteria.GLUCOSE_BELOW_DIABETES': 'Glucosa {glucose} < {limit} (diabetes conocida)',
+    'crisis.criteria.BHB_ABOVE': 'β-Hidroxibutirato {bhb} ≥ {limit}',
+    'crisis.criteria.BHB_BELOW': 'β-Hidroxibutirato {bhb} < {limit}',
+    'crisis.criteria.BHB_MISSING': 'β-Hidroxibutirato no indicado',
+    'crisis.criteria.ACIDOSIS': 'Acidosis (pH {ph} < 7,30 o HCO₃⁻ {hco3} < 18 mmol/L)',
+    'crisis.criteria.OSMOLALITY_ABOVE': 'Osmolalidad efectiva {osmolality} mOsm/kg > {limit}',
+    'crisis.criteria.OSMOLALITY_NOT_ABOVE': 'Osmolalidad efectiva {osmolality} mOsm/kg ≤ {limit}',
+    'crisis.criteria.OSMOLALITY_NEEDS_SODIUM': 'La osmolalidad efectiva requiere el Na⁺',
+    'crisis.findings.DKA_HHS_OVERLAP': 'Superposición de CAD y EHH: cetoacidosis con glucosa {glucose} y osmolalidad efectiva {osmolality} mOsm/kg.',
+    'crisis.findings.DKA': 'Cetoacidosis diabética ({severity}).',
+    'crisis.findings.HHS': 'Estado hiperglucémico hiperosmolar: glucosa {glucose}, osmolalidad efectiva {osmolality} mOsm/kg sin cetoacidosis significativa.',
+    'crisis.findings.EUGLYCEMIC_DKA': 'CAD euglucémica: cetoacidosis en un paciente con diabetes y glucosa por debajo del umbral de CAD (considere inhibidores de SGLT2, embarazo, ingesta reducida).',
+    'crisis.findings.NON_DIABETIC_KETOACIDOSIS': 'Cetoacidosis sin hiperglucemia: considere una cetoacidosis alcohólica o por ayuno, o una CAD euglucémica si es diabético.',
+    'crisis.findings.KETOACIDOSIS_GLUCOSE_MISSING': 'Cetoacidosis sin hiperglucemia (glucosa no indicada): considere una cetoacidosis alcohólica o por ayuno, o una CAD euglucémica si es diabético.',
+    'crisis.findings.MEASURE_BHB': 'Hiperglucemia con acidosis: mida el β-hidroxibutirato para confirmar o descartar una CAD.',
+    'crisis.findings.NONE': 'No se cumplen los criterios de CAD / EHH.',
+    'stewart.findings.LOW_SID': 'Un SID aparente bajo ({sid} mEq/L) indica una acidosis metabólica por iones fuertes.',
+    'stewart.findings.HIGH_SID': 'Un SID aparente alto ({sid} mEq/L) indica una alcalosis metabólica por iones fuertes.',
+    'stewart.findings.HYPERCHLOREMIA': 'El Cl⁻ corregido de {chloride} mmol/L es alto en relación con el Na⁺ (componente hiperclorémico).',
+    'stewart.findings.HYPOALBUMINEMIA': 'La hipoalbuminemia (albúmina {albumin}) reduce el Atot y ejerce un efecto alcalinizante.',
+    'stewart.findings.SIG_ELEVATED': 'Una brecha de iones fuertes elevada ({sig} mEq/L) indica aniones no medidos.',
+    'stewart.findings.ANIONS_MASKED': 'La hipoalbuminemia enmascara los aniones no medidos: el anión gap sin corregir parece normal.',
+    'stewart.findings.SIG_NEGATIVE': 'Una brecha de iones fuertes negativa ({sig} mEq/L) sugiere cationes no medidos o un error de medición.',
+    'stewart.findings.NORMAL': 'No se detecta ninguna alteración de iones fuertes ni de ácidos débiles.',
+    'stewart.findings.IONS_OMITTED': 'No indicados (excluidos del cálculo): {ions}.',
+    'stewart.ions.k': 'K⁺',
+    'stewart.ions.ca': 'Ca²⁺',
+    'stewart.ions.mg': 'Mg²⁺',
+    'stewart.ions.lactate': 'lactato',
+    'stewart.ions.phosphate': 'fosfato',
+    'baseExcess.components.freeWater': 'Agua libre (Na⁺)',
+    'baseExcess.components.chloride': 'Cloruro',
+    'baseExcess.components.albumin': 'Albúmina',
+    'baseExcess.components.lactate': 'Lactato',
+    'baseExcess.components.unmeasuredAnions': 'Aniones no medidos',
+    'baseExcess.findings.FREE_WATER_EXCESS': 'Exceso de agua libre (acidosis dilucional): {value} mmol/L.',
+    'baseExcess.findings.FREE_WATER_DEFICIT': 'Déficit de agua libre (alcalosis por contracción): {value} mmol/L.',
+    'baseExcess.findings.HYPERCHLOREMIC_ACIDOSIS': 'Acidosis hiperclorémica: {value} mmol/L.',
+    'baseExcess.findings.HYPOCHLOREMIC_ALKALOSIS': 'Alcalosis hipoclorémica: {value} mmol/L.',
+    'baseExcess.findings.HYPERALBUMINEMIC_ACIDOSIS': 'Acidosis hiperalbuminémica: {value} mmol/L.',
+    'baseExcess.findings.HYPOALBUMINEMIC_ALKALOSIS': 'Alcalosis hipoalbuminémica: {value} mmol/L.',
+    'baseExcess.findings.LACTIC_ACIDOSIS': 'Acidosis láctica: {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_ANIONS': 'Acidosis por aniones no medidos: {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_CATIONS': 'Efecto de cationes no medidos o error de medición: {value} mmol/L.',
+    'baseExcess.findings.NO_SIGNIFICANT_COMPONENT': 'Ningún componente del exceso de bases supera ±2 mmol/L.',
+    'baseExcess.findings.ALBUMIN_MISSING': 'Albúmina no indicada: se supone un efecto nulo de la albúmina.',
+    'baseExcess.findings.LACTATE_MISSING': 'Lactato no indicado: su efecto se incluye en los aniones no medidos.',
+    'oxygenation.findings.AA_GRADIENT_ELEVATED': 'El gradiente A-a de {aaGradient} supera el límite esperado para la edad (≤ {expected}), lo que indica alteración V/Q, cortocircuito o trastorno de la difusión.',
+    'oxygenation.findings.AA_GRADIENT_NORMAL': 'El gradiente A-a de {aaGradient} está dentro del límite esperado para la edad (≤ {expected}).',
+    'oxygenation.findings.ARDS_MILD': 'El cociente P/F de {pfRatio} cumple el criterio de oxigenación de Berlín para SDRA leve (requiere PEEP/CPAP ≥ 5 cmH₂O, opacidades bilaterales e inicio agudo).',
+    'oxygenation.findings.ARDS_MODERATE': 'El cociente P/F de {pfRatio} cumple el criterio de oxigenación de Berlín para SDRA moderado (requiere PEEP/CPAP ≥ 5 cmH₂O, opacidades bilaterales e inicio agudo).',
+    'oxygenation.findings.ARDS_SEVERE': 'El cociente P/F de {pfRatio} cumple el criterio de oxigenación de Berlín para SDRA grave (requiere PEEP/CPAP ≥ 5 cmH₂O, opacidades bilaterales e inicio agudo).',
+    'oxygenation.findings.PF_RATIO_NORMAL': 'El cociente P/F de {pfRatio} está por encima del umbral de SDRA de Berlín ({limit}).',
+    'oxygenation.findings.TYPE_1': 'Insuficiencia respiratoria tipo 1 (hipoxémica): PaO₂ < {limit} con PaCO₂ normal o baja.',
+    'oxygenation.findings.TYPE_1_HYPERCAPNIA': 'Insuficiencia respiratoria tipo 1 (hipoxémica): PaO₂ < {limit}.',
+    'oxygenation.findings.TYPE_2': 'Insuficiencia respiratoria tipo 2 (hipercápnica): PaCO₂ > {limit} con {criteria}.',
+    'oxygenation.findings.PURE_HYPOVENTILATION': 'Un gradiente A-a normal sugiere una hipoventilación pura.',
+    'oxygenation.findings.MILD_HYPOXEMIA': 'Hipoxemia leve sin criterios de insuficiencia respiratoria.',
+    'oxygenation.findings.HYPERCAPNIA': 'Hipercapnia (PaCO₂ {paco2}) sin criterios de insuficiencia respiratoria tipo 2 (PaCO₂ > {limit} con acidemia o hipoxemia).',
+    'oxygenation.findings.HYPERCAPNIA_ISOLATED': 'Hipercapnia (PaCO₂ {paco2}) sin criterios de insuficiencia respiratoria tipo 2 (PaCO₂ > {limit} con acidemia o hipoxemia), p. ej. compensación de una alcalosis metabólica.',
+    'oxygenation.criteria.acidemia': 'acidemia',
+    'oxygenation.criteria.hypoxemia': 'hipoxemia',
+    'oxygenation.defaults.fio2': 'FiO₂ (%)',
+    'oxygenation.defaults.patm': 'Presión barométrica',
+    'oxygenation.defaults.rq': 'Cociente respiratorio',
+    'oxygenation.assumptions.DEFAULT_VALUE': '{field} no indicado, se supone {value}.',
+    'oxygenation.assumptions.AGE_MISSING': 'Edad no indicada: el gradiente A-a se compara con el límite del adulto joven de {limit}.',
+    'oxygenation.assumptions.PEDIATRIC_ARDS': 'La clasificación de Berlín del SDRA procede de adultos; el SDRA pediátrico (PALICC) se clasifica con el índice de oxigenación o la SpO₂/FiO₂.',
+    'cordGas.checks.VENOUS_MISSING': 'pH y PCO₂ venosos umbilicales no indicados: no se puede confirmar el origen arterial de la muestra.',
+    'cordGas.checks.PH_SWAPPED': 'El pH arterial ({arterial}) es más alto que el venoso ({venous}): probablemente las muestras están intercambiadas.',
+    'cordGas.checks.PH_DIFFERENCE_LOW': 'La diferencia de pH venoso-arterial de {difference} es inferior a {limit}: ambas muestras pueden proceder del mismo vaso (habitualmente la vena).',
+    'cordGas.checks.PH_DIFFERENCE_OK': 'Diferencia de pH venoso-arterial de {difference} (≥ {limit}).',
+    'cordGas.checks.PCO2_SWAPPED': 'La PCO₂ arterial es más baja que la venosa: probablemente las muestras están intercambiadas.',
+    'cordGas.checks.PCO2_DIFFERENCE_LOW': 'La diferencia de PCO₂ arterio-venosa de {difference} es inferior a {limit}: ambas muestras pueden proceder del mismo vaso.',
+    'cordGas.checks.PCO2_DIFFERENCE_OK': 'Diferencia de PCO₂ arterio-venosa de {difference} (≥ {limit}).',
+    'cordGas.findings.summary': 'pH arterial umbilical {ph}, déficit de bases {baseDeficit} mmol/L ({source})',
+    'cordGas.findings.NORMAL': '{summary}: sin acidemia significativa al nacer.',
+    'cordGas.findings.RESPIRATORY': '{summary}: acidemia respiratoria (déficit de bases < {limit} mmol/L), habitualmente por compresión aguda del cordón o por incidencias del parto, y no asociada a lesión hipóxico-isquémica.',
+    'cordGas.findings.METABOLIC': '{summary}: acidosis metabólica (déficit de bases ≥ {limit} mmol/L), que indica una hipoxia intraparto significativa.',
+    'cordGas.findings.MIXED': '{summary}: acidosis mixta respiratoria y metabólica (déficit de bases ≥ {limit} mmol/L), que indica una hipoxia intraparto significativa.',
+    'cordGas.findings.HYPOXIC_ISCHEMIC_ACIDOSIS': 'Un pH arterial < {ph} con un déficit de bases ≥ {baseDeficit} mmol/L cumple el criterio ACOG/AAP de acidosis hipóxico-isquémica intraparto: evalúe al neonato por encefalopatía hipóxico-isquémica.',
+    'cordGas.findings.SEVERE_RESPIRATORY_ACIDEMIA': 'Acidemia grave (pH < {ph}) de origen predominantemente respiratorio.',
+    'cordGas.findings.INVALID_PAIR': 'Interprete con precaución: las muestras emparejadas no superaron las comprobaciones de validez arterial/venosa.',
+
+    // --- Severity grading and critical values ---
+    'severity.none': 'Ninguna',
+    'severity.mild': 'Leve',
+    'severity.moderate': 'Moderada',
+    'severity.severe': 'Grave',
+    'severity.life_threatening': 'Potencialmente mortal',
+    'critical.title': 'Valor crítico',
+    'critical.titleMany': 'Valores críticos',
+    'critical.notify': ' — avise al clínico responsable y confirme el resultado.',
+    'critical.low': '{field} {value} está por debajo del límite crítico ({limit})',
+    'critical.high': '{field} {value} está por encima del límite crítico ({limit})',
+    'critical.dismiss': 'Descartar',
+    'critical.fields.ca': 'Ca²⁺ iónico',
+    'critical.fields.glucose': 'Glucosa',
+    'critical.fields.lactate': 'Lactato',
+    'severity.title': 'Gravedad',
+    'acidBaseMap.title': 'Mapa ácido-base',
+    'acidBaseMap.info': 'Diagrama pH–HCO₃⁻ (Davenport). Cada banda sombreada es la zona de un trastorno simple con la compensación esperada, delimitada por las fórmulas del paso 4; las líneas discontinuas son isopletas de PaCO₂. Un punto fuera de todas las bandas sugiere un trastorno mixto.',
+    'acidBaseMap.hint': 'Pase el cursor o enfoque una banda para ver cómo se obtiene.',
+    'acidBaseMap.ariaLabel': 'Mapa ácido-base',
+    'acidBaseMap.isopleths': 'Isopletas de PaCO₂',
+    'acidBaseMap.patient': 'Paciente: pH {ph}, PaCO₂ {paco2}, HCO₃⁻ {hco3} mmol/L',
+    'acidBaseMap.bands.normal': 'Rango de referencia',
+    'acidBaseMap.bands.metabolicAcidosis': 'Acidosis metabólica',
+    'acidBaseMap.bands.metabolicAlkalosis': 'Alcalosis metabólica',
+    'acidBaseMap.bands.acuteRespiratoryAcidosis': 'Acidosis respiratoria aguda',
+    'acidBaseMap.bands.chronicRespiratoryAcidosis': 'Acidosis respiratoria crónica',
+    'acidBaseMap.bands.acuteRespiratoryAlkalosis': 'Alcalosis respiratoria aguda',
+    'acidBaseMap.bands.chronicRespiratoryAlkalosis': 'Alcalosis respiratoria crónica',
+    'acidBaseMap.explain.normal': 'Rangos de referencia de esta muestra: pH {ph}, HCO₃⁻ {hco3} mmol/L.',
+    'acidBaseMap.explain.metabolicAcidosis': 'Descenso primario del HCO₃⁻ con la compensación respiratoria esperada (hiperventilación).',
+    'acidBaseMap.explain.metabolicAlkalosis': 'Aumento primario del HCO₃⁻ con la compensación respiratoria esperada (hipoventilación).',
+    'acidBaseMap.explain.acuteRespiratoryAcidosis': 'Aumento primario de la PaCO₂ amortiguado solo por los tampones tisulares, antes de la compensación renal.',
+    'acidBaseMap.explain.chronicRespiratoryAcidosis': 'Aumento primario de la PaCO₂ con retención renal de HCO₃⁻ (tras 3-5 días).',
+    'acidBaseMap.explain.acuteRespiratoryAlkalosis': 'Descenso primario de la PaCO₂ amortiguado solo por los tampones tisulares, antes de la compensación renal.',
+    'acidBaseMap.explain.chronicRespiratoryAlkalosis': 'Descenso primario de la PaCO₂ con excreción renal de HCO₃⁻ (tras 2-3 días).',
+    'acidBaseMap.formula.WINTERS': 'Fórmula de Winter: PaCO₂ esperada = 1,5 × HCO₃⁻ + 8 ± {tolerance} mmHg.',
+    'acidBaseMap.formula.METABOLIC_ALKALOSIS': 'PaCO₂ esperada = {paco2Normal} + {slope} × (HCO₃⁻ − {hco3Normal}) ± {tolerance} mmHg.',
+    'acidBaseMap.formula.RESPIRATORY': 'HCO₃⁻ esperado = {hco3Normal} + {slope} × (PaCO₂ − {paco2Normal}) ± {tolerance} mmol/L.',
+    'acidBaseMap.point.normal': 'El punto del paciente está dentro del rango de referencia.',
+    'acidBaseMap.point.within': 'El punto del paciente está en la banda de: {bands}.',
+    'acidBaseMap.point.outside': 'El punto del paciente está fuera de todas las bandas de trastorno simple, lo que sugiere un trastorno mixto.',
+    'encounter.label': 'Paciente / episodio',
+    'encounter.none': 'Ninguno (muestra única)',
+    'encounter.option': '{label} ({count} muestras)',
+    'encounter.newPlaceholder': 'Nuevo episodio, p. ej. cama 4',
+    'encounter.create': 'Crear',
+    'encounter.delete': 'Eliminar episodio',
+    'encounter.deleteConfirm': '¿Eliminar el episodio "{label}" y sus {count} muestras?',
+    'encounter.sampleTime': 'Hora de la muestra',
+    'trend.title': 'Muestras seriadas: {label}',
+    'trend.info': 'Muestras de este episodio a lo largo del tiempo. La tendencia compara la primera y la última muestra; los valores previos de PaCO₂ también deciden entre compensación respiratoria aguda y crónica.',
+    'trend.add': 'Añadir este resultado ({time})',
+    'trend.added': 'Añadido al episodio',
+    'trend.empty': 'Aún no hay muestras: analice una muestra y añádala al episodio.',
+    'trend.needMore': 'Añada una segunda muestra para ver la tendencia.',
+    'trend.time': 'Hora',
+    'trend.interpretation': 'Interpretación',
+    'trend.remove': 'Eliminar muestra',
+    'trend.charts.anionGap': 'Anión gap (mmol/L)',
+    'trend.charts.lactate': 'Lactato ({unit})',
+    'trend.fields.anionGap': 'AG',
+    'trend.fields.lactate': 'lactato',
+    'trend.summary': 'En {hours} h ({count} muestras): {findings}.',
+    'trend.noChange': 'En {hours} h ({count} muestras): sin cambios ácido-base significativos.',
+    'trend.process.IMPROVING': '{disorder} en mejoría ({values})',
+    'trend.process.WORSENING': '{disorder} en empeoramiento ({values})',
+    'trend.process.UNCHANGED': '{disorder} sin cambios ({values})',
+    'trend.process.RESOLVED': '{disorder} resuelta ({values})',
+    'trend.process.NEW': 'nueva {disorder} ({values})',
+    'trend.ANION_GAP_CLOSING': 'anión gap en cierre ({values})',
+    'trend.ANION_GAP_CLOSED': 'anión gap cerrado ({values})',
+    'trend.ANION_GAP_WIDENING': 'anión gap en aumento ({values})',
+    'trend.NAGMA_UNMASKED': 'ahora se desenmascara una acidosis metabólica con anión gap normal',
+    'trend.LACTATE_CLEARING': 'aclaramiento de lactato ({values}, {clearance}% de aclaramiento)',
+    'trend.LACTATE_RISING': 'lactato en aumento ({values})',
+    'trend.LACTATE_PERSISTENT': 'lactato persistentemente elevado ({values})',
+    'history.title': 'Historial de análisis',
+    'history.info': 'Los análisis se guardan solo en este navegador. Vuelva a abrir uno para ver sus resultados, o duplíquelo para editar los datos.',
+    'history.search': 'Buscar paciente o archivo',
+    'history.allDisorders': 'Todos los trastornos',
+    'history.from': 'Desde',
+    'history.to': 'Hasta',
+    'history.count': '{count} de {total} análisis',
+    'history.empty': 'Aún no hay análisis guardados.',
+    'history.noMatch': 'Ningún análisis coincide con los filtros.',
+    'history.noPatient': 'Sin etiqueta de paciente',
+    'history.reopen': 'Abrir',
+    'history.duplicate': 'Duplicar y editar',
+    'history.delete': 'Eliminar',
+    'history.deleteConfirm': '¿Eliminar el análisis del {time}?',
+    'history.source.manual': 'Entrada manual',
+    'history.source.ocr': 'Imagen (OCR)',
+    'history.source.ocrFile': 'Imagen (OCR): {file}',
+    'history.source.hl7': 'Mensaje HL7: {specimen}',
+    'history.source.hl7File': 'HL7 ({file}): {specimen}',
+    'history.source.batch': 'Lote: {file}, fila {row}',
+    'history.source.link': 'Enlace compartido',
+    'history.source.pdf': 'PDF: {file}',
+    'history.source.pdfPage': 'PDF: {file}, página {page}',
+    'history.unavailable': 'El historial no está disponible en este navegador.',
+    'history.notSaved': 'No se guardó en el historial porque está bloqueado. Desbloquéelo en la pestaña Historial.',
+    'history.locked': 'El historial está cifrado. Introduzca la frase de contraseña para abrirlo.',
+    'history.passphrase': 'Frase de contraseña',
+    'history.confirmPassphrase': 'Confirmar frase de contraseña',
+    'history.unlock': 'Desbloquear',
+    'history.lock': 'Bloquear',
+    'history.wrongPassphrase': 'Frase de contraseña incorrecta.',
+    'history.encryption': 'Cifrado en reposo',
+    'history.encryptionOff': 'Las entradas se guardan sin cifrar en este navegador. Defina una frase de contraseña para cifrarlas; si la olvida, no se puede recuperar.',
+    'history.encryptionOn': 'Las entradas están cifradas con su frase de contraseña.',
+    'history.setPassphrase': 'Cifrar historial',
+    'history.changePassphrase': 'Cambiar frase de contraseña',
+    'history.removePassphrase': 'Quitar cifrado',
+    'history.removeConfirm': '¿Guardar de nuevo el historial sin cifrar?',
+    'history.passphraseShort': 'Use al menos 8 caracteres.',
+    'history.passphraseMismatch': 'Las frases de contraseña no coinciden.',
+    'history.encrypted': 'El historial ahora está cifrado.',
+    'history.decrypted': 'El historial ya no está cifrado.',
+    'fhir.title': 'Exportación FHIR R4',
+    'fhir.info': 'Un Bundle de transacción con una Observation por cada valor introducido (códigos LOINC, unidades UCUM) y un DiagnosticReport con la interpretación y una conclusión codificada para cada trastorno.',
+    'fhir.download': 'Descargar bundle FHIR',
+    'fhir.endpoint': 'URL base del servidor FHIR',
+    'fhir.send': 'Enviar al servidor',
+    'fhir.sending': 'Enviando...',
+    'fhir.sent': 'Enviado: el servidor devolvió {count} entradas.',
+    'fhir.sendFailed': 'No se pudo enviar el bundle: {message}',
+    'report.title': 'Informe (impresión / PDF)',
+    'report.info': 'Elija una plantilla y complete los identificadores y la firma. La identidad institucional y el clínico informante se recuerdan en este dispositivo; los identificadores del paciente no.',
+    'report.template': 'Plantilla',
+    'report.templates.full': 'Informe completo',
+    'report.templates.summary': 'Resumen',
+    'report.templates.cord': 'Gasometría de cordón',
+    'report.identifiers': 'Paciente y muestra',
+    'report.patientName': 'Nombre del paciente',
+    'report.patientId': 'ID del paciente',
+    'report.sampleId': 'ID de la muestra',
+    'report.collectedAt': 'Extracción',
+    'report.signOff': 'Firma del clínico',
+    'report.reportedBy': 'Informado por',
+    'report.reviewedBy': 'Revisado por',
+    'report.comment': 'Comentario',
+    'report.name': 'Nombre',
+    'report.signature': 'Firma',
+    'report.dateTime': 'Fecha y hora',
+    'report.branding': 'Identidad institucional',
+    'report.institution': 'Institución',
+    'report.department': 'Línea de encabezado (servicio, dirección)',
+    'report.logo': 'Logotipo',
+    'report.uploadLogo': 'Subir logotipo',
+    'report.removeLogo': 'Quitar logotipo',
+    'report.logoTooLarge': 'El logotipo debe ocupar menos de {size} KB.',
+    'report.print': 'Imprimir',
+    'report.downloadPdf': 'Descargar PDF',
+    'report.generating': 'Generando PDF...',
+    'report.pdfFailed': 'No se pudo generar el PDF: {message}',
+    'report.pageNumber': 'Página {page} de {count}',
+    'share.share': 'Compartir',
+    'share.info': 'Quien abra este enlace verá los mismos valores, tipo de muestra y configuración, y el análisis se repetirá en su dispositivo. El enlace no contiene nombre, etiqueta del paciente ni hora de la muestra.',
+    'share.link': 'Enlace a este análisis',
+    'share.copy': 'Copiar enlace',
+    'share.copied': 'Enlace copiado al portapapeles.',
+    'share.copyFailed': 'No se pudo copiar el enlace; selecciónelo y cópielo manualmente.',
+    'share.createFailed': 'No se pudo crear el enlace: {message}',
+    'share.compress': 'Comprimir el enlace (enlace y código QR más cortos)',
+    'share.qrCode': 'Código QR del enlace',
+    'share.tooLong': 'El enlace es demasiado largo para un código QR.',
+    'share.invalidLink': 'No se pudo abrir el enlace compartido: {message}',
+    'notes.title': 'Nota clínica',
+    'notes.info': 'Nota en texto plano para la historia clínica, generada a partir de una plantilla. Edítela aquí si es necesario y cópiela en la nota de evolución; *** marca los espacios por completar.',
+    'notes.template': 'Plantilla',
+    'notes.preview': 'Texto de la nota',
+    'notes.copy': 'Copiar como nota',
+    'notes.copied': 'Nota copiada al portapapeles.',
+    'notes.copyFailed': 'No se pudo copiar la nota; seleccione el texto y cópielo manualmente.',
+    'notes.discardEdits': 'Descartar cambios',
+    'notes.none': 'Ninguno',
+    'notes.settingsTitle': 'Plantillas de notas clínicas',
+    'notes.settingsInfo': 'Plantillas para "Copiar como nota" en los resultados. Como en las frases inteligentes de la historia clínica electrónica, los marcadores @NOMBRE@ se sustituyen por el análisis y *** marca un espacio por completar. Las plantillas se guardan en este navegador; expórtelas para compartirlas con sus colegas.',
+    'notes.name': 'Nombre de la plantilla',
+    'notes.text': 'Texto de la plantilla',
+    'notes.modifiedName': '{name} (editada)',
+    'notes.copyName': '{name} (copia)',
+    'notes.save': 'Guardar',
+    'notes.saveAsNew': 'Guardar como nueva plantilla',
+    'notes.delete': 'Eliminar',
+    'notes.restore': 'Restaurar predeterminada',
+    'notes.export': 'Exportar JSON',
+    'notes.import': 'Importar JSON',
+    'notes.saved': 'Se guardó "{name}".',
+    'notes.restored': 'Plantilla predeterminada restaurada.',
+    'notes.imported': 'Se importaron {count} plantilla(s).',
+    'notes.errors.INVALID_JSON': 'Las plantillas de nota no son un JSON válido: {message}',
+    'notes.errors.UNKNOWN_FORMAT': 'Formato de plantillas de nota desconocido "{format}".',
+    'notes.errors.UNSUPPORTED_VERSION': 'Versión de plantillas de nota no admitida: {version}.',
+    'notes.errors.EMPTY': 'El archivo no contiene plantillas de nota.',
+    'notes.errors.INVALID_TEMPLATES': 'Plantillas de nota no válidas: {problems}',
+    'notes.errors.problem': 'n.º {index}: {problem}',
+    'notes.problems.NOT_OBJECT': 'La plantilla debe ser un objeto JSON.',
+    'notes.problems.ID_REQUIRED': 'La plantilla necesita un "id" de tipo texto.',
+    'notes.problems.NAME_REQUIRED': 'La plantilla necesita un "name" no vacío.',
+    'notes.problems.TEXT_REQUIRED': 'La plantilla necesita un "text" de tipo texto.',
+    'notes.deleteConfirm': '¿Eliminar la plantilla de nota "{name}"?',
+    'notes.placeholdersTitle': 'Marcadores',
+    'notes.placeholdersInfo': 'Los valores se expresan en las unidades de visualización. Los datos que el análisis no tiene se sustituyen por ***; los marcadores desconocidos se dejan tal como se escribieron.',
+    'notes.placeholders.DATE': 'Fecha y hora de la muestra (ahora si no se registró)',
+    'notes.placeholders.SAMPLE': 'Tipo de muestra',
+    'notes.placeholders.PATIENT': 'Categoría del paciente',
+    'notes.placeholders.ABG': 'Resumen pH/PaCO₂/PaO₂/HCO₃⁻',
+    'notes.placeholders.INPUTS': 'Todos los valores introducidos, uno por línea',
+    'notes.placeholders.CRITICAL': 'Alertas de valores críticos',
+    'notes.placeholders.QUALITY': 'Problemas de calidad de la muestra',
+    'notes.placeholders.STEPS': 'Hallazgos de cada paso, uno por línea',
+    'notes.placeholders.STEP1': 'Hallazgos del paso 1 (igual de @STEP2@ a @STEP7@)',
+    'notes.placeholders.COMPENSATION': 'Compensación (paso 4)',
+    'notes.placeholders.ANIONGAP': 'Anion gap (paso 5)',
+    'notes.placeholders.INTERPRETATION': 'Interpretación final',
+    'notes.placeholders.SEVERITY': 'Gravedad de los trastornos',
+    'notes.placeholders.DIFFERENTIALS': 'Diagnóstico diferencial por categoría, una por línea',
+    'notes.placeholders.OXYGENATION': 'Hallazgos de oxigenación',
+    'notes.placeholders.fieldsTitle': 'Valores individuales',
+    'notes.builtin.soap.name': 'Nota SOAP',
+    'notes.builtin.soap.text': 'Gasometría @DATE@ (@SAMPLE@)\nS: ***\nO: Gasometría @ABG@\n@INPUTS@\nValores críticos: @CRITICAL@\nA: @INTERPRETATION@\nCompensación: @COMPENSATION@\nAnion gap: @ANIONGAP@\nGravedad: @SEVERITY@\nDiagnóstico diferencial:\n@DIFFERENTIALS@\nP: ***',
+    'notes.builtin.oneLiner.name': 'Resumen en una línea',
+    'notes.builtin.oneLiner.text': 'Gasometría @DATE@ (@SAMPLE@) @ABG@: @INTERPRETATION@',
+    'notes.builtin.icuConsult.name': 'Interconsulta detallada de UCI',
+    'notes.builtin.icuConsult.text': 'INTERCONSULTA ÁCIDO-BASE (UCI)\nFecha/hora: @DATE@\nCategoría del paciente: @PATIENT@\nMuestra: @SAMPLE@\nMotivo de la interconsulta: ***\n\nRESULTADOS\nGasometría (pH/PaCO2/PaO2/HCO3): @ABG@\n@INPUTS@\nValores críticos: @CRITICAL@\nProblemas de calidad de la muestra: @QUALITY@\n\nANÁLISIS PASO A PASO\n@STEPS@\n\nOXIGENACIÓN\n@OXYGENATION@\n\nVALORACIÓN\n@INTERPRETATION@\nGravedad: @SEVERITY@\n\nDIAGNÓSTICO DIFERENCIAL\n@DIFFERENTIALS@\n\nRECOMENDACIONES\n1. ***\n2. ***\n\nComentado con ***.',
+    'upload.dropzone': 'Arrastre y suelte aquí una imagen o un PDF, o haga clic para subirlo',
+    'upload.dropzoneLabel': 'Subir archivo de imagen o PDF',
+    'upload.takePhoto': 'Tomar foto',
+    'upload.stopCamera': 'Detener cámara',
+    'upload.selectPage': 'Seleccione la página que contiene los resultados de la gasometría:',
+    'upload.selectPageLabel': 'Seleccionar la página {page} del PDF',
+    'upload.thumbnailAlt': 'Miniatura de la página {page}',
+    'upload.page': 'Página {page}',
+    'upload.firstPages': 'Se muestran las primeras {count} páginas.',
+    'upload.extracted': 'Valores extraídos (editables)',
+    'upload.extractedBy': 'Extraído por Gemini',
+    'upload.analysisInProgress': 'Ya hay un análisis en curso...',
+    'upload.loading.image': 'Procesando imagen...',
+    'upload.loading.pastedImage': 'Procesando imagen pegada...',
+    'upload.loading.snapshot': 'Procesando captura...',
+    'upload.loading.pdf': 'Cargando PDF...',
+    'upload.loading.pdfDocument': 'Cargando documento PDF...',
+    'upload.loading.thumbnails': 'Generando {count} miniaturas de páginas del PDF...',
+    'upload.loading.firstPages': 'Se muestran las primeras {count} páginas. Seleccione una página para analizar.',
+    'upload.loading.selectPage': 'Seleccione la miniatura de una página para analizarla.',
+    'upload.loading.page': 'Renderizando la página {page} para el análisis...',
+    'upload.loading.gemini': 'Analizando la imagen con Gemini...',
+    'upload.errors.unsupported': 'Tipo de archivo no admitido. Suba una imagen o un PDF.',
+    'upload.errors.readImage': 'Error al leer el archivo de imagen.',
+    'upload.errors.readPdf': 'Error al leer el archivo PDF.',
+    'upload.errors.noPages': 'El PDF no tiene páginas.',
+    'upload.errors.loadPdf': 'No se pudo cargar el PDF: {message}',
+    'upload.errors.renderPage': 'No se pudo renderizar la página {page}: {message}',
+    'upload.errors.camera': 'No se pudo acceder a la cámara. Error: {error}. Asegúrese de haber concedido el permiso.',
+    'upload.errors.noCamera': 'Su navegador no admite el acceso a la cámara.',
+    'upload.errors.apiKey': 'La clave de API de Gemini no está configurada. Defina VITE_GEMINI_API_KEY en su archivo .env.',
+    'upload.errors.invalidImage': 'Formato de datos de imagen no válido para la llamada a la API.',
+    'upload.errors.imageType': 'No se pudo determinar el tipo de imagen.',
+    'upload.errors.noResponseBody': 'No se pudo leer el cuerpo de la respuesta de error.',
+    'upload.errors.unknownApi': 'Error de API desconocido',
+    'upload.errors.api': 'Error de API {status}: {message}',
+    'upload.errors.invalidJson': 'La respuesta de Gemini no era un JSON válido.',
+    'upload.errors.noContent': 'Gemini no devolvió contenido válido.',
+    'upload.errors.noValues': 'Gemini no encontró valores en la imagen.',
+    'upload.errors.requestFailed': 'Falló la solicitud a la API de Gemini: {message}',
+    'hl7.title': 'Mensaje de resultados HL7 v2',
+    'hl7.info': 'Pegue o suba un mensaje ORU^R01. Los resultados OBX se asignan al analizador por código LOINC o por su asignación de códigos locales y conservan sus unidades informadas.',
+    'hl7.read': 'Leer mensaje',
+    'hl7.upload': 'Subir archivo de mensaje',
+    'hl7.patient': 'Paciente: {name} ({id})',
+    'hl7.specimens': 'Muestras del mensaje',
+    'hl7.specimen': '{label}: {sampleType}, {time} ({count} valores)',
+    'hl7.noTime': 'hora de extracción no indicada',
+    'hl7.values': 'Valores importados (editables)',
+    'hl7.unmapped': 'Resultados sin asignación: {results}',
+    'hl7.mapping': 'Asignación de códigos locales',
+    'hl7.mappingInfo': 'Los códigos LOINC se reconocen automáticamente. Asigne aquí los códigos de observación locales de su laboratorio (OBX-3) a los campos del analizador.',
+    'hl7.noMappings': 'No hay códigos locales asignados.',
+    'hl7.code': 'Código local',
+    'hl7.field': 'Campo del analizador',
+    'hl7.addMapping': 'Añadir',
+    'hl7.removeMapping': 'Quitar asignación',
+    'batch.title': 'Análisis por lotes',
+    'batch.info': 'Analice cada fila de un archivo CSV o XLSX, p. ej. gasometrías históricas para una auditoría. La primera fila debe contener los nombres de las columnas. Los archivos se leen en el navegador y no se suben.',
+    'batch.upload': 'Elegir archivo CSV/XLSX',
+    'batch.file': '{file}: {rows} filas',
+    'batch.noRows': 'El archivo no tiene filas de datos.',
+    'batch.readFailed': 'No se pudo leer el archivo: {message}',
+    'batch.unnamedColumn': 'Columna {number}',
+    'batch.mapping': 'Asignación de columnas',
+    'batch.columnHeader': 'Columna',
+    'batch.example': 'Primera fila',
+    'batch.fieldOf': 'Campo de la columna {column}',
+    'batch.ignore': '— Ignorar —',
+    'batch.defaults': 'Las filas sin valor en una columna de tipo de muestra o categoría de paciente usan esta configuración:',
+    'batch.unmappedRequired': 'Asigne una columna a cada campo obligatorio: {fields}',
+    'batch.run': 'Analizar {rows} filas',
+    'batch.progress': '{done} de {total} filas analizadas',
+    'batch.cancel': 'Cancelar',
+    'batch.cancelled': 'Lote cancelado tras {done} de {total} filas.',
+    'batch.summary': '{analyzed} filas analizadas, {errors} con errores',
+    'batch.normal': 'Estado ácido-base normal',
+    'batch.undetermined': 'Indeterminado',
+    'batch.exportCsv': 'Exportar CSV',
+    'batch.exportJson': 'Exportar JSON',
+    'batch.errorsOnly': 'Mostrar solo filas con errores',
+    'batch.row': 'Fila',
+    'batch.interpretation': 'Interpretación',
+    'batch.status': 'Estado',
+    'batch.ok': 'Correcto',
+    'batch.open': 'Abrir en el analizador',
+    'batch.openRow': 'Abrir la fila {row} en el analizador',
+    'batch.previous': 'Anterior',
+    'batch.next': 'Siguiente',
+    'batch.page': 'Página {page} de {pages}',
+    'batch.errors.NOT_A_NUMBER': '{field}: «{value}» no es un número',
+    'batch.errors.OUT_OF_RANGE': '{field}: {value} está fuera de {min}–{max} {unit}',
+    'batch.errors.MISSING_REQUIRED': 'Falta {fields}',
+    'batch.errors.UNKNOWN_SAMPLE_TYPE': 'Tipo de muestra desconocido «{value}»',
+    'batch.errors.UNKNOWN_PATIENT_CATEGORY': 'Categoría de paciente desconocida «{value}»',
+    'batch.errors.ANALYSIS_ERROR': '{value}',
+
+    // --- Results view and printed report ---
+    'results.title': 'Resultados del análisis de GSA',
+    'results.profile': 'Rangos de referencia: {name}',
+    'results.sample': 'Muestra {label}',
+    'results.sampleEstimated': ' — interpretada con valores arteriales ESTIMADOS.',
+    'results.sampleRanges': ' — interpretada con los rangos de referencia de muestra {label}.',
+    'results.pediatricMode': 'Modo pediátrico: {label}',
+    'results.pediatricStepsBefore': ' — los pasos marcados ',
+    'results.pediatricStepsAfter': ' usan rangos y expectativas de compensación según la edad.',
+    'results.badge.cord': 'Cordón',
+    'results.badge.pediatric': 'Pediátrico',
+    'results.badge.neonatal': 'Neonatal',
+    'results.temperature': 'Temperatura del paciente {temperature} °C',
+    'results.temperatureStrategy': ' — interpretada con {strategy} (valores {values}).',
+    'results.temperatureCorrected': 'corregidos por temperatura',
+    'results.temperatureUncorrected': 'sin corregir a 37 °C',
+    'results.temperatureAriaLabel': 'Estrategia ácido-base',
+    'temperatureStrategies.alphaStat': 'Alfa-stat',
+    'temperatureStrategies.phStat': 'pH-stat',
+    'results.at37': 'A 37 °C',
+    'results.atTemperature': 'A {temperature} °C',
+    'results.quality': 'Calidad de la muestra: posible error preanalítico',
+    'results.qualityMany': 'Calidad de la muestra: posibles errores preanalíticos',
+    'results.qualityConfirm': ' — confirme la muestra antes de actuar según esta interpretación.',
+    'results.finalInterpretation': 'Interpretación final',
+    'results.cordGas': 'Evaluación de gases de cordón umbilical',
+    'results.cordGasInfo': 'Par válido: el pH venoso supera al arterial en ≥ 0,02 y la PCO₂ arterial supera a la venosa en ≥ 0,5 kPa. Un pH arterial < 7,00 con déficit de bases ≥ 12 mmol/L indica acidosis metabólica perinatal.',
+    'results.arterial': 'Arterial',
+    'results.venous': 'Venosa',
+    'results.baseDeficit': 'Déficit de bases',
+    'results.baseDeficitSource': 'Déficit de bases ({source})',
+    'results.asphyxia': ' — cumple el criterio de asfixia perinatal',
+    'results.sampleValidity': 'Validez de la muestra',
+    'results.sampleValidityFailed': 'Validez de la muestra (NO VÁLIDA)',
+    'results.cord.normal': 'Sin acidemia significativa',
+    'results.cord.respiratory': 'Acidemia respiratoria',
+    'results.cord.metabolic': 'Acidosis metabólica',
+    'results.cord.mixed': 'Acidosis mixta respiratoria y metabólica',
+    'results.steps': 'Análisis paso a paso (método ATS)',
+    'results.stepInfo.step5': 'Anión gap = Na⁺ - (Cl⁻ + HCO₃⁻). Normal ≈ 8-12 mmol/L. Corregido por albúmina baja si se aporta.',
+    'results.stepInfo.step6': 'Delta ratio = (AG - 12) / (24 - HCO₃⁻). Ayuda a identificar trastornos mixtos cuando el AG está elevado. < 0,8 sugiere AMAGN añadida, > 1,8 sugiere alcalosis metabólica añadida. Con lactato, la parte de ΔAG debida al lactato se divide por 1,6 (ratio ajustado por lactato, esperado 0,8-1,25).',
+    'results.stepInfo.step7': 'AMAGE: gap osmolar = Osm medida - (2·Na⁺ + glucosa/18 + BUN/2,8 + etanol/3,7); > 10 sugiere alcoholes tóxicos. AMAGN: anión gap urinario = UNa⁺ + UK⁺ - UCl⁻; negativo sugiere pérdida digestiva, positivo sugiere pérdida renal.',
+    'results.hyperglycemicCrisis': 'Evaluación de CAD / EHH',
+    'results.hyperglycemicCrisisInfo': 'ADA 2024: CAD = glucosa ≥ 200 mg/dL (o diabetes conocida), β-hidroxibutirato ≥ 3,0 mmol/L y pH < 7,30 o HCO₃⁻ < 18. EHH = glucosa ≥ 600 mg/dL, osmolalidad efectiva > 300 mOsm/kg, pH ≥ 7,30, HCO₃⁻ ≥ 15 y sin cetosis significativa.',
+    'results.differentials': 'Diagnóstico diferencial',
+    'results.differentialsInfo': 'Las causas se ordenan por prevalencia y por los datos de apoyo disponibles (lactato, gap osmolar, estudios urinarios, potasio y el contexto clínico seleccionado en el formulario).',
+    'results.stewart': 'Análisis fisicoquímico de Stewart',
+    'results.stewartInfo': 'SIDa = (Na⁺ + K⁺ + 2·Ca²⁺ + 2·Mg²⁺) - (Cl⁻ + lactato). SIDe = HCO₃⁻ + albúmina⁻ + fosfato⁻. SIG = SIDa - SIDe; > 2 mEq/L sugiere aniones no medidos.',
+    'results.sidApparent': 'SID aparente (SIDa)',
+    'results.sidEffective': 'SID efectiva (SIDe)',
+    'results.atot': 'Atot (albúmina⁻ + Pi⁻)',
+    'results.atotParts': 'Atot (albúmina⁻ {albumin} + Pi⁻ {phosphate})',
+    'results.sig': 'Brecha de iones fuertes (SIG)',
+    'results.oxygenation': 'Evaluación de la oxigenación',
+    'results.oxygenationInfo': 'PAO₂ = FiO₂ × (Patm - 47) - PaCO₂/CR. Gradiente A-a = PAO₂ - PaO₂ (esperado ≈ edad/4 + 4). Cociente P/F ≤ 300 / 200 / 100 = SDRA leve / moderado / grave (Berlín).',
+    'results.alveolarPo2': 'PO₂ alveolar (PAO₂)',
+    'results.alveolarPo2AtFio2': 'PO₂ alveolar (PAO₂) con FiO₂ {fio2} %',
+    'results.aaGradient': 'Gradiente A-a',
+    'results.aaGradientExpected': 'Gradiente A-a (esperado ≤ {expected})',
+    'results.aaGradientReference': '≤ {expected} (esperado para la edad)',
+    'results.pfRatio': 'Cociente PaO₂/FiO₂',
+    'results.baseExcess': 'Exceso de bases particionado',
+    'results.baseExcessPrint': 'Exceso de bases particionado (Fencl-Story / Gilfix)',
+    'results.baseExcessInfo': 'Partición de Fencl-Story: EBS = agua libre + cloro + albúmina + lactato + aniones no medidos (residuo de Gilfix). Las contribuciones negativas son acidificantes y las positivas alcalinizantes.',
+    'results.sbe': 'Exceso de bases estándar = {sbe} mmol/L ({source})',
+    'results.sbeMeasured': 'Exceso de bases estándar = {sbe} mmol/L ({source}; calculado {calculated} mmol/L)',
+    'results.sbeSource.measured': 'medido',
+    'results.sbeSource.calculated': 'calculado',
+    'results.rules': 'Reglas ejecutadas ({executed} de {total})',
+    'results.ruleStatus.executed': 'ejecutada',
+    'results.ruleStatus.skipped': 'omitida',
+    'results.ruleStatus.not_applicable': 'no aplicable',
+    'results.ruleStatus.disabled': 'desactivada',
+    'results.ruleStatus.error': 'error',
+    'results.ruleMissing': ' (falta {fields})',
+    'results.rulesFailed': 'Algunas reglas del análisis fallaron; a los resultados siguientes les falta su contenido:',
+    'rules.internalConsistency': 'Paso 1: Consistencia interna (Henderson-Hasselbalch)',
+    'rules.acidemiaAlkalemia': 'Paso 2: Acidemia o alcalemia',
+    'rules.primaryDisorder': 'Paso 3: Trastorno primario',
+    'rules.compensation': 'Paso 4: Compensación',
+    'rules.anionGap': 'Paso 5: Anión gap',
+    'rules.deltaRatio': 'Paso 6: Cociente delta',
+    'rules.secondaryWorkup': 'Paso 7: Estudio secundario (gap osmolar y gaps urinarios)',
+    'rules.interpretation': 'Interpretación final',
+    'rules.severity': 'Gravedad y valores críticos',
+    'rules.acidBaseMap': 'Mapa ácido-base',
+    'rules.hyperglycemicCrisis': 'Criterios de CAD / EHH',
+    'rules.stewart': 'Análisis fisicoquímico de Stewart',
+    'rules.baseExcess': 'Desglose del exceso de bases',
+    'rules.cordGas': 'Evaluación de la gasometría de cordón umbilical',
+    'rules.oxygenation': 'Evaluación de la oxigenación',
+    'rules.differentials': 'Diagnóstico diferencial',
+    'results.print': 'Imprimir',
+    'results.newAnalysis': 'Nuevo análisis',
+    'print.noResults': 'No hay resultados para imprimir.',
+    'print.documentTitle': 'Informe de análisis de GSA',
+    'print.title': 'Informe del analizador automático de GSA',
+    'print.profile': 'Perfil de referencia:',
+    'print.patientCategory': 'Categoría del paciente:',
+    'print.pediatricSpecific': ' — INTERPRETACIÓN ESPECÍFICA PEDIÁTRICA',
+    'print.temperature': 'Temperatura del paciente:',
+    'print.temperatureStrategy': '{temperature} °C — estrategia ácido-base: {strategy} (análisis con valores {values})',
+    'print.atTemperature': 'A {temperature} °C:',
+    'print.sampleType': 'Tipo de muestra:',
+    'print.estimatedAnalysis': ' (análisis realizado con valores arteriales ESTIMADOS)',
+    'print.estimatedValues': 'Valores estimados: {values}',
+    'print.inputValues': 'Valores introducidos',
+    'print.parameter': 'Parámetro',
+    'print.value': 'Valor',
+    'print.normalRange': 'Rango normal',
+    'print.reference': 'Referencia',
+    'print.component': 'Componente',
+    'print.contribution': 'Contribución',
+    'print.qualityWarnings': 'Advertencias de calidad de la muestra',
+    'print.criticalValues': 'Valores críticos',
+    'print.rangeSuffix.cord': 'rangos de cordón',
+    'print.rangeSuffix.pediatric': 'rangos pediátricos',
+    'print.generatedOn': 'Generado el: {date}',
+    'print.disclaimer': 'Aviso: solo con fines educativos. No sustituye el juicio clínico.',
+    'print.rows.baseExcess': 'Exceso de bases',
+    'print.rows.albumin': 'Albúmina',
+    'print.rows.lactate': 'Lactato',
+    'print.rows.bhb': 'β-hidroxibutirato',
+    'print.rows.ca': 'Ca²⁺ iónico',
+    'print.rows.mg': 'Mg²⁺',
+    'print.rows.phosphate': 'Fosfato',
+    'print.rows.fio2Normal': '21 (aire ambiente)',
+    'print.rows.patm': 'Presión barométrica',
+    'print.rows.patmNormal': '760 (nivel del mar)',
+    'print.rows.age': 'Edad',
+    'print.rows.ageUnit': 'años',
+    'print.rows.temperature': 'Temperatura del paciente',
+    'print.rows.rq': 'Cociente respiratorio',
+    'print.rows.sosm': 'Osmolalidad sérica',
+    'print.rows.glucose': 'Glucosa',
+    'print.rows.bun': 'BUN',
+    'print.rows.ethanol': 'Etanol',
+    'print.rows.una': 'Na⁺ urinario',
+    'print.rows.uk': 'K⁺ urinario',
+    'print.rows.ucl': 'Cl⁻ urinario',
+    'print.rows.uosm': 'Osmolalidad urinaria',
+    'print.rows.uun': 'Nitrógeno ureico urinario',
+    'print.rows.uvph': 'pH venoso umbilical',
+    'print.rows.uvpco2': 'PCO₂ venosa umbilical',
+    'print.rows.uvhco3': 'HCO₃⁻ venoso umbilical',
+    'print.rows.uvbe': 'Exceso de bases venoso umbilical'
+};
@@ -0,0 +1,907 @@
+/**
+ * French messages (ids from en.js).
+ */
+
+export default {
+    // --- Common ---
+    'common.na': 'N/D',
+    'common.and': 'et',
+    'common.listSeparator': ', ',
+
+    // --- App shell ---
+    'app.title': 'Analyseur de GDS',
+    'app.subtitle': 'Intégration en six étapes de l’American Thoracic Society (ATS)',
+    'app.atsLink': 'Recommandations ATS',
+    'app.atsLinkTitle': 'Recommandations ATS sur les gaz du sang',
+    'app.disclaimer': 'À visée pédagogique uniquement. Ne remplace pas le jugement clinique.',
+    'app.developedBy': 'Développé par TA',
+    'app.loading': 'Analyse en cours...',
+    'app.error': 'Erreur : {message}',
+    'app.placeholder': 'Les résultats s’afficheront ici.',
+    'tabs.manual': 'Saisie manuelle',
+    'tabs.upload': 'Importer image/PDF',
+    'tabs.hl7': 'Import HL7',
+    'tabs.batch': 'Lot (CSV/XLSX)',
+    'tabs.settings': 'Paramètres',
+    'tabs.history': 'Historique',
+    'units.label': 'Unités :',
+    'units.ariaLabel': 'Système d’unités',
+    'units.conventional': 'Conventionnelles (mmHg, g/dL)',
+    'units.si': 'SI (kPa, g/L)',
+    'language.label': 'Langue :',
+
+    // --- Sample type and patient category ---
+    'sampleType.label': 'Type d’échantillon',
+    'sampleType.estimate': 'Estimer les valeurs artérielles (pH, PCO₂, HCO₃⁻ ; PaO₂ d’après la SpO₂)',
+    'sampleTypes.arterial': 'Artériel',
+    'sampleTypes.peripheralVenous': 'Veineux périphérique',
+    'sampleTypes.centralVenous': 'Veineux central',
+    'sampleTypes.mixedVenous': 'Veineux mêlé',
+    'sampleTypes.capillary': 'Capillaire (artérialisé)',
+    'sampleTypes.umbilicalArterial': 'Cordon ombilical (paire artérielle + veineuse)',
+    'sampleTypes.umbilicalVenous': 'Veineux ombilical',
+    'patientCategory.label': 'Catégorie de patient',
+    'patientCategory.auto': 'Automatique (selon l’âge ; adulte si inconnu)',
+    'patientCategories.adult': 'Adulte (≥ 18 ans)',
+    'patientCategories.child': 'Enfant (1-17 ans)',
+    'patientCategories.infant': 'Nourrisson (1-12 mois)',
+    'patientCategories.neonate': 'Nouveau-né (0-28 jours)',
+
+    // --- Manual entry form ---
+    'form.sections.bloodGas': 'Gaz du sang',
+    'form.sections.electrolytes': 'Électrolytes',
+    'form.sections.metabolites': 'Lactate, cétones et glucose',
+    'form.sections.oxygenation': 'Oxygénation',
+    'form.sections.workup': 'Bilan osmolaire et urinaire',
+    'form.sections.cordVenous': 'Échantillon veineux ombilical',
+    'form.sections.clinicalContext': 'Contexte clinique (facultatif)',
+    'form.cordArterialSuffix': ' (échantillon artériel ombilical)',
+    'form.normal': 'Normale : {range} {unit}',
+    'form.unitAriaLabel': 'Unité de {label}',
+    'verify.parameter': 'Paramètre',
+    'verify.value': 'Valeur',
+    'verify.unit': 'Unité',
+    'verify.source': 'Source',
+    'verify.analyze': 'Vérifier et analyser',
+    'form.placeholder': 'ex. : {value}',
+    'form.errors.notNumber': 'Doit être un nombre.',
+    'form.errors.outOfRange': 'Hors limites ({min}-{max})',
+    'form.errors.invalid': 'Veuillez corriger les valeurs invalides en surbrillance.',
+    'form.errors.missingRequired': 'L’analyse nécessite au moins le pH, la PaCO₂ et les HCO₃⁻. Manquant : {fields}',
+    'form.clear': 'Effacer le formulaire',
+    'form.analyze': 'Analyser les GDS',
+    'fields.be': 'Excès de base',
+    'fields.temperature': 'Température du patient (facultatif)',
+    'fields.temperature.normal': '37 (sans correction)',
+    'fields.k': 'K⁺ (facultatif)',
+    'fields.albumin': 'Albumine (facultatif)',
+    'fields.ca': 'Ca²⁺ ionisé (facultatif)',
+    'fields.mg': 'Mg²⁺ (facultatif)',
+    'fields.phosphate': 'Phosphate (facultatif)',
+    'fields.lactate': 'Lactate (facultatif)',
+    'fields.bhb': 'β-hydroxybutyrate (facultatif)',
+    'fields.glucose': 'Glucose (facultatif)',
+    'fields.fio2': 'FiO₂ (facultatif)',
+    'fields.fio2.normal': '21 (air ambiant)',
+    'fields.patm': 'Pression barométrique (facultatif)',
+    'fields.patm.normal': '760 (niveau de la mer)',
+    'fields.age': 'Âge (facultatif)',
+    'fields.spo2': 'SpO₂ (facultatif)',
+    'fields.rq': 'Quotient respiratoire (facultatif)',
+    'fields.sosm': 'Osmolalité sérique (facultatif)',
+    'fields.bun': 'Urée sanguine (BUN) (facultatif)',
+    'fields.ethanol': 'Éthanol (facultatif)',
+    'fields.una': 'Na⁺ urinaire (facultatif)',
+    'fields.uk': 'K⁺ urinaire (facultatif)',
+    'fields.ucl': 'Cl⁻ urinaire (facultatif)',
+    'fields.uosm': 'Osmolalité urinaire (facultatif)',
+    'fields.uun': 'Azote uréique urinaire (facultatif)',
+    'fields.uvph': 'pH veineux',
+    'fields.uvpco2': 'PCO₂ veineuse',
+    'fields.uvhco3': 'HCO₃⁻ veineux (facultatif)',
+    'fields.uvbe': 'Excès de base veineux (facultatif)',
+    'context.sepsis': 'Sepsis / choc',
+    'context.diabetes': 'Diabète sucré',
+    'context.alcohol': 'Trouble de l’usage de l’alcool',
+    'context.ingestion': 'Suspicion d’intoxication',
+    'context.renalFailure': 'Maladie rénale',
+    'context.diarrhea': 'Diarrhée / pertes digestives',
+    'context.vomiting': 'Vomissements / aspiration gastrique',
+    'context.diuretics': 'Traitement diurétique',
+    'context.ivFluids': 'Remplissage massif au sérum salé',
+    'context.sedatives': 'Opioïdes / sédatifs',
+    'context.copd': 'BPCO / pneumopathie chronique',
+    'context.ventilated': 'Ventilation mécanique',
+    'context.pregnancy': 'Grossesse',
+    'context.liverDisease': 'Hépatopathie',
+
+    // --- Step titles and narrative (resultRenderer.js) ---
+    'steps.step1': 'Étape 1 : Vérifier la cohérence interne',
+    'steps.step2': 'Étape 2 : Déterminer acidémie ou alcalémie',
+    'steps.step3': 'Étape 3 : Identifier le trouble primaire',
+    'steps.step4': 'Étape 4 : Évaluer la compensation',
+    'steps.step5': 'Étape 5 : Calculer le trou anionique',
+    'steps.step6': 'Étape 6 : Évaluer ΔTA / ΔHCO₃⁻',
+    'steps.step7': 'Étape 7 : Bilan secondaire',
+    'step1.hydrogen': '[H⁺] mesuré ≈ {measured} nmol/L, [H⁺] calculé ≈ {calculated} nmol/L.',
+    'step1.CONSISTENT': 'Les valeurs semblent cohérentes.',
+    'step1.INCONSISTENT': 'Incohérence possible détectée.',
+    'step2.ACIDEMIA': 'Acidémie (pH {ph} < {limit})',
+    'step2.ALKALEMIA': 'Alcalémie (pH {ph} > {limit})',
+    'step2.NORMAL': 'pH normal ({ph})',
+    'step3.RESPIRATORY_ACIDOSIS': 'Acidose respiratoire primaire (PaCO₂ {paco2} élevée)',
+    'step3.METABOLIC_ACIDOSIS': 'Acidose métabolique primaire (HCO₃⁻ {hco3} mmol/L bas)',
+    'step3.RESPIRATORY_ALKALOSIS': 'Alcalose respiratoire primaire (PaCO₂ {paco2} basse)',
+    'step3.METABOLIC_ALKALOSIS': 'Alcalose métabolique primaire (HCO₃⁻ {hco3} mmol/L élevé)',
+    'step3.MIXED_ACIDEMIA': 'Acidémie présente, mais la PaCO₂ ({paco2}) et les HCO₃⁻ ({hco3}) n’indiquent pas clairement un trouble primaire unique. Trouble mixte probable.',
+    'step3.MIXED_ALKALEMIA': 'Alcalémie présente, mais la PaCO₂ ({paco2}) et les HCO₃⁻ ({hco3}) n’indiquent pas clairement un trouble primaire unique. Trouble mixte probable.',
+    'step3.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'pH normal avec PaCO₂ et HCO₃⁻ élevés : évoque un trouble mixte (acidose respiratoire compensée + alcalose métabolique).',
+    'step3.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'pH normal avec PaCO₂ et HCO₃⁻ bas : évoque un trouble mixte (alcalose respiratoire compensée + acidose métabolique).',
+    'step3.COMPENSATED': 'pH normal avec PaCO₂ ou HCO₃⁻ anormaux : évoque un trouble totalement compensé ou des valeurs limites.',
+    'step3.NORMAL': 'Équilibre acido-basique normal (pH, PaCO₂ et HCO₃⁻ dans les normes).',
+    'step3.UNDETERMINED': 'Indéterminé',
+    'step4.expectedPaco2': 'PaCO₂ attendue ≈ {expected} ± {tolerance}{winters}. PaCO₂ mesurée = {measured}.',
+    'step4.winters': ' (Winter)',
+    'step4.expectedHco3': 'Compensation {type} : HCO₃⁻ attendus ≈ {expected} ± {tolerance} mmol/L. HCO₃⁻ mesurés = {measured} mmol/L.',
+    'step4.acute': 'aiguë',
+    'step4.chronic': 'chronique',
+    'step4.timeCourse.acute_onset': 'Prélèvements successifs : la PaCO₂ était normale {hours} h plus tôt, trop récemment pour une compensation rénale.',
+    'step4.timeCourse.chronic_duration': 'Prélèvements successifs : la PaCO₂ est anormale depuis {hours} h, assez longtemps pour une compensation rénale.',
+    'step4.COMPENSATION_APPROPRIATE': 'La compensation est adaptée.',
+    'step4.ADDITIONAL_DISORDER': 'Évoque une {disorder} surajoutée.',
+    'step5.anionGap': 'Trou anionique = {value} mmol/L (normale ≈ {range}).',
+    'step5.albuminApplied': 'Albumine = {albumin}. TA corrigé ≈ {corrected} mmol/L.',
+    'step5.albuminInvalid': '(Valeur d’albumine invalide pour la correction).',
+    'step5.albuminNotNeeded': '(Correction par l’albumine inutile).',
+    'step5.ANION_GAP_ELEVATED': 'Trou anionique élevé.',
+    'step5.ANION_GAP_NORMAL': 'Trou anionique normal.',
+    'step5.additionalHagma': 'Évoque une acidose métabolique à TA élevé surajoutée.',
+    'partition.summary': 'Excès de TA {excess} mmol/L : {parts}.',
+    'partition.part': '{label} {value} ({share} %)',
+    'partition.parts.lactate': 'lactate',
+    'partition.parts.ketones': 'β-hydroxybutyrate',
+    'partition.parts.unexplained': 'inexpliqué',
+    'partition.LACTIC_ACIDOSIS': 'Le lactate explique une part importante de l’excès de TA : acidose lactique.',
+    'partition.KETOACIDOSIS': 'Les cétones expliquent une part importante de l’excès de TA : acidocétose.',
+    'partition.MIXED_LACTIC_KETOACIDOSIS': 'Acidose lactique et acidocétose mixtes.',
+    'partition.UNEXPLAINED_ANIONS': 'Excès de TA non expliqué par le lactate ou les cétones : envisager alcools toxiques, urémie, salicylés ou autres anions indosés.',
+    'partition.unexplainedRemains': 'Un TA inexpliqué important persiste (autres anions indosés).',
+    'partition.unexplainedRemainsKetones': 'Un TA inexpliqué important persiste (acétoacétate non dosé ou autres anions indosés).',
+    'partition.missing': '({items} non fourni)',
+    'partition.missing.lactate': 'lactate',
+    'partition.missing.bhb': 'β-hydroxybutyrate',
+    'step6.DELTA_HCO3_ZERO': 'Delta ratio non calculable (ΔHCO₃⁻ égal à 0). TA élevé avec HCO₃⁻ normaux : évoque une alcalose métabolique associée.',
+    'step6.DELTA_HCO3_NEGATIVE': 'Interprétation complexe du delta ratio (ΔHCO₃⁻ négatif : {value}). TA élevé avec HCO₃⁻ élevés : évoque une alcalose métabolique associée.',
+    'step6.ratio': 'Delta ratio (ΔTA/ΔHCO₃⁻) = {ratio}. (TA normal ajusté à {normal} si l’albumine est fournie).',
+    'step6.lactateAdjusted': 'Ratio ajusté au lactate = {ratio} (lactate {lactate} mmol/L pondéré 1/1,6).',
+    'step6.ratioLabel': 'Un ratio',
+    'step6.adjustedRatioLabel': 'Un ratio ajusté',
+    'step6.CONCURRENT_NAGMA': '{label} < {limit} évoque une acidose métabolique à trou anionique normal (AMTAN) associée.',
+    'step6.CONCURRENT_METABOLIC_ALKALOSIS': '{label} > {limit} évoque une alcalose métabolique associée.',
+    'step6.PURE_HAGMA': '{label} ≈ {low}-{high} est compatible avec une acidose métabolique à trou anionique élevé isolée.',
+    'workup.osmolarGap.skipped': 'Trou osmolaire sérique non calculé : osmolalité mesurée, Na⁺, glucose et urée nécessaires.',
+    'workup.osmolarGap.value': 'Trou osmolaire sérique = {gap} mOsm/kg (mesurée {measured}, calculée {calculated}{ethanol}).',
+    'workup.osmolarGap.ethanolAdjusted': ', ajustée à l’éthanol',
+    'workup.osmolarGap.MARKEDLY_ELEVATED': 'Un trou très élevé avec AMTAE évoque fortement une intoxication aux alcools toxiques (méthanol, éthylène glycol).',
+    'workup.osmolarGap.ELEVATED': 'Trou élevé : envisager les alcools toxiques ; l’acidocétose, l’acidose lactique et l’insuffisance rénale peuvent aussi l’augmenter modérément.',
+    'workup.osmolarGap.NORMAL': 'Un trou osmolaire normal (≤ {limit}) rend moins probable une intoxication significative aux alcools toxiques (sans exclure une présentation tardive).',
+    'workup.urineAnionGap.skipped': 'Trou anionique urinaire non calculé : Na⁺, K⁺ et Cl⁻ urinaires nécessaires.',
+    'workup.urineAnionGap.value': 'Trou anionique urinaire = {value} mmol/L.',
+    'workup.urineAnionGap.NEGATIVE': 'Un TAU négatif indique une excrétion urinaire de NH₄⁺ adaptée : évoque une perte extrarénale (digestive) de bicarbonates, p. ex. diarrhée.',
+    'workup.urineAnionGap.POSITIVE': 'Un TAU positif indique une excrétion urinaire de NH₄⁺ altérée : évoque une cause rénale (ATR distale, hypoaldostéronisme/ATR de type 4, insuffisance rénale).',
+    'workup.urineOsmolalGap.skipped': 'Trou osmolaire urinaire non calculé : Na⁺, K⁺ et azote uréique urinaires nécessaires.',
+    'workup.urineOsmolalGap.value': 'Trou osmolaire urinaire = {gap} mOsm/kg (NH₄⁺ urinaire estimé ≈ {ammonium} mmol/L).',
+    'workup.urineOsmolalGap.ADEQUATE': 'Une excrétion de NH₄⁺ adaptée oriente vers une perte digestive de bicarbonates ; plus fiable que le TAU en présence d’anions urinaires indosés (cétones, hippurate).',
+    'workup.urineOsmolalGap.LOW': 'Une excrétion de NH₄⁺ basse oriente vers une acidose tubulaire rénale.',
+    'workup.urineOsmolalGap.INDETERMINATE': 'Excrétion de NH₄⁺ indéterminée.',
+    'status.HCO3_ZERO': 'Incohérence : les HCO₃⁻ ne peuvent pas être nuls.',
+    'status.CORD_SAMPLE': 'Non applicable : la compensation n’est pas évaluée sur les prélèvements de cordon (les échanges gazeux fœtaux sont placentaires).',
+    'status.NO_SINGLE_PRIMARY_DISORDER': 'Évaluation de la compensation non réalisée (trouble primaire mixte, normal ou indéterminé).',
+    'status.FULL_COMPENSATION': 'Compensation complète (pH dans les normes).',
+    'status.UNKNOWN_PRIMARY_DISORDER': 'Erreur : trouble primaire inconnu pour l’évaluation de la compensation.',
+    'status.INVALID_ELECTROLYTES': 'Trou anionique non calculable : valeur de Na⁺, Cl⁻ ou HCO₃⁻ invalide.',
+    'status.ELECTROLYTES_MISSING': 'Non calculé : Na⁺ et Cl⁻ nécessaires au calcul du trou anionique.',
+    'status.INVALID_INPUT': 'Delta ratio non calculable : valeur de TA ou de HCO₃⁻ invalide.',
+    'status.ANION_GAP_NOT_ELEVATED': 'Non applicable : le trou anionique n’est pas élevé.',
+    'status.NOT_METABOLIC_ACIDOSIS': 'Non applicable : le trouble primaire n’est pas une acidose métabolique.',
+    'status.ANION_GAP_UNAVAILABLE': 'Non calculé : le calcul du trou anionique a été omis ou a échoué.',
+    'status.NO_METABOLIC_ACIDOSIS': 'Non applicable : aucune acidose métabolique à trou anionique élevé ou normal détectée.',
+    'disorders.METABOLIC_ACIDOSIS': 'acidose métabolique',
+    'disorders.HIGH_ANION_GAP_METABOLIC_ACIDOSIS': 'acidose métabolique à trou anionique élevé',
+    'disorders.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS': 'acidose métabolique à trou anionique normal',
+    'disorders.METABOLIC_ALKALOSIS': 'alcalose métabolique',
+    'disorders.RESPIRATORY_ACIDOSIS': 'acidose respiratoire',
+    'disorders.RESPIRATORY_ALKALOSIS': 'alcalose respiratoire',
+    'disorders.MIXED_ACIDEMIA': 'acidémie mixte',
+    'disorders.MIXED_ALKALEMIA': 'alcalémie mixte',
+    'disorders.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS': 'acidose respiratoire et alcalose métabolique mixtes',
+    'disorders.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS': 'alcalose respiratoire et acidose métabolique mixtes',
+    'disorders.COMPENSATED': 'trouble acido-basique totalement compensé',
+    'interpretation.ERROR': 'Analyse incomplète en raison d’une erreur.',
+    'interpretation.UNDETERMINED': 'Impossible de déterminer l’interprétation finale.',
+    'interpretation.NORMAL': 'Équilibre acido-basique normal.',
+    'interpretation.primary': '{disorder} primaire',
+    'interpretation.completeCompensation': '{text} avec compensation complète',
+    'interpretation.expectedCompensation': '{text} avec compensation attendue',
+    'interpretation.superimposed': '{text} et {disorders} surajoutée(s)',
+    'interpretation.sentence': '{text}.',
+
+    // --- Supplementary assessments (resultRenderer.js) ---
+    'analysisNotes.CORD_RANGES': 'Intervalles de référence du cordon ombilical appliqués à l’échantillon artériel ; voir l’évaluation des gaz du cordon pour l’acidose périnatale.',
+    'analysisNotes.CHILD_RANGES': 'Intervalles de référence pédiatriques appliqués (HCO₃⁻ normal légèrement plus bas que chez l’adulte).',
+    'analysisNotes.INFANT_RANGES': 'Intervalles de référence du nourrisson appliqués : PaCO₂ et HCO₃⁻ normaux plus bas que chez l’adulte.',
+    'analysisNotes.INFANT_COMPENSATION': 'La compensation rénale de l’acidose respiratoire chronique est moins complète que chez l’adulte.',
+    'analysisNotes.NEONATE_RANGES': 'Intervalles de référence néonatals appliqués : le HCO₃⁻ normal est plus bas (réabsorption rénale du bicarbonate immature).',
+    'analysisNotes.NEONATE_COMPENSATION': 'La compensation attendue est approximative chez le nouveau-né ; les réponses respiratoire et rénale sont émoussées.',
+    'analysisNotes.SPO2_FLAT_CURVE': 'Une SpO₂ supérieure à 97 % se situe sur la partie plate de la courbe de dissociation : la PaO₂ estimée n’est pas fiable.',
+    'analysisNotes.PAO2_NOT_ESTIMATED': 'PaO₂ non estimée : indiquez une SpO₂ (oxymétrie de pouls) inférieure à 100 %.',
+    'analysisNotes.ALPHA_STAT': 'Interprète les valeurs non corrigées mesurées à 37 °C (standard chez l’adulte, y compris en circulation extracorporelle et en hypothermie thérapeutique).',
+    'analysisNotes.PH_STAT': 'Interprète les valeurs corrigées à la température du patient (cibles pH 7,40 et PaCO₂ 40 mmHg à la température réelle ; utilisé en circulation extracorporelle pédiatrique).',
+    'analysisNotes.CORRECTED_RANGES': 'Les intervalles de référence sont ceux de 37 °C, appliqués aux valeurs corrigées pour la température.',
+    'analysisNotes.CORRECTED_OXYGENATION': 'Les indices d’oxygénation utilisent la PaO₂ corrigée ; l’équation des gaz alvéolaires suppose toujours la pression de vapeur d’eau à 37 °C.',
+    'reasons.GLUCOSE_OR_BHB_REQUIRED': 'La glycémie ou le β-hydroxybutyrate est nécessaire pour évaluer l’ACD / l’EHH.',
+    'reasons.STEWART_INPUTS_REQUIRED': 'Na⁺, Cl⁻ et albumine sont nécessaires à l’analyse de Stewart.',
+    'reasons.ELECTROLYTES_REQUIRED': 'Na⁺ et Cl⁻ sont nécessaires pour décomposer l’excès de base.',
+    'reasons.PAO2_REQUIRED': 'La PaO₂ est nécessaire à l’évaluation de l’oxygénation.',
+    'reasons.CORD_PO2': 'La PO₂ du cordon ombilical reflète les échanges gazeux placentaires, pas l’oxygénation néonatale.',
+    'reasons.VENOUS_PO2': 'La PO₂ de l’échantillon ({sample}) ne reflète pas l’oxygénation artérielle. Activez plutôt l’estimation artérielle avec une valeur de SpO₂.',
+    'errors.MISSING_REQUIRED': 'Valeur obligatoire manquante ou invalide : {field}',
+    'errors.OUT_OF_RANGE': 'La valeur de {field} ({value}) est en dehors de l’intervalle physiologique habituel ({min} – {max}).',
+    'errors.TEMPERATURE_OUT_OF_RANGE': 'La température du patient ({value} °C) est en dehors de l’intervalle pris en charge par la correction de température ({min}–{max} °C).',
+    'errors.ANALYSIS_FAILED': 'Erreur d’analyse : {message}',
+    'quality.AIR_BUBBLE.title': 'Bulle d’air possible dans l’échantillon',
+    'quality.AIR_BUBBLE.explanation': 'L’air piégé dans la seringue tire la PO₂ vers ≈ 150 mmHg et la PCO₂ vers zéro, et élève le pH. Chassez les bulles immédiatement après le prélèvement et refaites le gaz du sang si les valeurs ne correspondent pas au tableau clinique.',
+    'quality.VENOUS_CONTAMINATION.title': 'Échantillon veineux ou mélange veineux possible',
+    'quality.VENOUS_CONTAMINATION.explanation': 'Une PO₂ et une saturation basses, discordantes avec l’oxygénation du patient, suggèrent un échantillon veineux ou mélangé à du sang veineux. Vérifiez le reflux pulsatile et envisagez de choisir un type d’échantillon veineux. Une forte discordance SaO₂/PaO₂ peut aussi venir de dyshémoglobines (CO-Hb, Met-Hb) ou d’une SaO₂ calculée plutôt que mesurée par co-oxymétrie.',
+    'quality.DELAYED_PROCESSING.title': 'Traitement retardé possible (pseudohyperkaliémie)',
+    'quality.DELAYED_PROCESSING.explanation': 'Les échantillons non analysés ou non réfrigérés libèrent le potassium des cellules, consomment le glucose et accumulent du lactate, tandis que la PO₂ baisse et que la PCO₂ monte. Analysez les gaz du sang dans les 15 minutes (30 minutes dans la glace).',
+    'quality.PSEUDOHYPERKALEMIA.title': 'Pseudohyperkaliémie possible',
+    'quality.PSEUDOHYPERKALEMIA.explanation': 'Un K⁺ élevé isolé sans acidémie est souvent artéfactuel : hémolyse due à une aiguille fine ou à une aspiration vigoureuse, poing serré ou thrombocytose. Vérifiez l’indicateur d’hémolyse et refaites le prélèvement avant de traiter.',
+    'quality.BASE_EXCESS_MISMATCH.title': 'L’excès de base mesuré ne concorde pas avec la valeur calculée',
+    'quality.BASE_EXCESS_MISMATCH.explanation': 'L’excès de base de l’analyseur devrait être à quelques mmol/L de l’excès de base standard calculé à partir du pH et du HCO₃⁻ (Van Slyke). Un écart plus grand évoque une erreur de transcription, une valeur d’un autre échantillon ou un excès de base réel (in vitro) plutôt que standard.',
+    'quality.evidence.ROOM_AIR_PO2': 'PaO₂ {pao2} proche de la PO₂ de l’air ambiant avec une PaCO₂ basse ({paco2})',
+    'quality.evidence.ABOVE_ALVEOLAR_PO2': 'La PaO₂ {pao2} dépasse la PO₂ alvéolaire calculée ({alveolarPo2}) à une FiO₂ de {fio2} %',
+    'quality.evidence.SAO2_MISMATCH': 'La SaO₂ mesurée de {sao2} % ne correspond pas aux {predicted} % attendus pour une PaO₂ de {pao2}',
+    'quality.evidence.SPO2_MISMATCH': 'La PaO₂ {pao2} (saturation attendue {predicted} %) est trop basse pour la SpO₂ de {spo2} % à l’oxymètre de pouls',
+    'quality.evidence.VENOUS_RANGE': 'SaO₂ de {sao2} % avec une PaO₂ de {pao2} : valeurs veineuses',
+    'quality.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L au-dessus de l’intervalle de référence (≤ {limit})',
+    'quality.evidence.NO_ACIDEMIA': 'Pas d’acidémie pour expliquer le transfert de potassium (pH {ph})',
+    'quality.evidence.LOW_GLUCOSE': 'Glucose bas ({glucose}) compatible avec une glycolyse in vitro',
+    'quality.evidence.BASE_EXCESS_MISMATCH': 'EB mesuré {be} mmol/L contre EBS calculé {calculated} mmol/L',
+    'differentials.categories.hagma': 'Acidose métabolique à trou anionique élevé',
+    'differentials.categories.nagma': 'Acidose métabolique à trou anionique normal',
+    'differentials.categories.metAlkChlorideResponsive': 'Alcalose métabolique chlorosensible',
+    'differentials.categories.metAlkChlorideResistant': 'Alcalose métabolique chlororésistante',
+    'differentials.categories.respAcidAcute': 'Acidose respiratoire aiguë',
+    'differentials.categories.respAcidChronic': 'Acidose respiratoire chronique',
+    'differentials.categories.respAlkAcute': 'Alcalose respiratoire aiguë',
+    'differentials.categories.respAlkChronic': 'Alcalose respiratoire chronique',
+    'differentials.causes.lacticAcidosis': 'Acidose lactique (hypoperfusion, sepsis, médicaments)',
+    'differentials.causes.diabeticKetoacidosis': 'Acidocétose diabétique',
+    'differentials.causes.alcoholicKetoacidosis': 'Acidocétose alcoolique ou de jeûne',
+    'differentials.causes.toxicAlcohol': 'Alcools toxiques (méthanol, éthylène glycol)',
+    'differentials.causes.uremia': 'Urémie (insuffisance rénale)',
+    'differentials.causes.salicylate': 'Intoxication aux salicylés',
+    'differentials.causes.otherHagma': 'Autres (propylène glycol, 5-oxoproline, D-lactate)',
+    'differentials.causes.giBicarbonateLoss': 'Perte digestive de bicarbonate (diarrhée, fistule)',
+    'differentials.causes.saline': 'Acidose hyperchlorémique due au sérum salé',
+    'differentials.causes.distalRta': 'Acidose tubulaire rénale distale (type 1)',
+    'differentials.causes.type4Rta': 'ATR de type 4 (hypoaldostéronisme)',
+    'differentials.causes.proximalRta': 'Acidose tubulaire rénale proximale (type 2)',
+    'differentials.causes.earlyKidneyDisease': 'Maladie rénale débutante',
+    'differentials.causes.vomiting': 'Vomissements ou aspiration nasogastrique',
+    'differentials.causes.remoteDiuretics': 'Prise antérieure de diurétiques',
+    'differentials.causes.contractionAlkalosis': 'Alcalose de contraction (déplétion volémique)',
+    'differentials.causes.postHypercapnic': 'Alcalose post-hypercapnique',
+    'differentials.causes.activeDiuretics': 'Prise actuelle de diurétiques',
+    'differentials.causes.mineralocorticoidExcess': 'Excès de minéralocorticoïdes (hyperaldostéronisme primaire, Cushing)',
+    'differentials.causes.severeHypokalemia': 'Hypokaliémie sévère',
+    'differentials.causes.bartterGitelman': 'Syndrome de Bartter ou de Gitelman',
+    'differentials.causes.alkaliLoad': 'Surcharge alcaline (bicarbonate, syndrome des buveurs de lait)',
+    'differentials.causes.cnsDepression': 'Dépression du SNC (opioïdes, sédatifs, AVC)',
+    'differentials.causes.airwayObstruction': 'Obstruction des voies aériennes ou exacerbation aiguë d’asthme/BPCO',
+    'differentials.causes.pneumoniaEdema': 'Pneumonie sévère ou œdème pulmonaire',
+    'differentials.causes.acuteNeuromuscular': 'Faiblesse neuromusculaire aiguë (Guillain-Barré, myasthénie)',
+    'differentials.causes.inadequateVentilation': 'Ventilation mécanique insuffisante',
+    'differentials.causes.copd': 'BPCO',
+    'differentials.causes.obesityHypoventilation': 'Syndrome obésité-hypoventilation',
+    'differentials.causes.chronicNeuromuscular': 'Maladie neuromusculaire ou pariétale thoracique chronique',
+    'differentials.causes.hypoxemia': 'Hypoxémie (embolie pulmonaire, pneumonie, œdème)',
+    'differentials.causes.painAnxiety': 'Douleur, anxiété ou syndrome d’hyperventilation',
+    'differentials.causes.sepsis': 'Sepsis',
+    'differentials.causes.excessiveVentilation': 'Ventilation mécanique excessive',
+    'differentials.causes.pregnancy': 'Grossesse',
+    'differentials.causes.liverDisease': 'Hépatopathie chronique',
+    'differentials.causes.highAltitude': 'Haute altitude',
+    'differentials.causes.chronicHypoxemia': 'Hypoxémie chronique ou pneumopathie interstitielle',
+    'differentials.causes.cnsDisease': 'Atteinte du SNC (tumeur, infection, traumatisme)',
+    'differentials.evidence.LACTATE_ABOVE': 'Lactate {lactate} (> {limit})',
+    'differentials.evidence.GLUCOSE_ABOVE': 'Glycémie {glucose} (> {limit})',
+    'differentials.evidence.KETOSIS': 'β-Hydroxybutyrate {bhb} (≥ {limit})',
+    'differentials.evidence.GLUCOSE_NOT_ELEVATED': 'Glycémie {glucose} (peu élevée)',
+    'differentials.evidence.KETOSIS_WITHOUT_HYPERGLYCEMIA': 'Cétose (β-hydroxybutyrate {bhb}) sans hyperglycémie',
+    'differentials.evidence.OSMOLAR_GAP_ELEVATED': 'Trou osmolaire {gap} mOsm/kg (> {limit})',
+    'differentials.evidence.BUN_ABOVE': 'BUN {bun} (> {limit})',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ALKALOSIS': 'Alcalose respiratoire associée',
+    'differentials.evidence.CONCURRENT_METABOLIC_ACIDOSIS': 'Acidose métabolique associée',
+    'differentials.evidence.CONCURRENT_RESPIRATORY_ACIDOSIS': 'Acidose respiratoire associée (PaCO₂ {paco2})',
+    'differentials.evidence.URINE_ANION_GAP_NEGATIVE': 'Trou anionique urinaire {gap} (négatif)',
+    'differentials.evidence.URINE_ANION_GAP_POSITIVE': 'Trou anionique urinaire {gap} (positif)',
+    'differentials.evidence.URINE_OSMOLAL_GAP_HIGH': 'Trou osmolaire urinaire {gap} (≥ {limit})',
+    'differentials.evidence.URINE_OSMOLAL_GAP_LOW': 'Trou osmolaire urinaire {gap} (< {limit})',
+    'differentials.evidence.CHLORIDE_ABOVE': 'Cl⁻ {cl} mmol/L (> {limit})',
+    'differentials.evidence.POTASSIUM_LOW': 'K⁺ {k} mmol/L (bas)',
+    'differentials.evidence.POTASSIUM_HIGH': 'K⁺ {k} mmol/L (élevé)',
+    'differentials.evidence.POTASSIUM_BELOW': 'K⁺ {k} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_BELOW': 'Cl⁻ urinaire {ucl} mmol/L (< {limit})',
+    'differentials.evidence.URINE_CHLORIDE_ABOVE': 'Cl⁻ urinaire {ucl} mmol/L (> {limit})',
+    'differentials.evidence.PURE_HYPOVENTILATION': 'Gradient A-a normal (hypoventilation pure)',
+    'differentials.evidence.NORMAL_AA_GRADIENT': 'Gradient A-a normal',
+    'differentials.evidence.AA_GRADIENT_ELEVATED': 'Gradient A-a {aaGradient} (élevé)',
+    'differentials.evidence.PAO2_BELOW': 'PaO₂ {pao2} (< {limit})',
+    'differentials.evidence.LOW_BAROMETRIC_PRESSURE': 'Pression barométrique {patm}',
+    'differentials.evidence.CONTEXT': 'Contexte clinique : {context}',
+    'differentials.evidence.IMPAIRED_BICARBONATE_EXCRETION': 'Contexte clinique : maladie rénale (excrétion du HCO₃⁻ altérée)',
+    'differentials.notes.ANION_GAP_UNAVAILABLE': 'Trou anionique indisponible : indiquez Na⁺ et Cl⁻ pour distinguer l’acidose à trou anionique élevé de celle à trou anionique normal.',
+    'differentials.notes.URINE_CHLORIDE_MISSING': 'Cl⁻ urinaire non renseigné : les causes chlorosensibles et chlororésistantes sont listées.',
+    'differentials.notes.URINE_CHLORIDE': 'Cl⁻ urinaire {ucl} mmol/L.',
+    'differentials.notes.CLASSIFIED_ACUTE': 'Classée comme aiguë d’après le profil de compensation.',
+    'differentials.notes.CLASSIFIED_CHRONIC': 'Classée comme chronique d’après le profil de compensation.',
+    'differentials.notes.CHRONICITY_UNDETERMINED': 'Chronicité non déterminée : les causes aiguës et chroniques sont listées.',
+    'crisis.criteria.GLUCOSE_ABOVE': 'Glycémie {glucose} ≥ {limit}',
+    'crisis.criteria.GLUCOSE_BELOW': 'Glycémie {glucose} < {limit}',
+    'crisis.criteria.GLUCOSE_BELOW_DIABETES': 'Glycémie {glucose} < {limit} (diabète connu)',
+    'crisis.criteria.BHB_ABOVE': 'β-Hydroxybutyrate {bhb} ≥ {limit}',
+    'crisis.criteria.BHB_BELOW': 'β-Hydroxybutyrate {bhb} < {limit}',
+    'crisis.criteria.BHB_MISSING': 'β-Hydroxybutyrate non renseigné',
+    'crisis.criteria.ACIDOSIS': 'Acidose (pH {ph} < 7,30 ou HCO₃⁻ {hco3} < 18 mmol/L)',
+    'crisis.criteria.OSMOLALITY_ABOVE': 'Osmolalité efficace {osmolality} mOsm/kg > {limit}',
+    'crisis.criteria.OSMOLALITY_NOT_ABOVE': 'Osmolalité efficace {osmolality} mOsm/kg ≤ {limit}',
+    'crisis.criteria.OSMOLALITY_NEEDS_SODIUM': 'L’osmolalité efficace nécessite le Na⁺',
+    'crisis.findings.DKA_HHS_OVERLAP': 'Chevauchement ACD et EHH : acidocétose avec une glycémie de {glucose} et une osmolalité efficace de {osmolality} mOsm/kg.',
+    'crisis.findings.DKA': 'Acidocétose diabétique ({severity}).',
+    'crisis.findings.HHS': 'État hyperglycémique hyperosmolaire : glycémie {glucose}, osmolalité efficace {osmolality} mOsm/kg sans acidocétose significative.',
+    'crisis.findings.EUGLYCEMIC_DKA': 'ACD euglycémique : acidocétose chez un patient diabétique avec une glycémie sous le seuil d’ACD (envisagez inhibiteurs de SGLT2, grossesse, apports réduits).',
+    'crisis.findings.NON_DIABETIC_KETOACIDOSIS': 'Acidocétose sans hyperglycémie : envisagez une acidocétose alcoolique ou de jeûne, ou une ACD euglycémique en cas de diabète.',
+    'crisis.findings.KETOACIDOSIS_GLUCOSE_MISSING': 'Acidocétose sans hyperglycémie (glycémie non renseignée) : envisagez une acidocétose alcoolique ou de jeûne, ou une ACD euglycémique en cas de diabète.',
+    'crisis.findings.MEASURE_BHB': 'Hyperglycémie avec acidose : dosez le β-hydroxybutyrate pour confirmer ou exclure une ACD.',
+    'crisis.findings.NONE': 'Critères d’ACD / EHH non remplis.',
+    'stewart.findings.LOW_SID': 'Une SID apparente basse ({sid} mEq/L) indique une acidose métabolique par ions forts.',
+    'stewart.findings.HIGH_SID': 'Une SID apparente élevée ({sid} mEq/L) indique une alcalose métabolique par ions forts.',
+    'stewart.findings.HYPERCHLOREMIA': 'Le Cl⁻ corrigé de {chloride} mmol/L est élevé par rapport au Na⁺ (composante hyperchlorémique).',
+    'stewart.findings.HYPOALBUMINEMIA': 'L’hypoalbuminémie (albumine {albumin}) abaisse l’Atot et exerce un effet alcalinisant.',
+    'stewart.findings.SIG_ELEVATED': 'Un trou des ions forts élevé ({sig} mEq/L) indique des anions non mesurés.',
+    'stewart.findings.ANIONS_MASKED': 'Les anions non mesurés sont masqués par l’hypoalbuminémie : le trou anionique non corrigé paraît normal.',
+    'stewart.findings.SIG_NEGATIVE': 'Un trou des ions forts négatif ({sig} mEq/L) évoque des cations non mesurés ou une erreur de mesure.',
+    'stewart.findings.NORMAL': 'Aucune anomalie des ions forts ni des acides faibles détectée.',
+    'stewart.findings.IONS_OMITTED': 'Non renseignés (exclus du calcul) : {ions}.',
+    'stewart.ions.k': 'K⁺',
+    'stewart.ions.ca': 'Ca²⁺',
+    'stewart.ions.mg': 'Mg²⁺',
+    'stewart.ions.lactate': 'lactate',
+    'stewart.ions.phosphate': 'phosphate',
+    'baseExcess.components.freeWater': 'Eau libre (Na⁺)',
+    'baseExcess.components.chloride': 'Chlorure',
+    'baseExcess.components.albumin': 'Albumine',
+    'baseExcess.components.lactate': 'Lactate',
+    'baseExcess.components.unmeasuredAnions': 'Anions non mesurés',
+    'baseExcess.findings.FREE_WATER_EXCESS': 'Excès d’eau libre (acidose de dilution) : {value} mmol/L.',
+    'baseExcess.findings.FREE_WATER_DEFICIT': 'Déficit en eau libre (alcalose de contraction) : {value} mmol/L.',
+    'baseExcess.findings.HYPERCHLOREMIC_ACIDOSIS': 'Acidose hyperchlorémique : {value} mmol/L.',
+    'baseExcess.findings.HYPOCHLOREMIC_ALKALOSIS': 'Alcalose hypochlorémique : {value} mmol/L.',
+    'baseExcess.findings.HYPERALBUMINEMIC_ACIDOSIS': 'Acidose hyperalbuminémique : {value} mmol/L.',
+    'baseExcess.findings.HYPOALBUMINEMIC_ALKALOSIS': 'Alcalose hypoalbuminémique : {value} mmol/L.',
+    'baseExcess.findings.LACTIC_ACIDOSIS': 'Acidose lactique : {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_ANIONS': 'Acidose par anions non mesurés : {value} mmol/L.',
+    'baseExcess.findings.UNMEASURED_CATIONS': 'Effet de cations non mesurés ou erreur de mesure : {value} mmol/L.',
+    'baseExcess.findings.NO_SIGNIFICANT_COMPONENT': 'Aucune composante de l’excès de base ne dépasse ±2 mmol/L.',
+    'baseExcess.findings.ALBUMIN_MISSING': 'Albumine non renseignée : effet de l’albumine supposé nul.',
+    'baseExcess.findings.LACTATE_MISSING': 'Lactate non renseigné : son effet est inclus dans les anions non mesurés.',
+    'oxygenation.findings.AA_GRADIENT_ELEVATED': 'Le gradient A-a de {aaGradient} dépasse la limite attendue pour l’âge (≤ {expected}), ce qui indique un trouble V/Q, un shunt ou un trouble de la diffusion.',
+    'oxygenation.findings.AA_GRADIENT_NORMAL': 'Le gradient A-a de {aaGradient} est dans la limite attendue pour l’âge (≤ {expected}).',
+    'oxygenation.findings.ARDS_MILD': 'Le rapport P/F de {pfRatio} remplit le critère d’oxygénation de Berlin du SDRA léger (nécessite PEP/CPAP ≥ 5 cmH₂O, opacités bilatérales et début aigu).',
+    'oxygenation.findings.ARDS_MODERATE': 'Le rapport P/F de {pfRatio} remplit le critère d’oxygénation de Berlin du SDRA modéré (nécessite PEP/CPAP ≥ 5 cmH₂O, opacités bilatérales et début aigu).',
+    'oxygenation.findings.ARDS_SEVERE': 'Le rapport P/F de {pfRatio} remplit le critère d’oxygénation de Berlin du SDRA sévère (nécessite PEP/CPAP ≥ 5 cmH₂O, opacités bilatérales et début aigu).',
+    'oxygenation.findings.PF_RATIO_NORMAL': 'Le rapport P/F de {pfRatio} est au-dessus du seuil de SDRA de Berlin ({limit}).',
+    'oxygenation.findings.TYPE_1': 'Insuffisance respiratoire de type 1 (hypoxémique) : PaO₂ < {limit} avec une PaCO₂ normale ou basse.',
+    'oxygenation.findings.TYPE_1_HYPERCAPNIA': 'Insuffisance respiratoire de type 1 (hypoxémique) : PaO₂ < {limit}.',
+    'oxygenation.findings.TYPE_2': 'Insuffisance respiratoire de type 2 (hypercapnique) : PaCO₂ > {limit} avec {criteria}.',
+    'oxygenation.findings.PURE_HYPOVENTILATION': 'Un gradient A-a normal évoque une hypoventilation pure.',
+    'oxygenation.findings.MILD_HYPOXEMIA': 'Hypoxémie légère sans critère d’insuffisance respiratoire.',
+    'oxygenation.findings.HYPERCAPNIA': 'Hypercapnie (PaCO₂ {paco2}) sans les critères d’insuffisance respiratoire de type 2 (PaCO₂ > {limit} avec acidémie ou hypoxémie).',
+    'oxygenation.findings.HYPERCAPNIA_ISOLATED': 'Hypercapnie (PaCO₂ {paco2}) sans les critères d’insuffisance respiratoire de type 2 (PaCO₂ > {limit} avec acidémie ou hypoxémie), par exemple compensation d’une alcalose métabolique.',
+    'oxygenation.criteria.acidemia': 'acidémie',
+    'oxygenation.criteria.hypoxemia': 'hypoxémie',
+    'oxygenation.defaults.fio2': 'FiO₂ (%)',
+    'oxygenation.defaults.patm': 'Pression barométrique',
+    'oxygenation.defaults.rq': 'Quotient respiratoire',
+    'oxygenation.assumptions.DEFAULT_VALUE': '{field} non renseigné(e), valeur supposée {value}.',
+    'oxygenation.assumptions.AGE_MISSING': 'Âge non renseigné : gradient A-a comparé à la limite de l’adulte jeune de {limit}.',
+    'oxygenation.assumptions.PEDIATRIC_ARDS': 'La classification de Berlin du SDRA est issue de l’adulte ; le SDRA pédiatrique (PALICC) est gradué avec l’index d’oxygénation ou le rapport SpO₂/FiO₂.',
+    'cordGas.checks.VENOUS_MISSING': 'pH et PCO₂ veineux ombilicaux non renseignés : l’origine artérielle de l’échantillon ne peut pas être confirmée.',
+    'cordGas.checks.PH_SWAPPED': 'Le pH artériel ({arterial}) est plus élevé que le pH veineux ({venous}) : les échantillons sont probablement inversés.',
+    'cordGas.checks.PH_DIFFERENCE_LOW': 'La différence de pH veino-artérielle de {difference} est inférieure à {limit} : les deux échantillons proviennent peut-être du même vaisseau (généralement la veine).',
+    'cordGas.checks.PH_DIFFERENCE_OK': 'Différence de pH veino-artérielle de {difference} (≥ {limit}).',
+    'cordGas.checks.PCO2_SWAPPED': 'La PCO₂ artérielle est plus basse que la PCO₂ veineuse : les échantillons sont probablement inversés.',
+    'cordGas.checks.PCO2_DIFFERENCE_LOW': 'La différence de PCO₂ artério-veineuse de {difference} est inférieure à {limit} : les deux échantillons proviennent peut-être du même vaisseau.',
+    'cordGas.checks.PCO2_DIFFERENCE_OK': 'Différence de PCO₂ artério-veineuse de {difference} (≥ {limit}).',
+    'cordGas.findings.summary': 'pH artériel ombilical {ph}, déficit de base {baseDeficit} mmol/L ({source})',
+    'cordGas.findings.NORMAL': '{summary} : pas d’acidémie significative à la naissance.',
+    'cordGas.findings.RESPIRATORY': '{summary} : acidémie respiratoire (déficit de base < {limit} mmol/L), généralement due à une compression aiguë du cordon ou aux conditions de l’accouchement, et non associée à une lésion hypoxo-ischémique.',
+    'cordGas.findings.METABOLIC': '{summary} : acidose métabolique (déficit de base ≥ {limit} mmol/L), témoignant d’une hypoxie per-partum significative.',
+    'cordGas.findings.MIXED': '{summary} : acidose mixte respiratoire et métabolique (déficit de base ≥ {limit} mmol/L), témoignant d’une hypoxie per-partum significative.',
+    'cordGas.findings.HYPOXIC_ISCHEMIC_ACIDOSIS': 'Un pH artériel < {ph} avec un déficit de base ≥ {baseDeficit} mmol/L remplit le critère ACOG/AAP d’acidose hypoxo-ischémique per-partum : évaluez le nouveau-né à la recherche d’une encéphalopathie hypoxo-ischémique.',
+    'cordGas.findings.SEVERE_RESPIRATORY_ACIDEMIA': 'Acidémie sévère (pH < {ph}) d’origine principalement respiratoire.',
+    'cordGas.findings.INVALID_PAIR': 'À interpréter avec prudence : les échantillons appariés n’ont pas passé les contrôles de validité artériel/veineux.',
+
+    // --- Severity grading and critical values ---
+    'severity.none': 'Aucune',
+    'severity.mild': 'Légère',
+    'severity.moderate': 'Modérée',
+    'severity.severe': 'Sévère',
+    'severity.life_threatening': 'Engageant le pronostic vital',
+    'critical.title': 'Valeur critique',
+    'critical.titleMany': 'Valeurs critiques',
+    'critical.notify': ' — prévenir le clinicien responsable et confirmer le résultat.',
+    'critical.low': '{field} {value} est sous la limite critique ({limit})',
+    'critical.high': '{field} {value} dépasse la limite critique ({limit})',
+    'critical.dismiss': 'Masquer',
+    'critical.fields.ca': 'Ca²⁺ ionisé',
+    'critical.fields.glucose': 'Glucose',
+    'critical.fields.lactate': 'Lactate',
+    'severity.title': 'Gravité',
+    'acidBaseMap.title': 'Carte acido-basique',
+    'acidBaseMap.info': 'Diagramme pH–HCO₃⁻ (Davenport). Chaque bande grisée est la zone d’un trouble simple avec la compensation attendue, délimitée par les formules de l’étape 4 ; les lignes pointillées sont des isoplèthes de PaCO₂. Un point en dehors de toutes les bandes suggère un trouble mixte.',
+    'acidBaseMap.hint': 'Survolez ou sélectionnez une bande pour voir comment elle est obtenue.',
+    'acidBaseMap.ariaLabel': 'Carte acido-basique',
+    'acidBaseMap.isopleths': 'Isoplèthes de PaCO₂',
+    'acidBaseMap.patient': 'Patient : pH {ph}, PaCO₂ {paco2}, HCO₃⁻ {hco3} mmol/L',
+    'acidBaseMap.bands.normal': 'Valeurs de référence',
+    'acidBaseMap.bands.metabolicAcidosis': 'Acidose métabolique',
+    'acidBaseMap.bands.metabolicAlkalosis': 'Alcalose métabolique',
+    'acidBaseMap.bands.acuteRespiratoryAcidosis': 'Acidose respiratoire aiguë',
+    'acidBaseMap.bands.chronicRespiratoryAcidosis': 'Acidose respiratoire chronique',
+    'acidBaseMap.bands.acuteRespiratoryAlkalosis': 'Alcalose respiratoire aiguë',
+    'acidBaseMap.bands.chronicRespiratoryAlkalosis': 'Alcalose respiratoire chronique',
+    'acidBaseMap.explain.normal': 'Valeurs de référence de cet échantillon : pH {ph}, HCO₃⁻ {hco3} mmol/L.',
+    'acidBaseMap.explain.metabolicAcidosis': 'Baisse primaire des HCO₃⁻ avec la compensation respiratoire attendue (hyperventilation).',
+    'acidBaseMap.explain.metabolicAlkalosis': 'Hausse primaire des HCO₃⁻ avec la compensation respiratoire attendue (hypoventilation).',
+    'acidBaseMap.explain.acuteRespiratoryAcidosis': 'Hausse primaire de la PaCO₂ tamponnée par les seuls tampons tissulaires, avant la compensation rénale.',
+    'acidBaseMap.explain.chronicRespiratoryAcidosis': 'Hausse primaire de la PaCO₂ avec rétention rénale des HCO₃⁻ (après 3-5 jours).',
+    'acidBaseMap.explain.acuteRespiratoryAlkalosis': 'Baisse primaire de la PaCO₂ tamponnée par les seuls tampons tissulaires, avant la compensation rénale.',
+    'acidBaseMap.explain.chronicRespiratoryAlkalosis': 'Baisse primaire de la PaCO₂ avec excrétion rénale des HCO₃⁻ (après 2-3 jours).',
+    'acidBaseMap.formula.WINTERS': 'Formule de Winter : PaCO₂ attendue = 1,5 × HCO₃⁻ + 8 ± {tolerance} mmHg.',
+    'acidBaseMap.formula.METABOLIC_ALKALOSIS': 'PaCO₂ attendue = {paco2Normal} + {slope} × (HCO₃⁻ − {hco3Normal}) ± {tolerance} mmHg.',
+    'acidBaseMap.formula.RESPIRATORY': 'HCO₃⁻ attendus = {hco3Normal} + {slope} × (PaCO₂ − {paco2Normal}) ± {tolerance} mmol/L.',
+    'acidBaseMap.point.normal': 'Le point du patient se situe dans les valeurs de référence.',
+    'acidBaseMap.point.within': 'Le point du patient se situe dans la bande : {bands}.',
+    'acidBaseMap.point.outside': 'Le point du patient se situe en dehors de toutes les bandes de trouble simple, ce qui suggère un trouble mixte.',
+    'encounter.label': 'Patient / séjour',
+    'encounter.none': 'Aucun (prélèvement unique)',
+    'encounter.option': '{label} ({count} prélèvements)',
+    'encounter.newPlaceholder': 'Nouveau séjour, p. ex. lit 4',
+    'encounter.create': 'Créer',
+    'encounter.delete': 'Supprimer le séjour',
+    'encounter.deleteConfirm': 'Supprimer le séjour « {label} » et ses {count} prélèvements ?',
+    'encounter.sampleTime': 'Heure du prélèvement',
+    'trend.title': 'Prélèvements successifs : {label}',
+    'trend.info': 'Prélèvements de ce séjour au cours du temps. La tendance compare le premier et le dernier prélèvement ; les PaCO₂ antérieures permettent aussi de trancher entre compensation respiratoire aiguë et chronique.',
+    'trend.add': 'Ajouter ce résultat ({time})',
+    'trend.added': 'Ajouté au séjour',
+    'trend.empty': 'Aucun prélèvement : analysez un prélèvement puis ajoutez-le au séjour.',
+    'trend.needMore': 'Ajoutez un deuxième prélèvement pour voir la tendance.',
+    'trend.time': 'Heure',
+    'trend.interpretation': 'Interprétation',
+    'trend.remove': 'Retirer le prélèvement',
+    'trend.charts.anionGap': 'Trou anionique (mmol/L)',
+    'trend.charts.lactate': 'Lactate ({unit})',
+    'trend.fields.anionGap': 'TA',
+    'trend.fields.lactate': 'lactate',
+    'trend.summary': 'Sur {hours} h ({count} prélèvements) : {findings}.',
+    'trend.noChange': 'Sur {hours} h ({count} prélèvements) : pas de modification acido-basique significative.',
+    'trend.process.IMPROVING': '{disorder} en amélioration ({values})',
+    'trend.process.WORSENING': '{disorder} en aggravation ({values})',
+    'trend.process.UNCHANGED': '{disorder} inchangée ({values})',
+    'trend.process.RESOLVED': '{disorder} résolue ({values})',
+    'trend.process.NEW': 'nouvelle {disorder} ({values})',
+    'trend.ANION_GAP_CLOSING': 'trou anionique en fermeture ({values})',
+    'trend.ANION_GAP_CLOSED': 'trou anionique fermé ({values})',
+    'trend.ANION_GAP_WIDENING': 'trou anionique en augmentation ({values})',
+    'trend.NAGMA_UNMASKED': 'acidose métabolique à trou anionique normal désormais démasquée',
+    'trend.LACTATE_CLEARING': 'clairance du lactate ({values}, {clearance} % de clairance)',
+    'trend.LACTATE_RISING': 'lactate en hausse ({values})',
+    'trend.LACTATE_PERSISTENT': 'lactate toujours élevé ({values})',
+    'history.title': 'Historique des analyses',
+    'history.info': 'Les analyses sont enregistrées uniquement dans ce navigateur. Rouvrez-en une pour voir ses résultats, ou dupliquez-la pour modifier les valeurs.',
+    'history.search': 'Rechercher un patient ou un fichier',
+    'history.allDisorders': 'Tous les troubles',
+    'history.from': 'Du',
+    'history.to': 'Au',
+    'history.count': '{count} sur {total} analyses',
+    'history.empty': 'Aucune analyse enregistrée.',
+    'history.noMatch': 'Aucune analyse ne correspond aux filtres.',
+    'history.noPatient': 'Sans libellé patient',
+    'history.reopen': 'Rouvrir',
+    'history.duplicate': 'Dupliquer et modifier',
+    'history.delete': 'Supprimer',
+    'history.deleteConfirm': 'Supprimer l’analyse du {time} ?',
+    'history.source.manual': 'Saisie manuelle',
+    'history.source.ocr': 'Image (OCR)',
+    'history.source.ocrFile': 'Image (OCR) : {file}',
+    'history.source.hl7': 'Message HL7 : {specimen}',
+    'history.source.hl7File': 'HL7 ({file}) : {specimen}',
+    'history.source.batch': 'Lot : {file}, ligne {row}',
+    'history.source.link': 'Lien partagé',
+    'history.source.pdf': 'PDF : {file}',
+    'history.source.pdfPage': 'PDF : {file}, page {page}',
+    'history.unavailable': 'L’historique n’est pas disponible dans ce navigateur.',
+    'history.notSaved': 'Non enregistrée dans l’historique car il est verrouillé. Déverrouillez-le dans l’onglet Historique.',
+    'history.locked': 'L’historique est chiffré. Saisissez la phrase secrète pour l’ouvrir.',
+    'history.passphrase': 'Phrase secrète',
+    'history.confirmPassphrase': 'Confirmer la phrase secrète',
+    'history.unlock': 'Déverrouiller',
+    'history.lock': 'Verrouiller',
+    'history.wrongPassphrase': 'Phrase secrète incorrecte.',
+    'history.encryption': 'Chiffrement au repos',
+    'history.encryptionOff': 'Les entrées sont stockées en clair dans ce navigateur. Définissez une phrase secrète pour les chiffrer ; elle ne peut pas être récupérée en cas d’oubli.',
+    'history.encryptionOn': 'Les entrées sont chiffrées avec votre phrase secrète.',
+    'history.setPassphrase': 'Chiffrer l’historique',
+    'history.changePassphrase': 'Changer la phrase secrète',
+    'history.removePassphrase': 'Retirer le chiffrement',
+    'history.removeConfirm': 'Stocker à nouveau l’historique en clair ?',
+    'history.passphraseShort': 'Utilisez au moins 8 caractères.',
+    'history.passphraseMismatch': 'Les phrases secrètes ne correspondent pas.',
+    'history.encrypted': 'L’historique est maintenant chiffré.',
+    'history.decrypted': 'L’historique n’est plus chiffré.',
+    'fhir.title': 'Export FHIR R4',
+    'fhir.info': 'Un Bundle de transaction avec une Observation par valeur saisie (codes LOINC, unités UCUM) et un DiagnosticReport avec l’interprétation et une conclusion codée pour chaque trouble.',
+    'fhir.download': 'Télécharger le bundle FHIR',
+    'fhir.endpoint': 'URL de base du serveur FHIR',
+    'fhir.send': 'Envoyer au serveur',
+    'fhir.sending': 'Envoi...',
+    'fhir.sent': 'Envoyé : le serveur a renvoyé {count} entrées.',
+    'fhir.sendFailed': 'Impossible d’envoyer le bundle : {message}',
+    'report.title': 'Compte rendu (impression / PDF)',
+    'report.info': 'Choisissez un modèle et complétez les identifiants et la validation. L’en-tête de l’établissement et le clinicien rédacteur sont mémorisés sur cet appareil ; les identifiants du patient ne le sont pas.',
+    'report.template': 'Modèle',
+    'report.templates.full': 'Compte rendu complet',
+    'report.templates.summary': 'Synthèse',
+    'report.templates.cord': 'Gaz du cordon',
+    'report.identifiers': 'Patient et prélèvement',
+    'report.patientName': 'Nom du patient',
+    'report.patientId': 'Identifiant patient',
+    'report.sampleId': 'Identifiant du prélèvement',
+    'report.collectedAt': 'Prélevé le',
+    'report.signOff': 'Validation clinique',
+    'report.reportedBy': 'Rédigé par',
+    'report.reviewedBy': 'Validé par',
+    'report.comment': 'Commentaire',
+    'report.name': 'Nom',
+    'report.signature': 'Signature',
+    'report.dateTime': 'Date et heure',
+    'report.branding': 'En-tête de l’établissement',
+    'report.institution': 'Établissement',
+    'report.department': 'Ligne d’en-tête (service, adresse)',
+    'report.logo': 'Logo',
+    'report.uploadLogo': 'Importer un logo',
+    'report.removeLogo': 'Supprimer le logo',
+    'report.logoTooLarge': 'Le logo doit faire moins de {size} Ko.',
+    'report.print': 'Imprimer',
+    'report.downloadPdf': 'Télécharger le PDF',
+    'report.generating': 'Génération du PDF...',
+    'report.pdfFailed': 'Impossible de générer le PDF : {message}',
+    'report.pageNumber': 'Page {page} sur {count}',
+    'share.share': 'Partager',
+    'share.info': 'Toute personne ouvrant ce lien voit les mêmes valeurs, le même type de prélèvement et les mêmes réglages ; l’analyse est refaite sur son appareil. Le lien ne contient ni nom, ni libellé du patient, ni heure de prélèvement.',
+    'share.link': 'Lien vers cette analyse',
+    'share.copy': 'Copier le lien',
+    'share.copied': 'Lien copié dans le presse-papiers.',
+    'share.copyFailed': 'Impossible de copier le lien ; sélectionnez-le et copiez-le manuellement.',
+    'share.createFailed': 'Impossible de créer le lien : {message}',
+    'share.compress': 'Compresser le lien (lien et QR code plus courts)',
+    'share.qrCode': 'QR code du lien',
+    'share.tooLong': 'Le lien est trop long pour un QR code.',
+    'share.invalidLink': 'Impossible d’ouvrir le lien partagé : {message}',
+    'notes.title': 'Note clinique',
+    'notes.info': 'Note en texte brut pour le dossier patient, générée à partir d’un modèle. Modifiez-la ici si besoin, puis copiez-la dans la note d’évolution ; *** marque les blancs à compléter.',
+    'notes.template': 'Modèle',
+    'notes.preview': 'Texte de la note',
+    'notes.copy': 'Copier comme note',
+    'notes.copied': 'Note copiée dans le presse-papiers.',
+    'notes.copyFailed': 'Impossible de copier la note ; sélectionnez le texte et copiez-le manuellement.',
+    'notes.discardEdits': 'Annuler les modifications',
+    'notes.none': 'Aucun',
+    'notes.settingsTitle': 'Modèles de notes cliniques',
+    'notes.settingsInfo': 'Modèles pour « Copier comme note » dans les résultats. Comme dans les phrases intelligentes du dossier patient informatisé, les marqueurs @NOM@ sont remplacés par l’analyse et *** marque un blanc à compléter. Les modèles sont enregistrés dans ce navigateur ; exportez-les pour les partager avec vos collègues.',
+    'notes.name': 'Nom du modèle',
+    'notes.text': 'Texte du modèle',
+    'notes.modifiedName': '{name} (modifié)',
+    'notes.copyName': '{name} (copie)',
+    'notes.save': 'Enregistrer',
+    'notes.saveAsNew': 'Enregistrer comme nouveau modèle',
+    'notes.delete': 'Supprimer',
+    'notes.restore': 'Rétablir le modèle par défaut',
+    'notes.export': 'Exporter en JSON',
+    'notes.import': 'Importer un JSON',
+    'notes.saved': '« {name} » enregistré.',
+    'notes.restored': 'Modèle par défaut rétabli.',
+    'notes.imported': '{count} modèle(s) importé(s).',
+    'notes.errors.INVALID_JSON': 'Les modèles de note ne sont pas un JSON valide : {message}',
+    'notes.errors.UNKNOWN_FORMAT': 'Format de modèles de note inconnu « {format} ».',
+    'notes.errors.UNSUPPORTED_VERSION': 'Version de modèles de note non prise en charge : {version}.',
+    'notes.errors.EMPTY': 'Le fichier ne contient aucun modèle de note.',
+    'notes.errors.INVALID_TEMPLATES': 'Modèles de note invalides : {problems}',
+    'notes.errors.problem': 'nº {index} : {problem}',
+    'notes.problems.NOT_OBJECT': 'Le modèle doit être un objet JSON.',
+    'notes.problems.ID_REQUIRED': 'Le modèle doit avoir un « id » de type chaîne.',
+    'notes.problems.NAME_REQUIRED': 'Le modèle doit avoir un « name » non vide.',
+    'notes.problems.TEXT_REQUIRED': 'Le modèle doit avoir un « text » de type chaîne.',
+    'notes.deleteConfirm': 'Supprimer le modèle de note « {name} » ?',
+    'notes.placeholdersTitle': 'Marqueurs',
+    'notes.placeholdersInfo': 'Les valeurs sont dans les unités d’affichage. Les données absentes de l’analyse sont remplacées par *** ; les marqueurs inconnus sont laissés tels quels.',
+    'notes.placeholders.DATE': 'Date et heure du prélèvement (maintenant si non renseignées)',
+    'notes.placeholders.SAMPLE': 'Type de prélèvement',
+    'notes.placeholders.PATIENT': 'Catégorie de patient',
+    'notes.placeholders.ABG': 'Résumé pH/PaCO₂/PaO₂/HCO₃⁻',
+    'notes.placeholders.INPUTS': 'Toutes les valeurs saisies, une par ligne',
+    'notes.placeholders.CRITICAL': 'Alertes de valeurs critiques',
+    'notes.placeholders.QUALITY': 'Problèmes de qualité du prélèvement',
+    'notes.placeholders.STEPS': 'Résultats de chaque étape, un par ligne',
+    'notes.placeholders.STEP1': 'Résultat de l’étape 1 (de même pour @STEP2@ à @STEP7@)',
+    'notes.placeholders.COMPENSATION': 'Compensation (étape 4)',
+    'notes.placeholders.ANIONGAP': 'Trou anionique (étape 5)',
+    'notes.placeholders.INTERPRETATION': 'Interprétation finale',
+    'notes.placeholders.SEVERITY': 'Gravité des troubles',
+    'notes.placeholders.DIFFERENTIALS': 'Diagnostic différentiel par catégorie, une par ligne',
+    'notes.placeholders.OXYGENATION': 'Résultats de l’oxygénation',
+    'notes.placeholders.fieldsTitle': 'Valeurs individuelles',
+    'notes.builtin.soap.name': 'Note SOAP',
+    'notes.builtin.soap.text': 'GDS @DATE@ (@SAMPLE@)\nS : ***\nO : GDS @ABG@\n@INPUTS@\nValeurs critiques : @CRITICAL@\nA : @INTERPRETATION@\nCompensation : @COMPENSATION@\nTrou anionique : @ANIONGAP@\nGravité : @SEVERITY@\nDiagnostic différentiel :\n@DIFFERENTIALS@\nP : ***',
+    'notes.builtin.oneLiner.name': 'Résumé en une ligne',
+    'notes.builtin.oneLiner.text': 'GDS @DATE@ (@SAMPLE@) @ABG@ : @INTERPRETATION@',
+    'notes.builtin.icuConsult.name': 'Avis de réanimation détaillé',
+    'notes.builtin.icuConsult.text': 'AVIS ACIDO-BASIQUE (RÉANIMATION)\nDate/heure : @DATE@\nCatégorie de patient : @PATIENT@\nPrélèvement : @SAMPLE@\nMotif de l’avis : ***\n\nRÉSULTATS\nGDS (pH/PaCO2/PaO2/HCO3) : @ABG@\n@INPUTS@\nValeurs critiques : @CRITICAL@\nProblèmes de qualité du prélèvement : @QUALITY@\n\nANALYSE PAR ÉTAPES\n@STEPS@\n\nOXYGÉNATION\n@OXYGENATION@\n\nCONCLUSION\n@INTERPRETATION@\nGravité : @SEVERITY@\n\nDIAGNOSTIC DIFFÉRENTIEL\n@DIFFERENTIALS@\n\nRECOMMANDATIONS\n1. ***\n2. ***\n\nDiscuté avec ***.',
+    'upload.dropzone': 'Glissez-déposez une image ou un PDF ici, ou cliquez pour importer',
+    'upload.dropzoneLabel': 'Importer un fichier image ou PDF',
+    'upload.takePhoto': 'Prendre une photo',
+    'upload.stopCamera': 'Arrêter la caméra',
+    'upload.selectPage': 'Sélectionnez la page contenant les résultats des gaz du sang :',
+    'upload.selectPageLabel': 'Sélectionner la page {page} du PDF',
+    'upload.thumbnailAlt': 'Miniature de la page {page}',
+    'upload.page': 'Page {page}',
+    'upload.firstPages': 'Affichage des {count} premières pages.',
+    'upload.extracted': 'Valeurs extraites (modifiables)',
+    'upload.extractedBy': 'Extrait par Gemini',
+    'upload.analysisInProgress': 'Analyse déjà en cours...',
+    'upload.loading.image': 'Traitement de l’image...',
+    'upload.loading.pastedImage': 'Traitement de l’image collée...',
+    'upload.loading.snapshot': 'Traitement de la capture...',
+    'upload.loading.pdf': 'Chargement du PDF...',
+    'upload.loading.pdfDocument': 'Chargement du document PDF...',
+    'upload.loading.thumbnails': 'Rendu de {count} miniatures de pages du PDF...',
+    'upload.loading.firstPages': 'Affichage des {count} premières pages. Sélectionnez une page à analyser.',
+    'upload.loading.selectPage': 'Sélectionnez la miniature d’une page à analyser.',
+    'upload.loading.page': 'Rendu de la page {page} pour l’analyse...',
+    'upload.loading.gemini': 'Analyse de l’image avec Gemini...',
+    'upload.errors.unsupported': 'Type de fichier non pris en charge. Importez une image ou un PDF.',
+    'upload.errors.readImage': 'Erreur de lecture du fichier image.',
+    'upload.errors.readPdf': 'Erreur de lecture du fichier PDF.',
+    'upload.errors.noPages': 'Le PDF ne contient aucune page.',
+    'upload.errors.loadPdf': 'Échec du chargement du PDF : {message}',
+    'upload.errors.renderPage': 'Échec du rendu de la page {page} : {message}',
+    'upload.errors.camera': 'Impossible d’accéder à la caméra. Erreur : {error}. Vérifiez que l’autorisation a été accordée.',
+    'upload.errors.noCamera': 'Votre navigateur ne permet pas l’accès à la caméra.',
+    'upload.errors.apiKey': 'Clé d’API Gemini non configurée. Définissez VITE_GEMINI_API_KEY dans votre fichier .env.',
+    'upload.errors.invalidImage': 'Format de données d’image invalide pour l’appel d’API.',
+    'upload.errors.imageType': 'Impossible de déterminer le type d’image.',
+    'upload.errors.noResponseBody': 'Impossible de lire le corps de la réponse d’erreur.',
+    'upload.errors.unknownApi': 'Erreur d’API inconnue',
+    'upload.errors.api': 'Erreur d’API {status} : {message}',
+    'upload.errors.invalidJson': 'La réponse de Gemini n’était pas un JSON valide.',
+    'upload.errors.noContent': 'Gemini n’a renvoyé aucun contenu valide.',
+    'upload.errors.noValues': 'Gemini n’a trouvé aucune valeur dans l’image.',
+    'upload.errors.requestFailed': 'Échec de la requête à l’API Gemini : {message}',
+    'hl7.title': 'Message de résultats HL7 v2',
+    'hl7.info': 'Collez ou importez un message ORU^R01. Les résultats OBX sont associés à l’analyseur par code LOINC ou par votre correspondance de codes locaux et conservent leurs unités rapportées.',
+    'hl7.read': 'Lire le message',
+    'hl7.upload': 'Importer un fichier de message',
+    'hl7.patient': 'Patient : {name} ({id})',
+    'hl7.specimens': 'Prélèvements du message',
+    'hl7.specimen': '{label} : {sampleType}, {time} ({count} valeurs)',
+    'hl7.noTime': 'heure de prélèvement non indiquée',
+    'hl7.values': 'Valeurs importées (modifiables)',
+    'hl7.unmapped': 'Résultats sans correspondance : {results}',
+    'hl7.mapping': 'Correspondance des codes locaux',
+    'hl7.mappingInfo': 'Les codes LOINC sont reconnus automatiquement. Associez ici les codes d’observation locaux de votre laboratoire (OBX-3) aux champs de l’analyseur.',
+    'hl7.noMappings': 'Aucun code local associé.',
+    'hl7.code': 'Code local',
+    'hl7.field': 'Champ de l’analyseur',
+    'hl7.addMapping': 'Ajouter',
+    'hl7.removeMapping': 'Supprimer la correspondance',
+    'batch.title': 'Analyse par lot',
+    'batch.info': 'Analysez chaque ligne d’un fichier CSV ou XLSX, par ex. des gaz du sang historiques pour un audit. La première ligne doit contenir les noms des colonnes. Les fichiers sont lus dans le navigateur et ne sont pas envoyés.',
+    'batch.upload': 'Choisir un fichier CSV/XLSX',
+    'batch.file': '{file} : {rows} lignes',
+    'batch.noRows': 'Le fichier ne contient aucune ligne de données.',
+    'batch.readFailed': 'Impossible de lire le fichier : {message}',
+    'batch.unnamedColumn': 'Colonne {number}',
+    'batch.mapping': 'Correspondance des colonnes',
+    'batch.columnHeader': 'Colonne',
+    'batch.example': 'Première ligne',
+    'batch.fieldOf': 'Champ de la colonne {column}',
+    'batch.ignore': '— Ignorer —',
+    'batch.defaults': 'Les lignes sans valeur dans une colonne de type d’échantillon ou de catégorie de patient utilisent ces réglages :',
+    'batch.unmappedRequired': 'Associez une colonne à chaque champ obligatoire : {fields}',
+    'batch.run': 'Analyser {rows} lignes',
+    'batch.progress': '{done} lignes analysées sur {total}',
+    'batch.cancel': 'Annuler',
+    'batch.cancelled': 'Lot annulé après {done} lignes sur {total}.',
+    'batch.summary': '{analyzed} lignes analysées, {errors} avec des erreurs',
+    'batch.normal': 'Équilibre acido-basique normal',
+    'batch.undetermined': 'Indéterminé',
+    'batch.exportCsv': 'Exporter en CSV',
+    'batch.exportJson': 'Exporter en JSON',
+    'batch.errorsOnly': 'Afficher uniquement les lignes en erreur',
+    'batch.row': 'Ligne',
+    'batch.interpretation': 'Interprétation',
+    'batch.status': 'Statut',
+    'batch.ok': 'OK',
+    'batch.open': 'Ouvrir dans l’analyseur',
+    'batch.openRow': 'Ouvrir la ligne {row} dans l’analyseur',
+    'batch.previous': 'Précédent',
+    'batch.next': 'Suivant',
+    'batch.page': 'Page {page} sur {pages}',
+    'batch.errors.NOT_A_NUMBER': '{field} : « {value} » n’est pas un nombre',
+    'batch.errors.OUT_OF_RANGE': '{field} : {value} est hors de {min}–{max} {unit}',
+    'batch.errors.MISSING_REQUIRED': 'Manquant : {fields}',
+    'batch.errors.UNKNOWN_SAMPLE_TYPE': 'Type d’échantillon inconnu « {value} »',
+    'batch.errors.UNKNOWN_PATIENT_CATEGORY': 'Catégorie de patient inconnue « {value} »',
+    'batch.errors.ANALYSIS_ERROR': '{value}',
+
+    // --- Results view and printed report ---
+    'results.title': 'Résultats de l’analyse des GDS',
+    'results.profile': 'Valeurs de référence : {name}',
+    'results.sample': 'Échantillon {label}',
+    'results.sampleEstimated': ' — interprété sur des valeurs artérielles ESTIMÉES.',
+    'results.sampleRanges': ' — interprété avec les valeurs de référence {label}.',
+    'results.pediatricMode': 'Mode pédiatrique : {label}',
+    'results.pediatricStepsBefore': ' — les étapes marquées ',
+    'results.pediatricStepsAfter': ' utilisent des normes et des compensations attendues adaptées à l’âge.',
+    'results.badge.cord': 'Cordon',
+    'results.badge.pediatric': 'Pédiatrique',
+    'results.badge.neonatal': 'Néonatal',
+    'results.temperature': 'Température du patient {temperature} °C',
+    'results.temperatureStrategy': ' — interprété en {strategy} (valeurs {values}).',
+    'results.temperatureCorrected': 'corrigées pour la température',
+    'results.temperatureUncorrected': 'non corrigées à 37 °C',
+    'results.temperatureAriaLabel': 'Stratégie acido-basique',
+    'temperatureStrategies.alphaStat': 'Alpha-stat',
+    'temperatureStrategies.phStat': 'pH-stat',
+    'results.at37': 'À 37 °C',
+    'results.atTemperature': 'À {temperature} °C',
+    'results.quality': 'Qualité de l’échantillon : erreur pré-analytique possible',
+    'results.qualityMany': 'Qualité de l’échantillon : erreurs pré-analytiques possibles',
+    'results.qualityConfirm': ' — vérifiez l’échantillon avant d’agir sur cette interprétation.',
+    'results.finalInterpretation': 'Interprétation finale',
+    'results.cordGas': 'Évaluation des gaz du sang au cordon',
+    'results.cordGasInfo': 'Paire valide : le pH veineux dépasse le pH artériel d’au moins 0,02 et la PCO₂ artérielle dépasse la PCO₂ veineuse d’au moins 0,5 kPa. Un pH artériel < 7,00 avec un déficit de base ≥ 12 mmol/L indique une acidose métabolique périnatale.',
+    'results.arterial': 'Artériel',
+    'results.venous': 'Veineux',
+    'results.baseDeficit': 'Déficit de base',
+    'results.baseDeficitSource': 'Déficit de base ({source})',
+    'results.asphyxia': ' — remplit le critère d’asphyxie périnatale',
+    'results.sampleValidity': 'Validité de l’échantillon',
+    'results.sampleValidityFailed': 'Validité de l’échantillon (ÉCHEC)',
+    'results.cord.normal': 'Pas d’acidémie significative',
+    'results.cord.respiratory': 'Acidémie respiratoire',
+    'results.cord.metabolic': 'Acidose métabolique',
+    'results.cord.mixed': 'Acidose mixte respiratoire et métabolique',
+    'results.steps': 'Analyse étape par étape (méthode ATS)',
+    'results.stepInfo.step5': 'Trou anionique = Na⁺ - (Cl⁻ + HCO₃⁻). Normale ≈ 8-12 mmol/L. Corrigé pour une albumine basse si fournie.',
+    'results.stepInfo.step6': 'Delta ratio = (TA - 12) / (24 - HCO₃⁻). Aide à identifier les troubles mixtes lorsque le TA est élevé. < 0,8 évoque une AMTAN associée, > 1,8 une alcalose métabolique associée. Avec le lactate, la part du ΔTA due au lactate est divisée par 1,6 (ratio ajusté au lactate, attendu 0,8-1,25).',
+    'results.stepInfo.step7': 'AMTAE : trou osmolaire = Osm mesurée - (2·Na⁺ + glucose/18 + urée/2,8 + éthanol/3,7) ; > 10 évoque des alcools toxiques. AMTAN : trou anionique urinaire = UNa⁺ + UK⁺ - UCl⁻ ; négatif évoque une perte digestive, positif une perte rénale.',
+    'results.hyperglycemicCrisis': 'Évaluation ACD / SHH',
+    'results.hyperglycemicCrisisInfo': 'ADA 2024 : ACD = glucose ≥ 200 mg/dL (ou diabète connu), β-hydroxybutyrate ≥ 3,0 mmol/L et pH < 7,30 ou HCO₃⁻ < 18. SHH = glucose ≥ 600 mg/dL, osmolalité efficace > 300 mOsm/kg, pH ≥ 7,30, HCO₃⁻ ≥ 15 et pas de cétose significative.',
+    'results.differentials': 'Diagnostic différentiel',
+    'results.differentialsInfo': 'Les causes sont classées par prévalence et selon les données disponibles (lactate, trou osmolaire, bilan urinaire, potassium et contexte clinique coché dans le formulaire).',
+    'results.stewart': 'Analyse physico-chimique de Stewart',
+    'results.stewartInfo': 'SIDa = (Na⁺ + K⁺ + 2·Ca²⁺ + 2·Mg²⁺) - (Cl⁻ + lactate). SIDe = HCO₃⁻ + albumine⁻ + phosphate⁻. SIG = SIDa - SIDe ; > 2 mEq/L évoque des anions indosés.',
+    'results.sidApparent': 'SID apparente (SIDa)',
+    'results.sidEffective': 'SID effective (SIDe)',
+    'results.atot': 'Atot (albumine⁻ + Pi⁻)',
+    'results.atotParts': 'Atot (albumine⁻ {albumin} + Pi⁻ {phosphate})',
+    'results.sig': 'Trou des ions forts (SIG)',
+    'results.oxygenation': 'Évaluation de l’oxygénation',
+    'results.oxygenationInfo': 'PAO₂ = FiO₂ × (Patm - 47) - PaCO₂/QR. Gradient A-a = PAO₂ - PaO₂ (attendu ≈ âge/4 + 4). Rapport P/F ≤ 300 / 200 / 100 = SDRA léger / modéré / sévère (Berlin).',
+    'results.alveolarPo2': 'PO₂ alvéolaire (PAO₂)',
+    'results.alveolarPo2AtFio2': 'PO₂ alvéolaire (PAO₂) à FiO₂ {fio2} %',
+    'results.aaGradient': 'Gradient A-a',
+    'results.aaGradientExpected': 'Gradient A-a (attendu ≤ {expected})',
+    'results.aaGradientReference': '≤ {expected} (attendu pour l’âge)',
+    'results.pfRatio': 'Rapport PaO₂/FiO₂',
+    'results.baseExcess': 'Excès de base décomposé',
+    'results.baseExcessPrint': 'Excès de base décomposé (Fencl-Story / Gilfix)',
+    'results.baseExcessInfo': 'Décomposition de Fencl-Story : EBS = eau libre + chlore + albumine + lactate + anions indosés (résidu de Gilfix). Les contributions négatives sont acidifiantes, les positives alcalinisantes.',
+    'results.sbe': 'Excès de base standard = {sbe} mmol/L ({source})',
+    'results.sbeMeasured': 'Excès de base standard = {sbe} mmol/L ({source} ; calculé {calculated} mmol/L)',
+    'results.sbeSource.measured': 'mesuré',
+    'results.sbeSource.calculated': 'calculé',
+    'results.rules': 'Règles exécutées ({executed} sur {total})',
+    'results.ruleStatus.executed': 'exécutée',
+    'results.ruleStatus.skipped': 'ignorée',
+    'results.ruleStatus.not_applicable': 'non applicable',
+    'results.ruleStatus.disabled': 'désactivée',
+    'results.ruleStatus.error': 'erreur',
+    'results.ruleMissing': ' (manquant : {fields})',
+    'results.rulesFailed': 'Certaines règles d’analyse ont échoué ; leurs résultats manquent ci-dessous :',
+    'rules.internalConsistency': 'Étape 1 : Cohérence interne (Henderson-Hasselbalch)',
+    'rules.acidemiaAlkalemia': 'Étape 2 : Acidémie ou alcalémie',
+    'rules.primaryDisorder': 'Étape 3 : Trouble primaire',
+    'rules.compensation': 'Étape 4 : Compensation',
+    'rules.anionGap': 'Étape 5 : Trou anionique',
+    'rules.deltaRatio': 'Étape 6 : Rapport delta',
+    'rules.secondaryWorkup': 'Étape 7 : Bilan complémentaire (trous osmolaire et urinaires)',
+    'rules.interpretation': 'Interprétation finale',
+    'rules.severity': 'Gravité et valeurs critiques',
+    'rules.acidBaseMap': 'Carte acido-basique',
+    'rules.hyperglycemicCrisis': 'Critères d’ACD / EHH',
+    'rules.stewart': 'Analyse physico-chimique de Stewart',
+    'rules.baseExcess': 'Décomposition de l’excès de base',
+    'rules.cordGas': 'Évaluation des gaz du sang du cordon ombilical',
+    'rules.oxygenation': 'Évaluation de l’oxygénation',
+    'rules.differentials': 'Diagnostic différentiel',
+    'results.print': 'Imprimer',
+    'results.newAnalysis': 'Nouvelle analyse',
+    'print.noResults': 'Aucun résultat à imprimer.',
+    'print.documentTitle': 'Compte rendu d’analyse des GDS',
+    'print.title': 'Compte rendu de l’analyseur automatique de GDS',
+    'print.profile': 'Profil de référence :',
+    'print.patientCategory': 'Catégorie de patient :',
+    'print.pediatricSpecific': ' — INTERPRÉTATION PÉDIATRIQUE SPÉCIFIQUE',
+    'print.temperature': 'Température du patient :',
+    'print.temperatureStrategy': '{temperature} °C — stratégie acido-basique : {strategy} (analyse sur valeurs {values})',
+    'print.atTemperature': 'À {temperature} °C :',
+    'print.sampleType': 'Type d’échantillon :',
+    'print.estimatedAnalysis': ' (analyse réalisée sur des valeurs artérielles ESTIMÉES)',
+    'print.estimatedValues': 'Valeurs estimées : {values}',
+    'print.inputValues': 'Valeurs saisies',
+    'print.parameter': 'Paramètre',
+    'print.value': 'Valeur',
+    'print.normalRange': 'Valeurs normales',
+    'print.reference': 'Référence',
+    'print.component': 'Composante',
+    'print.contribution': 'Contribution',
+    'print.qualityWarnings': 'Alertes de qualité de l’échantillon',
+    'print.criticalValues': 'Valeurs critiques',
+    'print.rangeSuffix.cord': 'normes de cordon',
+    'print.rangeSuffix.pediatric': 'normes pédiatriques',
+    'print.generatedOn': 'Généré le : {date}',
+    'print.disclaimer': 'Avertissement : à visée pédagogique uniquement. Ne remplace pas le jugement clinique.',
+    'print.rows.baseExcess': 'Excès de base',
+    'print.rows.albumin': 'Albumine',
+    'print.rows.lactate': 'Lactate',
+    'print.rows.bhb': 'β-hydroxybutyrate',
+    'print.rows.ca': 'Ca²⁺ ionisé',
+    'print.rows.mg': 'Mg²⁺',
+    'print.rows.phosphate': 'Phosphate',
+    'print.rows.fio2Normal': '21 (air ambiant)',
+    'print.rows.patm': 'Pression barométrique',
+    'print.rows.patmNormal': '760 (niveau de la mer)',
+    'print.rows.age': 'Âge',
+    'print.rows.ageUnit': 'ans',
+    'print.rows.temperature': 'Température du patient',
+    'print.rows.rq': 'Quotient respiratoire',
+    'print.rows.sosm': 'Osmolalité sérique',
+    'print.rows.glucose': 'Glucose',
+    'print.rows.bun': 'Urée sanguine (BUN)',
+    'print.rows.ethanol': 'Éthanol',
+    'print.rows.una': 'Na⁺ urinaire',
+    'print.rows.uk': 'K⁺ urinaire',
+    'print.rows.ucl': 'Cl⁻ urinaire',
+    'print.rows.uosm': 'Osmolalité urinaire',
+    'print.rows.uun': 'Azote uréique urinaire',
+    'print.rows.uvph': 'pH veineux ombilical',
+    'print.rows.uvpco2': 'PCO₂ veineuse ombilicale',
+    'print.rows.uvhco3': 'HCO₃⁻ veineux ombilical',
+    'print.rows.uvbe': 'Excès de base veineux ombilical'
+};
@@ -0,0 +1,123 @@
+/**
+ * ABG Analyzer - LOINC Codes
+ * LOINC codes of the analyzer's input fields, shared by the FHIR export (fhir.js) and the HL7 v2 import (hl7.js).
+ * Blood gas codes depend on the specimen: arterial, venous or unspecified blood.
+ */
+
+// Blood gas codes depend on the specimen: [LOINC code, display]
+export const bloodGasCodes = {
+    arterial: {
+        ph: ['2744-1', 'pH of Arterial blood'],
+        paco2: ['2019-8', 'Carbon dioxide [Partial pressure] in Arterial blood'],
+        hco3: ['1960-4', 'Bicarbonate [Moles/volume] in Arterial blood'],
+        pao2: ['2703-7', 'Oxygen [Partial pressure] in Arterial blood'],
+        be: ['1925-7', 'Base excess in Arterial blood by calculation'],
+        sao2: ['2708-6', 'Oxygen saturation in Arterial blood']
+    },
+    venous: {
+        ph: ['2746-6', 'pH of Venous blood'],
+        paco2: ['2021-4', 'Carbon dioxide [Partial pressure] in Venous blood'],
+        hco3: ['14627-4', 'Bicarbonate [Moles/volume] in Venous blood'],
+        pao2: ['2705-2', 'Oxygen [Partial pressure] in Venous blood'],
+        be: ['1927-3', 'Base excess in Venous blood by calculation'],
+        sao2: ['2711-0', 'Oxygen saturation in Venous blood']
+    },
+    blood: {
+        ph: ['11558-4', 'pH of Blood'],
+        paco2: ['11557-6', 'Carbon dioxide [Partial pressure] in Blood'],
+        hco3: ['1959-6', 'Bicarbonate [Moles/volume] in Blood'],
+        pao2: ['11556-8', 'Oxygen [Partial pressure] in Blood'],
+        be: ['11555-0', 'Base excess in Blood by calculation'],
+        sao2: ['20564-1', 'Oxygen saturation in Blood']
+    }
+};
+
+export const bloodGasUnits = { ph: 'pH', paco2: 'mmHg', hco3: 'mmol/L', pao2: 'mmHg', be: 'mmol/L', sao2: '%' };
+
+// Blood gas panel (DiagnosticReport.code) by specimen
+export const panelCodes = {
+    arterial: ['24336-0', 'Gas panel - Arterial blood'],
+    venous: ['24338-6', 'Gas panel - Venous blood']
+};
+
+export const specimenOfSampleType = {
+    arterial: 'arterial',
+    peripheralVenous: 'venous',
+    centralVenous: 'venous',
+    mixedVenous: 'venous',
+    capillary: 'blood',
+    umbilicalArterial: 'arterial',
+    umbilicalVenous: 'venous'
+};
+
+// Umbilical venous pair of a cord gas (ManualInputForm) → blood gas field
+export const cordVenousFields = { uvph: 'ph', uvpco2: 'paco2', uvhco3: 'hco3', uvbe: 'be' };
+
+// Other inputs, independent of the blood gas specimen: [LOINC code, display, canonical unit]. Age, barometric pressure and RQ have no code.
+export const observationCodes = {
+    na: ['2951-2', 'Sodium [Moles/volume] in Serum or Plasma', 'mmol/L'],
+    cl: ['2075-0', 'Chloride [Moles/volume] in Serum or Plasma', 'mmol/L'],
+    k: ['2823-3', 'Potassium [Moles/volume] in Serum or Plasma', 'mmol/L'],
+    albumin: ['1751-7', 'Albumin [Mass/volume] in Serum or Plasma', 'g/dL'],
+    ca: ['1994-3', 'Calcium.ionized [Moles/volume] in Blood', 'mmol/L'],
+    mg: ['19123-9', 'Magnesium [Moles/volume] in Serum or Plasma', 'mmol/L'],
+    phosphate: ['14879-1', 'Phosphate [Moles/volume] in Serum or Plasma', 'mmol/L'],
+    lactate: ['32693-4', 'Lactate [Moles/volume] in Blood', 'mmol/L'],
+    bhb: ['53060-9', '3-Hydroxybutyrate [Moles/volume] in Serum or Plasma', 'mmol/L'],
+    glucose: ['2345-7', 'Glucose [Mass/volume] in Serum or Plasma', 'mg/dL'],
+    sosm: ['2692-2', 'Osmolality of Serum or Plasma', 'mOsm/kg'],
+    bun: ['3094-0', 'Urea nitrogen [Mass/volume] in Serum or Plasma', 'mg/dL'],
+    ethanol: ['5643-2', 'Ethanol [Mass/volume] in Serum or Plasma', 'mg/dL'],
+    temperature: ['8310-5', 'Body temperature', '°C'],
+    fio2: ['3150-0', 'Inhaled oxygen concentration', '%'],
+    spo2: ['59408-5', 'Oxygen saturation in Arterial blood by Pulse oximetry', '%'],
+    una: ['2955-3', 'Sodium [Moles/volume] in Urine', 'mmol/L'],
+    uk: ['2828-2', 'Potassium [Moles/volume] in Urine', 'mmol/L'],
+    ucl: ['2078-4', 'Chloride [Moles/volume] in Urine', 'mmol/L'],
+    uosm: ['2695-5', 'Osmolality of Urine', 'mOsm/kg'],
+    uun: ['3095-7', 'Urea nitrogen [Mass/volume] in Urine', 'mg/dL']
+};
+
+/**
+ * LOINC code, display and canonical unit of an input field, or null when it has no code.
+ * @param {string} field - Input field (see ManualInputForm).
+ * @param {string} sampleType - Sample type of the analysis (sampleTypes.js).
+ */
+export function observationCode(field, sampleType = 'arterial') {
+    if (cordVenousFields[field]) {
+        const gasField = cordVenousFields[field];
+        const [code, display] = bloodGasCodes.venous[gasField];
+        return { code, display, unit: bloodGasUnits[gasField] };
+    }
+    if (bloodGasUnits[field]) {
+        const [code, display] = bloodGasCodes[specimenOfSampleType[sampleType] || 'blood'][field];
+        return { code, display, unit: bloodGasUnits[field] };
+    }
+    if (!observationCodes[field]) return null;
+    const [code, display, unit] = observationCodes[field];
+    return { code, display, unit };
+}
+
+// Codes read on import only: the same analytes reported on other specimens (whole blood electrolytes, plasma lactate)
+const importOnlyCodes = {
+    '2947-0': 'na', // Sodium [Moles/volume] in Blood
+    '6298-4': 'k', // Potassium [Moles/volume] in Blood
+    '2069-3': 'cl', // Chloride [Moles/volume] in Blood
+    '2339-0': 'glucose', // Glucose [Mass/volume] in Blood
+    '2524-7': 'lactate', // Lactate [Moles/volume] in Serum or Plasma
+    '2518-9': 'lactate', // Lactate [Moles/volume] in Arterial blood
+    '17863-3': 'ca' // Calcium.ionized [Moles/volume] in Serum or Plasma
+};
+
+/**
+ * Input field of every known LOINC code, with the blood gas specimen it implies.
+ * @type {Object<string, { field: string, specimen: string|null }>}
+ */
+export const loincFields = {
+    ...Object.entries(bloodGasCodes).reduce((acc, [specimen, codes]) => {
+        Object.entries(codes).forEach(([field, [code]]) => { acc[code] = { field, specimen }; });
+        return acc;
+    }, {}),
+    ...Object.entries(observationCodes).reduce((acc, [field, [code]]) => ({ ...acc, [code]: { field, specimen: null } }), {}),
+    ...Object.entries(importOnlyCodes).reduce((acc, [code, field]) => ({ ...acc, [code]: { field, specimen: null } }), {})
+};
@@ -0,0 +1,91 @@
+/**
+ * ABG Analyzer - Patient Categories
+ * Age groups with their own acid-base expectations. Reference ranges for each group live in the
+ * reference profile (patientCategoryRanges); this module holds the compensation rules and caveats.
+ */
+
+// Adult compensation rules used by step 4
+export const defaultCompensation = {
+    wintersTolerance: 2, // mmHg around 1.5·HCO₃⁻ + 8
+    chronicRespAcidosisFactor: 0.35, // mmol/L HCO₃⁻ rise per mmHg PaCO₂
+    chronicRespAlkalosisFactor: 0.5, // mmol/L HCO₃⁻ fall per mmHg PaCO₂
+    // Time course from serial samples (acute vs chronic respiratory disorders)
+    acuteOnsetHours: 24, // PaCO₂ normal less than this long ago: too early for renal compensation
+    chronicAfterHours: 72 // PaCO₂ abnormal at least this long: renal compensation established
+};
+
+export const patientCategories = {
+    adult: {
+        label: 'Adult (≥ 18 years)',
+        pediatric: false
+    },
+    child: {
+        label: 'Child (1-17 years)',
+        pediatric: true,
+        // Winter's formula and the adult respiratory rules are validated in children
+        compensation: {},
+        notes: ['CHILD_RANGES']
+    },
+    infant: {
+        label: 'Infant (1-12 months)',
+        pediatric: true,
+        // Lower renal bicarbonate threshold blunts chronic respiratory compensation
+        compensation: { chronicRespAcidosisFactor: 0.3 },
+        notes: ['INFANT_RANGES', 'INFANT_COMPENSATION']
+    },
+    neonate: {
+        label: 'Neonate (0-28 days)',
+        pediatric: true,
+        // Immature tubular HCO₃⁻ handling and limited ventilatory reserve: wider tolerance, blunted renal response
+        compensation: { wintersTolerance: 3, chronicRespAcidosisFactor: 0.25, chronicRespAlkalosisFactor: 0.4 },
+        notes: ['NEONATE_RANGES', 'NEONATE_COMPENSATION']
+    }
+};
+
+/**
+ * Resolve the patient category from an explicit choice, falling back to age in years ('auto').
+ */
+export function resolvePatientCategory(category, age) {
+    if (patientCategories[category]) return category;
+    if (age === undefined || age === null || isNaN(age)) return 'adult';
+    if (age < 28 / 365) return 'neonate';
+    if (age < 1) return 'infant';
+    if (age < 18) return 'child';
+    return 'adult';
+}
+
+/**
+ * Compensation rules for a category (adult rules with the category's overrides).
+ */
+export function getCompensationRules(category) {
+    return { ...defaultCompensation, ...patientCategories[category]?.compensation };
+}
+
+// HCO₃⁻ change per mmHg PaCO₂ for a primary respiratory disorder, ±3 mmol/L (guideline)
+const respiratoryFormula = (formula, slope) => ({
+    formula, driver: 'paco2', field: 'hco3', slope,
+    expected: (paco2, { paco2Normal, hco3Normal }, rules) => hco3Normal + ((paco2 - paco2Normal) * slope(rules)),
+    tolerance: () => 3
+});
+
+/**
+ * Expected compensation for each simple disorder, shared by step 4 and the acid-base map.
+ * Each formula predicts the compensating value (`field`) from the primary change (`driver`) in canonical units;
+ * `normals` are the sample's paco2Normal / hco3Normal and `rules` the category's compensation rules.
+ */
+export const compensationFormulas = {
+    metabolicAcidosis: {
+        formula: 'WINTERS', driver: 'hco3', field: 'paco2', slope: () => 1.5,
+        expected: (hco3) => (1.5 * hco3) + 8,
+        tolerance: (rules) => rules.wintersTolerance
+    },
+    metabolicAlkalosis: {
+        formula: 'METABOLIC_ALKALOSIS', driver: 'hco3', field: 'paco2', slope: () => 0.6, // Guideline uses 0.6 multiplier
+        expected: (hco3, { paco2Normal, hco3Normal }) => paco2Normal + (0.6 * (hco3 - hco3Normal)),
+        tolerance: () => 5 // Wider range often used for Met Alk
+    },
+    acuteRespiratoryAcidosis: respiratoryFormula('RESPIRATORY_ACIDOSIS', () => 0.1),
+    chronicRespiratoryAcidosis: respiratoryFormula('RESPIRATORY_ACIDOSIS', (rules) => rules.chronicRespAcidosisFactor), // 3.5 per 10 = 0.35 in adults
+    acuteRespiratoryAlkalosis: respiratoryFormula('RESPIRATORY_ALKALOSIS', () => 0.2), // Decrease = 2 * (ΔPaCO2/10)
+    chronicRespiratoryAlkalosis: respiratoryFormula('RESPIRATORY_ALKALOSIS', (rules) => rules.chronicRespAlkalosisFactor) // 5-7 per 10, 0.5 in adults
+};
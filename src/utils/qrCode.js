@@ -0,0 +1,293 @@
+/**
+ * ABG Analyzer - QR Codes
+ * Encodes text as a QR code (ISO/IEC 18004, byte mode, error correction level M, versions 1-40) for handing a
+ * shared link from a workstation to a phone. The smallest version that fits is used and the mask with the
+ * lowest penalty score is applied.
+ */
+
+// Level M: error correction codewords per block and number of blocks, by version (index 0 unused)
+const ECC_CODEWORDS_PER_BLOCK = [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28];
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49];
+const LEVEL_M_FORMAT_BITS = 0;
+const BYTE_MODE = 0x4;
+
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules available for data and error correction in a symbol of this version
+function rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+        const alignments = Math.floor(version / 7) + 2;
+        result -= (25 * alignments - 10) * alignments - 55;
+        if (version >= 7) result -= 36;
+    }
+    return result;
+}
+
+const dataCodewords = (version) => Math.floor(rawDataModules(version) / 8) - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+
+// Centres of the alignment patterns along each axis
+function alignmentPositions(version, size) {
+    if (version === 1) return [];
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+    for (let position = size - 7; positions.length < count; position -= step) positions.splice(1, 0, position);
+    return positions;
+}
+
+// Reed-Solomon over GF(2^8) with the polynomial 0x11D
+function gfMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+        z = (z << 1) ^ ((z >>> 7) * 0x11d);
+        z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+}
+
+function reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+        for (let j = 0; j < result.length; j++) {
+            result[j] = gfMultiply(result[j], root);
+            if (j + 1 < result.length) result[j] ^= result[j + 1];
+        }
+        root = gfMultiply(root, 0x02);
+    }
+    return result;
+}
+
+function reedSolomonRemainder(data, divisor) {
+    const result = divisor.map(() => 0);
+    data.forEach(byte => {
+        const factor = byte ^ result.shift();
+        result.push(0);
+        divisor.forEach((coefficient, i) => {
+            result[i] ^= gfMultiply(coefficient, factor);
+        });
+    });
+    return result;
+}
+
+// Split the data into blocks, append each block's error correction and interleave
+function addErrorCorrection(data, version) {
+    const blockCount = ERROR_CORRECTION_BLOCKS[version];
+    const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+    const rawCodewords = Math.floor(rawDataModules(version) / 8);
+    const shortBlocks = blockCount - (rawCodewords % blockCount);
+    const shortBlockLength = Math.floor(rawCodewords / blockCount);
+    const divisor = reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+        const block = data.slice(offset, offset + shortBlockLength - eccLength + (i < shortBlocks ? 0 : 1));
+        offset += block.length;
+        const ecc = reedSolomonRemainder(block, divisor);
+        if (i < shortBlocks) block.push(0); // Placeholder, skipped when interleaving
+        blocks.push([...block, ...ecc]);
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+        blocks.forEach((block, j) => {
+            if (i !== shortBlockLength - eccLength || j >= shortBlocks) result.push(block[i]);
+        });
+    }
+    return result;
+}
+
+// Data codewords of a byte-mode segment, with terminator and padding
+function encodeData(bytes, version) {
+    const bits = [];
+    const append = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    const capacity = dataCodewords(version) * 8;
+    append(BYTE_MODE, 4);
+    append(bytes.length, version <= 9 ? 8 : 16);
+    bytes.forEach(byte => append(byte, 8));
+    append(0, Math.min(4, capacity - bits.length));
+    append(0, (8 - (bits.length % 8)) % 8);
+    for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+    const codewords = [];
+    for (let i = 0; i < bits.length; i += 8) codewords.push(parseInt(bits.slice(i, i + 8).join(''), 2));
+    return codewords;
+}
+
+const masks = [
+    (x, y) => (x + y) % 2 === 0,
+    (x, y) => y % 2 === 0,
+    (x) => x % 3 === 0,
+    (x, y) => (x + y) % 3 === 0,
+    (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+    (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+    (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+    (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// Symbol under construction: module colours and which modules belong to function patterns
+function createSymbol(version) {
+    const size = version * 4 + 17;
+    const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+    const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+    const setFunction = (x, y, dark) => {
+        modules[y][x] = dark;
+        isFunction[y][x] = true;
+    };
+
+    for (let i = 0; i < size; i++) {
+        setFunction(6, i, i % 2 === 0);
+        setFunction(i, 6, i % 2 === 0);
+    }
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+        for (let dy = -4; dy <= 4; dy++) {
+            for (let dx = -4; dx <= 4; dx++) {
+                const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                const x = cx + dx;
+                const y = cy + dy;
+                if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+            }
+        }
+    });
+    const alignments = alignmentPositions(version, size);
+    const last = alignments.length - 1;
+    alignments.forEach((cx, i) => alignments.forEach((cy, j) => {
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return; // Finder corners
+        for (let dy = -2; dy <= 2; dy++) {
+            for (let dx = -2; dx <= 2; dx++) setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+    }));
+    drawFormatBits(setFunction, size, 0); // Reserves the format areas; redrawn once the mask is chosen
+    if (version >= 7) {
+        let remainder = version;
+        for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+        const bits = (version << 12) | remainder;
+        for (let i = 0; i < 18; i++) {
+            const a = size - 11 + (i % 3);
+            const b = Math.floor(i / 3);
+            setFunction(a, b, getBit(bits, i));
+            setFunction(b, a, getBit(bits, i));
+        }
+    }
+    return { size, modules, isFunction, setFunction };
+}
+
+function drawFormatBits(setFunction, size, mask) {
+    const data = (LEVEL_M_FORMAT_BITS << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) setFunction(8, i, getBit(bits, i));
+    setFunction(8, 7, getBit(bits, 6));
+    setFunction(8, 8, getBit(bits, 7));
+    setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) setFunction(14 - i, 8, getBit(bits, i));
+    for (let i = 0; i < 8; i++) setFunction(size - 1 - i, 8, getBit(bits, i));
+    for (let i = 8; i < 15; i++) setFunction(8, size - 15 + i, getBit(bits, i));
+    setFunction(8, size - 8, true); // Dark module
+}
+
+// Place the codewords in the zigzag order, two columns at a time from the bottom right
+function drawCodewords({ size, modules, isFunction }, codewords) {
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+        if (right === 6) right = 5; // Skip the vertical timing pattern
+        for (let vertical = 0; vertical < size; vertical++) {
+            for (let j = 0; j < 2; j++) {
+                const x = right - j;
+                const upward = ((right + 1) & 2) === 0;
+                const y = upward ? size - 1 - vertical : vertical;
+                if (!isFunction[y][x] && i < codewords.length * 8) {
+                    modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+                    i++;
+                }
+            }
+        }
+    }
+}
+
+function applyMask({ size, modules, isFunction }, mask) {
+    for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+            if (!isFunction[y][x] && masks[mask](x, y)) modules[y][x] = !modules[y][x];
+        }
+    }
+}
+
+const finderLike = [[1, 0, 1, 1, 1, 0, 1, 0, 0, 0, 0], [0, 0, 0, 0, 1, 0, 1, 1, 1, 0, 1]];
+
+// Penalty score of a masked symbol (lower reads more reliably)
+function penalty(modules) {
+    const size = modules.length;
+    let score = 0;
+    const lines = [
+        ...modules,
+        ...modules.map((row, x) => modules.map(line => line[x]))
+    ];
+    lines.forEach(line => {
+        let run = 1;
+        for (let i = 1; i <= size; i++) {
+            if (i < size && line[i] === line[i - 1]) {
+                run++;
+            } else {
+                if (run >= 5) score += PENALTY_RUN + (run - 5);
+                run = 1;
+            }
+        }
+        for (let i = 0; i + 11 <= size; i++) {
+            if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === Boolean(dark)))) score += PENALTY_FINDER_LIKE;
+        }
+    });
+    for (let y = 0; y + 1 < size; y++) {
+        for (let x = 0; x + 1 < size; x++) {
+            const color = modules[y][x];
+            if (modules[y][x + 1] === color && modules[y + 1][x] === color && modules[y + 1][x + 1] === color) score += PENALTY_BLOCK;
+        }
+    }
+    const dark = modules.reduce((count, row) => count + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_BALANCE;
+    return score;
+}
+
+/**
+ * Encode text (UTF-8) as a QR code.
+ * @param {string} text
+ * @returns {boolean[][]} Modules by row, true for dark, without the quiet zone.
+ * @throws {Error} If the text does not fit in a version 40 symbol.
+ */
+export function encodeQr(text) {
+    const bytes = [...new TextEncoder().encode(text)];
+    let version = 1;
+    while (version <= 40 && 4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > dataCodewords(version) * 8) version++;
+    if (version > 40) throw new Error('The text is too long for a QR code.');
+
+    const codewords = addErrorCorrection(encodeData(bytes, version), version);
+    let best = null;
+    masks.forEach((mask, index) => {
+        const symbol = createSymbol(version);
+        drawCodewords(symbol, codewords);
+        applyMask(symbol, index);
+        drawFormatBits(symbol.setFunction, symbol.size, index);
+        const score = penalty(symbol.modules);
+        if (!best || score < best.score) best = { score, modules: symbol.modules };
+    });
+    return best.modules;
+}
+
+/**
+ * SVG path of the dark modules, offset by a quiet zone (in modules).
+ */
+export function qrPath(modules, margin = 4) {
+    return modules.flatMap((row, y) => row.map((dark, x) => (dark ? `M${x + margin},${y + margin}h1v1h-1z` : ''))).join('');
+}
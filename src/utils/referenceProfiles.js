@@ -0,0 +1,196 @@
+/**
+ * ABG Analyzer - Reference Range Profiles
+ * One institution-configurable source for the normal ranges and thresholds used by the
+ * analyzer, the input form hints and the printed report. Profiles are plain JSON and
+ * persisted in localStorage. All values are in canonical units (see units.js).
+ */
+
+const STORAGE_KEY = 'abg-reference-profiles';
+const ACTIVE_KEY = 'abg-active-profile';
+
+export const PROFILE_SCHEMA_VERSION = 1;
+
+// Labels for the settings screen, in display order
+export const profileRangeLabels = {
+    ph: 'pH', paco2: 'PaCO₂ (mmHg)', hco3: 'HCO₃⁻ (mmol/L)', pao2: 'PaO₂ (mmHg)',
+    be: 'Base Excess (mmol/L)', sao2: 'SaO₂ (%)', spo2: 'SpO₂ (%)',
+    na: 'Na⁺ (mmol/L)', cl: 'Cl⁻ (mmol/L)', k: 'K⁺ (mmol/L)', albumin: 'Albumin (g/dL)',
+    lactate: 'Lactate (mmol/L)', bhb: 'β-Hydroxybutyrate (mmol/L)', ca: 'Ionized Ca²⁺ (mmol/L)', mg: 'Mg²⁺ (mmol/L)', phosphate: 'Phosphate (mmol/L)',
+    sosm: 'Serum Osmolality (mOsm/kg)', glucose: 'Glucose (mg/dL)', bun: 'BUN (mg/dL)',
+    anionGap: 'Anion Gap (mmol/L)'
+};
+
+export const defaultProfile = {
+    schemaVersion: PROFILE_SCHEMA_VERSION,
+    id: 'default',
+    name: 'Default (ATS)',
+    ranges: {
+        ph: [7.35, 7.45], paco2: [35, 45], hco3: [22, 26], pao2: [80, 100],
+        be: [-2, 2], sao2: [95, 100], spo2: [95, 100],
+        na: [135, 145], cl: [98, 107], k: [3.5, 5.0], albumin: [3.5, 5.0],
+        lactate: [0.5, 2.0], bhb: [0, 0.6], ca: [1.15, 1.30], mg: [0.70, 1.00], phosphate: [0.8, 1.5],
+        sosm: [275, 295], glucose: [70, 110], bun: [7, 20],
+        anionGap: [8, 12]
+    },
+    // Acid-base ranges for non-arterial samples (steps 2-4)
+    sampleTypeRanges: {
+        peripheralVenous: { ph: [7.31, 7.41], paco2: [41, 51], hco3: [23, 29] },
+        centralVenous: { ph: [7.32, 7.42], paco2: [40, 50], hco3: [23, 28] },
+        mixedVenous: { ph: [7.31, 7.41], paco2: [41, 51], hco3: [22, 28] },
+        capillary: { ph: [7.35, 7.45], paco2: [35, 45], hco3: [22, 26] },
+        // Umbilical cord at delivery (Yeomans 1985, mean ± 2 SD)
+        umbilicalArterial: { ph: [7.18, 7.38], paco2: [32, 66], hco3: [17, 27] },
+        umbilicalVenous: { ph: [7.25, 7.45], paco2: [27, 49], hco3: [16, 25] }
+    },
+    // Arterial acid-base ranges by age group (see patientCategories.js); adults use `ranges`
+    patientCategoryRanges: {
+        neonate: { ph: [7.30, 7.40], paco2: [30, 40], hco3: [18, 24] },
+        infant: { ph: [7.34, 7.46], paco2: [27, 41], hco3: [19, 24] },
+        child: { ph: [7.35, 7.45], paco2: [35, 45], hco3: [20, 26] }
+    },
+    thresholds: {
+        albuminReference: 4.0, // g/dL, baseline for the albumin-corrected anion gap
+        osmolarGap: 10, // mOsm/kg
+        strongIonGap: 2, // mEq/L
+        cordAcidemiaPh: 7.0, // Umbilical arterial pH defining pathological acidemia
+        cordBaseDeficit: 12, // mmol/L, umbilical arterial base deficit defining perinatal metabolic acidosis
+        ketoacidosisBhb: 3.0, // mmol/L β-hydroxybutyrate defining ketoacidosis (ADA 2024)
+        dkaGlucose: 200, // mg/dL, DKA hyperglycemia criterion
+        hhsGlucose: 600, // mg/dL, HHS hyperglycemia criterion
+        hhsOsmolality: 300 // mOsm/kg, HHS effective serum osmolality criterion
+    },
+    // Critical values: [low, high] limits that trigger an alert (null = no limit on that side)
+    criticalValues: {
+        ph: [7.20, 7.60], paco2: [20, 70], pao2: [60, null], hco3: [10, 40],
+        k: [2.8, 6.0], na: [120, 160], ca: [0.78, 1.58], glucose: [40, 450], lactate: [null, 4.0]
+    },
+    // Disorder severity: [moderate, severe, life-threatening] cut-offs; decreasing lists grade low values
+    severityGrades: {
+        acidemiaPh: [7.30, 7.20, 7.10],
+        alkalemiaPh: [7.50, 7.55, 7.60],
+        metabolicAcidosisHco3: [18, 12, 8],
+        metabolicAlkalosisHco3: [32, 40, 45],
+        respiratoryAcidosisPaco2: [55, 70, 90],
+        respiratoryAlkalosisPaco2: [30, 25, 20]
+    }
+};
+
+/**
+ * Format a [low, high] range for display ("35-45", "-2 to 2").
+ */
+export function formatRangeLabel(range) {
+    if (!Array.isArray(range)) return '';
+    const [low, high] = range;
+    return low < 0 || high < 0 ? `${low} to ${high}` : `${low}-${high}`;
+}
+
+/**
+ * Validate a profile object. Returns a list of problems (empty when valid).
+ */
+export function validateProfile(profile) {
+    const problems = [];
+    if (!profile || typeof profile !== 'object') return ['Profile must be a JSON object.'];
+    if (!profile.id || typeof profile.id !== 'string') problems.push('Profile needs a string "id".');
+    if (!profile.name || typeof profile.name !== 'string') problems.push('Profile needs a string "name".');
+    if (profile.schemaVersion !== undefined && profile.schemaVersion > PROFILE_SCHEMA_VERSION) {
+        problems.push(`Unsupported profile schemaVersion ${profile.schemaVersion}.`);
+    }
+    const checkRanges = (ranges, prefix) => {
+        Object.entries(ranges || {}).forEach(([key, range]) => {
+            if (!Array.isArray(range) || range.length !== 2 || range.some(v => typeof v !== 'number' || isNaN(v))) {
+                problems.push(`${prefix}${key} must be [low, high] numbers.`);
+            } else if (range[0] > range[1]) {
+                problems.push(`${prefix}${key}: low limit is above high limit.`);
+            }
+        });
+    };
+    checkRanges(profile.ranges, 'ranges.');
+    Object.entries(profile.sampleTypeRanges || {}).forEach(([type, ranges]) => checkRanges(ranges, `sampleTypeRanges.${type}.`));
+    Object.entries(profile.patientCategoryRanges || {}).forEach(([category, ranges]) => checkRanges(ranges, `patientCategoryRanges.${category}.`));
+    Object.entries(profile.thresholds || {}).forEach(([key, value]) => {
+        if (typeof value !== 'number' || isNaN(value)) problems.push(`thresholds.${key} must be a number.`);
+    });
+    Object.entries(profile.criticalValues || {}).forEach(([key, limits]) => {
+        const isLimit = (value) => value === null || (typeof value === 'number' && !isNaN(value));
+        if (!Array.isArray(limits) || limits.length !== 2 || !limits.every(isLimit) || limits.every(value => value === null)) {
+            problems.push(`criticalValues.${key} must be [low, high] numbers (null for no limit).`);
+        } else if (limits[0] !== null && limits[1] !== null && limits[0] >= limits[1]) {
+            problems.push(`criticalValues.${key}: low limit must be below high limit.`);
+        }
+    });
+    Object.entries(profile.severityGrades || {}).forEach(([key, cutoffs]) => {
+        if (!Array.isArray(cutoffs) || cutoffs.length !== 3 || cutoffs.some(v => typeof v !== 'number' || isNaN(v))) {
+            problems.push(`severityGrades.${key} must be [moderate, severe, life-threatening] numbers.`);
+        } else if (!(cutoffs[0] < cutoffs[1] && cutoffs[1] < cutoffs[2]) && !(cutoffs[0] > cutoffs[1] && cutoffs[1] > cutoffs[2])) {
+            problems.push(`severityGrades.${key}: cut-offs must all increase or all decrease.`);
+        }
+    });
+    return problems;
+}
+
+/**
+ * Fill any missing ranges/thresholds from the default profile so partial profiles stay usable.
+ */
+export function normalizeProfile(profile) {
+    const mergeGroups = (defaults, groups = {}) => Object.entries(groups).reduce((acc, [key, ranges]) => {
+        acc[key] = { ...defaults[key], ...ranges };
+        return acc;
+    }, { ...defaults });
+    return {
+        ...profile,
+        schemaVersion: PROFILE_SCHEMA_VERSION,
+        ranges: { ...defaultProfile.ranges, ...profile.ranges },
+        sampleTypeRanges: mergeGroups(defaultProfile.sampleTypeRanges, profile.sampleTypeRanges),
+        patientCategoryRanges: mergeGroups(defaultProfile.patientCategoryRanges, profile.patientCategoryRanges),
+        thresholds: { ...defaultProfile.thresholds, ...profile.thresholds },
+        criticalValues: { ...defaultProfile.criticalValues, ...profile.criticalValues },
+        severityGrades: { ...defaultProfile.severityGrades, ...profile.severityGrades }
+    };
+}
+
+/**
+ * Load all saved profiles; the default profile is always first and cannot be overwritten.
+ */
+export function loadProfiles() {
+    let saved = [];
+    try {
+        saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch (error) {
+        console.error("Could not read saved reference profiles:", error);
+    }
+    const custom = Array.isArray(saved)
+        ? saved.filter(profile => profile?.id !== defaultProfile.id && validateProfile(profile).length === 0).map(normalizeProfile)
+        : [];
+    return [defaultProfile, ...custom];
+}
+
+export function saveProfiles(profiles) {
+    const custom = profiles.filter(profile => profile.id !== defaultProfile.id);
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(custom));
+}
+
+export function getActiveProfileId() {
+    return localStorage.getItem(ACTIVE_KEY) || defaultProfile.id;
+}
+
+export function setActiveProfileId(id) {
+    localStorage.setItem(ACTIVE_KEY, id);
+}
+
+/**
+ * Parse and validate profile JSON text (e.g. from an imported file).
+ * @throws {Error} When the JSON is malformed or the profile is invalid.
+ */
+export function parseProfileJson(text) {
+    let profile;
+    try {
+        profile = JSON.parse(text);
+    } catch (error) {
+        throw new Error(`Profile is not valid JSON: ${error.message}`);
+    }
+    const problems = validateProfile(profile);
+    if (problems.length > 0) {
+        throw new Error(`Invalid profile: ${problems.join(' ')}`);
+    }
+    return normalizeProfile(profile);
+}
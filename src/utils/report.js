@@ -0,0 +1,439 @@
+/**
+ * ABG Analyzer - Report Templates
+ * Builds the report of an analysis as a standalone HTML document. A template picks the sections to include;
+ * institution branding, patient and sample identifiers and clinician sign-off fields fill the header and
+ * footer. The same document is printed and rendered to PDF (reportOutput.js), so both outputs are identical.
+ */
+
+import { getReferenceRanges } from './sampleTypes';
+import { defaultProfile, formatRangeLabel } from './referenceProfiles';
+import { formatMeasurement, fromCanonical, convertRangeLabel, getCanonicalUnit, unitDefinitions } from './units';
+import {
+    getStepTitle, renderStep, renderInterpretation, severityLabel, disorderTitle, renderCriticalAlert, acidBaseBandLabel, renderAcidBaseBand, renderAcidBasePoint,
+    sampleLabel, patientLabel, strategyLabel, temperatureValues, standardBaseExcess, formatConversion, analysisNote, renderSectionReason, qualityWarningTitle,
+    qualityWarningExplanation, renderQualityEvidence, differentialCategoryLabel, causeName, renderDifferentialNote, renderCauseEvidence, renderCrisisCriterion,
+    renderCrisisFinding, renderStewartFinding, baseExcessComponentLabel, renderBaseExcessFinding, renderOxygenationFinding, renderOxygenationAssumption,
+    renderCordGasCheck, renderCordGasFinding
+} from './resultRenderer';
+import { layoutAcidBaseMap, bandColors } from './acidBaseMap';
+import { t, formatNumber, localizeNumbers, getLanguage, getDirection, getLocale } from './i18n';
+
+const SETTINGS_KEY = 'abg-report-settings';
+export const MAX_LOGO_BYTES = 300 * 1024; // Logos are kept in localStorage as data URLs
+
+/**
+ * Report templates: the sections printed between the header and the footer, in order.
+ */
+export const reportTemplates = {
+    full: {
+        sections: ['criticalValues', 'context', 'inputValues', 'sampleQuality', 'interpretation', 'acidBaseMap', 'cordGas', 'steps',
+            'hyperglycemicCrisis', 'differentials', 'stewart', 'oxygenation', 'baseExcess', 'signOff']
+    },
+    summary: {
+        sections: ['criticalValues', 'context', 'inputValues', 'interpretation', 'acidBaseMap', 'signOff']
+    },
+    cord: {
+        sections: ['criticalValues', 'context', 'inputValues', 'cordGas', 'interpretation', 'acidBaseMap', 'steps', 'signOff']
+    }
+};
+
+const defaultSettings = {
+    template: 'full',
+    branding: { institution: '', department: '', logo: '' },
+    signOff: { reportedBy: '' }
+};
+
+/**
+ * Load the saved report settings: default template, institution branding and the reporting clinician.
+ * Patient identifiers are never saved.
+ */
+export function loadReportSettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+        return {
+            template: reportTemplates[saved.template] ? saved.template : defaultSettings.template,
+            branding: { ...defaultSettings.branding, ...saved.branding },
+            signOff: { ...defaultSettings.signOff, ...saved.signOff }
+        };
+    } catch (error) {
+        console.error("Could not read the report settings:", error);
+        return defaultSettings;
+    }
+}
+
+export function saveReportSettings(settings) {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// Everything but the template's own markup is escaped: user-entered fields, but also analysis text, which carries
+// names from imported reference profiles and locally registered rules
+export const escapeHtml = (text) => String(text ?? '').replace(/[&<>"']/g, char => (
+    { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[char]
+));
+
+// A filled-in field, or a blank line to complete by hand
+const fieldValue = (value) => (value ? escapeHtml(value) : '<span class="blank"></span>');
+
+const formatDateTime = (value) => {
+    const date = value ? new Date(value) : null;
+    return date && !isNaN(date) ? date.toLocaleString(getLocale(), { dateStyle: 'medium', timeStyle: 'short' }) : '';
+};
+
+// Static SVG of the acid-base map for the report (AcidBaseMap.jsx draws the interactive one)
+const acidBaseMapSvg = (map, units = {}) => {
+    const layout = layoutAcidBaseMap(map);
+    const { plot, point, normal } = layout;
+    return `
+       <svg viewBox="0 0 ${layout.width} ${layout.height}" width="${layout.width}" height="${layout.height}" dir="ltr" font-size="10" xmlns="http://www.w3.org/2000/svg">
+           <defs><clipPath id="acid-base-map-plot"><rect x="${plot.x}" y="${plot.y}" width="${plot.width}" height="${plot.height}" /></clipPath></defs>
+           <rect x="${plot.x}" y="${plot.y}" width="${plot.width}" height="${plot.height}" fill="none" stroke="#6c757d" />
+           ${layout.ticks.ph.map(tick => `<line x1="${tick.x}" x2="${tick.x}" y1="${plot.y}" y2="${plot.y + plot.height}" stroke="#e9ecef" /><text x="${tick.x}" y="${plot.y + plot.height + 16}" text-anchor="middle">${formatNumber(tick.value, 1)}</text>`).join('')}
+           ${layout.ticks.hco3.map(tick => `<line x1="${plot.x}" x2="${plot.x + plot.width}" y1="${tick.y}" y2="${tick.y}" stroke="#e9ecef" /><text x="${plot.x - 6}" y="${tick.y + 4}" text-anchor="end">${formatNumber(tick.value)}</text>`).join('')}
+           <g clip-path="url(#acid-base-map-plot)">
+               ${layout.isopleths.map(isopleth => `<path d="${isopleth.path}" fill="none" stroke="#adb5bd" stroke-dasharray="4 3" />`).join('')}
+               ${layout.bands.map(band => `<path d="${band.path}" fill="${bandColors[band.key]}" fill-opacity="0.25" stroke="${bandColors[band.key]}"><title>${escapeHtml(acidBaseBandLabel(band.key))}</title></path>`).join('')}
+               <rect x="${normal.x}" y="${normal.y}" width="${normal.width}" height="${normal.height}" fill="#6c757d" fill-opacity="0.15" stroke="#343a40" stroke-dasharray="3 2" />
+           </g>
+           ${layout.isopleths.map(isopleth => `<text x="${isopleth.label.x}" y="${isopleth.label.y}" text-anchor="end" fill="#6c757d">${formatMeasurement('paco2', isopleth.paco2, units.paco2)}</text>`).join('')}
+           <circle cx="${point.x}" cy="${point.y}" r="6" fill="#1a3b5d" stroke="#fff" stroke-width="2" />
+           <text x="${plot.x + plot.width / 2}" y="${layout.height - 6}" text-anchor="middle">${t('acidBaseMap.axisPh')}</text>
+           <text transform="translate(14 ${plot.y + plot.height / 2}) rotate(-90)" text-anchor="middle">${t('acidBaseMap.axisHco3')}</text>
+       </svg>`;
+};
+
+// Values shared by the section renderers of one report
+function reportContext(results, options) {
+    const inputValues = results.inputValues || {};
+    const sampleInfo = results.sampleInfo || { sampleType: 'arterial', label: 'Arterial', estimated: false, conversions: [] };
+    // Normal ranges come from the reference profile the analysis was run with
+    const profile = results.referenceProfile || defaultProfile;
+    const patientInfo = results.patientInfo || { category: 'adult', pediatric: false, cordGas: false, adjustedSteps: [], notes: [] };
+    const cordVenousRanges = profile.sampleTypeRanges?.umbilicalVenous || {};
+    const ranges = {
+        ...profile.ranges,
+        ...getReferenceRanges(sampleInfo.sampleType, profile, patientInfo.category),
+        uvph: cordVenousRanges.ph, uvpco2: cordVenousRanges.paco2, uvhco3: cordVenousRanges.hco3
+    };
+    const units = results.displayUnits || {};
+
+    const createRow = (label, value, unit = '', range = '') => {
+        if (value === undefined || value === null || (typeof value === 'number' && isNaN(value))) return ''; // Check if value is valid number
+        const display = typeof value === 'number' ? formatNumber(value) : value;
+        return `<tr><td>${escapeHtml(label)}</td><td>${escapeHtml(display)}${unit ? ' ' + escapeHtml(unit) : ''}</td><td>${escapeHtml(localizeNumbers(range))}</td></tr>`;
+    };
+
+    // Row for a canonical input value, rendered in the user's unit for that field
+    const createInputRow = (label, field, unit = '', range = '') => {
+        const value = inputValues[field];
+        const displayUnit = units[field];
+        if (!displayUnit || displayUnit === getCanonicalUnit(field) || value === undefined || isNaN(value)) {
+            return createRow(label, value, unit, range);
+        }
+        const converted = formatNumber(fromCanonical(field, value, displayUnit), unitDefinitions[field][displayUnit].decimals);
+        return createRow(label, converted, displayUnit, convertRangeLabel(field, range, displayUnit));
+    };
+
+    return {
+        ...options,
+        analysis: results,
+        inputValues,
+        sampleInfo,
+        profile,
+        patientInfo,
+        units,
+        formatRange: (field) => formatRangeLabel(ranges[field]),
+        fmt: (field, value, decimals) => formatMeasurement(field, value, units[field], decimals),
+        // Marks steps interpreted with age-specific ranges and compensation rules
+        stepTitle: (step, title) => `${escapeHtml(title)}${patientInfo.adjustedSteps.includes(step) ? ` <em>(${t(patientInfo.cordGas ? 'print.rangeSuffix.cord' : 'print.rangeSuffix.pediatric')})</em>` : ''}`,
+        createRow,
+        createInputRow
+    };
+}
+
+/**
+ * Section renderers: report context → HTML (empty when the analysis has nothing for the section).
+ */
+export const reportSections = {
+    header: ({ branding = {}, identifiers = {} }) => `
+           <div class="report-header">
+               ${branding.logo ? `<img class="report-logo" src="${escapeHtml(branding.logo)}" alt="" />` : ''}
+               <div>
+                   ${branding.institution ? `<p class="report-institution">${escapeHtml(branding.institution)}</p>` : ''}
+                   ${branding.department ? `<p>${escapeHtml(branding.department)}</p>` : ''}
+               </div>
+           </div>
+           <h1>${t('print.title')}</h1>
+           <table class="report-identifiers">
+               <tbody>
+                   <tr><th>${t('report.patientName')}</th><td>${fieldValue(identifiers.patientName)}</td><th>${t('report.patientId')}</th><td>${fieldValue(identifiers.patientId)}</td></tr>
+                   <tr><th>${t('report.sampleId')}</th><td>${fieldValue(identifiers.sampleId)}</td><th>${t('report.collectedAt')}</th><td>${fieldValue(formatDateTime(identifiers.collectedAt))}</td></tr>
+               </tbody>
+           </table>`,
+
+    criticalValues: ({ analysis, units }) => (analysis.severity?.alerts.length > 0 ? `
+           <div class="critical-box">
+               <h2>⚠ ${t('print.criticalValues')}</h2>
+               <ul>${analysis.severity.alerts.map(alert => `<li><strong>${escapeHtml(renderCriticalAlert(alert, units))}</strong></li>`).join('')}</ul>
+           </div>` : ''),
+
+    context: ({ analysis, profile, patientInfo, sampleInfo, units, fmt }) => `
+           <div class="section">
+               <p><strong>${t('print.profile')}</strong> ${escapeHtml(profile.name)}</p>
+               <p><strong>${t('print.patientCategory')}</strong> ${escapeHtml(patientLabel(patientInfo))}${patientInfo.pediatric ? t('print.pediatricSpecific') : ''}</p>
+               ${patientInfo.notes.map(note => `<p><em>${escapeHtml(analysisNote(note))}</em></p>`).join('')}
+               ${analysis.temperature?.performed ? `
+               <p><strong>${t('print.temperature')}</strong> ${escapeHtml(t('print.temperatureStrategy', { temperature: formatNumber(analysis.temperature.temperature, 1), strategy: strategyLabel(analysis.temperature), values: temperatureValues(analysis.temperature) }))}</p>
+               <p><em>${t('print.atTemperature', { temperature: formatNumber(analysis.temperature.temperature, 1) })} pH ${formatNumber(analysis.temperature.correctedValues.ph, 2)}, PaCO₂ ${escapeHtml(fmt('paco2', analysis.temperature.correctedValues.paco2))}${analysis.temperature.correctedValues.pao2 !== undefined ? `, PaO₂ ${escapeHtml(fmt('pao2', analysis.temperature.correctedValues.pao2))}` : ''}</em></p>` : ''}
+               <p><strong>${t('print.sampleType')}</strong> ${escapeHtml(sampleLabel(sampleInfo))}${sampleInfo.estimated ? t('print.estimatedAnalysis') : ''}</p>
+               ${sampleInfo.estimated ? `
+               <div class="interpretation-box">
+                   <p>${escapeHtml(t('print.estimatedValues', { values: sampleInfo.conversions.map(conversion => formatConversion(conversion, units)).join('; ') }))}</p>
+               </div>
+               ${sampleInfo.notes.map(note => `<p><em>${escapeHtml(analysisNote(note))}</em></p>`).join('')}` : ''}
+           </div>`,
+
+    inputValues: ({ inputValues, formatRange, createRow, createInputRow }) => (Object.keys(inputValues).length > 0 ? `
+           <div class="section">
+               <h2>${t('print.inputValues')}</h2>
+               <table>
+                   <thead><tr><th>${t('print.parameter')}</th><th>${t('print.value')}</th><th>${t('print.normalRange')}</th></tr></thead>
+                   <tbody>
+                       ${createRow('pH', inputValues.ph, '', formatRange('ph'))}
+                       ${createInputRow('PaCO₂', 'paco2', 'mmHg', formatRange('paco2'))}
+                       ${createRow('HCO₃⁻', inputValues.hco3, 'mmol/L', formatRange('hco3'))}
+                       ${createInputRow('PaO₂', 'pao2', 'mmHg', formatRange('pao2'))}
+                       ${createRow('Na⁺', inputValues.na, 'mmol/L', formatRange('na'))}
+                       ${createRow('Cl⁻', inputValues.cl, 'mmol/L', formatRange('cl'))}
+                       ${createRow(t('print.rows.baseExcess'), inputValues.be, 'mmol/L', formatRange('be'))}
+                       ${createRow('SaO₂', inputValues.sao2, '%', formatRange('sao2'))}
+                       ${createRow('K⁺', inputValues.k, 'mmol/L', formatRange('k'))}
+                       ${createInputRow(t('print.rows.albumin'), 'albumin', 'g/dL', formatRange('albumin'))}
+                       ${createInputRow(t('print.rows.lactate'), 'lactate', 'mmol/L', formatRange('lactate'))}
+                       ${createInputRow(t('print.rows.bhb'), 'bhb', 'mmol/L', formatRange('bhb'))}
+                       ${createInputRow(t('print.rows.ca'), 'ca', 'mmol/L', formatRange('ca'))}
+                       ${createInputRow(t('print.rows.mg'), 'mg', 'mmol/L', formatRange('mg'))}
+                       ${createInputRow(t('print.rows.phosphate'), 'phosphate', 'mmol/L', formatRange('phosphate'))}
+                       ${createRow('SpO₂', inputValues.spo2, '%', formatRange('spo2'))}
+                       ${createRow('FiO₂', inputValues.fio2, '%', t('print.rows.fio2Normal'))}
+                       ${createInputRow(t('print.rows.patm'), 'patm', 'mmHg', t('print.rows.patmNormal'))}
+                       ${createRow(t('print.rows.age'), inputValues.age, t('print.rows.ageUnit'))}
+                       ${createRow(t('print.rows.temperature'), inputValues.temperature, '°C', '37')}
+                       ${createRow(t('print.rows.rq'), inputValues.rq, '', '0.8')}
+                       ${createRow(t('print.rows.sosm'), inputValues.sosm, 'mOsm/kg', formatRange('sosm'))}
+                       ${createInputRow(t('print.rows.glucose'), 'glucose', 'mg/dL', formatRange('glucose'))}
+                       ${createInputRow(t('print.rows.bun'), 'bun', 'mg/dL', formatRange('bun'))}
+                       ${createInputRow(t('print.rows.ethanol'), 'ethanol', 'mg/dL', '0')}
+                       ${createRow(t('print.rows.una'), inputValues.una, 'mmol/L')}
+                       ${createRow(t('print.rows.uk'), inputValues.uk, 'mmol/L')}
+                       ${createRow(t('print.rows.ucl'), inputValues.ucl, 'mmol/L')}
+                       ${createRow(t('print.rows.uosm'), inputValues.uosm, 'mOsm/kg')}
+                       ${createInputRow(t('print.rows.uun'), 'uun', 'mg/dL')}
+                       ${createRow(t('print.rows.uvph'), inputValues.uvph, '', formatRange('uvph'))}
+                       ${createInputRow(t('print.rows.uvpco2'), 'uvpco2', 'mmHg', formatRange('uvpco2'))}
+                       ${createRow(t('print.rows.uvhco3'), inputValues.uvhco3, 'mmol/L', formatRange('uvhco3'))}
+                       ${createRow(t('print.rows.uvbe'), inputValues.uvbe, 'mmol/L')}
+                   </tbody>
+               </table>
+           </div>` : ''),
+
+    sampleQuality: ({ analysis, units }) => (analysis.sampleQuality?.warnings.length > 0 ? `
+           <div class="section">
+               <h2>${t('print.qualityWarnings')}</h2>
+               ${analysis.sampleQuality.warnings.map(warning => `
+               <div class="step"><h3>⚠ ${escapeHtml(qualityWarningTitle(warning))}</h3>
+                   <ul>${warning.evidence.map(item => `<li>${escapeHtml(renderQualityEvidence(item, units))}</li>`).join('')}</ul>
+                   <p><em>${escapeHtml(qualityWarningExplanation(warning))}</em></p>
+               </div>`).join('')}
+           </div>` : ''),
+
+    interpretation: ({ analysis }) => `
+           <div class="section">
+               <h2>${t('results.finalInterpretation')}</h2>
+               <div class="interpretation-box">
+                   <p>${escapeHtml(renderInterpretation(analysis.interpretation))}</p>
+               </div>
+               ${analysis.severity?.disorders.length > 0 ? `
+               <p><strong>${t('severity.title')}</strong></p>
+               <ul>${analysis.severity.disorders.map(disorder => `<li>${escapeHtml(disorderTitle(disorder.code))} — ${escapeHtml(severityLabel(disorder.severity))}</li>`).join('')}</ul>` : ''}
+           </div>`,
+
+    acidBaseMap: ({ analysis, units }) => (analysis.acidBaseMap?.performed ? `
+           <div class="section acid-base-map">
+               <h2>${t('acidBaseMap.title')}</h2>
+               ${acidBaseMapSvg(analysis.acidBaseMap, units)}
+               <p><strong>${escapeHtml(renderAcidBasePoint(analysis.acidBaseMap))}</strong></p>
+               <ul>${['normal', ...analysis.acidBaseMap.bands.map(band => band.key)].map(key => `<li><span class="swatch" style="background-color: ${bandColors[key] || '#6c757d'}"></span><strong>${escapeHtml(acidBaseBandLabel(key))}:</strong> ${escapeHtml(renderAcidBaseBand(key, analysis.acidBaseMap))}</li>`).join('')}</ul>
+           </div>` : ''),
+
+    cordGas: ({ analysis, units, fmt }) => {
+        const cordGas = analysis.cordGas;
+        return cordGas?.performed ? `
+           <div class="section">
+               <h2>${t('results.cordGas')}</h2>
+               <table>
+                   <thead><tr><th>${t('print.parameter')}</th><th>${t('results.arterial')}</th><th>${t('results.venous')}</th></tr></thead>
+                   <tbody>
+                       <tr><td>pH</td><td>${formatNumber(cordGas.arterial.ph, 2)}</td><td>${cordGas.venous ? formatNumber(cordGas.venous.ph, 2) : '—'}</td></tr>
+                       <tr><td>PCO₂</td><td>${escapeHtml(fmt('paco2', cordGas.arterial.pco2))}</td><td>${cordGas.venous ? escapeHtml(fmt('uvpco2', cordGas.venous.pco2)) : '—'}</td></tr>
+                       <tr><td>HCO₃⁻</td><td>${formatNumber(cordGas.arterial.hco3, 1)} mmol/L</td><td>${cordGas.venous ? `${formatNumber(cordGas.venous.hco3, 1)} mmol/L` : '—'}</td></tr>
+                       <tr><td>${t('results.baseDeficit')}</td><td>${formatNumber(cordGas.arterial.baseDeficit, 1)} mmol/L</td><td>${cordGas.venous ? `${formatNumber(cordGas.venous.baseDeficit, 1)} mmol/L` : '—'}</td></tr>
+                   </tbody>
+               </table>
+               <p><strong>${t(`results.cord.${cordGas.classification}`)}${cordGas.severe ? t('results.asphyxia') : ''}</strong></p>
+               ${cordGas.findings.map(finding => `<div class="step"><p>${escapeHtml(renderCordGasFinding(finding, units))}</p></div>`).join('')}
+               <h3>${t(cordGas.validity.valid === false ? 'results.sampleValidityFailed' : 'results.sampleValidity')}</h3>
+               <ul>${cordGas.validity.checks.map(check => `<li>${check.passed ? '✓' : '✗'} ${escapeHtml(renderCordGasCheck(check, units))}</li>`).join('')}</ul>
+           </div>` : '';
+    },
+
+    steps: ({ analysis, units, stepTitle }) => `
+           <div class="section">
+               <h2>${t('results.steps')}</h2>
+               ${(analysis.steps || []).map(step => `<div class="step"><h3>${stepTitle(step.id, getStepTitle(step))}</h3><p>${escapeHtml(renderStep(step, units))}</p></div>`).join('')}
+           </div>`,
+
+    hyperglycemicCrisis: ({ analysis, units }) => (analysis.hyperglycemicCrisis?.performed ? `
+           <div class="section">
+               <h2>${t('results.hyperglycemicCrisis')}</h2>
+               ${analysis.hyperglycemicCrisis.findings.map(finding => `<div class="step"><p>${escapeHtml(renderCrisisFinding(finding, units))}</p></div>`).join('')}
+               <ul>${analysis.hyperglycemicCrisis.criteria.map(criterion => `<li>${criterion.met ? '✓' : '✗'} ${escapeHtml(renderCrisisCriterion(criterion, units))}</li>`).join('')}</ul>
+           </div>` : ''),
+
+    differentials: ({ analysis, units }) => (analysis.differentials?.length > 0 ? `
+           <div class="section">
+               <h2>${t('results.differentials')}</h2>
+               ${analysis.differentials.map(category => `
+               <div class="step"><h3>${escapeHtml(differentialCategoryLabel(category))}</h3>
+                   ${category.note ? `<p><em>${escapeHtml(renderDifferentialNote(category.note))}</em></p>` : ''}
+                   <ol>${category.causes.map(cause => `<li>${escapeHtml(causeName(cause))}${cause.evidence.length > 0 ? ` <em>(${escapeHtml(cause.evidence.map(item => renderCauseEvidence(item, units)).join('; '))})</em>` : ''}</li>`).join('')}</ol>
+               </div>`).join('')}
+           </div>` : ''),
+
+    stewart: ({ analysis, units, createRow }) => (analysis.stewart?.performed ? `
+           <div class="section">
+               <h2>${t('results.stewart')}</h2>
+               <table>
+                   <thead><tr><th>${t('print.parameter')}</th><th>${t('print.value')}</th><th>${t('print.normalRange')}</th></tr></thead>
+                   <tbody>
+                       ${createRow(t('results.sidApparent'), formatNumber(analysis.stewart.sidApparent, 1), 'mEq/L', '38-44')}
+                       ${createRow(t('results.sidEffective'), formatNumber(analysis.stewart.sidEffective, 1), 'mEq/L', '38-44')}
+                       ${createRow(t('results.atot'), formatNumber(analysis.stewart.atot.total, 1), 'mEq/L', '')}
+                       ${createRow(t('results.sig'), formatNumber(analysis.stewart.sig, 1), 'mEq/L', '0-2')}
+                   </tbody>
+               </table>
+               ${analysis.stewart.findings.map(finding => `<div class="step"><p>${escapeHtml(renderStewartFinding(finding, units))}</p></div>`).join('')}
+           </div>` : ''),
+
+    oxygenation: ({ analysis, units, fmt, createRow }) => (analysis.oxygenation?.performed ? `
+           <div class="section">
+               <h2>${t('results.oxygenation')}</h2>
+               <table>
+                   <thead><tr><th>${t('print.parameter')}</th><th>${t('print.value')}</th><th>${t('print.reference')}</th></tr></thead>
+                   <tbody>
+                       ${createRow(t('results.alveolarPo2'), fmt('pao2', analysis.oxygenation.alveolarPo2))}
+                       ${createRow(t('results.aaGradient'), fmt('pao2', analysis.oxygenation.aaGradient), '', t('results.aaGradientReference', { expected: fmt('pao2', analysis.oxygenation.expectedAaGradient) }))}
+                       ${createRow(t('results.pfRatio'), fmt('pao2', analysis.oxygenation.pfRatio, 0), '', `> ${fmt('pao2', 300, 0)}`)}
+                   </tbody>
+               </table>
+               ${analysis.oxygenation.findings.map(finding => `<div class="step"><p>${escapeHtml(renderOxygenationFinding(finding, units))}</p></div>`).join('')}
+               ${analysis.oxygenation.assumptions.length > 0 ? `<p><em>${escapeHtml(analysis.oxygenation.assumptions.map(assumption => renderOxygenationAssumption(assumption, units)).join(' '))}</em></p>` : ''}
+           </div>` : ''),
+
+    baseExcess: ({ analysis, createRow }) => (analysis.baseExcess ? `
+           <div class="section">
+               <h2>${t('results.baseExcessPrint')}</h2>
+               <p>${escapeHtml(standardBaseExcess(analysis.baseExcess))}</p>
+               ${analysis.baseExcess.performed ? `
+               <table>
+                   <thead><tr><th>${t('print.component')}</th><th>${t('print.contribution')}</th><th></th></tr></thead>
+                   <tbody>
+                       ${analysis.baseExcess.components.map(part => createRow(baseExcessComponentLabel(part), formatNumber(part.value, 1), 'mmol/L')).join('')}
+                   </tbody>
+               </table>
+               ${analysis.baseExcess.findings.map(finding => `<div class="step"><p>${escapeHtml(renderBaseExcessFinding(finding))}</p></div>`).join('')}` : `<p>${escapeHtml(renderSectionReason(analysis.baseExcess))}</p>`}
+           </div>` : ''),
+
+    signOff: ({ signOff = {} }) => `
+           <div class="section sign-off">
+               <h2>${t('report.signOff')}</h2>
+               ${signOff.comment ? `<p>${escapeHtml(signOff.comment).replace(/\n/g, '<br>')}</p>` : ''}
+               <table>
+                   <thead><tr><th></th><th>${t('report.name')}</th><th>${t('report.signature')}</th><th>${t('report.dateTime')}</th></tr></thead>
+                   <tbody>
+                       <tr><th>${t('report.reportedBy')}</th><td>${fieldValue(signOff.reportedBy)}</td><td><span class="blank"></span></td><td><span class="blank"></span></td></tr>
+                       <tr><th>${t('report.reviewedBy')}</th><td>${fieldValue(signOff.reviewedBy)}</td><td><span class="blank"></span></td><td><span class="blank"></span></td></tr>
+                   </tbody>
+               </table>
+           </div>`,
+
+    footer: () => `
+           <div class="footer">
+               ${t('print.generatedOn', { date: new Date().toLocaleString(getLocale()) })} <br>
+               ${t('print.disclaimer')}
+           </div>`
+};
+
+/**
+ * Render the report of an analysis as a standalone HTML document.
+ * @param {Object} results - Analysis result with its inputValues.
+ * @param {Object} [options]
+ * @param {string} [options.template] - Key of reportTemplates.
+ * @param {Object} [options.branding] - { institution, department, logo (image data URL) }.
+ * @param {Object} [options.identifiers] - { patientName, patientId, sampleId, collectedAt }; blank lines when missing.
+ * @param {Object} [options.signOff] - { reportedBy, reviewedBy, comment }.
+ * @returns {string} HTML document.
+ */
+export function renderReport(results, { template = 'full', branding = {}, identifiers = {}, signOff = {} } = {}) {
+    if (!results || !results.state) return `<p>${t('print.noResults')}</p>`; // Check for state too
+
+    const context = reportContext(results, { branding, identifiers, signOff });
+    const sections = ['header', ...(reportTemplates[template] || reportTemplates.full).sections, 'footer'];
+
+    // Refined Print Styles (copied from original ui-controller.js)
+    return `
+       <!DOCTYPE html>
+       <html lang="${getLanguage()}" dir="${getDirection()}">
+       <head>
+           <meta charset="utf-8">
+           <title>${t('print.documentTitle')}</title>
+           <style>
+               body { font-family: Arial, sans-serif; margin: 25px; line-height: 1.5; font-size: 11pt; background-color: #fff; color: #000; }
+               h1 { font-size: 16pt; text-align: center; margin-bottom: 15px; color: #1a3b5d; }
+               h2 { font-size: 13pt; margin-top: 20px; margin-bottom: 10px; color: #007bff; border-bottom: 1px solid #eee; padding-bottom: 5px;}
+               h3 { font-size: 12pt; color: #1a3b5d; margin-top: 15px; margin-bottom: 5px; }
+               .section { margin-bottom: 20px; }
+               table { border-collapse: collapse; width: 80%; margin-bottom: 15px; margin-inline: auto; }
+               th, td { border: 1px solid #ccc; padding: 6px 8px; text-align: start; font-size: 10pt;}
+               th { background-color: #f2f2f2; font-weight: bold; }
+               .interpretation-box { background-color: #e9ecef; padding: 12px; border-radius: 4px; border-inline-start: 5px solid #1a3b5d; margin-top: 5px; }
+               .interpretation-box p { font-size: 12pt; font-weight: bold; margin: 0; color: #1a3b5d; }
+               .step { margin-bottom: 12px; }
+               .step p { margin-inline-start: 5px; font-size: 10.5pt; padding-inline-start: 10px; border-inline-start: 2px solid #eee; }
+               .acid-base-map svg { display: block; margin-inline: auto; max-width: 100%; height: auto; }
+               .acid-base-map ul { list-style: none; padding-inline-start: 0; font-size: 10pt; }
+               .swatch { display: inline-block; width: 10px; height: 10px; margin-inline-end: 6px; opacity: 0.6; }
+               .critical-box { border: 2px solid #dc3545; background-color: #f8d7da; padding: 8px 12px; border-radius: 4px; margin-bottom: 20px; }
+               .critical-box h2 { color: #dc3545; border-bottom: none; margin-top: 0; }
+               .report-header { display: flex; align-items: center; gap: 15px; border-bottom: 2px solid #1a3b5d; padding-bottom: 10px; }
+               .report-header p { margin: 0; }
+               .report-logo { max-height: 60px; max-width: 200px; }
+               .report-institution { font-size: 13pt; font-weight: bold; color: #1a3b5d; }
+               .report-identifiers { width: 100%; }
+               .sign-off table { width: 100%; }
+               .sign-off td { height: 28px; }
+               .blank { display: inline-block; min-width: 120px; }
+               .footer { margin-top: 40px; font-size: 9pt; color: #6c757d; text-align: center; border-top: 1px solid #ccc; padding-top: 10px; }
+               @media print {
+                   body { margin: 20px; } /* Adjust margins for printing */
+                   .no-print { display: none; } /* Class for elements to hide during print */
+                   a { text-decoration: none; color: inherit; } /* Avoid printing links underlined */
+                   .section, tr, .step { break-inside: avoid; }
+               }
+           </style>
+       </head>
+       <body>
+           ${sections.map(section => reportSections[section](context)).join('')}
+       </body>
+       </html>
+   `;
+}
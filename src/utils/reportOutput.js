@@ -0,0 +1,189 @@
+/**
+ * ABG Analyzer - Report Output
+ * Prints a report document (report.js) through a hidden frame, so pop-up blockers do not interfere, and
+ * renders the same document to an A4 PDF in the browser. The PDF pages are images of the laid-out report
+ * (drawn through an SVG foreignObject), so every script the browser can display — Arabic included — comes
+ * out exactly as printed; the text is not selectable.
+ */
+
+import { t, formatNumber } from './i18n';
+
+// A4 at 96 CSS pixels per inch, and in PDF points
+const PAGE_WIDTH = 794;
+const PAGE_HEIGHT = 1123;
+const PAGE_MARGIN = 38; // 10 mm above and below the content of each page
+const PDF_PAGE_SIZE = [595.28, 841.89];
+const SCALE = 2; // Canvas pixels per CSS pixel
+const JPEG_QUALITY = 0.92;
+
+// Load a document into a new frame; resolves with the frame once it has loaded
+function loadFrame(html, style) {
+    return new Promise((resolve) => {
+        const frame = document.createElement('iframe');
+        frame.setAttribute('aria-hidden', 'true');
+        Object.assign(frame.style, { position: 'fixed', border: '0', ...style });
+        frame.onload = () => resolve(frame);
+        frame.srcdoc = html;
+        document.body.appendChild(frame);
+    });
+}
+
+/**
+ * Open the print dialog for a report document.
+ * @param {string} html - Document from renderReport().
+ */
+export async function printReport(html) {
+    const frame = await loadFrame(html, { insetInlineEnd: '0', bottom: '0', width: '0', height: '0', visibility: 'hidden' });
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+}
+
+/**
+ * Split a document into pages, cutting only where a block starts when possible.
+ * @param {number[]} breaks - Offsets (CSS pixels) where a page may start.
+ * @param {number} totalHeight - Height of the document.
+ * @param {number} pageHeight - Height of the content area of a page.
+ * @returns {Array<Object>} Pages as { top, height }.
+ */
+export function paginate(breaks, totalHeight, pageHeight) {
+    const candidates = [...new Set(breaks)].sort((a, b) => a - b);
+    const pages = [];
+    let top = 0;
+    while (totalHeight - top > pageHeight) {
+        // Latest break that still fills at least a third of the page, else a hard cut
+        const limit = top + pageHeight;
+        const cut = candidates.filter(offset => offset >= top + pageHeight / 3 && offset <= limit).pop() ?? limit;
+        pages.push({ top, height: cut - top });
+        top = cut;
+    }
+    pages.push({ top, height: totalHeight - top });
+    return pages;
+}
+
+const encoder = new TextEncoder();
+
+// PDF text string in UTF-16BE hex, so any title can be stored
+const pdfText = (text) => `<FEFF${[...String(text)].map(char => {
+    const code = char.codePointAt(0);
+    const units = code > 0xffff ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)] : [code];
+    return units.map(unit => unit.toString(16).toUpperCase().padStart(4, '0')).join('');
+}).join('')}>`;
+
+const pdfDate = (date) => `D:${date.toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z`;
+
+/**
+ * Write a PDF with one full-page JPEG per page.
+ * @param {Array<Object>} pages - { jpeg: Uint8Array, width, height } (image size in pixels).
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title.
+ * @param {Date} [options.date] - Creation date.
+ * @returns {Blob} application/pdf
+ */
+export function buildPdf(pages, { title = '', date = new Date() } = {}) {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    write('%PDF-1.4\n');
+    write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a])); // Marks the file as binary
+
+    // 1 catalog, 2 page tree, 3 info, then page, content stream and image for each page
+    const pageId = (index) => 4 + index * 3;
+    const [width, height] = PDF_PAGE_SIZE;
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pages.map((page, index) => `${pageId(index)} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+    object(3, `<< /Title ${pdfText(title)} /Producer (ABG Analyzer) /CreationDate (${pdfDate(date)}) >>`);
+    pages.forEach((page, index) => {
+        const id = pageId(index);
+        const content = encoder.encode(`q ${width} 0 0 ${height} 0 0 cm /Im${index} Do Q`);
+        object(id, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] /Resources << /XObject << /Im${index} ${id + 2} 0 R >> >> /Contents ${id + 1} 0 R >>`);
+        object(id + 1, `<< /Length ${content.length} >>`, content);
+        object(id + 2, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg);
+    });
+
+    const xref = length;
+    const count = pageId(pages.length);
+    write(`xref\n0 ${count}\n0000000000 65535 f \n`);
+    for (let id = 1; id < count; id++) write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    write(`trailer\n<< /Size ${count} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+    return new Blob(chunks, { type: 'application/pdf' });
+}
+
+// Offsets where a page may start: the top of each block, except one right after its heading
+function blockOffsets(doc) {
+    const blocks = doc.body.querySelectorAll('.section, .critical-box, .step, h2, h3, p, li, tr, table, .footer');
+    return [...blocks]
+        .filter(block => !/^H[23]$/.test(block.previousElementSibling?.tagName))
+        .map(block => Math.floor(block.getBoundingClientRect().top + doc.defaultView.scrollY));
+}
+
+// The laid-out document as an image (HTML in an SVG foreignObject)
+function documentImage(doc, width, height) {
+    const markup = new XMLSerializer().serializeToString(doc.documentElement);
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><foreignObject width="100%" height="100%">${markup}</foreignObject></svg>`;
+    return new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('The report could not be drawn.'));
+        image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    });
+}
+
+const canvasJpeg = (canvas) => new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? blob.arrayBuffer().then(buffer => resolve(new Uint8Array(buffer)), reject) : reject(new Error('The page image could not be encoded.'))), 'image/jpeg', JPEG_QUALITY);
+});
+
+/**
+ * Render a report document to an A4 PDF, with a page number at the foot of each page.
+ * @param {string} html - Document from renderReport().
+ * @param {Object} [options]
+ * @param {string} [options.title] - PDF document title.
+ * @returns {Promise<Blob>}
+ */
+export async function renderReportPdf(html, { title = '' } = {}) {
+    const frame = await loadFrame(html, { left: '-10000px', top: '0', width: `${PAGE_WIDTH}px`, height: `${PAGE_HEIGHT}px` });
+    try {
+        const doc = frame.contentDocument;
+        await Promise.all([...doc.images].map(image => image.decode().catch(() => {}))); // Logo
+        const totalHeight = Math.ceil(doc.documentElement.scrollHeight);
+        const contentHeight = PAGE_HEIGHT - 2 * PAGE_MARGIN;
+        const layout = paginate(blockOffsets(doc), totalHeight, contentHeight);
+        const image = await documentImage(doc, PAGE_WIDTH, totalHeight);
+
+        const pages = [];
+        for (const [index, { top, height }] of layout.entries()) {
+            const canvas = document.createElement('canvas');
+            canvas.width = PAGE_WIDTH * SCALE;
+            canvas.height = PAGE_HEIGHT * SCALE;
+            const context = canvas.getContext('2d');
+            context.scale(SCALE, SCALE);
+            context.fillStyle = '#fff';
+            context.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+            context.drawImage(image, 0, top, PAGE_WIDTH, height, 0, PAGE_MARGIN, PAGE_WIDTH, height);
+            context.fillStyle = '#6c757d';
+            context.font = '12px Arial, sans-serif';
+            context.textAlign = 'center';
+            context.fillText(t('report.pageNumber', { page: formatNumber(index + 1), count: formatNumber(layout.length) }), PAGE_WIDTH / 2, PAGE_HEIGHT - PAGE_MARGIN / 2);
+            pages.push({ jpeg: await canvasJpeg(canvas), width: canvas.width, height: canvas.height });
+        }
+        return buildPdf(pages, { title });
+    } finally {
+        frame.remove();
+    }
+}
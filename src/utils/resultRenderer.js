@@ -0,0 +1,600 @@
+/**
+ * ABG Analyzer - Result Renderer
+ * Turns the structured steps and interpretation of an analysis result (resultSchema.js)
+ * into the human-readable text shown on screen and in the printed report.
+ */
+
+import { StepStatus } from './resultSchema';
+import { formatMeasurement, unitDefinitions } from './units';
+import { formatRangeLabel } from './referenceProfiles';
+import { t, formatNumber, getLocale } from './i18n';
+import { trendProcesses } from './trend';
+
+const builtinSteps = ['step1', 'step2', 'step3', 'step4', 'step5', 'step6', 'step7'];
+
+const conversionLabels = { ph: 'pH', paco2: 'PCO₂', hco3: 'HCO₃⁻', pao2: 'PaO₂' };
+
+// Localized labels that the analyzer also returns in English
+export const sampleLabel = (info) => t(`sampleTypes.${info.sampleType}`, null, info.label);
+export const patientLabel = (info) => t(`patientCategories.${info.category}`, null, info.label);
+export const strategyLabel = (temperature) => t(`temperatureStrategies.${temperature.strategy}`, null, temperature.label);
+export const temperatureValues = (temperature) => t(temperature.corrected ? 'results.temperatureCorrected' : 'results.temperatureUncorrected');
+export const standardBaseExcess = (baseExcess) => {
+    const params = { sbe: formatNumber(baseExcess.sbe, 1), source: t(`results.sbeSource.${baseExcess.sbeSource}`) };
+    return baseExcess.sbeSource === 'measured'
+        ? t('results.sbeMeasured', { ...params, calculated: formatNumber(baseExcess.calculatedSbe, 1) })
+        : t('results.sbe', params);
+};
+
+// Format the measured → estimated pairs of a VBG-to-ABG conversion
+export const formatConversion = (conversion, units = {}) => {
+    const format = (value) => {
+        if (conversion.key === 'ph') return formatNumber(value, 2);
+        return unitDefinitions[conversion.key] ? formatMeasurement(conversion.key, value, units[conversion.key]) : formatNumber(value, 1);
+    };
+    const source = conversion.from === 'spo2' ? `SpO₂ ${formatNumber(conversion.measured)}%` : format(conversion.measured);
+    return `${conversionLabels[conversion.key]}: ${source} → ${format(conversion.estimated)}`;
+};
+
+/**
+ * Localized heading of a step; custom rule steps supply their own title.
+ */
+export const getStepTitle = (step) => (builtinSteps.includes(step.id) ? t(`steps.${step.id}`) : step.title || step.id);
+
+/**
+ * Localized name of a pipeline rule; custom rules fall back to their own label.
+ */
+export const ruleLabel = (rule) => t(`rules.${rule.id}`, null, rule.label);
+
+export const disorderLabel = (code) => t(`disorders.${code}`);
+
+// Primary disorders that are a single process (the rest are mixed or compensated patterns)
+const simpleDisorders = ['METABOLIC_ACIDOSIS', 'METABOLIC_ALKALOSIS', 'RESPIRATORY_ACIDOSIS', 'RESPIRATORY_ALKALOSIS'];
+
+export const isSimpleDisorder = (code) => simpleDisorders.includes(code);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+const sentences = (...parts) => parts.filter(Boolean).join(' ');
+const joinAnd = (items) => items.join(` ${t('common.and')} `);
+
+// Skipped / not applicable messages shared by several steps (status.* messages)
+const statusCodes = [
+    'HCO3_ZERO', 'CORD_SAMPLE', 'NO_SINGLE_PRIMARY_DISORDER', 'FULL_COMPENSATION', 'UNKNOWN_PRIMARY_DISORDER', 'INVALID_ELECTROLYTES',
+    'ELECTROLYTES_MISSING', 'INVALID_INPUT', 'ANION_GAP_NOT_ELEVATED', 'NOT_METABOLIC_ACIDOSIS', 'ANION_GAP_UNAVAILABLE', 'NO_METABOLIC_ACIDOSIS'
+];
+
+/**
+ * Render one step of a structured result as text in the active language (see i18n.js).
+ * @param {Object} step - Step object (resultSchema.js).
+ * @param {Object} [displayUnits] - Field → unit map used to express converted values.
+ */
+export function renderStep(step, displayUnits = {}) {
+    if (!step) return t('common.na');
+    const fmt = (field, value, decimals) => formatMeasurement(field, value, displayUnits[field], decimals);
+    const { values, thresholds, details } = step;
+
+    switch (step.id) {
+        case 'step1': {
+            if (step.status === StepStatus.ERROR) break;
+            return sentences(t(`step1.${step.code}`), t('step1.hydrogen', {
+                measured: formatNumber(values.measuredH.value, 1),
+                calculated: formatNumber(values.calculatedH.value, 1)
+            }));
+        }
+
+        case 'step2': {
+            const ph = formatNumber(values.ph.value, 2);
+            if (step.code === 'ACIDEMIA') return t('step2.ACIDEMIA', { ph, limit: formatNumber(thresholds.ph.low, 2) });
+            if (step.code === 'ALKALEMIA') return t('step2.ALKALEMIA', { ph, limit: formatNumber(thresholds.ph.high, 2) });
+            return t('step2.NORMAL', { ph });
+        }
+
+        case 'step3': {
+            const known = ['RESPIRATORY_ACIDOSIS', 'METABOLIC_ACIDOSIS', 'RESPIRATORY_ALKALOSIS', 'METABOLIC_ALKALOSIS', 'MIXED_ACIDEMIA', 'MIXED_ALKALEMIA',
+                'MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS', 'MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS', 'COMPENSATED', 'NORMAL'];
+            return t(`step3.${known.includes(step.code) ? step.code : 'UNDETERMINED'}`, {
+                paco2: fmt('paco2', values.paco2.value),
+                hco3: formatNumber(values.hco3.value)
+            });
+        }
+
+        case 'step4': {
+            if (step.status !== StepStatus.COMPLETED || step.code === 'FULL_COMPENSATION') break;
+            const { field, formula, tolerance, compensationType } = details;
+            const text = field === 'paco2'
+                ? t('step4.expectedPaco2', {
+                    expected: fmt('paco2', values.expected.value),
+                    tolerance: fmt('paco2', tolerance),
+                    winters: formula === 'WINTERS' ? t('step4.winters') : '',
+                    measured: fmt('paco2', values.measured.value)
+                })
+                : t('step4.expectedHco3', {
+                    type: t(`step4.${compensationType}`, null, capitalize(compensationType)),
+                    expected: formatNumber(values.expected.value, 1),
+                    tolerance: formatNumber(tolerance),
+                    measured: formatNumber(values.measured.value, 1)
+                });
+            // Acute vs chronic taken from serial samples (see ABGAnalyzer.respiratoryTimeCourse)
+            const course = details.timeCourse && t(`step4.timeCourse.${details.timeCourse.basis}`, {
+                hours: formatNumber(details.timeCourse.basis === 'acute_onset' ? details.timeCourse.normalHoursAgo : details.timeCourse.abnormalHours, 0)
+            });
+            return sentences(text, course, t(`step4.${step.code}`, { disorder: disorderLabel(step.disorders[0]) }));
+        }
+
+        case 'step5': {
+            if (step.status !== StepStatus.COMPLETED) break;
+            const albumin = {
+                applied: () => t('step5.albuminApplied', { albumin: fmt('albumin', values.albumin.value), corrected: formatNumber(values.correctedAnionGap.value, 1) }),
+                invalid: () => t('step5.albuminInvalid'),
+                not_needed: () => t('step5.albuminNotNeeded')
+            }[details.albuminCorrection];
+            const elevated = step.code === 'ANION_GAP_ELEVATED';
+            return sentences(
+                t('step5.anionGap', { value: formatNumber(values.anionGap.value, 1), range: formatRangeLabel([thresholds.anionGap.low, thresholds.anionGap.high]) }),
+                albumin?.(),
+                t(`step5.${step.code}`),
+                elevated && details.additionalHagma && t('step5.additionalHagma'),
+                elevated && details.partition && renderAnionGapPartition(details.partition)
+            );
+        }
+
+        case 'step6': {
+            if (step.status !== StepStatus.COMPLETED) break;
+            if (step.code === 'DELTA_HCO3_ZERO') return t('step6.DELTA_HCO3_ZERO');
+            if (step.code === 'DELTA_HCO3_NEGATIVE') return t('step6.DELTA_HCO3_NEGATIVE', { value: formatNumber(values.deltaHco3.value, 1) });
+            const adjusted = details?.basis === 'lactateAdjusted';
+            const limits = adjusted ? thresholds.lactateAdjustedDeltaRatio : thresholds.deltaRatio;
+            const limit = (value) => (adjusted ? formatNumber(value) : formatNumber(value, 1));
+            const code = ['CONCURRENT_NAGMA', 'CONCURRENT_METABOLIC_ALKALOSIS'].includes(step.code) ? step.code : 'PURE_HAGMA';
+            return sentences(
+                t('step6.ratio', { ratio: formatNumber(values.deltaRatio.value, 1), normal: formatNumber(values.normalAnionGap.value, 1) }),
+                adjusted && t('step6.lactateAdjusted', { ratio: formatNumber(values.lactateAdjustedDeltaRatio.value, 2), lactate: formatNumber(values.lactate.value, 1) }),
+                t(`step6.${code}`, {
+                    label: t(adjusted ? 'step6.adjustedRatioLabel' : 'step6.ratioLabel'),
+                    limit: limit(code === 'CONCURRENT_NAGMA' ? limits.low : limits.high),
+                    low: formatNumber(limits.low),
+                    high: formatNumber(limits.high)
+                })
+            );
+        }
+
+        case 'step7': {
+            if (step.status === StepStatus.NOT_APPLICABLE) break;
+            return details.checks.map(check => renderWorkupCheck(check)).join(' ');
+        }
+
+        default:
+            break;
+    }
+    if (statusCodes.includes(step.code)) return t(`status.${step.code}`);
+    return step.text || t('common.na'); // Custom rule steps carry their own text
+}
+
+/**
+ * Render the lactate / ketone / unexplained split of an elevated anion gap (step 5 details.partition).
+ */
+export function renderAnionGapPartition(partition) {
+    const parts = partition.components
+        .map(part => t('partition.part', { label: t(`partition.parts.${part.key}`), value: formatNumber(part.value, 1), share: formatNumber(Math.round(part.share * 100)) }))
+        .join(t('common.listSeparator'));
+    const ketones = partition.code === 'KETOACIDOSIS' || partition.code === 'MIXED_LACTIC_KETOACIDOSIS';
+    return sentences(
+        t('partition.summary', { excess: formatNumber(partition.excess, 1), parts }),
+        t(`partition.${partition.code}`),
+        partition.unexplainedSignificant && t(ketones ? 'partition.unexplainedRemainsKetones' : 'partition.unexplainedRemains'),
+        partition.missing.length > 0 && t('partition.missing', { items: joinAnd(partition.missing.map(key => t(`partition.missing.${key}`))) })
+    );
+}
+
+/**
+ * Render one secondary workup calculation (step 7 details.checks entry).
+ */
+export function renderWorkupCheck(check) {
+    const { values, thresholds } = check;
+    switch (check.key) {
+        case 'osmolarGap': {
+            if (check.status !== StepStatus.COMPLETED) return t('workup.osmolarGap.skipped');
+            return sentences(
+                t('workup.osmolarGap.value', {
+                    gap: formatNumber(values.osmolarGap.value, 1),
+                    measured: formatNumber(values.measuredOsmolality.value, 0),
+                    calculated: formatNumber(values.calculatedOsmolality.value, 1),
+                    ethanol: check.ethanolAdjusted ? t('workup.osmolarGap.ethanolAdjusted') : ''
+                }),
+                t(`workup.osmolarGap.${check.code}`, { limit: formatNumber(thresholds.osmolarGap.high) })
+            );
+        }
+        case 'urineAnionGap': {
+            if (check.status !== StepStatus.COMPLETED) return t('workup.urineAnionGap.skipped');
+            return sentences(
+                t('workup.urineAnionGap.value', { value: formatNumber(values.urineAnionGap.value, 1) }),
+                t(`workup.urineAnionGap.${check.code === 'NEGATIVE' ? 'NEGATIVE' : 'POSITIVE'}`)
+            );
+        }
+        case 'urineOsmolalGap': {
+            if (check.status !== StepStatus.COMPLETED) return t('workup.urineOsmolalGap.skipped');
+            return sentences(
+                t('workup.urineOsmolalGap.value', { gap: formatNumber(values.urineOsmolalGap.value, 1), ammonium: formatNumber(values.estimatedUrineAmmonium.value, 0) }),
+                t(`workup.urineOsmolalGap.${['ADEQUATE', 'LOW'].includes(check.code) ? check.code : 'INDETERMINATE'}`)
+            );
+        }
+        default:
+            return '';
+    }
+}
+
+/**
+ * Render the final interpretation as a sentence.
+ */
+export function renderInterpretation(interpretation) {
+    if (!interpretation) return t('common.na');
+    if (['ERROR', 'UNDETERMINED', 'NORMAL'].includes(interpretation.code)) return t(`interpretation.${interpretation.code}`);
+
+    const { primaryDisorder, compensation, additionalDisorders } = interpretation;
+    const simple = isSimpleDisorder(primaryDisorder);
+    let text = simple ? t('interpretation.primary', { disorder: disorderLabel(primaryDisorder) }) : disorderLabel(primaryDisorder);
+
+    if (simple && compensation === 'complete') {
+        text = t('interpretation.completeCompensation', { text });
+    } else if (compensation === 'expected') {
+        text = t('interpretation.expectedCompensation', { text });
+    }
+    if (additionalDisorders.length > 0) {
+        text = t('interpretation.superimposed', { text, disorders: joinAnd(additionalDisorders.map(disorderLabel)) });
+    }
+    return t('interpretation.sentence', { text: capitalize(text) });
+}
+
+export const severityLabel = (severity) => t(`severity.${severity}`);
+
+// Disorder name as a heading, e.g. "Metabolic acidosis"
+export const disorderTitle = (code) => capitalize(disorderLabel(code));
+
+// Fields without a unit definition (units.js) are formatted here
+const criticalFormats = { ph: { decimals: 2 }, hco3: { unit: 'mmol/L' }, k: { unit: 'mmol/L' }, na: { decimals: 0, unit: 'mmol/L' } };
+
+/**
+ * Render a critical value alert, e.g. "K⁺ 7.1 mmol/L is above the critical limit (6.0 mmol/L)".
+ * @param {Object} alert - { field, direction, value, limit } (see severity.js).
+ * @param {Object} [displayUnits] - Field → unit map.
+ */
+export function renderCriticalAlert(alert, displayUnits = {}) {
+    const { field } = alert;
+    const fmt = (value) => formatFieldValue(field, value, displayUnits);
+    return t(`critical.${alert.direction}`, { field: t(`critical.fields.${field}`), value: fmt(alert.value), limit: fmt(alert.limit) });
+}
+
+// A field value in its display unit, or with the unit of criticalFormats for fields without a unit definition
+const formatFieldValue = (field, value, displayUnits) => {
+    const format = criticalFormats[field] || {};
+    return unitDefinitions[field]
+        ? formatMeasurement(field, value, displayUnits[field], format.decimals)
+        : `${formatNumber(value, format.decimals ?? 1)}${format.unit ? ' ' + format.unit : ''}`;
+};
+
+// Findings, criteria, checks and evidence of the supplementary sections are { code, ...values }. A format table maps
+// each code to its message parameters; results saved before the sections carried codes hold text, shown as is.
+const renderCoded = (prefix, formats, item, displayUnits = {}) => {
+    if (typeof item === 'string') return item;
+    const fmt = (field, value, decimals) => formatMeasurement(field, value, displayUnits[field], decimals);
+    return t(`${prefix}.${item.code}`, formats[item.code]?.(item, fmt));
+};
+
+/**
+ * Text of a note code attached to the sample, patient or temperature information (e.g. 'CORD_RANGES').
+ */
+export const analysisNote = (note) => t(`analysisNotes.${note}`, null, note);
+
+/**
+ * Why a section could not be assessed, e.g. "PaO₂ is required for oxygenation assessment."
+ * @param {Object} section - A section with performed false and a reason code.
+ */
+export function renderSectionReason(section) {
+    if (!section?.reason) return t('common.na');
+    const sample = section.sampleType ? t(`sampleTypes.${section.sampleType}`) : '';
+    return t(`reasons.${section.reason}`, { sample }, section.reason);
+}
+
+// --- Sample quality (sampleQuality.js) ---
+
+export const qualityWarningTitle = (warning) => t(`quality.${warning.code}.title`, null, warning.title);
+export const qualityWarningExplanation = (warning) => t(`quality.${warning.code}.explanation`, null, warning.explanation);
+
+const qualityEvidenceFormats = {
+    ROOM_AIR_PO2: (e, fmt) => ({ pao2: fmt('pao2', e.pao2), paco2: fmt('paco2', e.paco2) }),
+    ABOVE_ALVEOLAR_PO2: (e, fmt) => ({ pao2: fmt('pao2', e.pao2), alveolarPo2: fmt('pao2', e.alveolarPo2), fio2: formatNumber(e.fio2) }),
+    SAO2_MISMATCH: (e, fmt) => ({ sao2: formatNumber(e.sao2), predicted: formatNumber(e.predicted, 0), pao2: fmt('pao2', e.pao2) }),
+    SPO2_MISMATCH: (e, fmt) => ({ pao2: fmt('pao2', e.pao2), predicted: formatNumber(e.predicted, 0), spo2: formatNumber(e.spo2) }),
+    VENOUS_RANGE: (e, fmt) => ({ sao2: formatNumber(e.sao2), pao2: fmt('pao2', e.pao2) }),
+    POTASSIUM_HIGH: (e) => ({ k: formatNumber(e.k, 1), limit: formatNumber(e.limit) }),
+    NO_ACIDEMIA: (e) => ({ ph: formatNumber(e.ph, 2) }),
+    LOW_GLUCOSE: (e, fmt) => ({ glucose: fmt('glucose', e.glucose) }),
+    BASE_EXCESS_MISMATCH: (e) => ({ be: formatNumber(e.be, 1), calculated: formatNumber(e.calculated, 1) })
+};
+
+/**
+ * Render one piece of evidence of a sample quality warning, e.g. "SaO₂ 70% with PaO₂ 38 mmHg is in the venous range".
+ */
+export const renderQualityEvidence = (evidence, displayUnits) => renderCoded('quality.evidence', qualityEvidenceFormats, evidence, displayUnits);
+
+// --- Differential diagnosis (differentialDiagnosis.js) ---
+
+export const differentialCategoryLabel = (category) => t(`differentials.categories.${category.key}`, null, category.label);
+export const causeName = (cause) => (cause.key ? t(`differentials.causes.${cause.key}`) : cause.name);
+
+const differentialEvidenceFormats = {
+    LACTATE_ABOVE: (e, fmt) => ({ lactate: fmt('lactate', e.lactate), limit: fmt('lactate', e.limit) }),
+    GLUCOSE_ABOVE: (e, fmt) => ({ glucose: fmt('glucose', e.glucose), limit: fmt('glucose', e.limit) }),
+    KETOSIS: (e, fmt) => ({ bhb: fmt('bhb', e.bhb), limit: fmt('bhb', e.limit) }),
+    GLUCOSE_NOT_ELEVATED: (e, fmt) => ({ glucose: fmt('glucose', e.glucose) }),
+    KETOSIS_WITHOUT_HYPERGLYCEMIA: (e, fmt) => ({ bhb: fmt('bhb', e.bhb) }),
+    OSMOLAR_GAP_ELEVATED: (e) => ({ gap: formatNumber(e.gap, 1), limit: formatNumber(e.limit) }),
+    BUN_ABOVE: (e, fmt) => ({ bun: fmt('bun', e.bun), limit: fmt('bun', e.limit) }),
+    CONCURRENT_RESPIRATORY_ACIDOSIS: (e, fmt) => ({ paco2: fmt('paco2', e.paco2) }),
+    URINE_ANION_GAP_NEGATIVE: (e) => ({ gap: formatNumber(e.gap, 1) }),
+    URINE_ANION_GAP_POSITIVE: (e) => ({ gap: formatNumber(e.gap, 1) }),
+    URINE_OSMOLAL_GAP_HIGH: (e) => ({ gap: formatNumber(e.gap, 0), limit: formatNumber(e.limit) }),
+    URINE_OSMOLAL_GAP_LOW: (e) => ({ gap: formatNumber(e.gap, 0), limit: formatNumber(e.limit) }),
+    CHLORIDE_ABOVE: (e) => ({ cl: formatNumber(e.cl), limit: formatNumber(e.limit) }),
+    POTASSIUM_LOW: (e) => ({ k: formatNumber(e.k) }),
+    POTASSIUM_HIGH: (e) => ({ k: formatNumber(e.k) }),
+    POTASSIUM_BELOW: (e) => ({ k: formatNumber(e.k), limit: formatNumber(e.limit) }),
+    URINE_CHLORIDE_BELOW: (e) => ({ ucl: formatNumber(e.ucl), limit: formatNumber(e.limit) }),
+    URINE_CHLORIDE_ABOVE: (e) => ({ ucl: formatNumber(e.ucl), limit: formatNumber(e.limit) }),
+    AA_GRADIENT_ELEVATED: (e, fmt) => ({ aaGradient: fmt('pao2', e.aaGradient) }),
+    PAO2_BELOW: (e, fmt) => ({ pao2: fmt('pao2', e.pao2), limit: fmt('pao2', e.limit) }),
+    LOW_BAROMETRIC_PRESSURE: (e, fmt) => ({ patm: fmt('patm', e.patm) }),
+    CONTEXT: (e) => ({ context: t(`context.${e.flag}`) })
+};
+
+/**
+ * Render one piece of evidence supporting a differential cause, e.g. "Lactate 6.2 mmol/L (> 4.0 mmol/L)".
+ */
+export const renderCauseEvidence = (evidence, displayUnits) => renderCoded('differentials.evidence', differentialEvidenceFormats, evidence, displayUnits);
+
+/**
+ * Render the note of a differential category, e.g. "Urine Cl⁻ 12 mmol/L."
+ */
+export const renderDifferentialNote = (note) => renderCoded('differentials.notes', { URINE_CHLORIDE: (n) => ({ ucl: formatNumber(n.ucl) }) }, note);
+
+// --- DKA / HHS (ABGAnalyzer.assessHyperglycemicCrisis) ---
+
+const glucoseLimit = (c, fmt) => ({ glucose: fmt('glucose', c.glucose), limit: fmt('glucose', c.limit) });
+const bhbLimit = (c, fmt) => ({ bhb: fmt('bhb', c.bhb), limit: fmt('bhb', c.limit) });
+const osmolalityLimit = (c) => ({ osmolality: formatNumber(c.osmolality, 0), limit: formatNumber(c.limit) });
+
+const crisisCriterionFormats = {
+    GLUCOSE_ABOVE: glucoseLimit,
+    GLUCOSE_BELOW: glucoseLimit,
+    GLUCOSE_BELOW_DIABETES: glucoseLimit,
+    BHB_ABOVE: bhbLimit,
+    BHB_BELOW: bhbLimit,
+    ACIDOSIS: (c) => ({ ph: formatNumber(c.ph, 2), hco3: formatNumber(c.hco3, 1) }),
+    OSMOLALITY_ABOVE: osmolalityLimit,
+    OSMOLALITY_NOT_ABOVE: osmolalityLimit
+};
+
+const crisisFindingFormats = {
+    DKA_HHS_OVERLAP: (f, fmt) => ({ glucose: fmt('glucose', f.glucose), osmolality: formatNumber(f.osmolality, 0) }),
+    DKA: (f) => ({ severity: severityLabel(f.severity).toLocaleLowerCase(getLocale()) }),
+    HHS: (f, fmt) => ({ glucose: fmt('glucose', f.glucose), osmolality: formatNumber(f.osmolality, 0) })
+};
+
+export const renderCrisisCriterion = (criterion, displayUnits) => renderCoded('crisis.criteria', crisisCriterionFormats, criterion.text ?? criterion, displayUnits);
+export const renderCrisisFinding = (finding, displayUnits) => renderCoded('crisis.findings', crisisFindingFormats, finding, displayUnits);
+
+// --- Stewart analysis (ABGAnalyzer.performStewartAnalysis) ---
+
+const stewartFindingFormats = {
+    LOW_SID: (f) => ({ sid: formatNumber(f.sid, 1) }),
+    HIGH_SID: (f) => ({ sid: formatNumber(f.sid, 1) }),
+    HYPERCHLOREMIA: (f) => ({ chloride: formatNumber(f.chloride, 1) }),
+    HYPOALBUMINEMIA: (f, fmt) => ({ albumin: fmt('albumin', f.albumin) }),
+    SIG_ELEVATED: (f) => ({ sig: formatNumber(f.sig, 1) }),
+    SIG_NEGATIVE: (f) => ({ sig: formatNumber(f.sig, 1) }),
+    IONS_OMITTED: (f) => ({ ions: f.ions.map(key => t(`stewart.ions.${key}`)).join(t('common.listSeparator')) })
+};
+
+export const renderStewartFinding = (finding, displayUnits) => renderCoded('stewart.findings', stewartFindingFormats, finding, displayUnits);
+
+// --- Partitioned base excess (ABGAnalyzer.partitionBaseExcess) ---
+
+export const baseExcessComponentLabel = (part) => t(`baseExcess.components.${part.key}`, null, part.label);
+
+// Acidifying parts are negative; alkalinizing parts are shown with their sign
+const signedValue = (f) => ({ value: `${f.value > 0 ? '+' : ''}${formatNumber(f.value, 1)}` });
+const baseExcessFindingFormats = Object.fromEntries([
+    'FREE_WATER_EXCESS', 'FREE_WATER_DEFICIT', 'HYPERCHLOREMIC_ACIDOSIS', 'HYPOCHLOREMIC_ALKALOSIS', 'HYPERALBUMINEMIC_ACIDOSIS',
+    'HYPOALBUMINEMIC_ALKALOSIS', 'LACTIC_ACIDOSIS', 'UNMEASURED_ANIONS', 'UNMEASURED_CATIONS'
+].map(code => [code, signedValue]));
+
+export const renderBaseExcessFinding = (finding) => renderCoded('baseExcess.findings', baseExcessFindingFormats, finding);
+
+// --- Oxygenation (ABGAnalyzer.assessOxygenation) ---
+
+const pfRatio = (f, fmt) => ({ pfRatio: fmt('pao2', f.pfRatio, 0), limit: f.limit !== undefined ? fmt('pao2', f.limit, 0) : '' });
+
+const oxygenationFindingFormats = {
+    AA_GRADIENT_ELEVATED: (f, fmt) => ({ aaGradient: fmt('pao2', f.aaGradient), expected: fmt('pao2', f.expected) }),
+    AA_GRADIENT_NORMAL: (f, fmt) => ({ aaGradient: fmt('pao2', f.aaGradient), expected: fmt('pao2', f.expected) }),
+    ARDS_MILD: pfRatio,
+    ARDS_MODERATE: pfRatio,
+    ARDS_SEVERE: pfRatio,
+    PF_RATIO_NORMAL: pfRatio,
+    TYPE_1: (f, fmt) => ({ limit: fmt('pao2', f.limit) }),
+    TYPE_1_HYPERCAPNIA: (f, fmt) => ({ limit: fmt('pao2', f.limit) }),
+    HYPERCAPNIA: (f, fmt) => ({ paco2: fmt('paco2', f.paco2), limit: fmt('paco2', f.limit) }),
+    HYPERCAPNIA_ISOLATED: (f, fmt) => ({ paco2: fmt('paco2', f.paco2), limit: fmt('paco2', f.limit) })
+};
+
+/**
+ * Render one oxygenation finding, e.g. "Type 1 (hypoxemic) respiratory failure: PaO₂ < 60 mmHg with normal or low PaCO₂."
+ */
+export function renderOxygenationFinding(finding, displayUnits = {}) {
+    if (finding.code !== 'TYPE_2') return renderCoded('oxygenation.findings', oxygenationFindingFormats, finding, displayUnits);
+    const criteria = ['acidemia', 'hypoxemia'].filter(key => finding[key]).map(key => t(`oxygenation.criteria.${key}`));
+    return sentences(
+        t('oxygenation.findings.TYPE_2', { limit: formatMeasurement('paco2', finding.limit, displayUnits.paco2), criteria: joinAnd(criteria) }),
+        finding.pureHypoventilation && t('oxygenation.findings.PURE_HYPOVENTILATION')
+    );
+}
+
+const oxygenationAssumptionFormats = {
+    DEFAULT_VALUE: (a, fmt) => ({
+        field: t(`oxygenation.defaults.${a.field}`),
+        value: a.field === 'patm' ? fmt('patm', a.value) : formatNumber(a.value)
+    }),
+    AGE_MISSING: (a, fmt) => ({ limit: fmt('pao2', a.limit) })
+};
+
+export const renderOxygenationAssumption = (assumption, displayUnits) => renderCoded('oxygenation.assumptions', oxygenationAssumptionFormats, assumption, displayUnits);
+
+// --- Umbilical cord gas (ABGAnalyzer.assessCordGas) ---
+
+const phDifference = (c) => ({ difference: formatNumber(c.difference, 2), limit: formatNumber(c.limit, 2) });
+const pco2Difference = (c, fmt) => ({ difference: fmt('paco2', c.difference), limit: fmt('paco2', c.limit, 2) });
+
+const cordGasCheckFormats = {
+    PH_SWAPPED: (c) => ({ arterial: formatNumber(c.arterial, 2), venous: formatNumber(c.venous, 2) }),
+    PH_DIFFERENCE_LOW: phDifference,
+    PH_DIFFERENCE_OK: phDifference,
+    PCO2_DIFFERENCE_LOW: pco2Difference,
+    PCO2_DIFFERENCE_OK: pco2Difference
+};
+
+export const renderCordGasCheck = (check, displayUnits) => renderCoded('cordGas.checks', cordGasCheckFormats, check.text ?? check, displayUnits);
+
+const cordGasFindingFormats = {
+    HYPOXIC_ISCHEMIC_ACIDOSIS: (f) => ({ ph: formatNumber(f.ph, 2), baseDeficit: formatNumber(f.baseDeficit) }),
+    SEVERE_RESPIRATORY_ACIDEMIA: (f) => ({ ph: formatNumber(f.ph, 2) })
+};
+
+/**
+ * Render one cord gas finding; the classification finding opens with the arterial pH and base deficit.
+ */
+export function renderCordGasFinding(finding, displayUnits = {}) {
+    if (!['NORMAL', 'RESPIRATORY', 'METABOLIC', 'MIXED'].includes(finding.code)) {
+        return renderCoded('cordGas.findings', cordGasFindingFormats, finding, displayUnits);
+    }
+    return t(`cordGas.findings.${finding.code}`, {
+        summary: t('cordGas.findings.summary', {
+            ph: formatNumber(finding.ph, 2),
+            baseDeficit: formatNumber(finding.baseDeficit, 1),
+            source: t(`results.sbeSource.${finding.source}`)
+        }),
+        limit: formatNumber(finding.limit)
+    });
+}
+
+// Acid-base map band name, e.g. "Chronic respiratory acidosis" ('normal' is the reference range box)
+export const acidBaseBandLabel = (key) => t(`acidBaseMap.bands.${key}`);
+
+/**
+ * Explain an acid-base map band: the disorder it represents and the step 4 formula that bounds it.
+ * @param {string} key - Band key, or 'normal' for the reference range box.
+ * @param {Object} map - The acid-base map (see acidBaseMap.js).
+ */
+export function renderAcidBaseBand(key, map) {
+    if (key === 'normal') {
+        const { ph, hco3 } = map.normal;
+        return t('acidBaseMap.explain.normal', {
+            ph: `${formatNumber(ph[0], 2)}–${formatNumber(ph[1], 2)}`,
+            hco3: `${formatNumber(hco3[0])}–${formatNumber(hco3[1])}`
+        });
+    }
+    const band = map.bands.find(item => item.key === key);
+    const formula = ['WINTERS', 'METABOLIC_ALKALOSIS'].includes(band.formula) ? band.formula : 'RESPIRATORY';
+    return sentences(t(`acidBaseMap.explain.${band.key}`), t(`acidBaseMap.formula.${formula}`, {
+        slope: formatNumber(band.slope),
+        tolerance: formatNumber(band.tolerance),
+        paco2Normal: formatNumber(map.normals.paco2Normal),
+        hco3Normal: formatNumber(map.normals.hco3Normal)
+    }));
+}
+
+/**
+ * Where the patient's point lies on the acid-base map.
+ */
+export function renderAcidBasePoint(map) {
+    if (map.matches.includes('normal')) return t('acidBaseMap.point.normal');
+    if (map.matches.length === 0) return t('acidBaseMap.point.outside');
+    return t('acidBaseMap.point.within', { bands: map.matches.map(acidBaseBandLabel).join('; ') });
+}
+
+// Trend markers with a unit definition are formatted in the display unit (units.js)
+const trendValue = (field, value, displayUnits) => (unitDefinitions[field]
+    ? formatMeasurement(field, value, displayUnits[field])
+    : `${formatNumber(value, field === 'ph' ? 2 : 1)}${field === 'ph' ? '' : ' mmol/L'}`);
+
+/**
+ * Render one trend finding, e.g. "metabolic acidosis improving (HCO₃⁻ 8.0 → 14.0 mmol/L)".
+ * @param {Object} finding - Finding of interpretTrend() (see trend.js).
+ * @param {Object} [displayUnits] - Field → unit map.
+ */
+export function renderTrendFinding(finding, displayUnits = {}) {
+    const { code, field } = finding;
+    const values = field && t('trend.values', {
+        field: t(`trend.fields.${field}`),
+        from: trendValue(field, finding.from, displayUnits),
+        to: trendValue(field, finding.to, displayUnits)
+    });
+    if (finding.process) {
+        return t(`trend.process.${code}`, { disorder: disorderLabel(trendProcesses[finding.process].code), values });
+    }
+    return t(`trend.${code}`, { values, clearance: formatNumber(Math.round(finding.clearance * 100)) });
+}
+
+/**
+ * Render the trend interpretation of an encounter as a sentence.
+ */
+export function renderTrend(trend, displayUnits = {}) {
+    const hours = formatNumber(Math.round(trend.hours * 10) / 10);
+    if (trend.findings.length === 0) return t('trend.noChange', { hours, count: formatNumber(trend.count) });
+    const findings = trend.findings.map(finding => renderTrendFinding(finding, displayUnits)).join('; ');
+    return t('trend.summary', { hours, count: formatNumber(trend.count), findings: capitalize(findings) });
+}
+
+/**
+ * Describe where the values of a saved analysis came from (see history.js), e.g. "PDF: report.pdf, page 2".
+ */
+export function renderHistorySource(source = { type: 'manual' }) {
+    if (source.type === 'pdf') return t(source.page ? 'history.source.pdfPage' : 'history.source.pdf', { file: source.fileName, page: formatNumber(source.page) });
+    if (source.type === 'batch') return t('history.source.batch', { file: source.fileName, row: formatNumber(source.row) });
+    if (source.type === 'hl7') return t(source.fileName ? 'history.source.hl7File' : 'history.source.hl7', { file: source.fileName, specimen: source.specimen });
+    if (source.type === 'link') return t('history.source.link');
+    if (source.type === 'ocr') return t(source.fileName ? 'history.source.ocrFile' : 'history.source.ocr', { file: source.fileName });
+    return t('history.source.manual');
+}
+
+const fieldLabel = (field) => t(`fields.${field}`, null, field);
+
+/**
+ * Render the validation or analysis error of a result (ABGAnalyzer.validateInputs), e.g. "Missing or invalid required value: pH".
+ * @param {Object|string} error - { code, field?, value?, min?, max?, message? }; results saved before error codes hold text.
+ * @param {Object} [displayUnits] - Field → unit map.
+ */
+export function renderAnalysisError(error, displayUnits = {}) {
+    if (typeof error === 'string') return error;
+    const fmt = (value) => (error.field ? formatFieldValue(error.field, value, displayUnits) : formatNumber(value));
+    return t(`errors.${error.code}`, {
+        field: error.field ? t(`critical.fields.${error.field}`, null, error.field) : '',
+        value: fmt(error.value),
+        min: fmt(error.min),
+        max: fmt(error.max),
+        message: error.message || ''
+    });
+}
+
+/**
+ * Render a batch row validation error (see batch.js), e.g. "pH: \"abc\" is not a number".
+ */
+export function renderBatchError(error) {
+    return t(`batch.errors.${error.code}`, {
+        field: error.field ? fieldLabel(error.field) : '',
+        fields: (error.fields || []).map(fieldLabel).join(', '),
+        value: error.error ? renderAnalysisError(error.error) : error.value,
+        min: formatNumber(error.min),
+        max: formatNumber(error.max),
+        unit: error.unit || ''
+    });
+}
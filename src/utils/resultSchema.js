@@ -0,0 +1,122 @@
+/**
+ * ABG Analyzer - Result Schema
+ * Versioned, structured shape of the object returned by ABGAnalyzer.analyze().
+ * Steps carry codes, values and thresholds only; human-readable text is produced by resultRenderer.js.
+ * Bump RESULT_SCHEMA_VERSION on any breaking change to the shapes below.
+ *
+ * @typedef {Object} Measurement
+ * @property {number} value - Value in canonical units (see units.js).
+ * @property {string} unit - Canonical unit ('' for pH and ratios).
+ *
+ * @typedef {Object} Threshold
+ * @property {number} [low] - Lower limit (inclusive normal).
+ * @property {number} [high] - Upper limit (inclusive normal).
+ * @property {string} unit
+ *
+ * @typedef {Object} Step
+ * @property {string} id - 'step1' … 'step7', or the id of a custom rule step.
+ * @property {string} status - One of StepStatus.
+ * @property {string} code - Stable finding code, e.g. 'ACIDEMIA', 'COMPENSATION_APPROPRIATE' (see resultRenderer.js for the full list).
+ * @property {Object.<string, Measurement>} values - Calculated and measured values keyed by field.
+ * @property {Object.<string, Threshold>} thresholds - Limits applied, keyed by field.
+ * @property {string[]} disorders - DisorderCode values detected by this step.
+ * @property {string} severity - One of Severity.
+ * @property {Object} [details] - Step-specific extras (e.g. compensation formula, secondary workup checks).
+ * @property {string} [title] - Heading for custom rule steps (built-in steps use stepTitles).
+ * @property {string} [text] - Rendered text for custom rule steps.
+ *
+ * @typedef {Object} Interpretation
+ * @property {string} code - 'DISORDER', 'NORMAL', 'UNDETERMINED' or 'ERROR'.
+ * @property {string|null} primaryDisorder - DisorderCode of the primary disorder.
+ * @property {string|null} compensation - 'expected', 'complete' or null.
+ * @property {string[]} additionalDisorders - DisorderCode values superimposed on the primary disorder.
+ * @property {string} severity - Highest step severity.
+ *
+ * @typedef {Object} AnalysisResult
+ * @property {number} schemaVersion - RESULT_SCHEMA_VERSION.
+ * @property {Step[]} steps - ATS steps in order.
+ * @property {Interpretation} interpretation
+ * @property {Object|null} error - Validation or analysis error: { code, field?, value?, min?, max?, message? } (see resultRenderer.js).
+ * @property {Array} rules - Rule pipeline log in execution order: [{ id, label, status, missing?, error? }] (see rulePipeline.js).
+ * @property {Object|null} severity - Disorder grading and critical values: { performed, severity, disorders: [{ code, severity, basis }],
+ *   alerts: [{ field, direction, value, limit }] } (see severity.js).
+ * @property {Object|null} acidBaseMap - pH–HCO₃⁻ diagram: the patient's point and the band of each simple disorder (see acidBaseMap.js).
+ * Also: sampleInfo, patientInfo, sampleQuality, temperature, referenceProfile, displayUnits, hyperglycemicCrisis, stewart, baseExcess, oxygenation,
+ * cordGas and differentials (structured section objects), plus the internal `state` (not versioned). Like steps, the sections carry
+ * codes and values only: findings, criteria, checks, evidence and assumptions are { code, ...values }, notes and `reason` are codes.
+ * A section's text is rendered by resultRenderer.js.
+ */
+
+export const RESULT_SCHEMA_VERSION = 2;
+
+export const StepStatus = {
+    COMPLETED: 'completed',
+    SKIPPED: 'skipped', // Required inputs missing
+    NOT_APPLICABLE: 'not_applicable', // Does not apply to the detected disorder or sample
+    ERROR: 'error'
+};
+
+export const Severity = {
+    NONE: 'none',
+    MILD: 'mild',
+    MODERATE: 'moderate',
+    SEVERE: 'severe',
+    LIFE_THREATENING: 'life_threatening' // Disorder grading only (severity.js)
+};
+
+const severityOrder = [Severity.NONE, Severity.MILD, Severity.MODERATE, Severity.SEVERE, Severity.LIFE_THREATENING];
+
+export const DisorderCode = {
+    METABOLIC_ACIDOSIS: 'METABOLIC_ACIDOSIS',
+    HIGH_ANION_GAP_METABOLIC_ACIDOSIS: 'HIGH_ANION_GAP_METABOLIC_ACIDOSIS',
+    NORMAL_ANION_GAP_METABOLIC_ACIDOSIS: 'NORMAL_ANION_GAP_METABOLIC_ACIDOSIS',
+    METABOLIC_ALKALOSIS: 'METABOLIC_ALKALOSIS',
+    RESPIRATORY_ACIDOSIS: 'RESPIRATORY_ACIDOSIS',
+    RESPIRATORY_ALKALOSIS: 'RESPIRATORY_ALKALOSIS',
+    MIXED_ACIDEMIA: 'MIXED_ACIDEMIA',
+    MIXED_ALKALEMIA: 'MIXED_ALKALEMIA',
+    MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS: 'MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS',
+    MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS: 'MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS',
+    COMPENSATED: 'COMPENSATED'
+};
+
+// Internal analyzer state names → stable disorder codes
+const disorderCodesByName = {
+    'metabolic acidosis': DisorderCode.METABOLIC_ACIDOSIS,
+    'high anion gap metabolic acidosis': DisorderCode.HIGH_ANION_GAP_METABOLIC_ACIDOSIS,
+    'normal anion gap metabolic acidosis': DisorderCode.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS,
+    'metabolic alkalosis': DisorderCode.METABOLIC_ALKALOSIS,
+    'respiratory acidosis': DisorderCode.RESPIRATORY_ACIDOSIS,
+    'respiratory alkalosis': DisorderCode.RESPIRATORY_ALKALOSIS,
+    'mixed acidemia': DisorderCode.MIXED_ACIDEMIA,
+    'mixed alkalemia': DisorderCode.MIXED_ALKALEMIA,
+    'mixed compensated resp acid + met alk': DisorderCode.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS,
+    'mixed compensated resp alk + met acid': DisorderCode.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS,
+    compensated: DisorderCode.COMPENSATED
+};
+
+export const toDisorderCode = (name) => disorderCodesByName[name] || null;
+
+/**
+ * Disorder codes of an interpretation: the primary disorder and any additional ones.
+ */
+export const interpretationDisorders = (interpretation) => (
+    interpretation?.code === 'DISORDER' ? [interpretation.primaryDisorder, ...interpretation.additionalDisorders] : []
+);
+
+export const measurement = (value, unit = '') => ({ value, unit });
+
+export const threshold = (low, high, unit = '') => ({ low, high, unit });
+
+/**
+ * Build a step object with every schema field present.
+ */
+export function createStep(id, status, code, { values = {}, thresholds = {}, disorders = [], severity = Severity.NONE, details } = {}) {
+    return { id, status, code, values, thresholds, disorders, severity, ...(details ? { details } : {}) };
+}
+
+export function maxSeverity(severities) {
+    return severities.reduce((max, severity) => (
+        severityOrder.indexOf(severity) > severityOrder.indexOf(max) ? severity : max
+    ), Severity.NONE);
+}
@@ -0,0 +1,176 @@
+/**
+ * ABG Analyzer - Rule Pipeline
+ * The analysis is an ordered list of rule modules run against a shared context. The ATS steps and the
+ * supplementary sections are the built-in rules (builtinRules.js); departments can register local rules,
+ * reorder or disable any rule without changing the analyzer.
+ *
+ * @typedef {Object} Rule
+ * @property {string} id - Unique rule id.
+ * @property {string} label - Human-readable name, shown in the executed rule list.
+ * @property {string[]} [inputs] - Input values that must be present; the rule is skipped otherwise.
+ * @property {string[]} [optionalInputs] - Input values used when present (documentation only).
+ * @property {string[]} [outputs] - State keys written by the rule (documentation only).
+ * @property {string} output - Where the return value of run() is stored: 'steps' appends a Step to results.steps,
+ *   any other name sets results[output].
+ * @property {Function} [appliesTo] - (context) => boolean; the rule is not applicable when false.
+ * @property {Function} [fallback] - (context, status) => value stored instead when the rule is skipped or not applicable.
+ * @property {Function} run - (context) => value stored at `output`.
+ *
+ * The context passed to rules is { analyzer, values, measuredValues, state, results, profile, ranges, sampleType, isCordGas,
+ * estimateArterial, patientCategory, category, formatUnit }. `values` are the analyzed values (after temperature correction
+ * and arterial estimation), `measuredValues` the values as entered. Rules may read and extend `state`.
+ */
+
+export const RuleStatus = {
+    EXECUTED: 'executed',
+    SKIPPED: 'skipped', // Required inputs missing
+    NOT_APPLICABLE: 'not_applicable',
+    DISABLED: 'disabled',
+    ERROR: 'error'
+};
+
+const isPresent = (value) => value !== undefined && value !== null;
+
+/**
+ * Check a rule definition. Returns a list of problems (empty when valid).
+ */
+export function validateRule(rule) {
+    const problems = [];
+    if (!rule || typeof rule !== 'object') return ['Rule must be an object.'];
+    if (!rule.id || typeof rule.id !== 'string') problems.push('Rule needs a string "id".');
+    if (typeof rule.run !== 'function') problems.push(`Rule "${rule.id}" needs a run(context) function.`);
+    if (!rule.output || typeof rule.output !== 'string') problems.push(`Rule "${rule.id}" needs a string "output".`);
+    ['inputs', 'optionalInputs', 'outputs'].forEach(key => {
+        if (rule[key] !== undefined && !Array.isArray(rule[key])) problems.push(`Rule "${rule.id}": ${key} must be an array.`);
+    });
+    ['appliesTo', 'fallback'].forEach(key => {
+        if (rule[key] !== undefined && typeof rule[key] !== 'function') problems.push(`Rule "${rule.id}": ${key} must be a function.`);
+    });
+    return problems;
+}
+
+export class RulePipeline {
+    /**
+     * @param {Rule[]} [rules] - Initial rules, in execution order.
+     */
+    constructor(rules = []) {
+        this.rules = [];
+        this.disabled = new Set();
+        rules.forEach(rule => this.register(rule));
+    }
+
+    indexOf(id) {
+        const index = this.rules.findIndex(rule => rule.id === id);
+        if (index === -1) throw new Error(`Unknown rule "${id}".`);
+        return index;
+    }
+
+    // Insert position for { before: id } / { after: id }; end of the pipeline by default
+    resolvePosition({ before, after } = {}) {
+        if (before) return this.indexOf(before);
+        if (after) return this.indexOf(after) + 1;
+        return this.rules.length;
+    }
+
+    /**
+     * Add a rule, at the end or relative to another rule ({ before: id } or { after: id }).
+     */
+    register(rule, position) {
+        const problems = validateRule(rule);
+        if (problems.length > 0) throw new Error(`Invalid rule: ${problems.join(' ')}`);
+        if (this.rules.some(existing => existing.id === rule.id)) throw new Error(`Rule "${rule.id}" is already registered.`);
+        this.rules.splice(this.resolvePosition(position), 0, rule);
+        return this;
+    }
+
+    unregister(id) {
+        this.rules.splice(this.indexOf(id), 1);
+        this.disabled.delete(id);
+        return this;
+    }
+
+    /**
+     * Move a registered rule before or after another rule.
+     */
+    move(id, { before, after } = {}) {
+        const anchor = before || after;
+        if (anchor === id) throw new Error(`Rule "${id}" cannot be moved relative to itself.`);
+        if (anchor) this.indexOf(anchor);
+        const [rule] = this.rules.splice(this.indexOf(id), 1);
+        this.rules.splice(this.resolvePosition({ before, after }), 0, rule);
+        return this;
+    }
+
+    /**
+     * Reorder the pipeline. Rules not listed keep their relative order after the listed ones.
+     */
+    setOrder(ids) {
+        ids.forEach(id => this.indexOf(id));
+        const listed = ids.map(id => this.rules.find(rule => rule.id === id));
+        this.rules = [...listed, ...this.rules.filter(rule => !ids.includes(rule.id))];
+        return this;
+    }
+
+    setEnabled(id, enabled) {
+        this.indexOf(id);
+        if (enabled) this.disabled.delete(id);
+        else this.disabled.add(id);
+        return this;
+    }
+
+    /**
+     * Registered rules in execution order.
+     * @returns {Array} [{ id, label, inputs, optionalInputs, outputs, output, enabled }]
+     */
+    list() {
+        return this.rules.map(rule => ({
+            id: rule.id,
+            label: rule.label || rule.id,
+            inputs: rule.inputs || [],
+            optionalInputs: rule.optionalInputs || [],
+            outputs: rule.outputs || [],
+            output: rule.output,
+            enabled: !this.disabled.has(rule.id)
+        }));
+    }
+
+    /**
+     * Run every rule in order against the context, storing each result in context.results.
+     * A rule that throws is recorded with its error and contributes no output; the remaining rules still run.
+     * @returns {Array} Executed rule log: [{ id, label, status, error? }]
+     */
+    run(context) {
+        const log = [];
+        context.ruleLog = log; // Available to the caller even when appliesTo() or fallback() throws
+        const store = (rule, value) => {
+            if (value === undefined) return;
+            if (rule.output === 'steps') context.results.steps.push(value);
+            else context.results[rule.output] = value;
+        };
+
+        for (const rule of this.rules) {
+            const entry = { id: rule.id, label: rule.label || rule.id, status: RuleStatus.EXECUTED };
+            log.push(entry);
+
+            if (this.disabled.has(rule.id)) {
+                entry.status = RuleStatus.DISABLED;
+                continue;
+            }
+            const missing = (rule.inputs || []).filter(key => !isPresent(context.values[key]));
+            if (missing.length > 0 || (rule.appliesTo && !rule.appliesTo(context))) {
+                entry.status = missing.length > 0 ? RuleStatus.SKIPPED : RuleStatus.NOT_APPLICABLE;
+                if (missing.length > 0) entry.missing = missing;
+                if (rule.fallback) store(rule, rule.fallback(context, entry.status));
+                continue;
+            }
+            try {
+                store(rule, rule.run(context));
+            } catch (error) {
+                console.error(`Rule "${rule.id}" failed:`, error);
+                entry.status = RuleStatus.ERROR;
+                entry.error = error.message;
+            }
+        }
+        return log;
+    }
+}
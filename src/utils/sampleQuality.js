@@ -0,0 +1,131 @@
+/**
+ * ABG Analyzer - Sample Quality
+ * Flags likely pre-analytical errors (air bubbles, venous contamination, hemolysis or delayed
+ * processing, base excess transcription errors) before the sample is interpreted.
+ * Warnings never change the analysis; they tell the user which values may not be trustworthy.
+ */
+
+import { defaultProfile } from './referenceProfiles';
+import { Severity } from './resultSchema';
+
+const has = (value) => value !== undefined && value !== null && !isNaN(value);
+
+/**
+ * Hemoglobin saturation expected for a PO₂ (Severinghaus 1979, standard conditions).
+ * @param {number} po2 - mmHg
+ * @returns {number} Saturation in %
+ */
+export function predictSaturation(po2) {
+    return 100 / (23400 / (Math.pow(po2, 3) + 150 * po2) + 1);
+}
+
+// Each check returns a warning ({ code, severity, evidence: [{ code, ...values }] }) or null; the title, explanation
+// and evidence text are rendered from the codes (resultRenderer.js). Checks marked arterialOnly assume an arterial sample.
+const qualityChecks = [
+    {
+        key: 'airBubble',
+        arterialOnly: true,
+        evaluate: (d) => {
+            const { pao2, paco2, fio2 } = d;
+            if (!has(pao2) || !has(paco2)) return null;
+            const fio2Percent = has(fio2) ? fio2 : 21;
+            const patm = has(d.patm) ? d.patm : 760;
+            const alveolarPo2 = (fio2Percent / 100) * (patm - 47) - paco2 / 0.8;
+            const evidence = [];
+            // Room air equilibrates towards PO₂ ≈ 150 and PCO₂ ≈ 0 mmHg
+            if (fio2Percent <= 30 && pao2 >= 130 && pao2 <= 170 && paco2 < 30) {
+                evidence.push({ code: 'ROOM_AIR_PO2', pao2, paco2 });
+            }
+            if (pao2 > alveolarPo2 + 10) {
+                evidence.push({ code: 'ABOVE_ALVEOLAR_PO2', pao2, alveolarPo2, fio2: fio2Percent });
+            }
+            if (evidence.length === 0) return null;
+            return {
+                code: 'AIR_BUBBLE',
+                severity: Severity.MODERATE,
+                evidence
+            };
+        }
+    },
+    {
+        key: 'venousContamination',
+        arterialOnly: true,
+        evaluate: (d) => {
+            const { pao2, sao2, spo2 } = d;
+            if (!has(pao2)) return null;
+            const predicted = predictSaturation(pao2);
+            const evidence = [];
+            if (has(sao2) && Math.abs(sao2 - predicted) > 10) {
+                evidence.push({ code: 'SAO2_MISMATCH', sao2, predicted, pao2 });
+            }
+            if (has(spo2) && spo2 - predicted > 10) {
+                evidence.push({ code: 'SPO2_MISMATCH', pao2, predicted, spo2 });
+            }
+            if (has(sao2) && sao2 < 75 && pao2 < 45) {
+                evidence.push({ code: 'VENOUS_RANGE', sao2, pao2 });
+            }
+            if (evidence.length === 0) return null;
+            return {
+                code: 'VENOUS_CONTAMINATION',
+                severity: Severity.MODERATE,
+                evidence
+            };
+        }
+    },
+    {
+        key: 'pseudohyperkalemia',
+        evaluate: (d) => {
+            const { k, ph, glucose } = d;
+            const upperK = d.profile.ranges.k[1];
+            if (!has(k) || k <= upperK) return null;
+            const evidence = [{ code: 'POTASSIUM_HIGH', k, limit: upperK }];
+            // Hyperkalemia explained by acidemia is less likely to be artefactual
+            if (has(ph) && ph >= 7.35) {
+                evidence.push({ code: 'NO_ACIDEMIA', ph });
+            }
+            // Ongoing glycolysis in a sample left at room temperature consumes glucose
+            const delayed = has(glucose) && glucose < 60;
+            if (delayed) {
+                evidence.push({ code: 'LOW_GLUCOSE', glucose });
+            }
+            if (evidence.length === 1 && k < 6) return null;
+            return {
+                code: delayed ? 'DELAYED_PROCESSING' : 'PSEUDOHYPERKALEMIA',
+                severity: k >= 6 ? Severity.MODERATE : Severity.MILD,
+                evidence
+            };
+        }
+    },
+    {
+        key: 'baseExcessMismatch',
+        evaluate: (d) => {
+            const { be, ph, hco3 } = d;
+            if (!has(be) || !has(ph) || !has(hco3)) return null;
+            const calculated = 0.93 * (hco3 - 24.4 + 14.83 * (ph - 7.4));
+            if (Math.abs(be - calculated) <= 3) return null;
+            return {
+                code: 'BASE_EXCESS_MISMATCH',
+                severity: Severity.MILD,
+                evidence: [{ code: 'BASE_EXCESS_MISMATCH', be, calculated }]
+            };
+        }
+    }
+];
+
+/**
+ * Screen a sample for pre-analytical errors.
+ * @param {Object} values - Measured input values in canonical units (before any venous-to-arterial estimation).
+ * @param {Object} [options]
+ * @param {string} [options.sampleType] - Key of sampleTypes; arterial-only checks are skipped for other samples.
+ * @param {Object} [options.profile] - Reference range profile supplying the potassium limit.
+ * @returns {Object} { performed, checks: [keys evaluated], warnings: [{ code, severity, evidence: [{ code, ...values }] }] }
+ */
+export function assessSampleQuality(values, { sampleType = 'arterial', profile = defaultProfile } = {}) {
+    const data = { ...values, profile };
+    const applicable = qualityChecks.filter(check => !check.arterialOnly || sampleType === 'arterial');
+    return {
+        performed: true,
+        checks: applicable.map(check => check.key),
+        warnings: applicable.map(check => check.evaluate(data)).filter(Boolean)
+    };
+}
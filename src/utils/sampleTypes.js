@@ -0,0 +1,145 @@
+/**
+ * ABG Analyzer - Sample Types
+ * Blood gas sample types and venous-to-arterial estimation.
+ * Each type's reference ranges live in the active reference profile (referenceProfiles.js).
+ */
+
+import { defaultProfile } from './referenceProfiles';
+import { patientCategories } from './patientCategories';
+
+export const sampleTypes = {
+    arterial: {
+        label: 'Arterial',
+        oxygenationValid: true
+    },
+    peripheralVenous: {
+        label: 'Peripheral venous',
+        // Average arterial minus venous differences (pH, PCO₂ mmHg, HCO₃⁻ mmol/L)
+        arterialOffsets: { ph: 0.035, paco2: -5, hco3: -1.5 },
+        oxygenationValid: false
+    },
+    centralVenous: {
+        label: 'Central venous',
+        arterialOffsets: { ph: 0.03, paco2: -4.5, hco3: -1 },
+        oxygenationValid: false
+    },
+    mixedVenous: {
+        label: 'Mixed venous',
+        arterialOffsets: { ph: 0.04, paco2: -6, hco3: -1 },
+        oxygenationValid: false
+    },
+    capillary: {
+        label: 'Capillary (arterialized)',
+        oxygenationValid: false // Capillary PO₂ underestimates PaO₂
+    },
+    umbilicalArterial: {
+        label: 'Umbilical cord (arterial + venous pair)',
+        cordGas: true, // Neonatal cord gas workflow; the venous pair is entered as uvph/uvpco2/uvhco3/uvbe
+        oxygenationValid: false
+    },
+    umbilicalVenous: {
+        label: 'Umbilical venous',
+        cordGas: true,
+        selectable: false, // Only entered as the pair of an umbilical arterial sample
+        oxygenationValid: false
+    }
+};
+
+// Sample description (report text, HL7 specimen code or spreadsheet cell) → sample type; cord samples are checked first
+const sampleTypePatterns = [
+    [/(cord|umbil).*arter|arter.*(cord|umbil)/i, 'umbilicalArterial'],
+    [/(cord|umbil).*ven|ven.*(cord|umbil)/i, 'umbilicalVenous'],
+    [/mixed\s*ven|pulmonary\s*arter/i, 'mixedVenous'],
+    [/central\s*ven/i, 'centralVenous'],
+    [/capil|^122554006$/i, 'capillary'],
+    [/arter|^122552005$|^BLDA$/i, 'arterial'],
+    [/ven|^122555007$|^BLDV$/i, 'peripheralVenous']
+];
+
+/**
+ * Sample type named by a text: a sample type key, or a description matched by pattern (SNOMED CT and HL7 0487
+ * specimen codes included). Returns null when nothing matches.
+ */
+export function sampleTypeFromText(text) {
+    const value = String(text ?? '').trim();
+    if (sampleTypes[value]) return value;
+    return sampleTypePatterns.find(([pattern]) => pattern.test(value))?.[1] || null;
+}
+
+/**
+ * Resolve the acid-base reference ranges for a sample type and patient category from a profile,
+ * with the midpoints used as the compensation baseline (40 / 24 for adult arterial samples).
+ * Age-specific ranges are arterial; for venous samples they are shifted by the arterial-venous offsets.
+ * Cord samples always use their own ranges.
+ */
+export function getReferenceRanges(sampleType = 'arterial', profile = defaultProfile, patientCategory = 'adult') {
+    const categoryRanges = patientCategories[patientCategory]?.pediatric && !sampleTypes[sampleType]?.cordGas
+        ? profile.patientCategoryRanges?.[patientCategory]
+        : null;
+    let ranges;
+    if (categoryRanges) {
+        const offsets = sampleTypes[sampleType]?.arterialOffsets || {};
+        ranges = ['ph', 'paco2', 'hco3'].reduce((acc, key) => {
+            const shift = offsets[key] || 0;
+            acc[key] = categoryRanges[key].map(limit => parseFloat((limit - shift).toFixed(2)));
+            return acc;
+        }, {});
+    } else {
+        ranges = {
+            ph: profile.ranges.ph,
+            paco2: profile.ranges.paco2,
+            hco3: profile.ranges.hco3,
+            ...(sampleType !== 'arterial' ? profile.sampleTypeRanges?.[sampleType] : {})
+        };
+    }
+    return {
+        ...ranges,
+        paco2Normal: (ranges.paco2[0] + ranges.paco2[1]) / 2,
+        hco3Normal: (ranges.hco3[0] + ranges.hco3[1]) / 2
+    };
+}
+
+/**
+ * Estimate PaO₂ from SpO₂ with the Severinghaus equation (Ellis inversion).
+ * Unreliable above ~97% where the dissociation curve is flat.
+ */
+export function estimatePao2FromSpo2(spo2) {
+    if (spo2 === undefined || isNaN(spo2) || spo2 <= 0 || spo2 >= 100) return null;
+    const saturation = spo2 / 100;
+    const a = 11700 / (1 / saturation - 1);
+    const b = Math.sqrt(Math.pow(50, 3) + Math.pow(a, 2));
+    return Math.cbrt(b + a) - Math.cbrt(b - a);
+}
+
+/**
+ * Convert venous (or capillary) values to estimated arterial values.
+ * @returns {Object} { values, conversions: [{ key, measured, estimated }], notes: [] }
+ */
+export function estimateArterialValues(values, sampleType) {
+    const offsets = sampleTypes[sampleType]?.arterialOffsets || { ph: 0, paco2: 0, hco3: 0 };
+    const estimated = { ...values };
+    const conversions = [];
+    const notes = [];
+
+    ['ph', 'paco2', 'hco3'].forEach(key => {
+        if (values[key] === undefined || isNaN(values[key])) return;
+        estimated[key] = values[key] + offsets[key];
+        conversions.push({ key, measured: values[key], estimated: estimated[key] });
+    });
+
+    // Venous/capillary PO₂ and saturation do not reflect arterial oxygenation
+    delete estimated.pao2;
+    delete estimated.sao2;
+    const pao2 = estimatePao2FromSpo2(values.spo2);
+    if (pao2 !== null) {
+        estimated.pao2 = pao2;
+        conversions.push({ key: 'pao2', measured: values.spo2, estimated: pao2, from: 'spo2' });
+        if (values.spo2 > 97) {
+            notes.push('SPO2_FLAT_CURVE');
+        }
+    } else {
+        notes.push('PAO2_NOT_ESTIMATED');
+    }
+
+    return { values: estimated, conversions, notes };
+}
@@ -0,0 +1,113 @@
+/**
+ * ABG Analyzer - Severity Grading and Critical Values
+ * Grades each detected disorder (mild / moderate / severe / life-threatening) and flags measured
+ * values beyond the critical limits that call for immediate notification. Both sets of cut-offs
+ * come from the reference profile (severityGrades and criticalValues, see referenceProfiles.js).
+ */
+
+import { defaultProfile } from './referenceProfiles';
+import { Severity, DisorderCode, maxSeverity } from './resultSchema';
+
+const has = (value) => value !== undefined && value !== null && !isNaN(value);
+
+const gradeLevels = [Severity.MILD, Severity.MODERATE, Severity.SEVERE, Severity.LIFE_THREATENING];
+
+/**
+ * Grade a value against [moderate, severe, life-threatening] cut-offs.
+ * Decreasing cut-offs grade low values (e.g. pH in acidemia), increasing cut-offs grade high values.
+ * @returns {string} Severity, at least MILD.
+ */
+export function gradeValue(value, cutoffs) {
+    const lowIsWorse = cutoffs[cutoffs.length - 1] < cutoffs[0];
+    const crossed = cutoffs.filter(cutoff => (lowIsWorse ? value < cutoff : value > cutoff)).length;
+    return gradeLevels[crossed];
+}
+
+// Processes graded for each disorder code: the marker value and its severityGrades key
+const processes = {
+    metabolicAcidosis: { field: 'hco3', grade: 'metabolicAcidosisHco3' },
+    metabolicAlkalosis: { field: 'hco3', grade: 'metabolicAlkalosisHco3' },
+    respiratoryAcidosis: { field: 'paco2', grade: 'respiratoryAcidosisPaco2' },
+    respiratoryAlkalosis: { field: 'paco2', grade: 'respiratoryAlkalosisPaco2' }
+};
+
+const disorderProcesses = {
+    [DisorderCode.METABOLIC_ACIDOSIS]: ['metabolicAcidosis'],
+    [DisorderCode.HIGH_ANION_GAP_METABOLIC_ACIDOSIS]: ['metabolicAcidosis'],
+    [DisorderCode.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS]: ['metabolicAcidosis'],
+    [DisorderCode.METABOLIC_ALKALOSIS]: ['metabolicAlkalosis'],
+    [DisorderCode.RESPIRATORY_ACIDOSIS]: ['respiratoryAcidosis'],
+    [DisorderCode.RESPIRATORY_ALKALOSIS]: ['respiratoryAlkalosis'],
+    [DisorderCode.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS]: ['respiratoryAcidosis', 'metabolicAlkalosis'],
+    [DisorderCode.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS]: ['respiratoryAlkalosis', 'metabolicAcidosis'],
+    [DisorderCode.MIXED_ACIDEMIA]: [],
+    [DisorderCode.MIXED_ALKALEMIA]: [],
+    [DisorderCode.COMPENSATED]: []
+};
+
+/**
+ * Grade one disorder. The pH only counts for the primary disorder (superimposed disorders do not set the pH).
+ * @returns {Object} { code, severity, basis: { field: value } }
+ */
+function gradeDisorder(code, primary, values, ranges, grades) {
+    const basis = {};
+    const severities = [Severity.MILD];
+    (disorderProcesses[code] || []).forEach(key => {
+        const process = processes[key];
+        if (!has(values[process.field])) return;
+        basis[process.field] = values[process.field];
+        severities.push(gradeValue(values[process.field], grades[process.grade]));
+    });
+    if (primary && has(values.ph)) {
+        if (values.ph < ranges.ph[0]) {
+            basis.ph = values.ph;
+            severities.push(gradeValue(values.ph, grades.acidemiaPh));
+        } else if (values.ph > ranges.ph[1]) {
+            basis.ph = values.ph;
+            severities.push(gradeValue(values.ph, grades.alkalemiaPh));
+        }
+    }
+    return { code, severity: maxSeverity(severities), basis };
+}
+
+/**
+ * Compare measured values with the profile's critical limits.
+ * PaO₂ is only checked in arterial samples; venous and capillary PO₂ are low by nature.
+ * @returns {Array} [{ field, direction: 'low' | 'high', value, limit }]
+ */
+export function checkCriticalValues(values, { sampleType = 'arterial', profile = defaultProfile } = {}) {
+    const alerts = [];
+    Object.entries(profile.criticalValues).forEach(([field, [low, high]]) => {
+        const value = values[field];
+        if (!has(value) || (field === 'pao2' && sampleType !== 'arterial')) return;
+        if (has(low) && value < low) alerts.push({ field, direction: 'low', value, limit: low });
+        else if (has(high) && value > high) alerts.push({ field, direction: 'high', value, limit: high });
+    });
+    return alerts;
+}
+
+/**
+ * Severity grading of an analysis.
+ * @param {Object} interpretation - Interpretation of the result (resultSchema.js).
+ * @param {Object} values - Analyzed values in canonical units (after temperature correction or arterial estimation).
+ * @param {Object} measuredValues - Values as entered, screened for critical values.
+ * @param {Object} [options]
+ * @param {Object} [options.ranges] - Acid-base reference ranges applied to the sample.
+ * @param {string} [options.sampleType]
+ * @param {Object} [options.profile] - Reference range profile supplying the grades and critical limits.
+ * @returns {Object} { performed, severity, disorders: [{ code, severity, basis }], alerts: [{ field, direction, value, limit }] }
+ */
+export function assessSeverity(interpretation, values, measuredValues, { ranges, sampleType = 'arterial', profile = defaultProfile } = {}) {
+    const acidBaseRanges = ranges || profile.ranges;
+    const codes = interpretation?.code === 'DISORDER' && interpretation.primaryDisorder
+        ? [interpretation.primaryDisorder, ...interpretation.additionalDisorders.filter(Boolean)]
+        : [];
+    const disorders = codes.map((code, index) => gradeDisorder(code, index === 0, values, acidBaseRanges, profile.severityGrades));
+    const alerts = checkCriticalValues(measuredValues, { sampleType, profile });
+    return {
+        performed: true,
+        severity: maxSeverity(disorders.map(disorder => disorder.severity)),
+        disorders,
+        alerts
+    };
+}
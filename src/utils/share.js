@@ -0,0 +1,115 @@
+/**
+ * ABG Analyzer - Shareable Links
+ * Encodes the inputs of an analysis (canonical values, sample type and analysis settings) in the fragment of a
+ * link, so a colleague opening it sees the same analysis. The fragment is never sent to a server, and nothing
+ * identifying the patient (label, encounter, sample time) is included. The payload can be deflated to keep
+ * the link and its QR code small.
+ */
+
+import { sampleTypes } from './sampleTypes';
+import { patientCategories } from './patientCategories';
+import { temperatureStrategies } from './temperatureCorrection';
+import { clinicalContextFlags } from './differentialDiagnosis';
+import { getUnitOptions, getCanonicalUnit } from './units';
+
+const FRAGMENT_PREFIX = '#abg=';
+const FORMAT_VERSION = '1';
+const COMPRESSED_SUFFIX = 'z';
+
+// Settings kept alongside the values, with the defaults that are left out of the link
+const settingDefaults = { sampleType: 'arterial', estimateArterial: false, patientCategory: 'auto', temperatureStrategy: 'alphaStat' };
+
+const toBase64Url = (bytes) => btoa(Array.from(bytes, byte => String.fromCharCode(byte)).join('')).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const fromBase64Url = (text) => Uint8Array.from(atob(text.replace(/-/g, '+').replace(/_/g, '/')), char => char.charCodeAt(0));
+
+const transform = (bytes, stream) => new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer().then(buffer => new Uint8Array(buffer));
+
+/**
+ * The part of an analysis' inputs that goes into a link: numeric values (4 decimals), non-default settings,
+ * clinical context and the display units that differ from canonical. Earlier samples of the encounter are left out.
+ */
+export function sharedInputs(inputValues) {
+    const shared = {};
+    Object.entries(inputValues).forEach(([key, value]) => {
+        if (typeof value === 'number' && isFinite(value)) shared[key] = parseFloat(value.toFixed(4));
+    });
+    Object.entries(settingDefaults).forEach(([key, fallback]) => {
+        if (inputValues[key] !== undefined && inputValues[key] !== fallback) shared[key] = inputValues[key];
+    });
+    if (inputValues.context?.length > 0) shared.context = inputValues.context;
+    const units = Object.entries(inputValues.displayUnits || {}).filter(([field, unit]) => shared[field] !== undefined && unit !== getCanonicalUnit(field));
+    if (units.length > 0) shared.displayUnits = Object.fromEntries(units);
+    return shared;
+}
+
+/**
+ * Build the link of an analysis.
+ * @param {Object} inputValues - Canonical inputs of the analysis (results.inputValues).
+ * @param {Object} [options]
+ * @param {boolean} [options.compress] - Deflate the payload (when the browser supports it and it is shorter).
+ * @param {string} [options.baseUrl] - Page the link opens; the current page by default.
+ * @returns {Promise<string>}
+ */
+export async function createShareLink(inputValues, { compress = true, baseUrl = window.location.href.split('#')[0] } = {}) {
+    const json = new TextEncoder().encode(JSON.stringify(sharedInputs(inputValues)));
+    let payload = `${FORMAT_VERSION}.${toBase64Url(json)}`;
+    if (compress && typeof CompressionStream !== 'undefined') {
+        const deflated = `${FORMAT_VERSION}${COMPRESSED_SUFFIX}.${toBase64Url(await transform(json, new CompressionStream('deflate-raw')))}`;
+        if (deflated.length < payload.length) payload = deflated;
+    }
+    return `${baseUrl}${FRAGMENT_PREFIX}${payload}`;
+}
+
+/**
+ * Whether a location hash holds a shared analysis.
+ */
+export const isShareFragment = (hash) => typeof hash === 'string' && hash.startsWith(FRAGMENT_PREFIX);
+
+/**
+ * Read the inputs of a shared analysis from a location hash.
+ * @param {string} hash - e.g. window.location.hash.
+ * @param {Object} [options]
+ * @param {Object} [options.ranges] - Field → { min, max } in canonical units; only these fields are accepted.
+ * @returns {Promise<Object>} Input values for the analyzer.
+ * @throws {Error} If the link is damaged or holds values the form would not accept.
+ */
+export async function readShareFragment(hash, { ranges = {} } = {}) {
+    const match = /^(\d+)(z?)\.([A-Za-z0-9_-]+)$/.exec(hash.slice(FRAGMENT_PREFIX.length));
+    if (!match) throw new Error('The link is incomplete.');
+    if (match[1] !== FORMAT_VERSION) throw new Error(`Unsupported link version ${match[1]}.`);
+
+    let shared;
+    try {
+        let bytes = fromBase64Url(match[3]);
+        if (match[2] === COMPRESSED_SUFFIX) bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+        shared = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+        throw new Error(`The link could not be read (${error.message}).`);
+    }
+    if (!shared || typeof shared !== 'object' || Array.isArray(shared)) throw new Error('The link holds no analysis.');
+
+    const values = { ...settingDefaults, displayUnits: {} };
+    Object.entries(shared).forEach(([key, value]) => {
+        if (key in settingDefaults || key === 'context' || key === 'displayUnits') return;
+        const range = ranges[key];
+        if (!range) throw new Error(`Unknown field "${key}".`);
+        if (typeof value !== 'number' || value < range.min || value > range.max) throw new Error(`${key} is out of range.`);
+        values[key] = value;
+    });
+    if (['ph', 'paco2', 'hco3'].some(field => values[field] === undefined)) throw new Error('pH, PaCO₂ and HCO₃⁻ are required.');
+
+    // Sample types that are not selectable on their own (umbilical venous) are refused like unknown ones
+    const selectableSampleTypes = Object.fromEntries(Object.entries(sampleTypes).filter(([, type]) => type.selectable !== false));
+    const choices = { sampleType: selectableSampleTypes, patientCategory: { auto: true, ...patientCategories }, temperatureStrategy: temperatureStrategies };
+    Object.entries(choices).forEach(([key, options]) => {
+        if (shared[key] === undefined) return;
+        if (!Object.hasOwn(options, shared[key])) throw new Error(`Unknown ${key} "${shared[key]}".`);
+        values[key] = shared[key];
+    });
+    if (shared.estimateArterial !== undefined) values.estimateArterial = shared.estimateArterial === true;
+    if (Array.isArray(shared.context)) values.context = shared.context.filter(flag => Object.hasOwn(clinicalContextFlags, flag));
+    Object.entries(shared.displayUnits || {}).forEach(([field, unit]) => {
+        if (getUnitOptions(field).includes(unit)) values.displayUnits[field] = unit;
+    });
+    return values;
+}
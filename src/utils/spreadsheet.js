@@ -0,0 +1,162 @@
+/**
+ * ABG Analyzer - Spreadsheet Files
+ * Reads CSV and XLSX tables into rows of cell strings, and writes CSV. XLSX is read without a library: the
+ * ZIP container is inflated with DecompressionStream and the first worksheet's XML is parsed with DOMParser.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50; // ZIP end of central directory
+const CENTRAL_SIGNATURE = 0x02014b50;
+
+// Delimiter of the header line: comma, semicolon (European exports) or tab
+function detectDelimiter(text) {
+    const header = text.split(/\r?\n/, 1)[0];
+    return [',', ';', '\t'].reduce((best, delimiter) => (
+        header.split(delimiter).length > header.split(best).length ? delimiter : best
+    ), ',');
+}
+
+/**
+ * Parse CSV (RFC 4180 quoting) into rows of cell strings. Blank lines are dropped.
+ * @param {string} text
+ * @param {string} [delimiter] - Detected from the header line when omitted.
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text)) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    const source = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+// Quote a cell when needed; text starting with a formula character is prefixed so spreadsheets show it as text
+function csvCell(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text) && isNaN(Number(text))) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV (comma-delimited, CRLF line endings).
+ */
+export const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+
+// Files of a ZIP archive: name → { method, offset, size }
+function zipEntries(view) {
+    let eocd = view.byteLength - 22;
+    while (eocd >= 0 && view.getUint32(eocd, true) !== EOCD_SIGNATURE) eocd--;
+    if (eocd < 0) throw new Error('Not an XLSX file: the ZIP directory is missing.');
+
+    const entries = {};
+    const count = view.getUint16(eocd + 10, true);
+    let position = view.getUint32(eocd + 16, true);
+    const decoder = new TextDecoder();
+    for (let i = 0; i < count && view.getUint32(position, true) === CENTRAL_SIGNATURE; i++) {
+        const nameLength = view.getUint16(position + 28, true);
+        const name = decoder.decode(new Uint8Array(view.buffer, view.byteOffset + position + 46, nameLength));
+        entries[name] = {
+            method: view.getUint16(position + 10, true),
+            size: view.getUint32(position + 20, true),
+            offset: view.getUint32(position + 42, true)
+        };
+        position += 46 + nameLength + view.getUint16(position + 30, true) + view.getUint16(position + 32, true);
+    }
+    return entries;
+}
+
+// Text of a ZIP entry (stored or deflated), or null when the archive does not contain it
+async function zipText(view, entries, name) {
+    const entry = entries[name];
+    if (!entry) return null;
+    const start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    const data = new Uint8Array(view.buffer, view.byteOffset + start, entry.size);
+    if (entry.method === 0) return new TextDecoder().decode(data);
+    if (entry.method !== 8) throw new Error(`Unsupported XLSX compression method ${entry.method}.`);
+    return new Response(new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+}
+
+const parseXml = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+// Zero-based column of a cell reference ("C7" → 2)
+function columnIndex(reference) {
+    const letters = /^[A-Z]+/.exec(reference || '')?.[0] || '';
+    return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+const elementText = (element) => [...element.getElementsByTagName('t')].map(node => node.textContent).join('');
+
+/**
+ * Read the first worksheet of an XLSX workbook into rows of cell strings (cached formula results are used).
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string[][]>}
+ * @throws {Error} If the file is not an XLSX workbook.
+ */
+export async function readXlsx(buffer) {
+    const view = new DataView(buffer);
+    const entries = zipEntries(view);
+    const workbook = await zipText(view, entries, 'xl/workbook.xml');
+    if (!workbook) throw new Error('Not an XLSX file: xl/workbook.xml is missing.');
+
+    // First sheet of the workbook, resolved through its relationship
+    const sheet = parseXml(workbook).getElementsByTagName('sheet')[0];
+    const relations = parseXml(await zipText(view, entries, 'xl/_rels/workbook.xml.rels') || '<Relationships/>');
+    const relation = [...relations.getElementsByTagName('Relationship')].find(node => node.getAttribute('Id') === sheet?.getAttribute('r:id'));
+    const target = relation?.getAttribute('Target') || 'worksheets/sheet1.xml';
+    const sheetXml = await zipText(view, entries, target.startsWith('/') ? target.slice(1) : `xl/${target}`);
+    if (!sheetXml) throw new Error('The workbook has no worksheet.');
+
+    const sharedXml = await zipText(view, entries, 'xl/sharedStrings.xml');
+    const sharedStrings = sharedXml ? [...parseXml(sharedXml).getElementsByTagName('si')].map(elementText) : [];
+
+    const rows = [...parseXml(sheetXml).getElementsByTagName('row')].map(row => {
+        const cells = [];
+        [...row.getElementsByTagName('c')].forEach((cell, position) => {
+            const index = cell.getAttribute('r') ? columnIndex(cell.getAttribute('r')) : position;
+            const type = cell.getAttribute('t');
+            const value = cell.getElementsByTagName('v')[0]?.textContent ?? '';
+            if (type === 's') cells[index] = sharedStrings[Number(value)] ?? '';
+            else if (type === 'inlineStr') cells[index] = elementText(cell);
+            else cells[index] = value;
+        });
+        return Array.from(cells, value => value ?? '');
+    });
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Read a CSV or XLSX file (by extension) into rows of cell strings.
+ */
+export async function readSpreadsheet(file) {
+    if (/\.xlsx$/i.test(file.name)) return readXlsx(await file.arrayBuffer());
+    return parseCsv(await file.text());
+}
@@ -0,0 +1,81 @@
+/**
+ * ABG Analyzer - Temperature Correction
+ * Blood gas analyzers measure at 37 °C. For hypothermic or febrile patients the values can be
+ * corrected to the patient's temperature, and the acid-base management strategy decides which
+ * set is interpreted: alpha-stat uses the 37 °C values, pH-stat the temperature-corrected ones.
+ */
+
+export const NORMOTHERMIA = 37; // °C, analyzer measuring temperature
+
+export const temperatureStrategies = {
+    alphaStat: {
+        label: 'Alpha-stat',
+        note: 'ALPHA_STAT' // Interprets the uncorrected 37 °C values
+    },
+    phStat: {
+        label: 'pH-stat',
+        note: 'PH_STAT' // Interprets the values corrected to the patient temperature
+    }
+};
+
+/**
+ * Correct pH, PCO₂ and PO₂ measured at 37 °C to the patient temperature.
+ * pH(T) = pH - 0.0147 × ΔT + 0.0065 × (7.40 - pH) × ΔT (Rosenthal)
+ * PCO₂(T) = PCO₂ × 10^(0.019 × ΔT)
+ * PO₂(T) = PO₂ × 10^(ΔT × (5.49·10⁻¹¹ × PO₂^3.88 + 0.071) / (9.72·10⁻⁹ × PO₂^3.88 + 2.30)) (Severinghaus)
+ * HCO₃⁻ is left unchanged (closed sample, negligible temperature effect).
+ * @param {Object} values - { ph, paco2, pao2? } at 37 °C, mmHg.
+ * @param {number} temperature - Patient temperature in °C.
+ * @returns {Object} { ph, paco2, pao2? } at the patient temperature.
+ */
+export function correctForTemperature({ ph, paco2, pao2 }, temperature) {
+    const delta = temperature - NORMOTHERMIA;
+    const corrected = {
+        ph: ph - 0.0147 * delta + 0.0065 * (7.4 - ph) * delta,
+        paco2: paco2 * Math.pow(10, 0.019 * delta)
+    };
+    if (pao2 !== undefined && !isNaN(pao2)) {
+        const po2Factor = Math.pow(pao2, 3.88);
+        corrected.pao2 = pao2 * Math.pow(10, delta * (5.49e-11 * po2Factor + 0.071) / (9.72e-9 * po2Factor + 2.30));
+    }
+    return corrected;
+}
+
+/**
+ * Apply the selected acid-base strategy to the input values.
+ * @param {Object} values - Input values in canonical units; `temperature` in °C is optional.
+ * @param {string} [strategy] - Key of temperatureStrategies (default alpha-stat).
+ * @returns {Object} { values (to analyze), temperature: { performed, temperature, strategy, label, corrected (bool), measured, correctedValues, notes: [note codes] } or null }
+ */
+export function applyTemperatureStrategy(values, strategy = 'alphaStat') {
+    const { temperature } = values;
+    if (temperature === undefined || temperature === null || isNaN(temperature)) {
+        return { values, temperature: null };
+    }
+
+    const strategyKey = temperatureStrategies[strategy] ? strategy : 'alphaStat';
+    const measured = { ph: values.ph, paco2: values.paco2, ...(values.pao2 !== undefined ? { pao2: values.pao2 } : {}) };
+    const corrected = correctForTemperature(values, temperature);
+    const useCorrected = strategyKey === 'phStat' && temperature !== NORMOTHERMIA;
+
+    // Note codes are rendered through the analysisNotes.* catalog entries (resultRenderer.js)
+    const notes = [temperatureStrategies[strategyKey].note];
+    if (useCorrected) {
+        notes.push('CORRECTED_RANGES');
+        if (corrected.pao2 !== undefined) notes.push('CORRECTED_OXYGENATION');
+    }
+
+    return {
+        values: useCorrected ? { ...values, ...corrected } : values,
+        temperature: {
+            performed: true,
+            temperature,
+            strategy: strategyKey,
+            label: temperatureStrategies[strategyKey].label,
+            corrected: useCorrected,
+            measured,
+            correctedValues: corrected,
+            notes
+        }
+    };
+}
@@ -0,0 +1,198 @@
+/**
+ * ABG Analyzer - Serial Samples and Trend Interpretation
+ * Encounters group the timed samples of one patient, persisted in localStorage. Each sample keeps its
+ * canonical input values and a summary of its analysis; interpretTrend() compares the first and latest
+ * samples (e.g. metabolic acidosis improving, anion gap closing, normal anion gap acidosis unmasked).
+ */
+
+import { defaultProfile } from './referenceProfiles';
+import { DisorderCode, interpretationDisorders } from './resultSchema';
+
+const STORAGE_KEY = 'abg-encounters';
+
+// Fields charted over time
+export const trendFields = ['ph', 'paco2', 'hco3', 'anionGap', 'lactate'];
+
+// Smallest first-to-latest change reported as a trend (canonical units); lactate clearance is a fraction
+export const trendThresholds = { hco3: 2, paco2: 5, anionGap: 3, lactateClearance: 0.1 };
+
+// Acid-base processes followed over time and the direction of improvement of their marker
+export const trendProcesses = {
+    metabolicAcidosis: { field: 'hco3', improving: 1, code: DisorderCode.METABOLIC_ACIDOSIS },
+    metabolicAlkalosis: { field: 'hco3', improving: -1, code: DisorderCode.METABOLIC_ALKALOSIS },
+    respiratoryAcidosis: { field: 'paco2', improving: -1, code: DisorderCode.RESPIRATORY_ACIDOSIS },
+    respiratoryAlkalosis: { field: 'paco2', improving: 1, code: DisorderCode.RESPIRATORY_ALKALOSIS }
+};
+
+const disorderProcesses = {
+    [DisorderCode.METABOLIC_ACIDOSIS]: ['metabolicAcidosis'],
+    [DisorderCode.HIGH_ANION_GAP_METABOLIC_ACIDOSIS]: ['metabolicAcidosis'],
+    [DisorderCode.NORMAL_ANION_GAP_METABOLIC_ACIDOSIS]: ['metabolicAcidosis'],
+    [DisorderCode.METABOLIC_ALKALOSIS]: ['metabolicAlkalosis'],
+    [DisorderCode.RESPIRATORY_ACIDOSIS]: ['respiratoryAcidosis'],
+    [DisorderCode.RESPIRATORY_ALKALOSIS]: ['respiratoryAlkalosis'],
+    [DisorderCode.MIXED_ACIDEMIA]: ['respiratoryAcidosis', 'metabolicAcidosis'],
+    [DisorderCode.MIXED_ALKALEMIA]: ['respiratoryAlkalosis', 'metabolicAlkalosis'],
+    [DisorderCode.MIXED_RESPIRATORY_ACIDOSIS_METABOLIC_ALKALOSIS]: ['respiratoryAcidosis', 'metabolicAlkalosis'],
+    [DisorderCode.MIXED_RESPIRATORY_ALKALOSIS_METABOLIC_ACIDOSIS]: ['respiratoryAlkalosis', 'metabolicAcidosis']
+};
+
+const has = (value) => value !== undefined && value !== null && !isNaN(value);
+const HOUR = 3600 * 1000;
+
+/**
+ * Load the saved encounters ([{ id, label, createdAt, samples }]).
+ */
+export function loadEncounters() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved.filter(encounter => encounter?.id && Array.isArray(encounter.samples)) : [];
+    } catch (error) {
+        console.error("Could not read saved encounters:", error);
+        return [];
+    }
+}
+
+export function saveEncounters(encounters) {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(encounters));
+}
+
+export function createEncounter(label) {
+    return { id: `encounter-${Date.now()}`, label, createdAt: new Date().toISOString(), samples: [] };
+}
+
+/**
+ * Summarize an analysis as a sample of an encounter.
+ * @param {Object} results - Analysis result with its inputValues (canonical units).
+ * @param {string} takenAt - ISO time the sample was drawn.
+ * @returns {Object} { id, takenAt, inputValues, values: { ph, paco2, hco3, anionGap, lactate }, interpretation, processes, hagma, nagma }
+ */
+export function createSample(results, takenAt) {
+    const { interpretation, state } = results;
+    const inputValues = results.inputValues || {};
+    const anionGapLimit = (results.referenceProfile || defaultProfile).ranges.anionGap[1];
+    const anionGap = state?.correctedAnionGap ?? state?.anionGap ?? null;
+    const processes = [...new Set(interpretationDisorders(interpretation).flatMap(code => disorderProcesses[code] || []))];
+    const acidosis = processes.includes('metabolicAcidosis');
+    return {
+        id: `sample-${Date.now()}`,
+        takenAt,
+        inputValues,
+        values: { ph: inputValues.ph, paco2: inputValues.paco2, hco3: inputValues.hco3, anionGap, lactate: inputValues.lactate },
+        interpretation,
+        processes,
+        hagma: acidosis && has(anionGap) && anionGap > anionGapLimit,
+        // A normal gap, or a normal-gap component beside a high gap (delta ratio)
+        nagma: acidosis && ((has(anionGap) && anionGap <= anionGapLimit) || state?.deltaRatioAssessment === 'concurrent NAGMA')
+    };
+}
+
+export const sortSamples = (samples) => [...samples].sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt));
+
+/**
+ * PaCO₂ of the samples drawn before a time, for the acute vs chronic decision (ABGAnalyzer.respiratoryTimeCourse).
+ * @returns {Array} [{ hoursAgo, paco2 }]
+ */
+export function paco2History(samples, takenAt) {
+    const time = new Date(takenAt).getTime();
+    return samples
+        .filter(sample => has(sample.values.paco2) && new Date(sample.takenAt).getTime() < time)
+        .map(sample => ({ hoursAgo: (time - new Date(sample.takenAt).getTime()) / HOUR, paco2: sample.values.paco2 }));
+}
+
+/**
+ * Time series of one field: [{ time, value }] in sample order, skipping samples without it.
+ */
+export function trendSeries(samples, field) {
+    return sortSamples(samples)
+        .filter(sample => has(sample.values[field]))
+        .map(sample => ({ time: new Date(sample.takenAt).getTime(), value: sample.values[field] }));
+}
+
+// Change of a marker between two samples, signed so that a positive change is an improvement
+function direction(change, threshold) {
+    if (change >= threshold) return 'IMPROVING';
+    if (change <= -threshold) return 'WORSENING';
+    return 'UNCHANGED';
+}
+
+/**
+ * Trend interpretation of an encounter, comparing the first and latest samples.
+ * @param {Array} samples - Samples of the encounter (any order).
+ * @param {Object} [profile] - Reference profile supplying the anion gap and lactate limits.
+ * @returns {Object} { performed, count, hours, findings: [{ code, process?, field?, from?, to?, clearance? }] }
+ *   Process codes: IMPROVING, WORSENING, UNCHANGED, RESOLVED, NEW. Other codes: ANION_GAP_CLOSING, ANION_GAP_CLOSED,
+ *   ANION_GAP_WIDENING, NAGMA_UNMASKED, LACTATE_CLEARING, LACTATE_RISING, LACTATE_PERSISTENT.
+ */
+export function interpretTrend(samples, profile = defaultProfile) {
+    const ordered = sortSamples(samples);
+    if (ordered.length < 2) return { performed: false, count: ordered.length, hours: 0, findings: [] };
+    const first = ordered[0];
+    const latest = ordered[ordered.length - 1];
+    const findings = [];
+
+    Object.entries(trendProcesses).forEach(([process, { field, improving }]) => {
+        const before = first.processes.includes(process);
+        const now = latest.processes.includes(process);
+        if (!before && !now) return;
+        const change = { process, field, from: first.values[field], to: latest.values[field] };
+        if (before && !now) findings.push({ code: 'RESOLVED', ...change });
+        else if (!before) findings.push({ code: 'NEW', ...change });
+        else findings.push({ code: direction((change.to - change.from) * improving, trendThresholds[field]), ...change });
+    });
+
+    const anionGapLimit = profile.ranges.anionGap[1];
+    const gap = { field: 'anionGap', from: first.values.anionGap, to: latest.values.anionGap };
+    const closing = has(gap.from) && has(gap.to) && gap.from - gap.to >= trendThresholds.anionGap;
+    if (has(gap.from) && has(gap.to) && Math.max(gap.from, gap.to) > anionGapLimit) {
+        if (closing) findings.push({ code: gap.to <= anionGapLimit ? 'ANION_GAP_CLOSED' : 'ANION_GAP_CLOSING', ...gap });
+        else if (gap.to - gap.from >= trendThresholds.anionGap) findings.push({ code: 'ANION_GAP_WIDENING', ...gap });
+    }
+    // The gap closes but a normal-gap acidosis remains, typically hyperchloremia after saline once ketones or lactate clear
+    if (closing && first.hagma && !first.nagma && latest.nagma) findings.push({ code: 'NAGMA_UNMASKED' });
+
+    const lactateLimit = profile.ranges.lactate[1];
+    const lactate = { field: 'lactate', from: first.values.lactate, to: latest.values.lactate };
+    if (has(lactate.from) && has(lactate.to) && Math.max(lactate.from, lactate.to) > lactateLimit) {
+        const clearance = (lactate.from - lactate.to) / lactate.from;
+        if (lactate.from > lactateLimit && clearance >= trendThresholds.lactateClearance) findings.push({ code: 'LACTATE_CLEARING', ...lactate, clearance });
+        else if (clearance <= -trendThresholds.lactateClearance) findings.push({ code: 'LACTATE_RISING', ...lactate });
+        else if (lactate.to > lactateLimit) findings.push({ code: 'LACTATE_PERSISTENT', ...lactate });
+    }
+
+    return {
+        performed: true,
+        count: ordered.length,
+        hours: (new Date(latest.takenAt) - new Date(first.takenAt)) / HOUR,
+        findings
+    };
+}
+
+/**
+ * Scale a time series to a small SVG line chart.
+ * @param {Array} series - [{ time, value }] (see trendSeries).
+ * @param {Object} [options]
+ * @param {Array} [options.range] - Reference range [low, high] shaded behind the line.
+ * @returns {Object} { width, height, plot, path, points: [{ x, y, time, value }], band: { y, height } | null, domain: [min, max] }
+ */
+export function layoutTrendChart(series, { range, width = 260, height = 120 } = {}) {
+    const plot = { x: 40, y: 8, width: width - 48, height: height - 28 };
+    const values = [...series.map(point => point.value), ...(range || []).filter(has)];
+    const padding = (Math.max(...values) - Math.min(...values)) * 0.1 || Math.abs(values[0]) * 0.05 || 1;
+    const domain = [Math.min(...values) - padding, Math.max(...values) + padding];
+    const times = series.map(point => point.time);
+    const [start, end] = [Math.min(...times), Math.max(...times)];
+    const round = (value) => Math.round(value * 10) / 10;
+    const x = (time) => round(end === start ? plot.x + plot.width / 2 : plot.x + ((time - start) / (end - start)) * plot.width);
+    const y = (value) => round(plot.y + plot.height - ((value - domain[0]) / (domain[1] - domain[0])) * plot.height);
+    const points = series.map(point => ({ ...point, x: x(point.time), y: y(point.value) }));
+    return {
+        width,
+        height,
+        plot,
+        path: points.map((point, index) => `${index === 0 ? 'M' : 'L'}${point.x},${point.y}`).join(' '),
+        points,
+        band: range && has(range[0]) && has(range[1]) ? { y: y(range[1]), height: round(y(range[0]) - y(range[1])) } : null,
+        domain
+    };
+}
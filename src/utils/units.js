@@ -0,0 +1,126 @@
+/**
+ * ABG Analyzer - Unit System Layer
+ * The analyzer works in canonical units (mmHg, mmol/L, g/dL albumin, mg/dL glucose/BUN/ethanol).
+ * Values are converted to canonical units before analysis and back to the user's units for display.
+ */
+
+import { formatNumber } from './i18n';
+
+// For each field: canonical unit first. `factor` converts to canonical (canonical = value × factor).
+export const unitDefinitions = {
+    paco2: { mmHg: { factor: 1, decimals: 1 }, kPa: { factor: 7.50062, decimals: 2 } },
+    pao2: { mmHg: { factor: 1, decimals: 1 }, kPa: { factor: 7.50062, decimals: 2 } },
+    uvpco2: { mmHg: { factor: 1, decimals: 1 }, kPa: { factor: 7.50062, decimals: 2 } }, // Umbilical venous PCO₂
+    patm: { mmHg: { factor: 1, decimals: 0 }, kPa: { factor: 7.50062, decimals: 1 } },
+    albumin: { 'g/dL': { factor: 1, decimals: 1 }, 'g/L': { factor: 0.1, decimals: 0 } },
+    glucose: { 'mg/dL': { factor: 1, decimals: 0 }, 'mmol/L': { factor: 18.016, decimals: 1 } },
+    bun: { 'mg/dL': { factor: 1, decimals: 0 }, 'mmol/L': { factor: 2.8, decimals: 1 } },
+    uun: { 'mg/dL': { factor: 1, decimals: 0 }, 'mmol/L': { factor: 2.8, decimals: 0 } },
+    ethanol: { 'mg/dL': { factor: 1, decimals: 0 }, 'mmol/L': { factor: 4.607, decimals: 1 } },
+    lactate: { 'mmol/L': { factor: 1, decimals: 1 }, 'mg/dL': { factor: 1 / 9.008, decimals: 0 } },
+    bhb: { 'mmol/L': { factor: 1, decimals: 1 }, 'mg/dL': { factor: 1 / 10.41, decimals: 0 } }, // β-hydroxybutyrate
+    ca: { 'mmol/L': { factor: 1, decimals: 2 }, 'mg/dL': { factor: 1 / 4.008, decimals: 1 } },
+    mg: { 'mmol/L': { factor: 1, decimals: 2 }, 'mg/dL': { factor: 1 / 2.431, decimals: 1 } },
+    phosphate: { 'mmol/L': { factor: 1, decimals: 2 }, 'mg/dL': { factor: 1 / 3.097, decimals: 1 } }
+};
+
+// Global preference. Conventional matches the canonical units.
+export const unitSystems = {
+    conventional: { label: 'Conventional (mmHg, g/dL)', units: {} },
+    si: {
+        label: 'SI (kPa, g/L)',
+        units: {
+            paco2: 'kPa', pao2: 'kPa', uvpco2: 'kPa', patm: 'kPa', albumin: 'g/L',
+            glucose: 'mmol/L', bun: 'mmol/L', uun: 'mmol/L', ethanol: 'mmol/L'
+        }
+    }
+};
+
+export const getCanonicalUnit = (field) => (unitDefinitions[field] ? Object.keys(unitDefinitions[field])[0] : null);
+
+export const getUnitOptions = (field) => (unitDefinitions[field] ? Object.keys(unitDefinitions[field]) : []);
+
+/**
+ * Unit for a field under a unit system (falls back to the canonical unit).
+ */
+export function getPreferredUnit(field, system = 'conventional') {
+    return unitSystems[system]?.units[field] || getCanonicalUnit(field);
+}
+
+/**
+ * Build the per-field unit map for a unit system.
+ */
+export function getUnitMap(system = 'conventional') {
+    return Object.keys(unitDefinitions).reduce((acc, field) => {
+        acc[field] = getPreferredUnit(field, system);
+        return acc;
+    }, {});
+}
+
+export function toCanonical(field, value, unit) {
+    const definition = unitDefinitions[field]?.[unit];
+    return definition ? value * definition.factor : value;
+}
+
+export function fromCanonical(field, value, unit) {
+    const definition = unitDefinitions[field]?.[unit];
+    return definition ? value / definition.factor : value;
+}
+
+/**
+ * Convert every field of `values` that has a unit in `units` to canonical units.
+ */
+export function convertValuesToCanonical(values, units = {}) {
+    return Object.entries(values).reduce((acc, [field, value]) => {
+        acc[field] = typeof value === 'number' && units[field] ? toCanonical(field, value, units[field]) : value;
+        return acc;
+    }, {});
+}
+
+/**
+ * Format a canonical value in the display unit and active locale, e.g. formatMeasurement('paco2', 40, 'kPa') → "5.33 kPa".
+ * @param {number} [decimals] - Overrides the unit's default precision.
+ */
+export function formatMeasurement(field, value, unit, decimals) {
+    const displayUnit = unit || getCanonicalUnit(field);
+    const precision = decimals ?? unitDefinitions[field]?.[displayUnit]?.decimals ?? 1;
+    const converted = fromCanonical(field, value, displayUnit);
+    return `${formatNumber(converted, precision)}${displayUnit ? ' ' + displayUnit : ''}`;
+}
+
+/**
+ * Re-express a canonical reference range label (e.g. "35-45", "760 (sea level)") in the display unit.
+ */
+export function convertRangeLabel(field, label, unit) {
+    if (!label || !unit || unit === getCanonicalUnit(field)) return label;
+    const { decimals } = unitDefinitions[field][unit];
+    return label.replace(/\d+(\.\d+)?/g, (match) => fromCanonical(field, parseFloat(match), unit).toFixed(decimals));
+}
+
+const unitAliases = {
+    mmhg: 'mmHg', 'mm[hg]': 'mmHg', torr: 'mmHg', kpa: 'kPa',
+    'g/dl': 'g/dL', 'g/l': 'g/L',
+    'mg/dl': 'mg/dL', 'mmol/l': 'mmol/L', 'meq/l': 'mmol/L', mm: 'mmol/L'
+};
+
+/**
+ * Normalize a unit string reported by OCR, an HL7 message or a spreadsheet header (e.g. "mm Hg", "KPA", UCUM "mm[Hg]") to a supported unit for the field.
+ * @returns {string|null} Supported unit, or null if unknown.
+ */
+export function parseUnitLabel(field, rawUnit) {
+    if (!rawUnit || !unitDefinitions[field]) return null;
+    const normalized = unitAliases[String(rawUnit).toLowerCase().replace(/\s+/g, '')];
+    return normalized && unitDefinitions[field][normalized] ? normalized : null;
+}
+
+/**
+ * Guess the unit of an unlabelled value from its magnitude (kPa pressures, g/L albumin, mmol/L glucose).
+ */
+export function inferUnit(field, value) {
+    if (field === 'paco2' && value < 15) return 'kPa';
+    if (field === 'pao2' && value < 25) return 'kPa';
+    if (field === 'patm' && value < 200) return 'kPa';
+    if (field === 'albumin' && value > 10) return 'g/L';
+    if (field === 'glucose' && value < 40) return 'mmol/L'; // 40 mg/dL would be severe hypoglycemia; 40 mmol/L is plausible DKA
+    return getCanonicalUnit(field);
+}